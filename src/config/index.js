@@ -126,7 +126,11 @@ class Config {
       const defaultConfig = {
         usersFile: path.join(CONFIG_DIR, 'users.json'),
         tokenFile: path.join(CONFIG_DIR, 'token'),
-        adminTokensFile: path.join(CONFIG_DIR, 'admin-tokens.json')
+        adminTokensFile: path.join(CONFIG_DIR, 'admin-tokens.json'),
+        permissionSetsFile: path.join(CONFIG_DIR, 'permission-sets.json'),
+        sessionsFile: path.join(CONFIG_DIR, 'sessions.json'),
+        ldapFile: path.join(CONFIG_DIR, 'ldap.json'),
+        groupsFile: path.join(CONFIG_DIR, 'groups.json')
       };
 
       // Try to load config
@@ -198,10 +202,26 @@ class Config {
     return this.config?.tokenFile;
   }
 
+  get permissionSetsFilePath() {
+    return this.config?.permissionSetsFile;
+  }
+
+  get sessionsFilePath() {
+    return this.config?.sessionsFile;
+  }
+
+  get ldapFilePath() {
+    return this.config?.ldapFile;
+  }
+
   get adminTokensFilePath() {
     return this.config?.adminTokensFile;
   }
 
+  get groupsFilePath() {
+    return this.config?.groupsFile;
+  }
+
   get jwtExpiryDays() {
     return parseInt(process.env.JWT_EXPIRY_DAYS) || 7;
   }
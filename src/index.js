@@ -62,6 +62,8 @@ const hubRoutes = require('./routes/hub.routes');
 const pluginsRoutes = require('./routes/plugins.routes');
 const smartRoutes = require('./routes/smart.routes');
 const diagnosticsRoutes = require('./routes/diagnostics.routes');
+const replicationRoutes = require('./routes/replication.routes');
+const prometheusRoutes = require('./routes/prometheus.routes');
 const poolsWebSocketRoutes = require('./routes/websocket/pools.websocket.routes');
 const systemWebSocketRoutes = require('./routes/websocket/system.websocket.routes');
 const terminalWebSocketRoutes = require('./routes/websocket/terminal.websocket.routes');
@@ -73,6 +75,7 @@ const fileOperationsWebSocketRoutes = require('./routes/websocket/fileoperations
 
 // Middleware
 const { authenticateToken } = require('./middleware/auth.middleware');
+const { auditLog } = require('./middleware/audit.middleware');
 const errorHandler = require('./middleware/error.middleware');
 
 async function startServer() {
@@ -155,6 +158,9 @@ async function startServer() {
     res.send(swaggerSpecs);
   });
 
+  // Audit log of mutating requests (recorded after authenticateToken has set req.user)
+  app.use('/api/v1', auditLog);
+
   // Routes
   app.use('/api/v1/auth', authRoutes);
   app.use('/api/v1/system', authenticateToken, systemRoutes);
@@ -177,6 +183,7 @@ async function startServer() {
   app.use('/api/v1/cron', authenticateToken, cronRoutes);
   app.use('/api/v1/terminal', authenticateToken, terminalRoutes);
   app.use('/api/v1/notifications', authenticateToken, notificationsRoutes);
+  app.use('/api/v1/replication', authenticateToken, replicationRoutes);
   app.use('/api/v1/pools', poolsWebSocketRoutes);
   app.use('/api/v1/system', systemWebSocketRoutes);
   app.use('/api/v1/terminal', terminalWebSocketRoutes);
@@ -186,6 +193,9 @@ async function startServer() {
   app.use('/api/v1/lxc', lxcWebSocketRoutes);
   app.use('/api/v1/mos', fileOperationsWebSocketRoutes);
 
+  // Prometheus exporter (own authentication: admin or scrape token)
+  app.use('/metrics', prometheusRoutes);
+
   // Error Handling
   app.use(errorHandler);
 
@@ -307,6 +317,7 @@ async function startServer() {
   const VmWebSocketManager = require('./websockets/vm.websocket');
   const LxcWebSocketManager = require('./websockets/lxc.websocket');
   const FileOperationsWebSocketManager = require('./websockets/fileoperations.websocket');
+  const ReplicationWebSocketManager = require('./websockets/replication.websocket');
 
   // Initialize event emitter for service communication
   const EventEmitter = require('events');
@@ -321,6 +332,7 @@ async function startServer() {
   const vmNamespace = io.of('/vm');
   const lxcNamespace = io.of('/lxc');
   const fileOperationsNamespace = io.of('/fileoperations');
+  const replicationNamespace = io.of('/replication');
 
   // Initialize pool WebSocket manager with pools namespace
   const PoolsService = require('./services/pools.service');
@@ -354,8 +366,10 @@ async function startServer() {
   const disksServiceInstance = require('./services/disks.service');
 
   const poolsServiceInstance = new PoolsServiceWebSocketWrapper(serviceEventEmitter);
-  // Pass disksService to pool WebSocket manager for performance monitoring
-  const poolWebSocketManager = new PoolWebSocketManager(poolsNamespace, poolsServiceInstance, disksServiceInstance);
+  // Pass disksService to pool WebSocket manager for performance monitoring,
+  // hotSpareService for rebuild progress
+  const hotSpareService = require('./services/hotspare.service');
+  const poolWebSocketManager = new PoolWebSocketManager(poolsNamespace, poolsServiceInstance, disksServiceInstance, hotSpareService);
 
   // Initialize system load WebSocket manager with system namespace
   // Pass poolsService and disksService for dashboard pools performance monitoring
@@ -387,6 +401,10 @@ async function startServer() {
   const fileOperationsService = require('./services/fileoperations.service');
   const fileOperationsWebSocketManager = new FileOperationsWebSocketManager(fileOperationsNamespace, fileOperationsService);
 
+  // Initialize Replication WebSocket manager with replication namespace
+  const replicationService = require('./services/replication.service');
+  const replicationWebSocketManager = new ReplicationWebSocketManager(replicationNamespace, replicationService);
+
   // Make WebSocket managers available to routes
   app.locals.poolWebSocketManager = poolWebSocketManager;
   app.locals.systemLoadWebSocketManager = systemLoadWebSocketManager;
@@ -396,6 +414,7 @@ async function startServer() {
   app.locals.vmWebSocketManager = vmWebSocketManager;
   app.locals.lxcWebSocketManager = lxcWebSocketManager;
   app.locals.fileOperationsWebSocketManager = fileOperationsWebSocketManager;
+  app.locals.replicationWebSocketManager = replicationWebSocketManager;
 
   // Setup namespace handlers
   poolsNamespace.on('connection', (socket) => {
@@ -444,6 +463,12 @@ async function startServer() {
     fileOperationsWebSocketManager.handleConnection(socket);
   });
 
+  // Replication namespace for send/receive progress monitoring
+  replicationNamespace.on('connection', (socket) => {
+    console.info(`Replication WebSocket client connected: ${socket.id}`);
+    replicationWebSocketManager.handleConnection(socket);
+  });
+
   // ============================================================
   // VNC WebSocket Proxy
   // ============================================================
@@ -554,10 +579,28 @@ async function startServer() {
     try {
       const disksService = require('./services/disks.service');
       await disksService.initializeStartupCache({ wakeStandbyDisks: false });
+      // Sample disk I/O continuously so the throughput history has no gaps
+      disksService.startDiskStatsSampling();
     } catch (error) {
       console.error(`Error initializing Disk Startup-Cache: ${error.message}`);
     }
 
+    try {
+      // Linux groups of share permissions are not persistent across reboots
+      const userService = require('./services/user.service');
+      await userService.syncSystemGroups();
+    } catch (error) {
+      console.error(`Error syncing local groups: ${error.message}`);
+    }
+
+    try {
+      // smb.conf was generated at boot without the API managed share parameters
+      const sharesService = require('./services/shares.service');
+      await sharesService.syncSmbShareParameters();
+    } catch (error) {
+      console.error(`Error writing share parameters to smb.conf: ${error.message}`);
+    }
+
     try {
       const smartService = require('./services/smart.service');
       await smartService.initialize();
@@ -565,6 +608,13 @@ async function startServer() {
       console.error(`Error initializing SMART service: ${error.message}`);
     }
 
+    try {
+      const metricsService = require('./services/metrics.service');
+      await metricsService.start();
+    } catch (error) {
+      console.error(`Error starting metrics recorder: ${error.message}`);
+    }
+
     try {
       const PoolsService = require('./services/pools.service');
       const poolsService = new PoolsService();
@@ -0,0 +1,39 @@
+const auditService = require('../services/audit.service');
+const { getClientIp } = require('./auth.middleware');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Records every mutating request once the response is sent.
+ * Mounted before the routers; only requests that passed authenticateToken
+ * (req.user is set) are written to the audit log.
+ */
+const auditLog = (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const startTime = Date.now();
+
+  res.on('finish', () => {
+    if (!req.user) return;
+
+    auditService.record({
+      source: 'api',
+      user: req.user,
+      ip: getClientIp(req.socket?.remoteAddress, req.headers),
+      method: req.method,
+      route: req.originalUrl.split('?')[0],
+      body: req.body,
+      status: res.statusCode,
+      success: res.statusCode < 400,
+      duration: Date.now() - startTime
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  auditLog
+};
@@ -4,6 +4,52 @@ const path = require('path');
 
 const BOOT_TOKEN_PATH = '/boot/config/api/token';
 
+// Mount points (req.baseUrl) of the route groups covered by permission sets
+const ROUTE_GROUPS = {
+  docker: ['/api/v1/docker', '/api/v1/docker/mos/compose'],
+  vm: ['/api/v1/vm'],
+  lxc: ['/api/v1/lxc'],
+  pools: ['/api/v1/pools'],
+  shares: ['/api/v1/shares'],
+  mos: ['/api/v1/mos']
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Resolve the client IP of a request or socket handshake.
+ * X-Real-IP is only honoured when the connection comes from the local Nginx.
+ * @param {string} remoteAddress - Peer address of the connection
+ * @param {Object} headers - Request headers
+ * @returns {string|null} Client IP
+ */
+const getClientIp = (remoteAddress, headers = {}) => {
+  if (LOOPBACK_ADDRESSES.includes(remoteAddress) && headers['x-real-ip']) {
+    return headers['x-real-ip'];
+  }
+  return remoteAddress || null;
+};
+
+/**
+ * Check if an admin token scope list allows access to a path
+ * Tokens without scopes have unrestricted access.
+ * @param {Object} user - Authenticated user (req.user / socket user)
+ * @param {string} routePath - Full API path (e.g. /api/v1/system/load)
+ * @param {string} level - 'read' or 'write'
+ * @returns {boolean}
+ */
+const isTokenScopeAllowed = (user, routePath, level = 'write') => {
+  if (!user || !user.isAdminToken || !Array.isArray(user.scopes) || user.scopes.length === 0) {
+    return true;
+  }
+
+  return user.scopes.some(scope => {
+    const matches = routePath === scope.prefix || routePath.startsWith(`${scope.prefix}/`);
+    return matches && (scope.access === 'write' || level === 'read');
+  });
+};
+
 const getBootToken = async () => {
   try {
     const token = await fs.readFile(BOOT_TOKEN_PATH, 'utf8');
@@ -32,8 +78,14 @@ const authenticateToken = async (req, res, next) => {
 
     // Check if it's an admin API token
     const userService = require('../services/user.service');
-    const adminTokenData = await userService.validateAdminToken(token);
+    const clientIp = getClientIp(req.socket?.remoteAddress, req.headers);
+    const adminTokenData = await userService.validateAdminToken(token, { ip: clientIp });
     if (adminTokenData) {
+      const routePath = req.originalUrl.split('?')[0];
+      const level = READ_METHODS.includes(req.method) ? 'read' : 'write';
+      if (!isTokenScopeAllowed(adminTokenData, routePath, level)) {
+        return res.status(403).json({ error: 'Token scope does not allow this action.' });
+      }
       req.user = adminTokenData;
       return next();
     }
@@ -46,6 +98,13 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'MFA verification required. This token cannot be used for API access.' });
     }
 
+    // Reject revoked or expired sessions
+    const sessionService = require('../services/session.service');
+    const session = await sessionService.touchSession(decodedUser.jti, { ip: clientIp });
+    if (!session || session.userId !== decodedUser.id) {
+      return res.status(401).json({ error: 'Session has been revoked or expired. Please login again.' });
+    }
+
     // Check if user still exists
     const users = await userService.loadUsers();
     const currentUser = users.find(u => u.id === decodedUser.id);
@@ -73,7 +132,9 @@ const authenticateToken = async (req, res, next) => {
       id: currentUser.id,
       username: currentUser.username,
       role: currentUser.role,
-      byte_format: currentUser.byte_format
+      byte_format: currentUser.byte_format,
+      permissions: await userService.getUserPermissions(currentUser),
+      sessionId: session.id
     };
 
     next();
@@ -82,6 +143,44 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the permission route group of a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Route group or null if the route is not covered
+ */
+const getPermissionGroup = (req) => {
+  const baseUrl = req.baseUrl || '';
+  for (const [group, mounts] of Object.entries(ROUTE_GROUPS)) {
+    if (mounts.includes(baseUrl)) {
+      return group;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check if a user has the given permission on a route group
+ * @param {Object} user - Authenticated user (req.user / socket user)
+ * @param {string} group - Route group (docker, vm, lxc, pools, shares, mos)
+ * @param {string} level - 'read' or 'write'
+ * @returns {boolean}
+ */
+const hasPermission = (user, group, level = 'write') => {
+  if (!user) return false;
+
+  if (user.isAdminToken) {
+    return isTokenScopeAllowed(user, ROUTE_GROUPS[group]?.[0] || '', level);
+  }
+
+  if (user.isBootToken || user.role === 'admin') {
+    return true;
+  }
+
+  const granted = user.permissions?.[group];
+  if (granted === 'write') return true;
+  return granted === 'read' && level === 'read';
+};
+
 const checkRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -94,6 +193,13 @@ const checkRole = (roles) => {
     }
 
     if (!roles.includes(req.user.role)) {
+      // Admin-only routes may be opened to users through permission sets
+      const group = roles.includes('admin') ? getPermissionGroup(req) : null;
+      const level = READ_METHODS.includes(req.method) ? 'read' : 'write';
+      if (group && hasPermission(req.user, group, level)) {
+        return next();
+      }
+
       return res.status(403).json({ error: 'Insufficient permissions for this action.' });
     }
 
@@ -104,5 +210,8 @@ const checkRole = (roles) => {
 module.exports = {
   authenticateToken,
   checkRole,
+  hasPermission,
+  isTokenScopeAllowed,
+  getClientIp,
   getBootToken
 }; 
\ No newline at end of file
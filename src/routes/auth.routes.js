@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const userService = require('../services/user.service');
-const { authenticateToken, checkRole, getBootToken } = require('../middleware/auth.middleware');
+const sessionService = require('../services/session.service');
+const ldapService = require('../services/ldap.service');
+const { authenticateToken, checkRole, getBootToken, getClientIp } = require('../middleware/auth.middleware');
 const { loginRateLimiter, resetLoginAttempts } = require('../middleware/login-rate-limit.middleware');
 
 /**
@@ -61,6 +63,138 @@ const { loginRateLimiter, resetLoginAttempts } = require('../middleware/login-ra
  *           type: boolean
  *           description: Whether user has SMB/CIFS access
  *           example: false
+ *         source:
+ *           type: string
+ *           enum: [ldap]
+ *           description: Set for users synced from LDAP / Active Directory (missing for local users)
+ *         ldap_groups:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Directory groups at the last login (LDAP users only)
+ *     LdapSettings:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: Authenticate unknown users against the directory
+ *           example: true
+ *         type:
+ *           type: string
+ *           enum: [ldap, ad]
+ *           description: OpenLDAP (posix schema) or Active Directory
+ *           example: "ad"
+ *         uri:
+ *           type: string
+ *           description: Server URI
+ *           example: "ldaps://dc1.office.local"
+ *         start_tls:
+ *           type: boolean
+ *           description: Use StartTLS on ldap:// connections
+ *           example: false
+ *         tls_reject_unauthorized:
+ *           type: boolean
+ *           description: Verify the server certificate
+ *           example: true
+ *         base_dn:
+ *           type: string
+ *           example: "DC=office,DC=local"
+ *         bind_dn:
+ *           type: string
+ *           description: Service account used for searches (empty for anonymous searches)
+ *           example: "CN=mos,OU=Service,DC=office,DC=local"
+ *         bind_password:
+ *           type: string
+ *           description: Service account password (returned masked)
+ *           example: "********"
+ *         user_filter:
+ *           type: string
+ *           example: "(&(objectClass=user)(objectCategory=person))"
+ *         username_attribute:
+ *           type: string
+ *           example: "sAMAccountName"
+ *         group_filter:
+ *           type: string
+ *           example: "(objectClass=group)"
+ *         group_name_attribute:
+ *           type: string
+ *           example: "cn"
+ *         group_member_attribute:
+ *           type: string
+ *           description: member (DNs) or memberUid (usernames)
+ *           example: "member"
+ *         role_mapping:
+ *           type: object
+ *           description: Directory groups per MOS role. The highest role wins (admin > user > samba_only)
+ *           properties:
+ *             admin:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: ["MOS Admins"]
+ *             user:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: ["Staff"]
+ *             samba_only:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: []
+ *         default_role:
+ *           type: string
+ *           nullable: true
+ *           enum: [admin, user, samba_only]
+ *           description: Role for users without a mapped group (null denies login)
+ *         sync_smb_users:
+ *           type: boolean
+ *           description: Create SMB accounts for all directory users, not only samba_only
+ *           example: true
+ *         cache_offline_login:
+ *           type: boolean
+ *           description: Allow login with cached credentials while the directory is unreachable
+ *           example: true
+ *         cache_ttl_days:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 365
+ *           example: 7
+ *         timeout:
+ *           type: integer
+ *           description: Network timeout in seconds
+ *           example: 10
+ *     LdapUser:
+ *       type: object
+ *       properties:
+ *         username:
+ *           type: string
+ *           example: "jdoe"
+ *         dn:
+ *           type: string
+ *           example: "CN=John Doe,OU=Staff,DC=office,DC=local"
+ *         displayName:
+ *           type: string
+ *           nullable: true
+ *           example: "John Doe"
+ *         email:
+ *           type: string
+ *           nullable: true
+ *           example: "jdoe@office.local"
+ *     LdapGroup:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Staff"
+ *         dn:
+ *           type: string
+ *           example: "CN=Staff,OU=Groups,DC=office,DC=local"
+ *         members:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["John Doe", "jdoe"]
  *     CreateUserRequest:
  *       type: object
  *       required:
@@ -143,13 +277,85 @@ const { loginRateLimiter, resetLoginAttempts } = require('../middleware/login-ra
  *           type: string
  *           format: date-time
  *           description: Creation timestamp
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Expiry timestamp (null = never expires)
+ *         scopes:
+ *           type: array
+ *           description: Route prefix scopes (empty = unrestricted admin access)
+ *           items:
+ *             $ref: '#/components/schemas/AdminTokenScope'
+ *         allowedIps:
+ *           type: array
+ *           description: Source IP allowlist, single addresses or CIDR ranges (empty = any)
+ *           items:
+ *             type: string
+ *           example: ["192.168.1.0/24"]
  *         lastUsed:
  *           type: string
  *           format: date-time
  *           description: Last usage timestamp
+ *         lastUsedIp:
+ *           type: string
+ *           nullable: true
+ *           description: Client IP of the last usage
+ *           example: "192.168.1.20"
  *         isActive:
  *           type: boolean
  *           description: Token active status
+ *     AdminTokenScope:
+ *       type: object
+ *       required:
+ *         - prefix
+ *       properties:
+ *         prefix:
+ *           type: string
+ *           description: Route prefix the token may access (relative prefixes are resolved below /api/v1, except for /metrics which scopes the token to the Prometheus exporter)
+ *           example: "/api/v1/system"
+ *         access:
+ *           type: string
+ *           enum: [read, write]
+ *           default: read
+ *           description: read allows GET requests only, write allows all methods
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Session ID (JWT id)
+ *           example: "3b8f3c1e-2f7a-4d1b-9a63-0c7d5e2b8a11"
+ *         userId:
+ *           type: string
+ *           example: "1"
+ *         username:
+ *           type: string
+ *           example: "admin"
+ *         device:
+ *           type: string
+ *           description: Device derived from the User-Agent
+ *           example: "Firefox on Linux"
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *           description: Client IP of the last activity
+ *           example: "192.168.1.20"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastActivity:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: True for the session of the requesting token
  *     CreateAdminTokenRequest:
  *       type: object
  *       required:
@@ -163,6 +369,47 @@ const { loginRateLimiter, resetLoginAttempts } = require('../middleware/login-ra
  *           type: string
  *           description: Optional description
  *           example: "Token for third-party API integration"
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Optional expiry timestamp (must be in the future)
+ *           example: "2027-01-01T00:00:00Z"
+ *         scopes:
+ *           type: array
+ *           description: Optional route prefix scopes, omit for unrestricted admin access
+ *           items:
+ *             $ref: '#/components/schemas/AdminTokenScope'
+ *           example:
+ *             - prefix: "/api/v1/system"
+ *               access: "read"
+ *             - prefix: "/api/v1/pools"
+ *               access: "read"
+ *         allowedIps:
+ *           type: array
+ *           description: Optional source IP allowlist (addresses or CIDR ranges)
+ *           items:
+ *             type: string
+ *           example: ["192.168.1.0/24"]
+ *     UpdateAdminTokenRequest:
+ *       type: object
+ *       properties:
+ *         description:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: New expiry timestamp, null removes the expiry
+ *         scopes:
+ *           type: array
+ *           description: Replaces the scopes, empty array removes all restrictions
+ *           items:
+ *             $ref: '#/components/schemas/AdminTokenScope'
+ *         allowedIps:
+ *           type: array
+ *           description: Replaces the IP allowlist, empty array allows any source
+ *           items:
+ *             type: string
  */
 
 /**
@@ -275,7 +522,10 @@ router.get('/firstsetup', async (req, res) => {
 router.post('/login', loginRateLimiter, async (req, res) => {
   try {
     const { username, password } = req.body;
-    const result = await userService.authenticate(username, password);
+    const result = await userService.authenticate(username, password, {
+      ip: getClientIp(req.socket?.remoteAddress, req.headers),
+      userAgent: req.headers['user-agent']
+    });
     resetLoginAttempts(req);
     res.json(result);
   } catch (error) {
@@ -342,7 +592,10 @@ router.post('/mfa', loginRateLimiter, async (req, res) => {
       return res.status(400).json({ error: 'mfa_token and code are required' });
     }
 
-    const result = await userService.verifyMfa(mfa_token, code);
+    const result = await userService.verifyMfa(mfa_token, code, {
+      ip: getClientIp(req.socket?.remoteAddress, req.headers),
+      userAgent: req.headers['user-agent']
+    });
     resetLoginAttempts(req);
     res.json(result);
   } catch (error) {
@@ -785,7 +1038,7 @@ router.delete('/users/:id', authenticateToken, checkRole(['admin']), async (req,
  * /auth/logout:
  *   post:
  *     summary: User logout
- *     description: Invalidate the current session. Note that JWT tokens cannot be truly invalidated server-side, but this endpoint provides a consistent logout mechanism.
+ *     description: Revoke the current session. The JWT is rejected by the API and all sockets afterwards.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -809,16 +1062,195 @@ router.delete('/users/:id', authenticateToken, checkRole(['admin']), async (req,
  */
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // JWTs are stateless, so we cannot invalidate them server-side
-    // The client should delete the token
+    // Boot and admin tokens have no session
+    if (req.user.sessionId) {
+      await sessionService.revokeSession(req.user.sessionId);
+    }
     res.json({
-      message: 'Logout successful. Please delete the token on client side.'
+      message: 'Logout successful'
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Session Management
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: |
+ *       Lists active login sessions with device, IP and last activity.
+ *       Users see their own sessions. Admins can pass `userId` to see the sessions of another user
+ *       or `all=true` to list every session; boot and admin tokens list all sessions by default.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User ID (admin only)
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: List sessions of all users (admin only)
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required for other users
+ *   delete:
+ *     summary: Revoke all sessions
+ *     description: |
+ *       Revokes all sessions of the authenticated user except the current one, or all sessions of `userId` (admin only).
+ *       Set `includeCurrent=true` to also end the current session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User ID (admin only)
+ *       - in: query
+ *         name: includeCurrent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 revoked:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: No user session to revoke
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required for other users
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin' || req.user.isBootToken || req.user.isAdminToken;
+    const { userId, all } = req.query;
+
+    if ((userId && userId !== req.user.id) || all === 'true') {
+      if (!isAdmin) {
+        return res.status(403).json({ error: 'Insufficient permissions for this action.' });
+      }
+    }
+
+    let filterUserId = userId || req.user.id || null;
+    if (all === 'true') {
+      filterUserId = null;
+    }
+
+    const sessions = await sessionService.listSessions({ userId: filterUserId }, req.user.sessionId);
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin' || req.user.isBootToken || req.user.isAdminToken;
+    const { userId, includeCurrent } = req.query;
+
+    if (userId && userId !== req.user.id && !isAdmin) {
+      return res.status(403).json({ error: 'Insufficient permissions for this action.' });
+    }
+
+    const targetUserId = userId || req.user.id;
+    if (!targetUserId) {
+      return res.status(400).json({ error: 'userId is required when authenticated with a boot or admin token' });
+    }
+
+    const keepSessionId = targetUserId === req.user.id && includeCurrent !== 'true' ? req.user.sessionId : null;
+    const revoked = await sessionService.revokeUserSessions(targetUserId, keepSessionId);
+
+    res.json({ success: true, revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Revoke a single session. Users can revoke their own sessions, admins any session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Session revoked successfully"
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin' || req.user.isBootToken || req.user.isAdminToken;
+    const session = await sessionService.getSession(req.params.id);
+
+    // Do not reveal sessions of other users to non-admins
+    if (!session || (!isAdmin && session.userId !== req.user.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const result = await sessionService.revokeSession(req.params.id);
+    res.json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 500;
+    res.status(statusCode).json({ error: error.message });
+  }
+});
+
 // JWT Settings Management
 
 /**
@@ -968,7 +1400,7 @@ router.get('/admin-tokens', authenticateToken, checkRole(['admin']), async (req,
  * /auth/admin-tokens:
  *   post:
  *     summary: Create admin token
- *     description: Create a new permanent admin API token (admin only)
+ *     description: Create a new admin API token (admin only). Tokens can optionally expire, be limited to route prefixes with read or write access and be restricted to source IPs.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -1005,7 +1437,7 @@ router.get('/admin-tokens', authenticateToken, checkRole(['admin']), async (req,
  */
 router.post('/admin-tokens', authenticateToken, checkRole(['admin']), async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, expiresAt, scopes, allowedIps } = req.body;
 
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
       return res.status(400).json({
@@ -1014,7 +1446,11 @@ router.post('/admin-tokens', authenticateToken, checkRole(['admin']), async (req
       });
     }
 
-    const result = await userService.createAdminToken(name.trim(), description || '');
+    const result = await userService.createAdminToken(name.trim(), description || '', {
+      expiresAt,
+      scopes,
+      allowedIps
+    });
     res.status(201).json(result);
   } catch (error) {
     res.status(400).json({
@@ -1024,6 +1460,72 @@ router.post('/admin-tokens', authenticateToken, checkRole(['admin']), async (req
   }
 });
 
+/**
+ * @swagger
+ * /auth/admin-tokens/{id}:
+ *   put:
+ *     summary: Update admin token restrictions
+ *     description: Update description, expiry, scopes and IP allowlist of an admin API token (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateAdminTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Admin token updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Admin token updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminToken'
+ *       400:
+ *         description: Bad request - validation failed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ *       404:
+ *         description: Admin token not found
+ */
+router.put('/admin-tokens/:id', authenticateToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const { description, expiresAt, scopes, allowedIps } = req.body || {};
+    const result = await userService.updateAdminToken(req.params.id, {
+      description,
+      expiresAt,
+      scopes,
+      allowedIps
+    });
+    res.json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /auth/admin-tokens/{id}:
@@ -1144,4 +1646,219 @@ router.put('/admin-tokens/:id/deactivate', authenticateToken, checkRole(['admin'
   }
 });
 
+// LDAP / Active Directory
+
+/**
+ * @swagger
+ * /auth/ldap/settings:
+ *   get:
+ *     summary: Get LDAP settings
+ *     description: Get the LDAP / Active Directory authentication settings, the bind password is masked (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: LDAP settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LdapSettings'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ *       500:
+ *         description: Server error
+ */
+router.get('/ldap/settings', authenticateToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const settings = await ldapService.getSettings();
+    res.json(settings);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/ldap/settings:
+ *   put:
+ *     summary: Update LDAP settings
+ *     description: |
+ *       Update the LDAP / Active Directory authentication settings (admin only).
+ *       Only provided fields are changed. Sending the masked bind password keeps the stored one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LdapSettings'
+ *     responses:
+ *       200:
+ *         description: LDAP settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LdapSettings'
+ *       400:
+ *         description: Bad request - validation failed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ */
+router.put('/ldap/settings', authenticateToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const settings = await ldapService.updateSettings(req.body || {});
+    res.json(settings);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/ldap/test:
+ *   post:
+ *     summary: Test LDAP connection
+ *     description: |
+ *       Connect and bind with the service account and search for a few users (admin only).
+ *       Unsaved settings can be passed in the body to test them before saving.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LdapSettings'
+ *     responses:
+ *       200:
+ *         description: Test result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Connection successful"
+ *                 sample_users:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["jdoe", "asmith"]
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ *       500:
+ *         description: Server error
+ */
+router.post('/ldap/test', authenticateToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await ldapService.testConnection(req.body || {});
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/ldap/users:
+ *   get:
+ *     summary: List directory users
+ *     description: List all users matching the configured user filter (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Directory users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LdapUser'
+ *       400:
+ *         description: LDAP is not enabled
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ *       500:
+ *         description: Directory query failed
+ */
+router.get('/ldap/users', authenticateToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const users = await ldapService.listUsers();
+    res.json(users);
+  } catch (error) {
+    const status = error.message === 'LDAP is not enabled' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/ldap/groups:
+ *   get:
+ *     summary: List directory groups
+ *     description: List all groups matching the configured group filter with their members (admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Directory groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LdapGroup'
+ *       400:
+ *         description: LDAP is not enabled
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ *       500:
+ *         description: Directory query failed
+ */
+router.get('/ldap/groups', authenticateToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const groups = await ldapService.listGroups();
+    res.json(groups);
+  } catch (error) {
+    const status = error.message === 'LDAP is not enabled' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -258,6 +258,44 @@ const { checkRole, authenticateToken } = require('../middleware/auth.middleware'
  *               type: integer
  *               description: Total bytes written
  *               example: 536870912
+ *     IoHistorySample:
+ *       type: object
+ *       properties:
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the bucket (sample time for raw samples)
+ *         readSpeed:
+ *           type: integer
+ *           description: Average read speed in bytes per second
+ *         writeSpeed:
+ *           type: integer
+ *           description: Average write speed in bytes per second
+ *         readSpeed_human:
+ *           type: string
+ *           example: "85.3 MiB/s"
+ *         writeSpeed_human:
+ *           type: string
+ *         readSpeed_peak:
+ *           type: integer
+ *           description: Highest 2 second read speed within the bucket
+ *         writeSpeed_peak:
+ *           type: integer
+ *           description: Highest 2 second write speed within the bucket
+ *         readSpeed_peak_human:
+ *           type: string
+ *         writeSpeed_peak_human:
+ *           type: string
+ *         readBytes:
+ *           type: integer
+ *           description: Bytes read within the bucket
+ *         writeBytes:
+ *           type: integer
+ *           description: Bytes written within the bucket
+ *         readBytes_human:
+ *           type: string
+ *         writeBytes_human:
+ *           type: string
  *     SmartInfo:
  *       type: object
  *       properties:
@@ -687,6 +725,88 @@ router.get('/:device/iostats', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /disks/{device}/io/history:
+ *   get:
+ *     summary: Get disk throughput history
+ *     description: |
+ *       Throughput is sampled every 2 seconds. Raw samples are kept in memory for 15 minutes,
+ *       1 minute buckets for 24 hours and 15 minute buckets for 30 days (archived on disk).
+ *       Partitions are mapped to their disk.
+ *     tags: [Disks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: device
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device name (e.g., sda)
+ *         example: "sda"
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           default: 1h
+ *         description: Time range ending now (e.g. 15m, 1h, 24h, 7d, 30d)
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *         description: Bucket size (e.g. 1m, 15m, 1h) or "raw". Default raw up to 15m, 1m up to 24h, 15m up to 7d, 1h beyond
+ *     responses:
+ *       200:
+ *         description: Throughput history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 device:
+ *                   type: string
+ *                   example: "sda"
+ *                 range:
+ *                   type: integer
+ *                   description: Range in seconds
+ *                 resolution:
+ *                   type: integer
+ *                   description: Bucket size in seconds (0 = raw samples)
+ *                 samples:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IoHistorySample'
+ *       400:
+ *         description: Invalid range or resolution
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No history for this device
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Get throughput history of a specific disk
+router.get('/:device/io/history', async (req, res) => {
+  try {
+    const { range, resolution } = req.query;
+    res.json(disksService.getDiskIoHistory(req.params.device, { range, resolution }, req.user));
+  } catch (error) {
+    if (error.message.startsWith('No I/O history')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 /**
  * @swagger
  * /disks/{device}/wake:
@@ -990,7 +1110,8 @@ router.get('/:device/smart', async (req, res) => {
   *       Retrieve a simple array of available filesystem names for formatting.
   *       Use the pooltype parameter to filter filesystems based on pool type:
   *       - **multi**: Returns only btrfs and zfs (if available) - these support multiple disks
-  *       - **nonraid**, **single**, **mergerfs** or no parameter: Returns all available filesystems
+  *       - **zfs**: Returns only zfs (if the ZFS module and tools are available)
+  *       - **nonraid**, **single**, **mergerfs** or no parameter: Returns ext4, xfs and btrfs
   *     tags: [Disks]
   *     security:
   *       - bearerAuth: []
@@ -999,11 +1120,11 @@ router.get('/:device/smart', async (req, res) => {
   *         name: pooltype
   *         schema:
   *           type: string
-  *           enum: [multi, nonraid, single, mergerfs]
+  *           enum: [multi, zfs, nonraid, single, mergerfs]
   *         description: |
   *           Filter filesystems by pool type.
-  *           'multi' returns only btrfs/zfs (multi-disk capable).
-  *           Other values or omitting returns all filesystems.
+  *           'multi' returns only btrfs/zfs (multi-disk capable), 'zfs' only zfs.
+  *           Other values or omitting returns all single disk filesystems.
   *     responses:
   *       200:
   *         description: Available filesystems retrieved successfully
@@ -1016,7 +1137,7 @@ router.get('/:device/smart', async (req, res) => {
   *             examples:
   *               all:
   *                 summary: All filesystems (no filter or nonraid/single/mergerfs)
-  *                 value: ["ext4", "xfs", "btrfs", "zfs"]
+  *                 value: ["ext4", "xfs", "btrfs"]
   *               multi:
   *                 summary: Multi-disk filesystems only (pooltype=multi)
   *                 value: ["btrfs", "zfs"]
@@ -161,6 +161,21 @@ const fs = require('fs');
  *           type: string
  *           description: Conversion result or error message
  *           example: "XML converted successfully"
+ *     ContainerLogEntry:
+ *       type: object
+ *       properties:
+ *         stream:
+ *           type: string
+ *           enum: [stdout, stderr]
+ *           example: "stdout"
+ *         timestamp:
+ *           type: string
+ *           nullable: true
+ *           description: Docker timestamp (only when timestamps is enabled)
+ *           example: "2024-01-20T21:30:00.123456789Z"
+ *         message:
+ *           type: string
+ *           example: "GET / HTTP/1.1 200"
  */
 
 // Only admin can access this route
@@ -530,6 +545,112 @@ router.get('/mos/ports', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /docker/mos/containers/{name}/logs:
+ *   get:
+ *     summary: Get container logs
+ *     description: |
+ *       Returns the stdout/stderr output of a container (admin only). Works for all containers,
+ *       including containers of compose stacks. Use the docker-logs-subscribe socket event to follow logs live.
+ *     tags: [Docker]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Container name
+ *         example: "nginx"
+ *       - in: query
+ *         name: tail
+ *         schema:
+ *           type: string
+ *           default: "100"
+ *         description: Number of lines from the end of the logs or "all"
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *         description: Only return logs since this time (UNIX timestamp, ISO date or duration like 30s, 10m, 2h, 1d)
+ *         example: "10m"
+ *       - in: query
+ *         name: timestamps
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the Docker timestamp of every line
+ *     responses:
+ *       200:
+ *         description: Container logs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                   example: "nginx"
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContainerLogEntry'
+ *       400:
+ *         description: Invalid container name or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Container not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Get Docker container logs
+router.get('/mos/containers/:name/logs', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { tail, since, timestamps } = req.query;
+    const logs = await dockerService.getContainerLogs(name, {
+      tail,
+      since,
+      timestamps: timestamps === 'true' || timestamps === '1'
+    });
+    res.json({ name, logs });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 // Update Docker container indices
 router.post('/mos/containers', async (req, res) => {
   try {
@@ -173,6 +173,97 @@ router.get('/stacks/:name', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /docker/mos/compose/stacks/{name}/logs:
+ *   get:
+ *     summary: Get logs of all containers in a stack
+ *     description: Returns the stdout/stderr output of every container of a compose stack (admin only)
+ *     tags: [Docker Compose]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stack name
+ *       - in: query
+ *         name: tail
+ *         schema:
+ *           type: string
+ *           default: "100"
+ *         description: Number of lines per container from the end of the logs or "all"
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *         description: Only return logs since this time (UNIX timestamp, ISO date or duration like 30s, 10m, 2h, 1d)
+ *       - in: query
+ *         name: timestamps
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the Docker timestamp of every line
+ *     responses:
+ *       200:
+ *         description: Logs per container
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stack:
+ *                   type: string
+ *                   example: "wordpress"
+ *                 containers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "wordpress-db-1"
+ *                       logs:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ContainerLogEntry'
+ *                       error:
+ *                         type: string
+ *                         description: Set if the logs of this container could not be read
+ *       400:
+ *         description: Invalid stack name or query parameters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ *       404:
+ *         description: Stack not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/stacks/:name/logs', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { tail, since, timestamps } = req.query;
+    const result = await dockerComposeService.getStackLogs(name, {
+      tail,
+      since,
+      timestamps: timestamps === 'true' || timestamps === '1'
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Stack name') || error.message.includes('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 /**
  * @swagger
  * /docker/mos/compose/stacks:
@@ -7,6 +7,7 @@ const mosService = require('../services/mos.service');
 const zramService = require('../services/zram.service');
 const swapService = require('../services/swap.service');
 const pluginsService = require('../services/plugins.service');
+const auditService = require('../services/audit.service');
 const { checkRole } = require('../middleware/auth.middleware');
 
 /**
@@ -258,6 +259,32 @@ const { checkRole } = require('../middleware/auth.middleware');
  *               description: Number of currently free hugepages (read-only, from system)
  *               readOnly: true
  *               example: 512
+ *         backup_path:
+ *           type: string
+ *           nullable: true
+ *           description: Directory where VM backups are stored (one subdirectory per VM)
+ *           example: "/mnt/pool1/backups/vm"
+ *         backups_to_keep:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           description: Number of backups to keep per VM (older ones are deleted)
+ *           example: 3
+ *         compression:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 9
+ *           description: xz compression level (7-9 requires 12GB+ RAM)
+ *           example: 6
+ *         threads:
+ *           type: integer
+ *           minimum: 0
+ *           description: Number of xz compression threads (0 = half of the CPU cores)
+ *           example: 0
+ *         use_snapshot:
+ *           type: boolean
+ *           description: Keep running VMs running during backup by using a temporary external disk snapshot instead of suspending them
+ *           example: false
  *     NetworkSettings:
  *       type: object
  *       properties:
@@ -874,6 +901,11 @@ router.post('/settings/lxc', async (req, res) => {
  *                 total: 1024
  *                 size_mb: 2
  *                 free: 512
+ *               backup_path: "/mnt/pool1/backups/vm"
+ *               backups_to_keep: 3
+ *               compression: 6
+ *               threads: 0
+ *               use_snapshot: false
  *       401:
  *         description: Not authenticated
  *         content:
@@ -924,6 +956,13 @@ router.post('/settings/lxc', async (req, res) => {
  *                 hugepages:
  *                   enabled: true
  *                   total: 1024
+ *             backup:
+ *               summary: Configure VM backups
+ *               value:
+ *                 backup_path: "/mnt/pool1/backups/vm"
+ *                 backups_to_keep: 5
+ *                 compression: 6
+ *                 use_snapshot: true
  *     responses:
  *       200:
  *         description: VM settings updated successfully
@@ -8345,4 +8384,193 @@ router.get('/zswap/status', async (req, res) => {
   }
 });
 
+// ============================================================
+// AUDIT LOG ENDPOINTS
+// ============================================================
+
+/**
+ * @swagger
+ * /mos/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: |
+ *       Returns audit records, newest first. Every mutating API request (non-GET, authenticated),
+ *       Docker socket operations, terminal session creation and finished file operations are recorded.
+ *       Secrets in request bodies are redacted. Admin only - not available through permission sets.
+ *     tags: [MOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Actor id or name (user, admin token or "boot")
+ *       - in: query
+ *         name: actorType
+ *         schema:
+ *           type: string
+ *           enum: [user, admin_token, boot]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [api, socket, fileoperation]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [POST, PUT, PATCH, DELETE]
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *         description: Substring of the request path
+ *         example: "/api/v1/docker"
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Socket event or file operation (e.g. upgrade, create-session, copy)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: integer
+ *         description: HTTP status code
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *                 limit:
+ *                   type: integer
+ *                   example: 100
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       source:
+ *                         type: string
+ *                         enum: [api, socket, fileoperation]
+ *                       actor:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                       ip:
+ *                         type: string
+ *                       method:
+ *                         type: string
+ *                       route:
+ *                         type: string
+ *                       namespace:
+ *                         type: string
+ *                       action:
+ *                         type: string
+ *                       body:
+ *                         type: object
+ *                       params:
+ *                         type: object
+ *                       status:
+ *                         type: integer
+ *                       success:
+ *                         type: boolean
+ *                       error:
+ *                         type: string
+ *                         nullable: true
+ *                       duration:
+ *                         type: integer
+ *                         description: Duration in milliseconds
+ *             example:
+ *               total: 1
+ *               offset: 0
+ *               limit: 100
+ *               entries:
+ *                 - timestamp: "2026-01-10T12:00:00.000Z"
+ *                   source: "api"
+ *                   ip: "192.168.1.20"
+ *                   method: "POST"
+ *                   route: "/api/v1/docker/mos/restart"
+ *                   status: 200
+ *                   success: true
+ *                   duration: 812
+ *                   actor:
+ *                     type: "user"
+ *                     id: "1"
+ *                     name: "admin"
+ *                   body:
+ *                     name: "nginx"
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin permission required
+ *       500:
+ *         description: Server error
+ */
+
+// GET: Query audit log
+router.get('/audit', async (req, res) => {
+  try {
+    // The audit log is not part of the mos permission group
+    if (req.user.role !== 'admin' && !req.user.isBootToken && !req.user.isAdminToken) {
+      return res.status(403).json({ error: 'Insufficient permissions for this action.' });
+    }
+
+    const result = await auditService.query(req.query);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 module.exports = router;
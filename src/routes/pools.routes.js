@@ -4,6 +4,7 @@ const { checkRole, authenticateToken } = require('../middleware/auth.middleware'
 const PoolsService = require('../services/pools.service');
 const disksService = require('../services/disks.service');
 const smartService = require('../services/smart.service');
+const hotSpareService = require('../services/hotspare.service');
 
 // Initialize pools service for all operations
 const poolsService = new PoolsService();
@@ -26,6 +27,212 @@ router.use('/vpools', require('./vpools.routes'));
  *           type: string
  *           description: Error message
  *           example: "Pool not found"
+ *     ZfsScanProgress:
+ *       type: object
+ *       nullable: true
+ *       description: Progress of a running or paused ZFS scrub / resilver
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [running, paused]
+ *           example: "running"
+ *         percent:
+ *           type: number
+ *           example: 45.5
+ *         processed:
+ *           type: string
+ *           example: "1.5 TB"
+ *         total:
+ *           type: string
+ *           example: "3.2 TB"
+ *         speed:
+ *           type: string
+ *           example: "150 MB/s"
+ *         eta:
+ *           type: string
+ *           example: "01:23:45"
+ *         errors:
+ *           type: integer
+ *           example: 0
+ *     BtrfsSubvolume:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 257
+ *         parent_id:
+ *           type: integer
+ *           example: 5
+ *         path:
+ *           type: string
+ *           description: Path relative to the pool root
+ *           example: "shares/documents"
+ *         mountPath:
+ *           type: string
+ *           example: "/mnt/data/shares/documents"
+ *         uuid:
+ *           type: string
+ *         parent_uuid:
+ *           type: string
+ *           nullable: true
+ *           description: UUID of the source subvolume if this subvolume was created as snapshot
+ *         readonly:
+ *           type: boolean
+ *           example: false
+ *         snapshot_count:
+ *           type: integer
+ *           example: 31
+ *     BtrfsSnapshot:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "hourly_2025-06-04_12-00-00"
+ *         subvolume:
+ *           type: string
+ *           description: Subvolume the snapshot was taken of ('' = pool root)
+ *           example: "shares/documents"
+ *         mountPath:
+ *           type: string
+ *           example: "/mnt/data/.snapshots/shares/documents/hourly_2025-06-04_12-00-00"
+ *         level:
+ *           type: string
+ *           description: hourly, daily, weekly for scheduled snapshots, manual or pre-rollback otherwise
+ *           example: "hourly"
+ *         created:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     SnapshotPolicy:
+ *       type: object
+ *       required:
+ *         - subvolume
+ *       properties:
+ *         subvolume:
+ *           type: string
+ *           description: Subvolume path relative to the pool root ('' = pool root)
+ *           example: "shares/documents"
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         retention:
+ *           type: object
+ *           description: Number of snapshots to keep per level (0 = no snapshots of this level)
+ *           properties:
+ *             hourly:
+ *               type: integer
+ *               example: 24
+ *             daily:
+ *               type: integer
+ *               example: 7
+ *             weekly:
+ *               type: integer
+ *               example: 4
+ *     HotSparePolicy:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [auto, notify]
+ *           default: auto
+ *           description: auto = rebuild onto a spare automatically, notify = only send a notification
+ *         triggers:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [missing, failing]
+ *           default: [missing]
+ *           description: missing = member disk disappeared, failing = SMART trend alert or failed self-test
+ *         delay:
+ *           type: integer
+ *           default: 300
+ *           description: Seconds to wait after a disk went missing before the rebuild starts (the rebuild is skipped if the disk returns)
+ *         allow_unmount:
+ *           type: boolean
+ *           default: false
+ *           description: NonRAID only - allow stopping the array for the replacement
+ *     HotSpare:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: /dev/disk/by-id name of the spare
+ *           example: "ata-WDC_WD40EFRX-68N32N0_WD-WCC7K1234567"
+ *         device:
+ *           type: string
+ *           nullable: true
+ *           example: "/dev/sdf"
+ *         serial:
+ *           type: string
+ *           nullable: true
+ *         present:
+ *           type: boolean
+ *         shared_with:
+ *           type: array
+ *           description: Other pools using the same spare
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *         in_use:
+ *           type: boolean
+ *           description: A rebuild is currently using this spare
+ *     HotSpareRebuild:
+ *       type: object
+ *       properties:
+ *         poolId:
+ *           type: string
+ *         poolName:
+ *           type: string
+ *         poolType:
+ *           type: string
+ *           enum: [btrfs, nonraid]
+ *         trigger:
+ *           type: string
+ *           enum: [missing, failing, manual]
+ *         device:
+ *           type: string
+ *           description: Member device being replaced
+ *         spare:
+ *           type: string
+ *           nullable: true
+ *         spareDevice:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled, skipped]
+ *         progress:
+ *           type: number
+ *           nullable: true
+ *           description: Percent done (BTRFS replace or NonRAID reconstruction)
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         steps:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               time:
+ *                 type: string
+ *                 format: date-time
+ *               message:
+ *                 type: string
  *     Pool:
  *       type: object
  *       properties:
@@ -61,6 +268,29 @@ router.use('/vpools', require('./vpools.routes'));
  *               powerStatus:
  *                 type: string
  *                 enum: [active, standby, unknown]
+ *               vdev_class:
+ *                 type: string
+ *                 description: ZFS vdev class (ZFS only)
+ *                 enum: [data, special, log, cache]
+ *               zfs:
+ *                 type: object
+ *                 description: Vdev state from zpool status (ZFS only)
+ *                 properties:
+ *                   state:
+ *                     type: string
+ *                     example: "ONLINE"
+ *                   vdev:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "mirror-0"
+ *                   read_errors:
+ *                     type: integer
+ *                   write_errors:
+ *                     type: integer
+ *                   checksum_errors:
+ *                     type: integer
+ *                   resilvering:
+ *                     type: boolean
  *               performance:
  *                 type: object
  *                 description: I/O performance (only with includeMetrics=true)
@@ -126,6 +356,46 @@ router.use('/vpools', require('./vpools.routes'));
  *               type: boolean
  *               description: Whether parity is valid (all disks OK or NP) - NonRAID only, null if unmounted or no parity
  *               example: true
+ *             health:
+ *               type: string
+ *               nullable: true
+ *               description: zpool state (ZFS only, null if not imported)
+ *               enum: [ONLINE, DEGRADED, FAULTED, OFFLINE, UNAVAIL, REMOVED, SUSPENDED]
+ *               example: "DEGRADED"
+ *             health_message:
+ *               type: string
+ *               nullable: true
+ *               description: Status message of zpool status (ZFS only)
+ *             health_action:
+ *               type: string
+ *               nullable: true
+ *               description: Recommended action of zpool status (ZFS only)
+ *             scrub_operation:
+ *               type: boolean
+ *               description: Whether a scrub is running (BTRFS/ZFS)
+ *             scrub_progress:
+ *               $ref: '#/components/schemas/ZfsScanProgress'
+ *             resilver_operation:
+ *               type: boolean
+ *               description: Whether a resilver is running (ZFS only)
+ *             resilver_progress:
+ *               $ref: '#/components/schemas/ZfsScanProgress'
+ *             last_scan:
+ *               type: object
+ *               nullable: true
+ *               description: Result of the last finished scrub or resilver (ZFS only)
+ *               properties:
+ *                 operation:
+ *                   type: string
+ *                   enum: [scrub, resilver]
+ *                 state:
+ *                   type: string
+ *                   enum: [finished, canceled]
+ *                 errors:
+ *                   type: integer
+ *                 repaired:
+ *                   type: integer
+ *                   description: Repaired bytes
  *             parity_progress:
  *               type: object
  *               description: Progress information for running parity operation
@@ -339,7 +609,7 @@ router.get('/', authenticateToken, async (req, res) => {
   *               type: array
   *               items:
   *                 type: string
-  *               example: ["single", "multi", "mergerfs", "nonraid"]
+  *               example: ["single", "multi", "mergerfs", "nonraid", "zfs"]
   *       401:
   *         description: Not authenticated
   *         content:
@@ -715,8 +985,12 @@ router.patch('/:id/comment', checkRole(['admin']), async (req, res) => {
  *                 example: 70
  *               usage_alert.alert:
  *                 type: integer
- *                 description: "Usage alert threshold in percent (default 90). 0 disables the alert level. warning=0 AND alert=0 disables usage monitoring for the pool."
+ *                 description: "Usage alert threshold in percent (default 90). 0 disables the alert level. warning=0 AND alert=0 disables threshold notifications for the pool."
  *                 example: 90
+ *               usage_alert.forecast_days:
+ *                 type: integer
+ *                 description: "Notify when the pool is forecast to be full within this many days (default 30). 0 disables the forecast notification."
+ *                 example: 30
  *           examples:
  *             shared:
  *               summary: Toggle shared status
@@ -778,6 +1052,215 @@ router.patch('/:id/config', checkRole(['admin']), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /pools/{id}/usage/history:
+ *   get:
+ *     summary: Get pool usage history and capacity forecast
+ *     description: |
+ *       Usage samples recorded every 10 minutes by the usage monitor (mounted, awake pools only).
+ *       Samples are kept at full resolution for 7 days and hourly for 2 years.
+ *       The forecast estimates when the pool runs full: `linear` fits a trend over the last 14 days,
+ *       `seasonal` uses the average week-over-week growth of the last 4 weeks, `auto` picks seasonal
+ *       once two weeks of history exist.
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           default: 7d
+ *         description: Time range ending now (e.g. 24h, 7d, 30d, 1y)
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *         description: Bucket size (e.g. 1h, 1d) or "raw". Default raw up to 24h, 1h up to 31d, 1d beyond
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [auto, linear, seasonal]
+ *           default: auto
+ *         description: Forecast method
+ *     responses:
+ *       200:
+ *         description: Usage history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pool_id:
+ *                   type: string
+ *                 pool_name:
+ *                   type: string
+ *                 range:
+ *                   type: integer
+ *                   description: Range in seconds
+ *                 resolution:
+ *                   type: integer
+ *                   description: Bucket size in seconds (0 = raw samples)
+ *                 samples:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       used:
+ *                         type: integer
+ *                       used_human:
+ *                         type: string
+ *                       free:
+ *                         type: integer
+ *                       free_human:
+ *                         type: string
+ *                       usagePercent:
+ *                         type: number
+ *                 forecast:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [linear, seasonal]
+ *                     lookback_days:
+ *                       type: integer
+ *                       nullable: true
+ *                     growth_per_day:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Bytes per day
+ *                     growth_per_day_human:
+ *                       type: string
+ *                       nullable: true
+ *                     days_until_full:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 42.5
+ *                     full_date:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     r_squared:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Fit quality of the linear forecast
+ *                     horizon_days:
+ *                       type: integer
+ *                       description: Notification horizon (usage_alert.forecast_days)
+ *                     reason:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Why no forecast is available
+ *       400:
+ *         description: Invalid range, resolution or method
+ *       404:
+ *         description: Pool not found
+ */
+router.get('/:id/usage/history', async (req, res) => {
+  try {
+    const { range, resolution, method } = req.query;
+    const result = await poolsService.getPoolUsageHistory(req.params.id, { range, resolution, method }, req.user);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /pools/{id}/io/history:
+ *   get:
+ *     summary: Get pool throughput history
+ *     description: |
+ *       Cumulative throughput of all data and parity disks of the pool, built from the disk
+ *       throughput history (raw for 15 minutes, 1 minute buckets for 24 hours, 15 minute buckets for 30 days).
+ *       Peaks are the sum of the per-disk peaks and therefore an upper bound.
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           default: 1h
+ *         description: Time range ending now (e.g. 15m, 1h, 24h, 7d, 30d)
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *         description: Bucket size (e.g. 1m, 15m, 1h) or "raw". Default raw up to 15m, 1m up to 24h, 15m up to 7d, 1h beyond
+ *     responses:
+ *       200:
+ *         description: Throughput history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pool_id:
+ *                   type: string
+ *                 pool_name:
+ *                   type: string
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["sda", "sdb"]
+ *                 range:
+ *                   type: integer
+ *                   description: Range in seconds
+ *                 resolution:
+ *                   type: integer
+ *                   description: Bucket size in seconds (0 = raw samples)
+ *                 samples:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IoHistorySample'
+ *       400:
+ *         description: Invalid range or resolution
+ *       404:
+ *         description: Pool not found
+ */
+router.get('/:id/io/history', async (req, res) => {
+  try {
+    const { range, resolution } = req.query;
+    const result = await poolsService.getPoolIoHistory(req.params.id, { range, resolution }, req.user);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 /**
  * @swagger
  * /pools/order:
@@ -1495,26 +1978,21 @@ router.post('/nonraid', checkRole(['admin']), async (req, res) => {
 
 /**
  * @swagger
- * /pools/nonraid/replace:
+ * /pools/zfs:
  *   post:
- *     summary: Replace devices in a NonRAID pool
+ *     summary: Create or import ZFS pool
  *     description: |
- *       Replace one or more devices in the NonRAID pool with parity reconstruction (admin only).
+ *       Create a new native ZFS pool (format=true) or import an existing zpool (format=false) (admin only).
  *
- *       **Important:**
- *       - Only one NonRAID pool can exist per system
- *       - Pool must be unmounted before replacement
- *       - Maximum replacements: 1 device with 1 parity, 2 devices with 2 parities
- *       - Data and parity devices can be replaced simultaneously
- *       - Parity reconstruction starts automatically after replacement
+ *       **Layouts:**
+ *       - `stripe`, `mirror`, `raidz1`, `raidz2`, `raidz3`
+ *       - `vdevWidth` splits the data devices into multiple top-level vdevs (e.g. 4 devices, mirror, vdevWidth 2 = striped mirrors)
  *
- *       **Size Requirements:**
- *       - New data devices must be <= smallest parity device
- *       - New parity devices must be >= largest data device
+ *       **Support vdevs:** special (metadata), log (SLOG) and cache (L2ARC) devices.
  *
- *       **Encryption:**
- *       - Passphrase required when replacing data devices in encrypted pools
- *       - New data devices will be encrypted with the existing key
+ *       Devices may be disks, partitions or files (file-backed vdevs, e.g. for testing).
+ *       Disks are referenced by /dev/disk/by-id so the pool survives device renames.
+ *       LUKS encryption is not supported for ZFS pools.
  *     tags: [Pools]
  *     security:
  *       - bearerAuth: []
@@ -1525,46 +2003,244 @@ router.post('/nonraid', checkRole(['admin']), async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - replacements
- *               - format
+ *               - name
  *             properties:
- *               replacements:
+ *               name:
+ *                 type: string
+ *                 description: Name for the new pool (also used as zpool name when creating)
+ *                 example: "tank"
+ *               devices:
  *                 type: array
- *                 description: Array of device replacements (slot and new device path)
+ *                 description: Data device paths (required when creating)
  *                 items:
- *                   type: object
- *                   required:
- *                     - slot
- *                     - newDevice
- *                   properties:
- *                     slot:
- *                       type: string
- *                       description: Slot number to replace (data slots 1-28, parity slots 1-2)
- *                       example: "2"
- *                     newDevice:
- *                       type: string
- *                       description: Path to new device
- *                       example: "/dev/sdg"
- *                 example:
- *                   - slot: "2"
- *                     newDevice: "/dev/sdg"
- *                   - slot: "3"
- *                     newDevice: "/dev/sdh"
+ *                   type: string
+ *                 example: ["/dev/sdb", "/dev/sdc"]
+ *               raidLevel:
+ *                 type: string
+ *                 description: Data vdev layout
+ *                 enum: [stripe, mirror, raidz1, raidz2, raidz3]
+ *                 default: mirror
+ *                 example: mirror
  *               format:
  *                 type: boolean
- *                 description: Must be true (devices will be formatted)
+ *                 description: Create a new zpool (true) or import an existing one (false)
  *                 example: true
- *               passphrase:
+ *               zpoolName:
  *                 type: string
- *                 description: Encryption passphrase (required for encrypted pools with data replacements)
- *                 example: "my_secure_password"
- *     responses:
- *       200:
- *         description: Devices replaced successfully, parity reconstruction started
- *         content:
- *           application/json:
- *             schema:
- *               type: object
+ *                 description: Name of the existing zpool to import (format=false, default is name)
+ *                 example: "oldtank"
+ *               vdevWidth:
+ *                 type: integer
+ *                 description: Devices per top-level data vdev (default all devices in one vdev)
+ *                 example: 2
+ *               special:
+ *                 type: array
+ *                 description: Special (metadata) vdev devices
+ *                 items:
+ *                   type: string
+ *                 example: ["/dev/nvme0n1", "/dev/nvme1n1"]
+ *               log:
+ *                 type: array
+ *                 description: SLOG devices
+ *                 items:
+ *                   type: string
+ *               cache:
+ *                 type: array
+ *                 description: L2ARC devices (never mirrored)
+ *                 items:
+ *                   type: string
+ *               specialLayout:
+ *                 type: string
+ *                 enum: [mirror, stripe]
+ *                 description: Layout of the special vdev (default mirror with 2+ devices)
+ *               logLayout:
+ *                 type: string
+ *                 enum: [mirror, stripe]
+ *                 description: Layout of the log vdev (default mirror with 2+ devices)
+ *               ashift:
+ *                 type: integer
+ *                 default: 12
+ *                 example: 12
+ *               compression:
+ *                 type: string
+ *                 default: lz4
+ *                 example: lz4
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   automount:
+ *                     type: boolean
+ *                     description: Whether to automatically mount the pool
+ *                     default: false
+ *                     example: true
+ *                   comment:
+ *                     type: string
+ *                     description: Optional comment for the pool
+ *                     example: "My ZFS pool"
+ *               config:
+ *                 type: object
+ *                 properties:
+ *                   shared:
+ *                     type: boolean
+ *                     default: false
+ *     responses:
+ *       201:
+ *         description: Pool created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Successfully created ZFS pool \"tank\" with mirror configuration"
+ *                 pool:
+ *                   type: object
+ *                   description: Created pool object
+ *       400:
+ *         description: Bad request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Create or import ZFS pool (admin only)
+router.post('/zfs', checkRole(['admin']), async (req, res) => {
+  try {
+    const {
+      name,
+      devices = [],
+      raidLevel = 'mirror',
+      format,
+      zpoolName,
+      vdevWidth,
+      special,
+      log,
+      cache,
+      specialLayout,
+      logLayout,
+      ashift,
+      compression,
+      options = {},
+      config = {}
+    } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Pool name is required' });
+    }
+
+    if (format === true && (!Array.isArray(devices) || devices.length === 0)) {
+      return res.status(400).json({ error: 'At least one data device is required' });
+    }
+
+    // Prepare pool options
+    const poolOptions = {
+      ...options,
+      format,
+      zpoolName,
+      vdevWidth,
+      special,
+      log,
+      cache,
+      specialLayout,
+      logLayout,
+      ashift,
+      compression
+    };
+    if (config && Object.keys(config).length > 0) {
+      poolOptions.config = config;
+    }
+
+    const result = await poolsService.createZfsPool(name, devices, raidLevel, poolOptions);
+
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error(error);
+    return res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pools/nonraid/replace:
+ *   post:
+ *     summary: Replace devices in a NonRAID pool
+ *     description: |
+ *       Replace one or more devices in the NonRAID pool with parity reconstruction (admin only).
+ *
+ *       **Important:**
+ *       - Only one NonRAID pool can exist per system
+ *       - Pool must be unmounted before replacement
+ *       - Maximum replacements: 1 device with 1 parity, 2 devices with 2 parities
+ *       - Data and parity devices can be replaced simultaneously
+ *       - Parity reconstruction starts automatically after replacement
+ *
+ *       **Size Requirements:**
+ *       - New data devices must be <= smallest parity device
+ *       - New parity devices must be >= largest data device
+ *
+ *       **Encryption:**
+ *       - Passphrase required when replacing data devices in encrypted pools
+ *       - New data devices will be encrypted with the existing key
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - replacements
+ *               - format
+ *             properties:
+ *               replacements:
+ *                 type: array
+ *                 description: Array of device replacements (slot and new device path)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - slot
+ *                     - newDevice
+ *                   properties:
+ *                     slot:
+ *                       type: string
+ *                       description: Slot number to replace (data slots 1-28, parity slots 1-2)
+ *                       example: "2"
+ *                     newDevice:
+ *                       type: string
+ *                       description: Path to new device
+ *                       example: "/dev/sdg"
+ *                 example:
+ *                   - slot: "2"
+ *                     newDevice: "/dev/sdg"
+ *                   - slot: "3"
+ *                     newDevice: "/dev/sdh"
+ *               format:
+ *                 type: boolean
+ *                 description: Must be true (devices will be formatted)
+ *                 example: true
+ *               passphrase:
+ *                 type: string
+ *                 description: Encryption passphrase (required for encrypted pools with data replacements)
+ *                 example: "my_secure_password"
+ *     responses:
+ *       200:
+ *         description: Devices replaced successfully, parity reconstruction started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
  *               properties:
  *                 success:
  *                   type: boolean
@@ -3291,4 +3967,804 @@ router.post('/:id/btrfs/balance', checkRole(['admin']), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /pools/{id}/zfs/scrub:
+ *   post:
+ *     summary: Execute ZFS scrub operation
+ *     description: |
+ *       Scrub operations for ZFS pools only.
+ *       Scheduled scrubs use the scrub config of the pool (config.scrub), like BTRFS pools.
+ *
+ *       **Operations:**
+ *       - `start`: Start a new scrub
+ *       - `status`: Get pool health and scrub / resilver progress
+ *       - `pause`: Pause a running scrub
+ *       - `resume`: Resume a paused scrub
+ *       - `cancel`: Cancel a running or paused scrub
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operation
+ *             properties:
+ *               operation:
+ *                 type: string
+ *                 description: Operation to execute
+ *                 enum: [start, status, pause, resume, cancel]
+ *                 example: "start"
+ *     responses:
+ *       200:
+ *         description: ZFS scrub operation executed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "ZFS scrub started"
+ *                 operation:
+ *                   type: string
+ *                   example: "start"
+ *                 poolName:
+ *                   type: string
+ *                   example: "tank"
+ *                 running:
+ *                   type: boolean
+ *                   description: Present only for status operation
+ *                   example: true
+ *                 paused:
+ *                   type: boolean
+ *                   description: Present only for status operation
+ *                   example: false
+ *                 resilvering:
+ *                   type: boolean
+ *                   description: Present only for status operation
+ *                   example: false
+ *                 health:
+ *                   type: string
+ *                   description: Present only for status operation
+ *                   example: "ONLINE"
+ *                 progress:
+ *                   $ref: '#/components/schemas/ZfsScanProgress'
+ *                 timestamp:
+ *                   type: string
+ *                   example: "2025-06-04T12:34:56.789Z"
+ *       400:
+ *         description: Invalid request parameters or operation requirements not met
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   examples:
+ *                     wrong_type:
+ *                       value: "ZFS scrub is only supported for ZFS pools, not 'btrfs'"
+ *                     not_mounted:
+ *                       value: "ZFS pool is not mounted. Please mount the pool first."
+ *                     already_running:
+ *                       value: "A scrub operation is already running. Use \"cancel\" to stop it first."
+ *                     resilvering:
+ *                       value: "A resilver is running. Wait for it to finish before starting a scrub."
+ *                     not_running:
+ *                       value: "No scrub operation is currently running"
+ *       404:
+ *         description: Pool not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/zfs/scrub', checkRole(['admin']), async (req, res) => {
+  try {
+    const { operation } = req.body;
+
+    if (!operation) {
+      return res.status(400).json({ error: 'Operation is required' });
+    }
+
+    const result = await poolsService.executeZfsScrubOperation(req.params.id, operation, { user: req.user });
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('only supported for') ||
+        error.message.includes('not mounted') ||
+        error.message.includes('already running') ||
+        error.message.includes('is paused') ||
+        error.message.includes('resilver is running') ||
+        error.message.includes('No') ||
+        error.message.includes('Invalid operation')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Map subvolume / snapshot errors to HTTP status codes
+function sendSnapshotError(res, error) {
+  console.error(error);
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('only supported for') ||
+      error.message.includes('not mounted') ||
+      error.message.includes('already exists') ||
+      error.message.includes('Invalid') ||
+      error.message.includes('invalid') ||
+      error.message.includes('required') ||
+      error.message.includes('must') ||
+      error.message.includes('cannot') ||
+      error.message.includes('reserved') ||
+      error.message.includes('Duplicate') ||
+      error.message.includes('is not a BTRFS subvolume')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * @swagger
+ * /pools/{id}/subvolumes:
+ *   get:
+ *     summary: List BTRFS subvolumes
+ *     description: List the subvolumes of a mounted BTRFS pool. Snapshots below .snapshots are listed by /pools/{id}/snapshots.
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     responses:
+ *       200:
+ *         description: Subvolumes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BtrfsSubvolume'
+ *       400:
+ *         description: Pool is not a mounted BTRFS pool
+ *       404:
+ *         description: Pool not found
+ *   post:
+ *     summary: Create BTRFS subvolume
+ *     description: Create a subvolume (missing parent directories are created)
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - path
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 description: Path relative to the pool root
+ *                 example: "shares/documents"
+ *     responses:
+ *       201:
+ *         description: Subvolume created
+ *       400:
+ *         description: Invalid path or path already exists
+ *       404:
+ *         description: Pool not found
+ *   delete:
+ *     summary: Delete BTRFS subvolume
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - path
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 example: "shares/documents"
+ *               deleteSnapshots:
+ *                 type: boolean
+ *                 description: Also delete all snapshots of the subvolume
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Subvolume deleted
+ *       404:
+ *         description: Pool or subvolume not found
+ */
+router.get('/:id/subvolumes', checkRole(['admin']), async (req, res) => {
+  try {
+    const subvolumes = await poolsService.listSubvolumes(req.params.id);
+    res.json(subvolumes);
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+router.post('/:id/subvolumes', checkRole(['admin']), async (req, res) => {
+  try {
+    const { path: subvolumePath } = req.body;
+
+    if (!subvolumePath) {
+      return res.status(400).json({ error: 'Subvolume path is required' });
+    }
+
+    const result = await poolsService.createSubvolume(req.params.id, subvolumePath);
+    res.status(201).json(result);
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+router.delete('/:id/subvolumes', checkRole(['admin']), async (req, res) => {
+  try {
+    const { path: subvolumePath, deleteSnapshots = false } = req.body || {};
+
+    if (!subvolumePath) {
+      return res.status(400).json({ error: 'Subvolume path is required' });
+    }
+
+    const result = await poolsService.deleteSubvolume(req.params.id, subvolumePath, { deleteSnapshots });
+    res.json(result);
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /pools/{id}/snapshots:
+ *   get:
+ *     summary: List BTRFS snapshots
+ *     description: List the read-only snapshots of a BTRFS pool (stored below /mnt/<pool>/.snapshots)
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *       - name: subvolume
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only list snapshots of this subvolume ('' = pool root)
+ *     responses:
+ *       200:
+ *         description: Snapshots retrieved successfully (newest first)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BtrfsSnapshot'
+ *       404:
+ *         description: Pool not found
+ *   post:
+ *     summary: Create read-only snapshot
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subvolume:
+ *                 type: string
+ *                 description: Subvolume to snapshot ('' or omitted = pool root)
+ *                 example: "shares/documents"
+ *               name:
+ *                 type: string
+ *                 description: Snapshot name (default manual_<timestamp>)
+ *                 example: "before-upgrade"
+ *     responses:
+ *       201:
+ *         description: Snapshot created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 snapshot:
+ *                   $ref: '#/components/schemas/BtrfsSnapshot'
+ *       400:
+ *         description: Invalid name, not a subvolume or pool not mounted
+ *       404:
+ *         description: Pool not found
+ *   delete:
+ *     summary: Delete snapshot
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               subvolume:
+ *                 type: string
+ *                 example: "shares/documents"
+ *               name:
+ *                 type: string
+ *                 example: "hourly_2025-06-04_12-00-00"
+ *     responses:
+ *       200:
+ *         description: Snapshot deleted
+ *       404:
+ *         description: Pool or snapshot not found
+ */
+router.get('/:id/snapshots', checkRole(['admin']), async (req, res) => {
+  try {
+    const snapshots = await poolsService.listSnapshots(req.params.id, req.query.subvolume);
+    res.json(snapshots);
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+router.post('/:id/snapshots', checkRole(['admin']), async (req, res) => {
+  try {
+    const { subvolume = '', name } = req.body || {};
+    const result = await poolsService.createSnapshot(req.params.id, subvolume, { name });
+    res.status(201).json(result);
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+router.delete('/:id/snapshots', checkRole(['admin']), async (req, res) => {
+  try {
+    const { subvolume = '', name } = req.body || {};
+
+    if (!name) {
+      return res.status(400).json({ error: 'Snapshot name is required' });
+    }
+
+    const result = await poolsService.deleteSnapshot(req.params.id, subvolume, name);
+    res.json(result);
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /pools/{id}/snapshots/policies:
+ *   get:
+ *     summary: Get snapshot policies
+ *     description: Scheduled snapshot policies of a BTRFS pool (stored in the pool config as snapshot_policies)
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     responses:
+ *       200:
+ *         description: Snapshot policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SnapshotPolicy'
+ *       404:
+ *         description: Pool not found
+ *   put:
+ *     summary: Replace snapshot policies
+ *     description: |
+ *       Replace all snapshot policies of a BTRFS pool.
+ *       The scheduler takes one read-only snapshot per level and hour / day / week (weeks start on Monday)
+ *       and deletes the oldest scheduled snapshots beyond the retention count. Manual and pre-rollback
+ *       snapshots are never deleted automatically.
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - policies
+ *             properties:
+ *               policies:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SnapshotPolicy'
+ *     responses:
+ *       200:
+ *         description: Policies updated
+ *       400:
+ *         description: Invalid policies
+ *       404:
+ *         description: Pool not found
+ */
+router.get('/:id/snapshots/policies', checkRole(['admin']), async (req, res) => {
+  try {
+    const policies = await poolsService.getSnapshotPolicies(req.params.id);
+    res.json(policies);
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+router.put('/:id/snapshots/policies', checkRole(['admin']), async (req, res) => {
+  try {
+    const { policies } = req.body || {};
+    const result = await poolsService.updateSnapshotPolicies(req.params.id, policies);
+    res.json(result);
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+// Map hot spare errors to HTTP status codes
+function sendHotSpareError(res, error) {
+  console.error(error);
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('already running') || error.message.includes('while a rebuild')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.includes('only supported for') ||
+      error.message.includes('not supported') ||
+      error.message.includes('Invalid') ||
+      error.message.includes('required') ||
+      error.message.includes('must') ||
+      error.message.includes('already a hot spare') ||
+      error.message.includes('not part of') ||
+      error.message.includes('no hot spares') ||
+      error.message.includes('No pending')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * @swagger
+ * /pools/{id}/hotspares:
+ *   get:
+ *     summary: Get hot spares
+ *     description: Hot spares, policy and the current or last rebuild of a BTRFS or NonRAID pool
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     responses:
+ *       200:
+ *         description: Hot spare configuration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 spares:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HotSpare'
+ *                 policy:
+ *                   $ref: '#/components/schemas/HotSparePolicy'
+ *                 rebuild:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/HotSpareRebuild'
+ *       400:
+ *         description: Pool type not supported
+ *       404:
+ *         description: Pool not found
+ *   post:
+ *     summary: Assign hot spare
+ *     description: |
+ *       Assign an unassigned disk as hot spare. The same disk can be assigned to several pools (shared spare),
+ *       it is used by the first pool that needs it. Encrypted pools are not supported.
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - device
+ *             properties:
+ *               device:
+ *                 type: string
+ *                 example: "/dev/sdf"
+ *     responses:
+ *       201:
+ *         description: Hot spare assigned
+ *       400:
+ *         description: Device not unassigned, already a spare or pool not supported
+ *       404:
+ *         description: Pool not found
+ */
+router.get('/:id/hotspares', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await hotSpareService.getHotSpares(req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendHotSpareError(res, error);
+  }
+});
+
+router.post('/:id/hotspares', checkRole(['admin']), async (req, res) => {
+  try {
+    const { device } = req.body || {};
+    const result = await hotSpareService.addHotSpare(req.params.id, device);
+    res.status(201).json(result);
+  } catch (error) {
+    sendHotSpareError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /pools/{id}/hotspares/policy:
+ *   put:
+ *     summary: Update hot spare policy
+ *     description: Partial update, omitted fields keep their current value
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HotSparePolicy'
+ *     responses:
+ *       200:
+ *         description: Effective policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HotSparePolicy'
+ *       400:
+ *         description: Invalid policy
+ *       404:
+ *         description: Pool not found
+ */
+router.put('/:id/hotspares/policy', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await hotSpareService.updatePolicy(req.params.id, req.body);
+    res.json(result);
+  } catch (error) {
+    sendHotSpareError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /pools/{id}/hotspares/rebuild:
+ *   post:
+ *     summary: Start rebuild onto a hot spare
+ *     description: |
+ *       Replace a member disk with a hot spare now, regardless of the policy mode.
+ *       Progress is sent as pools-hotspare-update on the /pools WebSocket namespace.
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - device
+ *             properties:
+ *               device:
+ *                 type: string
+ *                 description: Member device to replace
+ *                 example: "/dev/sdc1"
+ *               spare:
+ *                 type: string
+ *                 description: by-id name of the spare (first usable spare when omitted)
+ *     responses:
+ *       202:
+ *         description: Rebuild started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HotSpareRebuild'
+ *       400:
+ *         description: Device not part of the pool or no hot spares
+ *       404:
+ *         description: Pool or spare not found
+ *       409:
+ *         description: A rebuild is already running
+ *   delete:
+ *     summary: Cancel pending rebuild
+ *     description: Cancel a rebuild that is still waiting for the policy delay. A running rebuild cannot be cancelled.
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *     responses:
+ *       200:
+ *         description: Rebuild cancelled
+ *       400:
+ *         description: No pending rebuild
+ */
+router.post('/:id/hotspares/rebuild', checkRole(['admin']), async (req, res) => {
+  try {
+    const { device, spare } = req.body || {};
+    const result = await hotSpareService.startManualRebuild(req.params.id, device, spare);
+    res.status(202).json(result);
+  } catch (error) {
+    sendHotSpareError(res, error);
+  }
+});
+
+router.delete('/:id/hotspares/rebuild', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = hotSpareService.cancelRebuild(req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendHotSpareError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /pools/{id}/hotspares/{spare}:
+ *   delete:
+ *     summary: Remove hot spare
+ *     tags: [Pools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pool ID
+ *       - name: spare
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: by-id name or device name of the spare
+ *     responses:
+ *       200:
+ *         description: Hot spare removed
+ *       404:
+ *         description: Pool or spare not found
+ *       409:
+ *         description: Spare is used by a running rebuild
+ */
+router.delete('/:id/hotspares/:spare', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await hotSpareService.removeHotSpare(req.params.id, req.params.spare);
+    res.json(result);
+  } catch (error) {
+    sendHotSpareError(res, error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
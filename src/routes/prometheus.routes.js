@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, checkRole } = require('../middleware/auth.middleware');
+const prometheusService = require('../services/prometheus.service');
+
+/**
+ * Accept the scrape token, otherwise require an admin (token)
+ */
+const authenticateScrape = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token && await prometheusService.isScrapeToken(token)) {
+    req.user = { id: 'metrics-scrape', role: 'metrics', isScrapeToken: true };
+    return next();
+  }
+
+  return authenticateToken(req, res, () => checkRole(['admin'])(req, res, next));
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Prometheus
+ *   description: Prometheus / OpenMetrics exporter
+ *
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Exporter for Prometheus (served at /metrics, outside of /api/v1). Authenticate with an admin token
+ *       or the scrape token (see /system/metrics/scrape-token). Scoped admin tokens need a `/metrics`
+ *       scope with read access. Sends OpenMetrics when requested via the
+ *       Accept header, the Prometheus text format otherwise.
+ *
+ *       Exposes system load, CPU, memory and network, pool usage and running parity/scrub/balance/resilver
+ *       operations, disk temperature, SMART warning and spin state, Docker/LXC container and VM state and
+ *       usage and notification counts. Disk values come from smartd state files and the standby-safe power
+ *       status cache, so scraping does not wake sleeping disks.
+ *     tags: [Prometheus]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               # HELP mos_pool_used_bytes Used pool space
+ *               # TYPE mos_pool_used_bytes gauge
+ *               mos_pool_used_bytes{pool="media",type="mergerfs"} 1234567890
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ */
+router.get('/', authenticateScrape, async (req, res) => {
+  try {
+    const openMetrics = (req.headers.accept || '').includes('application/openmetrics-text');
+    const body = await prometheusService.collect(openMetrics);
+
+    res.set('Content-Type', openMetrics
+      ? 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+      : 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
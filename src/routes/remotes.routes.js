@@ -22,16 +22,16 @@ const remotesService = new RemotesService();
  *           example: "NAS Media Share"
  *         type:
  *           type: string
- *           enum: [smb, nfs]
+ *           enum: [smb, nfs, sshfs, webdav, rclone]
  *           description: Type of remote share
  *           example: "smb"
  *         server:
  *           type: string
- *           description: Server IP address or hostname
+ *           description: Server IP address or hostname (rclone - label for the mount path, defaults to the backend)
  *           example: "192.168.1.100"
  *         share:
  *           type: string
- *           description: Share name
+ *           description: Share name (NFS/SSHFS - path on the server, WebDAV - URL path, rclone - bucket/path)
  *           example: "media"
  *         username:
  *           type: string
@@ -63,6 +63,33 @@ const remotesService = new RemotesService();
  *           type: boolean
  *           description: Whether to auto-mount on boot
  *           example: true
+ *         port:
+ *           type: integer
+ *           nullable: true
+ *           description: SSH port (SSHFS, default 22) or HTTP port (WebDAV, default of the scheme)
+ *           example: 22
+ *         identity_file:
+ *           type: string
+ *           nullable: true
+ *           description: Private key for SSHFS key authentication (without password and identity file the default keys of root are used, absolute path without commas, whitespace or shell metacharacters)
+ *           example: "/root/.ssh/id_ed25519"
+ *         secure:
+ *           type: boolean
+ *           description: Use HTTPS for WebDAV (default true)
+ *           example: true
+ *         backend:
+ *           type: string
+ *           description: rclone backend type (s3, b2, webdav, drive, ...)
+ *           example: "s3"
+ *         rclone_config:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Options of the rclone config section (without type). Credentials (keys, secrets, passwords, tokens) are stored encrypted and shown as 'SECRET', sending 'SECRET' keeps the stored value.
+ *           example:
+ *             provider: "Minio"
+ *             endpoint: "http://192.168.1.50:9000"
+ *             access_key_id: "minioadmin"
+ *             secret_access_key: "minioadmin"
  *         status:
  *           type: string
  *           enum: [mounted, unmounted, error]
@@ -85,24 +112,24 @@ const remotesService = new RemotesService();
  *           example: "NAS Media Share"
  *         type:
  *           type: string
- *           enum: [smb, nfs]
+ *           enum: [smb, nfs, sshfs, webdav, rclone]
  *           description: Type of remote share
  *           example: "smb"
  *         server:
  *           type: string
- *           description: Server IP address or hostname
+ *           description: Server IP address or hostname (rclone - label for the mount path, defaults to the backend)
  *           example: "192.168.1.100"
  *         share:
  *           type: string
- *           description: Share name
+ *           description: Share name (NFS/SSHFS - path on the server, WebDAV - URL path, rclone - bucket/path)
  *           example: "media"
  *         username:
  *           type: string
- *           description: Username for authentication (optional for SMB guest access, not used for NFS)
+ *           description: Username for authentication (optional for SMB guest access and WebDAV, required for SSHFS, not used for NFS and rclone)
  *           example: "nasuser"
  *         password:
  *           type: string
- *           description: Plain text password (will be encrypted, optional for SMB guest access, not used for NFS)
+ *           description: Plain text password (will be encrypted, optional for SMB guest access, WebDAV and SSHFS key authentication, not used for NFS and rclone)
  *           example: "mypassword"
  *         domain:
  *           type: string
@@ -126,10 +153,36 @@ const remotesService = new RemotesService();
  *           type: boolean
  *           description: Whether to auto-mount on boot
  *           example: true
+ *         port:
+ *           type: integer
+ *           nullable: true
+ *           description: SSH port (SSHFS, default 22) or HTTP port (WebDAV, default of the scheme)
+ *           example: 22
+ *         identity_file:
+ *           type: string
+ *           nullable: true
+ *           description: Private key for SSHFS key authentication (without password and identity file the default keys of root are used)
+ *           example: "/root/.ssh/id_ed25519"
+ *         secure:
+ *           type: boolean
+ *           description: Use HTTPS for WebDAV (default true)
+ *           example: true
+ *         backend:
+ *           type: string
+ *           description: rclone backend type (s3, b2, webdav, drive, ...)
+ *           example: "s3"
+ *         rclone_config:
+ *           type: object
+ *           additionalProperties: true
+ *           description: Options of the rclone config section (without type). Credentials (keys, secrets, passwords, tokens) are stored encrypted and shown as 'SECRET', sending 'SECRET' keeps the stored value.
+ *           example:
+ *             provider: "Minio"
+ *             endpoint: "http://192.168.1.50:9000"
+ *             access_key_id: "minioadmin"
+ *             secret_access_key: "minioadmin"
  *       required:
  *         - name
  *         - type
- *         - server
  *         - share
  *
  *     ConnectionTestResult:
@@ -292,6 +345,42 @@ router.get('/:id', authenticateToken, checkRole(['admin']), async (req, res) =>
  *                 uid: null
  *                 gid: null
  *                 auto_mount: false
+ *             sshfs_share:
+ *               summary: SSHFS Example (key authentication)
+ *               value:
+ *                 name: "Backup Server"
+ *                 type: "sshfs"
+ *                 server: "192.168.1.150"
+ *                 share: "/srv/backup"
+ *                 username: "backup"
+ *                 port: 22
+ *                 identity_file: "/root/.ssh/id_ed25519"
+ *                 auto_mount: true
+ *             webdav_share:
+ *               summary: WebDAV Example
+ *               value:
+ *                 name: "Nextcloud"
+ *                 type: "webdav"
+ *                 server: "cloud.example.com"
+ *                 share: "remote.php/dav/files/nasuser"
+ *                 username: "nasuser"
+ *                 password: "mypassword"
+ *                 secure: true
+ *                 auto_mount: false
+ *             rclone_s3:
+ *               summary: rclone S3-compatible (MinIO) Example
+ *               value:
+ *                 name: "MinIO Bucket"
+ *                 type: "rclone"
+ *                 server: "minio.local"
+ *                 share: "media-bucket"
+ *                 backend: "s3"
+ *                 rclone_config:
+ *                   provider: "Minio"
+ *                   endpoint: "http://192.168.1.50:9000"
+ *                   access_key_id: "minioadmin"
+ *                   secret_access_key: "minioadmin"
+ *                 auto_mount: true
  *     responses:
  *       201:
  *         description: Remote share created successfully
@@ -618,7 +707,7 @@ router.get('/:id/status', authenticateToken, checkRole(['admin']), async (req, r
  * /remotes/listshares:
  *   post:
  *     summary: List all available shares from a server
- *     description: Discover all available shares from a remote server without saving credentials. For SMB, username and password are optional (uses guest access if not provided). For NFS, only server address is needed.
+ *     description: Discover all available shares from a remote server without saving credentials. For SMB, username and password are optional (uses guest access if not provided). For NFS, only server address is needed. Not supported for SSHFS, WebDAV and rclone remotes.
  *     tags: [Remotes]
  *     security:
  *       - bearerAuth: []
@@ -711,7 +800,7 @@ router.post('/listshares', authenticateToken, checkRole(['admin']), async (req,
  * /remotes/connectiontest:
  *   post:
  *     summary: Test connection to remote share without saving
- *     description: Test connection to a remote share.
+ *     description: Test connection to a remote share. SSHFS is tested with a trial mount, WebDAV with a PROPFIND request and rclone by listing the bucket/path.
  *     tags: [Remotes]
  *     security:
  *       - bearerAuth: []
@@ -723,12 +812,11 @@ router.post('/listshares', authenticateToken, checkRole(['admin']), async (req,
  *             type: object
  *             required:
  *               - type
- *               - server
  *               - share
  *             properties:
  *               type:
  *                 type: string
- *                 enum: [smb, nfs]
+ *                 enum: [smb, nfs, sshfs, webdav, rclone]
  *                 description: Type of remote share
  *                 example: "smb"
  *               server:
@@ -751,6 +839,26 @@ router.post('/listshares', authenticateToken, checkRole(['admin']), async (req,
  *                 type: string
  *                 description: SMB domain (optional)
  *                 example: "WORKGROUP"
+ *               port:
+ *                 type: integer
+ *                 description: SSH or HTTP port (SSHFS, WebDAV)
+ *                 example: 22
+ *               identity_file:
+ *                 type: string
+ *                 description: Private key for SSHFS key authentication
+ *                 example: "/root/.ssh/id_ed25519"
+ *               secure:
+ *                 type: boolean
+ *                 description: Use HTTPS for WebDAV (default true)
+ *                 example: true
+ *               backend:
+ *                 type: string
+ *                 description: rclone backend type
+ *                 example: "s3"
+ *               rclone_config:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Options of the rclone config section (without type)
  *           examples:
  *             smb_test:
  *               summary: Test SMB Connection
@@ -767,6 +875,23 @@ router.post('/listshares', authenticateToken, checkRole(['admin']), async (req,
  *                 type: "nfs"
  *                 server: "192.168.1.200"
  *                 share: "storage"
+ *             sshfs_test:
+ *               summary: Test SSHFS Connection (password)
+ *               value:
+ *                 type: "sshfs"
+ *                 server: "192.168.1.150"
+ *                 share: "/srv/backup"
+ *                 username: "backup"
+ *                 password: "testpass"
+ *             rclone_test:
+ *               summary: Test rclone B2 Connection
+ *               value:
+ *                 type: "rclone"
+ *                 share: "my-bucket/backups"
+ *                 backend: "b2"
+ *                 rclone_config:
+ *                   account: "0012345abcdef"
+ *                   key: "K001secretkey"
  *     responses:
  *       200:
  *         description: Connection test result
@@ -0,0 +1,568 @@
+const express = require('express');
+const router = express.Router();
+const replicationService = require('../services/replication.service');
+const { checkRole } = require('../middleware/auth.middleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Replication
+ *   description: BTRFS snapshot replication (btrfs send/receive) to local pools or remote MOS hosts
+ *
+ * components:
+ *   schemas:
+ *     ReplicationSource:
+ *       type: object
+ *       description: Either a pool subvolume or the BTRFS rootfs of an LXC container
+ *       properties:
+ *         pool_id:
+ *           type: string
+ *           description: ID of a BTRFS pool
+ *           example: "1746318722394"
+ *         subvolume:
+ *           type: string
+ *           description: Subvolume path relative to the pool root ('' = pool root)
+ *           example: "shares/documents"
+ *         container:
+ *           type: string
+ *           description: LXC container whose rootfs was converted to BTRFS
+ *           example: "webserver"
+ *     ReplicationTarget:
+ *       type: object
+ *       required:
+ *         - path
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [local, ssh]
+ *           default: local
+ *         path:
+ *           type: string
+ *           description: Directory on a BTRFS filesystem receiving the snapshots
+ *           example: "/mnt/backup/replica/documents"
+ *         host:
+ *           type: string
+ *           description: Remote host (ssh only)
+ *           example: "mos-backup.local"
+ *         port:
+ *           type: integer
+ *           default: 22
+ *         user:
+ *           type: string
+ *           default: root
+ *         identity_file:
+ *           type: string
+ *           nullable: true
+ *           description: SSH private key (key based login is required)
+ *           example: "/root/.ssh/id_ed25519"
+ *     ReplicationRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         jobId:
+ *           type: string
+ *         jobName:
+ *           type: string
+ *         trigger:
+ *           type: string
+ *           enum: [manual, schedule]
+ *         status:
+ *           type: string
+ *           enum: [preparing, running, retrying, pruning, completed, failed, cancelled]
+ *         snapshot:
+ *           type: string
+ *           nullable: true
+ *           example: "repl-1746400000000_2025-06-04_12-00-00"
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Last common snapshot used as parent (null = full send)
+ *         incremental:
+ *           type: boolean
+ *         attempt:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         bytesTransferred:
+ *           type: integer
+ *         bytesTransferred_human:
+ *           type: string
+ *           example: "1.2 GiB"
+ *         speed:
+ *           type: number
+ *           description: Bytes per second
+ *         speed_human:
+ *           type: string
+ *           example: "110.5 MiB/s"
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *     ReplicationJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "1746400000000"
+ *         name:
+ *           type: string
+ *           example: "documents-offsite"
+ *         source:
+ *           $ref: '#/components/schemas/ReplicationSource'
+ *         target:
+ *           $ref: '#/components/schemas/ReplicationTarget'
+ *         schedule:
+ *           type: string
+ *           nullable: true
+ *           description: Cron schedule (null = manual runs only)
+ *           example: "0 * * * *"
+ *         enabled:
+ *           type: boolean
+ *         keep:
+ *           type: integer
+ *           description: Replication snapshots kept on source and target
+ *           example: 3
+ *         retries:
+ *           type: integer
+ *           description: Retries of a failed transfer
+ *           example: 2
+ *         retry_delay:
+ *           type: integer
+ *           description: Seconds between retries (multiplied by the attempt number)
+ *           example: 60
+ *         last_common_snapshot:
+ *           type: string
+ *           nullable: true
+ *           description: Newest snapshot present on source and target (parent of the next incremental send)
+ *         last_run:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             status:
+ *               type: string
+ *             trigger:
+ *               type: string
+ *             snapshot:
+ *               type: string
+ *             incremental:
+ *               type: boolean
+ *             attempts:
+ *               type: integer
+ *             bytes:
+ *               type: integer
+ *             started_at:
+ *               type: string
+ *               format: date-time
+ *             finished_at:
+ *               type: string
+ *               format: date-time
+ *             error:
+ *               type: string
+ *               nullable: true
+ *         cron_job_id:
+ *           type: string
+ *           nullable: true
+ *           description: Cron job starting scheduled runs
+ *         running:
+ *           type: boolean
+ *         current_run:
+ *           allOf:
+ *             - $ref: '#/components/schemas/ReplicationRun'
+ *           nullable: true
+ */
+
+function sendReplicationError(res, error) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('already running') || error.message.includes('currently running')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message.includes('already') ||
+      error.message.includes('required') ||
+      error.message.includes('must') ||
+      error.message.includes('Invalid') ||
+      error.message.includes('invalid') ||
+      error.message.includes('Cron format') ||
+      error.message.includes('only supported for') ||
+      error.message.includes('does not') ||
+      error.message.includes('not mounted') ||
+      error.message.includes('reserved')) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * @swagger
+ * /replication/jobs:
+ *   get:
+ *     summary: List replication jobs
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Replication jobs with their current or last run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReplicationJob'
+ *   post:
+ *     summary: Create replication job
+ *     description: |
+ *       Creates a job replicating a BTRFS pool subvolume or LXC container rootfs with btrfs send/receive.
+ *       With a schedule a cron job is created that starts the run through the API.
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - source
+ *               - target
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "documents-offsite"
+ *               source:
+ *                 $ref: '#/components/schemas/ReplicationSource'
+ *               target:
+ *                 $ref: '#/components/schemas/ReplicationTarget'
+ *               schedule:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "0 * * * *"
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               keep:
+ *                 type: integer
+ *                 default: 3
+ *               retries:
+ *                 type: integer
+ *                 default: 2
+ *               retry_delay:
+ *                 type: integer
+ *                 default: 60
+ *     responses:
+ *       201:
+ *         description: Job created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReplicationJob'
+ *       400:
+ *         description: Invalid source, target or schedule
+ *       403:
+ *         description: Admin permission required
+ */
+router.get('/jobs', checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await replicationService.getJobs(req.user));
+  } catch (error) {
+    sendReplicationError(res, error);
+  }
+});
+
+router.post('/jobs', checkRole(['admin']), async (req, res) => {
+  try {
+    const job = await replicationService.createJob(req.body || {});
+    res.status(201).json(job);
+  } catch (error) {
+    sendReplicationError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /replication/jobs/{id}:
+ *   get:
+ *     summary: Get replication job
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Replication job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReplicationJob'
+ *       404:
+ *         description: Job not found
+ *   put:
+ *     summary: Update replication job
+ *     description: Changing source or target resets the last common snapshot, the next run is a full send.
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               source:
+ *                 $ref: '#/components/schemas/ReplicationSource'
+ *               target:
+ *                 $ref: '#/components/schemas/ReplicationTarget'
+ *               schedule:
+ *                 type: string
+ *                 nullable: true
+ *               enabled:
+ *                 type: boolean
+ *               keep:
+ *                 type: integer
+ *               retries:
+ *                 type: integer
+ *               retry_delay:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Job updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReplicationJob'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is running
+ *   delete:
+ *     summary: Delete replication job
+ *     description: Removes the job and its cron entry. Received snapshots on the target are kept.
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: deleteSnapshots
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also delete the replication snapshots on the source
+ *     responses:
+ *       200:
+ *         description: Job deleted
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is running
+ */
+router.get('/jobs/:id', checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await replicationService.getJob(req.params.id, req.user));
+  } catch (error) {
+    sendReplicationError(res, error);
+  }
+});
+
+router.put('/jobs/:id', checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await replicationService.updateJob(req.params.id, req.body || {}));
+  } catch (error) {
+    sendReplicationError(res, error);
+  }
+});
+
+router.delete('/jobs/:id', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await replicationService.deleteJob(req.params.id, {
+      deleteSnapshots: req.query.deleteSnapshots === 'true'
+    });
+    res.json(result);
+  } catch (error) {
+    sendReplicationError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /replication/jobs/{id}/run:
+ *   post:
+ *     summary: Start replication run
+ *     description: |
+ *       Takes a read-only snapshot and sends it to the target, incrementally when the last common
+ *       snapshot exists on both sides. Runs in the background - follow the progress on the
+ *       `/replication` WebSocket namespace or poll `GET /replication/runs`.
+ *       Scheduled runs are started by cron through this endpoint.
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Run started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReplicationRun'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+router.post('/jobs/:id/run', checkRole(['admin']), async (req, res) => {
+  try {
+    const run = await replicationService.startJob(req.params.id, req.user);
+    res.status(202).json(run);
+  } catch (error) {
+    sendReplicationError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /replication/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel replication run
+ *     description: Stops the transfer and pending retries. The new snapshot is removed, the last common snapshot is kept.
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReplicationRun'
+ *       400:
+ *         description: Run already finished
+ *       404:
+ *         description: No run found
+ */
+router.post('/jobs/:id/cancel', checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(replicationService.cancelJob(req.params.id, req.user));
+  } catch (error) {
+    sendReplicationError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /replication/runs:
+ *   get:
+ *     summary: List current and last runs
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Runs since the API was started, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReplicationRun'
+ */
+router.get('/runs', checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(replicationService.getRuns(req.user));
+  } catch (error) {
+    sendReplicationError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /replication/websocket/events:
+ *   get:
+ *     summary: WebSocket Events Documentation
+ *     description: |
+ *       **Connection:** Socket.IO namespace `/replication` (path `/api/v1/socket.io/`)
+ *
+ *       **Events to emit (client → server):**
+ *       - `subscribe-job` - `{ token, jobId }`
+ *       - `subscribe-all` - `{ token }`
+ *       - `unsubscribe-job` - `{ jobId }`
+ *       - `unsubscribe-all`
+ *       - `update-preferences` - `{ byte_format }`
+ *
+ *       **Events to listen for (server → client):**
+ *       - `replication-update` - Single run (ReplicationRun)
+ *       - `replication-list` - All runs (sent on subscribe-all)
+ *       - `replication-subscription-confirmed` / `replication-unsubscription-confirmed`
+ *       - `preferences-updated`
+ *       - `error`
+ *
+ *       Progress of running transfers is broadcast every 2 seconds, state changes immediately.
+ *     tags: [Replication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: WebSocket events documentation
+ */
+router.get('/websocket/events', (req, res) => {
+  res.json({
+    message: 'Replication WebSocket documentation. Connect via Socket.IO to /api/v1/replication namespace.',
+    namespace: '/replication',
+    path: '/api/v1/socket.io/',
+    broadcastInterval: '2000ms',
+    events: {
+      client_to_server: ['subscribe-job', 'subscribe-all', 'unsubscribe-job', 'unsubscribe-all', 'update-preferences'],
+      server_to_client: [
+        'replication-update',
+        'replication-list',
+        'replication-subscription-confirmed',
+        'replication-unsubscription-confirmed',
+        'preferences-updated',
+        'error'
+      ]
+    }
+  });
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const { checkRole } = require('../middleware/auth.middleware');
 const sharesService = require('../services/shares.service');
 
+// Validation errors of recycle_bin, time_machine and shadow_copy
+const isVfsOptionError = (error) => /Invalid (recycle_bin|time_machine|shadow_copy|option)|Shadow copies require/.test(error.message);
+
 /**
  * @swagger
  * tags:
@@ -77,6 +80,365 @@ const sharesService = require('../services/shares.service');
  *           nullable: true
  *           description: Share description
  *           example: "Media files storage"
+ *         read_list:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Users and groups (@group) with read-only access (written into smb.conf by the API after each smbd restart)
+ *           example: ["@staff"]
+ *         invalid_users:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Users and groups (@group) denied access (written into smb.conf by the API after each smbd restart)
+ *           example: ["guest"]
+ *         access_rules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShareAccessRule'
+ *         recycle_bin:
+ *           $ref: '#/components/schemas/ShareRecycleBin'
+ *         time_machine:
+ *           $ref: '#/components/schemas/ShareTimeMachine'
+ *         shadow_copy:
+ *           $ref: '#/components/schemas/ShareShadowCopy'
+ *         vfs_objects:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: string
+ *           description: |
+ *             VFS modules of the share (derived from recycle_bin, time_machine and shadow_copy). Written to
+ *             the share section of smb.conf as "vfs objects" after each smbd restart, create and update return
+ *             a warning when smbd did not load them.
+ *           example: ["catia", "fruit", "streams_xattr", "recycle"]
+ *         vfs_options:
+ *           type: object
+ *           readOnly: true
+ *           additionalProperties:
+ *             type: string
+ *           description: VFS module parameters of the share (derived), written to smb.conf as key = value lines
+ *           example:
+ *             recycle:repository: ".recycle/%U"
+ *         quota:
+ *           $ref: '#/components/schemas/ShareQuota'
+ *         quota_usage:
+ *           $ref: '#/components/schemas/ShareQuotaUsage'
+ *     ShareRecycleBin:
+ *       type: object
+ *       description: |
+ *         Recycle bin (vfs_recycle). Deleted files are moved to .recycle/<user>/<original path> in the share
+ *         and removed by a daily cron job once they are older than retention_days.
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         retention_days:
+ *           type: integer
+ *           minimum: 0
+ *           default: 30
+ *           description: Days deleted files are kept (0 = keep until emptied)
+ *         exclude:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: File patterns deleted immediately
+ *           example: ["*.tmp", "~$*"]
+ *         exclude_dir:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Directories whose files are deleted immediately
+ *           example: ["tmp"]
+ *         max_size:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *           nullable: true
+ *           description: Larger files are deleted immediately (bytes or size string)
+ *           example: "2G"
+ *     ShareTimeMachine:
+ *       type: object
+ *       description: macOS Time Machine target (vfs_fruit)
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         max_size:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *           nullable: true
+ *           description: Size limit reported to Time Machine (bytes or size string)
+ *           example: "1T"
+ *     ShareShadowCopy:
+ *       type: object
+ *       description: |
+ *         Windows "Previous Versions" (vfs_shadow_copy2) from the BTRFS snapshots of the share.
+ *         The share must be a subvolume on a BTRFS pool, snapshots are created by the pool snapshot schedule.
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *     RecycleBinEntry:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "report.docx"
+ *         path:
+ *           type: string
+ *           description: Path relative to the recycle bin
+ *           example: "jdoe/projects/report.docx"
+ *         type:
+ *           type: string
+ *           enum: [file, directory]
+ *         size:
+ *           type: integer
+ *           nullable: true
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *         originalPath:
+ *           type: string
+ *           nullable: true
+ *           description: Location in the share the entry is restored to (null for user folders)
+ *           example: "projects/report.docx"
+ *     SmbSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Session ID
+ *           example: "3246734512"
+ *         pid:
+ *           type: string
+ *           description: smbd process serving the client connection
+ *           example: "12345"
+ *         username:
+ *           type: string
+ *           example: "jdoe"
+ *         groupname:
+ *           type: string
+ *           example: "users"
+ *         uid:
+ *           type: integer
+ *         machine:
+ *           type: string
+ *           example: "192.168.1.5"
+ *         address:
+ *           type: string
+ *           example: "192.168.1.5"
+ *         dialect:
+ *           type: string
+ *           example: "SMB3_11"
+ *         encryption:
+ *           type: string
+ *           nullable: true
+ *         signing:
+ *           type: string
+ *           nullable: true
+ *         connectedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         shares:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               service:
+ *                 type: string
+ *                 example: "documents"
+ *               connectedAt:
+ *                 type: string
+ *                 format: date-time
+ *         openFiles:
+ *           type: integer
+ *           example: 3
+ *     NfsClient:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Client ID in /proc/fs/nfsd/clients
+ *           example: "5"
+ *         clientId:
+ *           type: string
+ *           example: "0x6d3e0c4b5f1a2c3d"
+ *         address:
+ *           type: string
+ *           example: "192.168.1.20"
+ *         status:
+ *           type: string
+ *           example: "confirmed"
+ *         name:
+ *           type: string
+ *           example: "Linux NFSv4.2 workstation"
+ *         minorVersion:
+ *           type: integer
+ *           example: 2
+ *         lastRenew:
+ *           type: integer
+ *           description: Seconds since the last lease renewal
+ *         openFiles:
+ *           type: integer
+ *     SmbOpenFile:
+ *       type: object
+ *       properties:
+ *         path:
+ *           type: string
+ *           example: "/mnt/data/documents/report.docx"
+ *         relativePath:
+ *           type: string
+ *           example: "report.docx"
+ *         pid:
+ *           type: string
+ *         uid:
+ *           type: integer
+ *         fileId:
+ *           type: string
+ *         access:
+ *           type: string
+ *           description: Access mask (R, W, RW)
+ *           example: "RW"
+ *         sharemode:
+ *           type: string
+ *           example: "R"
+ *         oplock:
+ *           type: string
+ *           nullable: true
+ *         lease:
+ *           type: string
+ *           nullable: true
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         sessionId:
+ *           type: string
+ *           nullable: true
+ *         username:
+ *           type: string
+ *           nullable: true
+ *         address:
+ *           type: string
+ *           nullable: true
+ *     ShareAccessRule:
+ *       type: object
+ *       description: |
+ *         Access of a user or group to an SMB share. The rules of a share set valid_users, write_list,
+ *         read_list and invalid_users and are applied as POSIX ACLs with POST /shares/smb/{shareId}/acl.
+ *         Setting one of the lists directly removes the rules of the share.
+ *       required:
+ *         - type
+ *         - name
+ *         - access
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [user, group]
+ *         name:
+ *           type: string
+ *           description: Username or group name (local group or directory group when LDAP is enabled)
+ *           example: "staff"
+ *         access:
+ *           type: string
+ *           enum: [read, write, deny]
+ *           example: "write"
+ *     ShareAclJob:
+ *       type: object
+ *       properties:
+ *         shareId:
+ *           type: string
+ *         shareName:
+ *           type: string
+ *         path:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [preparing, running, completed, failed, cancelled]
+ *         rules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShareAccessRule'
+ *         processed:
+ *           type: integer
+ *           description: Files and directories processed
+ *         total:
+ *           type: integer
+ *           description: Files and directories below the share path
+ *         progress:
+ *           type: integer
+ *           example: 42
+ *         errors:
+ *           type: integer
+ *           description: Paths setfacl failed on
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ShareQuota:
+ *       type: object
+ *       description: |
+ *         Share quota. Enforced with BTRFS qgroups (share must be a subvolume) and XFS project quotas
+ *         (the pool is mounted with prjquota, a quota set on a pool mounted without it becomes active
+ *         after the next mount). Other pools (MergerFS, NonRAID, ext4) only account usage hourly and notify.
+ *       required:
+ *         - limit
+ *       properties:
+ *         limit:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *           description: Limit in bytes or as size string
+ *           example: "500G"
+ *         warning:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *           default: 90
+ *           description: Notify when this percentage of the limit is used (0 = only notify when exceeded)
+ *         project_id:
+ *           type: integer
+ *           readOnly: true
+ *           description: XFS project id (assigned automatically)
+ *     ShareQuotaUsage:
+ *       type: object
+ *       properties:
+ *         method:
+ *           type: string
+ *           enum: [btrfs-qgroup, xfs-project, accounting]
+ *         enforced:
+ *           type: boolean
+ *           description: Writes are refused when the limit is reached (false for accounting)
+ *         limit:
+ *           type: integer
+ *           example: 536870912000
+ *         used:
+ *           type: integer
+ *           nullable: true
+ *           example: 483183820800
+ *         percent:
+ *           type: number
+ *           nullable: true
+ *           example: 90
+ *         level:
+ *           type: string
+ *           enum: [normal, warning, exceeded]
+ *         pending:
+ *           type: boolean
+ *           description: XFS project quota waits for the pool to be mounted with prjquota
+ *         measured_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *     CreateSmbShareRequest:
  *       type: object
  *       required:
@@ -183,6 +545,13 @@ const sharesService = require('../services/shares.service');
  *           nullable: true
  *           description: Share description
  *           example: "Media files storage"
+ *         subvolume:
+ *           type: boolean
+ *           description: Create the share directory as BTRFS subvolume so it can be snapshotted and rolled back (BTRFS pools only)
+ *           default: false
+ *           example: false
+ *         quota:
+ *           $ref: '#/components/schemas/ShareQuota'
  *     NfsShare:
  *       type: object
  *       properties:
@@ -262,6 +631,10 @@ const sharesService = require('../services/shares.service');
  *           description: Automatically create/update path rules in pool configuration
  *           default: true
  *           example: true
+ *         quota:
+ *           $ref: '#/components/schemas/ShareQuota'
+ *         quota_usage:
+ *           $ref: '#/components/schemas/ShareQuotaUsage'
  *     CreateNfsShareRequest:
  *       type: object
  *       required:
@@ -351,6 +724,19 @@ const sharesService = require('../services/shares.service');
  *           description: Automatically create/update path rules in pool configuration
  *           default: true
  *           example: true
+ *         access_rules:
+ *           type: array
+ *           description: User and group access, replaces valid_users and write_list
+ *           items:
+ *             $ref: '#/components/schemas/ShareAccessRule'
+ *         recycle_bin:
+ *           $ref: '#/components/schemas/ShareRecycleBin'
+ *         time_machine:
+ *           $ref: '#/components/schemas/ShareTimeMachine'
+ *         shadow_copy:
+ *           $ref: '#/components/schemas/ShareShadowCopy'
+ *         quota:
+ *           $ref: '#/components/schemas/ShareQuota'
  *     UpdateSmbShareRequest:
  *       type: object
  *       properties:
@@ -397,6 +783,35 @@ const sharesService = require('../services/shares.service');
  *             type: integer
  *           description: Array of disk slot numbers for MergerFS pools (automatically updates path rules)
  *           example: [3, 4]
+ *         access_rules:
+ *           type: array
+ *           nullable: true
+ *           description: |
+ *             User and group access, sets valid_users, write_list, read_list and invalid_users.
+ *             null removes the rules and keeps the lists. Existing files keep their ACLs until
+ *             POST /shares/smb/{shareId}/acl is called.
+ *           items:
+ *             $ref: '#/components/schemas/ShareAccessRule'
+ *         recycle_bin:
+ *           nullable: true
+ *           description: Set or change the recycle bin, null removes it (the .recycle folder is kept)
+ *           allOf:
+ *             - $ref: '#/components/schemas/ShareRecycleBin'
+ *         time_machine:
+ *           nullable: true
+ *           description: Set or change the Time Machine options, null removes them
+ *           allOf:
+ *             - $ref: '#/components/schemas/ShareTimeMachine'
+ *         shadow_copy:
+ *           nullable: true
+ *           description: Enable or disable "Previous Versions", null removes it
+ *           allOf:
+ *             - $ref: '#/components/schemas/ShareShadowCopy'
+ *         quota:
+ *           nullable: true
+ *           description: Set or change the share quota, null removes it
+ *           allOf:
+ *             - $ref: '#/components/schemas/ShareQuota'
  *     UpdateNfsShareRequest:
  *       type: object
  *       properties:
@@ -442,6 +857,11 @@ const sharesService = require('../services/shares.service');
  *             type: integer
  *           description: Array of disk slot numbers for MergerFS pools (automatically updates path rules)
  *           example: [3, 4]
+ *         quota:
+ *           nullable: true
+ *           description: Set or change the share quota, null removes it
+ *           allOf:
+ *             - $ref: '#/components/schemas/ShareQuota'
  *     SharesStatistics:
  *       type: object
  *       properties:
@@ -471,6 +891,25 @@ const sharesService = require('../services/shares.service');
  *                 type: integer
  *               example:
  *                 smb: 5
+ *             connections:
+ *               type: array
+ *               description: Current connections per share (SMB share connections, NFSv4 clients with open files)
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                     enum: [smb, nfs]
+ *                   connections:
+ *                     type: integer
+ *                     example: 2
+ *                   open_files:
+ *                     type: integer
+ *                     example: 5
  *         timestamp:
  *           type: string
  *           format: date-time
@@ -589,7 +1028,8 @@ router.get('/', checkRole(['admin']), async (req, res) => {
       if (section.smb) shares.smb = shares.smb.concat(section.smb);
       if (section.nfs) shares.nfs = shares.nfs.concat(section.nfs);
     });
-    
+
+    await sharesService.attachQuotaUsage([...shares.smb, ...shares.nfs]);
     res.json(shares);
   } catch (error) {
     res.status(500).json({
@@ -662,7 +1102,7 @@ router.get('/', checkRole(['admin']), async (req, res) => {
 router.get('/smb', checkRole(['admin']), async (req, res) => {
   try {
     const smbShares = await sharesService.getSmbShares();
-    res.json(smbShares);
+    res.json(await sharesService.attachQuotaUsage(smbShares));
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -673,45 +1113,62 @@ router.get('/smb', checkRole(['admin']), async (req, res) => {
 
 /**
  * @swagger
- * /shares/nfs:
+ * /shares/smb/principals:
  *   get:
- *     summary: Get NFS shares only
- *     description: Retrieve only NFS shares configuration (admin only)
+ *     summary: Get users and groups for SMB share access
+ *     description: |
+ *       List the local SMB users, the local groups and, if LDAP is enabled, the directory users and groups
+ *       that can be used in valid_users, write_list and access rules (admin only).
+ *       Groups are returned with the Samba "@group" prefix.
  *     tags: [Shares]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: NFS shares retrieved successfully
+ *         description: Principals retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/NfsShare'
- *             example:
- *               - id: "1640995200000abc123"
- *                 name: "media"
- *                 path: "/mnt/storage-pool/movies"
- *                 source: "10.0.0.0/24"
- *                 enabled: true
- *                 read_only: false
- *                 anonuid: null
- *                 anongid: null
- *                 write_operations: "sync"
- *                 mapping: "root_squash"
- *                 secure: true
- *               - id: "1640995200000def456"
- *                 name: "documents"
- *                 path: "/mnt/storage-pool/docs"
- *                 source: "192.168.1.0/24"
- *                 enabled: true
- *                 read_only: true
- *                 anonuid: 65534
- *                 anongid: 65534
- *                 write_operations: "sync"
- *                 mapping: "all_squash"
- *                 secure: true
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "jdoe"
+ *                       display_name:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "John Doe"
+ *                       source:
+ *                         type: string
+ *                         enum: [local, ldap]
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "@office"
+ *                       members:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["jdoe", "asmith"]
+ *                       source:
+ *                         type: string
+ *                         example: "ldap"
+ *                 ldap_enabled:
+ *                   type: boolean
+ *                   example: true
+ *                 ldap_error:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Set if the directory could not be queried
  *       401:
  *         description: Not authenticated
  *         content:
@@ -732,11 +1189,11 @@ router.get('/smb', checkRole(['admin']), async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 
-// Get NFS shares only (admin only)
-router.get('/nfs', checkRole(['admin']), async (req, res) => {
+// Get users and groups for share access lists (admin only)
+router.get('/smb/principals', checkRole(['admin']), async (req, res) => {
   try {
-    const nfsShares = await sharesService.getNfsShares();
-    res.json(nfsShares);
+    const principals = await sharesService.getSmbPrincipals();
+    res.json(principals);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -747,43 +1204,385 @@ router.get('/nfs', checkRole(['admin']), async (req, res) => {
 
 /**
  * @swagger
- * /shares/info:
+ * /shares/access-report:
  *   get:
- *     summary: Get shares information/statistics
- *     description: Retrieve statistical information about all network shares (admin only)
+ *     summary: Get the share access report
+ *     description: |
+ *       Effective access of every user on every SMB share ("who can access what"), resolved from
+ *       guest access, read only, valid_users, write_list, read_list and invalid_users including
+ *       local and directory group membership. NFS shares are listed with their host rules.
+ *       Users are local SMB users, directory users (LDAP enabled) and members of listed groups (admin only).
  *     tags: [Shares]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv returns one line per share and principal
  *     responses:
  *       200:
- *         description: Shares statistics retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SharesStatistics'
- *             example:
- *               success: true
- *               data:
- *                 total: 5
- *                 enabled: 3
- *                 disabled: 2
- *                 types:
- *                   smb: 5
- *               timestamp: "2024-01-20T10:30:00.000Z"
- *       401:
- *         description: Not authenticated
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       403:
- *         description: Admin permission required
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Server error
+ *         description: Access report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 ldap_enabled:
+ *                   type: boolean
+ *                 ldap_error:
+ *                   type: string
+ *                   nullable: true
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "jdoe"
+ *                       groups:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["staff"]
+ *                 smb:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       path:
+ *                         type: string
+ *                       enabled:
+ *                         type: boolean
+ *                       guest_ok:
+ *                         type: boolean
+ *                       read_only:
+ *                         type: boolean
+ *                       access:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             user:
+ *                               type: string
+ *                               example: "jdoe"
+ *                             access:
+ *                               type: string
+ *                               enum: [none, read, write, deny]
+ *                             via:
+ *                               type: string
+ *                               nullable: true
+ *                               description: Entry that grants or denies the access (user, @group, guest, all users)
+ *                               example: "@staff"
+ *                 nfs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       path:
+ *                         type: string
+ *                       enabled:
+ *                         type: boolean
+ *                       source:
+ *                         type: string
+ *                         example: "192.168.1.0/24"
+ *                       access:
+ *                         type: string
+ *                         enum: [read, write]
+ *                       mapping:
+ *                         type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /shares/sessions:
+ *   get:
+ *     summary: Get connected SMB sessions and NFS clients
+ *     description: |
+ *       SMB sessions from smbstatus with their share connections and number of open files,
+ *       NFSv4 clients from /proc/fs/nfsd (NFSv3 clients are stateless and not listed) (admin only).
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 smb:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SmbSession'
+ *                 nfs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NfsClient'
+ *                 smb_error:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Set if smbstatus failed (e.g. smbd stopped)
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Get share sessions (admin only)
+router.get('/sessions', checkRole(['admin']), async (req, res) => {
+  try {
+    const sessions = await sharesService.getSessions();
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /shares/sessions/{protocol}/{sessionId}:
+ *   delete:
+ *     summary: Disconnect a session
+ *     description: |
+ *       SMB: ends the smbd process serving the client connection (all its share connections and open files).
+ *       NFS: expires the NFSv4 client, its opens and locks are released (admin only).
+ *       Clients usually reconnect on the next access.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: protocol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [smb, nfs]
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SMB session ID or NFS client ID
+ *     responses:
+ *       200:
+ *         description: Session disconnected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareOperationResult'
+ *       400:
+ *         description: Invalid protocol
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Disconnect a share session (admin only)
+router.delete('/sessions/:protocol/:sessionId', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await sharesService.disconnectSession(req.params.protocol, req.params.sessionId);
+    res.json(result);
+  } catch (error) {
+    let status = 500;
+    if (error.message.includes('not found')) {
+      status = 404;
+    } else if (error.message.includes('Invalid protocol')) {
+      status = 400;
+    }
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get the share access report (admin only)
+router.get('/access-report', checkRole(['admin']), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv'
+      });
+    }
+
+    const report = await sharesService.getAccessReport();
+    if (format === 'csv') {
+      const date = report.generatedAt.slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="share-access-report-${date}.csv"`);
+      return res.send(sharesService.formatAccessReportCsv(report));
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /shares/nfs:
+ *   get:
+ *     summary: Get NFS shares only
+ *     description: Retrieve only NFS shares configuration (admin only)
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: NFS shares retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NfsShare'
+ *             example:
+ *               - id: "1640995200000abc123"
+ *                 name: "media"
+ *                 path: "/mnt/storage-pool/movies"
+ *                 source: "10.0.0.0/24"
+ *                 enabled: true
+ *                 read_only: false
+ *                 anonuid: null
+ *                 anongid: null
+ *                 write_operations: "sync"
+ *                 mapping: "root_squash"
+ *                 secure: true
+ *               - id: "1640995200000def456"
+ *                 name: "documents"
+ *                 path: "/mnt/storage-pool/docs"
+ *                 source: "192.168.1.0/24"
+ *                 enabled: true
+ *                 read_only: true
+ *                 anonuid: 65534
+ *                 anongid: 65534
+ *                 write_operations: "sync"
+ *                 mapping: "all_squash"
+ *                 secure: true
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Get NFS shares only (admin only)
+router.get('/nfs', checkRole(['admin']), async (req, res) => {
+  try {
+    const nfsShares = await sharesService.getNfsShares();
+    res.json(await sharesService.attachQuotaUsage(nfsShares));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /shares/info:
+ *   get:
+ *     summary: Get shares information/statistics
+ *     description: Retrieve statistical information about all network shares (admin only)
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shares statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SharesStatistics'
+ *             example:
+ *               success: true
+ *               data:
+ *                 total: 5
+ *                 enabled: 3
+ *                 disabled: 2
+ *                 types:
+ *                   smb: 5
+ *               timestamp: "2024-01-20T10:30:00.000Z"
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
  *         content:
  *           application/json:
  *             schema:
@@ -988,6 +1787,9 @@ router.get('/pools', checkRole(['admin']), async (req, res) => {
  *                 smbRestarted:
  *                   type: boolean
  *                   example: true
+ *                 warning:
+ *                   type: string
+ *                   description: Set when smbd did not load the vfs objects of the share
  *                 timestamp:
  *                   type: string
  *                   format: date-time
@@ -1055,7 +1857,13 @@ router.post('/smb', checkRole(['admin']), async (req, res) => {
       createDirectory = true,
       targetDevices = null,
       createDirectories = true,
-      managePathRules = true
+      managePathRules = true,
+      subvolume = false,
+      quota = null,
+      access_rules = null,
+      recycle_bin = null,
+      time_machine = null,
+      shadow_copy = null
     } = req.body;
 
     // Validation of required fields
@@ -1131,12 +1939,25 @@ router.post('/smb', checkRole(['admin']), async (req, res) => {
       createDirectory,
       target_devices: targetDevices,
       createDirectories,
-      managePathRules
+      managePathRules,
+      subvolume,
+      quota,
+      access_rules,
+      recycle_bin,
+      time_machine,
+      shadow_copy
     };
 
     const result = await sharesService.createSmbShare(shareName, poolName, subPath, options);
     res.status(201).json(result);
   } catch (error) {
+    if (error.message.includes('Invalid quota') || error.message.includes('Quotas on BTRFS') ||
+      error.message.includes('Invalid access rule') || isVfsOptionError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -1256,7 +2077,8 @@ router.post('/nfs', checkRole(['admin']), async (req, res) => {
       createDirectory = true,
       targetDevices = null,
       createDirectories = true,
-      managePathRules = true
+      managePathRules = true,
+      quota = null
     } = req.body;
 
     // Validation of required fields
@@ -1353,16 +2175,23 @@ router.post('/nfs', checkRole(['admin']), async (req, res) => {
       createDirectory,
       target_devices: targetDevices,
       createDirectories,
-      managePathRules
+      managePathRules,
+      quota
     };
 
     const result = await sharesService.createNfsShare(shareName, poolName, subPath, options);
     res.status(201).json(result);
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (error.message.includes('Invalid quota') || error.message.includes('Quotas on BTRFS')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
@@ -1582,6 +2411,12 @@ router.put('/smb/:shareId', checkRole(['admin']), async (req, res) => {
         success: false,
         error: error.message
       });
+    } else if (error.message.includes('Invalid quota') || error.message.includes('Quotas on BTRFS') ||
+      error.message.includes('Invalid access rule') || isVfsOptionError(error)) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
     } else {
       res.status(500).json({
         success: false,
@@ -1869,6 +2704,9 @@ router.get('/smb/:shareId/target-devices', checkRole(['admin']), async (req, res
  *                 smbRestarted:
  *                   type: boolean
  *                   example: true
+ *                 warning:
+ *                   type: string
+ *                   description: Set when smbd did not load the vfs objects of the share
  *                 timestamp:
  *                   type: string
  *                   format: date-time
@@ -2021,10 +2859,63 @@ router.delete('/smb/:shareId/target-devices', checkRole(['admin']), async (req,
 
 /**
  * @swagger
- * /shares/nfs/{shareId}:
+ * /shares/smb/{shareId}/quota:
  *   get:
- *     summary: Get a specific NFS share
- *     description: Retrieve detailed information about a specific NFS share by ID (admin only)
+ *     summary: Get quota usage of a SMB share
+ *     description: |
+ *       Quota configuration and current usage of a SMB share. Accounting quotas (MergerFS, NonRAID, ext4)
+ *       are measured with du on this request. Set or remove the quota with PUT /shares/smb/{shareId}.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *     responses:
+ *       200:
+ *         description: Quota retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shareId:
+ *                       type: string
+ *                     shareName:
+ *                       type: string
+ *                     quota:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ShareQuota'
+ *                     usage:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ShareQuotaUsage'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Share not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * /shares/nfs/{shareId}/quota:
+ *   get:
+ *     summary: Get quota usage of a NFS share
+ *     description: |
+ *       Quota configuration and current usage of a NFS share. Accounting quotas (MergerFS, NonRAID, ext4)
+ *       are measured with du on this request. Set or remove the quota with PUT /shares/nfs/{shareId}.
  *     tags: [Shares]
  *     security:
  *       - bearerAuth: []
@@ -2035,33 +2926,47 @@ router.delete('/smb/:shareId/target-devices', checkRole(['admin']), async (req,
  *         schema:
  *           type: string
  *         description: ID of the NFS share
- *         example: "1640995200000abc123"
  *     responses:
  *       200:
- *         description: NFS share retrieved successfully
+ *         description: Quota retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shareId:
+ *                       type: string
+ *                     shareName:
+ *                       type: string
+ *                     quota:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ShareQuota'
+ *                     usage:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ShareQuotaUsage'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
  *       404:
  *         description: Share not found
- *       401:
- *         description: Not authenticated
- *       403:
- *         description: Admin permission required
- *       500:
- *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
-// Get a specific NFS share (admin only)
-router.get('/nfs/:shareId', checkRole(['admin']), async (req, res) => {
+// Get quota usage of a share (admin only)
+const getShareQuota = async (req, res) => {
   try {
-    const { shareId } = req.params;
-
-    if (!shareId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Share ID is required'
-      });
-    }
-
-    const result = await sharesService.getShare(shareId);
+    const result = await sharesService.getShareQuota(req.params.shareId);
     res.json(result);
   } catch (error) {
     if (error.message.includes('not found')) {
@@ -2076,17 +2981,21 @@ router.get('/nfs/:shareId', checkRole(['admin']), async (req, res) => {
       });
     }
   }
-});
+};
+
+router.get('/smb/:shareId/quota', checkRole(['admin']), getShareQuota);
+router.get('/nfs/:shareId/quota', checkRole(['admin']), getShareQuota);
 
 /**
  * @swagger
- * /shares/nfs/{shareId}:
- *   put:
- *     summary: Update a NFS share
+ * /shares/smb/{shareId}/acl:
+ *   post:
+ *     summary: Apply the access rules of a share as POSIX ACLs
  *     description: |
- *       Update configuration of an existing NFS share (admin only).
- *
- *       **Note**: When updating targetDevices, the corresponding path rules in the pool configuration are automatically updated.
+ *       Recursively replaces the ACLs of all files and directories below the share path (same filesystem only)
+ *       with entries for the access rules of the share (write = rwX, read = r-X, deny = ---). Directories also
+ *       get default ACLs so new files inherit them. Without access rules the extended ACLs are removed.
+ *       Runs in the background, poll GET for the progress (admin only).
  *     tags: [Shares]
  *     security:
  *       - bearerAuth: []
@@ -2096,83 +3005,806 @@ router.get('/nfs/:shareId', checkRole(['admin']), async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the NFS share to update
- *         example: "1640995200000abc123"
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/UpdateNfsShareRequest'
- *           example:
- *             source: "192.168.1.0/24"
- *             enabled: false
- *             read_only: true
- *             mapping: "all_squash"
- *             anonuid: 65534
- *             anongid: 65534
+ *         description: ID of the SMB share
+ *     responses:
+ *       202:
+ *         description: ACL job started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareAclJob'
+ *       404:
+ *         description: Share or share path not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: ACL job already running for this share
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: Get the ACL job progress of a share
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
  *     responses:
  *       200:
- *         description: NFS share updated successfully
- *       400:
- *         description: Bad request - validation failed
+ *         description: ACL job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareAclJob'
  *       404:
- *         description: Share not found
- *       401:
- *         description: Not authenticated
- *       403:
- *         description: Admin permission required
- *       500:
- *         description: Server error
+ *         description: No ACL job for this share
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Cancel the running ACL job of a share
+ *     description: Stops the job, ACLs already applied are kept (admin only).
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *     responses:
+ *       200:
+ *         description: Cancellation requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareAclJob'
+ *       404:
+ *         description: No ACL job for this share
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: ACL job is not running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
-// Update a NFS share (admin only)
-router.put('/nfs/:shareId', checkRole(['admin']), async (req, res) => {
-  try {
-    const { shareId } = req.params;
-    const updates = req.body;
-
-    if (!shareId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Share ID is required'
-      });
-    }
-
-    if (!updates || Object.keys(updates).length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Update data is required'
-      });
-    }
-
-    // Validation of NFS-specific parameters (if updated)
-    if (updates.write_operations && !['sync', 'async'].includes(updates.write_operations)) {
-      return res.status(400).json({
-        success: false,
-        error: 'write_operations must be either "sync" or "async"'
-      });
-    }
+const sendAclJobError = (res, error) => {
+  let status = 500;
+  if (error.message.includes('not found') || error.message.includes('No ACL job')) {
+    status = 404;
+  } else if (error.message.includes('already running') || error.message.includes('not running')) {
+    status = 409;
+  } else if (error.message.includes('not a directory')) {
+    status = 400;
+  }
+  res.status(status).json({
+    success: false,
+    error: error.message
+  });
+};
 
-    if (updates.mapping && !['root_squash', 'no_root_squash', 'all_squash'].includes(updates.mapping)) {
-      return res.status(400).json({
-        success: false,
-        error: 'mapping must be one of: root_squash, no_root_squash, all_squash'
-      });
-    }
+// Apply share access rules as POSIX ACLs (admin only)
+router.post('/smb/:shareId/acl', checkRole(['admin']), async (req, res) => {
+  try {
+    const job = await sharesService.applyShareAcl(req.params.shareId);
+    res.status(202).json(job);
+  } catch (error) {
+    sendAclJobError(res, error);
+  }
+});
 
-    if (updates.secure !== undefined && typeof updates.secure !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'secure must be a boolean'
-      });
-    }
+// Get ACL job progress (admin only)
+router.get('/smb/:shareId/acl', checkRole(['admin']), (req, res) => {
+  try {
+    res.json(sharesService.getShareAclJob(req.params.shareId));
+  } catch (error) {
+    sendAclJobError(res, error);
+  }
+});
 
-    const result = await sharesService.updateShare(shareId, updates);
-    res.json(result);
+// Cancel ACL job (admin only)
+router.delete('/smb/:shareId/acl', checkRole(['admin']), (req, res) => {
+  try {
+    res.json(sharesService.cancelShareAclJob(req.params.shareId));
   } catch (error) {
-    if (error.message.includes('not found')) {
-      res.status(404).json({
+    sendAclJobError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /shares/smb/{shareId}/openfiles:
+ *   get:
+ *     summary: Get the open files of a share
+ *     description: Files below the share path opened by SMB clients, with the user and client holding them (admin only).
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *     responses:
+ *       200:
+ *         description: Open files
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shareId:
+ *                   type: string
+ *                 shareName:
+ *                   type: string
+ *                 path:
+ *                   type: string
+ *                 connections:
+ *                   type: integer
+ *                   description: Current client connections to the share
+ *                 openFiles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SmbOpenFile'
+ *                 smb_error:
+ *                   type: string
+ *                   nullable: true
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Share not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Close an open file
+ *     description: |
+ *       Samba cannot close a single file handle, the connections of the clients holding the file
+ *       to this share are closed instead (their other open files on the share are closed as well).
+ *       Clients reconnect transparently on the next access (admin only).
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *       - in: query
+ *         name: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Absolute path or path relative to the share
+ *         example: "report.docx"
+ *     responses:
+ *       200:
+ *         description: File closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareOperationResult'
+ *       400:
+ *         description: Path missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Share or open file not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Get open files of a share (admin only)
+router.get('/smb/:shareId/openfiles', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await sharesService.getShareOpenFiles(req.params.shareId);
+    res.json(result);
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Close an open file of a share (admin only)
+router.delete('/smb/:shareId/openfiles', checkRole(['admin']), async (req, res) => {
+  try {
+    if (!req.query.path) {
+      return res.status(400).json({
+        success: false,
+        error: 'path is required'
+      });
+    }
+
+    const result = await sharesService.closeShareOpenFile(req.params.shareId, req.query.path);
+    res.json(result);
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /shares/smb/{shareId}/recycle:
+ *   get:
+ *     summary: Browse the recycle bin of a share
+ *     description: |
+ *       List a directory of the recycle bin. The top level holds one folder per user,
+ *       below it the deleted files keep their original directory tree (admin only).
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *       - in: query
+ *         name: path
+ *         schema:
+ *           type: string
+ *         description: Directory relative to the recycle bin (empty = user folders)
+ *         example: "jdoe/projects"
+ *     responses:
+ *       200:
+ *         description: Recycle bin entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shareId:
+ *                   type: string
+ *                 shareName:
+ *                   type: string
+ *                 path:
+ *                   type: string
+ *                 retention_days:
+ *                   type: integer
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecycleBinEntry'
+ *       400:
+ *         description: Recycle bin not enabled or invalid path
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Share or path not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete from the recycle bin
+ *     description: Permanently delete an entry of the recycle bin, or empty the whole recycle bin without path (admin only).
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *       - in: query
+ *         name: path
+ *         schema:
+ *           type: string
+ *         description: Entry relative to the recycle bin (empty = everything)
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareOperationResult'
+ *       400:
+ *         description: Recycle bin not enabled or invalid path
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Share or path not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * /shares/smb/{shareId}/recycle/restore:
+ *   post:
+ *     summary: Restore from the recycle bin
+ *     description: Move a deleted file or directory back to its original location in the share (admin only).
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - path
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 description: Entry relative to the recycle bin (<user>/<original path>)
+ *                 example: "jdoe/projects/report.docx"
+ *               overwrite:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Replace an existing file at the original location
+ *     responses:
+ *       200:
+ *         description: Restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareOperationResult'
+ *       400:
+ *         description: Recycle bin not enabled or invalid path
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Share or entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Original location already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+const sendRecycleBinError = (res, error) => {
+  let status = 500;
+  if (error.message.includes('not found')) {
+    status = 404;
+  } else if (error.message.includes('already exists')) {
+    status = 409;
+  } else if (error.message.includes('not enabled') || error.message.includes('Invalid path')) {
+    status = 400;
+  }
+  res.status(status).json({
+    success: false,
+    error: error.message
+  });
+};
+
+// Browse recycle bin (admin only)
+router.get('/smb/:shareId/recycle', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await sharesService.listRecycleBin(req.params.shareId, req.query.path || '');
+    res.json(result);
+  } catch (error) {
+    sendRecycleBinError(res, error);
+  }
+});
+
+// Restore from recycle bin (admin only)
+router.post('/smb/:shareId/recycle/restore', checkRole(['admin']), async (req, res) => {
+  try {
+    const { path: itemPath, overwrite = false } = req.body || {};
+    if (!itemPath || typeof itemPath !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'path is required'
+      });
+    }
+
+    const result = await sharesService.restoreFromRecycleBin(req.params.shareId, itemPath, { overwrite: overwrite === true });
+    res.json(result);
+  } catch (error) {
+    sendRecycleBinError(res, error);
+  }
+});
+
+// Delete from / empty recycle bin (admin only)
+router.delete('/smb/:shareId/recycle', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await sharesService.purgeRecycleBin(req.params.shareId, req.query.path || null);
+    res.json(result);
+  } catch (error) {
+    sendRecycleBinError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /shares/smb/{shareId}/snapshots:
+ *   get:
+ *     summary: List snapshots of a share
+ *     description: List the BTRFS snapshots of the subvolume behind a share. Only applies to shares on BTRFS pools.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *     responses:
+ *       200:
+ *         description: Snapshots retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shareId:
+ *                       type: string
+ *                     shareName:
+ *                       type: string
+ *                       example: "documents"
+ *                     poolName:
+ *                       type: string
+ *                       example: "data"
+ *                     subvolume:
+ *                       type: string
+ *                       example: "documents"
+ *                     isSubvolume:
+ *                       type: boolean
+ *                       description: Whether the share directory is a subvolume (required for snapshots and rollback)
+ *                     snapshots:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BtrfsSnapshot'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Share is not on a mounted BTRFS pool
+ *       404:
+ *         description: Share not found
+ */
+router.get('/smb/:shareId/snapshots', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await sharesService.getShareSnapshots(req.params.shareId);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.message.includes('only supported for') ||
+               error.message.includes('not located on a pool') ||
+               error.message.includes('not mounted')) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /shares/smb/{shareId}/rollback:
+ *   post:
+ *     summary: Roll a share back to a snapshot
+ *     description: |
+ *       Replace the subvolume of a share with a writable copy of one of its snapshots, e.g. to recover from ransomware (admin only).
+ *       The current state is kept as read-only pre-rollback snapshot unless backup is false.
+ *       SMB is restarted afterwards, open client connections are dropped.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the SMB share
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - snapshot
+ *             properties:
+ *               snapshot:
+ *                 type: string
+ *                 description: Name of the snapshot to restore
+ *                 example: "hourly_2025-06-04_12-00-00"
+ *               backup:
+ *                 type: boolean
+ *                 description: Snapshot the current state before the rollback
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Share rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Share 'documents' rolled back to snapshot 'hourly_2025-06-04_12-00-00'"
+ *                 subvolume:
+ *                   type: string
+ *                 snapshot:
+ *                   type: string
+ *                 backupSnapshot:
+ *                   type: string
+ *                   nullable: true
+ *                   example: "pre-rollback_2025-06-04_14-03-12"
+ *                 daemonRestarted:
+ *                   type: boolean
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Share directory is not a subvolume or pool not mounted
+ *       404:
+ *         description: Share or snapshot not found
+ */
+router.post('/smb/:shareId/rollback', checkRole(['admin']), async (req, res) => {
+  try {
+    const { snapshot, backup = true } = req.body || {};
+
+    if (!snapshot) {
+      return res.status(400).json({
+        success: false,
+        error: 'snapshot is required'
+      });
+    }
+
+    const result = await sharesService.rollbackShare(req.params.shareId, snapshot, { backup });
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.message.includes('only supported for') ||
+               error.message.includes('not located on a pool') ||
+               error.message.includes('not mounted') ||
+               error.message.includes('not a BTRFS subvolume') ||
+               error.message.includes('cannot be rolled back') ||
+               error.message.includes('Invalid')) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /shares/nfs/{shareId}:
+ *   get:
+ *     summary: Get a specific NFS share
+ *     description: Retrieve detailed information about a specific NFS share by ID (admin only)
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the NFS share
+ *         example: "1640995200000abc123"
+ *     responses:
+ *       200:
+ *         description: NFS share retrieved successfully
+ *       404:
+ *         description: Share not found
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ *       500:
+ *         description: Server error
+ */
+
+// Get a specific NFS share (admin only)
+router.get('/nfs/:shareId', checkRole(['admin']), async (req, res) => {
+  try {
+    const { shareId } = req.params;
+
+    if (!shareId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Share ID is required'
+      });
+    }
+
+    const result = await sharesService.getShare(shareId);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /shares/nfs/{shareId}:
+ *   put:
+ *     summary: Update a NFS share
+ *     description: |
+ *       Update configuration of an existing NFS share (admin only).
+ *
+ *       **Note**: When updating targetDevices, the corresponding path rules in the pool configuration are automatically updated.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the NFS share to update
+ *         example: "1640995200000abc123"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateNfsShareRequest'
+ *           example:
+ *             source: "192.168.1.0/24"
+ *             enabled: false
+ *             read_only: true
+ *             mapping: "all_squash"
+ *             anonuid: 65534
+ *             anongid: 65534
+ *     responses:
+ *       200:
+ *         description: NFS share updated successfully
+ *       400:
+ *         description: Bad request - validation failed
+ *       404:
+ *         description: Share not found
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin permission required
+ *       500:
+ *         description: Server error
+ */
+
+// Update a NFS share (admin only)
+router.put('/nfs/:shareId', checkRole(['admin']), async (req, res) => {
+  try {
+    const { shareId } = req.params;
+    const updates = req.body;
+
+    if (!shareId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Share ID is required'
+      });
+    }
+
+    if (!updates || Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Update data is required'
+      });
+    }
+
+    // Validation of NFS-specific parameters (if updated)
+    if (updates.write_operations && !['sync', 'async'].includes(updates.write_operations)) {
+      return res.status(400).json({
+        success: false,
+        error: 'write_operations must be either "sync" or "async"'
+      });
+    }
+
+    if (updates.mapping && !['root_squash', 'no_root_squash', 'all_squash'].includes(updates.mapping)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mapping must be one of: root_squash, no_root_squash, all_squash'
+      });
+    }
+
+    if (updates.secure !== undefined && typeof updates.secure !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'secure must be a boolean'
+      });
+    }
+
+    const result = await sharesService.updateShare(shareId, updates);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.message.includes('Invalid quota') || error.message.includes('Quotas on BTRFS') ||
+      error.message.includes('Invalid access rule') || isVfsOptionError(error)) {
+      res.status(400).json({
         success: false,
         error: error.message
       });
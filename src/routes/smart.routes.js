@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const smartService = require('../services/smart.service');
+const disksService = require('../services/disks.service');
 const { checkRole } = require('../middleware/auth.middleware');
 
 /**
@@ -60,6 +61,11 @@ const { checkRole } = require('../middleware/auth.middleware');
  *               type: boolean
  *               description: Send notifications for non-zero monitored attributes on API startup
  *               example: true
+ *             trendRules:
+ *               type: array
+ *               description: Default trend rules for disks without their own rules
+ *               items:
+ *                 $ref: '#/components/schemas/SmartTrendRule'
  *         smartdOptions:
  *           type: object
  *           properties:
@@ -119,6 +125,13 @@ const { checkRole } = require('../middleware/auth.middleware');
  *             type: integer
  *           example:
  *             "5": 8
+ *         selfTestSchedule:
+ *           $ref: '#/components/schemas/SmartSelfTestSchedule'
+ *         trendRules:
+ *           type: array
+ *           description: Disk-specific trend rules, the global defaults apply when not set
+ *           items:
+ *             $ref: '#/components/schemas/SmartTrendRule'
  *         warning:
  *           type: boolean
  *           readOnly: true
@@ -175,7 +188,226 @@ const { checkRole } = require('../middleware/auth.middleware');
  *           example:
  *             "5": 8
  *             "187": ""
+ *     SmartSelfTestScheduleEntry:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           example: true
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *           example: "weekly"
+ *         hour:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 23
+ *           example: 2
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 7
+ *           description: Day of week for weekly tests (1 = Monday, 7 = Sunday)
+ *           example: 7
+ *         dayOfMonth:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 28
+ *           description: Day of month for monthly tests
+ *           example: 1
+ *     SmartSelfTestSchedule:
+ *       type: object
+ *       description: |
+ *         Scheduled self-tests per test type, written to smartd.conf as a -s directive.
+ *         NVMe disks only support short and long tests. smartd runs at most one test per hour
+ *         (long wins over short when both are due) and spins up a sleeping disk for a scheduled
+ *         test, so pick an hour that suits the spin-down settings. Set a type to null to remove it.
+ *       properties:
+ *         short:
+ *           $ref: '#/components/schemas/SmartSelfTestScheduleEntry'
+ *         long:
+ *           $ref: '#/components/schemas/SmartSelfTestScheduleEntry'
+ *         conveyance:
+ *           $ref: '#/components/schemas/SmartSelfTestScheduleEntry'
+ *         offline:
+ *           $ref: '#/components/schemas/SmartSelfTestScheduleEntry'
+ *       example:
+ *         short:
+ *           enabled: true
+ *           frequency: "weekly"
+ *           dayOfWeek: 7
+ *           hour: 2
+ *         long:
+ *           enabled: true
+ *           frequency: "monthly"
+ *           dayOfMonth: 1
+ *           hour: 3
+ *     SmartTrendRule:
+ *       type: object
+ *       description: |
+ *         Alert when a counter grows by more than `increase` within `window`. The growth is measured
+ *         from the recorded attribute history, so a degrading disk is reported before it runs out
+ *         of spare sectors. Each rule alerts once until the growth drops below the limit again.
+ *       required: [attribute, increase]
+ *       properties:
+ *         attribute:
+ *           type: integer
+ *           enum: [5, 187, 197, 198, 199]
+ *           example: 5
+ *         increase:
+ *           type: integer
+ *           minimum: 0
+ *           description: Allowed growth within the window
+ *           example: 5
+ *         window:
+ *           type: string
+ *           description: Duration like 24h, 7d or 4w
+ *           example: "7d"
+ *         enabled:
+ *           type: boolean
+ *           example: true
+ *     SmartTrend:
+ *       type: object
+ *       properties:
+ *         attribute:
+ *           type: integer
+ *           example: 5
+ *         name:
+ *           type: string
+ *           example: "Reallocated Sectors"
+ *         window:
+ *           type: string
+ *           example: "7d"
+ *         increase:
+ *           type: integer
+ *           description: Allowed growth within the window
+ *           example: 5
+ *         growth:
+ *           type: integer
+ *           nullable: true
+ *           description: Growth within the window, null without history
+ *           example: 8
+ *         from:
+ *           type: integer
+ *           nullable: true
+ *           example: 16
+ *         to:
+ *           type: integer
+ *           nullable: true
+ *           example: 24
+ *         exceeded:
+ *           type: boolean
+ *           example: true
+ *     SmartSelfTestResult:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [short, long, conveyance, offline]
+ *           example: "short"
+ *         result:
+ *           type: string
+ *           enum: [passed, aborted, failed]
+ *           example: "passed"
+ *         status:
+ *           type: string
+ *           description: Status as reported by the disk
+ *           example: "Completed without error"
+ *         lifetimeHours:
+ *           type: integer
+ *           nullable: true
+ *           description: Power-on hours when the test finished
+ *           example: 21456
+ *         failingLba:
+ *           type: integer
+ *           nullable: true
+ *           description: First failing LBA for failed read tests
+ *         initiator:
+ *           type: string
+ *           nullable: true
+ *           enum: [manual, scheduled, device, null]
+ *           description: Who started the test, null for entries imported from the existing device log
+ *           example: "manual"
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         recordedAt:
+ *           type: string
+ *           format: date-time
+ *     SmartSelfTestStatus:
+ *       type: object
+ *       properties:
+ *         device:
+ *           type: string
+ *           example: "/dev/sda"
+ *         deviceName:
+ *           type: string
+ *           example: "sda"
+ *         serial:
+ *           type: string
+ *           example: "5PJJ26DF"
+ *         sleeping:
+ *           type: boolean
+ *           description: Disk is in standby, status was not read
+ *           example: false
+ *         running:
+ *           type: boolean
+ *           example: true
+ *         type:
+ *           type: string
+ *           nullable: true
+ *           enum: [short, long, conveyance, offline, null]
+ *           example: "long"
+ *         initiator:
+ *           type: string
+ *           nullable: true
+ *           example: "manual"
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         estimatedMinutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Duration recommended by the disk
+ *           example: 1223
+ *         remainingPercent:
+ *           type: integer
+ *           nullable: true
+ *           example: 70
+ *         progress:
+ *           type: integer
+ *           nullable: true
+ *           example: 30
+ *         status:
+ *           type: string
+ *           nullable: true
+ *           example: "Self-test routine in progress..."
+ *         lastResult:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/SmartSelfTestResult'
+ */
+
+/**
+ * Check whether a disk is in standby without waking it, or wake it when requested
+ * @param {string} deviceName - Device name (e.g. 'sda')
+ * @param {boolean} wakeUp - Wake the disk instead of checking
+ * @returns {Promise<boolean>} True if the disk is sleeping
  */
+async function getSleepingState(deviceName, wakeUp) {
+  if (wakeUp) {
+    await disksService.wakeDisk(deviceName);
+    return false;
+  }
+  try {
+    const powerStatus = await disksService._getDiskPowerStatus(`/dev/${deviceName}`);
+    return powerStatus.active === false;
+  } catch {
+    return false;
+  }
+}
 
 /**
  * @swagger
@@ -248,6 +480,13 @@ router.get('/config', async (req, res) => {
  *               value:
  *                 defaults:
  *                   bootCheck: false
+ *             trendRules:
+ *               summary: Replace the default trend rules
+ *               value:
+ *                 defaults:
+ *                   trendRules:
+ *                     - { attribute: 5, increase: 2, window: "7d" }
+ *                     - { attribute: 197, increase: 0, window: "24h" }
  *     responses:
  *       200:
  *         description: Configuration updated successfully
@@ -270,6 +509,9 @@ router.put('/config', checkRole(['admin']), async (req, res) => {
     const config = await smartService.updateConfig(req.body);
     res.json(config);
   } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -356,12 +598,26 @@ router.get('/config/disks/:device', async (req, res) => {
  *                   type: integer
  *               attributeNotificationCooldown:
  *                 type: integer
+ *               selfTestSchedule:
+ *                 $ref: '#/components/schemas/SmartSelfTestSchedule'
+ *               trendRules:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Disk-specific trend rules, null resets to the global defaults
+ *                 items:
+ *                   $ref: '#/components/schemas/SmartTrendRule'
  *           examples:
  *             customTemperature:
  *               summary: Set custom temperature limits
  *               value:
  *                 temperatureWarning: 50
  *                 temperatureCritical: 60
+ *             selfTestSchedule:
+ *               summary: Weekly short and monthly long self-test
+ *               value:
+ *                 selfTestSchedule:
+ *                   short: { enabled: true, frequency: "weekly", dayOfWeek: 7, hour: 2 }
+ *                   long: { enabled: true, frequency: "monthly", dayOfMonth: 1, hour: 3 }
  *     responses:
  *       200:
  *         description: Disk configuration updated
@@ -393,6 +649,9 @@ router.put('/config/disks/:device', checkRole(['admin']), async (req, res) => {
     if (error.message.includes('not found')) {
       return res.status(404).json({ error: error.message });
     }
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -701,4 +960,361 @@ router.delete('/config/orphaned/:serial', checkRole(['admin']), async (req, res)
   }
 });
 
+/**
+ * @swagger
+ * /disks/smart/{device}/test:
+ *   post:
+ *     summary: Start a SMART self-test
+ *     description: |
+ *       Start a short, long (extended), conveyance or offline self-test. NVMe disks support short
+ *       and long only. A disk in standby is not woken unless wakeUp is set; the request fails
+ *       with 409 instead. Progress can be polled with GET on the same path, a notification is
+ *       sent when the test finished.
+ *     tags: [SMART]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: device
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device name (e.g. sda, nvme0n1) or serial number
+ *         example: "sda"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [short, long, conveyance, offline]
+ *                 example: "short"
+ *               wakeUp:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Wake the disk if it is in standby
+ *     responses:
+ *       202:
+ *         description: Self-test started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SmartSelfTestStatus'
+ *       400:
+ *         description: Invalid test type
+ *       403:
+ *         description: Admin permission required
+ *       404:
+ *         description: Disk not found
+ *       409:
+ *         description: Disk is in standby or a self-test is already running
+ *       500:
+ *         description: Server error
+ */
+router.post('/:device/test', checkRole(['admin']), async (req, res) => {
+  try {
+    const deviceName = smartService.resolveToDeviceName(req.params.device);
+    if (!deviceName) {
+      return res.status(404).json({ error: `Disk ${req.params.device} not found` });
+    }
+    const { type, wakeUp = false } = req.body || {};
+    const sleeping = await getSleepingState(deviceName, wakeUp === true);
+    const status = await smartService.startSelfTest(deviceName, type, { sleeping });
+    res.status(202).json(status);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('standby') || error.message.includes('already running')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /disks/smart/{device}/test:
+ *   get:
+ *     summary: Get SMART self-test progress
+ *     description: |
+ *       Current self-test execution status of a disk. The status is read with smartctl -n standby,
+ *       a disk in standby is reported with sleeping=true and is not woken.
+ *     tags: [SMART]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: device
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device name (e.g. sda, nvme0n1) or serial number
+ *         example: "sda"
+ *     responses:
+ *       200:
+ *         description: Self-test status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SmartSelfTestStatus'
+ *       404:
+ *         description: Disk not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:device/test', async (req, res) => {
+  try {
+    const deviceName = smartService.resolveToDeviceName(req.params.device);
+    if (!deviceName) {
+      return res.status(404).json({ error: `Disk ${req.params.device} not found` });
+    }
+    const sleeping = await getSleepingState(deviceName, false);
+    const status = await smartService.getSelfTestStatus(deviceName, { sleeping });
+    res.json(status);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /disks/smart/{device}/test:
+ *   delete:
+ *     summary: Abort a running SMART self-test
+ *     tags: [SMART]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: device
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device name (e.g. sda, nvme0n1) or serial number
+ *         example: "sda"
+ *     responses:
+ *       200:
+ *         description: Abort requested, the aborted entry is recorded in the history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SmartSelfTestStatus'
+ *       403:
+ *         description: Admin permission required
+ *       404:
+ *         description: Disk not found
+ *       409:
+ *         description: No self-test running
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:device/test', checkRole(['admin']), async (req, res) => {
+  try {
+    const deviceName = smartService.resolveToDeviceName(req.params.device);
+    if (!deviceName) {
+      return res.status(404).json({ error: `Disk ${req.params.device} not found` });
+    }
+    const sleeping = await getSleepingState(deviceName, false);
+    const status = await smartService.abortSelfTest(deviceName, { sleeping });
+    res.json(status);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('No self-test running')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /disks/smart/{device}/test/history:
+ *   get:
+ *     summary: Get SMART self-test history
+ *     description: |
+ *       Recorded self-test results of a disk, newest first (up to 50 entries). Results of tests
+ *       started manually, by a smartd schedule or outside the API are recorded when they are
+ *       detected; the existing device log is imported once as a baseline. Served from the stored
+ *       history, the disk is not accessed. Works for orphaned disks by serial number.
+ *     tags: [SMART]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: device
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device name (e.g. sda, nvme0n1) or serial number
+ *         example: "sda"
+ *     responses:
+ *       200:
+ *         description: Self-test history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 serial:
+ *                   type: string
+ *                   example: "5PJJ26DF"
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SmartSelfTestResult'
+ *       404:
+ *         description: Disk not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:device/test/history', async (req, res) => {
+  try {
+    const identifier = req.params.device;
+    const serial = smartService.resolveToSerial(identifier) ||
+      (smartService.getOrphaned().some(o => o.serial === identifier) ? identifier : null);
+    if (!serial) {
+      return res.status(404).json({ error: `Disk ${identifier} not found` });
+    }
+    const history = await smartService.getSelfTestHistory(serial);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /disks/smart/{device}/history:
+ *   get:
+ *     summary: Get SMART attribute history
+ *     description: |
+ *       Time series of key SMART attributes (reallocated, reported uncorrectable, pending and
+ *       offline uncorrectable sectors, CRC errors, power-on hours) and temperature, recorded on
+ *       every smartd state update, plus the evaluation of the disk's trend rules. Samples are kept
+ *       for 30 days, then one per day for 2 years. Counters show the last value of a bucket,
+ *       temperature the highest. Served from the history file, the disk is not accessed.
+ *       Works for orphaned disks by serial number.
+ *     tags: [SMART]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: device
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Device name (e.g. sda, nvme0n1) or serial number
+ *         example: "sda"
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           default: "30d"
+ *         description: Time range like 24h, 7d, 4w or 1y
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *         description: Bucket size like 1h or 1d, or raw. Defaults to raw up to 7 days, hourly up to 60 days, daily beyond
+ *       - in: query
+ *         name: attributes
+ *         schema:
+ *           type: string
+ *         description: Comma separated series (5, 187, 197, 198, 199, 9, temperature), all when omitted
+ *         example: "5,197,temperature"
+ *     responses:
+ *       200:
+ *         description: Attribute history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 serial:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 resolution:
+ *                   oneOf:
+ *                     - type: integer
+ *                     - type: string
+ *                   description: Bucket size in seconds or "raw"
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: "5"
+ *                       attribute:
+ *                         type: integer
+ *                         nullable: true
+ *                         example: 5
+ *                       name:
+ *                         type: string
+ *                         example: "Reallocated Sectors"
+ *                       unit:
+ *                         type: string
+ *                         enum: [count, hours, celsius]
+ *                       points:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             timestamp:
+ *                               type: string
+ *                               format: date-time
+ *                             value:
+ *                               type: integer
+ *                 trends:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SmartTrend'
+ *       400:
+ *         description: Invalid range, resolution or attribute
+ *       404:
+ *         description: Disk not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:device/history', async (req, res) => {
+  try {
+    const identifier = req.params.device;
+    const serial = smartService.resolveToSerial(identifier) ||
+      (smartService.getOrphaned().some(o => o.serial === identifier) ? identifier : null);
+    if (!serial) {
+      return res.status(404).json({ error: `Disk ${identifier} not found` });
+    }
+    const history = await smartService.getAttributeHistory(serial, {
+      range: req.query.range,
+      resolution: req.query.resolution,
+      attributes: req.query.attributes
+    });
+    res.json(history);
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const { checkRole, authenticateToken } = require('../middleware/auth.middleware');
 const systemService = require('../services/system.service');
 const mosService = require('../services/mos.service');
+const metricsService = require('../services/metrics.service');
+const prometheusService = require('../services/prometheus.service');
 
 /**
  * @swagger
@@ -2166,6 +2168,355 @@ router.get('/sensors', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /system/metrics/history:
+ *   get:
+ *     summary: Get recorded system metrics
+ *     description: |
+ *       Query the metrics recorder (CPU, memory, network per interface, mapped sensors, Docker/LXC containers and VMs)
+ *       aggregated to min/avg/max per bucket. Raw samples are kept for raw_retention_days, 10 minute rollups for
+ *       retention_days (see /system/metrics/config). Older ranges are served from the rollups.
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: metrics
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma separated series keys, a trailing * matches a prefix (see /system/metrics/series)
+ *         example: "cpu.load,memory.percent,net.*"
+ *       - in: query
+ *         name: range
+ *         schema:
+ *           type: string
+ *           default: 1h
+ *         description: Range ending at "to" (e.g. 30m, 24h, 7d). Ignored when "from" is set
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Start as ISO date or unix seconds
+ *         example: "2026-01-06T02:00:00Z"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: End as ISO date or unix seconds (default now)
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *         description: Bucket size (e.g. 1m, 10m, 1h). Default keeps the result below 500 buckets
+ *     responses:
+ *       200:
+ *         description: Aggregated metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 resolution:
+ *                   type: integer
+ *                   description: Bucket size in seconds
+ *                   example: 60
+ *                 source:
+ *                   type: string
+ *                   enum: [raw, rollup]
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: "cpu.load"
+ *                       label:
+ *                         type: string
+ *                         example: "CPU load"
+ *                       unit:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "%"
+ *                       group:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "cpu"
+ *                       points:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             timestamp:
+ *                               type: string
+ *                               format: date-time
+ *                             min:
+ *                               type: number
+ *                             avg:
+ *                               type: number
+ *                             max:
+ *                               type: number
+ *       400:
+ *         description: Invalid metrics, range or resolution
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/metrics/history', authenticateToken, async (req, res) => {
+  try {
+    const { metrics, range, from, to, resolution } = req.query;
+    const history = await metricsService.getHistory({ metrics, range, from, to, resolution });
+    res.json(history);
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /system/metrics/series:
+ *   get:
+ *     summary: List recorded metric series
+ *     description: All series the metrics recorder has seen, with label, unit and group
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Series list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   key:
+ *                     type: string
+ *                     example: "net.eth0.rx"
+ *                   label:
+ *                     type: string
+ *                     example: "eth0 receive"
+ *                   unit:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "B/s"
+ *                   group:
+ *                     type: string
+ *                     example: "network"
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/metrics/series', authenticateToken, async (req, res) => {
+  try {
+    res.json(await metricsService.getSeries());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /system/metrics/config:
+ *   get:
+ *     summary: Get metrics recorder settings
+ *     description: Sampling interval and retention of the metrics recorder (admin only)
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recorder settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MetricsConfig'
+ *       403:
+ *         description: Admin permission required
+ *   put:
+ *     summary: Update metrics recorder settings
+ *     description: Update sampling interval and retention, the recorder restarts with the new settings (admin only)
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MetricsConfig'
+ *     responses:
+ *       200:
+ *         description: Updated settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MetricsConfig'
+ *       400:
+ *         description: Invalid settings
+ *       403:
+ *         description: Admin permission required
+ *
+ * components:
+ *   schemas:
+ *     MetricsConfig:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           example: true
+ *         interval:
+ *           type: integer
+ *           minimum: 10
+ *           maximum: 3600
+ *           description: Sampling interval in seconds
+ *           example: 30
+ *         raw_retention_days:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           description: Days raw samples are kept
+ *           example: 3
+ *         retention_days:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           description: Days 10 minute rollups are kept
+ *           example: 30
+ *         max_size_mb:
+ *           type: integer
+ *           minimum: 10
+ *           maximum: 10240
+ *           description: Size limit of the store, oldest files (raw first) are removed beyond it
+ *           example: 100
+ */
+router.get('/metrics/config', checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await metricsService.getConfig());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/metrics/config', checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await metricsService.updateConfig(req.body || {}));
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /system/metrics/scrape-token:
+ *   get:
+ *     summary: Get Prometheus scrape token status
+ *     description: Whether a scrape token for /metrics is configured (admin only). The token itself is only shown on creation.
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 configured:
+ *                   type: boolean
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       403:
+ *         description: Admin permission required
+ *   post:
+ *     summary: Create or rotate the Prometheus scrape token
+ *     description: Creates a token that can only read /metrics. An existing token is replaced (admin only).
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *       403:
+ *         description: Admin permission required
+ *   delete:
+ *     summary: Remove the Prometheus scrape token
+ *     description: After removal only admin tokens can scrape /metrics (admin only)
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token removed
+ *       403:
+ *         description: Admin permission required
+ *       404:
+ *         description: No scrape token configured
+ */
+router.get('/metrics/scrape-token', checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await prometheusService.getScrapeTokenStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/metrics/scrape-token', checkRole(['admin']), async (req, res) => {
+  try {
+    res.status(201).json(await prometheusService.createScrapeToken());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/metrics/scrape-token', checkRole(['admin']), async (req, res) => {
+  try {
+    const removed = await prometheusService.deleteScrapeToken();
+    if (!removed) {
+      return res.status(404).json({ error: 'No scrape token configured' });
+    }
+    res.json({ success: true, message: 'Scrape token removed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /system/timedate:
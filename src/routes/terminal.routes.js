@@ -14,6 +14,13 @@ const { checkRole } = require('../middleware/auth.middleware');
  *           type: string
  *           description: Eindeutige Session-ID
  *           example: "terminal-1704123456789-x8f9g2k3l"
+ *         type:
+ *           type: string
+ *           enum: [shell, command, docker, lxc]
+ *           description: Session-Typ
+ *           example: "docker"
+ *         target:
+ *           $ref: '#/components/schemas/TerminalTarget'
  *         command:
  *           type: string
  *           description: Ausgeführter Befehl oder Shell
@@ -45,9 +52,44 @@ const { checkRole } = require('../middleware/auth.middleware');
  *           format: date-time
  *           description: Erstellungszeit
  *
+ *     TerminalTarget:
+ *       type: object
+ *       nullable: true
+ *       description: Container of docker/lxc sessions (null for shell and command sessions)
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [docker, lxc]
+ *           example: "docker"
+ *         container:
+ *           type: string
+ *           example: "nginx"
+ *         shell:
+ *           type: string
+ *           nullable: true
+ *           description: Shell started in the container (null for lxc-attach with the container login shell)
+ *           example: "/bin/sh"
+ *
  *     TerminalConfig:
  *       type: object
  *       properties:
+ *         type:
+ *           type: string
+ *           enum: [shell, command, docker, lxc]
+ *           description: |
+ *             Session type (optional)
+ *
+ *             - shell: login shell on the host (default)
+ *             - command: run `command` with `args`
+ *             - docker: shell in a running Docker container (`docker exec -it`), requires `container`
+ *             - lxc: shell in a running LXC container (`lxc-attach`), requires `container`
+ *
+ *             For docker/lxc the command is built by the server, `command` and `args` are ignored.
+ *           example: "docker"
+ *         container:
+ *           type: string
+ *           description: Container name (docker/lxc sessions)
+ *           example: "nginx"
  *         command:
  *           type: string
  *           description: |
@@ -74,7 +116,12 @@ const { checkRole } = require('../middleware/auth.middleware');
  *         shell:
  *           type: string
  *           default: "/bin/bash"
- *           description: Default shell (only if no command is specified)
+ *           description: |
+ *             Default shell (only if no command is specified)
+ *
+ *             For docker/lxc sessions the shell inside the container (sh, bash or an absolute path).
+ *             Docker defaults to the default_shell of the container template (/bin/sh without template),
+ *             lxc-attach defaults to the login shell of the container.
  *           example: "/bin/bash"
  *         width:
  *           type: integer
@@ -152,6 +199,11 @@ const { checkRole } = require('../middleware/auth.middleware');
  *                     properties:
  *                       sessionId:
  *                         type: string
+ *                       type:
+ *                         type: string
+ *                         enum: [shell, command, docker, lxc]
+ *                       target:
+ *                         $ref: '#/components/schemas/TerminalTarget'
  *                       command:
  *                         type: string
  *                       args:
@@ -172,14 +224,21 @@ const { checkRole } = require('../middleware/auth.middleware');
  *             example:
  *               sessions:
  *                 - sessionId: "terminal-1704123456789-x8f9g2k3l"
+ *                   type: "docker"
+ *                   target:
+ *                     type: "docker"
+ *                     container: "nginx"
+ *                     shell: "/bin/sh"
  *                   command: "docker"
- *                   args: ["exec", "-it", "nginx", "/bin/sh"]
+ *                   args: ["exec", "-it", "-e", "TERM=xterm-256color", "nginx", "/bin/sh"]
  *                   readOnly: false
  *                   startTime: "2024-01-01T12:00:00.000Z"
  *                   cols: 120
  *                   rows: 40
  *                   cwd: "/"
  *                 - sessionId: "terminal-1704123456790-y7h8j3m2p"
+ *                   type: "command"
+ *                   target: null
  *                   command: "tail"
  *                   args: ["-f", "/var/log/syslog"]
  *                   readOnly: true
@@ -231,19 +290,20 @@ router.get('/sessions', checkRole('admin'), (req, res) => {
  *       }
  *       ```
  *
- *       **Docker Container:**
+ *       **Docker Container (shell detected from the container template):**
  *       ```json
  *       {
- *         "command": "docker",
- *         "args": ["exec", "-it", "nginx", "/bin/sh"]
+ *         "type": "docker",
+ *         "container": "nginx"
  *       }
  *       ```
  *
  *       **LXC Container:**
  *       ```json
  *       {
- *         "command": "lxc-attach",
- *         "args": ["-n", "ubuntu", "--", "/bin/bash"]
+ *         "type": "lxc",
+ *         "container": "ubuntu",
+ *         "shell": "bash"
  *       }
  *       ```
  *
@@ -293,10 +353,10 @@ router.get('/sessions', checkRole('admin'), (req, res) => {
  *                 height: 768
  *             docker:
  *               summary: Docker Container
- *               description: Access Docker container
+ *               description: Shell in a running Docker container
  *               value:
- *                 command: "docker"
- *                 args: ["exec", "-it", "nginx", "/bin/sh"]
+ *                 type: "docker"
+ *                 container: "nginx"
  *                 width: 800
  *                 height: 600
  *             logs:
@@ -312,8 +372,8 @@ router.get('/sessions', checkRole('admin'), (req, res) => {
  *               summary: LXC Container
  *               description: LXC Container Attach
  *               value:
- *                 command: "lxc-attach"
- *                 args: ["-n", "ubuntu"]
+ *                 type: "lxc"
+ *                 container: "ubuntu"
  *                 width: 900
  *                 height: 600
  *     responses:
@@ -325,8 +385,13 @@ router.get('/sessions', checkRole('admin'), (req, res) => {
  *               $ref: '#/components/schemas/TerminalSession'
  *             example:
  *               sessionId: "terminal-1704123456789-x8f9g2k3l"
+ *               type: "docker"
+ *               target:
+ *                 type: "docker"
+ *                 container: "nginx"
+ *                 shell: "/bin/sh"
  *               command: "docker"
- *               args: ["exec", "-it", "nginx", "/bin/sh"]
+ *               args: ["exec", "-it", "-e", "TERM=xterm-256color", "nginx", "/bin/sh"]
  *               readOnly: false
  *               cols: 80
  *               rows: 24
@@ -409,6 +474,8 @@ router.get('/:sessionId', checkRole('admin'), (req, res) => {
 
     res.json({
       sessionId,
+      type: terminalService.getSessionType(session.options),
+      target: session.options.target || null,
       command: session.options.command || session.options.shell,
       args: session.options.args || [],
       readOnly: session.options.readOnly,
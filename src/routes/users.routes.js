@@ -49,11 +49,104 @@ const userService = require('../services/user.service');
  *           type: boolean
  *           description: Whether user has SMB/CIFS access
  *           example: false
+ *         permission_sets:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Assigned permission set ids (only evaluated for role "user")
+ *           example: ["docker-operator"]
  *         created_at:
  *           type: string
  *           format: date-time
  *           description: User creation timestamp
  *           example: "2024-01-15T10:30:00Z"
+ *     PermissionSet:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Permission set ID
+ *           example: "docker-operator"
+ *         name:
+ *           type: string
+ *           description: Display name
+ *           example: "Docker Operator"
+ *         description:
+ *           type: string
+ *           description: Optional description
+ *           example: "Manage Docker containers and compose stacks"
+ *         permissions:
+ *           type: object
+ *           description: Route group permissions (docker, vm, lxc, pools, shares, mos) - write includes read
+ *           additionalProperties:
+ *             type: string
+ *             enum: [read, write]
+ *           example:
+ *             docker: "write"
+ *         builtin:
+ *           type: boolean
+ *           description: Built-in sets cannot be modified or deleted
+ *           example: true
+ *     PermissionSetRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Storage Viewer"
+ *         description:
+ *           type: string
+ *           example: "Read access to pools and shares"
+ *         permissions:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *             enum: [read, write]
+ *           example:
+ *             pools: "read"
+ *             shares: "read"
+ *     Group:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "1718000000000"
+ *         name:
+ *           type: string
+ *           example: "staff"
+ *         description:
+ *           type: string
+ *           example: "Office staff"
+ *         gid:
+ *           type: integer
+ *           example: 1500
+ *         members:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["jdoe", "asmith"]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     GroupRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Group name (lowercase, cannot be changed after creation)
+ *           pattern: '^[a-z_][a-z0-9_-]{0,31}$'
+ *           example: "staff"
+ *         description:
+ *           type: string
+ *           example: "Office staff"
+ *         members:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Usernames of existing users
+ *           example: ["jdoe", "asmith"]
  *     Error:
  *       type: object
  *       properties:
@@ -411,6 +504,436 @@ router.put('/me', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /users/groups:
+ *   get:
+ *     summary: Get local groups (admin only)
+ *     description: List the local groups. Groups are Linux groups that can be used in SMB share access rules and ACLs.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Group'
+ *       403:
+ *         description: Admin permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create local group (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupRequest'
+ *     responses:
+ *       201:
+ *         description: Group created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: Invalid group name, name in use or unknown member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Get local groups (admin only)
+router.get('/groups', checkRole(['admin']), async (req, res) => {
+  try {
+    const groups = await userService.getGroups();
+    res.json(groups);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create local group (admin only)
+router.post('/groups', checkRole(['admin']), async (req, res) => {
+  try {
+    const group = await userService.createGroup(req.body || {});
+    res.status(201).json(group);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/groups/{id}:
+ *   put:
+ *     summary: Update local group (admin only)
+ *     description: Update description and members of a group. The name cannot be changed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupRequest'
+ *     responses:
+ *       200:
+ *         description: Group updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: Unknown member or name change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Group not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete local group (admin only)
+ *     description: Delete a group and its Linux group. Share access rules referencing the group are not changed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Group deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationResult'
+ *       404:
+ *         description: Group not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Update local group (admin only)
+router.put('/groups/:id', checkRole(['admin']), async (req, res) => {
+  try {
+    const group = await userService.updateGroup(req.params.id, req.body || {});
+    res.json(group);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete local group (admin only)
+router.delete('/groups/:id', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await userService.deleteGroup(req.params.id);
+    res.json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/permission-sets:
+ *   get:
+ *     summary: Get permission sets (admin only)
+ *     description: List built-in and custom permission sets. Permission sets grant users with role "user" read or write access to route groups (docker, vm, lxc, pools, shares, mos) that are otherwise admin only.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission sets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PermissionSet'
+ *       403:
+ *         description: Admin permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create permission set (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PermissionSetRequest'
+ *     responses:
+ *       201:
+ *         description: Permission set created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionSet'
+ *       400:
+ *         description: Invalid permission set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Get permission sets (admin only)
+router.get('/permission-sets', checkRole(['admin']), async (req, res) => {
+  try {
+    const sets = await userService.getPermissionSets();
+    res.json(sets);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create permission set (admin only)
+router.post('/permission-sets', checkRole(['admin']), async (req, res) => {
+  try {
+    const set = await userService.createPermissionSet(req.body || {});
+    res.status(201).json(set);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/permission-sets/{id}:
+ *   put:
+ *     summary: Update permission set (admin only)
+ *     description: Update a custom permission set. Built-in sets cannot be modified.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Permission set ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PermissionSetRequest'
+ *     responses:
+ *       200:
+ *         description: Permission set updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionSet'
+ *       400:
+ *         description: Invalid permission set or built-in set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Permission set not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete permission set (admin only)
+ *     description: Delete a custom permission set and remove it from all users it is assigned to. Built-in sets cannot be deleted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Permission set ID
+ *     responses:
+ *       200:
+ *         description: Permission set deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperationResult'
+ *       400:
+ *         description: Built-in set cannot be deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Permission set not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Update permission set (admin only)
+router.put('/permission-sets/:id', checkRole(['admin']), async (req, res) => {
+  try {
+    const set = await userService.updatePermissionSet(req.params.id, req.body || {});
+    res.json(set);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete permission set (admin only)
+router.delete('/permission-sets/:id', checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await userService.deletePermissionSet(req.params.id);
+    res.json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/permission-sets:
+ *   put:
+ *     summary: Assign permission sets to a user (admin only)
+ *     description: Replace the permission sets of a user. Only users with role "user" can have permission sets; pass an empty array to remove all.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permission_sets
+ *             properties:
+ *               permission_sets:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["docker-operator", "read-only-monitor"]
+ *     responses:
+ *       200:
+ *         description: Permission sets assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid permission set or user role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Assign permission sets to user (admin only)
+router.put('/:id/permission-sets', checkRole(['admin']), async (req, res) => {
+  try {
+    const { permission_sets } = req.body || {};
+    const user = await userService.setUserPermissionSets(req.params.id, permission_sets);
+    res.json(user);
+  } catch (error) {
+    const statusCode = error.message === 'User not found' ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /users/{id}:
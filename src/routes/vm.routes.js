@@ -89,6 +89,21 @@ const { checkRole } = require('../middleware/auth.middleware');
  *           type: string
  *           description: Operation status message
  *           example: "VM ubuntu-server started successfully"
+ *     VmBackup:
+ *       type: object
+ *       properties:
+ *         filename:
+ *           type: string
+ *           example: "ubuntu-server_2026-01-15_03-00-00.tar.xz"
+ *         size:
+ *           type: integer
+ *           example: 4831838208
+ *         size_human:
+ *           type: string
+ *           example: "4.5 GiB"
+ *         created:
+ *           type: string
+ *           format: date-time
  */
 
 // All routes in this file require admin role
@@ -1144,6 +1159,724 @@ router.delete('/machines/:name', async (req, res) => {
   }
 });
 
+// ============================================================
+// VM Snapshots
+// ============================================================
+
+/**
+ * @swagger
+ * /vm/operations:
+ *   get:
+ *     summary: List active VM operations
+ *     description: Returns all running long-running VM operations (snapshots, backups, restores, clones). Progress updates are also pushed over the /vm WebSocket namespace (vm-operation-update).
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active operations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   vm:
+ *                     type: string
+ *                     example: "windows-11"
+ *                   type:
+ *                     type: string
+ *                     enum: [snapshot-create, snapshot-revert, snapshot-delete, backup, restore, clone]
+ *                     example: "snapshot-create"
+ *                   status:
+ *                     type: string
+ *                     example: "running"
+ *                   progress:
+ *                     type: integer
+ *                     nullable: true
+ *                     example: 42
+ *                   snapshot:
+ *                     type: string
+ *                     example: "before-update"
+ *                   startedAt:
+ *                     type: string
+ *                     format: date-time
+ */
+router.get('/operations', async (req, res) => {
+  try {
+    res.json(vmService.getAllActiveOperations());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vm/machines/{name}/snapshots:
+ *   get:
+ *     summary: List all snapshots of a virtual machine
+ *     description: Returns the snapshots of a VM in topological order (parents before children)
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Virtual machine name
+ *     responses:
+ *       200:
+ *         description: List of snapshots (empty array if no snapshots)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "before-update"
+ *                   description:
+ *                     type: string
+ *                     nullable: true
+ *                   state:
+ *                     type: string
+ *                     description: VM state at the time of the snapshot
+ *                     example: "running"
+ *                   parent:
+ *                     type: string
+ *                     nullable: true
+ *                   created:
+ *                     type: string
+ *                     format: date-time
+ *                   type:
+ *                     type: string
+ *                     enum: [internal, external]
+ *                   memory:
+ *                     type: boolean
+ *                     description: Whether the memory state was saved
+ *                   current:
+ *                     type: boolean
+ *                     description: Whether this is the current snapshot
+ *                   disks:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         target:
+ *                           type: string
+ *                         snapshot:
+ *                           type: string
+ *                           enum: [internal, external, no]
+ *                         file:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         description: VM not found
+ *   post:
+ *     summary: Create a snapshot of a virtual machine
+ *     description: |
+ *       Starts an async snapshot operation. Progress is reported via the /vm WebSocket namespace.
+ *       Internal snapshots require qcow2 disks and always include the memory state for running VMs.
+ *       External snapshots create qcow2 overlay files next to the disks and can be disk-only (memory false).
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Virtual machine name
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Snapshot name (default snap_<timestamp>)
+ *                 example: "before-update"
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [internal, external]
+ *                 default: internal
+ *               memory:
+ *                 type: boolean
+ *                 description: Save the memory state of a running VM (default true for running VMs)
+ *               quiesce:
+ *                 type: boolean
+ *                 description: Freeze guest filesystems using the qemu-guest-agent (external disk-only snapshots)
+ *     responses:
+ *       200:
+ *         description: Snapshot creation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 snapshot:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 memory:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid parameters, VM not found or operation in progress
+ */
+router.get('/machines/:name/snapshots', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const result = await vmService.listSnapshots(name);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/machines/:name/snapshots', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const result = await vmService.createSnapshot(name, req.body || {});
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('already exists') ||
+        error.message.includes('already in progress') ||
+        error.message.includes('require') ||
+        error.message.includes('can only be saved')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vm/machines/{name}/snapshots/{snapshot}:
+ *   delete:
+ *     summary: Delete a snapshot
+ *     description: Starts an async deletion. External snapshots are merged back into their base images by libvirt.
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Virtual machine name
+ *       - in: path
+ *         name: snapshot
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snapshot name
+ *       - in: query
+ *         name: children
+ *         schema:
+ *           type: boolean
+ *         description: Also delete all child snapshots
+ *     responses:
+ *       200:
+ *         description: Snapshot deletion started
+ *       400:
+ *         description: Snapshot not found or operation in progress
+ */
+router.delete('/machines/:name/snapshots/:snapshot', async (req, res) => {
+  try {
+    const { name, snapshot } = req.params;
+    const options = {
+      children: req.query.children === 'true'
+    };
+    const result = await vmService.deleteSnapshot(name, snapshot, options);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('already in progress')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vm/machines/{name}/snapshots/{snapshot}/revert:
+ *   post:
+ *     summary: Revert a virtual machine to a snapshot
+ *     description: Starts an async revert. Snapshots with memory state resume the VM in its saved state.
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Virtual machine name
+ *       - in: path
+ *         name: snapshot
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snapshot name to revert to
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 enum: [running, paused]
+ *                 description: Force the VM state after the revert
+ *               force:
+ *                 type: boolean
+ *                 description: Allow risky reverts (e.g. snapshot without memory state while the VM is running)
+ *     responses:
+ *       200:
+ *         description: Revert started
+ *       400:
+ *         description: Snapshot not found, invalid parameters or operation in progress
+ */
+router.post('/machines/:name/snapshots/:snapshot/revert', async (req, res) => {
+  try {
+    const { name, snapshot } = req.params;
+    const result = await vmService.revertSnapshot(name, snapshot, req.body || {});
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('already in progress')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// VM Backups
+// ============================================================
+
+/**
+ * @swagger
+ * /vm/backups:
+ *   get:
+ *     summary: List all virtual machines with their backups
+ *     description: Returns all VMs with their backups. Includes orphaned backups (VMs that no longer exist). VMs without backups have an empty backups array.
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of VMs with their backups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   vm:
+ *                     type: string
+ *                     description: Virtual machine name
+ *                   orphan:
+ *                     type: boolean
+ *                     description: True if the VM no longer exists (orphaned backup)
+ *                   backups:
+ *                     type: array
+ *                     description: Array of backups (empty if no backups)
+ *                     items:
+ *                       $ref: '#/components/schemas/VmBackup'
+ */
+router.get('/backups', async (req, res) => {
+  try {
+    const result = await vmService.listBackups(null, req.user);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vm/machines/{name}/backups:
+ *   get:
+ *     summary: List backups for a specific virtual machine
+ *     description: Returns backups for a specific VM. Returns empty array if no backups exist.
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Virtual machine name
+ *     responses:
+ *       200:
+ *         description: List of backups for the VM (empty array if no backups)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VmBackup'
+ */
+router.get('/machines/:name/backups', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const result = await vmService.listBackups(name, req.user);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vm/machines/{name}/backups:
+ *   post:
+ *     summary: Create a backup of a virtual machine
+ *     description: |
+ *       Starts an async backup operation. The archive contains the domain XML, NVRAM, TPM state
+ *       and all file-based vdisks (block device disks are skipped). Running VMs are suspended while
+ *       the disks are copied unless use_snapshot is enabled, in which case a temporary external
+ *       disk snapshot is taken and merged back afterwards. Old backups beyond backups_to_keep are
+ *       deleted. Progress is published over the /vm socket (subscribe-vm-operations).
+ *       Scheduled backups can be set up with a cron job calling this endpoint.
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Virtual machine name
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               use_snapshot:
+ *                 type: boolean
+ *                 description: Keep the VM running by using a temporary external disk snapshot
+ *               compression:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 9
+ *                 description: Compression level (7-9 requires 12GB+ RAM)
+ *               threads:
+ *                 type: integer
+ *                 description: Number of threads (0 = auto)
+ *               backups_to_keep:
+ *                 type: integer
+ *                 description: Override the number of backups to keep for this run
+ *     responses:
+ *       200:
+ *         description: Backup started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 backup_file:
+ *                   type: string
+ *                 use_snapshot:
+ *                   type: boolean
+ *                 was_running:
+ *                   type: boolean
+ *                 disks_skipped:
+ *                   type: array
+ *                   description: Block device disks that are not included in the backup
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Operation already in progress, VM not found, backup path not configured or VM has external snapshots
+ *       500:
+ *         description: Error starting backup
+ */
+router.post('/machines/:name/backups', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const options = req.body || {};
+    const result = await vmService.backupVm(name, options);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found') ||
+        error.message.includes('already in progress') ||
+        error.message.includes('not configured') ||
+        error.message.includes('external snapshots')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vm/machines/{name}/backups/abort:
+ *   post:
+ *     summary: Abort an active backup or restore operation
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Virtual machine name
+ *     responses:
+ *       200:
+ *         description: Abort signal sent
+ *       400:
+ *         description: No active backup or restore operation for VM
+ */
+router.post('/machines/:name/backups/abort', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const result = await vmService.abortBackup(name);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('No active')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vm/machines/{name}/backups/{filename}:
+ *   delete:
+ *     summary: Delete a specific backup file
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Virtual machine name
+ *       - in: path
+ *         name: filename
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Backup filename
+ *     responses:
+ *       200:
+ *         description: Backup deleted
+ *       400:
+ *         description: Backup not found
+ */
+router.delete('/machines/:name/backups/:filename', async (req, res) => {
+  try {
+    const { name, filename } = req.params;
+    const result = await vmService.deleteBackup(name, filename);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('not configured')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vm/machines/{name}/backups/restore:
+ *   post:
+ *     summary: Restore a virtual machine from backup
+ *     description: |
+ *       Starts an async restore operation. If new_name is the name of the backed up VM, the existing
+ *       VM is replaced and its disks are written back to their original paths. Any other name creates
+ *       a new VM with a new UUID and MAC addresses and its disks in vdisk_directory/<new_name>.
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Source virtual machine name (for backup lookup)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - backup_file
+ *               - new_name
+ *             properties:
+ *               backup_file:
+ *                 type: string
+ *                 description: Backup filename to restore
+ *               new_name:
+ *                 type: string
+ *                 description: Name for the restored VM
+ *     responses:
+ *       200:
+ *         description: Restore started
+ *       400:
+ *         description: Invalid parameters or backup not found
+ */
+router.post('/machines/:name/backups/restore', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { backup_file, new_name } = req.body;
+
+    if (!backup_file || !new_name) {
+      return res.status(400).json({ error: 'backup_file and new_name are required' });
+    }
+
+    const result = await vmService.restoreVm(name, new_name, backup_file);
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('already in progress') ||
+        error.message.includes('not configured')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// VM Cloning
+// ============================================================
+
+/**
+ * @swagger
+ * /vm/machines/{name}/clone:
+ *   post:
+ *     summary: Clone a virtual machine
+ *     description: |
+ *       Starts an async clone of a stopped VM. The vdisks are copied (reflinked where the filesystem
+ *       supports it) into vdisk_directory/<new_name>, NVRAM and TPM state are copied and the new domain
+ *       gets a fresh UUID and MAC addresses. VMs with block device disks or external snapshots can not
+ *       be cloned. Progress is published over the /vm socket (subscribe-vm-operations) under the new name.
+ *     tags: [VM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name of the VM to clone
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - new_name
+ *             properties:
+ *               new_name:
+ *                 type: string
+ *                 description: Name of the new VM
+ *                 example: "win11-test-01"
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Description of the new VM (defaults to the source description)
+ *               icon:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Icon of the new VM (defaults to the source icon)
+ *               start:
+ *                 type: boolean
+ *                 description: Start the new VM after cloning
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Clone started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 disks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VmDisk'
+ *       400:
+ *         description: Invalid name, VM not found, VM running, target exists or operation in progress
+ *       500:
+ *         description: Error starting clone
+ */
+router.post('/machines/:name/clone', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { new_name, description, icon, start } = req.body || {};
+
+    if (!new_name) {
+      return res.status(400).json({ error: 'new_name is required' });
+    }
+
+    const result = await vmService.cloneVm(name, new_name, { description, icon, start });
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('already') ||
+        error.message.includes('must be stopped') ||
+        error.message.includes('not configured') ||
+        error.message.includes('can not be cloned') ||
+        error.message.includes('external snapshots')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================
 // VM Index Management
 // ============================================================
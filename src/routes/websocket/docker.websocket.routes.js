@@ -69,6 +69,8 @@ const { authenticateToken } = require('../../middleware/auth.middleware');
  *       - `docker-get-operations` - Get list of active operations
  *       - `docker-stats-subscribe` - Subscribe to live container statistics stream
  *       - `docker-stats-unsubscribe` - Unsubscribe from container statistics stream
+ *       - `docker-logs-subscribe` - Follow the stdout/stderr of a container or of all containers of a compose stack
+ *       - `docker-logs-unsubscribe` - Unsubscribe from a logs stream
  *
  *       **Event to listen for (server → client):**
  *       - `docker-update` - **ONE** event for ALL updates (status-based)
@@ -282,6 +284,31 @@ const { authenticateToken } = require('../../middleware/auth.middleware');
  *       ```
  *       Note: All stats streams are automatically stopped on disconnect
  *
+ *       Follow container logs (single container or all containers of a compose stack):
+ *       ```javascript
+ *       socket.emit('docker-logs-subscribe', {
+ *         token: 'your-jwt-token',
+ *         params: { name: 'nginx', tail: 100, timestamps: true }
+ *         // or: params: { stack: 'wordpress', tail: 50 }
+ *       });
+ *
+ *       socket.on('docker-update', (data) => {
+ *         if (data.status === 'running' && data.entries) {
+ *           for (const entry of data.entries) {
+ *             console.log(`[${data.container}] ${entry.stream}: ${entry.message}`);
+ *           }
+ *         }
+ *       });
+ *
+ *       socket.emit('docker-logs-unsubscribe', {
+ *         token: 'your-jwt-token',
+ *         operationId: 'logs-nginx-1234567890-abc123'
+ *       });
+ *       ```
+ *       REST Alternative: `GET /api/v1/docker/mos/containers/{name}/logs`,
+ *       `GET /api/v1/docker/mos/compose/stacks/{name}/logs` (no following)
+ *       Note: All logs streams are automatically stopped on disconnect
+ *
  *       Get active operations after reconnect:
  *       ```javascript
  *       socket.emit('docker-get-operations', { token: 'your-jwt-token' });
@@ -307,7 +334,7 @@ const { authenticateToken } = require('../../middleware/auth.middleware');
  *       - Only explicit `docker-cancel` stops the operation
  *       - Multiple clients can watch same operation via rooms
  *       - Reconnect and resume with `docker-get-operations`
- *       - Container stats streams continuously until unsubscribe/disconnect
+ *       - Container stats and logs stream continuously until unsubscribe/disconnect
  *       - Multiple clients can monitor the same container simultaneously
  *
  *     tags: [Docker WebSocket]
@@ -428,6 +455,36 @@ router.get('/websocket/events', (req, res) => {
             operationId: 'stats-nginx-1234567890-abc123'
           }
         },
+        {
+          event: 'docker-logs-subscribe',
+          description: 'Follow the stdout/stderr of a container or all containers of a compose stack (continuous stream)',
+          payload: {
+            token: 'JWT token (required)',
+            params: {
+              name: 'Container name (either name or stack is required)',
+              stack: 'Compose stack name',
+              tail: 'Number of previous lines per container or "all" (default: 100)',
+              since: 'Only logs since this time (UNIX timestamp, ISO date or duration like 10m)',
+              timestamps: 'Include Docker timestamps (default: false)'
+            }
+          },
+          example: {
+            token: 'eyJ...',
+            params: { name: 'nginx', tail: 100, timestamps: true }
+          }
+        },
+        {
+          event: 'docker-logs-unsubscribe',
+          description: 'Unsubscribe from a logs stream',
+          payload: {
+            token: 'JWT token (required)',
+            operationId: 'Operation ID from subscribe response'
+          },
+          example: {
+            token: 'eyJ...',
+            operationId: 'logs-nginx-1234567890-abc123'
+          }
+        },
         {
           event: 'docker-cancel',
           description: 'Cancel an ongoing operation',
@@ -529,6 +586,24 @@ router.get('/websocket/events', (req, res) => {
               message: 'Stats stream stopped for container \'nginx\'',
               duration: 65000,
               timestamp: 1234567955123
+            },
+            'container-logs-started': {
+              status: 'started',
+              operationId: 'logs-wordpress-1234567890-abc123',
+              operation: 'container-logs',
+              name: null,
+              stack: 'wordpress',
+              containers: ['wordpress-web-1', 'wordpress-db-1'],
+              timestamp: 1234567890123
+            },
+            'container-logs-running': {
+              status: 'running',
+              operationId: 'logs-wordpress-1234567890-abc123',
+              container: 'wordpress-db-1',
+              entries: [
+                { stream: 'stderr', timestamp: '2024-01-20T21:30:00.123456789Z', message: 'ready for connections' }
+              ],
+              timestamp: 1234567891123
             }
           }
         }
@@ -547,7 +622,8 @@ router.get('/websocket/events', (req, res) => {
         'Reconnect and resume',
         'Multiple clients can watch same operation',
         'Live streaming of docker-compose operations',
-        'Real-time container statistics monitoring'
+        'Real-time container statistics monitoring',
+        'Live container and stack logs'
       ],
       note: 'Both REST and WebSocket use the same internal functions (dockerService, dockerComposeService)'
     }
@@ -109,6 +109,16 @@ const router = express.Router();
  *                   type: object
  *                   description: Terminal options
  *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [shell, command, docker, lxc]
+ *                       description: Session type (docker/lxc open a shell in a running container)
+ *                     container:
+ *                       type: string
+ *                       description: Container name (docker/lxc sessions)
+ *                     shell:
+ *                       type: string
+ *                       description: Shell (host shell, or shell inside the container for docker/lxc)
  *                     command:
  *                       type: string
  *                       description: Command to execute (optional)
@@ -291,6 +301,14 @@ const router = express.Router();
  *       });
  *       ```
  *
+ *       Shell in a Docker or LXC container (command is built by the server):
+ *       ```javascript
+ *       socket.emit('create-session', {
+ *         token: 'your-jwt-token',
+ *         options: { type: 'docker', container: 'nginx', width: 800, height: 600 }
+ *       });
+ *       ```
+ *
  *       ### 2. Join an existing session:
  *       ```javascript
  *       socket.emit('join-session', {
@@ -395,6 +413,9 @@ router.get('/websocket/events', (req, res) => {
         parameters: {
           token: 'string - JWT authentication token',
           options: {
+            type: 'string (optional) - shell, command, docker or lxc (default: shell)',
+            container: 'string (docker/lxc) - Container name',
+            shell: 'string (optional) - Shell; for docker/lxc the shell inside the container',
             command: 'string (optional) - Command to execute',
             args: 'array (optional) - Command arguments',
             cols: 'integer (optional) - Terminal columns (default: 80)',
@@ -117,6 +117,8 @@ const { authenticateToken } = require('../../middleware/auth.middleware');
  *       - `unsubscribe-vm-usage`: Unsubscribe from VM usage updates
  *       - `get-vm-usage`: Get immediate VM usage data (one-time)
  *       - `get-vm-machines`: Get all VMs with full details (one-time, like GET /vm/machines)
+ *       - `subscribe-vm-operations`: Subscribe to snapshot, backup, restore and clone progress (admin only)
+ *       - `unsubscribe-vm-operations`: Unsubscribe from snapshot, backup, restore and clone progress
  *
  *       **Events to listen for (server → client):**
  *
@@ -124,6 +126,8 @@ const { authenticateToken } = require('../../middleware/auth.middleware');
  *       - `vm-machines-update`: Full VM details (response to get-vm-machines)
  *       - `vm-usage-subscription-confirmed`: Subscription confirmation
  *       - `vm-usage-unsubscription-confirmed`: Unsubscription confirmation
+ *       - `vm-operations-list`: Currently running operations (sent on subscribe-vm-operations)
+ *       - `vm-operation-update`: Operation status/progress change (running, completed, failed)
  *       - `error`: General error messages
  *
  *       **Example Usage:**
@@ -218,6 +222,17 @@ router.get('/websocket/events', (req, res) => {
           payload: {
             token: 'JWT token (required)'
           }
+        },
+        {
+          event: 'subscribe-vm-operations',
+          description: 'Subscribe to snapshot, backup, restore and clone progress of all VMs (admin only)',
+          payload: {
+            token: 'JWT token (required)'
+          }
+        },
+        {
+          event: 'unsubscribe-vm-operations',
+          description: 'Unsubscribe from snapshot, backup, restore and clone progress'
         }
       ],
       server_to_client: [
@@ -273,6 +288,38 @@ router.get('/websocket/events', (req, res) => {
           event: 'vm-usage-unsubscription-confirmed',
           description: 'Confirmation of successful unsubscription'
         },
+        {
+          event: 'vm-operations-list',
+          description: 'Currently running VM operations (sent on subscribe-vm-operations)',
+          payload: {
+            operations: [
+              {
+                vm: 'Windows',
+                type: 'snapshot-create',
+                status: 'running',
+                progress: 42,
+                snapshot: 'before-update',
+                startedAt: '2024-01-20T21:30:00.000Z'
+              }
+            ],
+            timestamp: 1234567890123
+          }
+        },
+        {
+          event: 'vm-operation-update',
+          description: 'Status or progress change of a VM operation',
+          payload: {
+            vm: 'Windows',
+            type: 'snapshot-create',
+            status: 'completed',
+            progress: 100,
+            snapshot: 'before-update',
+            startedAt: '2024-01-20T21:30:00.000Z',
+            completedAt: '2024-01-20T21:31:10.000Z',
+            error: null,
+            timestamp: 1234567890123
+          }
+        },
         {
           event: 'error',
           description: 'General error messages',
@@ -0,0 +1,115 @@
+const AclHelpers = require('../shares/acl-helpers');
+
+const principals = { users: ['alice', 'bob'], groups: ['staff', 'guests'] };
+
+describe('AclHelpers.normalizeAccessRules', () => {
+  test('strips the group prefix and keeps the last rule per principal', () => {
+    const rules = AclHelpers.normalizeAccessRules([
+      { type: 'user', name: 'alice', access: 'read' },
+      { type: 'group', name: '@staff', access: 'write' },
+      { type: 'user', name: 'alice', access: 'write', extra: true }
+    ], principals);
+
+    expect(rules).toEqual([
+      { type: 'user', name: 'alice', access: 'write' },
+      { type: 'group', name: 'staff', access: 'write' }
+    ]);
+  });
+
+  test.each([
+    ['not an array', {}, 'expected an array'],
+    ['not an object', ['alice'], 'expected an object'],
+    ['unknown type', [{ type: 'host', name: 'alice', access: 'read' }], 'Invalid access rule type: host'],
+    ['unknown access', [{ type: 'user', name: 'alice', access: 'admin' }], 'Invalid access rule access: admin'],
+    ['unknown user', [{ type: 'user', name: 'mallory', access: 'read' }], "unknown user 'mallory'"],
+    ['user name as group', [{ type: 'group', name: 'alice', access: 'read' }], "unknown group 'alice'"]
+  ])('rejects %s', (name, rules, message) => {
+    expect(() => AclHelpers.normalizeAccessRules(rules, principals)).toThrow(message);
+  });
+
+  test('accepts deny rules', () => {
+    expect(AclHelpers.normalizeAccessRules([{ type: 'user', name: 'bob', access: 'deny' }], principals))
+      .toEqual([{ type: 'user', name: 'bob', access: 'deny' }]);
+  });
+});
+
+describe('AclHelpers.toSmbLists', () => {
+  test('splits the rules into the read, write and deny lists', () => {
+    expect(AclHelpers.toSmbLists([
+      { type: 'user', name: 'alice', access: 'write' },
+      { type: 'group', name: 'staff', access: 'read' },
+      { type: 'user', name: 'bob', access: 'deny' }
+    ])).toEqual({ valid_users: ['alice', '@staff'], write_list: ['alice'], read_list: ['@staff'], invalid_users: ['bob'] });
+  });
+
+  test('returns empty lists without rules', () => {
+    expect(AclHelpers.toSmbLists([])).toEqual({ valid_users: [], write_list: [], read_list: [], invalid_users: [] });
+  });
+});
+
+describe('AclHelpers.buildAclSpec', () => {
+  const rules = [
+    { type: 'user', name: 'alice', access: 'write' },
+    { type: 'group', name: 'staff', access: 'read' },
+    { type: 'user', name: 'bob', access: 'deny' }
+  ];
+
+  test('builds access entries for files', () => {
+    expect(AclHelpers.buildAclSpec(rules, false)).toBe('u:alice:rwX,g:staff:r-X,u:bob:---,m::rwx');
+  });
+
+  test('adds default entries for directories', () => {
+    expect(AclHelpers.buildAclSpec(rules, true))
+      .toBe('u:alice:rwX,g:staff:r-X,u:bob:---,m::rwx,d:u:alice:rwx,d:g:staff:r-x,d:u:bob:---,d:m::rwx');
+  });
+
+  test('returns null without rules', () => {
+    expect(AclHelpers.buildAclSpec([], true)).toBeNull();
+  });
+});
+
+describe('AclHelpers.resolveSmbAccess', () => {
+  const share = {
+    enabled: true,
+    read_only: true,
+    guest_ok: false,
+    valid_users: ['alice', '@staff'],
+    write_list: ['alice']
+  };
+
+  test('grants write through the write list and read through valid users', () => {
+    expect(AclHelpers.resolveSmbAccess(share, 'alice', [])).toEqual({ access: 'write', via: 'alice' });
+    expect(AclHelpers.resolveSmbAccess(share, 'bob', ['staff'])).toEqual({ access: 'read', via: '@staff' });
+  });
+
+  test('denies users outside of valid users unless guests are allowed', () => {
+    expect(AclHelpers.resolveSmbAccess(share, 'carol', [])).toEqual({ access: 'none', via: null });
+    expect(AclHelpers.resolveSmbAccess({ ...share, guest_ok: true }, 'carol', [])).toEqual({ access: 'read', via: 'guest' });
+  });
+
+  test('falls back to read only for all users without valid users', () => {
+    const open = { enabled: true, read_only: false, valid_users: [], write_list: [] };
+
+    expect(AclHelpers.resolveSmbAccess(open, 'carol', [])).toEqual({ access: 'write', via: 'all users' });
+    expect(AclHelpers.resolveSmbAccess({ ...open, read_only: true }, 'carol', [])).toEqual({ access: 'read', via: 'all users' });
+  });
+
+  test('denies invalid users before everything else', () => {
+    const denied = { ...share, invalid_users: ['@guests'] };
+
+    expect(AclHelpers.resolveSmbAccess(denied, 'alice', ['guests'])).toEqual({ access: 'deny', via: '@guests' });
+    expect(AclHelpers.resolveSmbAccess({ ...denied, guest_ok: true }, 'carol', ['guests'])).toEqual({ access: 'deny', via: '@guests' });
+  });
+
+  test('limits read list entries to read access on writable shares', () => {
+    const writable = { ...share, read_only: false, read_list: ['@staff'] };
+
+    expect(AclHelpers.resolveSmbAccess(writable, 'bob', ['staff'])).toEqual({ access: 'read', via: '@staff' });
+    expect(AclHelpers.resolveSmbAccess(writable, 'alice', ['staff'])).toEqual({ access: 'write', via: 'alice' });
+  });
+
+  test('matches +group entries and reports disabled shares', () => {
+    expect(AclHelpers.resolveSmbAccess({ ...share, write_list: ['+staff'] }, 'bob', ['staff'])).toEqual({ access: 'write', via: '@staff' });
+    expect(AclHelpers.resolveSmbAccess({ ...share, enabled: false }, 'alice', [])).toEqual({ access: 'none', via: 'share disabled' });
+  });
+});
@@ -0,0 +1,155 @@
+const AttributeHistory = require('../smart/attribute-history');
+
+const DAY = 86400;
+const NOW = 1736000000;
+
+const sample = (t, values = {}) => ({
+  t,
+  values: { 5: 0, 187: 0, 197: 0, 198: 0, 199: 0, 9: 1000, temperature: 30, ...values }
+});
+
+describe('AttributeHistory.parse / serialize', () => {
+  test('round trips samples, empty fields are null', () => {
+    const content = '200,8,0,1,0,0,5001,35\n100,,,,,,5000,33\n';
+    const samples = AttributeHistory.parse(content);
+
+    expect(samples[0]).toEqual({
+      t: 100,
+      values: { 5: null, 187: null, 197: null, 198: null, 199: null, 9: 5000, temperature: 33 }
+    });
+    expect(samples[1].values['5']).toBe(8);
+    expect(AttributeHistory.serialize(samples)).toBe('100,,,,,,5000,33\n200,8,0,1,0,0,5001,35\n');
+  });
+
+  test('skips lines with a different column count', () => {
+    expect(AttributeHistory.parse('100,1,2\nfoo,1,1,1,1,1,1,1\n\n')).toEqual([]);
+  });
+});
+
+describe('AttributeHistory.fromState', () => {
+  test('takes the raw values of the recorded attributes and the temperature', () => {
+    const state = {
+      attributes: { 5: { rawValue: 8 }, 9: { rawValue: 12000 }, 194: { rawValue: 36 } },
+      temperatureCurrent: 36
+    };
+
+    expect(AttributeHistory.fromState(state, NOW)).toEqual({
+      t: NOW,
+      values: { 5: 8, 187: null, 197: null, 198: null, 199: null, 9: 12000, temperature: 36 }
+    });
+  });
+
+  test('records nulls for disks without attributes', () => {
+    const { values } = AttributeHistory.fromState({}, NOW);
+
+    expect(Object.values(values).every(value => value === null)).toBe(true);
+  });
+});
+
+describe('AttributeHistory.compact', () => {
+  test('keeps 30 days of samples, one per day before that and drops samples after two years', () => {
+    const oldDay = Math.floor((NOW - 40 * DAY) / DAY) * DAY;
+    const samples = [
+      sample(NOW - 3 * 365 * DAY, { 5: 1 }),
+      sample(oldDay + 100, { 5: 2 }),
+      sample(oldDay + 200, { 5: 3 }),
+      sample(NOW - DAY, { 5: 4 }),
+      sample(NOW - DAY + 100, { 5: 5 })
+    ];
+
+    expect(AttributeHistory.compact(samples, NOW).map(s => s.values['5'])).toEqual([3, 4, 5]);
+  });
+});
+
+describe('AttributeHistory.getDefaultResolution', () => {
+  test('raw up to a week, hourly up to 60 days, daily beyond', () => {
+    expect(AttributeHistory.getDefaultResolution(7 * DAY)).toBe(0);
+    expect(AttributeHistory.getDefaultResolution(30 * DAY)).toBe(3600);
+    expect(AttributeHistory.getDefaultResolution(365 * DAY)).toBe(DAY);
+  });
+});
+
+describe('AttributeHistory.aggregate', () => {
+  const samples = [
+    sample(3600, { 5: 1, temperature: 40 }),
+    sample(3700, { 5: 2, temperature: 35 }),
+    sample(7200, { 5: null, temperature: 30 })
+  ];
+
+  test('keeps the last counter and the highest temperature per bucket', () => {
+    const [reallocated, temperature] = AttributeHistory.aggregate(samples, 0, 10000, 3600, ['5', 'temperature']);
+
+    expect(reallocated).toMatchObject({ key: '5', attribute: 5, name: 'Reallocated Sectors', unit: 'count' });
+    expect(reallocated.points).toEqual([{ timestamp: new Date(3600 * 1000).toISOString(), value: 2 }]);
+    expect(temperature.points.map(p => p.value)).toEqual([40, 30]);
+  });
+
+  test('returns every sample without a resolution', () => {
+    const [temperature] = AttributeHistory.aggregate(samples, 3600, 3700, 0, ['temperature']);
+
+    expect(temperature.points.map(p => p.value)).toEqual([40, 35]);
+  });
+});
+
+describe('AttributeHistory.parseKeys', () => {
+  test('defaults to all series', () => {
+    expect(AttributeHistory.parseKeys('')).toEqual(['5', '187', '197', '198', '199', '9', 'temperature']);
+  });
+
+  test('accepts comma separated keys and arrays', () => {
+    expect(AttributeHistory.parseKeys('5, temperature')).toEqual(['5', 'temperature']);
+    expect(AttributeHistory.parseKeys([197, '198'])).toEqual(['197', '198']);
+  });
+
+  test('rejects attributes that are not recorded', () => {
+    expect(() => AttributeHistory.parseKeys('5,194')).toThrow('Invalid attribute: 194');
+  });
+});
+
+describe('AttributeHistory.normalizeRules', () => {
+  test('fills in the defaults', () => {
+    expect(AttributeHistory.normalizeRules([{ attribute: '5', increase: 0 }])).toEqual([
+      { attribute: 5, increase: 0, window: '7d', enabled: true }
+    ]);
+  });
+
+  test.each([
+    ['not an array', {}, 'expected an array'],
+    ['unsupported attribute', [{ attribute: 9, increase: 1 }], 'Invalid trend rule attribute'],
+    ['negative increase', [{ attribute: 5, increase: -1 }], 'Invalid trend rule increase'],
+    ['broken window', [{ attribute: 5, increase: 1, window: 'week' }], 'Invalid duration'],
+    ['window beyond the retention', [{ attribute: 5, increase: 1, window: '3y' }], 'exceeds the history retention']
+  ])('rejects %s', (name, rules, message) => {
+    expect(() => AttributeHistory.normalizeRules(rules)).toThrow(message);
+  });
+});
+
+describe('AttributeHistory.evaluateTrends', () => {
+  const samples = [
+    sample(NOW - 10 * DAY, { 5: 2 }),
+    sample(NOW - 8 * DAY, { 5: 4 }),
+    sample(NOW - 3 * DAY, { 5: 6 }),
+    sample(NOW, { 5: 9, 197: null })
+  ];
+
+  test('measures growth from the last sample before the window', () => {
+    const [trend] = AttributeHistory.evaluateTrends(samples, [{ attribute: 5, increase: 4, window: '7d', enabled: true }], NOW);
+
+    expect(trend).toEqual({ attribute: 5, window: '7d', increase: 4, growth: 5, from: 4, to: 9, exceeded: true });
+  });
+
+  test('falls back to the oldest sample inside the window', () => {
+    const [trend] = AttributeHistory.evaluateTrends(samples.slice(2), [{ attribute: 5, increase: 4, window: '7d', enabled: true }], NOW);
+
+    expect(trend).toMatchObject({ growth: 3, from: 6, exceeded: false });
+  });
+
+  test('skips disabled rules and reports missing values as null', () => {
+    const trends = AttributeHistory.evaluateTrends([sample(NOW, { 187: null })], [
+      { attribute: 5, increase: 0, window: '7d', enabled: false },
+      { attribute: 187, increase: 0, window: '7d', enabled: true }
+    ], NOW);
+
+    expect(trends).toEqual([{ attribute: 187, window: '7d', increase: 0, growth: null, from: null, to: null, exceeded: false }]);
+  });
+});
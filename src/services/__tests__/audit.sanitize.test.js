@@ -0,0 +1,36 @@
+const auditService = require('../audit.service');
+
+describe('AuditService.isSensitiveKey', () => {
+  test.each([
+    'password', 'newPassword', 'passphrase', 'pass', 'client_secret', 'token', 'refresh-token',
+    'key', 'api_key', 'apiKey', 'privateKey', 'access_key_id', 'secret_access_key', 'sse_customer_key',
+    'key_file_pass', 'service_account_credentials', 'recovery_codes', 'code', 'otp'
+  ])('%s is sensitive', (key) => {
+    expect(auditService.isSensitiveKey(key)).toBe(true);
+  });
+
+  test.each(['name', 'username', 'provider', 'region', 'keyboard_layout', 'monkey', 'zip_code', 'description'])(
+    '%s is not sensitive', (key) => {
+      expect(auditService.isSensitiveKey(key)).toBe(false);
+    });
+});
+
+describe('AuditService.sanitize', () => {
+  test('redacts nested remote credentials', () => {
+    const body = {
+      name: 'backup',
+      type: 'rclone',
+      rclone_config: { provider: 'AWS', access_key_id: 'AKIA123', secret_access_key: 'abc', region: '' }
+    };
+
+    expect(auditService.sanitize(body)).toEqual({
+      name: 'backup',
+      type: 'rclone',
+      rclone_config: { provider: 'AWS', access_key_id: '[REDACTED]', secret_access_key: '[REDACTED]', region: '' }
+    });
+  });
+
+  test('keeps empty values so cleared fields stay visible', () => {
+    expect(auditService.sanitize({ key: '', token: null })).toEqual({ key: '', token: null });
+  });
+});
@@ -0,0 +1,143 @@
+const IoHistory = require('../disks/io-history');
+const { RingBuffer } = IoHistory;
+
+const DAY = 86400;
+
+const bucket = (t, res, values = {}) => ({
+  t,
+  res,
+  seconds: res,
+  readBytes: 0,
+  writeBytes: 0,
+  readPeak: 0,
+  writePeak: 0,
+  ...values
+});
+
+describe('RingBuffer', () => {
+  test('overwrites the oldest items once full', () => {
+    const buffer = new RingBuffer(3);
+    [1, 2].forEach(item => buffer.push(item));
+    expect(buffer.toArray()).toEqual([1, 2]);
+
+    [3, 4, 5].forEach(item => buffer.push(item));
+    expect(buffer.toArray()).toEqual([3, 4, 5]);
+    expect(buffer.length).toBe(3);
+  });
+});
+
+describe('IoHistory.parse / serialize', () => {
+  test('round trips buckets and sorts them', () => {
+    const content = '960,60,60,6000,1200,200,40\n900,60,30.5,3000,600,100,20\n';
+    const buckets = IoHistory.parse(content);
+
+    expect(buckets[0]).toEqual({ t: 900, res: 60, seconds: 30.5, readBytes: 3000, writeBytes: 600, readPeak: 100, writePeak: 20 });
+    expect(IoHistory.serialize(buckets)).toBe('900,60,30.5,3000,600,100,20\n960,60,60,6000,1200,200,40\n');
+  });
+
+  test('skips broken lines and unknown tiers', () => {
+    expect(IoHistory.parse('1,60,60,1,1,1\n1,300,60,1,1,1,1\nfoo\n1,900,900,1,1,1,1')).toHaveLength(1);
+  });
+});
+
+describe('IoHistory.compact', () => {
+  test('drops buckets past the retention of their tier', () => {
+    const now = 40 * DAY;
+    const buckets = [
+      bucket(now - 2 * DAY, 60),
+      bucket(now - 3600, 60),
+      bucket(now - 31 * DAY, 900),
+      bucket(now - 2 * DAY, 900)
+    ];
+
+    expect(IoHistory.compact(buckets, now)).toEqual([buckets[1], buckets[3]]);
+  });
+});
+
+describe('IoHistory.addToBucket', () => {
+  test('sums bytes and seconds and keeps the peak speeds', () => {
+    let open = IoHistory.addToBucket(null, 600, 60, { seconds: 5, readBytes: 500, writeBytes: 50, readSpeed: 100, writeSpeed: 10 });
+    open = IoHistory.addToBucket(open, 600, 60, { seconds: 5, readBytes: 1500, writeBytes: 0, readSpeed: 300, writeSpeed: 0 });
+
+    expect(open).toEqual({ t: 600, res: 60, seconds: 10, readBytes: 2000, writeBytes: 50, readPeak: 300, writePeak: 10 });
+  });
+});
+
+describe('IoHistory.parseOptions', () => {
+  test('defaults to one hour at one minute', () => {
+    expect(IoHistory.parseOptions()).toEqual({ range: 3600, resolution: 60 });
+  });
+
+  test('picks the default resolution per range', () => {
+    expect(IoHistory.parseOptions({ range: '10m' }).resolution).toBe(0);
+    expect(IoHistory.parseOptions({ range: '7d' }).resolution).toBe(900);
+    expect(IoHistory.parseOptions({ range: '30d' }).resolution).toBe(3600);
+  });
+
+  test('accepts raw and minute multiples', () => {
+    expect(IoHistory.parseOptions({ range: '1h', resolution: 'raw' }).resolution).toBe(0);
+    expect(IoHistory.parseOptions({ range: '1d', resolution: '5m' }).resolution).toBe(300);
+  });
+
+  test('rejects ranges beyond the archive and odd resolutions', () => {
+    expect(() => IoHistory.parseOptions({ range: '31d' })).toThrow('I/O history is kept for 30 days');
+    expect(() => IoHistory.parseOptions({ resolution: '90' })).toThrow('Invalid resolution');
+    expect(() => IoHistory.parseOptions({ resolution: '30' })).toThrow('Invalid resolution');
+  });
+});
+
+describe('IoHistory.merge', () => {
+  test('sums buckets into larger buckets', () => {
+    const merged = IoHistory.merge([
+      bucket(0, 60, { readBytes: 10, readPeak: 5 }),
+      bucket(60, 60, { readBytes: 20, readPeak: 8 }),
+      bucket(300, 60, { writeBytes: 7, writePeak: 3 })
+    ], 300);
+
+    expect(merged).toEqual([
+      { t: 0, res: 300, seconds: 120, readBytes: 30, writeBytes: 0, readPeak: 8, writePeak: 0 },
+      { t: 300, res: 300, seconds: 60, readBytes: 0, writeBytes: 7, readPeak: 0, writePeak: 3 }
+    ]);
+  });
+});
+
+describe('IoHistory.select', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const start = Math.floor((now - 3600) / 900) * 900;
+  const buckets = [
+    bucket(start, 60, { readBytes: 1 }),
+    bucket(start + 60, 60, { readBytes: 2 }),
+    bucket(start, 900, { readBytes: 3 })
+  ];
+
+  test('uses the one minute tier for recent ranges', () => {
+    const selected = IoHistory.select(buckets, start, now, 60);
+
+    expect(selected.map(b => b.readBytes)).toEqual([1, 2]);
+  });
+
+  test('uses the 15 minute tier for 15 minute multiples', () => {
+    const selected = IoHistory.select(buckets, start, now, 900);
+
+    expect(selected).toEqual([bucket(start, 900, { readBytes: 3 })]);
+  });
+
+  test('uses the 15 minute tier when the range is older than a day', () => {
+    const selected = IoHistory.select(buckets, now - 2 * DAY, now, 300);
+
+    expect(selected).toHaveLength(1);
+    expect(selected[0].res).toBe(900);
+  });
+});
+
+describe('IoHistory.sum', () => {
+  test('adds the buckets of several disks per timestamp', () => {
+    const summed = IoHistory.sum([
+      [bucket(60, 60, { readBytes: 10, readPeak: 4 }), bucket(0, 60, { readBytes: 1 })],
+      [bucket(60, 60, { readBytes: 5, readPeak: 6, seconds: 30 })]
+    ]);
+
+    expect(summed.map(b => b.t)).toEqual([0, 60]);
+    expect(summed[1]).toEqual({ t: 60, res: 60, seconds: 60, readBytes: 15, writeBytes: 0, readPeak: 10, writePeak: 0 });
+  });
+});
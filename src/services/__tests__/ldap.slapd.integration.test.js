@@ -0,0 +1,189 @@
+/**
+ * LDAP authentication against a throwaway slapd on 127.0.0.1.
+ *
+ * Needs root, slapd and the OpenLDAP client tools, opt in with: MOS_INTEGRATION_TESTS=1 npx jest ldap.slapd
+ * Config and database live in a temporary directory, the LDAP settings file under /boot is never read.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execSync, execFileSync } = require('child_process');
+
+const hasCommand = (command) => {
+  try {
+    execSync(`command -v ${command}`, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const SCHEMA_DIRS = ['/etc/ldap/schema', '/etc/openldap/schema'];
+const MODULE_DIRS = ['/usr/lib/ldap', '/usr/lib/openldap', '/usr/lib64/openldap'];
+const schemaDir = SCHEMA_DIRS.find(dir => fs.existsSync(path.join(dir, 'nis.schema')));
+
+const enabled = process.env.MOS_INTEGRATION_TESTS === '1' && process.getuid?.() === 0 &&
+  hasCommand('slapd') && hasCommand('ldapadd') && hasCommand('ldapsearch') && hasCommand('ldapwhoami') && !!schemaDir;
+const describeSlapd = enabled ? describe : describe.skip;
+
+const BASE_DN = 'dc=mos,dc=test';
+const ROOT_DN = `cn=admin,${BASE_DN}`;
+const ROOT_PW = 'rootsecret';
+
+const DIRECTORY = `dn: ${BASE_DN}
+objectClass: dcObject
+objectClass: organization
+o: MOS test
+dc: mos
+
+dn: ou=people,${BASE_DN}
+objectClass: organizationalUnit
+ou: people
+
+dn: ou=groups,${BASE_DN}
+objectClass: organizationalUnit
+ou: groups
+
+dn: uid=alice,ou=people,${BASE_DN}
+objectClass: inetOrgPerson
+objectClass: posixAccount
+uid: alice
+cn: Alice Liddell
+sn: Liddell
+mail: alice@mos.test
+uidNumber: 10001
+gidNumber: 10001
+homeDirectory: /home/alice
+userPassword: alicepw
+
+dn: uid=bob,ou=people,${BASE_DN}
+objectClass: inetOrgPerson
+objectClass: posixAccount
+uid: bob
+cn: Bob
+sn: Builder
+uidNumber: 10002
+gidNumber: 10002
+homeDirectory: /home/bob
+userPassword: bobpw
+
+dn: cn=mosadmins,ou=groups,${BASE_DN}
+objectClass: posixGroup
+cn: mosadmins
+gidNumber: 20001
+memberUid: alice
+
+dn: cn=mosusers,ou=groups,${BASE_DN}
+objectClass: posixGroup
+cn: mosusers
+gidNumber: 20002
+memberUid: alice
+memberUid: bob
+`;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+describeSlapd('LdapService against slapd', () => {
+  let tmpDir;
+  let uri;
+  let slapdPid;
+  let ldapService;
+  let settings;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mos-ldap-'));
+    const dbDir = path.join(tmpDir, 'db');
+    fs.mkdirSync(dbDir);
+    uri = `ldap://127.0.0.1:${await freePort()}`;
+
+    const moduleDir = MODULE_DIRS.find(dir => fs.existsSync(path.join(dir, 'back_mdb.so')));
+    fs.writeFileSync(path.join(tmpDir, 'slapd.conf'), [
+      ...['core', 'cosine', 'inetorgperson', 'nis'].map(schema => `include ${schemaDir}/${schema}.schema`),
+      `pidfile ${path.join(tmpDir, 'slapd.pid')}`,
+      ...(moduleDir ? [`modulepath ${moduleDir}`, 'moduleload back_mdb'] : []),
+      'database mdb',
+      `suffix "${BASE_DN}"`,
+      `rootdn "${ROOT_DN}"`,
+      `rootpw ${ROOT_PW}`,
+      `directory ${dbDir}`,
+      ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(tmpDir, 'directory.ldif'), DIRECTORY);
+
+    // slapd forks into the background once it listens, the pid file identifies it for cleanup
+    execFileSync('slapd', ['-f', path.join(tmpDir, 'slapd.conf'), '-h', `${uri}/`]);
+    slapdPid = Number(fs.readFileSync(path.join(tmpDir, 'slapd.pid'), 'utf8').trim());
+    execFileSync('ldapadd', ['-x', '-H', uri, '-D', ROOT_DN, '-w', ROOT_PW, '-f', path.join(tmpDir, 'directory.ldif')], { stdio: 'ignore' });
+
+    ldapService = require('../ldap.service');
+    settings = {
+      ...ldapService.getDefaultSettings('ldap'),
+      enabled: true,
+      uri,
+      base_dn: BASE_DN,
+      bind_dn: ROOT_DN,
+      bind_password: ROOT_PW,
+      role_mapping: { admin: ['mosadmins'], user: ['mosusers'], samba_only: [] },
+      timeout: 5
+    };
+    jest.spyOn(ldapService, 'loadSettings').mockImplementation(async () => settings);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    if (slapdPid) {
+      try {
+        process.kill(slapdPid);
+      } catch (error) {
+        // Already stopped
+      }
+    }
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('authenticates users and maps their groups to a role', async () => {
+    await expect(ldapService.authenticate('alice', 'alicepw')).resolves.toMatchObject({
+      username: 'alice',
+      dn: `uid=alice,ou=people,${BASE_DN}`,
+      displayName: 'Alice Liddell',
+      email: 'alice@mos.test',
+      groups: ['mosadmins', 'mosusers'],
+      role: 'admin'
+    });
+    await expect(ldapService.authenticate('bob', 'bobpw')).resolves.toMatchObject({ groups: ['mosusers'], role: 'user' });
+  });
+
+  test('rejects wrong passwords, unknown users and filter injection', async () => {
+    await expect(ldapService.authenticate('alice', 'wrong')).resolves.toBeNull();
+    await expect(ldapService.authenticate('carol', 'alicepw')).resolves.toBeNull();
+    await expect(ldapService.authenticate('*', 'alicepw')).resolves.toBeNull();
+    await expect(ldapService.authenticate('alice)(uid=*', 'alicepw')).resolves.toBeNull();
+  });
+
+  test('lists users and groups', async () => {
+    expect((await ldapService.listUsers()).map(user => user.username)).toEqual(['alice', 'bob']);
+    expect(await ldapService.listGroups()).toEqual([
+      { name: 'mosadmins', dn: `cn=mosadmins,ou=groups,${BASE_DN}`, members: ['alice'], source: 'ldap' },
+      { name: 'mosusers', dn: `cn=mosusers,ou=groups,${BASE_DN}`, members: ['alice', 'bob'], source: 'ldap' }
+    ]);
+    await expect(ldapService.testConnection()).resolves.toMatchObject({ success: true, sample_users: ['alice', 'bob'] });
+  });
+
+  test('reports an unreachable server as LDAP_UNAVAILABLE', async () => {
+    settings = { ...settings, uri: `ldap://127.0.0.1:${await freePort()}` };
+
+    await expect(ldapService.authenticate('alice', 'alicepw')).rejects.toMatchObject({ code: 'LDAP_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,115 @@
+const ldapService = require('../ldap.service');
+
+const settings = (overrides = {}) => ({
+  ...ldapService.getDefaultSettings(),
+  enabled: true,
+  uri: 'ldap://ldap.example.com',
+  base_dn: 'dc=example,dc=com',
+  role_mapping: { admin: ['MOS-Admins'], user: ['staff'], samba_only: ['smb'] },
+  ...overrides
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('LdapService.parseLdif', () => {
+  test('parses entries with multi-valued, folded and base64 attributes', () => {
+    const output = [
+      '# extended LDIF',
+      'dn: uid=alice,ou=people,dc=example,dc=com',
+      'uid: alice',
+      'cn: Alice Liddell',
+      'memberOf: cn=staff,ou=groups,dc=example,dc=com',
+      'memberOf: cn=MOS-Admins,ou=groups,dc=exa',
+      ' mple,dc=com',
+      `displayName:: ${Buffer.from('Älice').toString('base64')}`,
+      '',
+      'dn: cn=staff,ou=groups,dc=example,dc=com',
+      'cn: staff',
+      ''
+    ].join('\n');
+
+    expect(ldapService.parseLdif(output)).toEqual([
+      {
+        dn: 'uid=alice,ou=people,dc=example,dc=com',
+        attributes: {
+          uid: ['alice'],
+          cn: ['Alice Liddell'],
+          memberof: ['cn=staff,ou=groups,dc=example,dc=com', 'cn=MOS-Admins,ou=groups,dc=example,dc=com'],
+          displayname: ['Älice']
+        }
+      },
+      { dn: 'cn=staff,ou=groups,dc=example,dc=com', attributes: { cn: ['staff'] } }
+    ]);
+  });
+
+  test('handles CRLF output, base64 DNs and referrals without a DN', () => {
+    const dn = 'cn=Jürgen,dc=example,dc=com';
+    const output = `dn:: ${Buffer.from(dn).toString('base64')}\r\ncn: Jürgen\r\n\r\n# refldap://other.example.com/dc=example,dc=com\r\n`;
+
+    expect(ldapService.parseLdif(output)).toEqual([{ dn, attributes: { cn: ['Jürgen'] } }]);
+    expect(ldapService.parseLdif('')).toEqual([]);
+  });
+});
+
+describe('LdapService.escapeFilter', () => {
+  test('escapes the RFC 4515 special characters', () => {
+    expect(ldapService.escapeFilter('*)(uid=*')).toBe('\\2a\\29\\28uid=\\2a');
+    expect(ldapService.escapeFilter('back\\slash\0')).toBe('back\\5cslash\\00');
+    expect(ldapService.escapeFilter('jane.doe')).toBe('jane.doe');
+    expect(ldapService.escapeFilter(1000)).toBe('1000');
+  });
+});
+
+describe('LdapService.mapRole', () => {
+  test('picks the highest mapped role, case-insensitive', () => {
+    expect(ldapService.mapRole(['smb', 'Staff'], settings())).toBe('user');
+    expect(ldapService.mapRole(['staff', 'mos-admins'], settings())).toBe('admin');
+    expect(ldapService.mapRole(['smb'], settings())).toBe('samba_only');
+  });
+
+  test('falls back to the default role', () => {
+    expect(ldapService.mapRole(['guests'], settings())).toBeNull();
+    expect(ldapService.mapRole([], settings({ default_role: 'samba_only' }))).toBe('samba_only');
+  });
+});
+
+describe('LdapService.authenticate', () => {
+  const alice = {
+    dn: 'uid=alice,ou=people,dc=example,dc=com',
+    attributes: { uid: ['alice'], cn: ['Alice'], memberof: ['cn=MOS-Admins,ou=groups,dc=example,dc=com'] }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(ldapService, 'loadSettings').mockResolvedValue(settings());
+    jest.spyOn(ldapService, 'bind').mockImplementation(async (dn, password) => password === 'secret');
+  });
+
+  test('maps posix groups and memberOf to the role', async () => {
+    const search = jest.spyOn(ldapService, 'search')
+      .mockResolvedValueOnce([alice])
+      .mockResolvedValueOnce([{ dn: 'cn=staff,ou=groups,dc=example,dc=com', attributes: { cn: ['staff'] } }]);
+
+    const user = await ldapService.authenticate('alice', 'secret');
+
+    expect(user).toMatchObject({ username: 'alice', dn: alice.dn, groups: ['MOS-Admins', 'staff'], role: 'admin', source: 'ldap' });
+    expect(search.mock.calls[0][0]).toBe('(&(objectClass=posixAccount)(uid=alice))');
+    expect(search.mock.calls[1][0]).toBe('(&(objectClass=posixGroup)(memberUid=alice))');
+  });
+
+  test('searches groups by DN for member attributes', async () => {
+    ldapService.loadSettings.mockResolvedValue(settings({ group_member_attribute: 'member' }));
+    const search = jest.spyOn(ldapService, 'search').mockResolvedValueOnce([alice]).mockResolvedValueOnce([]);
+
+    await ldapService.authenticate('alice', 'secret');
+
+    expect(search.mock.calls[1][0]).toBe(`(&(objectClass=posixGroup)(member=${alice.dn}))`);
+  });
+
+  test('returns null for unknown users, wrong passwords and missing passwords', async () => {
+    jest.spyOn(ldapService, 'search').mockResolvedValueOnce([]).mockResolvedValueOnce([alice]);
+
+    expect(await ldapService.authenticate('bob', 'secret')).toBeNull();
+    expect(await ldapService.authenticate('alice', 'wrong')).toBeNull();
+    expect(await ldapService.authenticate('alice', '')).toBeNull();
+  });
+});
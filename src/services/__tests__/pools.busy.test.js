@@ -0,0 +1,87 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), exec: jest.fn() }));
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+jest.mock('../shares.service', () => ({ getClientsOnPath: jest.fn() }));
+jest.mock('../mos.service', () => ({
+  getAllServiceStatus: jest.fn().mockResolvedValue({ docker: { enabled: false }, lxc: { enabled: false }, vm: { enabled: false } })
+}));
+
+const { exec } = require('child_process');
+const sharesService = require('../shares.service');
+const PoolsService = require('../pools.service');
+
+// Instance without the constructor (udev monitor, usage monitor and snapshot scheduler)
+const poolsService = Object.create(PoolsService.prototype);
+
+const SMB_CLIENT = {
+  protocol: 'smb',
+  sessionId: '3405691582',
+  client: '192.168.1.50',
+  username: 'alice',
+  shares: ['media'],
+  openFiles: []
+};
+
+let mounts;
+
+beforeEach(() => {
+  mounts = '/mnt/tank  /dev/sdb1\n';
+  exec.mockReset();
+  exec.mockImplementation((command, options, callback) => {
+    const cb = typeof options === 'function' ? options : callback;
+    if (command.startsWith('findmnt -R')) {
+      cb(null, { stdout: mounts, stderr: '' });
+    } else if (command.startsWith('swapon')) {
+      cb(null, { stdout: '', stderr: '' });
+    } else {
+      cb(new Error(`unexpected command: ${command}`));
+    }
+  });
+  sharesService.getClientsOnPath.mockResolvedValue([SMB_CLIENT]);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PoolsService._checkPoolBusy', () => {
+  test('is not busy because of share clients alone', async () => {
+    const result = await poolsService._checkPoolBusy('tank');
+
+    expect(result.isBusy).toBe(false);
+    expect(result.clients).toEqual([SMB_CLIENT]);
+    expect(sharesService.getClientsOnPath).toHaveBeenCalledWith('/mnt/tank');
+  });
+
+  test('is busy with mounts below the pool', async () => {
+    mounts = '/mnt/tank  /dev/sdb1\n/mnt/tank/backup  server:/export\n';
+
+    const result = await poolsService._checkPoolBusy('tank');
+
+    expect(result.isBusy).toBe(true);
+    expect(result.mountedPaths).toEqual([{ target: '/mnt/tank/backup', source: 'server:/export', description: 'Mounted filesystem at /mnt/tank/backup' }]);
+  });
+});
+
+describe('PoolsService._checkServiceDependencies', () => {
+  test('returns share clients as detail without dependencies', async () => {
+    const result = await poolsService._checkServiceDependencies('tank');
+
+    expect(result.hasDependencies).toBe(false);
+    expect(result.dependencies).toEqual([]);
+    expect(result.clients).toEqual([SMB_CLIENT]);
+  });
+
+  test('adds the share clients to the dependency description', async () => {
+    mounts = '/mnt/tank  /dev/sdb1\n/mnt/tank/backup  server:/export\n';
+    sharesService.getClientsOnPath.mockResolvedValue([
+      SMB_CLIENT,
+      { protocol: 'nfs', client: '192.168.1.60', username: null, shares: [], openFiles: ['/mnt/tank/data/a', '/mnt/tank/data/b'] }
+    ]);
+
+    const result = await poolsService._checkServiceDependencies('tank');
+
+    expect(result.hasDependencies).toBe(true);
+    expect(poolsService._describeDependencies(result)).toBe(
+      'System (/mnt/tank/backup); connected share clients: SMB 192.168.1.50 [alice] (media), NFS 192.168.1.60 (2 open file(s))'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), exec: jest.fn() }));
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+
+const { exec } = require('child_process');
+const PoolsService = require('../pools.service');
+
+// Instance without the constructor (udev monitor, usage monitor and snapshot scheduler)
+const poolsService = Object.create(PoolsService.prototype);
+poolsService.mountBasePath = '/mnt';
+
+const pool = () => ({
+  id: '1',
+  name: 'tank',
+  type: 'btrfs',
+  data_devices: [{ device: '/dev/sdb1', id: 'old-uuid' }],
+  config: {}
+});
+
+// Answers `btrfs replace status` with the given outputs in order
+const mockReplace = (statuses) => {
+  const remaining = [...statuses];
+  exec.mockImplementation((command, options, callback) => {
+    const cb = typeof options === 'function' ? options : callback;
+    if (command.startsWith('btrfs replace start')) {
+      cb(null, { stdout: '', stderr: '' });
+    } else if (command.startsWith('btrfs replace status')) {
+      cb(null, { stdout: remaining.shift(), stderr: '' });
+    } else {
+      cb(new Error(`unexpected command: ${command}`));
+    }
+  });
+};
+
+const replace = async (options = {}) => {
+  const promise = poolsService._replaceBTRFSDevice(pool(), '/dev/sdb1', '/dev/sdc1', options);
+  // Keep the promise handled while the polling timers run
+  promise.catch(() => {});
+  await jest.runAllTimersAsync();
+  return promise;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  exec.mockReset();
+  jest.spyOn(poolsService, '_isMounted').mockResolvedValue(true);
+  jest.spyOn(poolsService, 'getDeviceUuid').mockResolvedValue('new-uuid');
+  jest.spyOn(poolsService, '_readPools').mockResolvedValue([pool()]);
+  jest.spyOn(poolsService, '_writePools').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('PoolsService._replaceBTRFSDevice', () => {
+  test('polls until the replace is finished and reports the progress', async () => {
+    mockReplace([
+      '12.5% done, 0 write errs, 0 uncorr. read errs',
+      '87.0% done, 0 write errs, 0 uncorr. read errs',
+      'Started on 19.Oct 08:00:00, finished on 19.Oct 08:10:00, 0 write errs, 0 uncorr. read errs'
+    ]);
+    const onProgress = jest.fn();
+
+    const result = await replace({ onProgress });
+
+    expect(result.success).toBe(true);
+    expect(result.pool.data_devices[0]).toEqual({ device: '/dev/sdc1', id: 'new-uuid' });
+    expect(onProgress.mock.calls).toEqual([[12.5], [87]]);
+    expect(poolsService._writePools).toHaveBeenCalled();
+  });
+
+  test.each([
+    ['canceled', 'Started on 19.Oct 08:00:00, canceled on 19.Oct 08:05:00 at 40.0%, 0 write errs, 0 uncorr. read errs'],
+    ['suspended', 'Started on 19.Oct 08:00:00, suspended on 19.Oct 08:05:00 at 40.0%, 0 write errs, 0 uncorr. read errs'],
+    ['never started', 'Never started']
+  ])('fails when the replace was %s', async (state, status) => {
+    mockReplace(['40.0% done, 0 write errs, 0 uncorr. read errs', status]);
+
+    await expect(replace()).rejects.toThrow(`BTRFS device replacement failed: Replace did not complete: ${status}`);
+    expect(exec.mock.calls.filter(([command]) => command.startsWith('btrfs replace status'))).toHaveLength(2);
+    expect(poolsService._writePools).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), exec: jest.fn() }));
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+
+const { exec } = require('child_process');
+const PoolsService = require('../pools.service');
+
+// Instance without the constructor (udev monitor, usage monitor and snapshot scheduler)
+const poolsService = Object.create(PoolsService.prototype);
+
+const mockCommands = (outputs) => {
+  exec.mockImplementation((command, options, callback) => {
+    const cb = typeof options === 'function' ? options : callback;
+    const key = Object.keys(outputs).find(prefix => command.startsWith(prefix));
+    if (key === undefined) {
+      cb(new Error(`unexpected command: ${command}`));
+      return;
+    }
+    cb(null, { stdout: outputs[key], stderr: '' });
+  });
+};
+
+// btrfs-progs 6.x output
+const LIST_READONLY = [
+  'ID 258 gen 15 top level 5 path .snapshots/data/daily_2025-01-05_03-00-00',
+  'ID 259 gen 16 top level 5 path .snapshots/@/hourly_2025-01-05_04-00-00',
+  ''
+].join('\n');
+
+const LIST_READONLY_PARENT = [
+  'ID 258 gen 15 parent 5 top level 5 path .snapshots/data/daily_2025-01-05_03-00-00',
+  'ID 259 gen 16 parent 5 top level 5 path .snapshots/@/hourly_2025-01-05_04-00-00',
+  'ID 260 gen 17 parent 5 top level 5 path .snapshots/data/repl-1700000000000_2025-01-05_05-00-00',
+  ''
+].join('\n');
+
+const LIST_FULL = [
+  'ID 256 gen 16 parent 5 top level 5 parent_uuid -                                    uuid 8a6c8f4e-2f4b-4b0a-9c55-6f0d3e1b7a11 path data',
+  'ID 257 gen 11 parent 5 top level 5 parent_uuid -                                    uuid 5d3e0a9b-7c1f-4a3e-8e2d-1b9c0f4a6e22 path .snapshots',
+  'ID 258 gen 15 parent 257 top level 257 parent_uuid 8a6c8f4e-2f4b-4b0a-9c55-6f0d3e1b7a11 uuid 2b1e7c9d-0a4f-4e6b-b3d8-9f5a1c2e4d33 path .snapshots/data/daily_2025-01-05_03-00-00',
+  'ID 261 gen 18 parent 256 top level 256 parent_uuid -                                    uuid 7f2a4c6e-1b3d-4e5f-a6b7-c8d9e0f1a244 path <FS_TREE>/data/nested',
+  ''
+].join('\n');
+
+describe('PoolsService._parseBtrfsSubvolumeList', () => {
+  test('parses -r output without parent IDs', () => {
+    expect(poolsService._parseBtrfsSubvolumeList(LIST_READONLY)).toEqual([
+      { id: 258, parent_id: null, path: '.snapshots/data/daily_2025-01-05_03-00-00', uuid: null, parent_uuid: null },
+      { id: 259, parent_id: null, path: '.snapshots/@/hourly_2025-01-05_04-00-00', uuid: null, parent_uuid: null }
+    ]);
+  });
+
+  test('parses -p -u -q output with padded parent_uuid', () => {
+    const subvolumes = poolsService._parseBtrfsSubvolumeList(LIST_FULL);
+
+    expect(subvolumes).toHaveLength(4);
+    expect(subvolumes[0]).toEqual({
+      id: 256,
+      parent_id: 5,
+      path: 'data',
+      uuid: '8a6c8f4e-2f4b-4b0a-9c55-6f0d3e1b7a11',
+      parent_uuid: null
+    });
+    expect(subvolumes[2].parent_uuid).toBe('8a6c8f4e-2f4b-4b0a-9c55-6f0d3e1b7a11');
+    expect(subvolumes[2].uuid).toBe('2b1e7c9d-0a4f-4e6b-b3d8-9f5a1c2e4d33');
+    expect(subvolumes[3].path).toBe('data/nested');
+  });
+
+  test('ignores lines that are not subvolume entries', () => {
+    expect(poolsService._parseBtrfsSubvolumeList('\nERROR: not a btrfs filesystem\n')).toEqual([]);
+  });
+});
+
+describe('PoolsService._listBtrfsSnapshots', () => {
+  test('lists the snapshots of a subvolume newest first', async () => {
+    mockCommands({ 'btrfs subvolume list -p -r': LIST_READONLY_PARENT });
+
+    const snapshots = await poolsService._listBtrfsSnapshots('/mnt/tank', 'data');
+
+    expect(exec.mock.calls[0][0]).toBe('btrfs subvolume list -p -r "/mnt/tank"');
+    expect(snapshots.map(s => s.name)).toEqual([
+      'repl-1700000000000_2025-01-05_05-00-00',
+      'daily_2025-01-05_03-00-00'
+    ]);
+    expect(snapshots[1]).toMatchObject({
+      subvolume: 'data',
+      mountPath: '/mnt/tank/.snapshots/data/daily_2025-01-05_03-00-00',
+      level: 'daily'
+    });
+  });
+
+  test('maps the pool root snapshots to an empty subvolume', async () => {
+    mockCommands({ 'btrfs subvolume list -p -r': LIST_READONLY_PARENT });
+
+    const snapshots = await poolsService._listBtrfsSnapshots('/mnt/tank', '');
+
+    expect(snapshots).toHaveLength(1);
+    expect(snapshots[0]).toMatchObject({ name: 'hourly_2025-01-05_04-00-00', subvolume: '', level: 'hourly' });
+  });
+});
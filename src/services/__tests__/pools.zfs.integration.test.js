@@ -0,0 +1,138 @@
+/**
+ * ZFS pool lifecycle against file-backed vdevs.
+ *
+ * Needs root and the ZFS tools, opt in with: MOS_INTEGRATION_TESTS=1 npx jest pools.zfs
+ * The pools config and mount points live in a temporary directory, nothing under /boot is touched.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+
+const hasCommand = (command) => {
+  try {
+    execSync(`command -v ${command}`, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const enabled = process.env.MOS_INTEGRATION_TESTS === '1' && process.getuid?.() === 0 && hasCommand('zpool');
+const describeZfs = enabled ? describe : describe.skip;
+
+describeZfs('ZFS pools with file-backed vdevs', () => {
+  const zpoolName = `mostest${process.pid}`;
+  let tmpDir;
+  let poolsService;
+  let cronService;
+  let poolId;
+
+  const waitForScan = async () => {
+    for (let i = 0; i < 120; i++) {
+      const status = await poolsService._getZpoolStatus(zpoolName);
+      if (status?.scan?.state !== 'running') return status;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error('scan did not finish');
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mos-zfs-'));
+    for (const name of ['vdev1', 'vdev2', 'vdev3']) {
+      execSync(`truncate -s 256M "${path.join(tmpDir, name)}"`);
+    }
+
+    const PoolsService = require('../pools.service');
+    // Skip the udev monitor, usage monitor and snapshot scheduler singletons
+    PoolsService._udevMonitorStarted = true;
+    PoolsService._btrfsMonitorsInitialized = true;
+    PoolsService._usageMonitorStarted = true;
+    PoolsService._snapshotSchedulerStarted = true;
+
+    poolsService = new PoolsService();
+    poolsService.poolsFile = path.join(tmpDir, 'pools.json');
+    poolsService.mountBasePath = path.join(tmpDir, 'mnt');
+    poolsService._setOwnership = jest.fn().mockResolvedValue();
+
+    cronService = require('../cron.service');
+    jest.spyOn(cronService, 'findCronJob').mockResolvedValue(null);
+    jest.spyOn(cronService, 'createCronJob').mockResolvedValue({ id: '1' });
+    jest.spyOn(cronService, 'updateCronJob').mockResolvedValue({ id: '1' });
+    jest.spyOn(cronService, 'deleteCronJob').mockResolvedValue(true);
+  });
+
+  afterAll(() => {
+    try {
+      execSync(`zpool destroy -f "${zpoolName}"`, { stdio: 'ignore' });
+    } catch (error) {
+      // Already removed by the last test
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('creates a mirrored zpool and reports it ONLINE', async () => {
+    const result = await poolsService.createZfsPool(zpoolName, [path.join(tmpDir, 'vdev1'), path.join(tmpDir, 'vdev2')], 'mirror', {
+      format: true,
+      automount: true,
+      ashift: 9
+    });
+    poolId = result.pool.id;
+
+    expect(result.pool.data_devices.map(d => d.id)).toEqual([path.join(tmpDir, 'vdev1'), path.join(tmpDir, 'vdev2')]);
+    const status = await poolsService._getZpoolStatus(zpoolName);
+    expect(status.state).toBe('ONLINE');
+    expect(status.vdevs[0].name).toMatch(/^mirror-/);
+    expect(status.devices).toHaveLength(2);
+  }, 60000);
+
+  test('schedules the scrub as a cron job running zpool scrub', async () => {
+    await poolsService.updatePoolConfig(poolId, { scrub: { enabled: true, schedule: '0 2 * * SUN' } });
+
+    expect(cronService.createCronJob).toHaveBeenLastCalledWith(expect.objectContaining({
+      name: `zfs_scrub_${poolId}`,
+      schedule: '0 2 * * SUN',
+      enabled: true,
+      command: expect.stringContaining(`zpool scrub "${zpoolName}"`)
+    }));
+  });
+
+  test('runs a scrub to completion', async () => {
+    await poolsService.executeZfsScrubOperation(poolId, 'start');
+    const status = await waitForScan();
+
+    expect(status.scan.operation).toBe('scrub');
+    expect(status.scan.errors).toBe(0);
+    poolsService._stopZfsScanMonitor(zpoolName);
+  }, 90000);
+
+  test('resilvers onto a replacement vdev', async () => {
+    const pools = await poolsService._readPools();
+    const pool = pools.find(p => p.id === poolId);
+    await poolsService._replaceZfsDevice(pool, path.join(tmpDir, 'vdev2'), path.join(tmpDir, 'vdev3'), {});
+    const status = await waitForScan();
+
+    expect(status.state).toBe('ONLINE');
+    expect(status.devices.map(d => d.path)).toContain(path.join(tmpDir, 'vdev3'));
+    poolsService._stopZfsScanMonitor(zpoolName);
+  }, 90000);
+
+  test('exports on unmount and imports on mount', async () => {
+    await poolsService.unmountPoolById(poolId, { force: true });
+    expect(await poolsService._isZpoolImported(zpoolName)).toBe(false);
+
+    await poolsService.mountPoolById(poolId);
+    expect(await poolsService._isZpoolImported(zpoolName)).toBe(true);
+  }, 60000);
+
+  test('removes the scrub cron job with the pool', async () => {
+    cronService.findCronJob.mockResolvedValue({ id: '1', name: `zfs_scrub_${poolId}` });
+    await poolsService.removePoolById(poolId, { force: true });
+
+    expect(cronService.deleteCronJob).toHaveBeenCalledWith('1');
+  }, 60000);
+});
@@ -0,0 +1,106 @@
+const QuotaHelpers = require('../shares/quota-helpers');
+
+const GiB = 1024 ** 3;
+
+describe('QuotaHelpers.parseLimit', () => {
+  test.each([
+    [1024, 1024],
+    ['500G', 500 * GiB],
+    ['1.5T', 1.5 * 1024 * GiB],
+    ['2 GiB', 2 * GiB],
+    ['100m', 100 * 1024 ** 2],
+    ['4096', 4096]
+  ])('%p', (value, bytes) => {
+    expect(QuotaHelpers.parseLimit(value)).toBe(bytes);
+  });
+
+  test.each([0, -1, 1.5, '', 'lots', '10X', '0G'])('rejects %p', (value) => {
+    expect(() => QuotaHelpers.parseLimit(value)).toThrow('Invalid quota limit');
+  });
+});
+
+describe('QuotaHelpers.normalize', () => {
+  test('defaults the warning to 90 percent', () => {
+    expect(QuotaHelpers.normalize({ limit: '1G' })).toEqual({ limit: GiB, warning: 90 });
+  });
+
+  test('drops unknown keys', () => {
+    expect(QuotaHelpers.normalize({ limit: 10, warning: 0, project_id: 10001 })).toEqual({ limit: 10, warning: 0 });
+  });
+
+  test('rejects missing limits and broken warnings', () => {
+    expect(() => QuotaHelpers.normalize(null)).toThrow('Invalid quota: expected an object with limit');
+    expect(() => QuotaHelpers.normalize(['1G'])).toThrow('Invalid quota: expected an object with limit');
+    expect(() => QuotaHelpers.normalize({ limit: '1G', warning: 101 })).toThrow('Invalid quota warning');
+    expect(() => QuotaHelpers.normalize({ limit: '1G', warning: 'high' })).toThrow('Invalid quota warning');
+  });
+});
+
+describe('QuotaHelpers.getMethod', () => {
+  test('enforces on btrfs and xfs, accounts everywhere else', () => {
+    expect(QuotaHelpers.getMethod('btrfs')).toBe('btrfs-qgroup');
+    expect(QuotaHelpers.getMethod('xfs')).toBe('xfs-project');
+    expect(QuotaHelpers.getMethod('mergerfs')).toBe('accounting');
+    expect(QuotaHelpers.getMethod(null)).toBe('accounting');
+  });
+});
+
+describe('QuotaHelpers.parseBtrfsQgroup', () => {
+  test('reads the level 0 qgroup of the subvolume', () => {
+    const output = [
+      'qgroupid         rfer         excl     max_rfer     max_excl ',
+      '--------         ----         ----     --------     -------- ',
+      '0/257      5368709120     16384  10737418240         none ',
+      ''
+    ].join('\n');
+
+    expect(QuotaHelpers.parseBtrfsQgroup(output)).toEqual({ qgroupid: '0/257', used: 5368709120, limit: 10737418240 });
+  });
+
+  test('reports qgroups without a limit and missing qgroups', () => {
+    expect(QuotaHelpers.parseBtrfsQgroup('0/258 4096 4096 none none')).toEqual({ qgroupid: '0/258', used: 4096, limit: null });
+    expect(QuotaHelpers.parseBtrfsQgroup('ERROR: can\'t list qgroups: quotas not enabled')).toBeNull();
+  });
+});
+
+describe('QuotaHelpers.parseXfsProjectReport', () => {
+  test('converts KiB blocks to bytes per project id', () => {
+    const output = [
+      'Project quota on /mnt/data (/dev/sdb1)',
+      '                               Blocks',
+      'Project ID       Used       Soft       Hard    Warn/Grace',
+      '---------- --------------------------------------------------',
+      '#0                 0          0          0     00 [--------]',
+      '#10001       1048576          0    2097152     00 [--------]',
+      ''
+    ].join('\n');
+
+    const projects = QuotaHelpers.parseXfsProjectReport(output);
+
+    expect(projects.get(0)).toEqual({ used: 0, limit: null });
+    expect(projects.get(10001)).toEqual({ used: GiB, limit: 2 * GiB });
+  });
+});
+
+describe('QuotaHelpers.nextProjectId', () => {
+  test('starts above the ids left for manual use', () => {
+    expect(QuotaHelpers.nextProjectId([])).toBe(10001);
+    expect(QuotaHelpers.nextProjectId([42])).toBe(10001);
+    expect(QuotaHelpers.nextProjectId([10001, 10005, undefined])).toBe(10006);
+  });
+});
+
+describe('QuotaHelpers.getLevel', () => {
+  const quota = { limit: 1000, warning: 90 };
+
+  test('classifies usage against the quota', () => {
+    expect(QuotaHelpers.getLevel(500, quota)).toEqual({ percent: 50, level: 'normal' });
+    expect(QuotaHelpers.getLevel(905, quota)).toEqual({ percent: 90.5, level: 'warning' });
+    expect(QuotaHelpers.getLevel(1000, quota)).toEqual({ percent: 100, level: 'exceeded' });
+  });
+
+  test('never warns with a warning of 0 and treats unknown usage as normal', () => {
+    expect(QuotaHelpers.getLevel(950, { limit: 1000, warning: 0 }).level).toBe('normal');
+    expect(QuotaHelpers.getLevel(null, quota)).toEqual({ percent: null, level: 'normal' });
+  });
+});
@@ -0,0 +1,142 @@
+const RemoteHelpers = require('../remotes/remote-helpers');
+const { REMOTE_TYPES } = RemoteHelpers;
+
+describe('RemoteHelpers.shellQuote', () => {
+  test('wraps values in single quotes and escapes embedded ones', () => {
+    expect(RemoteHelpers.shellQuote('plain')).toBe("'plain'");
+    expect(RemoteHelpers.shellQuote("it's $HOME")).toBe("'it'\\''s $HOME'");
+    expect(RemoteHelpers.shellQuote(22)).toBe("'22'");
+  });
+});
+
+describe('RemoteHelpers.isFuseType', () => {
+  test('only the FUSE based remote types', () => {
+    expect(REMOTE_TYPES.filter(type => RemoteHelpers.isFuseType(type))).toEqual(['sshfs', 'webdav', 'rclone']);
+  });
+});
+
+describe('RemoteHelpers.validatePort', () => {
+  test('accepts missing and valid ports', () => {
+    expect(() => RemoteHelpers.validatePort(undefined)).not.toThrow();
+    expect(() => RemoteHelpers.validatePort(null)).not.toThrow();
+    expect(() => RemoteHelpers.validatePort(2222)).not.toThrow();
+  });
+
+  test.each([0, 65536, 22.5, '22'])('rejects %p', (port) => {
+    expect(() => RemoteHelpers.validatePort(port)).toThrow('Invalid port');
+  });
+});
+
+describe('RemoteHelpers.validateRcloneConfig', () => {
+  test('accepts a backend with plain options', () => {
+    expect(() => RemoteHelpers.validateRcloneConfig('s3', { provider: 'AWS', chunk_size: 64, env_auth: false })).not.toThrow();
+    expect(() => RemoteHelpers.validateRcloneConfig('b2')).not.toThrow();
+  });
+
+  test.each([
+    ['missing backend', '', {}, 'Invalid rclone backend'],
+    ['backend with a path', '../s3', {}, 'Invalid rclone backend'],
+    ['options array', 's3', ['a'], 'expected an object of section options'],
+    ['type option', 's3', { type: 'local' }, "Invalid rclone_config option 'type'"],
+    ['option with spaces', 's3', { 'access key': 'x' }, "Invalid rclone_config option 'access key'"],
+    ['value with a new section', 's3', { region: 'eu\n[evil]' }, "Invalid rclone_config value for 'region'"],
+    ['object value', 's3', { region: { a: 1 } }, "Invalid rclone_config value for 'region'"]
+  ])('rejects %s', (name, backend, options, message) => {
+    expect(() => RemoteHelpers.validateRcloneConfig(backend, options)).toThrow(message);
+  });
+});
+
+describe('RemoteHelpers rclone option classes', () => {
+  test.each(['secret_access_key', 'access_key_id', 'key', 'pass', 'password2', 'token', 'service_account_credentials'])(
+    '%s is sensitive', (key) => {
+      expect(RemoteHelpers.isSensitiveRcloneOption(key)).toBe(true);
+    });
+
+  test.each(['provider', 'region', 'endpoint', 'keyboard_layout', 'bucket_acl'])('%s is not sensitive', (key) => {
+    expect(RemoteHelpers.isSensitiveRcloneOption(key)).toBe(false);
+  });
+
+  test('only passwords are obscured in the config file', () => {
+    expect(['pass', 'password', 'password2', 'key_file_pass'].every(key => RemoteHelpers.isObscuredRcloneOption(key))).toBe(true);
+    expect(['secret_access_key', 'token', 'passphrase'].some(key => RemoteHelpers.isObscuredRcloneOption(key))).toBe(false);
+  });
+});
+
+describe('RemoteHelpers.buildRcloneConfig / buildRclonePath', () => {
+  test('builds a single section config', () => {
+    expect(RemoteHelpers.buildRcloneConfig('s3', { provider: 'AWS', region: 'eu-central-1' }))
+      .toBe('[remote]\ntype = s3\nprovider = AWS\nregion = eu-central-1\n');
+    expect(RemoteHelpers.buildRcloneConfig('b2', null)).toBe('[remote]\ntype = b2\n');
+  });
+
+  test('prefixes the bucket path with the section', () => {
+    expect(RemoteHelpers.buildRclonePath('/bucket/backups')).toBe('remote:bucket/backups');
+  });
+});
+
+describe('RemoteHelpers.buildWebdavUrl', () => {
+  test('defaults to https and encodes the path segments', () => {
+    expect(RemoteHelpers.buildWebdavUrl({ server: 'cloud.example.com', share: '/remote.php/dav/files/Jane Doe' }))
+      .toBe('https://cloud.example.com/remote.php/dav/files/Jane%20Doe');
+  });
+
+  test('adds the port and honours secure: false', () => {
+    expect(RemoteHelpers.buildWebdavUrl({ server: 'nas.lan', share: 'dav', port: 8080, secure: false }))
+      .toBe('http://nas.lan:8080/dav');
+  });
+});
+
+describe('RemoteHelpers davfs2 and curl files', () => {
+  test('only references the secrets file with credentials', () => {
+    expect(RemoteHelpers.buildDavfsConfig('/run/mos/remotes/1/secrets'))
+      .toBe('ask_auth 0\nuse_locks 0\nsecrets /run/mos/remotes/1/secrets\n');
+    expect(RemoteHelpers.buildDavfsConfig(null)).toBe('ask_auth 0\nuse_locks 0\n');
+  });
+
+  test('escapes whitespace, quotes and comments in the secrets', () => {
+    expect(RemoteHelpers.buildDavfsSecrets('https://nas/dav', 'jane doe', 'p#ss"word\\'))
+      .toBe('https://nas/dav jane\\ doe p\\#ss\\"word\\\\\n');
+  });
+
+  test('escapes quotes in the curl credentials', () => {
+    expect(RemoteHelpers.buildCurlCredentials('jane', 'a"b\\c')).toBe('user = "jane:a\\"b\\\\c"\n');
+  });
+});
+
+describe('RemoteHelpers.validateIdentityFile', () => {
+  test('accepts an absolute path', () => {
+    expect(() => RemoteHelpers.validateIdentityFile(null)).not.toThrow();
+    expect(() => RemoteHelpers.validateIdentityFile('/root/.ssh/id_ed25519')).not.toThrow();
+  });
+
+  test.each([
+    'id_ed25519',
+    '/root/.ssh/id,ServerAliveInterval=1',
+    '/root/my key',
+    '/root/id;touch /tmp/x',
+    '/root/$(id)',
+    '/root/`id`',
+    "/root/id'x",
+    '/root/id|sh',
+    '/root/id>x'
+  ])('rejects %s', (identityFile) => {
+    expect(() => RemoteHelpers.validateIdentityFile(identityFile)).toThrow('Invalid identity_file');
+  });
+});
+
+describe('RemoteHelpers.buildSshfsOptions', () => {
+  test('uses batch mode and the identity file for key authentication', () => {
+    const options = RemoteHelpers.buildSshfsOptions({ identity_file: '/root/.ssh/id_ed25519', uid: 1000, gid: 100 }).split(',');
+
+    expect(options).toEqual(expect.arrayContaining(['reconnect', 'allow_other', 'port=22', 'BatchMode=yes', 'IdentityFile=/root/.ssh/id_ed25519', 'uid=1000', 'gid=100']));
+    expect(options).not.toContain('password_stdin');
+  });
+
+  test('reads the password from stdin without public keys', () => {
+    const options = RemoteHelpers.buildSshfsOptions({ port: 2222, identity_file: '/root/.ssh/id_ed25519', uid: 0 }, { password: true }).split(',');
+
+    expect(options).toEqual(expect.arrayContaining(['port=2222', 'password_stdin', 'PubkeyAuthentication=no', 'uid=0']));
+    expect(options.some(option => option.startsWith('IdentityFile=') || option === 'BatchMode=yes')).toBe(false);
+    expect(options.some(option => option.startsWith('gid='))).toBe(false);
+  });
+});
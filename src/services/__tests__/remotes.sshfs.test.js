@@ -0,0 +1,24 @@
+const RemotesService = require('../remotes.service');
+
+describe('RemotesService._buildFuseMount (sshfs)', () => {
+  const remotes = new RemotesService();
+
+  test('quotes the -o option list for the shell', async () => {
+    const { command } = await remotes._buildFuseMount({
+      type: 'sshfs',
+      server: 'nas',
+      share: '/data',
+      username: 'backup',
+      port: 22,
+      identity_file: '/root/.ssh/id_ed25519'
+    }, '/mnt/remotes/nas', '/run/mos-remotes/1');
+
+    expect(command).toContain("-o 'reconnect,");
+    expect(command).toContain(",IdentityFile=/root/.ssh/id_ed25519'");
+  });
+
+  test('rejects an identity file with shell metacharacters', () => {
+    expect(() => remotes._validateTypeOptions({ type: 'sshfs', username: 'backup', identity_file: '/root/id;reboot' }))
+      .toThrow('Invalid identity_file');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Replication between two local BTRFS pools on loop devices.
+ *
+ * Needs root and btrfs-progs, opt in with: MOS_INTEGRATION_TESTS=1 npx jest replication.local
+ * The pools and jobs config live in a temporary directory, nothing under /boot is touched.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+jest.mock('../audit.service', () => ({ record: jest.fn() }));
+
+const hasCommand = (command) => {
+  try {
+    execSync(`command -v ${command}`, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const enabled = process.env.MOS_INTEGRATION_TESTS === '1' && process.getuid?.() === 0 && hasCommand('mkfs.btrfs');
+const describeBtrfs = enabled ? describe : describe.skip;
+
+describeBtrfs('Replication between two local BTRFS pools', () => {
+  let tmpDir;
+  let mountBase;
+  let replicationService;
+  let poolsService;
+  let jobId;
+
+  const sourceSnapshots = () => fs.readdirSync(path.join(mountBase, 'source', '.snapshots', 'data'))
+    .filter(name => name.startsWith(`repl-${jobId}_`));
+  const targetSnapshots = () => fs.readdirSync(path.join(mountBase, 'target', 'backup'))
+    .filter(name => name.startsWith(`repl-${jobId}_`));
+
+  const runJob = async () => {
+    // Snapshot names have a resolution of one second
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await replicationService.startJob(jobId, null);
+
+    for (let i = 0; i < 120; i++) {
+      const run = replicationService.runs.get(jobId);
+      if (run.completedAt) return run;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error('replication run did not finish');
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mos-replication-'));
+    mountBase = path.join(tmpDir, 'mnt');
+    for (const name of ['source', 'target']) {
+      const image = path.join(tmpDir, `${name}.img`);
+      execSync(`truncate -s 256M "${image}"`);
+      execSync(`mkfs.btrfs -q "${image}"`);
+      fs.mkdirSync(path.join(mountBase, name), { recursive: true });
+      execSync(`mount -o loop "${image}" "${path.join(mountBase, name)}"`);
+    }
+    fs.writeFileSync(path.join(tmpDir, 'pools.json'), JSON.stringify([
+      { id: '1', name: 'source', type: 'btrfs', data_devices: [], parity_devices: [], config: {} },
+      { id: '2', name: 'target', type: 'btrfs', data_devices: [], parity_devices: [], config: {} }
+    ]));
+
+    const PoolsService = require('../pools.service');
+    // Skip the udev monitor, usage monitor and snapshot scheduler singletons
+    PoolsService._udevMonitorStarted = true;
+    PoolsService._btrfsMonitorsInitialized = true;
+    PoolsService._usageMonitorStarted = true;
+    PoolsService._snapshotSchedulerStarted = true;
+
+    replicationService = require('../replication.service');
+    replicationService.jobsFile = path.join(tmpDir, 'replication.json');
+    poolsService = replicationService.poolsService;
+    poolsService.poolsFile = path.join(tmpDir, 'pools.json');
+    poolsService.mountBasePath = mountBase;
+    poolsService._setOwnership = jest.fn().mockResolvedValue();
+
+    jest.spyOn(require('../cron.service'), 'findCronJob').mockResolvedValue(null);
+  });
+
+  afterAll(() => {
+    for (const name of ['source', 'target']) {
+      try {
+        execSync(`umount "${path.join(mountBase, name)}"`, { stdio: 'ignore' });
+      } catch (error) {
+        // Not mounted
+      }
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('sends a full snapshot on the first run', async () => {
+    await poolsService.createSubvolume('1', 'data');
+    fs.writeFileSync(path.join(mountBase, 'source', 'data', 'file.txt'), 'version 1');
+
+    const job = await replicationService.createJob({
+      name: 'local',
+      source: { pool_id: '1', subvolume: 'data' },
+      target: { type: 'local', path: path.join(mountBase, 'target', 'backup') },
+      keep: 2,
+      retries: 0
+    });
+    jobId = job.id;
+
+    const run = await runJob();
+    expect(run.status).toBe('completed');
+    expect(run.incremental).toBe(false);
+    expect(fs.readFileSync(path.join(mountBase, 'target', 'backup', run.snapshot, 'file.txt'), 'utf8')).toBe('version 1');
+  }, 60000);
+
+  test('sends incrementally against the last common snapshot', async () => {
+    fs.writeFileSync(path.join(mountBase, 'source', 'data', 'file.txt'), 'version 2');
+
+    const run = await runJob();
+    expect(run.status).toBe('completed');
+    expect(run.incremental).toBe(true);
+    expect(fs.readFileSync(path.join(mountBase, 'target', 'backup', run.snapshot, 'file.txt'), 'utf8')).toBe('version 2');
+  }, 60000);
+
+  test('keeps only the configured number of snapshots on both sides', async () => {
+    const run = await runJob();
+    expect(run.status).toBe('completed');
+
+    expect(sourceSnapshots()).toHaveLength(2);
+    expect(targetSnapshots()).toHaveLength(2);
+    expect(sourceSnapshots()).toContain(run.snapshot);
+  }, 60000);
+
+  test('deletes the source snapshots with the job', async () => {
+    const result = await replicationService.deleteJob(jobId, { deleteSnapshots: true });
+
+    expect(result.deletedSnapshots).toBe(2);
+    expect(sourceSnapshots()).toHaveLength(0);
+  }, 60000);
+});
@@ -0,0 +1,96 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), exec: jest.fn() }));
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+jest.mock('../audit.service', () => ({ record: jest.fn() }));
+
+const { exec } = require('child_process');
+const PoolsService = require('../pools.service');
+
+// Skip the udev monitor, usage monitor and snapshot scheduler singletons of the PoolsService
+// created by the replication service
+PoolsService._udevMonitorStarted = true;
+PoolsService._btrfsMonitorsInitialized = true;
+PoolsService._usageMonitorStarted = true;
+PoolsService._snapshotSchedulerStarted = true;
+
+const replicationService = require('../replication.service');
+
+const job = {
+  id: '1700000000000',
+  name: 'offsite',
+  target: { type: 'local', path: '/mnt/backup/tank' },
+  keep: 2,
+  // Older than the kept snapshots, must survive the pruning
+  last_common_snapshot: 'repl-1700000000000_2025-01-05_03-00-00'
+};
+
+const names = [
+  'repl-1700000000000_2025-01-05_01-00-00',
+  'repl-1700000000000_2025-01-05_02-00-00',
+  'repl-1700000000000_2025-01-05_03-00-00',
+  'repl-1700000000000_2025-01-05_04-00-00',
+  'repl-1700000000000_2025-01-05_05-00-00'
+];
+
+const sourceList = [
+  ...names.map((name, i) => `ID ${300 + i} gen ${20 + i} parent 5 top level 5 path .snapshots/data/${name}`),
+  'ID 299 gen 19 parent 5 top level 5 path .snapshots/data/daily_2025-01-05_00-00-00',
+  ''
+].join('\n');
+
+let deleted;
+
+beforeEach(() => {
+  deleted = [];
+  exec.mockReset();
+  exec.mockImplementation((command, options, callback) => {
+    const cb = typeof options === 'function' ? options : callback;
+    let stdout = '';
+    if (command.startsWith('btrfs subvolume list -p -r')) {
+      stdout = sourceList;
+    } else if (command.startsWith('ls -1')) {
+      stdout = `${names.join('\n')}\nrepl-9_2025-01-01_00-00-00\n`;
+    } else if (command.startsWith('btrfs subvolume delete')) {
+      deleted.push(command.replace(/^btrfs subvolume delete /, '').replace(/["']/g, ''));
+    } else {
+      cb(new Error(`unexpected command: ${command}`));
+      return;
+    }
+    cb(null, { stdout, stderr: '' });
+  });
+});
+
+describe('ReplicationService._pruneSnapshots', () => {
+  test('keeps the newest snapshots and the last common one on both sides', async () => {
+    await replicationService._pruneSnapshots(job, '/mnt/tank', 'data');
+
+    expect(deleted).toEqual([
+      '/mnt/tank/.snapshots/data/repl-1700000000000_2025-01-05_02-00-00',
+      '/mnt/tank/.snapshots/data/repl-1700000000000_2025-01-05_01-00-00',
+      '/mnt/backup/tank/repl-1700000000000_2025-01-05_02-00-00',
+      '/mnt/backup/tank/repl-1700000000000_2025-01-05_01-00-00'
+    ]);
+  });
+
+  test('never touches snapshots of other jobs or scheduled snapshots', async () => {
+    await replicationService._pruneSnapshots({ ...job, keep: 1, last_common_snapshot: null }, '/mnt/tank', 'data');
+
+    expect(deleted.some(p => p.includes('daily_') || p.includes('repl-9_'))).toBe(false);
+    expect(deleted).toHaveLength(8);
+  });
+});
+
+describe('ReplicationService.deleteJob', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('removes the source snapshots of the job', async () => {
+    jest.spyOn(replicationService, '_loadJobs').mockResolvedValue([{ ...job, source: { pool_id: '1', subvolume: 'data' } }]);
+    jest.spyOn(replicationService, '_saveJobs').mockResolvedValue();
+    jest.spyOn(replicationService, '_resolveSource').mockResolvedValue({ mountPoint: '/mnt/tank', subvolume: 'data' });
+
+    const result = await replicationService.deleteJob(job.id, { deleteSnapshots: true });
+
+    expect(result.deletedSnapshots).toBe(5);
+    expect(deleted.every(p => p.startsWith('/mnt/tank/.snapshots/data/repl-1700000000000_'))).toBe(true);
+    expect(replicationService._saveJobs).toHaveBeenCalledWith([]);
+  });
+});
@@ -0,0 +1,170 @@
+const SessionHelpers = require('../shares/session-helpers');
+
+// smbstatus --json of Samba 4.19, trimmed
+const SMBSTATUS = {
+  timestamp: '2026-10-19T10:00:00.000000+0200',
+  version: '4.19.5',
+  smb_conf: '/etc/samba/smb.conf',
+  sessions: {
+    3405691582: {
+      session_id: '3405691582',
+      server_id: { pid: '4242', task_id: '0', vnn: '4294967295', unique_id: '1' },
+      uid: 1000,
+      gid: 100,
+      username: 'alice',
+      groupname: 'users',
+      creation_time: '2026-10-19T09:58:00.000000+02:00',
+      remote_machine: '192.168.1.50',
+      hostname: 'ipv4:192.168.1.50:52314',
+      session_dialect: 'SMB3_11',
+      encryption: { cipher: '-', degree: 'none' },
+      signing: { cipher: 'AES-128-GMAC', degree: 'partial' }
+    }
+  },
+  tcons: {
+    3581433049: {
+      service: 'media',
+      server_id: { pid: '4242', task_id: '0', vnn: '4294967295', unique_id: '1' },
+      tcon_id: '3581433049',
+      session_id: '3405691582',
+      machine: '192.168.1.50',
+      connected_at: '2026-10-19T09:58:01.000000+02:00'
+    }
+  },
+  open_files: {
+    '/mnt/tank/media/movies/clip.mkv': {
+      service_path: '/mnt/tank/media',
+      filename: 'movies/clip.mkv',
+      fileid: { devid: 45, inode: 1234, extid: 0 },
+      num_pending_deletes: 0,
+      opens: {
+        '4242/7': {
+          server_id: { pid: '4242', task_id: '0', vnn: '4294967295', unique_id: '1' },
+          uid: 1000,
+          share_file_id: 7,
+          sharemode: { hex: '0x00000003', READ: true, WRITE: true, DELETE: false, text: 'RW' },
+          access_mask: { hex: '0x00120089', READ_DATA: true, text: 'R' },
+          caching: { READ: true, WRITE: false, HANDLE: false, hex: '0x00000001', text: 'R' },
+          oplock: {},
+          lease: {},
+          opened_at: '2026-10-19T09:59:00.000000+02:00'
+        }
+      }
+    }
+  }
+};
+
+describe('SessionHelpers.parseSmbStatus', () => {
+  test('maps sessions, share connections and open files', () => {
+    const { sessions, tcons, openFiles } = SessionHelpers.parseSmbStatus(JSON.stringify(SMBSTATUS));
+
+    expect(sessions).toEqual([{
+      id: '3405691582',
+      pid: '4242',
+      username: 'alice',
+      groupname: 'users',
+      uid: 1000,
+      machine: '192.168.1.50',
+      address: '192.168.1.50',
+      dialect: 'SMB3_11',
+      encryption: 'none',
+      signing: 'partial',
+      connectedAt: '2026-10-19T09:58:00.000000+02:00'
+    }]);
+    expect(tcons).toEqual([{
+      id: '3581433049',
+      sessionId: '3405691582',
+      pid: '4242',
+      service: 'media',
+      machine: '192.168.1.50',
+      connectedAt: '2026-10-19T09:58:01.000000+02:00'
+    }]);
+    expect(openFiles).toEqual([{
+      path: '/mnt/tank/media/movies/clip.mkv',
+      servicePath: '/mnt/tank/media',
+      pid: '4242',
+      uid: 1000,
+      fileId: '7',
+      access: 'R',
+      sharemode: 'RW',
+      oplock: null,
+      lease: null,
+      openedAt: '2026-10-19T09:59:00.000000+02:00'
+    }]);
+  });
+
+  test('accepts parsed objects and empty output', () => {
+    expect(SessionHelpers.parseSmbStatus(SMBSTATUS).sessions).toHaveLength(1);
+    expect(SessionHelpers.parseSmbStatus('')).toEqual({ sessions: [], tcons: [], openFiles: [] });
+  });
+});
+
+describe('SessionHelpers.parseSmbAddress', () => {
+  test.each([
+    ['ipv4:192.168.1.50:52314', '192.168.1.50'],
+    ['ipv6:fe80::1:445', 'fe80::1'],
+    ['workstation', 'workstation'],
+    [null, null]
+  ])('%p', (hostname, address) => {
+    expect(SessionHelpers.parseSmbAddress(hostname)).toBe(address);
+  });
+});
+
+describe('SessionHelpers.parseNfsClientInfo', () => {
+  test('parses the info file of an NFSv4 client', () => {
+    const info = [
+      'clientid: 0x6d0a2f5c65f1a9b2',
+      'address: "192.168.1.60:867"',
+      'status: confirmed',
+      'seconds from last renew: 12',
+      'name: "Linux NFSv4.2 laptop"',
+      'minor version: 2',
+      ''
+    ].join('\n');
+
+    expect(SessionHelpers.parseNfsClientInfo(info)).toEqual({
+      clientId: '0x6d0a2f5c65f1a9b2',
+      address: '192.168.1.60',
+      status: 'confirmed',
+      name: 'Linux NFSv4.2 laptop',
+      minorVersion: 2,
+      lastRenew: 12
+    });
+  });
+
+  test('strips the brackets of IPv6 addresses', () => {
+    expect(SessionHelpers.parseNfsClientInfo('address: "[fd00::5]:720"').address).toBe('fd00::5');
+  });
+
+  test('returns nulls for an empty file', () => {
+    expect(SessionHelpers.parseNfsClientInfo('')).toEqual({
+      clientId: null, address: null, status: null, name: null, minorVersion: null, lastRenew: null
+    });
+  });
+});
+
+describe('SessionHelpers.parseNfsStates', () => {
+  test('parses open, lock and delegation states', () => {
+    const states = [
+      '- 0x00000001c5e3c0f9: { type: open, access: rw, deny: --, superblock: "fd:10:13649", filename: "data/report \\"q3\\".pdf", owner: "open id:\\x00\\x00" }',
+      '- 0x00000002c5e3c0f9: { type: lock, superblock: "fd:10:13649", filename: "data/db.sqlite", owner: "lock id:\\x00" }',
+      '- 0x00000003c5e3c0f9: { type: deleg, access: r, superblock: "fd:10:13649" }',
+      ''
+    ].join('\n');
+
+    expect(SessionHelpers.parseNfsStates(states)).toEqual([
+      { type: 'open', access: 'rw', path: 'data/report \\"q3\\".pdf' },
+      { type: 'lock', access: null, path: 'data/db.sqlite' },
+      { type: 'deleg', access: 'r', path: null }
+    ]);
+  });
+});
+
+describe('SessionHelpers.isBelow', () => {
+  test('matches the path itself and paths below it', () => {
+    expect(SessionHelpers.isBelow('/mnt/tank', '/mnt/tank/')).toBe(true);
+    expect(SessionHelpers.isBelow('/mnt/tank/media/a.mkv', '/mnt/tank')).toBe(true);
+    expect(SessionHelpers.isBelow('/mnt/tank2/media', '/mnt/tank')).toBe(false);
+    expect(SessionHelpers.isBelow(null, '/mnt/tank')).toBe(false);
+  });
+});
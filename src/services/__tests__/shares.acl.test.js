@@ -0,0 +1,88 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), execFile: jest.fn() }));
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+jest.mock('../user.service', () => ({}));
+jest.mock('../ldap.service', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharesService = require('../shares.service');
+
+// find, wc and the walk run for real on a temporary tree, setfacl is mocked
+let tmpDir;
+
+const createJob = () => {
+  const job = {
+    shareId: 's1',
+    shareName: 'media',
+    path: tmpDir,
+    status: 'preparing',
+    rules: [{ type: 'user', name: 'alice', access: 'write' }],
+    processed: 0,
+    total: 0,
+    progress: 0,
+    errors: 0,
+    lastError: null,
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    _process: null,
+    _cancelled: false
+  };
+  sharesService._aclJobs.set(job.shareId, job);
+  return job;
+};
+
+const setfaclPaths = () => execFile.mock.calls.flatMap(([, args]) => args.slice(args.indexOf('--') + 1));
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mos-acl-'));
+  fs.mkdirSync(path.join(tmpDir, 'sub'));
+  // More than one batch of 200 files
+  for (let i = 0; i < 450; i++) {
+    fs.writeFileSync(path.join(tmpDir, 'sub', `file${i}`), '');
+  }
+  fs.symlinkSync('/etc', path.join(tmpDir, 'link'));
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  execFile.mockReset();
+  sharesService._aclJobs.clear();
+});
+
+describe('SharesService._runAclJob', () => {
+  test('applies the ACLs to all files and directories and skips symlinks', async () => {
+    execFile.mockImplementation((command, args, options, callback) => callback(null, { stdout: '', stderr: '' }));
+    const job = createJob();
+
+    await sharesService._runAclJob(job);
+
+    expect(job.status).toBe('completed');
+    expect(job.total).toBe(453);
+    expect(job.processed).toBe(453);
+    const paths = setfaclPaths();
+    expect(paths).toHaveLength(452);
+    expect(paths).not.toContain(path.join(tmpDir, 'link'));
+    const dirCall = execFile.mock.calls.find(([, args]) => args.includes('-k'));
+    expect(dirCall[1]).toEqual(['-b', '-k', '-m', expect.stringContaining('d:u:alice:rwx'), '--', tmpDir, path.join(tmpDir, 'sub')]);
+  });
+
+  test('does not flush the buffered batches after a cancel', async () => {
+    const job = createJob();
+    execFile.mockImplementation((command, args, options, callback) => {
+      // Cancel while the first batch is applied
+      sharesService.cancelShareAclJob(job.shareId);
+      callback(null, { stdout: '', stderr: '' });
+    });
+
+    await expect(sharesService._runAclJob(job)).rejects.toThrow('Cancelled');
+
+    expect(execFile).toHaveBeenCalledTimes(1);
+    expect(job.status).toBe('running');
+    expect(job.processed).toBeLessThan(job.total);
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), exec: jest.fn() }));
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+jest.mock('../user.service', () => ({}));
+jest.mock('../ldap.service', () => ({}));
+
+const { exec } = require('child_process');
+const PoolsService = require('../pools.service');
+
+// Skip the udev monitor, usage monitor and snapshot scheduler singletons
+PoolsService._udevMonitorStarted = true;
+PoolsService._btrfsMonitorsInitialized = true;
+PoolsService._usageMonitorStarted = true;
+PoolsService._snapshotSchedulerStarted = true;
+
+const sharesService = require('../shares.service');
+const { sendNotification } = require('../plugins.service');
+
+const share = {
+  id: 's1',
+  name: 'media',
+  path: '/mnt/archive/media',
+  quota: { limit: 1000, warning: 90 }
+};
+
+let powerStatus;
+
+beforeEach(() => {
+  exec.mockReset();
+  exec.mockImplementation((command, options, callback) => {
+    const cb = typeof options === 'function' ? options : callback;
+    if (command.startsWith('du -sb')) {
+      cb(null, { stdout: '950\t/mnt/archive/media\n', stderr: '' });
+    } else {
+      cb(new Error(`unexpected command: ${command}`));
+    }
+  });
+  sendNotification.mockClear();
+  sharesService._quotaAccounting.clear();
+  sharesService._quotaState.clear();
+  powerStatus = 'wake';
+
+  jest.spyOn(sharesService, 'getShares').mockResolvedValue([{ smb: [share] }]);
+  jest.spyOn(sharesService, '_getPoolByName').mockResolvedValue({ id: 'p1', name: 'archive', type: 'mergerfs' });
+  jest.spyOn(PoolsService.prototype, '_isMounted').mockResolvedValue(true);
+  jest.spyOn(PoolsService.prototype, '_getPoolPowerStatus').mockImplementation(async () => powerStatus);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const duCalls = () => exec.mock.calls.filter(([command]) => command.startsWith('du -sb'));
+
+describe('SharesService._checkShareQuotas', () => {
+  test('measures accounting quotas of awake pools and notifies', async () => {
+    await sharesService._checkShareQuotas();
+
+    expect(duCalls()).toHaveLength(1);
+    expect(sharesService._quotaAccounting.get('s1').used).toBe(950);
+    expect(sendNotification).toHaveBeenCalledWith('Share', expect.stringContaining('approaching its quota'), 'warning');
+  });
+
+  test('does not run du while the pool is in standby', async () => {
+    powerStatus = 'standby';
+
+    await sharesService._checkShareQuotas();
+
+    expect(duCalls()).toHaveLength(0);
+    expect(PoolsService.prototype._getPoolPowerStatus).toHaveBeenCalledWith('p1');
+  });
+
+  test('keeps the last measurement while the pool is in standby', async () => {
+    const measuredAt = Date.now() - 2 * 60 * 60 * 1000;
+    sharesService._quotaAccounting.set('s1', { used: 500, measuredAt });
+    powerStatus = 'standby';
+
+    await sharesService._checkShareQuotas();
+    expect(duCalls()).toHaveLength(0);
+    expect(sharesService._quotaAccounting.get('s1')).toEqual({ used: 500, measuredAt });
+
+    powerStatus = 'wake';
+    await sharesService._checkShareQuotas();
+    expect(duCalls()).toHaveLength(1);
+    expect(sharesService._quotaAccounting.get('s1').used).toBe(950);
+  });
+
+  test('does not check the power status between hourly measurements', async () => {
+    sharesService._quotaAccounting.set('s1', { used: 500, measuredAt: Date.now() });
+
+    await sharesService._checkShareQuotas();
+
+    expect(duCalls()).toHaveLength(0);
+    expect(PoolsService.prototype._getPoolPowerStatus).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), exec: jest.fn(), execFile: jest.fn() }));
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+jest.mock('../user.service', () => ({}));
+jest.mock('../ldap.service', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exec, execFile } = require('child_process');
+const sharesService = require('../shares.service');
+const { MARKER } = require('../shares/smbconf-helpers');
+
+const GENERATED = '[global]\n\tworkgroup = WORKGROUP\n\n[media]\n\tpath = /mnt/tank/media\n\tvalid users = alice @staff\n';
+
+let tmpDir;
+
+const writeShares = (smb) => {
+  fs.writeFileSync(sharesService.sharesConfigPath, JSON.stringify([{ smb }, { nfs: [] }]));
+};
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mos-smbconf-'));
+  sharesService.sharesConfigPath = path.join(tmpDir, 'shares.json');
+  sharesService.smbConfPath = path.join(tmpDir, 'smb.conf');
+  fs.writeFileSync(sharesService.smbConfPath, GENERATED);
+
+  exec.mockReset();
+  execFile.mockReset();
+  // The init script regenerates smb.conf
+  exec.mockImplementation((command, options, callback) => {
+    const cb = typeof options === 'function' ? options : callback;
+    fs.writeFileSync(sharesService.smbConfPath, GENERATED);
+    cb(null, { stdout: '', stderr: '' });
+  });
+  execFile.mockImplementation((command, args, callback) => callback(null, { stdout: '', stderr: '' }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('SharesService.syncSmbShareParameters', () => {
+  test('writes the deny and read lists and reloads smbd', async () => {
+    writeShares([{ id: '1', name: 'media', path: '/mnt/tank/media', valid_users: ['alice', '@staff'], read_list: ['@staff'], invalid_users: ['bob'] }]);
+
+    expect(await sharesService.syncSmbShareParameters()).toBe(true);
+
+    expect(fs.readFileSync(sharesService.smbConfPath, 'utf8'))
+      .toBe(`${GENERATED}\t${MARKER}\n\tread list = @staff\n\tinvalid users = bob\n`);
+    expect(execFile).toHaveBeenCalledWith('smbcontrol', ['smbd', 'reload-config'], expect.any(Function));
+  });
+
+  test('writes the vfs objects and options of the share', async () => {
+    writeShares([{
+      id: '1',
+      name: 'media',
+      path: '/mnt/tank/media',
+      recycle_bin: { enabled: true, retention_days: 30, exclude: [], exclude_dir: [], max_size: null },
+      vfs_objects: ['recycle'],
+      vfs_options: { 'recycle:repository': '.recycle/%U', 'recycle:keeptree': 'yes' }
+    }]);
+
+    await sharesService.syncSmbShareParameters();
+
+    expect(fs.readFileSync(sharesService.smbConfPath, 'utf8')).toContain(
+      `\t${MARKER}\n\tvfs objects = recycle\n\trecycle:repository = .recycle/%U\n\trecycle:keeptree = yes\n`
+    );
+  });
+
+  test('does not touch smb.conf without changes', async () => {
+    writeShares([{ id: '1', name: 'media', path: '/mnt/tank/media', valid_users: ['alice'] }]);
+
+    expect(await sharesService.syncSmbShareParameters()).toBe(false);
+    expect(execFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('SharesService._restartSmbd', () => {
+  test('writes the parameters into the regenerated smb.conf', async () => {
+    writeShares([{ id: '1', name: 'media', path: '/mnt/tank/media', invalid_users: ['bob'] }]);
+
+    expect(await sharesService._restartSmbd()).toBe(true);
+
+    expect(exec.mock.calls[0][0]).toBe('/etc/init.d/smbd restart');
+    expect(fs.readFileSync(sharesService.smbConfPath, 'utf8')).toContain('\tinvalid users = bob\n');
+  });
+
+  test('reports a failure when smbd can not reload the parameters', async () => {
+    writeShares([{ id: '1', name: 'media', path: '/mnt/tank/media', invalid_users: ['bob'] }]);
+    execFile.mockImplementation((command, args, callback) => callback(new Error('smbcontrol: no smbd running')));
+
+    expect(await sharesService._restartSmbd()).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Error writing share parameters to smb.conf: smbcontrol: no smbd running');
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), execFile: jest.fn() }));
+jest.mock('../plugins.service', () => ({ sendNotification: jest.fn().mockResolvedValue() }));
+jest.mock('../user.service', () => ({}));
+jest.mock('../ldap.service', () => ({}));
+
+const { execFile } = require('child_process');
+const sharesService = require('../shares.service');
+
+const share = { name: 'backup', enabled: true, vfs_objects: ['catia', 'fruit', 'streams_xattr', 'recycle'] };
+
+const mockTestparm = (error, stdout) => {
+  execFile.mockImplementation((command, args, callback) => callback(error, { stdout, stderr: '' }));
+};
+
+beforeEach(() => {
+  execFile.mockReset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('SharesService._checkSmbVfs', () => {
+  test('reads the vfs objects smbd loaded for the share', async () => {
+    mockTestparm(null, 'catia fruit streams_xattr recycle\n');
+
+    expect(await sharesService._checkSmbVfs(share)).toBeNull();
+    expect(execFile.mock.calls[0][0]).toBe('testparm');
+    expect(execFile.mock.calls[0][1]).toEqual(['-s', '--section-name=backup', '--parameter-name=vfs objects']);
+  });
+
+  test('warns when the vfs objects are missing in smb.conf', async () => {
+    mockTestparm(null, '\n');
+
+    const warning = await sharesService._checkSmbVfs(share);
+
+    expect(warning).toBe("smb.conf of share 'backup' is missing the vfs objects catia, fruit, streams_xattr, recycle: " +
+      'recycle bin, Time Machine and shadow copies are inactive');
+    expect(console.warn).toHaveBeenCalledWith(warning);
+  });
+
+  test('skips shares without vfs objects, disabled shares and failed testparm calls', async () => {
+    expect(await sharesService._checkSmbVfs({ name: 'plain' })).toBeNull();
+    expect(await sharesService._checkSmbVfs({ ...share, enabled: false })).toBeNull();
+    expect(execFile).not.toHaveBeenCalled();
+
+    mockTestparm(new Error('testparm: not found'), '');
+    expect(await sharesService._checkSmbVfs(share)).toBeNull();
+  });
+});
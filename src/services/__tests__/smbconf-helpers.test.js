@@ -0,0 +1,93 @@
+const SmbConfHelpers = require('../shares/smbconf-helpers');
+const { MARKER } = SmbConfHelpers;
+
+// smb.conf as written by the generator, trimmed
+const CONF = [
+  '[global]',
+  '\tworkgroup = WORKGROUP',
+  '\tinvalid users = root',
+  '',
+  '[media]',
+  '\tpath = /mnt/tank/media',
+  '\tvalid users = alice @staff',
+  '\twrite list = alice',
+  '',
+  '[Docs]',
+  '    path = /mnt/tank/docs',
+  '    posix locking = yes',
+  ''
+].join('\n');
+
+describe('SmbConfHelpers.buildShareParameters', () => {
+  test('writes the non-empty lists and quotes names with spaces', () => {
+    expect(SmbConfHelpers.buildShareParameters({
+      name: 'media',
+      read_list: ['@staff', '@domain users'],
+      invalid_users: [],
+      write_list: ['alice']
+    })).toEqual({ 'read list': '@staff "@domain users"' });
+  });
+
+  test('adds the vfs objects and module options', () => {
+    expect(SmbConfHelpers.buildShareParameters({
+      name: 'backup',
+      vfs_objects: ['catia', 'fruit', 'streams_xattr', 'recycle'],
+      vfs_options: { 'fruit:time machine': 'yes', 'recycle:repository': '.recycle/%U' }
+    })).toEqual({
+      'vfs objects': 'catia fruit streams_xattr recycle',
+      'fruit:time machine': 'yes',
+      'recycle:repository': '.recycle/%U'
+    });
+  });
+
+  test('rejects values that would start a new line', () => {
+    expect(() => SmbConfHelpers.buildShareParameters({ name: 'media', invalid_users: ['bob\n[evil]'] }))
+      .toThrow("Invalid smb.conf value for 'invalid users' of share 'media'");
+    expect(() => SmbConfHelpers.buildShareParameters({ name: 'media', vfs_objects: ['recycle'], vfs_options: { 'recycle:exclude': 'a\nb' } }))
+      .toThrow("Invalid smb.conf value for 'recycle:exclude' of share 'media'");
+  });
+});
+
+describe('SmbConfHelpers.applyShareParameters', () => {
+  const shares = [
+    { name: 'media', read_list: ['@staff'], invalid_users: ['bob'] },
+    { name: 'docs', vfs_objects: ['catia', 'fruit', 'streams_xattr'], vfs_options: { 'fruit:time machine': 'yes', 'posix locking': 'no' } }
+  ];
+
+  test('appends the parameters to the share sections only', () => {
+    expect(SmbConfHelpers.applyShareParameters(CONF, shares)).toBe([
+      '[global]',
+      '\tworkgroup = WORKGROUP',
+      '\tinvalid users = root',
+      '',
+      '[media]',
+      '\tpath = /mnt/tank/media',
+      '\tvalid users = alice @staff',
+      '\twrite list = alice',
+      `\t${MARKER}`,
+      '\tread list = @staff',
+      '\tinvalid users = bob',
+      '',
+      '[Docs]',
+      '    path = /mnt/tank/docs',
+      '    posix locking = yes',
+      `    ${MARKER}`,
+      '    vfs objects = catia fruit streams_xattr',
+      '    fruit:time machine = yes',
+      '    posix locking = no',
+      ''
+    ].join('\n'));
+  });
+
+  test('replaces the block of an earlier run and keeps the lines of the generator', () => {
+    const first = SmbConfHelpers.applyShareParameters(CONF, shares);
+
+    expect(SmbConfHelpers.applyShareParameters(first, shares)).toBe(first);
+    expect(SmbConfHelpers.applyShareParameters(first, [{ name: 'media', invalid_users: ['carol'] }, { name: 'docs' }]))
+      .toBe(CONF.replace('\twrite list = alice\n', `\twrite list = alice\n\t${MARKER}\n\tinvalid users = carol\n`));
+  });
+
+  test('leaves the content unchanged without parameters', () => {
+    expect(SmbConfHelpers.applyShareParameters(CONF, [{ name: 'media', valid_users: ['alice'] }, { name: 'missing', invalid_users: ['bob'] }])).toBe(CONF);
+  });
+});
@@ -0,0 +1,153 @@
+const UsageHistory = require('../pools/usage-history');
+
+const DAY = 86400;
+const GB = 1024 ** 3;
+const NOW = 1736000000;
+
+// Samples every <step> seconds over <days>, used grows by <perDay> bytes a day
+const series = (days, step, perDay, total = 1000 * GB) => {
+  const samples = [];
+  for (let t = NOW - days * DAY; t <= NOW; t += step) {
+    const used = Math.round(100 * GB + perDay * (t - (NOW - days * DAY)) / DAY);
+    samples.push({ t, used, free: total - used });
+  }
+  return samples;
+};
+
+describe('UsageHistory.parse / serialize', () => {
+  test('round trips samples and sorts them', () => {
+    const content = '200,20,80\n100,10,90\n';
+    const samples = UsageHistory.parse(content);
+
+    expect(samples).toEqual([{ t: 100, used: 10, free: 90 }, { t: 200, used: 20, free: 80 }]);
+    expect(UsageHistory.serialize(samples)).toBe('100,10,90\n200,20,80\n');
+  });
+
+  test('skips empty and broken lines', () => {
+    expect(UsageHistory.parse('\n100,10\nabc,1,2\n300,30,70')).toEqual([{ t: 300, used: 30, free: 70 }]);
+    expect(UsageHistory.parse(null)).toEqual([]);
+  });
+});
+
+describe('UsageHistory.compact', () => {
+  test('keeps the last week raw, one sample per hour before that and drops samples after two years', () => {
+    const samples = [
+      { t: NOW - 3 * 365 * DAY, used: 1, free: 1 },
+      { t: NOW - 10 * DAY, used: 2, free: 1 },
+      { t: NOW - 10 * DAY + 600, used: 3, free: 1 },
+      { t: NOW - DAY, used: 4, free: 1 },
+      { t: NOW - DAY + 600, used: 5, free: 1 }
+    ];
+    // Align the old pair to one hour
+    samples[1].t -= samples[1].t % 3600;
+    samples[2].t = samples[1].t + 600;
+
+    expect(UsageHistory.compact(samples, NOW).map(s => s.used)).toEqual([3, 4, 5]);
+  });
+});
+
+describe('UsageHistory.parseDuration', () => {
+  test.each([
+    ['30m', 1800],
+    ['24h', DAY],
+    ['7d', 7 * DAY],
+    ['4W', 28 * DAY],
+    ['1y', 365 * DAY],
+    ['3600', 3600],
+    [60, 60]
+  ])('%s', (value, seconds) => {
+    expect(UsageHistory.parseDuration(value)).toBe(seconds);
+  });
+
+  test.each(['', '0d', '7x', 'abc', '-1h'])('rejects %p', (value) => {
+    expect(() => UsageHistory.parseDuration(value)).toThrow('Invalid duration');
+  });
+});
+
+describe('UsageHistory.getDefaultResolution', () => {
+  test('raw up to a day, hourly up to a month, daily beyond', () => {
+    expect(UsageHistory.getDefaultResolution(DAY)).toBe(0);
+    expect(UsageHistory.getDefaultResolution(7 * DAY)).toBe(3600);
+    expect(UsageHistory.getDefaultResolution(90 * DAY)).toBe(DAY);
+  });
+});
+
+describe('UsageHistory.aggregate', () => {
+  const samples = [
+    { t: 3600, used: 10, free: 90 },
+    { t: 3700, used: 20, free: 80 },
+    { t: 7200, used: 30, free: 70 },
+    { t: 20000, used: 40, free: 60 }
+  ];
+
+  test('returns the raw samples in range without a resolution', () => {
+    expect(UsageHistory.aggregate(samples, 3700, 7200, 0)).toEqual(samples.slice(1, 3));
+  });
+
+  test('averages samples per bucket', () => {
+    expect(UsageHistory.aggregate(samples, 0, 10000, 3600)).toEqual([
+      { t: 3600, used: 15, free: 85 },
+      { t: 7200, used: 30, free: 70 }
+    ]);
+  });
+});
+
+describe('UsageHistory.forecast', () => {
+  test('rejects unknown methods', () => {
+    expect(() => UsageHistory.forecast([], { method: 'magic' })).toThrow('Invalid forecast method');
+  });
+
+  test('needs at least two samples', () => {
+    expect(UsageHistory.forecast([{ t: NOW, used: 1, free: 1 }]).reason).toBe('Not enough samples');
+  });
+
+  test('fits a linear trend on short histories', () => {
+    const result = UsageHistory.forecast(series(5, 3600, 10 * GB));
+
+    expect(result.method).toBe('linear');
+    expect(result.lookback_days).toBe(14);
+    expect(result.growth_per_day).toBe(10 * GB);
+    expect(result.r_squared).toBe(1);
+    // 850 GB free at 10 GB a day
+    expect(result.days_until_full).toBe(85);
+    expect(result.full_date).toBe(new Date((NOW + 85 * DAY) * 1000).toISOString());
+  });
+
+  test('needs one day of history for the linear trend', () => {
+    const result = UsageHistory.forecast(series(0.5, 3600, 10 * GB), { method: 'linear' });
+
+    expect(result.reason).toBe('Forecast needs at least one day of history');
+    expect(result.growth_per_day).toBeNull();
+  });
+
+  test('uses week-over-week growth once two weeks are available', () => {
+    const samples = series(21, 3600, 0).map(s => {
+      // Backups land on the weekend and are cleaned up on Monday, plus 7 GB net growth a week
+      const day = Math.floor((s.t - (NOW - 21 * DAY)) / DAY);
+      const used = 100 * GB + day * GB + (day % 7 >= 5 ? 50 * GB : 0);
+      return { t: s.t, used, free: 1000 * GB - used };
+    });
+
+    const result = UsageHistory.forecast(samples);
+
+    expect(result.method).toBe('seasonal');
+    expect(result.lookback_days).toBe(28);
+    expect(result.growth_per_day).toBe(GB);
+    expect(result.r_squared).toBeNull();
+  });
+
+  test('seasonal forecast needs one week of history', () => {
+    const result = UsageHistory.forecast(series(3, 3600, GB), { method: 'seasonal' });
+
+    expect(result.method).toBe('seasonal');
+    expect(result.reason).toBe('Seasonal forecast needs at least one week of history');
+  });
+
+  test('reports pools that are not growing', () => {
+    const result = UsageHistory.forecast(series(5, 3600, -GB));
+
+    expect(result.growth_per_day).toBeLessThan(0);
+    expect(result.reason).toBe('Usage is not growing');
+    expect(result.days_until_full).toBeNull();
+  });
+});
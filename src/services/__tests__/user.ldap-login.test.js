@@ -0,0 +1,78 @@
+jest.mock('otplib', () => ({}));
+jest.mock('../session.service', () => ({}));
+jest.mock('../ldap.service', () => ({ loadSettings: jest.fn(), authenticate: jest.fn() }));
+
+const bcrypt = require('bcryptjs');
+const ldapService = require('../ldap.service');
+const userService = require('../user.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const unavailable = () => Object.assign(new Error("ldap_sasl_bind(SIMPLE): Can't contact LDAP server (-1)"), { code: 'LDAP_UNAVAILABLE' });
+
+let settings;
+let cachedUser;
+
+beforeAll(async () => {
+  cachedUser = {
+    id: '1',
+    username: 'alice',
+    password: await bcrypt.hash('secret', 4),
+    role: 'user',
+    source: 'ldap',
+    ldap_synced_at: new Date(Date.now() - DAY).toISOString()
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  settings = { enabled: true, cache_offline_login: true, cache_ttl_days: 7 };
+  ldapService.loadSettings.mockImplementation(async () => settings);
+  ldapService.authenticate.mockRejectedValue(unavailable());
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('UserService._authenticateDirectoryUser offline login', () => {
+  test('accepts the cached password while the directory is unreachable', async () => {
+    await expect(userService._authenticateDirectoryUser('alice', 'secret', cachedUser)).resolves.toBe(cachedUser);
+    expect(console.warn).toHaveBeenCalledWith("LDAP server unavailable, using cached credentials for 'alice'");
+  });
+
+  test('rejects a wrong password against the cache', async () => {
+    await expect(userService._authenticateDirectoryUser('alice', 'wrong', cachedUser)).rejects.toThrow('Invalid username or password');
+  });
+
+  test('rejects a cache older than cache_ttl_days', async () => {
+    const expired = { ...cachedUser, ldap_synced_at: new Date(Date.now() - 8 * DAY).toISOString() };
+
+    await expect(userService._authenticateDirectoryUser('alice', 'secret', expired)).rejects.toThrow('Invalid username or password');
+    await expect(userService._authenticateDirectoryUser('alice', 'secret', { ...cachedUser, ldap_synced_at: null }))
+      .rejects.toThrow('Invalid username or password');
+  });
+
+  test('rejects cached logins when they are disabled or the user was never synced', async () => {
+    settings.cache_offline_login = false;
+    await expect(userService._authenticateDirectoryUser('alice', 'secret', cachedUser)).rejects.toThrow('Invalid username or password');
+
+    settings.cache_offline_login = true;
+    await expect(userService._authenticateDirectoryUser('alice', 'secret', null)).rejects.toThrow('Invalid username or password');
+  });
+
+  test('does not use the cache for other directory errors', async () => {
+    ldapService.authenticate.mockRejectedValue(new Error('LDAP search failed: Invalid DN syntax'));
+
+    await expect(userService._authenticateDirectoryUser('alice', 'secret', cachedUser)).rejects.toThrow('Invalid username or password');
+  });
+
+  test('rejects directory users without a mapped role and disabled LDAP', async () => {
+    ldapService.authenticate.mockResolvedValue({ username: 'alice', dn: 'uid=alice,dc=example,dc=com', groups: [], role: null });
+    await expect(userService._authenticateDirectoryUser('alice', 'secret', cachedUser)).rejects.toThrow('Invalid username or password');
+
+    settings.enabled = false;
+    await expect(userService._authenticateDirectoryUser('alice', 'secret', cachedUser)).rejects.toThrow('Invalid username or password');
+    expect(ldapService.authenticate).toHaveBeenCalledTimes(1);
+  });
+});
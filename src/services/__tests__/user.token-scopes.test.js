@@ -0,0 +1,64 @@
+jest.mock('otplib', () => ({}));
+jest.mock('../session.service', () => ({}));
+jest.mock('../ldap.service', () => ({}));
+
+const userService = require('../user.service');
+const { authenticateToken, isTokenScopeAllowed } = require('../../middleware/auth.middleware');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('UserService._validateAdminTokenScopes', () => {
+  test('resolves relative prefixes below /api/v1', () => {
+    expect(userService._validateAdminTokenScopes([
+      { prefix: 'system/', access: 'write' },
+      { prefix: '/api/v1/pools' }
+    ])).toEqual([
+      { prefix: '/api/v1/system', access: 'write' },
+      { prefix: '/api/v1/pools', access: 'read' }
+    ]);
+  });
+
+  test('keeps the /metrics exporter scope outside of /api/v1', () => {
+    expect(userService._validateAdminTokenScopes([{ prefix: '/metrics' }, { prefix: 'metrics/' }])).toEqual([
+      { prefix: '/metrics', access: 'read' },
+      { prefix: '/metrics', access: 'read' }
+    ]);
+    expect(userService._validateAdminTokenScopes([{ prefix: '/metrics/extra' }])).toEqual([
+      { prefix: '/api/v1/metrics/extra', access: 'read' }
+    ]);
+  });
+
+  test('rejects invalid scopes', () => {
+    expect(() => userService._validateAdminTokenScopes({})).toThrow('scopes must be an array');
+    expect(() => userService._validateAdminTokenScopes([{ prefix: '/system', access: 'admin' }])).toThrow('Invalid scope access: admin');
+    expect(() => userService._validateAdminTokenScopes([{ prefix: '/system?x=1' }])).toThrow('Invalid scope prefix');
+  });
+});
+
+describe('metrics scope', () => {
+  const metricsToken = { id: '1', role: 'admin', isAdminToken: true, scopes: [{ prefix: '/metrics', access: 'read' }] };
+
+  test('allows scraping but nothing below /api/v1', () => {
+    expect(isTokenScopeAllowed(metricsToken, '/metrics', 'read')).toBe(true);
+    expect(isTokenScopeAllowed(metricsToken, '/api/v1/system/metrics/scrape-token', 'read')).toBe(false);
+  });
+
+  test('passes authenticateToken on the exporter path', async () => {
+    jest.spyOn(userService, 'validateAdminToken').mockResolvedValue(metricsToken);
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+    const request = (originalUrl) => ({
+      headers: { authorization: 'Bearer 0123abcd' },
+      originalUrl,
+      method: 'GET',
+      socket: { remoteAddress: '192.168.1.20' }
+    });
+
+    await authenticateToken(request('/metrics'), res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    await authenticateToken(request('/api/v1/system/load'), res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
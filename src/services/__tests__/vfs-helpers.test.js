@@ -0,0 +1,108 @@
+const VfsHelpers = require('../shares/vfs-helpers');
+
+const GiB = 1024 ** 3;
+
+describe('VfsHelpers.normalizeRecycleBin', () => {
+  test('fills in the defaults', () => {
+    expect(VfsHelpers.normalizeRecycleBin({})).toEqual({
+      enabled: true,
+      retention_days: 30,
+      exclude: [],
+      exclude_dir: [],
+      max_size: null
+    });
+  });
+
+  test('keeps patterns and parses the size limit', () => {
+    expect(VfsHelpers.normalizeRecycleBin({ enabled: false, retention_days: 0, exclude: ['*.tmp'], exclude_dir: ['cache'], max_size: '1G' }))
+      .toEqual({ enabled: false, retention_days: 0, exclude: ['*.tmp'], exclude_dir: ['cache'], max_size: GiB });
+  });
+
+  test.each([
+    ['not an object', [], 'expected an object'],
+    ['negative retention', { retention_days: -1 }, 'Invalid recycle_bin retention_days'],
+    ['fractional retention', { retention_days: 1.5 }, 'Invalid recycle_bin retention_days'],
+    ['pattern with a separator', { exclude: ['a|b'] }, 'Invalid recycle_bin exclude'],
+    ['empty directory pattern', { exclude_dir: [''] }, 'Invalid recycle_bin exclude_dir'],
+    ['broken size', { max_size: 'big' }, "Invalid recycle_bin max_size: big"]
+  ])('rejects %s', (name, options, message) => {
+    expect(() => VfsHelpers.normalizeRecycleBin(options)).toThrow(message);
+  });
+});
+
+describe('VfsHelpers.normalizeTimeMachine / normalizeShadowCopy', () => {
+  test('normalizes the options', () => {
+    expect(VfsHelpers.normalizeTimeMachine({ max_size: '500G' })).toEqual({ enabled: true, max_size: 500 * GiB });
+    expect(VfsHelpers.normalizeShadowCopy({ enabled: false })).toEqual({ enabled: false });
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => VfsHelpers.normalizeTimeMachine(null)).toThrow('Invalid time_machine: expected an object');
+    expect(() => VfsHelpers.normalizeTimeMachine({ max_size: 0 })).toThrow('Invalid time_machine max_size');
+    expect(() => VfsHelpers.normalizeShadowCopy('yes')).toThrow('Invalid shadow_copy: expected an object');
+  });
+});
+
+describe('VfsHelpers.buildVfsConfig', () => {
+  const share = {
+    path: '/mnt/tank/backup',
+    recycle_bin: { enabled: true, retention_days: 30, exclude: ['*.tmp', '~$*'], exclude_dir: ['cache'], max_size: GiB },
+    time_machine: { enabled: true, max_size: 500 * GiB },
+    shadow_copy: { enabled: true }
+  };
+
+  test('orders the modules the way Samba needs them', () => {
+    const { vfs_objects } = VfsHelpers.buildVfsConfig(share, { snapshotDir: '/mnt/tank/.snapshots/backup' });
+
+    expect(vfs_objects).toEqual(['catia', 'fruit', 'streams_xattr', 'shadow_copy2', 'recycle']);
+  });
+
+  test('sets the module options', () => {
+    const { vfs_options } = VfsHelpers.buildVfsConfig(share, { snapshotDir: '/mnt/tank/.snapshots/backup' });
+
+    expect(vfs_options).toMatchObject({
+      'fruit:time machine': 'yes',
+      'fruit:time machine max size': '512000M',
+      'shadow:mountpoint': '/mnt/tank/backup',
+      'shadow:snapdir': '/mnt/tank/.snapshots/backup',
+      'shadow:format': '_%Y-%m-%d_%H-%M-%S',
+      'recycle:repository': '.recycle/%U',
+      'recycle:exclude_dir': '.recycle|cache',
+      'recycle:exclude': '*.tmp|~$*',
+      'recycle:maxsize': String(GiB)
+    });
+  });
+
+  test('skips shadow copies without a snapshot directory and disabled features', () => {
+    const config = VfsHelpers.buildVfsConfig({ ...share, time_machine: { enabled: false } });
+
+    expect(config.vfs_objects).toEqual(['recycle']);
+    expect(Object.keys(config.vfs_options).every(key => key.startsWith('recycle:'))).toBe(true);
+  });
+
+  test('returns nothing without features', () => {
+    expect(VfsHelpers.buildVfsConfig({ path: '/mnt/tank/data' })).toEqual({ vfs_objects: [], vfs_options: {} });
+  });
+});
+
+describe('VfsHelpers.getMissingVfsObjects', () => {
+  test('compares against the value loaded by smbd', () => {
+    expect(VfsHelpers.getMissingVfsObjects(['fruit', 'recycle'], 'catia fruit streams_xattr recycle\n')).toEqual([]);
+    expect(VfsHelpers.getMissingVfsObjects(['fruit', 'recycle'], 'fruit, streams_xattr\n')).toEqual(['recycle']);
+    expect(VfsHelpers.getMissingVfsObjects(['recycle'], '\n')).toEqual(['recycle']);
+  });
+});
+
+describe('VfsHelpers.buildRecycleCleanupScript', () => {
+  test('removes expired entries and empty directories per share', () => {
+    const script = VfsHelpers.buildRecycleCleanupScript([
+      { name: 'docs', path: '/mnt/tank/docs', recycle_bin: { retention_days: 14 } },
+      { name: 'odd', path: '/mnt/tank/$odd "name"', recycle_bin: { retention_days: 7 } }
+    ]);
+
+    expect(script.startsWith('#!/bin/bash\n')).toBe(true);
+    expect(script).toContain('find "/mnt/tank/docs/.recycle" -mindepth 2 ! -type d -mtime +14 -delete');
+    expect(script).toContain('find "/mnt/tank/docs/.recycle" -mindepth 2 -type d -empty -delete');
+    expect(script).toContain('if [ -d "/mnt/tank/\\$odd \\"name\\"/.recycle" ]; then');
+  });
+});
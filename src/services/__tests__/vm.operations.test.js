@@ -0,0 +1,62 @@
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), exec: jest.fn() }));
+
+const vmService = require('../vm.service');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+beforeEach(() => {
+  jest.spyOn(vmService, '_getVmOrThrow').mockResolvedValue({ name: 'win11', state: 'stopped' });
+  jest.spyOn(vmService, '_emitOperationUpdate').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('VmService operation reservation', () => {
+  test('rejects a second operation while the first one is still preparing', async () => {
+    const snapshots = deferred();
+    jest.spyOn(vmService, 'listSnapshots').mockReturnValue(snapshots.promise);
+
+    const first = vmService.createSnapshot('win11', { name: 'before-update' });
+    await Promise.resolve();
+
+    await expect(vmService.createSnapshot('win11', { name: 'other' }))
+      .rejects.toThrow('snapshot-create operation already in progress for VM "win11"');
+    await expect(vmService.backupVm('win11')).rejects.toThrow('snapshot-create operation already in progress');
+    expect(vmService.getActiveOperation('win11')).toMatchObject({ type: 'snapshot-create', status: 'preparing' });
+    expect(vmService._emitOperationUpdate).not.toHaveBeenCalled();
+
+    // The first request fails its validation and frees the VM again
+    snapshots.resolve([{ name: 'before-update' }]);
+    await expect(first).rejects.toThrow('Snapshot before-update already exists');
+    expect(vmService.getActiveOperation('win11')).toBeNull();
+  });
+
+  test('releases the reservation when the preparation fails', async () => {
+    jest.spyOn(vmService, 'getBackupSettings').mockRejectedValue(new Error('settings unreadable'));
+
+    await expect(vmService.backupVm('win11')).rejects.toThrow('settings unreadable');
+    await expect(vmService.restoreVm('win11', 'win11', 'win11_2026-10-19_10-00-00.tar.xz')).rejects.toThrow('settings unreadable');
+    expect(vmService.getAllActiveOperations()).toEqual([]);
+  });
+
+  test('start takes over the reservation and only then emits', () => {
+    vmService._reserveOperation('win11', 'backup');
+    const { startedAt } = vmService.getActiveOperation('win11');
+
+    vmService._startOperation('win11', 'backup', { backupFile: 'win11.tar.xz' });
+
+    expect(vmService.getActiveOperation('win11')).toMatchObject({ type: 'backup', status: 'running', startedAt, backupFile: 'win11.tar.xz' });
+    expect(vmService._emitOperationUpdate).toHaveBeenCalledTimes(1);
+
+    // Started operations are not released by a later preparation error
+    vmService._releaseOperation('win11');
+    expect(() => vmService._startOperation('win11', 'snapshot-delete')).toThrow('backup operation already in progress');
+
+    vmService._finishOperation('win11');
+    expect(vmService.getActiveOperation('win11')).toBeNull();
+  });
+});
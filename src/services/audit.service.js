@@ -0,0 +1,306 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RemoteHelpers = require('./remotes/remote-helpers');
+
+const AUDIT_DIR = '/var/mos/audit';
+const AUDIT_FILE = 'audit.log';
+
+// Keys whose values never end up in the audit log, matched against the snake_case form of the key
+// (`key` as a word segment covers api_key, private_key, access_key_id, ...)
+const SENSITIVE_KEY_PATTERN = /password|passwd|passphrase|^pass$|secret|token|(^|_)key($|_)|apikey|privatekey|credential|recovery|^code$|^otp$/;
+const MAX_STRING_LENGTH = 1024;
+const MAX_ARRAY_ITEMS = 50;
+const MAX_DEPTH = 5;
+
+/**
+ * Audit Service - Records mutating API calls and socket operations
+ * as JSON lines in a size-rotated log under /var/mos/audit
+ */
+class AuditService {
+  constructor() {
+    this.auditDir = AUDIT_DIR;
+    this.auditFile = path.join(AUDIT_DIR, AUDIT_FILE);
+    this.maxFileSize = 5 * 1024 * 1024; // 5 MB per file
+    this.maxFiles = 5; // audit.log + audit.log.1 .. audit.log.4
+    this._currentSize = null;
+    this._writeQueue = Promise.resolve();
+  }
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /**
+   * Describe who performed an action
+   * @param {Object} user - req.user / socket user
+   * @returns {Object} Actor { type, id, name }
+   */
+  getActor(user) {
+    if (!user) {
+      return { type: 'anonymous', id: null, name: null };
+    }
+    if (user.isBootToken) {
+      return { type: 'boot', id: 'boot', name: 'boot' };
+    }
+    if (user.isAdminToken) {
+      return { type: 'admin_token', id: user.id, name: user.name };
+    }
+    return { type: 'user', id: user.id, name: user.username };
+  }
+
+  /**
+   * Check if the value of a key must be redacted. Also applies the sensitive rclone
+   * option names, so remote credentials can't slip through with new backend options.
+   * @param {string} key - Object key (camelCase, snake_case or kebab-case)
+   * @returns {boolean} True if sensitive
+   */
+  isSensitiveKey(key) {
+    const normalized = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+    return SENSITIVE_KEY_PATTERN.test(normalized) || RemoteHelpers.isSensitiveRcloneOption(normalized);
+  }
+
+  /**
+   * Redact secrets and truncate large values of a request body / params object
+   * @param {*} value - Value to sanitize
+   * @param {number} depth - Current depth
+   * @returns {*} Sanitized copy
+   */
+  sanitize(value, depth = 0) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return value.length > MAX_STRING_LENGTH
+        ? `${value.substring(0, MAX_STRING_LENGTH)}...[truncated]`
+        : value;
+    }
+    if (typeof value !== 'object') {
+      return value;
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[...]';
+    }
+    if (Buffer.isBuffer(value)) {
+      return `[binary ${value.length} bytes]`;
+    }
+    if (Array.isArray(value)) {
+      const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => this.sanitize(item, depth + 1));
+      if (value.length > MAX_ARRAY_ITEMS) {
+        items.push(`[${value.length - MAX_ARRAY_ITEMS} more]`);
+      }
+      return items;
+    }
+
+    const result = {};
+    for (const [key, val] of Object.entries(value)) {
+      result[key] = this.isSensitiveKey(key) && val !== null && val !== undefined && val !== ''
+        ? '[REDACTED]'
+        : this.sanitize(val, depth + 1);
+    }
+    return result;
+  }
+
+  // ============================================================
+  // WRITING
+  // ============================================================
+
+  /**
+   * Append an audit record. Never throws - auditing must not break the audited action.
+   * @param {Object} entry - Record fields
+   * @param {string} entry.source - 'api', 'socket' or 'fileoperation'
+   * @param {Object} entry.user - Authenticated user (converted to actor)
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    const { user, body, params, ...fields } = entry;
+    const record = {
+      timestamp: new Date().toISOString(),
+      ...fields,
+      actor: this.getActor(user)
+    };
+    if (body !== undefined) {
+      record.body = this.sanitize(body);
+    }
+    if (params !== undefined) {
+      record.params = this.sanitize(params);
+    }
+
+    const line = `${JSON.stringify(record)}\n`;
+    this._writeQueue = this._writeQueue
+      .then(() => this._append(line))
+      .catch(error => {
+        console.error('Error writing audit log:', error.message);
+      });
+    return this._writeQueue;
+  }
+
+  /**
+   * Record a socket operation
+   * @param {Object} socket - Socket.io socket
+   * @param {Object} data - { user, namespace, event, params, success, error, startTime }
+   * @returns {Promise<void>}
+   */
+  recordSocket(socket, { user, namespace, event, params, success, error = null, startTime = null }) {
+    const { getClientIp } = require('../middleware/auth.middleware');
+    const handshake = socket?.handshake || {};
+
+    return this.record({
+      source: 'socket',
+      user,
+      ip: getClientIp(handshake.address, handshake.headers),
+      namespace,
+      action: event,
+      params,
+      success,
+      error,
+      duration: startTime ? Date.now() - startTime : null
+    });
+  }
+
+  /**
+   * Append a line, rotating the log when it exceeds maxFileSize
+   * @private
+   */
+  async _append(line) {
+    if (this._currentSize === null) {
+      await fs.mkdir(this.auditDir, { recursive: true });
+      try {
+        this._currentSize = (await fs.stat(this.auditFile)).size;
+      } catch {
+        this._currentSize = 0;
+      }
+    }
+
+    const size = Buffer.byteLength(line);
+    if (this._currentSize > 0 && this._currentSize + size > this.maxFileSize) {
+      await this._rotate();
+    }
+
+    await fs.appendFile(this.auditFile, line, { mode: 0o600 });
+    this._currentSize += size;
+  }
+
+  /**
+   * Rotate audit.log -> audit.log.1 -> ... and drop the oldest file
+   * @private
+   */
+  async _rotate() {
+    await fs.rm(`${this.auditFile}.${this.maxFiles - 1}`, { force: true });
+    for (let i = this.maxFiles - 2; i >= 1; i--) {
+      try {
+        await fs.rename(`${this.auditFile}.${i}`, `${this.auditFile}.${i + 1}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    await fs.rename(this.auditFile, `${this.auditFile}.1`);
+    this._currentSize = 0;
+  }
+
+  // ============================================================
+  // QUERYING
+  // ============================================================
+
+  /**
+   * Query audit records, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.user - Actor id or name
+   * @param {string} filters.actorType - 'user', 'admin_token' or 'boot'
+   * @param {string} filters.source - 'api', 'socket' or 'fileoperation'
+   * @param {string} filters.method - HTTP method
+   * @param {string} filters.route - Route substring
+   * @param {string} filters.action - Socket event / operation name
+   * @param {number} filters.status - HTTP status code
+   * @param {boolean} filters.success - Only successful or failed records
+   * @param {string} filters.from - ISO date (inclusive)
+   * @param {string} filters.to - ISO date (inclusive)
+   * @param {number} filters.limit - Max records (default 100, max 1000)
+   * @param {number} filters.offset - Records to skip
+   * @returns {Promise<Object>} { total, offset, limit, entries }
+   */
+  async query(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      throw new Error('Invalid date filter. Use ISO 8601 format');
+    }
+
+    const status = filters.status !== undefined ? parseInt(filters.status, 10) : null;
+    if (filters.status !== undefined && isNaN(status)) {
+      throw new Error('Invalid status filter. Must be an HTTP status code');
+    }
+
+    let success = null;
+    if (filters.success !== undefined) {
+      success = filters.success === true || filters.success === 'true';
+    }
+
+    // Wait for pending writes so fresh records are included
+    await this._writeQueue;
+
+    const matches = [];
+    for (const entry of await this._readAll()) {
+      if (filters.user && entry.actor?.id !== filters.user && entry.actor?.name !== filters.user) continue;
+      if (filters.actorType && entry.actor?.type !== filters.actorType) continue;
+      if (filters.source && entry.source !== filters.source) continue;
+      if (filters.method && entry.method !== filters.method.toUpperCase()) continue;
+      if (filters.route && !(entry.route || '').includes(filters.route)) continue;
+      if (filters.action && entry.action !== filters.action) continue;
+      if (status !== null && entry.status !== status) continue;
+      if (success !== null && entry.success !== success) continue;
+
+      const timestamp = new Date(entry.timestamp);
+      if (from && timestamp < from) continue;
+      if (to && timestamp > to) continue;
+
+      matches.push(entry);
+    }
+
+    matches.reverse();
+
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      entries: matches.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Read all records from rotated and current files, oldest first
+   * @private
+   */
+  async _readAll() {
+    const files = [];
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      files.push(`${this.auditFile}.${i}`);
+    }
+    files.push(this.auditFile);
+
+    const entries = [];
+    for (const file of files) {
+      let content;
+      try {
+        content = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // Skip partially written lines
+        }
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = new AuditService();
@@ -81,6 +81,7 @@ const collectors = [
   { type: 'directory', source: '/var/log/libvirt', target: 'logs/libvirt' },
   { type: 'directory', source: '/var/log/libvirt/qemu', target: 'logs/qemu' },
   { type: 'directory', source: '/boot/config/snapraid', target: 'config/snapraid' },
+  { type: 'directory', source: '/var/mos/audit', target: 'logs/audit' },
 
   // System commands
   { type: 'command', command: 'tree /boot 2>/dev/null', target: 'boot_tree.txt' },
@@ -5,6 +5,7 @@ const execPromise = util.promisify(exec);
 const fs = require('fs').promises;
 const path = require('path');
 const net = require('net');
+const IoHistory = require('./disks/io-history');
 
 // MOS notify socket path
 const MOS_NOTIFY_SOCKET = '/var/run/mos-notify.sock';
@@ -13,6 +14,9 @@ const MOS_NOTIFY_SOCKET = '/var/run/mos-notify.sock';
 const PRECLEAR_LOG_DIR = '/var/log/preclear';
 const PRECLEAR_LOG_MAX_SIZE = 5 * 1024 * 1024; // 5MB
 
+// I/O history archive directory (one file per disk)
+const IO_HISTORY_DIR = '/var/mos/disks/io-history';
+
 class DisksService {
   constructor() {
     // Cache for power status (prevents multiple smartctl calls within short time)
@@ -24,6 +28,13 @@ class DisksService {
     this.diskStatsSamplingInterval = null;
     this.diskStatsSamplingRate = 2000; // 2 seconds
 
+    // I/O history: raw samples in memory, 1 minute / 15 minute buckets archived on disk
+    this.ioRawSamples = new Map(); // device -> RingBuffer of raw samples
+    this.ioOpenBuckets = new Map(); // device -> { 60: bucket, 900: bucket }
+    this.ioArchive = new Map(); // device -> archived buckets, oldest first
+    this.ioArchiveLoaded = false;
+    this.ioArchiveCompacted = new Map(); // device -> day of last compaction
+
     // Temperature cache (separate from power status)
     this.temperatureCache = new Map(); // device -> { temperature, timestamp }
     this.temperatureCacheTTL = 12000;
@@ -48,8 +59,8 @@ class DisksService {
     }
 
     this.diskStatsSamplingRate = intervalMs;
-    // Initial sample
-    this._sampleDiskStats();
+    // Initial sample (after the archive is loaded, so new buckets are not lost)
+    this._loadIoArchive().finally(() => this._sampleDiskStats());
 
     // Start interval
     this.diskStatsSamplingInterval = setInterval(() => {
@@ -112,6 +123,14 @@ class DisksService {
           if (timeDiffSeconds > 0) {
             readSpeed = Math.max(0, (readBytes - prev.readBytes) / timeDiffSeconds);
             writeSpeed = Math.max(0, (writeBytes - prev.writeBytes) / timeDiffSeconds);
+
+            this._recordIoSample(deviceName, now, {
+              seconds: timeDiffSeconds,
+              readBytes: readSpeed * timeDiffSeconds,
+              writeBytes: writeSpeed * timeDiffSeconds,
+              readSpeed,
+              writeSpeed
+            });
           }
         }
 
@@ -239,6 +258,217 @@ class DisksService {
     };
   }
 
+  // ============================================================
+  // I/O HISTORY
+  // ============================================================
+
+  /**
+   * Get the archive file of a disk
+   * @private
+   */
+  _getIoHistoryFile(deviceName) {
+    return path.join(IO_HISTORY_DIR, `${deviceName}.csv`);
+  }
+
+  /**
+   * Load the archived I/O buckets of all disks (once)
+   * @private
+   */
+  async _loadIoArchive() {
+    if (this.ioArchiveLoaded) return;
+    this.ioArchiveLoaded = true;
+
+    try {
+      const files = await fs.readdir(IO_HISTORY_DIR);
+      const now = Math.floor(Date.now() / 1000);
+
+      for (const file of files) {
+        if (!file.endsWith('.csv')) continue;
+        const deviceName = file.slice(0, -4);
+        const content = await fs.readFile(path.join(IO_HISTORY_DIR, file), 'utf8');
+        const buckets = IoHistory.compact(IoHistory.parse(content), now);
+        // Samples recorded before the archive was loaded
+        this.ioArchive.set(deviceName, [...buckets, ...(this.ioArchive.get(deviceName) || [])]);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[DisksService] Failed to load I/O history: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Record a raw throughput sample: keep it in the ring buffer and add it to the open
+   * 1 minute and 15 minute buckets. Buckets are archived once their period is over.
+   * @param {string} deviceName - Disk name (e.g. sda)
+   * @param {number} timestamp - Sample time in milliseconds
+   * @param {Object} sample - { seconds, readBytes, writeBytes, readSpeed, writeSpeed }
+   * @private
+   */
+  _recordIoSample(deviceName, timestamp, sample) {
+    const t = timestamp / 1000;
+
+    if (!this.ioRawSamples.has(deviceName)) {
+      const capacity = Math.ceil(IoHistory.RAW_RETENTION * 1000 / this.diskStatsSamplingRate);
+      this.ioRawSamples.set(deviceName, new IoHistory.RingBuffer(capacity));
+    }
+    this.ioRawSamples.get(deviceName).push({
+      t,
+      res: 0,
+      seconds: sample.seconds,
+      readBytes: sample.readBytes,
+      writeBytes: sample.writeBytes,
+      readPeak: sample.readSpeed,
+      writePeak: sample.writeSpeed
+    });
+
+    const open = this.ioOpenBuckets.get(deviceName) || {};
+    const closed = [];
+
+    for (const res of Object.keys(IoHistory.ARCHIVE_TIERS).map(Number)) {
+      const start = Math.floor(t / res) * res;
+      if (open[res] && open[res].t !== start) {
+        closed.push(open[res]);
+        open[res] = null;
+      }
+      open[res] = IoHistory.addToBucket(open[res], start, res, sample);
+    }
+    this.ioOpenBuckets.set(deviceName, open);
+
+    if (closed.length > 0) {
+      this._archiveIoBuckets(deviceName, closed).catch(error => {
+        console.warn(`[DisksService] Failed to archive I/O history of ${deviceName}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Append finished buckets to the archive, compact it once per day
+   * @private
+   */
+  async _archiveIoBuckets(deviceName, buckets) {
+    const archive = this.ioArchive.get(deviceName) || [];
+    archive.push(...buckets);
+    this.ioArchive.set(deviceName, archive);
+
+    const file = this._getIoHistoryFile(deviceName);
+    await fs.mkdir(IO_HISTORY_DIR, { recursive: true });
+
+    const now = Math.floor(Date.now() / 1000);
+    const day = Math.floor(now / 86400);
+    if (this.ioArchiveCompacted.get(deviceName) !== day) {
+      this.ioArchiveCompacted.set(deviceName, day);
+      const compacted = IoHistory.compact(archive, now);
+      this.ioArchive.set(deviceName, compacted);
+      await fs.writeFile(file, IoHistory.serialize(compacted));
+      return;
+    }
+
+    await fs.appendFile(file, IoHistory.serialize(buckets));
+  }
+
+  /**
+   * Get the buckets of several disks for a range, summed per timestamp
+   * @param {Array<string>} deviceNames - Disk names (e.g. sda)
+   * @param {number} range - Seconds
+   * @param {number} resolution - Bucket size in seconds (0 = raw samples)
+   * @returns {Array} Buckets, oldest first
+   * @private
+   */
+  _getIoBuckets(deviceNames, range, resolution) {
+    const now = Math.floor(Date.now() / 1000);
+    const from = now - range;
+
+    const series = deviceNames.map(deviceName => {
+      if (resolution === 0) {
+        const ring = this.ioRawSamples.get(deviceName);
+        // Raw samples of one sampling pass share the timestamp, so they can be summed per pool
+        return ring ? ring.toArray().filter(sample => sample.t >= from) : [];
+      }
+
+      // Include the open buckets so the history reaches up to now
+      const open = Object.values(this.ioOpenBuckets.get(deviceName) || {}).filter(Boolean);
+      const buckets = [...(this.ioArchive.get(deviceName) || []), ...open];
+      return IoHistory.select(buckets, from, now, resolution);
+    });
+
+    return IoHistory.sum(series);
+  }
+
+  /**
+   * Format buckets for API responses
+   * @private
+   */
+  _formatIoBuckets(buckets, user = null) {
+    return buckets.map(bucket => {
+      const readSpeed = bucket.seconds > 0 ? Math.round(bucket.readBytes / bucket.seconds) : 0;
+      const writeSpeed = bucket.seconds > 0 ? Math.round(bucket.writeBytes / bucket.seconds) : 0;
+      const readPeak = Math.round(bucket.readPeak);
+      const writePeak = Math.round(bucket.writePeak);
+
+      return {
+        timestamp: new Date(Math.round(bucket.t * 1000)).toISOString(),
+        readSpeed,
+        writeSpeed,
+        readSpeed_human: this.formatSpeed(readSpeed, user),
+        writeSpeed_human: this.formatSpeed(writeSpeed, user),
+        readSpeed_peak: readPeak,
+        writeSpeed_peak: writePeak,
+        readSpeed_peak_human: this.formatSpeed(readPeak, user),
+        writeSpeed_peak_human: this.formatSpeed(writePeak, user),
+        readBytes: Math.round(bucket.readBytes),
+        writeBytes: Math.round(bucket.writeBytes),
+        readBytes_human: this.formatBytes(bucket.readBytes, user),
+        writeBytes_human: this.formatBytes(bucket.writeBytes, user)
+      };
+    });
+  }
+
+  /**
+   * Get throughput history of a disk
+   * Raw samples (every 2s) are kept in memory for 15 minutes, 1 minute buckets for 24 hours
+   * and 15 minute buckets for 30 days.
+   * @param {string} device - Device path or name (partitions map to their disk)
+   * @param {Object} options - { range: '1h', resolution: 'raw' | '1m' | '15m' | '1h' ... }
+   * @param {Object} user - User object with byte_format preference
+   * @returns {Object} { device, range, resolution, samples }
+   */
+  getDiskIoHistory(device, options = {}, user = null) {
+    const deviceName = this._getBaseDisk(device).replace('/dev/', '');
+    if (!this.diskStatsHistory.has(deviceName) && !this.ioArchive.has(deviceName)) {
+      throw new Error(`No I/O history for device ${deviceName}`);
+    }
+
+    const { range, resolution } = IoHistory.parseOptions(options);
+
+    return {
+      device: deviceName,
+      range,
+      resolution,
+      samples: this._formatIoBuckets(this._getIoBuckets([deviceName], range, resolution), user)
+    };
+  }
+
+  /**
+   * Get cumulative throughput history of several disks (e.g. the disks of a pool)
+   * Peaks are the sum of the per-disk peaks of a bucket.
+   * @param {Array<string>} devices - Device paths or names
+   * @param {Object} options - { range, resolution }
+   * @param {Object} user - User object with byte_format preference
+   * @returns {Object} { devices, range, resolution, samples }
+   */
+  getDevicesIoHistory(devices, options = {}, user = null) {
+    const { range, resolution } = IoHistory.parseOptions(options);
+    const deviceNames = [...new Set(devices.map(device => this._getBaseDisk(device).replace('/dev/', '')))];
+
+    return {
+      devices: deviceNames,
+      range,
+      resolution,
+      samples: this._formatIoBuckets(this._getIoBuckets(deviceNames, range, resolution), user)
+    };
+  }
+
   // ============================================================
   // DISK TEMPERATURE (with standby-safe check)
   // ============================================================
@@ -3867,9 +4097,10 @@ class DisksService {
 
   /**
    * Check available filesystems for formatting
-   * @param {string} pooltype - Optional: Filter for pool type ('multi', 'nonraid', 'single', 'mergerfs')
-   *                            'multi' returns only btrfs and zfs
-   *                            other values or no parameter returns all (ext4, xfs, btrfs)
+   * @param {string} pooltype - Optional: Filter for pool type ('multi', 'zfs', 'nonraid', 'single', 'mergerfs')
+   *                            'multi' returns only btrfs and zfs, 'zfs' only zfs
+   *                            other values or no parameter returns ext4, xfs, btrfs
+   *                            (zfs is a pool of its own and can not be used as single disk filesystem)
    */
   async getAvailableFilesystems(pooltype = null) {
     const supportedFilesystems = [
@@ -3881,32 +4112,28 @@ class DisksService {
 
     // For pooltype=multi only check btrfs and zfs
     const multiPoolFilesystems = ['btrfs', 'zfs'];
-    const filesystemsToCheck = pooltype === 'multi'
-      ? supportedFilesystems.filter(fs => multiPoolFilesystems.includes(fs.name))
-      : supportedFilesystems;
+    let filesystemsToCheck;
+    if (pooltype === 'multi') {
+      filesystemsToCheck = supportedFilesystems.filter(fs => multiPoolFilesystems.includes(fs.name));
+    } else if (pooltype === 'zfs') {
+      filesystemsToCheck = supportedFilesystems.filter(fs => fs.name === 'zfs');
+    } else {
+      filesystemsToCheck = supportedFilesystems.filter(fs => fs.name !== 'zfs');
+    }
 
     const availableFilesystems = [];
 
     for (const fs of filesystemsToCheck) {
       try {
-        // Special handling for ZFS (disabled for now)
-        // if (fs.name === 'zfs') {
-        //   try {
-        //     await execPromise(`which zpool`);
-        //     await execPromise(`which zfs`);
-        //     await execPromise(`modinfo zfs`);
-        //     availableFilesystems.push(fs.name);
-        //   } catch (zfsError) {
-        //     // ZFS nicht verfügbar
-        //   }
-        // } else {
-        //   // Normale mkfs-Tools prüfen
-        //   await execPromise(`which ${fs.command}`);
-        //   availableFilesystems.push(fs.name);
-        // }
-
-        // Without ZFS - only normal mkfs-tools
-        if (fs.name === 'zfs') continue;
+        // ZFS needs the userland tools and the kernel module
+        if (fs.name === 'zfs') {
+          await execPromise(`which zpool`);
+          await execPromise(`which zfs`);
+          await execPromise(`modinfo zfs || test -d /sys/module/zfs`);
+          availableFilesystems.push(fs.name);
+          continue;
+        }
+
         await execPromise(`which ${fs.command}`);
         availableFilesystems.push(fs.name);
       } catch (error) {
@@ -0,0 +1,232 @@
+/**
+ * Helper functions for disk I/O history (in-memory ring buffer and downsampled archive)
+ *
+ * Archive: one file per disk, one line per bucket:
+ * <unix seconds>,<bucket size>,<covered seconds>,<read bytes>,<write bytes>,<read peak>,<write peak>
+ * Speeds are derived from bytes / covered seconds, so partial buckets (startup, gaps) stay exact.
+ */
+
+const UsageHistory = require('../pools/usage-history');
+
+const DAY = 86400;
+
+// Archive tiers: bucket size in seconds -> retention in seconds
+const ARCHIVE_TIERS = {
+  60: DAY, // 1 minute for 24 hours
+  900: 30 * DAY // 15 minutes for 30 days
+};
+
+const RAW_RETENTION = 15 * 60; // raw samples kept in memory
+
+/**
+ * Fixed-size ring buffer, oldest entries are overwritten
+ */
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * @returns {Array} Items, oldest first
+   */
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return result;
+  }
+}
+
+class IoHistory {
+  /**
+   * Parse the content of an archive file
+   * @param {string} content - File content
+   * @returns {Array<{t, res, seconds, readBytes, writeBytes, readPeak, writePeak}>} Buckets, oldest first
+   */
+  static parse(content) {
+    const buckets = [];
+
+    for (const line of String(content || '').split('\n')) {
+      const values = line.split(',').map(value => parseFloat(value));
+      if (values.length !== 7 || !values.every(Number.isFinite)) continue;
+
+      const [t, res, seconds, readBytes, writeBytes, readPeak, writePeak] = values;
+      if (!ARCHIVE_TIERS[res]) continue;
+      buckets.push({ t, res, seconds, readBytes, writeBytes, readPeak, writePeak });
+    }
+
+    return buckets.sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Serialize buckets to file content
+   * @param {Array} buckets - Buckets
+   * @returns {string}
+   */
+  static serialize(buckets) {
+    return buckets.map(b => [
+      b.t,
+      b.res,
+      Math.round(b.seconds * 10) / 10,
+      Math.round(b.readBytes),
+      Math.round(b.writeBytes),
+      Math.round(b.readPeak),
+      Math.round(b.writePeak)
+    ].join(',') + '\n').join('');
+  }
+
+  /**
+   * Drop buckets older than the retention of their tier
+   * @param {Array} buckets - Buckets
+   * @param {number} now - Unix seconds
+   * @returns {Array} Remaining buckets
+   */
+  static compact(buckets, now) {
+    return buckets.filter(b => ARCHIVE_TIERS[b.res] && now - b.t <= ARCHIVE_TIERS[b.res]);
+  }
+
+  /**
+   * Add a raw sample to an open bucket (creates the bucket when missing)
+   * @param {Object|null} bucket - Open bucket
+   * @param {number} start - Bucket start (unix seconds)
+   * @param {number} res - Bucket size in seconds
+   * @param {Object} sample - { seconds, readBytes, writeBytes, readSpeed, writeSpeed }
+   * @returns {Object} Bucket
+   */
+  static addToBucket(bucket, start, res, sample) {
+    const target = bucket || { t: start, res, seconds: 0, readBytes: 0, writeBytes: 0, readPeak: 0, writePeak: 0 };
+    target.seconds += sample.seconds;
+    target.readBytes += sample.readBytes;
+    target.writeBytes += sample.writeBytes;
+    target.readPeak = Math.max(target.readPeak, sample.readSpeed);
+    target.writePeak = Math.max(target.writePeak, sample.writeSpeed);
+    return target;
+  }
+
+  /**
+   * Default resolution for a range: raw up to 15 minutes, 1 minute up to 24 hours,
+   * 15 minutes up to 7 days, hourly beyond
+   * @param {number} range - Seconds
+   * @returns {number} Bucket size in seconds (0 = raw samples)
+   */
+  static getDefaultResolution(range) {
+    if (range <= RAW_RETENTION) return 0;
+    if (range <= DAY) return 60;
+    if (range <= 7 * DAY) return 900;
+    return 3600;
+  }
+
+  /**
+   * Parse range and resolution options
+   * @param {Object} options - { range, resolution }
+   * @returns {{range: number, resolution: number}}
+   */
+  static parseOptions(options = {}) {
+    const range = UsageHistory.parseDuration(options.range || '1h');
+    if (range > ARCHIVE_TIERS[900]) {
+      throw new Error('Invalid range: I/O history is kept for 30 days');
+    }
+
+    let resolution;
+    if (options.resolution === 'raw') {
+      resolution = 0;
+    } else if (options.resolution) {
+      resolution = UsageHistory.parseDuration(options.resolution);
+      if (resolution < 60 || resolution % 60 !== 0) {
+        throw new Error('Invalid resolution: use raw or a multiple of one minute');
+      }
+    } else {
+      resolution = this.getDefaultResolution(range);
+    }
+
+    return { range, resolution };
+  }
+
+  /**
+   * Select the buckets for a time range at a given resolution.
+   * Uses the finest archive tier that still covers the range and merges its buckets.
+   * @param {Array} buckets - Archive buckets (both tiers), oldest first
+   * @param {number} from - Unix seconds
+   * @param {number} to - Unix seconds
+   * @param {number} resolution - Bucket size in seconds (>= 60)
+   * @returns {Array} Buckets
+   */
+  static select(buckets, from, to, resolution) {
+    const now = Math.floor(Date.now() / 1000);
+    // 1 minute buckets only when the range is still covered and the resolution is not a 15 minute multiple
+    const tier = resolution % 900 !== 0 && from >= now - ARCHIVE_TIERS[60] ? 60 : 900;
+    const source = buckets.filter(b => b.res === tier && b.t >= from && b.t <= to);
+
+    return this.merge(source, Math.max(resolution, tier));
+  }
+
+  /**
+   * Merge buckets (or raw samples in bucket form) into larger buckets
+   * @param {Array} buckets - Buckets, oldest first
+   * @param {number} resolution - Bucket size in seconds
+   * @returns {Array} Buckets
+   */
+  static merge(buckets, resolution) {
+    const merged = new Map();
+
+    for (const bucket of buckets) {
+      const key = Math.floor(bucket.t / resolution) * resolution;
+      const target = merged.get(key) || { t: key, res: resolution, seconds: 0, readBytes: 0, writeBytes: 0, readPeak: 0, writePeak: 0 };
+      target.seconds += bucket.seconds;
+      target.readBytes += bucket.readBytes;
+      target.writeBytes += bucket.writeBytes;
+      target.readPeak = Math.max(target.readPeak, bucket.readPeak);
+      target.writePeak = Math.max(target.writePeak, bucket.writePeak);
+      merged.set(key, target);
+    }
+
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Sum the buckets of several disks with the same timestamps (pool history).
+   * Peaks are summed as well and are an upper bound for the pool.
+   * @param {Array<Array>} series - Buckets per disk
+   * @returns {Array} Buckets, oldest first
+   */
+  static sum(series) {
+    const summed = new Map();
+
+    for (const buckets of series) {
+      for (const bucket of buckets) {
+        const target = summed.get(bucket.t);
+        if (!target) {
+          summed.set(bucket.t, { ...bucket });
+          continue;
+        }
+        // Covered time is the same for all disks of a bucket, keep the longest
+        target.seconds = Math.max(target.seconds, bucket.seconds);
+        target.readBytes += bucket.readBytes;
+        target.writeBytes += bucket.writeBytes;
+        target.readPeak += bucket.readPeak;
+        target.writePeak += bucket.writePeak;
+      }
+    }
+
+    return Array.from(summed.values()).sort((a, b) => a.t - b.t);
+  }
+}
+
+module.exports = IoHistory;
+module.exports.RingBuffer = RingBuffer;
+module.exports.ARCHIVE_TIERS = ARCHIVE_TIERS;
+module.exports.RAW_RETENTION = RAW_RETENTION;
@@ -43,6 +43,22 @@ class DockerService {
     return '/bin/sh';
   }
 
+  /**
+   * Gets the default shell of a container from its template
+   * Containers without template (e.g. compose stack containers) fall back to /bin/sh
+   * @param {string} name - Container name
+   * @returns {Promise<string>} Normalized shell path
+   */
+  async getContainerShell(name) {
+    try {
+      const templatePath = path.join('/boot/config/system/docker/templates', `${name}.json`);
+      const template = JSON.parse(await fs.readFile(templatePath, 'utf8'));
+      return this.normalizeShell(template.default_shell);
+    } catch (error) {
+      return this.normalizeShell(null);
+    }
+  }
+
   /**
    * Reads the Docker containers file and checks for available updates
    * @returns {Promise<Array>} Array of Docker images with update status
@@ -2250,6 +2266,231 @@ class DockerService {
       throw new Error(`Failed to get Docker ports: ${error.message}`);
     }
   }
+
+  /**
+   * Validates a Docker container name
+   * @param {string} name - Container name
+   */
+  _validateContainerName(name) {
+    if (!name || !/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(name)) {
+      throw new Error('Invalid container name');
+    }
+  }
+
+  /**
+   * Converts a since value into a UNIX timestamp for the Docker API
+   * Accepts UNIX timestamps, ISO dates and relative durations (e.g. 30s, 10m, 2h, 1d)
+   * @param {string|number} since - Since value
+   * @returns {number} UNIX timestamp in seconds
+   */
+  _parseLogSince(since) {
+    const value = String(since).trim();
+
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      return Math.floor(Number(value));
+    }
+
+    const relative = value.match(/^(\d+)([smhd])$/);
+    if (relative) {
+      const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
+      return Math.floor(Date.now() / 1000) - parseInt(relative[1], 10) * multipliers[relative[2]];
+    }
+
+    const date = Date.parse(value);
+    if (isNaN(date)) {
+      throw new Error('Invalid since value. Use a UNIX timestamp, an ISO date or a duration like 10m');
+    }
+    return Math.floor(date / 1000);
+  }
+
+  /**
+   * Builds the query string for the Docker logs API
+   * @param {Object} options - Log options
+   * @param {number|string} [options.tail] - Number of lines from the end or 'all'
+   * @param {string|number} [options.since] - Only logs since this time
+   * @param {boolean} [options.timestamps] - Include timestamps
+   * @param {boolean} [options.follow] - Keep the stream open
+   * @returns {string} Query string
+   */
+  _buildLogsQuery(options = {}) {
+    const params = new URLSearchParams({ stdout: '1', stderr: '1' });
+
+    if (options.tail !== undefined && options.tail !== null && options.tail !== 'all') {
+      const tail = parseInt(options.tail, 10);
+      if (isNaN(tail) || tail < 0) {
+        throw new Error('Invalid tail value. Use a positive number or "all"');
+      }
+      params.set('tail', String(tail));
+    } else {
+      params.set('tail', 'all');
+    }
+
+    if (options.since !== undefined && options.since !== null && options.since !== '') {
+      params.set('since', String(this._parseLogSince(options.since)));
+    }
+    if (options.timestamps) {
+      params.set('timestamps', '1');
+    }
+    if (options.follow) {
+      params.set('follow', '1');
+    }
+
+    return params.toString();
+  }
+
+  /**
+   * Creates a parser for Docker log output
+   * Containers without TTY deliver a multiplexed stream (8 byte frame header with stream type and size),
+   * containers with TTY deliver raw output.
+   * @param {boolean} tty - Whether the container uses a TTY
+   * @param {boolean} timestamps - Whether lines are prefixed with timestamps
+   * @returns {{push: Function, flush: Function}} Parser; push(chunk) and flush() return parsed entries
+   */
+  createLogParser(tty, timestamps = false) {
+    let buffer = Buffer.alloc(0);
+    const partial = { stdout: '', stderr: '' };
+
+    const toEntry = (stream, line) => {
+      if (timestamps) {
+        const spaceIndex = line.indexOf(' ');
+        if (spaceIndex > 0) {
+          return { stream, timestamp: line.slice(0, spaceIndex), message: line.slice(spaceIndex + 1) };
+        }
+      }
+      return { stream, timestamp: null, message: line };
+    };
+
+    const addText = (stream, text, entries) => {
+      const lines = (partial[stream] + text).split('\n');
+      // Keep the last incomplete line for the next chunk
+      partial[stream] = lines.pop();
+      for (const line of lines) {
+        entries.push(toEntry(stream, line.replace(/\r$/, '')));
+      }
+    };
+
+    return {
+      push(chunk) {
+        const entries = [];
+
+        if (tty) {
+          addText('stdout', chunk.toString('utf8'), entries);
+          return entries;
+        }
+
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 8) {
+          const size = buffer.readUInt32BE(4);
+          if (buffer.length < 8 + size) break;
+
+          const stream = buffer[0] === 2 ? 'stderr' : 'stdout';
+          addText(stream, buffer.subarray(8, 8 + size).toString('utf8'), entries);
+          buffer = buffer.subarray(8 + size);
+        }
+        return entries;
+      },
+
+      flush() {
+        const entries = [];
+        for (const stream of ['stdout', 'stderr']) {
+          if (partial[stream]) {
+            entries.push(toEntry(stream, partial[stream]));
+            partial[stream] = '';
+          }
+        }
+        return entries;
+      }
+    };
+  }
+
+  /**
+   * Checks whether a container exists and uses a TTY
+   * @param {string} name - Container name
+   * @returns {Promise<boolean>} True if the container was created with a TTY
+   */
+  async _isContainerTty(name) {
+    const response = await axios({
+      method: 'GET',
+      url: `http://localhost/containers/${encodeURIComponent(name)}/json`,
+      socketPath: '/var/run/docker.sock',
+      validateStatus: () => true,
+      timeout: 5000
+    });
+
+    if (response.status === 404) {
+      throw new Error(`Container '${name}' not found`);
+    }
+    if (response.status !== 200) {
+      throw new Error((response.data && response.data.message) || 'Failed to inspect container');
+    }
+
+    return !!(response.data.Config && response.data.Config.Tty);
+  }
+
+  /**
+   * Opens a (following) log stream of a container via the Docker socket API
+   * @param {string} name - Container name
+   * @param {Object} options - Log options (tail, since, timestamps)
+   * @returns {Promise<{stream: Object, parser: Object}>} Readable stream and matching parser
+   */
+  async openContainerLogStream(name, options = {}) {
+    this._validateContainerName(name);
+    const query = this._buildLogsQuery({ ...options, follow: true });
+    const tty = await this._isContainerTty(name);
+
+    const response = await axios({
+      method: 'GET',
+      url: `http://localhost/containers/${encodeURIComponent(name)}/logs?${query}`,
+      socketPath: '/var/run/docker.sock',
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+
+    if (response.status !== 200) {
+      response.data.destroy();
+      throw new Error(`Failed to open log stream for container '${name}'`);
+    }
+
+    return {
+      stream: response.data,
+      parser: this.createLogParser(tty, !!options.timestamps)
+    };
+  }
+
+  /**
+   * Gets the logs of a container
+   * @param {string} name - Container name
+   * @param {Object} options - Log options
+   * @param {number|string} [options.tail=100] - Number of lines from the end or 'all'
+   * @param {string|number} [options.since] - Only logs since this time (UNIX timestamp, ISO date or duration like 10m)
+   * @param {boolean} [options.timestamps=false] - Include timestamps
+   * @returns {Promise<Array>} Log entries ({ stream, timestamp, message })
+   */
+  async getContainerLogs(name, options = {}) {
+    this._validateContainerName(name);
+    const query = this._buildLogsQuery({
+      tail: options.tail !== undefined ? options.tail : 100,
+      since: options.since,
+      timestamps: options.timestamps
+    });
+    const tty = await this._isContainerTty(name);
+
+    const response = await axios({
+      method: 'GET',
+      url: `http://localhost/containers/${encodeURIComponent(name)}/logs?${query}`,
+      socketPath: '/var/run/docker.sock',
+      responseType: 'arraybuffer',
+      validateStatus: () => true,
+      timeout: 30000
+    });
+
+    if (response.status !== 200) {
+      throw new Error(`Failed to get logs for container '${name}'`);
+    }
+
+    const parser = this.createLogParser(tty, !!options.timestamps);
+    return [...parser.push(Buffer.from(response.data)), ...parser.flush()];
+  }
 }
 
 module.exports = new DockerService();
@@ -1669,6 +1669,45 @@ class DockerComposeService {
     }
   }
 
+  /**
+   * Get the container names of a compose stack
+   * @param {string} name - Stack name
+   * @returns {Promise<Array<string>>} Container names (running and stopped)
+   */
+  async getStackContainerNames(name) {
+    this._validateStackName(name);
+
+    try {
+      await fs.access(path.join(this._getStackPath(name), 'compose.yaml'));
+    } catch (err) {
+      throw new Error(`Stack '${name}' not found`);
+    }
+
+    return this._getStackContainers(name);
+  }
+
+  /**
+   * Get the logs of all containers of a compose stack
+   * @param {string} name - Stack name
+   * @param {Object} options - Log options (tail, since, timestamps), see dockerService.getContainerLogs
+   * @returns {Promise<Object>} Logs per container
+   */
+  async getStackLogs(name, options = {}) {
+    const containerNames = await this.getStackContainerNames(name);
+    const containers = [];
+
+    for (const containerName of containerNames) {
+      try {
+        const logs = await dockerService.getContainerLogs(containerName, options);
+        containers.push({ name: containerName, logs });
+      } catch (error) {
+        containers.push({ name: containerName, logs: [], error: error.message });
+      }
+    }
+
+    return { stack: name, containers };
+  }
+
   /**
    * Get all compose template names grouped by installed and removed
    * @returns {Promise<Object>} Object containing installed and removed template names
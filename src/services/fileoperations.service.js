@@ -5,6 +5,7 @@ const execPromise = util.promisify(exec);
 const fs = require('fs').promises;
 const path = require('path');
 const EventEmitter = require('events');
+const auditService = require('./audit.service');
 
 // Timestamp-basierter ID-Generator
 const generateId = () => Date.now().toString();
@@ -110,7 +111,9 @@ class FileOperationsService extends EventEmitter {
       startedAt: new Date().toISOString(),
       completedAt: null,
       error: null,
-      _process: null // internal, not exposed via API
+      _process: null, // internal, not exposed via API
+      _user: user || null, // internal, used for the audit record
+      _audited: false
     };
 
     this.operations.set(id, op);
@@ -526,6 +529,32 @@ class FileOperationsService extends EventEmitter {
     };
   }
 
+  /**
+   * Write the audit record of a finished operation
+   * @private
+   */
+  _recordAudit(op) {
+    const startedAt = new Date(op.startedAt).getTime();
+    const completedAt = op.completedAt ? new Date(op.completedAt).getTime() : Date.now();
+
+    auditService.record({
+      source: 'fileoperation',
+      user: op._user,
+      action: op.operation,
+      params: {
+        id: op.id,
+        source: op.source,
+        destination: op.destinationFull,
+        onConflict: op.onConflict,
+        bytesTotal: op.bytesTotal,
+        status: op.status
+      },
+      success: op.status === 'completed',
+      error: op.error,
+      duration: completedAt - startedAt
+    });
+  }
+
   /**
    * Emit operation update event for WebSocket
    * @private
@@ -533,6 +562,11 @@ class FileOperationsService extends EventEmitter {
   _emitUpdate(operationId) {
     const op = this.operations.get(operationId);
     if (op) {
+      if (!op._audited && ['completed', 'failed', 'cancelled'].includes(op.status)) {
+        op._audited = true;
+        this._recordAudit(op);
+      }
+
       // Emit raw operation data - WebSocket manager formats per client
       this.emit('operation-update', operationId, {
         id: op.id,
@@ -0,0 +1,719 @@
+const { exec } = require('child_process');
+const util = require('util');
+const execPromise = util.promisify(exec);
+const fs = require('fs').promises;
+const path = require('path');
+const EventEmitter = require('events');
+const PoolsService = require('./pools.service');
+const disksService = require('./disks.service');
+const smartService = require('./smart.service');
+const { sendNotification } = require('./plugins.service');
+
+const SUPPORTED_POOL_TYPES = ['btrfs', 'nonraid'];
+const POLICY_MODES = ['auto', 'notify'];
+const POLICY_TRIGGERS = ['missing', 'failing'];
+const DEFAULT_POLICY = {
+  mode: 'auto',
+  triggers: ['missing'],
+  delay: 300,
+  allow_unmount: false
+};
+const PROGRESS_INTERVAL = 30000;
+
+/**
+ * Hot Spare Service - spare disks and automatic rebuilds for BTRFS and NonRAID pools
+ *
+ * Spares are stored per pool in pools.json (config.hot_spares, /dev/disk/by-id names), so one
+ * disk can be the spare of several pools. When a member disk goes missing (udev monitor of the
+ * pools service) or smart.service reports it as failing, a rebuild onto the first usable spare
+ * starts according to the pool's policy (config.hot_spare_policy).
+ *
+ * Events:
+ * - hotspare-update: rebuild state changed (single rebuild object)
+ */
+class HotSpareService extends EventEmitter {
+  constructor() {
+    super();
+    this.poolsService = new PoolsService();
+    this.rebuilds = new Map(); // poolId -> current or last rebuild
+    this._sparesInUse = new Set();
+
+    smartService.on('disk-failing', (event) => {
+      this.handleDeviceFailing(event)
+        .catch(err => console.warn(`[HotSpareService] Failing disk handling error: ${err.message}`));
+    });
+  }
+
+  // ============================================================
+  // CONFIGURATION
+  // ============================================================
+
+  /**
+   * Read a pool from pools.json and check that it supports hot spares
+   * @param {Array} pools - Pools from pools.json
+   * @param {string} poolId - Pool ID
+   * @returns {Object} Pool
+   * @private
+   */
+  _getSupportedPool(pools, poolId) {
+    const pool = pools.find(p => p.id === poolId);
+    if (!pool) {
+      throw new Error(`Pool with ID "${poolId}" not found`);
+    }
+    if (!SUPPORTED_POOL_TYPES.includes(pool.type)) {
+      throw new Error(`Hot spares are only supported for ${SUPPORTED_POOL_TYPES.join(' and ')} pools, not '${pool.type}'`);
+    }
+    return pool;
+  }
+
+  /**
+   * Get the effective policy of a pool
+   * @param {Object} pool - Pool
+   * @returns {Object} Policy
+   * @private
+   */
+  _getPolicy(pool) {
+    return { ...DEFAULT_POLICY, ...(pool.config?.hot_spare_policy || {}) };
+  }
+
+  /**
+   * Resolve a spare by-id name to its current device path
+   * @param {string} id - /dev/disk/by-id name
+   * @returns {Promise<string|null>} Device path or null if the disk is not present
+   * @private
+   */
+  async _resolveSpare(id) {
+    try {
+      await fs.access(`/dev/disk/by-id/${id}`);
+      const { stdout } = await execPromise(`readlink -f /dev/disk/by-id/${id}`);
+      return stdout.trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get spares, policy and the current rebuild of a pool
+   * @param {string} poolId - Pool ID
+   * @returns {Promise<Object>} { spares, policy, rebuild }
+   */
+  async getHotSpares(poolId) {
+    const pools = await this.poolsService._readPools();
+    const pool = this._getSupportedPool(pools, poolId);
+
+    const spares = [];
+    for (const id of pool.config?.hot_spares || []) {
+      const device = await this._resolveSpare(id);
+      const serial = device ? smartService.resolveToSerial(path.basename(device)) : null;
+      spares.push({
+        id,
+        device,
+        serial,
+        present: device !== null,
+        shared_with: pools
+          .filter(p => p.id !== pool.id && (p.config?.hot_spares || []).includes(id))
+          .map(p => ({ id: p.id, name: p.name })),
+        in_use: this._sparesInUse.has(id)
+      });
+    }
+
+    return {
+      spares,
+      policy: this._getPolicy(pool),
+      rebuild: this.getRebuild(poolId)
+    };
+  }
+
+  /**
+   * Assign an unassigned disk as hot spare of a pool
+   * @param {string} poolId - Pool ID
+   * @param {string} device - Device path of the disk (e.g. /dev/sdf)
+   * @returns {Promise<Object>} Updated hot spare configuration
+   */
+  async addHotSpare(poolId, device) {
+    if (!device) {
+      throw new Error('Device is required');
+    }
+    const devicePath = device.startsWith('/dev/') ? device : `/dev/${device}`;
+
+    const pools = await this.poolsService._readPools();
+    const pool = this._getSupportedPool(pools, poolId);
+    if (pool.config?.encrypted) {
+      throw new Error('Hot spares are not supported for encrypted pools, the passphrase is needed to prepare the replacement');
+    }
+
+    const unassigned = await disksService.getUnassignedDisks();
+    if (!unassigned.some(d => d.device === devicePath)) {
+      throw new Error(`Device ${devicePath} must be an unassigned disk`);
+    }
+
+    const id = await this.poolsService._getDeviceByIdPath(devicePath);
+    if (!id) {
+      throw new Error(`Could not find /dev/disk/by-id/ path for ${devicePath}`);
+    }
+
+    if (!pool.config) pool.config = {};
+    const spares = pool.config.hot_spares || [];
+    if (spares.includes(id)) {
+      throw new Error(`Device ${devicePath} is already a hot spare of pool ${pool.name}`);
+    }
+    pool.config.hot_spares = [...spares, id];
+    await this.poolsService._writePools(pools);
+
+    this._notify(`Disk ${devicePath} assigned as hot spare of pool ${pool.name}`, 'normal');
+    return this.getHotSpares(poolId);
+  }
+
+  /**
+   * Remove a hot spare from a pool
+   * @param {string} poolId - Pool ID
+   * @param {string} spare - by-id name or device path of the spare
+   * @returns {Promise<Object>} Updated hot spare configuration
+   */
+  async removeHotSpare(poolId, spare) {
+    const pools = await this.poolsService._readPools();
+    const pool = this._getSupportedPool(pools, poolId);
+
+    const spares = pool.config?.hot_spares || [];
+    let id = spares.find(s => s === spare);
+    if (!id) {
+      for (const candidate of spares) {
+        const device = await this._resolveSpare(candidate);
+        if (device && (device === spare || device === `/dev/${spare}`)) {
+          id = candidate;
+          break;
+        }
+      }
+    }
+    if (!id) {
+      throw new Error(`Hot spare ${spare} not found in pool ${pool.name}`);
+    }
+    if (this._sparesInUse.has(id)) {
+      throw new Error(`Hot spare ${spare} cannot be removed while a rebuild is using it`);
+    }
+
+    pool.config.hot_spares = spares.filter(s => s !== id);
+    await this.poolsService._writePools(pools);
+    return this.getHotSpares(poolId);
+  }
+
+  /**
+   * Update the hot spare policy of a pool (partial update)
+   * @param {string} poolId - Pool ID
+   * @param {Object} policy - { mode, triggers, delay, allow_unmount }
+   * @returns {Promise<Object>} Effective policy
+   */
+  async updatePolicy(poolId, policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error('Policy must be an object');
+    }
+
+    const pools = await this.poolsService._readPools();
+    const pool = this._getSupportedPool(pools, poolId);
+    const merged = { ...this._getPolicy(pool), ...policy };
+
+    if (!POLICY_MODES.includes(merged.mode)) {
+      throw new Error(`Invalid mode: ${merged.mode}. Supported: ${POLICY_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(merged.triggers) || merged.triggers.some(t => !POLICY_TRIGGERS.includes(t))) {
+      throw new Error(`Invalid triggers: supported are ${POLICY_TRIGGERS.join(', ')}`);
+    }
+    const delay = parseInt(merged.delay, 10);
+    if (isNaN(delay) || delay < 0 || delay > 86400) {
+      throw new Error('Invalid delay: must be between 0 and 86400 seconds');
+    }
+
+    const normalized = {
+      mode: merged.mode,
+      triggers: [...new Set(merged.triggers)],
+      delay,
+      allow_unmount: merged.allow_unmount === true
+    };
+
+    if (!pool.config) pool.config = {};
+    pool.config.hot_spare_policy = normalized;
+    await this.poolsService._writePools(pools);
+    return normalized;
+  }
+
+  // ============================================================
+  // TRIGGERS
+  // ============================================================
+
+  /**
+   * Called by the pools service when a member disk of a mounted pool disappeared
+   * @param {Object} event - { poolId, memberId, memberDevice, removedDevice }
+   */
+  async handleDeviceMissing(event) {
+    const pools = await this.poolsService._readPools();
+    const pool = pools.find(p => p.id === event.poolId);
+    if (!pool || !SUPPORTED_POOL_TYPES.includes(pool.type)) return;
+
+    const policy = this._getPolicy(pool);
+    if (!policy.triggers.includes('missing') || (pool.config?.hot_spares || []).length === 0) return;
+
+    await this._startRebuild(pool, {
+      trigger: 'missing',
+      device: event.memberDevice || event.removedDevice,
+      memberId: event.memberId,
+      removedDevice: event.removedDevice,
+      delay: policy.delay,
+      manual: false
+    });
+  }
+
+  /**
+   * Called when smart.service reports a disk as failing (trend alert or failed self-test)
+   * @param {Object} event - { serial, device, reason }
+   */
+  async handleDeviceFailing(event) {
+    if (!event.device) return;
+    const devicePath = `/dev/${event.device}`;
+    const pools = await this.poolsService._readPools();
+
+    for (const pool of pools) {
+      if (!SUPPORTED_POOL_TYPES.includes(pool.type)) continue;
+      const policy = this._getPolicy(pool);
+      if (!policy.triggers.includes('failing') || (pool.config?.hot_spares || []).length === 0) continue;
+
+      const member = await this._findMember(pool, devicePath);
+      if (!member) continue;
+
+      await this._startRebuild(pool, {
+        trigger: 'failing',
+        device: member.device,
+        memberId: member.id,
+        reason: event.reason,
+        delay: 0,
+        manual: false
+      });
+    }
+  }
+
+  /**
+   * Start a rebuild onto a hot spare by hand
+   * @param {string} poolId - Pool ID
+   * @param {string} device - Member device to replace
+   * @param {string|null} spare - by-id name of the spare to use (first usable spare when omitted)
+   * @returns {Promise<Object>} Rebuild
+   */
+  async startManualRebuild(poolId, device, spare = null) {
+    if (!device) {
+      throw new Error('Device is required');
+    }
+    const devicePath = device.startsWith('/dev/') ? device : `/dev/${device}`;
+    const pools = await this.poolsService._readPools();
+    const pool = this._getSupportedPool(pools, poolId);
+
+    const spares = pool.config?.hot_spares || [];
+    if (spares.length === 0) {
+      throw new Error(`Pool ${pool.name} has no hot spares`);
+    }
+    if (spare && !spares.includes(spare)) {
+      throw new Error(`Hot spare ${spare} not found in pool ${pool.name}`);
+    }
+
+    const member = await this._findMember(pool, devicePath);
+    if (!member) {
+      throw new Error(`Device ${devicePath} is not part of pool ${pool.name}`);
+    }
+
+    const rebuild = await this._startRebuild(pool, {
+      trigger: 'manual',
+      device: member.device,
+      memberId: member.id,
+      spare,
+      delay: 0,
+      manual: true
+    });
+    if (!rebuild) {
+      throw new Error(`A rebuild is already running for pool ${pool.name}`);
+    }
+    return rebuild;
+  }
+
+  /**
+   * Cancel a rebuild that is still waiting for its delay
+   * @param {string} poolId - Pool ID
+   * @returns {Object} Rebuild
+   */
+  cancelRebuild(poolId) {
+    const rebuild = this.rebuilds.get(poolId);
+    if (!rebuild || rebuild.status !== 'pending') {
+      throw new Error('No pending rebuild found for this pool');
+    }
+    clearTimeout(rebuild._timer);
+    this._finish(rebuild, 'cancelled', 'Rebuild cancelled by user', 'normal');
+    return this._serialize(rebuild);
+  }
+
+  /**
+   * Get the current or last rebuild of a pool
+   * @param {string} poolId - Pool ID
+   * @returns {Object|null}
+   */
+  getRebuild(poolId) {
+    const rebuild = this.rebuilds.get(poolId);
+    return rebuild ? this._serialize(rebuild) : null;
+  }
+
+  /**
+   * Get all rebuilds that are pending or running
+   * @returns {Array<Object>}
+   */
+  getActiveRebuilds() {
+    return Array.from(this.rebuilds.values())
+      .filter(r => r.status === 'pending' || r.status === 'running')
+      .map(r => this._serialize(r));
+  }
+
+  // ============================================================
+  // REBUILD
+  // ============================================================
+
+  /**
+   * Create a rebuild for a pool and run it after the policy delay
+   * @param {Object} pool - Pool from pools.json
+   * @param {Object} options - { trigger, device, memberId, removedDevice, reason, spare, delay, manual }
+   * @returns {Promise<Object|null>} Rebuild or null if one is already active for the pool
+   * @private
+   */
+  async _startRebuild(pool, options) {
+    const current = this.rebuilds.get(pool.id);
+    if (current && (current.status === 'pending' || current.status === 'running')) {
+      return null;
+    }
+
+    const policy = this._getPolicy(pool);
+    const rebuild = {
+      poolId: pool.id,
+      poolName: pool.name,
+      poolType: pool.type,
+      trigger: options.trigger,
+      device: options.device,
+      memberId: options.memberId || null,
+      removedDevice: options.removedDevice || null,
+      spare: options.spare || null,
+      spareDevice: null,
+      status: 'pending',
+      progress: null,
+      startsAt: new Date(Date.now() + options.delay * 1000).toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      steps: [],
+      _timer: null
+    };
+    this.rebuilds.set(pool.id, rebuild);
+
+    const cause = {
+      missing: `Disk ${rebuild.device} went missing`,
+      failing: `Disk ${rebuild.device} is failing${options.reason ? ` (${options.reason})` : ''}`,
+      manual: `Replacement of disk ${rebuild.device} requested`
+    }[rebuild.trigger];
+
+    if (policy.mode !== 'auto' && !options.manual) {
+      this._finish(
+        rebuild,
+        'skipped',
+        `${cause}. Hot spare policy is "notify", start the rebuild manually`,
+        'warning'
+      );
+      return this._serialize(rebuild);
+    }
+
+    if (options.delay > 0) {
+      this._step(rebuild, `${cause}. Rebuild onto a hot spare starts in ${options.delay} seconds`, 'warning');
+    } else {
+      this._step(rebuild, `${cause}. Starting rebuild onto a hot spare`, 'warning');
+    }
+
+    rebuild._timer = setTimeout(() => {
+      rebuild._timer = null;
+      this._runRebuild(rebuild).catch(err => {
+        this._finish(rebuild, 'failed', `Rebuild failed: ${err.message}`, 'alert', err.message);
+      });
+    }, options.delay * 1000);
+
+    return this._serialize(rebuild);
+  }
+
+  /**
+   * Run a rebuild: pick a spare, replace the member and wait for the pool to be redundant again
+   * @param {Object} rebuild - Rebuild
+   * @private
+   */
+  async _runRebuild(rebuild) {
+    // A disk that came back during the delay (loose cable, USB reset) does not need a rebuild
+    if (rebuild.trigger === 'missing' && rebuild.removedDevice) {
+      const returned = await fs.access(rebuild.removedDevice).then(() => true).catch(() => false);
+      if (returned) {
+        this._finish(rebuild, 'cancelled', `Disk ${rebuild.removedDevice} is back, rebuild cancelled`, 'normal');
+        return;
+      }
+    }
+
+    const pools = await this.poolsService._readPools();
+    const pool = pools.find(p => p.id === rebuild.poolId);
+    if (!pool) {
+      throw new Error('Pool no longer exists');
+    }
+
+    const spare = await this._pickSpare(pool, rebuild.spare);
+    rebuild.spare = spare.id;
+    rebuild.spareDevice = spare.device;
+    rebuild.status = 'running';
+    rebuild.startedAt = new Date().toISOString();
+    this._sparesInUse.add(spare.id);
+
+    try {
+      this._step(rebuild, `Replacing ${rebuild.device} with hot spare ${spare.device}`, 'normal');
+
+      if (pool.type === 'btrfs') {
+        await this._rebuildBtrfs(pool, rebuild, spare);
+      } else {
+        await this._rebuildNonRaid(pool, rebuild, spare);
+      }
+
+      await this._releaseSpare(spare.id);
+      rebuild.progress = 100;
+      this._finish(rebuild, 'completed', `Rebuild completed, ${spare.device} replaced ${rebuild.device}`, 'normal');
+    } finally {
+      this._sparesInUse.delete(spare.id);
+    }
+  }
+
+  /**
+   * Pick a present, unused spare of a pool
+   * @param {Object} pool - Pool
+   * @param {string|null} preferred - by-id name to use
+   * @returns {Promise<{id: string, device: string}>}
+   * @private
+   */
+  async _pickSpare(pool, preferred) {
+    const candidates = preferred ? [preferred] : (pool.config?.hot_spares || []);
+    const unassigned = await disksService.getUnassignedDisks();
+
+    for (const id of candidates) {
+      if (this._sparesInUse.has(id)) continue;
+      const device = await this._resolveSpare(id);
+      if (!device) continue;
+      if (!unassigned.some(d => d.device === device)) continue;
+      return { id, device };
+    }
+
+    throw new Error(`No usable hot spare for pool ${pool.name} (spares missing, in use or no longer unassigned)`);
+  }
+
+  /**
+   * Remove a consumed spare from all pools (it is a pool member now)
+   * @param {string} id - by-id name
+   * @private
+   */
+  async _releaseSpare(id) {
+    const pools = await this.poolsService._readPools();
+    let changed = false;
+    for (const pool of pools) {
+      if ((pool.config?.hot_spares || []).includes(id)) {
+        pool.config.hot_spares = pool.config.hot_spares.filter(s => s !== id);
+        changed = true;
+      }
+    }
+    if (changed) {
+      await this.poolsService._writePools(pools);
+    }
+  }
+
+  /**
+   * BTRFS: btrfs replace onto the spare (pool stays online).
+   * A missing member is addressed by its devid, btrfs has no path for it anymore.
+   * @private
+   */
+  async _rebuildBtrfs(pool, rebuild, spare) {
+    const mountPoint = path.join(this.poolsService.mountBasePath, pool.name);
+    if (!await this.poolsService._isMounted(mountPoint)) {
+      throw new Error(`Pool ${pool.name} must be mounted to rebuild`);
+    }
+
+    const devid = await this._getBtrfsDevid(mountPoint, rebuild.device);
+    if (devid === null) {
+      throw new Error(`Could not find the BTRFS devid of ${rebuild.device}`);
+    }
+
+    await this.poolsService.replaceDeviceInPool(pool.id, rebuild.device, spare.device, {
+      format: true,
+      sourceDevid: devid,
+      onProgress: (percent) => {
+        if (rebuild.progress !== percent) {
+          rebuild.progress = percent;
+          this._emitUpdate(rebuild);
+        }
+      }
+    });
+  }
+
+  /**
+   * Find the devid of a member in btrfs filesystem show, falling back to the missing device
+   * @param {string} mountPoint - Pool mount point
+   * @param {string} device - Member device path
+   * @returns {Promise<number|null>}
+   * @private
+   */
+  async _getBtrfsDevid(mountPoint, device) {
+    const { stdout } = await execPromise(`btrfs filesystem show ${mountPoint} 2>/dev/null || true`);
+    const baseDisk = this.poolsService._getBaseDiskFromPartition(device);
+    let missing = null;
+
+    for (const line of stdout.split('\n')) {
+      const match = line.match(/devid\s+(\d+)\s+.*path\s+(\S+)/);
+      if (!match) continue;
+      const devid = parseInt(match[1], 10);
+      if (/MISSING|<missing disk>/i.test(line)) {
+        missing = missing === null ? devid : missing;
+        continue;
+      }
+      if (match[2] === device || this.poolsService._getBaseDiskFromPartition(match[2]) === baseDisk) {
+        return devid;
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * NonRAID: the array has to be stopped for a replacement, the slot is reconstructed from parity
+   * @private
+   */
+  async _rebuildNonRaid(pool, rebuild, spare) {
+    const policy = this._getPolicy(pool);
+    const slot = this._getNonRaidSlot(pool, rebuild);
+    if (!slot) {
+      throw new Error(`Could not find the slot of ${rebuild.device} in pool ${pool.name}`);
+    }
+    if (!policy.allow_unmount) {
+      throw new Error(`Pool ${pool.name} must be unmounted for the rebuild but allow_unmount is disabled in the hot spare policy`);
+    }
+
+    const mountPoint = path.join(this.poolsService.mountBasePath, pool.name);
+    if (await this.poolsService._isMounted(mountPoint)) {
+      this._step(rebuild, `Unmounting pool ${pool.name} for the rebuild`, 'warning');
+      await this.poolsService.unmountPoolById(pool.id);
+    }
+
+    await this.poolsService.replaceDevicesInNonRaidPool(pool.id, [{ slot, newDevice: spare.device }], { format: true });
+    this._step(rebuild, `Slot ${slot} replaced, parity reconstruction started`, 'normal');
+
+    try {
+      await this.poolsService.mountPoolById(pool.id);
+      this._step(rebuild, `Pool ${pool.name} mounted again`, 'normal');
+    } catch (error) {
+      this._step(rebuild, `Pool ${pool.name} could not be mounted again: ${error.message}`, 'alert');
+    }
+
+    await this._waitForNonRaidReconstruction(pool, rebuild);
+  }
+
+  /**
+   * Resolve the NonRAID slot of the member to replace
+   * @private
+   */
+  _getNonRaidSlot(pool, rebuild) {
+    const members = [...(pool.data_devices || []), ...(pool.parity_devices || [])];
+    const byId = rebuild.memberId ? members.find(d => d.id === rebuild.memberId) : null;
+    return byId ? byId.slot : null;
+  }
+
+  /**
+   * Poll the NonRAID parity status until the reconstruction finished
+   * @private
+   */
+  async _waitForNonRaidReconstruction(pool, rebuild) {
+    // Give the array a moment to pick up the reconstruction
+    await new Promise(resolve => setTimeout(resolve, 5000));
+
+    for (;;) {
+      const status = { ...pool, status: {} };
+      await this.poolsService._injectNonRaidParityStatus(status);
+      if (!status.status.parity_operation) break;
+
+      const percent = status.status.parity_progress ? status.status.parity_progress.percent : null;
+      if (percent !== null && rebuild.progress !== percent) {
+        rebuild.progress = percent;
+        this._emitUpdate(rebuild);
+      }
+      await new Promise(resolve => setTimeout(resolve, PROGRESS_INTERVAL));
+    }
+  }
+
+  /**
+   * Find the pool member on a disk
+   * @param {Object} pool - Pool from pools.json
+   * @param {string} devicePath - Disk or partition path
+   * @returns {Promise<{id: string|null, device: string}|null>}
+   * @private
+   */
+  async _findMember(pool, devicePath) {
+    const baseDisk = this.poolsService._getBaseDiskFromPartition(devicePath);
+    const matches = (candidate) => candidate &&
+      (candidate === devicePath || this.poolsService._getBaseDiskFromPartition(candidate) === baseDisk);
+
+    if (pool.type === 'btrfs') {
+      // Multi-device BTRFS members share one UUID, btrfs knows the member paths
+      const source = pool.data_devices?.[0]?.id;
+      const paths = source ? await this.poolsService.getBtrfsDevicePaths(source) : [];
+      const found = paths.find(matches);
+      return found ? { id: null, device: found } : null;
+    }
+
+    for (const dev of pool.data_devices || []) {
+      const resolved = await this.poolsService.getRealDevicePathFromUuid(dev.id);
+      if (matches(resolved)) return { id: dev.id, device: resolved };
+    }
+    for (const dev of pool.parity_devices || []) {
+      const resolved = await this.poolsService.getRealDevicePathFromId(dev.id);
+      if (matches(resolved)) return { id: dev.id, device: resolved };
+    }
+    return null;
+  }
+
+  // ============================================================
+  // STATE / NOTIFICATIONS
+  // ============================================================
+
+  /**
+   * Record a rebuild step and send it as notification
+   * @private
+   */
+  _step(rebuild, message, priority) {
+    rebuild.steps.push({ time: new Date().toISOString(), message });
+    this._notify(`Pool ${rebuild.poolName}: ${message}`, priority);
+    this._emitUpdate(rebuild);
+  }
+
+  /**
+   * Finish a rebuild with a final step
+   * @private
+   */
+  _finish(rebuild, status, message, priority, error = null) {
+    rebuild.status = status;
+    rebuild.error = error;
+    rebuild.finishedAt = new Date().toISOString();
+    this._step(rebuild, message, priority);
+  }
+
+  _notify(message, priority) {
+    sendNotification('Hot Spare', message, priority)
+      .catch(err => console.warn(`[HotSpareService] Failed to send notification: ${err.message}`));
+  }
+
+  _emitUpdate(rebuild) {
+    this.emit('hotspare-update', this._serialize(rebuild));
+  }
+
+  _serialize(rebuild) {
+    const { _timer, ...data } = rebuild;
+    return { ...data, steps: [...data.steps] };
+  }
+}
+
+module.exports = new HotSpareService();
@@ -0,0 +1,565 @@
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+const config = require('../config');
+
+const ROLE_PRIORITY = ['admin', 'user', 'samba_only'];
+
+// ldapsearch / ldapwhoami exit codes
+const LDAP_SUCCESS = 0;
+const LDAP_SIZELIMIT_EXCEEDED = 4;
+const LDAP_NO_SUCH_OBJECT = 32;
+const LDAP_INVALID_CREDENTIALS = 49;
+const LDAP_SERVER_DOWN = 255;
+
+/**
+ * LDAP Service - Optional LDAP / Active Directory authentication backend
+ *
+ * Uses the OpenLDAP client tools (ldapsearch, ldapwhoami). Passwords are passed
+ * via stdin (-y /dev/stdin) so they never show up in the process list.
+ */
+class LdapService {
+  constructor() {
+    this.settings = null;
+  }
+
+  // ============================================================
+  // SETTINGS
+  // ============================================================
+
+  /**
+   * Get default LDAP settings
+   * @param {string} type - 'ldap' (OpenLDAP / posix schema) or 'ad' (Active Directory)
+   * @returns {Object} Default settings
+   */
+  getDefaultSettings(type = 'ldap') {
+    const isAd = type === 'ad';
+    return {
+      enabled: false,
+      type,
+      uri: '',
+      start_tls: false,
+      tls_reject_unauthorized: true,
+      base_dn: '',
+      bind_dn: '',
+      bind_password: '',
+      user_filter: isAd ? '(&(objectClass=user)(objectCategory=person))' : '(objectClass=posixAccount)',
+      username_attribute: isAd ? 'sAMAccountName' : 'uid',
+      group_filter: isAd ? '(objectClass=group)' : '(objectClass=posixGroup)',
+      group_name_attribute: 'cn',
+      group_member_attribute: isAd ? 'member' : 'memberUid',
+      role_mapping: {
+        admin: [],
+        user: [],
+        samba_only: []
+      },
+      default_role: null,
+      sync_smb_users: false,
+      cache_offline_login: true,
+      cache_ttl_days: 7,
+      timeout: 10
+    };
+  }
+
+  /**
+   * Load LDAP settings (merged with defaults)
+   * @returns {Promise<Object>} Settings including bind password
+   */
+  async loadSettings() {
+    try {
+      const data = await fs.readFile(config.ldapFilePath, 'utf8');
+      const stored = JSON.parse(data);
+      const defaults = this.getDefaultSettings(stored.type);
+      this.settings = {
+        ...defaults,
+        ...stored,
+        role_mapping: { ...defaults.role_mapping, ...(stored.role_mapping || {}) }
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading LDAP settings:', error.message);
+      }
+      this.settings = this.getDefaultSettings();
+    }
+    return this.settings;
+  }
+
+  /**
+   * Get LDAP settings without the bind password
+   * @returns {Promise<Object>} Sanitized settings
+   */
+  async getSettings() {
+    const settings = await this.loadSettings();
+    return this._sanitizeSettings(settings);
+  }
+
+  _sanitizeSettings(settings) {
+    return {
+      ...settings,
+      bind_password: settings.bind_password ? '********' : ''
+    };
+  }
+
+  /**
+   * Update LDAP settings
+   * @param {Object} updates - Partial settings
+   * @returns {Promise<Object>} Sanitized settings
+   */
+  async updateSettings(updates) {
+    const current = await this.loadSettings();
+    const type = updates.type || current.type;
+
+    if (!['ldap', 'ad'].includes(type)) {
+      throw new Error('Invalid type. Allowed: ldap, ad');
+    }
+
+    // Switching the directory type resets type specific defaults that were not customized
+    const base = type !== current.type
+      ? { ...current, ...this._typeDefaults(type) }
+      : current;
+
+    const allowedFields = Object.keys(this.getDefaultSettings());
+    const settings = { ...base };
+    for (const [key, value] of Object.entries(updates)) {
+      if (!allowedFields.includes(key)) {
+        throw new Error(`Unknown LDAP setting: ${key}`);
+      }
+      // Keep the stored password when the masked value is sent back
+      if (key === 'bind_password' && value === '********') continue;
+      settings[key] = value;
+    }
+    settings.type = type;
+
+    if (typeof settings.enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+    if (settings.uri && !/^ldaps?:\/\/[^\s]+$/.test(settings.uri)) {
+      throw new Error('uri must start with ldap:// or ldaps://');
+    }
+    if (settings.enabled) {
+      if (!settings.uri) throw new Error('uri is required when LDAP is enabled');
+      if (!settings.base_dn) throw new Error('base_dn is required when LDAP is enabled');
+    }
+    for (const field of ['user_filter', 'group_filter']) {
+      if (settings[field] && !/^\(.*\)$/.test(settings[field])) {
+        throw new Error(`${field} must be an LDAP filter in parentheses`);
+      }
+    }
+    for (const field of ['username_attribute', 'group_name_attribute', 'group_member_attribute']) {
+      if (!/^[A-Za-z][A-Za-z0-9-]*$/.test(settings[field] || '')) {
+        throw new Error(`${field} must be a valid attribute name`);
+      }
+    }
+
+    if (!settings.role_mapping || typeof settings.role_mapping !== 'object' || Array.isArray(settings.role_mapping)) {
+      throw new Error('role_mapping must be an object');
+    }
+    settings.role_mapping = { ...this.getDefaultSettings().role_mapping, ...settings.role_mapping };
+    for (const [role, groups] of Object.entries(settings.role_mapping)) {
+      if (!ROLE_PRIORITY.includes(role)) {
+        throw new Error(`Invalid role in role_mapping: ${role}. Allowed: ${ROLE_PRIORITY.join(', ')}`);
+      }
+      if (!Array.isArray(groups) || groups.some(g => typeof g !== 'string')) {
+        throw new Error(`role_mapping.${role} must be an array of group names`);
+      }
+    }
+    if (settings.default_role !== null && !ROLE_PRIORITY.includes(settings.default_role)) {
+      throw new Error(`Invalid default_role. Allowed: ${ROLE_PRIORITY.join(', ')} or null`);
+    }
+
+    for (const field of ['start_tls', 'tls_reject_unauthorized', 'sync_smb_users', 'cache_offline_login']) {
+      if (typeof settings[field] !== 'boolean') {
+        throw new Error(`${field} must be a boolean`);
+      }
+    }
+    const ttl = parseInt(settings.cache_ttl_days, 10);
+    if (isNaN(ttl) || ttl < 0 || ttl > 365) {
+      throw new Error('cache_ttl_days must be between 0 and 365');
+    }
+    settings.cache_ttl_days = ttl;
+    const timeout = parseInt(settings.timeout, 10);
+    if (isNaN(timeout) || timeout < 1 || timeout > 120) {
+      throw new Error('timeout must be between 1 and 120 seconds');
+    }
+    settings.timeout = timeout;
+
+    await fs.writeFile(config.ldapFilePath, JSON.stringify(settings, null, 2), { mode: 0o600 });
+    this.settings = settings;
+
+    return this._sanitizeSettings(settings);
+  }
+
+  _typeDefaults(type) {
+    const defaults = this.getDefaultSettings(type);
+    return {
+      user_filter: defaults.user_filter,
+      username_attribute: defaults.username_attribute,
+      group_filter: defaults.group_filter,
+      group_member_attribute: defaults.group_member_attribute
+    };
+  }
+
+  async isEnabled() {
+    const settings = await this.loadSettings();
+    return settings.enabled === true;
+  }
+
+  // ============================================================
+  // LDAP CLIENT HELPERS
+  // ============================================================
+
+  /**
+   * Escape a value for use inside an LDAP filter (RFC 4515)
+   * @param {string} value - Raw value
+   * @returns {string} Escaped value
+   */
+  escapeFilter(value) {
+    return String(value).replace(/[\\*()\0]/g, (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+  }
+
+  /**
+   * Parse ldapsearch -LLL output into entries
+   * @param {string} output - LDIF output
+   * @returns {Array<Object>} Entries { dn, attributes: { name: [values] } }
+   */
+  parseLdif(output) {
+    const entries = [];
+    // Unfold continuation lines (a line starting with a single space continues the previous one)
+    const text = output.replace(/\r?\n /g, '');
+
+    for (const block of text.split(/\r?\n\r?\n/)) {
+      const lines = block.split(/\r?\n/).filter(line => line && !line.startsWith('#'));
+      if (lines.length === 0) continue;
+
+      const entry = { dn: null, attributes: {} };
+      for (const line of lines) {
+        const match = line.match(/^([A-Za-z0-9;-]+)(::?)\s?(.*)$/);
+        if (!match) continue;
+
+        const [, name, separator, raw] = match;
+        const value = separator === '::' ? Buffer.from(raw, 'base64').toString('utf8') : raw;
+
+        if (name.toLowerCase() === 'dn') {
+          entry.dn = value;
+        } else {
+          const key = name.toLowerCase();
+          if (!entry.attributes[key]) entry.attributes[key] = [];
+          entry.attributes[key].push(value);
+        }
+      }
+
+      if (entry.dn) {
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Run an OpenLDAP client tool with the bind password on stdin
+   * @private
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  _runLdapTool(cmd, args, password, settings) {
+    return new Promise((resolve, reject) => {
+      const env = { ...process.env };
+      if (!settings.tls_reject_unauthorized) {
+        env.LDAPTLS_REQCERT = 'never';
+      }
+
+      const proc = spawn(cmd, args, { stdio: ['pipe', 'pipe', 'pipe'], env });
+      let stdout = '';
+      let stderr = '';
+      const timer = setTimeout(() => proc.kill('SIGKILL'), (settings.timeout + 5) * 1000);
+
+      proc.stdout.on('data', (data) => { stdout += data; });
+      proc.stderr.on('data', (data) => { stderr += data; });
+
+      proc.on('close', (code) => {
+        clearTimeout(timer);
+        resolve({ code: code === null ? LDAP_SERVER_DOWN : code, stdout, stderr: stderr.trim() });
+      });
+
+      proc.on('error', (err) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to start ${cmd}: ${err.message}. Are the OpenLDAP client tools installed?`));
+      });
+
+      // The tool may exit before reading stdin (e.g. connection refused)
+      proc.stdin.on('error', () => {});
+      proc.stdin.write(password || '');
+      proc.stdin.end();
+    });
+  }
+
+  _connectionArgs(settings) {
+    const args = ['-x', '-H', settings.uri, '-o', `nettimeout=${settings.timeout}`];
+    if (settings.start_tls) {
+      args.push('-ZZ');
+    }
+    return args;
+  }
+
+  _toError(result, context) {
+    const error = new Error(`${context}: ${result.stderr || `exit code ${result.code}`}`);
+    if (result.code === LDAP_SERVER_DOWN) {
+      error.code = 'LDAP_UNAVAILABLE';
+    } else if (result.code === LDAP_INVALID_CREDENTIALS) {
+      error.code = 'LDAP_INVALID_CREDENTIALS';
+    }
+    return error;
+  }
+
+  /**
+   * Search the directory with the service account
+   * @param {string} filter - LDAP filter
+   * @param {Array<string>} attributes - Attributes to return
+   * @param {Object} options - { baseDn, sizeLimit, settings }
+   * @returns {Promise<Array<Object>>} Parsed entries
+   */
+  async search(filter, attributes = [], options = {}) {
+    const settings = options.settings || await this.loadSettings();
+    const args = [
+      ...this._connectionArgs(settings),
+      '-LLL',
+      '-o', 'ldif-wrap=no',
+      '-b', options.baseDn || settings.base_dn,
+      '-l', String(settings.timeout)
+    ];
+
+    if (settings.bind_dn) {
+      args.push('-D', settings.bind_dn, '-y', '/dev/stdin');
+    }
+    if (options.sizeLimit) {
+      args.push('-z', String(options.sizeLimit));
+    }
+    // AD limits result sets to 1000 entries unless paged results are used
+    if (settings.type === 'ad') {
+      args.push('-E', 'pr=500/noprompt');
+    }
+    args.push(filter, ...attributes);
+
+    const result = await this._runLdapTool('ldapsearch', args, settings.bind_password, settings);
+    if (result.code === LDAP_NO_SUCH_OBJECT) {
+      return [];
+    }
+    if (result.code !== LDAP_SUCCESS && result.code !== LDAP_SIZELIMIT_EXCEEDED) {
+      throw this._toError(result, 'LDAP search failed');
+    }
+
+    return this.parseLdif(result.stdout);
+  }
+
+  /**
+   * Verify credentials with a simple bind
+   * @param {string} dn - Bind DN
+   * @param {string} password - Password
+   * @returns {Promise<boolean>} True if the bind succeeded
+   */
+  async bind(dn, password) {
+    const settings = await this.loadSettings();
+    // Never allow unauthenticated (anonymous) binds to count as a successful login
+    if (!dn || !password) {
+      return false;
+    }
+
+    const args = [...this._connectionArgs(settings), '-D', dn, '-y', '/dev/stdin'];
+    const result = await this._runLdapTool('ldapwhoami', args, password, settings);
+
+    if (result.code === LDAP_SUCCESS) return true;
+    if (result.code === LDAP_INVALID_CREDENTIALS) return false;
+    throw this._toError(result, 'LDAP bind failed');
+  }
+
+  // ============================================================
+  // USERS & GROUPS
+  // ============================================================
+
+  _firstValue(entry, attribute) {
+    return entry.attributes[attribute.toLowerCase()]?.[0] || null;
+  }
+
+  _formatUser(entry, settings) {
+    return {
+      username: this._firstValue(entry, settings.username_attribute),
+      dn: entry.dn,
+      displayName: this._firstValue(entry, 'displayName') || this._firstValue(entry, 'cn'),
+      email: this._firstValue(entry, 'mail'),
+      source: 'ldap'
+    };
+  }
+
+  /**
+   * Find a user entry by username
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async findUser(username) {
+    const settings = await this.loadSettings();
+    const filter = `(&${settings.user_filter}(${settings.username_attribute}=${this.escapeFilter(username)}))`;
+    const entries = await this.search(filter, [settings.username_attribute, 'cn', 'displayName', 'mail', 'memberOf'], { sizeLimit: 2 });
+
+    if (entries.length !== 1) {
+      return null;
+    }
+    return entries[0];
+  }
+
+  /**
+   * Get the group names of a user
+   * @param {Object} entry - User entry
+   * @param {string} username - Username
+   * @returns {Promise<Array<string>>} Group names
+   */
+  async getUserGroups(entry, username) {
+    const settings = await this.loadSettings();
+    const memberValue = settings.group_member_attribute.toLowerCase() === 'memberuid' ? username : entry.dn;
+    const filter = `(&${settings.group_filter}(${settings.group_member_attribute}=${this.escapeFilter(memberValue)}))`;
+    const groups = await this.search(filter, [settings.group_name_attribute]);
+
+    const names = new Set(groups.map(g => this._firstValue(g, settings.group_name_attribute)).filter(Boolean));
+
+    // AD also exposes memberships on the user entry
+    for (const groupDn of entry.attributes.memberof || []) {
+      const cn = groupDn.match(/^cn=([^,]+)/i);
+      if (cn) names.add(cn[1]);
+    }
+
+    return Array.from(names).sort();
+  }
+
+  /**
+   * Map directory groups to a MOS role (admin > user > samba_only)
+   * @param {Array<string>} groups - Group names
+   * @param {Object} settings - LDAP settings
+   * @returns {string|null} Role or null if the user is not allowed
+   */
+  mapRole(groups, settings) {
+    const lowerGroups = groups.map(g => g.toLowerCase());
+    for (const role of ROLE_PRIORITY) {
+      const mapped = (settings.role_mapping[role] || []).map(g => g.toLowerCase());
+      if (mapped.some(g => lowerGroups.includes(g))) {
+        return role;
+      }
+    }
+    return settings.default_role || null;
+  }
+
+  /**
+   * Authenticate a user against the directory
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} Directory user with groups and role, or null on invalid credentials
+   * @throws {Error} with code LDAP_UNAVAILABLE if the server cannot be reached
+   */
+  async authenticate(username, password) {
+    const settings = await this.loadSettings();
+    if (!settings.enabled || !username || !password) {
+      return null;
+    }
+
+    const entry = await this.findUser(username);
+    if (!entry) {
+      return null;
+    }
+
+    const valid = await this.bind(entry.dn, password);
+    if (!valid) {
+      return null;
+    }
+
+    const groups = await this.getUserGroups(entry, username);
+    const user = this._formatUser(entry, settings);
+
+    return {
+      ...user,
+      username: user.username || username,
+      groups,
+      role: this.mapRole(groups, settings)
+    };
+  }
+
+  /**
+   * List directory users
+   * @returns {Promise<Array<Object>>} Users
+   */
+  async listUsers() {
+    const settings = await this.loadSettings();
+    if (!settings.enabled) {
+      throw new Error('LDAP is not enabled');
+    }
+
+    const entries = await this.search(settings.user_filter, [settings.username_attribute, 'cn', 'displayName', 'mail']);
+    return entries
+      .map(entry => this._formatUser(entry, settings))
+      .filter(user => user.username)
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * List directory groups with their members
+   * @returns {Promise<Array<Object>>} Groups { name, dn, members }
+   */
+  async listGroups() {
+    const settings = await this.loadSettings();
+    if (!settings.enabled) {
+      throw new Error('LDAP is not enabled');
+    }
+
+    const entries = await this.search(settings.group_filter, [settings.group_name_attribute, settings.group_member_attribute]);
+    const memberAttribute = settings.group_member_attribute.toLowerCase();
+
+    return entries
+      .map(entry => ({
+        name: this._firstValue(entry, settings.group_name_attribute),
+        dn: entry.dn,
+        // memberUid holds usernames, member holds DNs - reduce DNs to their first RDN value
+        members: (entry.attributes[memberAttribute] || []).map(member => {
+          const rdn = member.match(/^[^=]+=([^,]+),/);
+          return rdn ? rdn[1] : member;
+        }),
+        source: 'ldap'
+      }))
+      .filter(group => group.name)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Test the connection and service account bind
+   * @param {Object} overrides - Unsaved settings to test (optional)
+   * @returns {Promise<Object>} Result
+   */
+  async testConnection(overrides = {}) {
+    const saved = await this.loadSettings();
+    const settings = {
+      ...saved,
+      ...overrides,
+      bind_password: overrides.bind_password && overrides.bind_password !== '********'
+        ? overrides.bind_password
+        : saved.bind_password
+    };
+
+    if (!settings.uri || !settings.base_dn) {
+      return {
+        success: false,
+        message: 'uri and base_dn are required'
+      };
+    }
+
+    try {
+      const users = await this.search(settings.user_filter, [settings.username_attribute], { sizeLimit: 5, settings });
+      return {
+        success: true,
+        message: 'Connection successful',
+        sample_users: users.map(u => this._firstValue(u, settings.username_attribute)).filter(Boolean)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+}
+
+module.exports = new LdapService();
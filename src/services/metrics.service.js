@@ -0,0 +1,766 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const si = require('systeminformation');
+const { exec } = require('child_process');
+const util = require('util');
+const execPromise = util.promisify(exec);
+
+const METRICS_DIR = '/var/mos/metrics';
+const METRICS_CONFIG_FILE = '/boot/config/system/metrics.json';
+const SERIES_FILE = 'series.json';
+const ROLLUP_RESOLUTION = 600; // 10 minute rollups
+const MAX_BUCKETS = 2000;
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  interval: 30, // seconds
+  raw_retention_days: 3,
+  retention_days: 30,
+  max_size_mb: 100
+};
+
+const CONFIG_LIMITS = {
+  interval: [10, 3600],
+  raw_retention_days: [1, 30],
+  retention_days: [1, 365],
+  max_size_mb: [10, 10240]
+};
+
+// Resolutions offered when no resolution is requested
+const NICE_RESOLUTIONS = [30, 60, 300, 600, 1800, 3600, 3 * 3600, 6 * 3600, 86400];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 7 * 86400 };
+
+// cgroup memory.stat fields counted as used memory (same as system memory breakdown)
+const CGROUP_MEMORY_FIELDS = ['anon', 'kernel', 'kernel_stack', 'pagetables', 'sec_pagetables', 'percpu', 'sock', 'vmalloc', 'shmem'];
+
+/**
+ * Metrics Service - Records CPU, memory, network, sensor and container/VM usage
+ * in a bounded local store under /var/mos/metrics
+ *
+ * Raw samples (every interval seconds) are kept for raw_retention_days,
+ * 10 minute min/avg/max rollups for retention_days. Files are pruned by age
+ * and by total size (max_size_mb), raw files first.
+ */
+class MetricsService {
+  constructor() {
+    this.metricsDir = METRICS_DIR;
+    this.config = null;
+    this.series = null; // key -> { label, unit, group }
+    this._seriesDirty = false;
+    this.timer = null;
+    this._sampling = false;
+    this._previous = null; // counters of the last sample for rate calculation
+    this._latest = null; // { timestamp, values } of the last sample
+    this._openRollup = null; // { t, v: { key: [min, sum, max, count] } }
+    this._lastPruneDay = null;
+    this._writeQueue = Promise.resolve();
+  }
+
+  // ============================================================
+  // CONFIG
+  // ============================================================
+
+  async getConfig() {
+    if (this.config) {
+      return { ...this.config };
+    }
+
+    try {
+      const data = await fs.readFile(METRICS_CONFIG_FILE, 'utf8');
+      this.config = { ...DEFAULT_CONFIG, ...JSON.parse(data) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Metrics] Failed to read metrics.json, using defaults: ${error.message}`);
+      }
+      this.config = { ...DEFAULT_CONFIG };
+    }
+
+    return { ...this.config };
+  }
+
+  /**
+   * Update recorder settings and restart the recorder
+   * @param {Object} updates - { enabled, interval, raw_retention_days, retention_days, max_size_mb }
+   * @returns {Promise<Object>} Updated config
+   */
+  async updateConfig(updates = {}) {
+    const config = await this.getConfig();
+
+    if (updates.enabled !== undefined) {
+      if (typeof updates.enabled !== 'boolean') {
+        throw new Error('Invalid enabled: must be a boolean');
+      }
+      config.enabled = updates.enabled;
+    }
+
+    for (const [key, [min, max]] of Object.entries(CONFIG_LIMITS)) {
+      if (updates[key] === undefined) continue;
+      const value = Number(updates[key]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Invalid ${key}: must be an integer between ${min} and ${max}`);
+      }
+      config[key] = value;
+    }
+
+    if (config.raw_retention_days > config.retention_days) {
+      throw new Error('Invalid raw_retention_days: must not exceed retention_days');
+    }
+
+    await fs.mkdir(path.dirname(METRICS_CONFIG_FILE), { recursive: true });
+    await fs.writeFile(METRICS_CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+    this.config = config;
+
+    this.stop();
+    await this.start();
+    await this._prune(true);
+
+    return { ...config };
+  }
+
+  // ============================================================
+  // RECORDER
+  // ============================================================
+
+  /**
+   * Start the recorder (no-op when disabled or already running)
+   */
+  async start() {
+    const config = await this.getConfig();
+    if (!config.enabled || this.timer) {
+      return;
+    }
+
+    await this._loadSeries();
+    this._previous = null;
+    this.timer = setInterval(() => this._sample(), config.interval * 1000);
+    // First sample only sets the counter baseline
+    this._sample();
+    console.log(`[Metrics] Recording system metrics every ${config.interval}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Get the last recorded sample (used by the Prometheus exporter)
+   * @returns {Object|null} { timestamp, values, cgroups } or null if nothing was recorded yet
+   */
+  getLatest() {
+    if (!this._latest) return null;
+    return {
+      timestamp: this._latest.timestamp,
+      values: { ...this._latest.values },
+      cgroups: this._previous ? { ...this._previous.cgroups } : {}
+    };
+  }
+
+  /**
+   * Take one sample and store it. Rates need two samples, so the first call only
+   * stores counters.
+   * @private
+   */
+  async _sample() {
+    if (this._sampling) return;
+    this._sampling = true;
+
+    try {
+      const counters = await this._readCounters();
+      const values = await this._collectValues(counters, this._previous);
+      this._previous = counters;
+      this._latest = { timestamp: counters.timestamp, values };
+
+      if (Object.keys(values).length === 0) return;
+
+      const t = Math.floor(counters.timestamp / 1000);
+      this._addToRollup(t, values);
+      await this._enqueueWrite(this._getFile('raw', t), { t, v: values });
+      await this._prune();
+    } catch (error) {
+      console.warn(`[Metrics] Sampling failed: ${error.message}`);
+    } finally {
+      this._sampling = false;
+    }
+  }
+
+  /**
+   * Read cumulative counters (CPU ticks, network bytes, cgroup CPU time)
+   * @private
+   */
+  async _readCounters() {
+    const [cpu, network, cgroups] = await Promise.all([
+      this._readCpuTicks(),
+      this._readNetworkCounters(),
+      this._readCgroups()
+    ]);
+
+    return { timestamp: Date.now(), cpu, network, cgroups };
+  }
+
+  /**
+   * Build metric values from the current counters and gauges
+   * @private
+   */
+  async _collectValues(counters, previous) {
+    const values = {};
+    const seconds = previous ? (counters.timestamp - previous.timestamp) / 1000 : 0;
+
+    // CPU load over the interval from /proc/stat
+    if (previous && counters.cpu && previous.cpu) {
+      const total = counters.cpu.total - previous.cpu.total;
+      const idle = counters.cpu.idle - previous.cpu.idle;
+      if (total > 0) {
+        this._setValue(values, 'cpu.load', 100 * (1 - idle / total), { label: 'CPU load', unit: '%', group: 'cpu' });
+      }
+    }
+
+    try {
+      const temp = await si.cpuTemperature();
+      if (Number.isFinite(temp.main)) {
+        this._setValue(values, 'cpu.temperature', temp.main, { label: 'CPU temperature', unit: '°C', group: 'cpu' });
+      }
+    } catch (error) {
+      // No temperature sensor available
+    }
+
+    const memory = await this._readMemory();
+    if (memory) {
+      this._setValue(values, 'memory.used', memory.used, { label: 'Memory used', unit: 'B', group: 'memory' });
+      this._setValue(values, 'memory.percent', memory.percent, { label: 'Memory used', unit: '%', group: 'memory' });
+      this._setValue(values, 'swap.used', memory.swapUsed, { label: 'Swap used', unit: 'B', group: 'memory' });
+    }
+
+    // Network rates per interface
+    if (previous && seconds > 0) {
+      for (const [iface, current] of Object.entries(counters.network)) {
+        const prev = previous.network[iface];
+        if (!prev) continue;
+        this._setValue(values, `net.${iface}.rx`, Math.max(0, current.rx - prev.rx) / seconds, { label: `${iface} receive`, unit: 'B/s', group: 'network' });
+        this._setValue(values, `net.${iface}.tx`, Math.max(0, current.tx - prev.tx) / seconds, { label: `${iface} transmit`, unit: 'B/s', group: 'network' });
+      }
+    }
+
+    // Mapped sensors (fans, temperatures, power, ...)
+    try {
+      const mosService = require('./mos.service');
+      const sensors = await mosService.getMappedSensors();
+      for (const [type, entries] of Object.entries(sensors || {})) {
+        if (!Array.isArray(entries)) continue;
+        for (const sensor of entries) {
+          const value = typeof sensor.value === 'number' ? sensor.value : parseFloat(sensor.value);
+          if (!Number.isFinite(value)) continue;
+          this._setValue(values, `sensor.${sensor.id}`, value, { label: sensor.name, unit: sensor.unit || null, group: `sensor.${type}` });
+        }
+      }
+    } catch (error) {
+      // Sensors are optional
+    }
+
+    // Containers and VMs
+    for (const [key, current] of Object.entries(counters.cgroups)) {
+      const label = `${current.name} (${current.type})`;
+      this._setValue(values, `${key}.memory`, current.memory, { label: `${label} memory`, unit: 'B', group: current.type });
+
+      const prev = previous && previous.cgroups[key];
+      if (prev && seconds > 0 && current.usageUsec >= prev.usageUsec) {
+        const cpu = (current.usageUsec - prev.usageUsec) / (seconds * 1000000 * current.cpuCount) * 100;
+        this._setValue(values, `${key}.cpu`, Math.min(100, cpu), { label: `${label} CPU`, unit: '%', group: current.type });
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Set a value and register the series on first sight
+   * @private
+   */
+  _setValue(values, key, value, meta) {
+    if (!Number.isFinite(value)) return;
+    values[key] = Math.round(value * 100) / 100;
+
+    const known = this.series.get(key);
+    if (!known || known.label !== meta.label || known.unit !== meta.unit) {
+      this.series.set(key, meta);
+      this._seriesDirty = true;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _readCpuTicks() {
+    try {
+      const content = await fs.readFile('/proc/stat', 'utf8');
+      const parts = content.split('\n')[0].trim().split(/\s+/).slice(1).map(v => parseInt(v, 10) || 0);
+      // user nice system idle iowait irq softirq steal
+      const total = parts.slice(0, 8).reduce((sum, v) => sum + v, 0);
+      return { total, idle: parts[3] + (parts[4] || 0) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _readMemory() {
+    try {
+      const content = await fs.readFile('/proc/meminfo', 'utf8');
+      const info = {};
+      for (const line of content.split('\n')) {
+        const match = line.match(/^(\w+):\s+(\d+)/);
+        if (match) info[match[1]] = parseInt(match[2], 10) * 1024;
+      }
+
+      const used = info.MemTotal - info.MemAvailable;
+      return {
+        total: info.MemTotal,
+        available: info.MemAvailable,
+        used,
+        percent: info.MemTotal > 0 ? (used / info.MemTotal) * 100 : 0,
+        swapTotal: info.SwapTotal || 0,
+        swapUsed: (info.SwapTotal || 0) - (info.SwapFree || 0)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Byte counters of physical, bond and bridge interfaces
+   * @private
+   */
+  async _readNetworkCounters() {
+    const result = {};
+
+    try {
+      const content = await fs.readFile('/proc/net/dev', 'utf8');
+      for (const line of content.split('\n').slice(2)) {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length < 17) continue;
+
+        const iface = parts[0].replace(':', '');
+        const name = iface.toLowerCase();
+        const relevant = (name.startsWith('eth') || name.startsWith('bond') || name.startsWith('br')) &&
+          !name.startsWith('br-') && !name.includes('docker') && !name.startsWith('veth');
+        if (!relevant) continue;
+
+        result[iface] = { rx: parseInt(parts[1], 10) || 0, tx: parseInt(parts[9], 10) || 0 };
+      }
+    } catch (error) {
+      // No network counters
+    }
+
+    return result;
+  }
+
+  /**
+   * Read CPU time and memory of running Docker containers, LXC containers and VMs from cgroup v2
+   * @returns {Promise<Object>} key -> { type, name, usageUsec, memory, cpuCount }
+   * @private
+   */
+  async _readCgroups() {
+    const groups = [];
+
+    try {
+      const { stdout } = await execPromise('docker ps --no-trunc --format "{{.ID}} {{.Names}}" 2>/dev/null');
+      for (const line of stdout.trim().split('\n').filter(Boolean)) {
+        const [id, name] = line.split(' ');
+        groups.push({ key: `docker.${name}`, type: 'docker', name, dir: `/sys/fs/cgroup/docker/${id}`, memoryStat: true });
+      }
+    } catch (error) {
+      // Docker not running
+    }
+
+    try {
+      for (const dir of await fs.readdir('/sys/fs/cgroup')) {
+        const match = dir.match(/^lxc\.payload\.(.+)$/);
+        if (match) {
+          groups.push({ key: `lxc.${match[1]}`, type: 'lxc', name: match[1], dir: `/sys/fs/cgroup/${dir}`, memoryStat: true });
+        }
+      }
+    } catch (error) {
+      // No cgroup v2
+    }
+
+    try {
+      for (const dir of await fs.readdir('/sys/fs/cgroup/machine')) {
+        const match = dir.match(/^qemu-\d+-(.+)\.libvirt-qemu$/);
+        if (match) {
+          groups.push({ key: `vm.${match[1]}`, type: 'vm', name: match[1], dir: `/sys/fs/cgroup/machine/${dir}`, memoryStat: false });
+        }
+      }
+    } catch (error) {
+      // No VMs running
+    }
+
+    const result = {};
+    await Promise.all(groups.map(async group => {
+      try {
+        const cpuStat = await fs.readFile(`${group.dir}/cpu.stat`, 'utf8');
+        const usageMatch = cpuStat.match(/usage_usec\s+(\d+)/);
+
+        let memory = 0;
+        if (group.memoryStat) {
+          const memoryStat = await fs.readFile(`${group.dir}/memory.stat`, 'utf8');
+          for (const line of memoryStat.split('\n')) {
+            const [field, value] = line.trim().split(/\s+/);
+            if (CGROUP_MEMORY_FIELDS.includes(field) && /^\d+$/.test(value)) {
+              memory += parseInt(value, 10);
+            }
+          }
+        } else {
+          memory = parseInt((await fs.readFile(`${group.dir}/memory.current`, 'utf8')).trim(), 10) || 0;
+        }
+
+        let cpuCount = os.cpus().length || 1;
+        try {
+          const cpuset = (await fs.readFile(`${group.dir}/cpuset.cpus.effective`, 'utf8')).trim();
+          if (cpuset) {
+            cpuCount = cpuset.split(',').reduce((sum, part) => {
+              const [a, b] = part.split('-').map(Number);
+              return sum + (b !== undefined ? b - a + 1 : 1);
+            }, 0) || cpuCount;
+          }
+        } catch (e) { /* use host count */ }
+
+        result[group.key] = {
+          type: group.type,
+          name: group.name,
+          usageUsec: usageMatch ? parseInt(usageMatch[1], 10) : 0,
+          memory,
+          cpuCount
+        };
+      } catch (error) {
+        // Stopped between listing and reading
+      }
+    }));
+
+    return result;
+  }
+
+  // ============================================================
+  // STORAGE
+  // ============================================================
+
+  /**
+   * Get the file of a tier for a point in time (one file per tier and UTC day)
+   * @param {string} tier - 'raw' or '10m'
+   * @param {number} t - Unix seconds
+   * @private
+   */
+  _getFile(tier, t) {
+    const day = new Date(t * 1000).toISOString().slice(0, 10);
+    return path.join(this.metricsDir, `${tier}-${day}.jsonl`);
+  }
+
+  /**
+   * Add a sample to the open 10 minute rollup, write the previous rollup when its period is over
+   * @private
+   */
+  _addToRollup(t, values) {
+    const start = Math.floor(t / ROLLUP_RESOLUTION) * ROLLUP_RESOLUTION;
+
+    if (this._openRollup && this._openRollup.t !== start) {
+      const closed = this._openRollup;
+      const v = {};
+      for (const [key, [min, sum, max, count]] of Object.entries(closed.v)) {
+        v[key] = [min, Math.round((sum / count) * 100) / 100, max, count];
+      }
+      this._enqueueWrite(this._getFile('10m', closed.t), { t: closed.t, v });
+      this._openRollup = null;
+    }
+
+    if (!this._openRollup) {
+      this._openRollup = { t: start, v: {} };
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      const acc = this._openRollup.v[key];
+      if (!acc) {
+        this._openRollup.v[key] = [value, value, value, 1];
+      } else {
+        acc[0] = Math.min(acc[0], value);
+        acc[1] += value;
+        acc[2] = Math.max(acc[2], value);
+        acc[3]++;
+      }
+    }
+  }
+
+  /**
+   * Append a record, writes are serialized
+   * @private
+   */
+  _enqueueWrite(file, record) {
+    this._writeQueue = this._writeQueue
+      .then(async () => {
+        await fs.mkdir(this.metricsDir, { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify(record)}\n`);
+        if (this._seriesDirty) {
+          this._seriesDirty = false;
+          const series = Object.fromEntries(this.series);
+          await fs.writeFile(path.join(this.metricsDir, SERIES_FILE), JSON.stringify(series, null, 2));
+        }
+      })
+      .catch(error => {
+        console.warn(`[Metrics] Failed to write metrics: ${error.message}`);
+      });
+    return this._writeQueue;
+  }
+
+  /**
+   * @private
+   */
+  async _loadSeries() {
+    if (this.series) return;
+
+    try {
+      const data = await fs.readFile(path.join(this.metricsDir, SERIES_FILE), 'utf8');
+      this.series = new Map(Object.entries(JSON.parse(data)));
+    } catch (error) {
+      this.series = new Map();
+    }
+  }
+
+  /**
+   * Remove files beyond their retention, then the oldest files (raw first) while
+   * the store is larger than max_size_mb. Runs once per day unless forced.
+   * @param {boolean} force - Prune even if already done today
+   * @private
+   */
+  async _prune(force = false) {
+    const config = await this.getConfig();
+    const today = new Date().toISOString().slice(0, 10);
+    if (!force && this._lastPruneDay === today) return;
+    this._lastPruneDay = today;
+
+    let files;
+    try {
+      files = await fs.readdir(this.metricsDir);
+    } catch (error) {
+      return;
+    }
+
+    const now = Date.now();
+    const entries = [];
+    for (const file of files) {
+      const match = file.match(/^(raw|10m)-(\d{4}-\d{2}-\d{2})\.jsonl$/);
+      if (!match) continue;
+
+      const filePath = path.join(this.metricsDir, file);
+      const ageDays = (now - Date.parse(`${match[2]}T00:00:00Z`)) / 86400000;
+      const retention = match[1] === 'raw' ? config.raw_retention_days : config.retention_days;
+      // A day file is kept until its last sample is older than the retention
+      if (ageDays > retention + 1) {
+        await fs.unlink(filePath).catch(() => {});
+        continue;
+      }
+
+      const stat = await fs.stat(filePath);
+      entries.push({ file: filePath, tier: match[1], day: match[2], size: stat.size });
+    }
+
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    const maxSize = config.max_size_mb * 1024 * 1024;
+    // Oldest first, raw before rollups, never today's files
+    const candidates = entries
+      .filter(e => e.day !== today)
+      .sort((a, b) => (a.tier === b.tier ? a.day.localeCompare(b.day) : (a.tier === 'raw' ? -1 : 1)));
+
+    for (const entry of candidates) {
+      if (total <= maxSize) break;
+      await fs.unlink(entry.file).catch(() => {});
+      total -= entry.size;
+      console.log(`[Metrics] Removed ${path.basename(entry.file)} (store exceeds ${config.max_size_mb} MB)`);
+    }
+  }
+
+  /**
+   * Read the records of a tier between two points in time
+   * @private
+   */
+  async _readRecords(tier, from, to) {
+    const records = [];
+    const firstDay = Math.floor(from / 86400);
+    const lastDay = Math.floor(to / 86400);
+
+    for (let day = firstDay; day <= lastDay; day++) {
+      let content;
+      try {
+        content = await fs.readFile(this._getFile(tier, day * 86400), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+          const record = JSON.parse(line);
+          if (record.t >= from && record.t <= to) {
+            records.push(record);
+          }
+        } catch (error) {
+          // Skip partially written lines
+        }
+      }
+    }
+
+    return records;
+  }
+
+  // ============================================================
+  // QUERY
+  // ============================================================
+
+  /**
+   * Parse a duration like 30s, 15m, 24h, 7d, 2w or plain seconds
+   * @private
+   */
+  _parseDuration(value, name) {
+    const match = String(value).trim().match(/^(\d+)\s*([smhdw]?)$/i);
+    const seconds = match ? parseInt(match[1], 10) * DURATION_UNITS[(match[2] || 's').toLowerCase()] : 0;
+    if (!seconds) {
+      throw new Error(`Invalid ${name}: ${value}. Use e.g. 30s, 15m, 24h or 7d`);
+    }
+    return seconds;
+  }
+
+  /**
+   * Parse a point in time (ISO date or unix seconds)
+   * @private
+   */
+  _parseTime(value, name) {
+    const t = /^\d+$/.test(String(value)) ? parseInt(value, 10) : Math.floor(Date.parse(value) / 1000);
+    if (!Number.isFinite(t)) {
+      throw new Error(`Invalid ${name}: ${value}. Use an ISO date or unix seconds`);
+    }
+    return t;
+  }
+
+  /**
+   * List the recorded series
+   * @returns {Promise<Array>} [{ key, label, unit, group }]
+   */
+  async getSeries() {
+    await this._loadSeries();
+    return Array.from(this.series.entries())
+      .map(([key, meta]) => ({ key, ...meta }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Query recorded metrics aggregated to min/avg/max per bucket
+   * @param {Object} options
+   * @param {string|Array} options.metrics - Series keys, comma separated; a trailing * matches a prefix (e.g. net.*)
+   * @param {string} options.range - Range ending at "to" (default 1h), ignored when "from" is given
+   * @param {string} options.from - Start (ISO date or unix seconds)
+   * @param {string} options.to - End (ISO date or unix seconds, default now)
+   * @param {string} options.resolution - Bucket size (e.g. 1m, 10m, 1h), default depends on range
+   * @returns {Promise<Object>} { from, to, resolution, series: [{ key, label, unit, group, points }] }
+   */
+  async getHistory(options = {}) {
+    const config = await this.getConfig();
+    await this._loadSeries();
+
+    const now = Math.floor(Date.now() / 1000);
+    const to = options.to ? this._parseTime(options.to, 'to') : now;
+    const from = options.from ? this._parseTime(options.from, 'from') : to - this._parseDuration(options.range || '1h', 'range');
+    if (from >= to) {
+      throw new Error('Invalid range: from must be before to');
+    }
+
+    // Raw data only when the whole range is still within the raw retention
+    const rawAvailable = from >= now - config.raw_retention_days * 86400;
+    const minResolution = rawAvailable ? config.interval : ROLLUP_RESOLUTION;
+
+    let resolution;
+    if (options.resolution) {
+      resolution = this._parseDuration(options.resolution, 'resolution');
+      if (resolution < minResolution) {
+        throw new Error(`Invalid resolution: at least ${minResolution}s for this range`);
+      }
+    } else {
+      resolution = NICE_RESOLUTIONS.find(r => r >= minResolution && (to - from) / r <= 500) || 86400;
+    }
+    if ((to - from) / resolution > MAX_BUCKETS) {
+      throw new Error(`Invalid resolution: more than ${MAX_BUCKETS} buckets`);
+    }
+
+    const patterns = (Array.isArray(options.metrics) ? options.metrics : String(options.metrics || '').split(','))
+      .map(p => p.trim())
+      .filter(Boolean);
+    if (patterns.length === 0) {
+      throw new Error('Invalid metrics: at least one series key is required');
+    }
+    const matches = key => patterns.some(p => (p.endsWith('*') ? key.startsWith(p.slice(0, -1)) : key === p));
+
+    const useRollups = !rawAvailable || resolution % ROLLUP_RESOLUTION === 0;
+    const records = await this._readRecords(useRollups ? '10m' : 'raw', from, to);
+    if (useRollups && this._openRollup && this._openRollup.t >= from && this._openRollup.t <= to) {
+      // The current period is not written yet
+      const v = {};
+      for (const [key, [min, sum, max, count]] of Object.entries(this._openRollup.v)) {
+        v[key] = [min, sum / count, max, count];
+      }
+      records.push({ t: this._openRollup.t, v });
+    }
+
+    // key -> bucket start -> [min, sum, max, count]
+    const buckets = new Map();
+    for (const record of records) {
+      const bucketStart = Math.floor(record.t / resolution) * resolution;
+      for (const [key, value] of Object.entries(record.v)) {
+        if (!matches(key)) continue;
+        const [min, avg, max, count] = Array.isArray(value) ? value : [value, value, value, 1];
+
+        if (!buckets.has(key)) buckets.set(key, new Map());
+        const series = buckets.get(key);
+        const acc = series.get(bucketStart);
+        if (!acc) {
+          series.set(bucketStart, [min, avg * count, max, count]);
+        } else {
+          acc[0] = Math.min(acc[0], min);
+          acc[1] += avg * count;
+          acc[2] = Math.max(acc[2], max);
+          acc[3] += count;
+        }
+      }
+    }
+
+    const series = Array.from(buckets.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, points]) => ({
+        key,
+        ...(this.series.get(key) || { label: key, unit: null, group: null }),
+        points: Array.from(points.entries())
+          .sort(([a], [b]) => a - b)
+          .map(([t, [min, sum, max, count]]) => ({
+            timestamp: new Date(t * 1000).toISOString(),
+            min,
+            avg: Math.round((sum / count) * 100) / 100,
+            max
+          }))
+      }));
+
+    return {
+      from: new Date(from * 1000).toISOString(),
+      to: new Date(to * 1000).toISOString(),
+      resolution,
+      source: useRollups ? 'rollup' : 'raw',
+      series
+    };
+  }
+}
+
+module.exports = new MetricsService();
@@ -1039,7 +1039,8 @@ class MosService {
       },
       vm: {
         directory: `${basePath}/system/vm`,
-        vdisk_directory: `${basePath}/vms`
+        vdisk_directory: `${basePath}/vms`,
+        backup_path: `${basePath}/backups/vm`
       }
     };
   }
@@ -1844,7 +1845,12 @@ class MosService {
       hugepages: {
         enabled: false,
         total: 0
-      }
+      },
+      backup_path: defaultPaths ? defaultPaths.vm.backup_path : null,
+      backups_to_keep: 3,
+      compression: 6,
+      threads: 0,
+      use_snapshot: false
     };
   }
 
@@ -1937,7 +1943,33 @@ class MosService {
       }
 
       // Only allowed fields are updated
-      const allowed = ['enabled', 'directory', 'vdisk_directory', 'start_wait', 'hugepages'];
+      const allowed = ['enabled', 'directory', 'vdisk_directory', 'start_wait', 'hugepages', 'backup_path', 'backups_to_keep', 'compression', 'threads', 'use_snapshot'];
+
+      // Validate backup settings
+      if (updates.backups_to_keep !== undefined) {
+        const val = updates.backups_to_keep;
+        if (!Number.isInteger(val) || val < 1 || val > 100) {
+          throw new Error('backups_to_keep must be an integer between 1 and 100');
+        }
+      }
+
+      if (updates.compression !== undefined) {
+        const val = updates.compression;
+        if (!Number.isInteger(val) || val < 0 || val > 9) {
+          throw new Error('compression must be an integer between 0 and 9 (7-9 requires 12GB+ RAM)');
+        }
+      }
+
+      if (updates.threads !== undefined) {
+        const val = updates.threads;
+        if (!Number.isInteger(val) || val < 0) {
+          throw new Error('threads must be 0 (auto) or a positive integer');
+        }
+      }
+
+      if (updates.use_snapshot !== undefined && typeof updates.use_snapshot !== 'boolean') {
+        throw new Error('use_snapshot must be a boolean');
+      }
 
       // Check directory paths for mount status
       // Always validate 'directory' to catch legacy nonraid/mergerfs paths
@@ -1951,6 +1983,9 @@ class MosService {
       if (updates.vdisk_directory && updates.vdisk_directory !== current.vdisk_directory) {
         pathsToCheck.vdisk_directory = updates.vdisk_directory;
       }
+      if (updates.backup_path && updates.backup_path !== current.backup_path) {
+        pathsToCheck.backup_path = updates.backup_path;
+      }
 
       if (Object.keys(pathsToCheck).length > 0) {
         const directoryCheck = await this._checkMultipleDirectories(pathsToCheck, 'vm');
@@ -6,12 +6,21 @@ const execPromise = util.promisify(exec);
 const os = require('os');
 const { DeviceStrategyFactory } = require('./pools/device-strategy');
 const PoolHelpers = require('./pools/pool-helpers');
+const ZfsHelpers = require('./pools/zfs-helpers');
+const UsageHistory = require('./pools/usage-history');
 const disksService = require('./disks.service');
+const cronService = require('./cron.service');
 const { sendNotification } = require('./plugins.service');
 
 // Timestamp-based ID-Generator
 const generateId = () => Date.now().toString();
 
+// Scheduled snapshot levels (retention is configured per level)
+const SNAPSHOT_LEVELS = ['hourly', 'daily', 'weekly'];
+
+// Usage samples of the usage monitor, one CSV file per pool
+const USAGE_HISTORY_DIR = '/var/mos/pools/usage-history';
+
 class PoolsService {
   constructor(eventEmitter = null) {
     this.poolsFile = '/boot/config/pools.json';
@@ -65,6 +74,9 @@ class PoolsService {
       intervalId: null
     };
 
+    // ZFS scrub/resilver monitors (poolName -> { zpoolName, operation, intervalId })
+    this._zfsScanMonitors = new Map();
+
     // Udev disk offline monitor (singleton: only one monitor across all instances)
     if (!PoolsService._udevMonitorStarted) {
       PoolsService._udevMonitor = null;
@@ -96,6 +108,7 @@ class PoolsService {
     if (!PoolsService._btrfsMonitorsInitialized) {
       this._initBtrfsScrubMonitor();
       this._initBtrfsBalanceMonitor();
+      this._initZfsScanMonitor();
       PoolsService._btrfsMonitorsInitialized = true;
     }
 
@@ -103,10 +116,22 @@ class PoolsService {
     if (!PoolsService._usageMonitorStarted) {
       // poolId -> { level: 'normal'|'warning'|'alert', percent: number }
       PoolsService._usageAlertState = new Map();
+      // poolId -> true while the forecast is below the configured horizon
+      PoolsService._usageForecastState = new Map();
+      // poolId -> day number of the last history compaction
+      PoolsService._usageHistoryCompacted = new Map();
       PoolsService._usageMonitorInterval = null;
       this._startUsageAlertMonitor();
       PoolsService._usageMonitorStarted = true;
     }
+
+    // BTRFS snapshot scheduler (singleton: only one interval across all instances)
+    if (!PoolsService._snapshotSchedulerStarted) {
+      PoolsService._snapshotSchedulerRunning = false;
+      PoolsService._snapshotFailures = new Map(); // poolId:subvolume:level -> period of last failure
+      this._startSnapshotScheduler();
+      PoolsService._snapshotSchedulerStarted = true;
+    }
   }
 
   /**
@@ -230,6 +255,8 @@ class PoolsService {
           let resolvedPath = null;
           if (pool.type === 'nonraid' && dev._isParity) {
             resolvedPath = await this.getRealDevicePathFromId(dev.id);
+          } else if (pool.type === 'zfs') {
+            resolvedPath = await this._getZfsRealDevicePath(dev);
           } else {
             resolvedPath = await this.getRealDevicePathFromUuid(dev.id);
           }
@@ -238,6 +265,14 @@ class PoolsService {
             map.set(dev.id, { device: resolvedPath, poolName: pool.name, poolId: pool.id });
           }
         }
+
+        // Multi-device BTRFS members share one filesystem UUID, map every member path
+        if (pool.type === 'btrfs' && !pool.config?.encrypted && (pool.data_devices || []).length > 1 && pool.data_devices[0].id) {
+          const memberPaths = await this.getBtrfsDevicePaths(pool.data_devices[0].id);
+          for (const memberPath of memberPaths) {
+            map.set(`${pool.data_devices[0].id}:${memberPath}`, { device: memberPath, poolName: pool.name, poolId: pool.id });
+          }
+        }
       }
 
       PoolsService._udevDeviceMap = map;
@@ -261,12 +296,16 @@ class PoolsService {
 
     // Search the cached device map for a match
     let matchedPoolName = null;
+    let matchedEntry = null;
+    let matchedId = null;
 
-    for (const [, entry] of PoolsService._udevDeviceMap) {
+    for (const [key, entry] of PoolsService._udevDeviceMap) {
       const cachedBase = this._getBaseDiskFromPartition(entry.device);
       if (entry.device === removedDevice || entry.device === baseDisk ||
           cachedBase === baseDisk) {
         matchedPoolName = entry.poolName;
+        matchedEntry = entry;
+        matchedId = key.includes(':') ? key.split(':')[0] : key;
         break;
       }
     }
@@ -291,6 +330,14 @@ class PoolsService {
       `Disk ${removedDevice} from Pool ${matchedPoolName} went offline`,
       'alert'
     ).catch(err => console.warn(`[PoolsService] Failed to send disk offline notification: ${err.message}`));
+
+    // Lazy require: the hot spare service depends on this service
+    require('./hotspare.service').handleDeviceMissing({
+      poolId: matchedEntry.poolId,
+      memberId: matchedId,
+      memberDevice: matchedEntry.device,
+      removedDevice
+    }).catch(err => console.warn(`[PoolsService] Hot spare handling failed: ${err.message}`));
   }
 
   /**
@@ -2146,7 +2193,8 @@ class PoolsService {
     * @private
     */
    _ensureBtrfsScrubConfig(pool) {
-     if (pool.type !== 'btrfs') {
+     // ZFS pools use the same scrub schedule config (cron job, see _syncZfsScrubJob)
+     if (pool.type !== 'btrfs' && pool.type !== 'zfs') {
        return false;
      }
 
@@ -2165,6 +2213,41 @@ class PoolsService {
      return false;
    }
 
+  /**
+   * Create, update or remove the cron job of the scheduled ZFS scrub.
+   * mos-cron_update only knows BTRFS and SnapRAID scrubs, ZFS pools get their own cron.service job.
+   * @param {Object} pool - ZFS pool
+   * @param {boolean} remove - Remove the job (pool deleted)
+   * @private
+   */
+  async _syncZfsScrubJob(pool, remove = false) {
+    const jobName = `zfs_scrub_${pool.id}`;
+    const scrub = pool.config?.scrub;
+
+    try {
+      const existing = await cronService.findCronJob(jobName);
+      if (remove || !scrub || !scrub.schedule) {
+        if (existing) {
+          await cronService.deleteCronJob(existing.id);
+        }
+        return;
+      }
+
+      // Skip exported pools, zpool scrub fails on them anyway
+      const zpoolName = this._getZpoolName(pool);
+      const command = `zpool list "${zpoolName}" > /dev/null 2>&1 && zpool scrub "${zpoolName}" > /dev/null 2>&1`;
+      const job = { schedule: scrub.schedule, command, enabled: scrub.enabled === true };
+
+      if (existing) {
+        await cronService.updateCronJob(existing.id, job);
+      } else {
+        await cronService.createCronJob({ name: jobName, ...job });
+      }
+    } catch (error) {
+      console.warn(`Could not update ZFS scrub schedule of pool ${pool.name}: ${error.message}`);
+    }
+  }
+
    /**
     * Ensure that BTRFS balance configuration exists in pool config
     * @param {Object} pool - Pool object
@@ -2431,6 +2514,12 @@ class PoolsService {
         return;
       }
 
+      // Handle ZFS pools (health, scrub and resilver)
+      if (pool.type === 'zfs') {
+        await this._injectZfsOperationStatus(pool, user);
+        return;
+      }
+
       // Only MergerFS pools can have parity operations
       if (pool.type !== 'mergerfs') {
         pool.status.parity_operation = false;
@@ -2519,7 +2608,9 @@ class PoolsService {
    * Ensure that usage alert configuration exists in pool config.
    * Defaults: warning at 70%, alert at 90% (percent of pool usage).
    * A threshold value of 0 disables that level; warning=0 AND alert=0
-   * disables monitoring for the pool entirely.
+   * disables threshold notifications for the pool.
+   * forecast_days (default 30) notifies when the pool is forecast to be
+   * full within that many days, 0 disables the forecast notification.
    * @param {Object} pool - Pool object
    * @returns {boolean} - Whether the pool was modified
    * @private
@@ -4206,11 +4297,17 @@ class PoolsService {
           device = pool._luksDevices[0].mappedDevice;
         }
 
+        // XFS project quotas (share quotas) can only be enabled at mount time
+        let mountOptions = options.mountOptions;
+        if (pool.type === 'xfs' && pool.config?.project_quota) {
+          mountOptions = mountOptions ? `${mountOptions},prjquota` : 'prjquota';
+        }
+
         // Mount the device with format option
         const mountResult = await this.mountDevice(device, mountPoint, {
           format: options.format,
           filesystem: pool.data_devices[0].filesystem || pool.type,
-          mountOptions: options.mountOptions
+          mountOptions
         });
 
         // Get space info after successful mount (for response only)
@@ -4242,6 +4339,11 @@ class PoolsService {
         result = await this._mountNonRaidPool(pool, options);
       }
 
+      // For ZFS pools
+      else if (pool.type === 'zfs') {
+        result = await this._mountZfsPool(pool, options);
+      }
+
       else {
         throw new Error(`Mounting for pool type "${pool.type}" is not implemented yet`);
       }
@@ -4309,9 +4411,20 @@ class PoolsService {
         }
       }
 
+      // SMB/NFS clients with share connections or open files on the pool. Detail only: smbd keeps
+      // idle share connections open for a long time, the pool is busy because of mounts alone.
+      let clients = [];
+      try {
+        const sharesService = require('./shares.service');
+        clients = await sharesService.getClientsOnPath(poolMountPath);
+      } catch (error) {
+        console.warn('Could not check share clients:', error.message);
+      }
+
       return {
         isBusy: mountedPaths.length > 0,
         mountedPaths,
+        clients,
         poolMountPath
       };
 
@@ -4320,6 +4433,7 @@ class PoolsService {
       return {
         isBusy: false,
         mountedPaths: [],
+        clients: [],
         error: error.message
       };
     }
@@ -4344,6 +4458,7 @@ class PoolsService {
             path: mount.target,
             description: `Active mount point (${mount.source})`
           })),
+          clients: busyCheck.clients,
           poolMountPath: busyCheck.poolMountPath,
           busyReason: 'active_mounts'
         };
@@ -4497,6 +4612,7 @@ class PoolsService {
       return {
         hasDependencies: dependencies.length > 0,
         dependencies,
+        clients: busyCheck.clients,
         poolMountPath
       };
 
@@ -4505,11 +4621,27 @@ class PoolsService {
       return {
         hasDependencies: false,
         dependencies: [],
+        clients: [],
         error: error.message
       };
     }
   }
 
+  /**
+   * Describe the dependencies of a pool for error messages, connected share clients are added as detail
+   * @param {Object} dependencyCheck - Result of _checkServiceDependencies
+   * @returns {string}
+   */
+  _describeDependencies(dependencyCheck) {
+    const serviceList = dependencyCheck.dependencies.map(dep => `${dep.service} (${dep.path})`).join(', ');
+    const clients = (dependencyCheck.clients || []).map(client =>
+      `${client.protocol.toUpperCase()} ${client.client}${client.username ? ` [${client.username}]` : ''}` +
+      ` (${client.openFiles.length > 0 ? `${client.openFiles.length} open file(s)` : client.shares.join(', ')})`
+    );
+
+    return clients.length > 0 ? `${serviceList}; connected share clients: ${clients.join(', ')}` : serviceList;
+  }
+
   /**
    * Unmount a pool by ID
    */
@@ -4527,9 +4659,7 @@ class PoolsService {
         const dependencyCheck = await this._checkServiceDependencies(pool.name);
 
         if (dependencyCheck.hasDependencies) {
-          const serviceList = dependencyCheck.dependencies.map(dep =>
-            `${dep.service} (${dep.path})`
-          ).join(', ');
+          const serviceList = this._describeDependencies(dependencyCheck);
 
           throw new Error(
             `Cannot unmount pool "${pool.name}": in use by ${serviceList}. Stop services first or use force=true.`
@@ -4560,6 +4690,11 @@ class PoolsService {
         result = await this._unmountNonRaidPool(pool, options.force);
       }
 
+      // For ZFS pools
+      else if (pool.type === 'zfs') {
+        result = await this._unmountZfsPool(pool, options.force);
+      }
+
       else {
         throw new Error(`Unmounting for pool type "${pool.type}" is not implemented yet`);
       }
@@ -4592,9 +4727,7 @@ class PoolsService {
         const dependencyCheck = await this._checkServiceDependencies(pool.name);
 
         if (dependencyCheck.hasDependencies) {
-          const serviceList = dependencyCheck.dependencies.map(dep =>
-            `${dep.service} (${dep.path})`
-          ).join(', ');
+          const serviceList = this._describeDependencies(dependencyCheck);
 
           throw new Error(
             `Cannot delete pool "${pool.name}": in use by ${serviceList}. Stop services first or use force=true.`
@@ -4619,6 +4752,12 @@ class PoolsService {
         await this.cleanupNonRAIDConfig();
       }
 
+      if (removedPool.type === 'zfs') {
+        await this._syncZfsScrubJob(removedPool, true);
+      }
+
+      await fs.unlink(this._getUsageHistoryFile(removedPool.id)).catch(() => {});
+
       return {
         success: true,
         message: `Pool "${removedPool.name}" (ID: ${poolId}) removed successfully`,
@@ -4640,6 +4779,8 @@ class PoolsService {
       await this._unmountMergerFSPool(pool, force);
     } else if (pool.type === 'nonraid') {
       await this._unmountNonRaidPool(pool, force);
+    } else if (pool.type === 'zfs') {
+      await this._unmountZfsPool(pool, force);
     } else if (pool.type === 'btrfs' && pool.data_devices && pool.data_devices.length > 1) {
       await this._unmountMultiDeviceBtrfsPool(pool, force);
     } else if (['btrfs', 'ext4', 'xfs', 'vfat'].includes(pool.type)) {
@@ -5306,7 +5447,9 @@ class PoolsService {
     // Inject UUID-based device paths into data devices (for internal operations)
     for (const device of pool.data_devices || []) {
       if (device.id && !device.device) {
-        device.device = await this.getDevicePathFromUuid(device.id);
+        device.device = pool.type === 'zfs'
+          ? await this._getZfsRealDevicePath(device)
+          : await this.getDevicePathFromUuid(device.id);
       }
     }
 
@@ -5334,7 +5477,9 @@ class PoolsService {
     // Inject real device paths into data devices (for API display)
     for (const device of pool.data_devices || []) {
       if (device.id) {
-        device.device = await this.getRealDevicePathFromUuid(device.id);
+        device.device = pool.type === 'zfs'
+          ? await this._getZfsRealDevicePath(device)
+          : await this.getRealDevicePathFromUuid(device.id);
       }
     }
 
@@ -5690,7 +5835,7 @@ class PoolsService {
       }
 
       // For BTRFS pools, mark as shared storage since all devices share the same filesystem
-      device.isSharedStorage = pool.type === 'btrfs';
+      device.isSharedStorage = pool.type === 'btrfs' || pool.type === 'zfs';
     }
 
     // For BTRFS pools, inject missing devices that are part of the filesystem but not in config
@@ -6092,7 +6237,7 @@ class PoolsService {
       // Store usage alert thresholds as integers, so numeric strings like "50"
       // are not silently ignored by the monitor's Number.isFinite check later.
       if (pool.config.usage_alert && typeof pool.config.usage_alert === 'object') {
-        ['warning', 'alert'].forEach(level => {
+        ['warning', 'alert', 'forecast_days'].forEach(level => {
           const value = pool.config.usage_alert[level];
           if (value !== undefined) {
             pool.config.usage_alert[level] = parseInt(value, 10);
@@ -6115,6 +6260,10 @@ class PoolsService {
           .catch(err => console.warn(`Failed to send pool usage notification: ${err.message}`));
       }
 
+      if (pool.type === 'zfs') {
+        await this._syncZfsScrubJob(pool);
+      }
+
       // Execute mos-cron_update after pool configuration changes (schedule updates)
       try {
         console.log('Executing mos-cron_update after pool configuration update');
@@ -6709,8 +6858,11 @@ class PoolsService {
       // Inject real device paths (e.g. /dev/sdj1 instead of /dev/disk/by-uuid/...)
       await this._injectRealDevicePaths(pool);
 
-      // Check if old device exists in pool
-      const oldDeviceExists = pool.data_devices.some(d => d.device === oldDevice);
+      // Check if old device exists in pool (failed ZFS vdevs have no device path, match by id).
+      // A BTRFS source given by devid (missing member) is resolved by btrfs itself.
+      const oldDeviceExists = pool.data_devices.some(d =>
+        d.device === oldDevice || (pool.type === 'zfs' && d.id === oldDevice)
+      ) || (pool.type === 'btrfs' && options.sourceDevid !== undefined);
       if (!oldDeviceExists) {
         throw new Error(`Device ${oldDevice} is not part of pool ${pool.name}`);
       }
@@ -6729,6 +6881,8 @@ class PoolsService {
       // Handle different pool types
       if (pool.type === 'btrfs') {
         return this._replaceBTRFSDevice(pool, oldDevice, newDevice, options);
+      } else if (pool.type === 'zfs') {
+        return this._replaceZfsDevice(pool, oldDevice, newDevice, options);
       } else if (pool.type === 'mergerfs') {
         // For MergerFS: Get the slot number of the old device first
         const oldDeviceInfo = pool.data_devices.find(d => d.device === oldDevice);
@@ -6843,20 +6997,30 @@ class PoolsService {
     }
 
     try {
-      // BTRFS replace command (use actual device - mapped for LUKS)
-      await execPromise(`btrfs replace start ${oldDevice} ${actualNewDevice} ${mountPoint}`);
+      // BTRFS replace command (use actual device - mapped for LUKS, devid for a missing member)
+      const source = options.sourceDevid !== undefined ? options.sourceDevid : oldDevice;
+      await execPromise(`btrfs replace start ${options.sourceDevid !== undefined ? '-r ' : ''}${source} ${actualNewDevice} ${mountPoint}`);
 
       // Wait for replace to complete (this could take a while)
       let replaceStatus;
       do {
         await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
         try {
-          const { stdout } = await execPromise(`btrfs replace status ${mountPoint}`);
+          const { stdout } = await execPromise(`btrfs replace status -1 ${mountPoint}`);
           replaceStatus = stdout;
+          const progress = stdout.match(/([\d.]+)% done/);
+          if (progress && typeof options.onProgress === 'function') {
+            options.onProgress(parseFloat(progress[1]));
+          }
         } catch (error) {
           // Replace might be finished
           break;
         }
+
+        // Canceled (btrfs replace cancel, device error) or suspended (unmount during replace)
+        if (/canceled|suspended|never started/i.test(replaceStatus)) {
+          throw new Error(`Replace did not complete: ${replaceStatus.trim()}`);
+        }
       } while (replaceStatus && !replaceStatus.includes('finished'));
 
       // Get new device UUID (from physical device/partition)
@@ -9560,8 +9724,9 @@ class PoolsService {
 
   /**
    * Start the pool usage alert monitor.
-   * Runs a single interval (every 10 minutes) that checks the usage of all
-   * mounted, awake pools against their configured warning/alert thresholds.
+   * Runs a single interval (every 10 minutes) that records a usage history
+   * sample of all mounted, awake pools and checks it against their configured
+   * warning/alert thresholds and capacity forecast.
    * Cheap by design: df reads cached filesystem stats (no disk wake-up) and
    * pools in standby are skipped entirely (their usage cannot change).
    * @private
@@ -9623,7 +9788,8 @@ class PoolsService {
   }
 
   /**
-   * Check a single pool's usage against its thresholds and notify on changes.
+   * Record a usage sample of a single pool and check it against its thresholds
+   * and capacity forecast, notifying on changes.
    * Notification rules (anti-spam):
    * - Notify when the level changes (normal/warning/alert), in either direction.
    * - Within an elevated level, notify only when the usage percent value changes.
@@ -9636,10 +9802,10 @@ class PoolsService {
     const warning = Number.isFinite(cfg && cfg.warning) ? cfg.warning : 70;
     const alert = Number.isFinite(cfg && cfg.alert) ? cfg.alert : 90;
 
-    // Both thresholds disabled -> skip this pool entirely
-    if (warning === 0 && alert === 0) {
+    // Both thresholds disabled -> no threshold notifications, history is still recorded
+    const thresholdsEnabled = warning !== 0 || alert !== 0;
+    if (!thresholdsEnabled) {
       PoolsService._usageAlertState.delete(pool.id);
-      return;
     }
 
     const mountPoint = path.join(this.mountBasePath, pool.name);
@@ -9659,6 +9825,18 @@ class PoolsService {
     if (!space || !space.mounted || typeof space.usagePercent !== 'number') {
       return;
     }
+
+    try {
+      await this._recordUsageSample(pool, space);
+      await this._checkUsageForecast(pool);
+    } catch (error) {
+      console.warn(`Usage history update failed for pool ${pool.name}: ${error.message}`);
+    }
+
+    if (!thresholdsEnabled) {
+      return;
+    }
+
     const percent = Math.round(space.usagePercent);
 
     // Determine current level (a threshold of 0 disables that level)
@@ -9717,6 +9895,166 @@ class PoolsService {
       .catch(err => console.warn(`Failed to send pool usage notification: ${err.message}`));
   }
 
+  // ============================================================
+  // POOL USAGE HISTORY
+  // ============================================================
+
+  _getUsageHistoryFile(poolId) {
+    return path.join(USAGE_HISTORY_DIR, `${poolId}.csv`);
+  }
+
+  /**
+   * Read the usage samples of a pool
+   * @param {string} poolId - Pool ID
+   * @returns {Promise<Array<{t: number, used: number, free: number}>>} Oldest first
+   * @private
+   */
+  async _readUsageHistory(poolId) {
+    try {
+      return UsageHistory.parse(await fs.readFile(this._getUsageHistoryFile(poolId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Append a usage sample to the pool's history file, old samples are
+   * thinned out once per day (see UsageHistory.compact)
+   * @param {Object} pool - Pool object
+   * @param {Object} space - Result of getDeviceSpace
+   * @private
+   */
+  async _recordUsageSample(pool, space) {
+    const now = Math.floor(Date.now() / 1000);
+    const file = this._getUsageHistoryFile(pool.id);
+
+    await fs.mkdir(USAGE_HISTORY_DIR, { recursive: true });
+    await fs.appendFile(file, UsageHistory.serialize([{ t: now, used: space.usedSpace, free: space.freeSpace }]));
+
+    const day = Math.floor(now / 86400);
+    if (PoolsService._usageHistoryCompacted.get(pool.id) !== day) {
+      const samples = await this._readUsageHistory(pool.id);
+      await fs.writeFile(file, UsageHistory.serialize(UsageHistory.compact(samples, now)));
+      PoolsService._usageHistoryCompacted.set(pool.id, day);
+    }
+  }
+
+  /**
+   * Notify when the forecast "days until full" drops below the configured horizon
+   * (usage_alert.forecast_days, default 30) and once more when it recovers.
+   * @param {Object} pool - Pool object
+   * @private
+   */
+  async _checkUsageForecast(pool) {
+    const cfg = pool.config && pool.config.usage_alert;
+    const horizon = Number.isFinite(cfg && cfg.forecast_days) ? cfg.forecast_days : 30;
+
+    if (horizon === 0) {
+      PoolsService._usageForecastState.delete(pool.id);
+      return;
+    }
+
+    const forecast = UsageHistory.forecast(await this._readUsageHistory(pool.id));
+    const below = forecast.days_until_full !== null && forecast.days_until_full < horizon;
+    const wasBelow = PoolsService._usageForecastState.get(pool.id) === true;
+
+    if (below && !wasBelow) {
+      const fullDate = new Date(forecast.full_date).toLocaleDateString();
+      sendNotification(
+        'Pool Usage',
+        `Pool "${pool.name}" is forecast to be full in ${Math.floor(forecast.days_until_full)} days (${fullDate})`,
+        'warning'
+      ).catch(err => console.warn(`Failed to send pool usage notification: ${err.message}`));
+    } else if (!below && wasBelow) {
+      sendNotification('Pool Usage', `Pool "${pool.name}" is no longer forecast to be full within ${horizon} days`, 'normal')
+        .catch(err => console.warn(`Failed to send pool usage notification: ${err.message}`));
+    }
+
+    PoolsService._usageForecastState.set(pool.id, below);
+  }
+
+  /**
+   * Get the usage history of a pool with capacity forecast
+   * @param {string} poolId - Pool ID
+   * @param {Object} options - Query options
+   * @param {string} options.range - Time range ending now, e.g. 24h, 7d, 30d, 1y (default: 7d)
+   * @param {string} options.resolution - Bucket size, e.g. 1h, 1d or 'raw' (default depends on range)
+   * @param {string} options.method - Forecast method: auto, linear, seasonal (default: auto)
+   * @param {Object} user - User object for byte formatting
+   * @returns {Promise<Object>} { pool_id, pool_name, range, resolution, samples, forecast }
+   */
+  async getPoolUsageHistory(poolId, options = {}, user = null) {
+    const pools = await this._readPools();
+    const pool = pools.find(p => p.id === poolId);
+    if (!pool) {
+      throw new Error(`Pool with ID "${poolId}" not found`);
+    }
+
+    const range = UsageHistory.parseDuration(options.range || '7d');
+    const resolution = options.resolution === 'raw'
+      ? 0
+      : (options.resolution ? UsageHistory.parseDuration(options.resolution) : UsageHistory.getDefaultResolution(range));
+    const now = Math.floor(Date.now() / 1000);
+
+    const history = await this._readUsageHistory(poolId);
+    const samples = UsageHistory.aggregate(history, now - range, now, resolution).map(sample => {
+      const total = sample.used + sample.free;
+      return {
+        timestamp: new Date(sample.t * 1000).toISOString(),
+        used: sample.used,
+        used_human: this.formatBytes(sample.used, user),
+        free: sample.free,
+        free_human: this.formatBytes(sample.free, user),
+        usagePercent: total > 0 ? Math.round((sample.used / total) * 1000) / 10 : 0
+      };
+    });
+
+    const forecast = UsageHistory.forecast(history, { method: options.method || 'auto' });
+    const cfg = pool.config && pool.config.usage_alert;
+
+    return {
+      pool_id: pool.id,
+      pool_name: pool.name,
+      range,
+      resolution,
+      samples,
+      forecast: {
+        ...forecast,
+        growth_per_day_human: forecast.growth_per_day !== null ? this.formatBytes(Math.abs(forecast.growth_per_day), user) : null,
+        horizon_days: Number.isFinite(cfg && cfg.forecast_days) ? cfg.forecast_days : 30
+      }
+    };
+  }
+
+  /**
+   * Get the throughput history of a pool (sum of its data and parity disks)
+   * @param {string} poolId - Pool ID
+   * @param {Object} options - { range, resolution }
+   * @param {Object} user - User object with byte_format preference
+   * @returns {Promise<Object>} { pool_id, pool_name, devices, range, resolution, samples }
+   */
+  async getPoolIoHistory(poolId, options = {}, user = null) {
+    const pools = await this._readPools();
+    const pool = pools.find(p => p.id === poolId);
+    if (!pool) {
+      throw new Error(`Pool with ID "${poolId}" not found`);
+    }
+
+    const devices = [...(pool.data_devices || []), ...(pool.parity_devices || [])]
+      .map(d => d.device)
+      .filter(Boolean);
+    const history = this.disksService.getDevicesIoHistory(devices, options, user);
+
+    return {
+      pool_id: pool.id,
+      pool_name: pool.name,
+      ...history
+    };
+  }
+
   /**
    * Setup LUKS encryption for pool devices
    * @param {string[]} devices - Array of device paths
@@ -10663,39 +11001,1441 @@ class PoolsService {
     }
   }
 
+  // ============================================================
+  // BTRFS SUBVOLUMES AND SNAPSHOTS
+  // ============================================================
+
   /**
-   * Get available pool types based on system capabilities
-   * Returns static pool types and conditionally includes 'nonraid' based on:
-   * - md-nonraid kernel module availability
-   * - No existing nonraid pool
-   * @returns {Promise<Array<string>>} - Array of available pool types
+   * Get a mounted BTRFS pool and its mount point for subvolume operations
+   * @param {string} poolId - Pool ID
+   * @returns {Promise<{pools: Array, pool: Object, mountPoint: string}>}
+   * @private
    */
-  async getAvailablePoolTypes() {
-    // Start with static pool types
-    const poolTypes = ['single', 'multi', 'mergerfs'];
+  async _getMountedBtrfsPool(poolId) {
+    const pools = await this._readPools();
+    const pool = pools.find(p => p.id === poolId);
+
+    if (!pool) {
+      throw new Error(`Pool with ID "${poolId}" not found`);
+    }
+
+    if (pool.type !== 'btrfs') {
+      throw new Error(`Subvolumes are only supported for BTRFS pools, not '${pool.type}'`);
+    }
+
+    const mountPoint = path.join(this.mountBasePath, pool.name);
+    if (!(await this._isMounted(mountPoint))) {
+      throw new Error('BTRFS pool is not mounted. Please mount the pool first.');
+    }
+
+    return { pools, pool, mountPoint };
+  }
+
+  /**
+   * Normalize a subvolume path relative to the pool root ('' = top level subvolume)
+   * @param {string} subvolume - Relative path (e.g. "shares/documents")
+   * @returns {string}
+   * @private
+   */
+  _normalizeSubvolumePath(subvolume) {
+    const normalized = String(subvolume || '').trim().replace(/\/+/g, '/').replace(/^\/|\/$/g, '');
+    if (!normalized) {
+      return '';
+    }
+
+    const segments = normalized.split('/');
+    if (segments.some(segment => segment === '.' || segment === '..')) {
+      throw new Error('Subvolume path must not contain "." or ".." segments');
+    }
+    if (segments[0] === '.snapshots') {
+      throw new Error('The .snapshots directory is reserved for snapshots');
+    }
+    if (/["`$\\]/.test(normalized)) {
+      throw new Error('Subvolume path contains invalid characters');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Directory holding the snapshots of a subvolume
+   * @private
+   */
+  _getSnapshotDir(mountPoint, subvolume) {
+    return path.join(mountPoint, '.snapshots', subvolume || '@');
+  }
 
+  /**
+   * Check if a path is the root of a BTRFS subvolume (subvolume roots always have inode 256)
+   * @param {string} dirPath - Absolute path
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isBtrfsSubvolume(dirPath) {
     try {
-      // Check if md-nonraid module is available (without loading it)
-      let moduleAvailable = false;
-      try {
-        await execPromise('modinfo md-nonraid');
-        moduleAvailable = true;
-      } catch (error) {
-        // Module not available
-        moduleAvailable = false;
+      const stat = await fs.stat(dirPath);
+      return stat.isDirectory() && stat.ino === 256;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Timestamp used in snapshot names (local time, sortable)
+   * @param {Date} date - Date
+   * @returns {string} e.g. 2025-06-04_12-00-00
+   * @private
+   */
+  _formatSnapshotTimestamp(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_` +
+      `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * Parse a snapshot name of the form <level>_<timestamp>
+   * @param {string} name - Snapshot name
+   * @returns {{level: string, created: string|null}}
+   * @private
+   */
+  _parseSnapshotName(name) {
+    const match = name.match(/^(.+)_(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})$/);
+    if (!match) {
+      return { level: 'manual', created: null };
+    }
+
+    const [, level, year, month, day, hour, minute, second] = match;
+    const created = new Date(year, month - 1, day, hour, minute, second);
+    return { level, created: created.toISOString() };
+  }
+
+  /**
+   * Parse btrfs subvolume list output
+   * The parent ID is only printed with -p, uuid and parent_uuid with -u and -q.
+   * @param {string} output - btrfs subvolume list [-p] [-u] [-q] [-r] output
+   * @returns {Array<Object>}
+   * @private
+   */
+  _parseBtrfsSubvolumeList(output) {
+    const subvolumes = [];
+
+    for (const line of output.split('\n')) {
+      const idMatch = line.match(/^ID (\d+) gen \d+(?: cgen \d+)?(?: parent (\d+))? top level \d+/);
+      const pathMatch = line.match(/ path (.+)$/);
+      if (!idMatch || !pathMatch) continue;
+
+      const parentUuid = line.match(/parent_uuid (\S+)/);
+      const uuid = line.match(/ uuid (\S+)/);
+
+      subvolumes.push({
+        id: parseInt(idMatch[1], 10),
+        parent_id: idMatch[2] !== undefined ? parseInt(idMatch[2], 10) : null,
+        path: pathMatch[1].replace(/^<FS_TREE>\//, ''),
+        uuid: uuid ? uuid[1] : null,
+        parent_uuid: parentUuid && parentUuid[1] !== '-' ? parentUuid[1] : null
+      });
+    }
+
+    return subvolumes;
+  }
+
+  /**
+   * List subvolumes of a BTRFS pool (snapshots are listed by listSnapshots)
+   * @param {string} poolId - Pool ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSubvolumes(poolId) {
+    const { mountPoint } = await this._getMountedBtrfsPool(poolId);
+
+    try {
+      const { stdout } = await execPromise(`btrfs subvolume list -p -u -q "${mountPoint}"`);
+      const { stdout: readonlyOut } = await execPromise(`btrfs subvolume list -p -r "${mountPoint}"`);
+      const readonlyIds = new Set(this._parseBtrfsSubvolumeList(readonlyOut).map(s => s.id));
+      const all = this._parseBtrfsSubvolumeList(stdout);
+
+      return all
+        .filter(subvol => !subvol.path.startsWith('.snapshots/') && subvol.path !== '.snapshots')
+        .map(subvol => ({
+          ...subvol,
+          mountPath: path.join(mountPoint, subvol.path),
+          readonly: readonlyIds.has(subvol.id),
+          snapshot_count: all.filter(s => path.dirname(s.path) === path.join('.snapshots', subvol.path)).length
+        }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+    } catch (error) {
+      throw new Error(`Failed to list subvolumes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a subvolume in a BTRFS pool
+   * @param {string} poolId - Pool ID
+   * @param {string} subvolume - Path relative to the pool root
+   * @returns {Promise<Object>}
+   */
+  async createSubvolume(poolId, subvolume) {
+    const { pool, mountPoint } = await this._getMountedBtrfsPool(poolId);
+    const subvolumePath = this._normalizeSubvolumePath(subvolume);
+
+    if (!subvolumePath) {
+      throw new Error('Subvolume path is required');
+    }
+
+    const fullPath = path.join(mountPoint, subvolumePath);
+    try {
+      await fs.access(fullPath);
+      throw new Error(`Path "${subvolumePath}" already exists in pool ${pool.name}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    try {
+      await this._createDirectoryWithOwnership(path.dirname(fullPath));
+      await execPromise(`btrfs subvolume create "${fullPath}"`);
+      await this._setOwnership(fullPath);
+    } catch (error) {
+      throw new Error(`Failed to create subvolume: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      message: `Subvolume "${subvolumePath}" created in pool ${pool.name}`,
+      subvolume: {
+        path: subvolumePath,
+        mountPath: fullPath
       }
+    };
+  }
 
-      // If module is available, check if there's already a nonraid pool - disabled for now
-      const pools = await this._readPools();
-      const hasNonRaidPool = pools.some(pool => pool.type === 'nonraid');
+  /**
+   * Delete a subvolume from a BTRFS pool
+   * @param {string} poolId - Pool ID
+   * @param {string} subvolume - Path relative to the pool root
+   * @param {Object} options - Options
+   * @param {boolean} options.deleteSnapshots - Also delete all snapshots of the subvolume (default: false)
+   * @returns {Promise<Object>}
+   */
+  async deleteSubvolume(poolId, subvolume, options = {}) {
+    const { pools, pool, mountPoint } = await this._getMountedBtrfsPool(poolId);
+    const subvolumePath = this._normalizeSubvolumePath(subvolume);
 
-      // Only add nonraid if module is available AND no nonraid pool exists
-      if (moduleAvailable && !hasNonRaidPool) {
-        poolTypes.push('nonraid');
+    if (!subvolumePath) {
+      throw new Error('The top level subvolume of a pool cannot be deleted');
+    }
+
+    const fullPath = path.join(mountPoint, subvolumePath);
+    if (!(await this._isBtrfsSubvolume(fullPath))) {
+      throw new Error(`Subvolume "${subvolumePath}" not found in pool ${pool.name}`);
+    }
+
+    let deletedSnapshots = 0;
+    try {
+      await execPromise(`btrfs subvolume delete "${fullPath}"`);
+
+      if (options.deleteSnapshots === true) {
+        const snapshots = await this._listBtrfsSnapshots(mountPoint, subvolumePath);
+        for (const snapshot of snapshots) {
+          await execPromise(`btrfs subvolume delete "${snapshot.mountPath}"`);
+          deletedSnapshots++;
+        }
       }
     } catch (error) {
-      // If there's any error reading pools, just return the basic types
-      console.warn(`Warning: Could not check nonraid availability: ${error.message}`);
+      throw new Error(`Failed to delete subvolume: ${error.message}`);
+    }
+
+    // A snapshot policy of a deleted subvolume has nothing left to snapshot
+    const storedPool = pools.find(p => p.id === poolId);
+    const policies = storedPool.config?.snapshot_policies || [];
+    if (policies.some(p => p.subvolume === subvolumePath)) {
+      storedPool.config.snapshot_policies = policies.filter(p => p.subvolume !== subvolumePath);
+      await this._writePools(pools);
+    }
+
+    return {
+      success: true,
+      message: `Subvolume "${subvolumePath}" deleted from pool ${pool.name}` +
+        (deletedSnapshots > 0 ? ` including ${deletedSnapshots} snapshot(s)` : ''),
+      deletedSnapshots
+    };
+  }
+
+  /**
+   * List snapshots below .snapshots of a mounted pool
+   * @param {string} mountPoint - Pool mount point
+   * @param {string|null} subvolume - Only snapshots of this subvolume (null = all)
+   * @returns {Promise<Array<Object>>} Newest first
+   * @private
+   */
+  async _listBtrfsSnapshots(mountPoint, subvolume = null) {
+    const { stdout } = await execPromise(`btrfs subvolume list -p -r "${mountPoint}"`);
+
+    return this._parseBtrfsSubvolumeList(stdout)
+      .filter(subvol => subvol.path.startsWith('.snapshots/'))
+      .map(subvol => {
+        const relativeDir = path.dirname(subvol.path).substring('.snapshots/'.length);
+        const name = path.basename(subvol.path);
+        return {
+          name,
+          subvolume: relativeDir === '@' ? '' : relativeDir,
+          mountPath: path.join(mountPoint, subvol.path),
+          ...this._parseSnapshotName(name)
+        };
+      })
+      .filter(snapshot => subvolume === null || snapshot.subvolume === subvolume)
+      .sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  /**
+   * List read-only snapshots of a BTRFS pool
+   * @param {string} poolId - Pool ID
+   * @param {string|null} subvolume - Only snapshots of this subvolume (null = all)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSnapshots(poolId, subvolume = null) {
+    const { mountPoint } = await this._getMountedBtrfsPool(poolId);
+    const subvolumePath = subvolume === null || subvolume === undefined ? null : this._normalizeSubvolumePath(subvolume);
+
+    try {
+      return await this._listBtrfsSnapshots(mountPoint, subvolumePath);
+    } catch (error) {
+      throw new Error(`Failed to list snapshots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a read-only snapshot of a mounted subvolume
+   * @returns {Promise<Object>} Snapshot
+   * @private
+   */
+  async _createBtrfsSnapshot(mountPoint, subvolumePath, name) {
+    const sourcePath = subvolumePath ? path.join(mountPoint, subvolumePath) : mountPoint;
+    if (!(await this._isBtrfsSubvolume(sourcePath))) {
+      throw new Error(`"${subvolumePath || '/'}" is not a BTRFS subvolume`);
+    }
+
+    const snapshotDir = this._getSnapshotDir(mountPoint, subvolumePath);
+    const snapshotPath = path.join(snapshotDir, name);
+    try {
+      await fs.access(snapshotPath);
+      throw new Error(`Snapshot "${name}" already exists`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await fs.mkdir(snapshotDir, { recursive: true });
+    await execPromise(`btrfs subvolume snapshot -r "${sourcePath}" "${snapshotPath}"`);
+
+    return {
+      name,
+      subvolume: subvolumePath,
+      mountPath: snapshotPath,
+      ...this._parseSnapshotName(name)
+    };
+  }
+
+  /**
+   * Create a read-only snapshot of a subvolume
+   * @param {string} poolId - Pool ID
+   * @param {string} subvolume - Subvolume path relative to the pool root ('' = top level)
+   * @param {Object} options - Options
+   * @param {string} options.name - Snapshot name (default: manual_<timestamp>)
+   * @returns {Promise<Object>}
+   */
+  async createSnapshot(poolId, subvolume, options = {}) {
+    const { pool, mountPoint } = await this._getMountedBtrfsPool(poolId);
+    const subvolumePath = this._normalizeSubvolumePath(subvolume);
+    const name = options.name || `manual_${this._formatSnapshotTimestamp()}`;
+
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+      throw new Error('Invalid snapshot name. Use letters, numbers, dots, dashes and underscores');
+    }
+
+    try {
+      const snapshot = await this._createBtrfsSnapshot(mountPoint, subvolumePath, name);
+      return {
+        success: true,
+        message: `Snapshot "${name}" of "${subvolumePath || '/'}" created in pool ${pool.name}`,
+        snapshot
+      };
+    } catch (error) {
+      throw new Error(`Failed to create snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} poolId - Pool ID
+   * @param {string} subvolume - Subvolume the snapshot belongs to
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>}
+   */
+  async deleteSnapshot(poolId, subvolume, name) {
+    const { pool, mountPoint } = await this._getMountedBtrfsPool(poolId);
+    const subvolumePath = this._normalizeSubvolumePath(subvolume);
+
+    if (!name || name.includes('/') || name.startsWith('.')) {
+      throw new Error('Invalid snapshot name');
+    }
+
+    const snapshotPath = path.join(this._getSnapshotDir(mountPoint, subvolumePath), name);
+    if (!(await this._isBtrfsSubvolume(snapshotPath))) {
+      throw new Error(`Snapshot "${name}" of "${subvolumePath || '/'}" not found`);
+    }
+
+    try {
+      await execPromise(`btrfs subvolume delete "${snapshotPath}"`);
+    } catch (error) {
+      throw new Error(`Failed to delete snapshot: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      message: `Snapshot "${name}" deleted from pool ${pool.name}`
+    };
+  }
+
+  /**
+   * Roll a subvolume back to one of its snapshots.
+   * The current state is kept as read-only pre-rollback snapshot unless backup is disabled.
+   * @param {string} poolId - Pool ID
+   * @param {string} subvolume - Subvolume path relative to the pool root
+   * @param {string} snapshotName - Snapshot to restore
+   * @param {Object} options - Options
+   * @param {boolean} options.backup - Snapshot the current state before the rollback (default: true)
+   * @returns {Promise<Object>}
+   */
+  async rollbackSubvolume(poolId, subvolume, snapshotName, options = {}) {
+    const { pool, mountPoint } = await this._getMountedBtrfsPool(poolId);
+    const subvolumePath = this._normalizeSubvolumePath(subvolume);
+
+    if (!subvolumePath) {
+      throw new Error('The top level subvolume of a pool cannot be rolled back');
+    }
+    if (!snapshotName || snapshotName.includes('/') || snapshotName.startsWith('.')) {
+      throw new Error('Invalid snapshot name');
+    }
+
+    const targetPath = path.join(mountPoint, subvolumePath);
+    if (!(await this._isBtrfsSubvolume(targetPath))) {
+      throw new Error(`"${subvolumePath}" is not a BTRFS subvolume`);
+    }
+
+    const snapshotPath = path.join(this._getSnapshotDir(mountPoint, subvolumePath), snapshotName);
+    if (!(await this._isBtrfsSubvolume(snapshotPath))) {
+      throw new Error(`Snapshot "${snapshotName}" of "${subvolumePath}" not found`);
+    }
+
+    // Nested subvolumes would be lost (and block the delete)
+    const { stdout: nested } = await execPromise(`btrfs subvolume list -o "${targetPath}"`);
+    if (nested.trim()) {
+      throw new Error(`Subvolume "${subvolumePath}" contains nested subvolumes and cannot be rolled back`);
+    }
+
+    let backupSnapshot = null;
+    if (options.backup !== false) {
+      backupSnapshot = await this._createBtrfsSnapshot(mountPoint, subvolumePath, `pre-rollback_${this._formatSnapshotTimestamp()}`);
+    }
+
+    const stat = await fs.stat(targetPath);
+    try {
+      await execPromise(`btrfs subvolume delete "${targetPath}"`);
+    } catch (error) {
+      throw new Error(`Failed to remove current subvolume: ${error.message}`);
+    }
+
+    try {
+      await execPromise(`btrfs subvolume snapshot "${snapshotPath}" "${targetPath}"`);
+    } catch (error) {
+      // Put the previous state back so the share does not disappear
+      if (backupSnapshot) {
+        await execPromise(`btrfs subvolume snapshot "${backupSnapshot.mountPath}" "${targetPath}"`)
+          .catch(err => console.error(`Restoring ${targetPath} from ${backupSnapshot.name} failed: ${err.message}`));
+      }
+      throw new Error(`Rollback failed: ${error.message}`);
+    }
+
+    await fs.chown(targetPath, stat.uid, stat.gid).catch(() => {});
+    await fs.chmod(targetPath, stat.mode & 0o7777).catch(() => {});
+
+    sendNotification('BTRFS', `Subvolume ${subvolumePath} of pool ${pool.name} rolled back to snapshot ${snapshotName}`, 'normal')
+      .catch(err => console.warn(`Failed to send BTRFS rollback notification: ${err.message}`));
+
+    return {
+      success: true,
+      message: `Subvolume "${subvolumePath}" rolled back to snapshot "${snapshotName}"`,
+      subvolume: subvolumePath,
+      snapshot: snapshotName,
+      backupSnapshot: backupSnapshot ? backupSnapshot.name : null
+    };
+  }
+
+  /**
+   * Get the snapshot policies of a BTRFS pool
+   * @param {string} poolId - Pool ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async getSnapshotPolicies(poolId) {
+    const pools = await this._readPools();
+    const pool = pools.find(p => p.id === poolId);
+
+    if (!pool) {
+      throw new Error(`Pool with ID "${poolId}" not found`);
+    }
+    if (pool.type !== 'btrfs') {
+      throw new Error(`Snapshots are only supported for BTRFS pools, not '${pool.type}'`);
+    }
+
+    return pool.config?.snapshot_policies || [];
+  }
+
+  /**
+   * Replace the snapshot policies of a BTRFS pool
+   * @param {string} poolId - Pool ID
+   * @param {Array<Object>} policies - [{ subvolume, enabled, retention: { hourly, daily, weekly } }]
+   * @returns {Promise<Object>}
+   */
+  async updateSnapshotPolicies(poolId, policies) {
+    if (!Array.isArray(policies)) {
+      throw new Error('Policies must be an array');
+    }
+
+    const pools = await this._readPools();
+    const pool = pools.find(p => p.id === poolId);
+
+    if (!pool) {
+      throw new Error(`Pool with ID "${poolId}" not found`);
+    }
+    if (pool.type !== 'btrfs') {
+      throw new Error(`Snapshots are only supported for BTRFS pools, not '${pool.type}'`);
+    }
+
+    const seen = new Set();
+    const normalized = policies.map(policy => {
+      const subvolume = this._normalizeSubvolumePath(policy.subvolume);
+      if (seen.has(subvolume)) {
+        throw new Error(`Duplicate snapshot policy for "${subvolume || '/'}"`);
+      }
+      seen.add(subvolume);
+
+      const retention = {};
+      for (const level of SNAPSHOT_LEVELS) {
+        const value = policy.retention?.[level] !== undefined ? parseInt(policy.retention[level], 10) : 0;
+        if (isNaN(value) || value < 0 || value > 1000) {
+          throw new Error(`Invalid ${level} retention for "${subvolume || '/'}": must be between 0 and 1000`);
+        }
+        retention[level] = value;
+      }
+
+      return {
+        subvolume,
+        enabled: policy.enabled !== false,
+        retention
+      };
+    });
+
+    if (!pool.config) {
+      pool.config = {};
+    }
+    pool.config.snapshot_policies = normalized;
+    await this._writePools(pools);
+
+    return {
+      success: true,
+      message: `Snapshot policies of pool ${pool.name} updated`,
+      policies: normalized
+    };
+  }
+
+  /**
+   * Start the snapshot scheduler.
+   * Runs a single interval (every minute) that takes the due hourly/daily/weekly
+   * snapshots of all policies and prunes old ones according to their retention.
+   * @private
+   */
+  _startSnapshotScheduler() {
+    PoolsService._snapshotSchedulerInterval = setInterval(() => {
+      this._runSnapshotSchedules().catch(err =>
+        console.warn(`Snapshot scheduler failed: ${err.message}`));
+    }, 60 * 1000);
+
+    // Don't keep the process alive just for this timer
+    if (PoolsService._snapshotSchedulerInterval.unref) {
+      PoolsService._snapshotSchedulerInterval.unref();
+    }
+
+    console.log('BTRFS snapshot scheduler started (interval: 1min)');
+  }
+
+  /**
+   * Period a snapshot level belongs to - one snapshot per level and period
+   * @param {string} level - hourly, daily or weekly
+   * @param {Date} date - Date
+   * @returns {string} Period key comparable with snapshot timestamps
+   * @private
+   */
+  _getSnapshotPeriodKey(level, date) {
+    const timestamp = this._formatSnapshotTimestamp(date);
+    if (level === 'hourly') {
+      return timestamp.substring(0, 13);
+    }
+    if (level === 'daily') {
+      return timestamp.substring(0, 10);
+    }
+
+    // weekly: Monday of the week
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+    return this._formatSnapshotTimestamp(monday).substring(0, 10);
+  }
+
+  /**
+   * Take due scheduled snapshots and prune expired ones
+   * @private
+   */
+  async _runSnapshotSchedules() {
+    if (PoolsService._snapshotSchedulerRunning) return;
+    PoolsService._snapshotSchedulerRunning = true;
+
+    try {
+      const pools = await this._readPools();
+      const now = new Date();
+
+      for (const pool of pools) {
+        if (pool.type !== 'btrfs') continue;
+        const policies = (pool.config?.snapshot_policies || []).filter(p => p.enabled !== false);
+        if (policies.length === 0) continue;
+
+        const mountPoint = path.join(this.mountBasePath, pool.name);
+        if (!(await this._isMounted(mountPoint))) continue;
+
+        for (const policy of policies) {
+          const snapshotDir = this._getSnapshotDir(mountPoint, policy.subvolume);
+          let existing = await fs.readdir(snapshotDir).catch(() => []);
+
+          for (const level of SNAPSHOT_LEVELS) {
+            const keep = policy.retention?.[level] || 0;
+            if (keep <= 0) continue;
+
+            const periodKey = this._getSnapshotPeriodKey(level, now);
+            const failureKey = `${pool.id}:${policy.subvolume}:${level}`;
+            const taken = existing.some(name => {
+              const parsed = this._parseSnapshotName(name);
+              return parsed.level === level && parsed.created &&
+                this._getSnapshotPeriodKey(level, new Date(parsed.created)) === periodKey;
+            });
+
+            // Failed snapshots are retried in the next period, not every minute
+            if (taken || PoolsService._snapshotFailures.get(failureKey) === periodKey) continue;
+
+            try {
+              const snapshot = await this._createBtrfsSnapshot(mountPoint, policy.subvolume, `${level}_${this._formatSnapshotTimestamp(now)}`);
+              existing.push(snapshot.name);
+              PoolsService._snapshotFailures.delete(failureKey);
+
+              existing = await this._pruneBtrfsSnapshots(mountPoint, policy.subvolume, level, keep, existing);
+            } catch (error) {
+              PoolsService._snapshotFailures.set(failureKey, periodKey);
+              console.warn(`Scheduled ${level} snapshot of ${pool.name}/${policy.subvolume} failed: ${error.message}`);
+              sendNotification('BTRFS', `Scheduled ${level} snapshot of ${policy.subvolume || '/'} in pool ${pool.name} failed: ${error.message}`, 'alert')
+                .catch(err => console.warn(`Failed to send snapshot notification: ${err.message}`));
+            }
+          }
+        }
+      }
+    } finally {
+      PoolsService._snapshotSchedulerRunning = false;
+    }
+  }
+
+  /**
+   * Delete the oldest scheduled snapshots of a level beyond the retention count
+   * @returns {Promise<Array<string>>} Remaining snapshot names
+   * @private
+   */
+  async _pruneBtrfsSnapshots(mountPoint, subvolume, level, keep, names) {
+    const snapshotDir = this._getSnapshotDir(mountPoint, subvolume);
+    const levelSnapshots = names
+      .filter(name => this._parseSnapshotName(name).level === level)
+      .sort();
+    const expired = levelSnapshots.slice(0, Math.max(levelSnapshots.length - keep, 0));
+
+    for (const name of expired) {
+      try {
+        await execPromise(`btrfs subvolume delete "${path.join(snapshotDir, name)}"`);
+      } catch (error) {
+        console.warn(`Failed to delete expired snapshot ${name}: ${error.message}`);
+      }
+    }
+
+    return names.filter(name => !expired.includes(name));
+  }
+
+  // ============================================================
+  // ZFS POOLS
+  // ============================================================
+
+  /**
+   * Check whether ZFS userland tools and kernel module are available
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isZfsAvailable() {
+    try {
+      await execPromise('which zpool');
+      await execPromise('which zfs');
+      await execPromise('modinfo zfs || test -d /sys/module/zfs');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the zpool name of a pool (differs from the MOS pool name for imported pools)
+   * @param {Object} pool - Pool object
+   * @returns {string}
+   * @private
+   */
+  _getZpoolName(pool) {
+    return pool.config?.zpool_name || pool.name;
+  }
+
+  /**
+   * Get the vdev path of a configured ZFS device.
+   * Disks are stored by their /dev/disk/by-id name, file-backed vdevs by absolute path.
+   * @param {Object} device - Pool device entry
+   * @returns {string|null}
+   * @private
+   */
+  _getZfsDevicePath(device) {
+    if (!device?.id) return null;
+    return device.id.startsWith('/') ? device.id : `/dev/disk/by-id/${device.id}`;
+  }
+
+  /**
+   * Resolve the current device node of a ZFS vdev (file-backed vdevs resolve to themselves)
+   * @param {Object} device - Pool device entry
+   * @returns {Promise<string|null>}
+   * @private
+   */
+  async _getZfsRealDevicePath(device) {
+    if (!device?.id) return null;
+    if (device.id.startsWith('/')) {
+      return device.id;
+    }
+    return this.getRealDevicePathFromId(device.id);
+  }
+
+  /**
+   * Get the stable id for a new ZFS vdev (by-id name for disks, absolute path for files)
+   * @param {string} device - Device or file path
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _resolveZfsDeviceId(device) {
+    const stat = await fs.stat(device);
+    if (stat.isFile()) {
+      return path.resolve(device);
+    }
+
+    const byIdName = await this._getDeviceByIdPath(device);
+    // Devices without by-id link (e.g. loop devices) are referenced by path
+    return byIdName || device;
+  }
+
+  /**
+   * Build the -d search directory arguments for zpool import
+   * @param {Array<string>} paths - Known vdev paths
+   * @returns {string}
+   * @private
+   */
+  _getZfsImportDirArgs(paths = []) {
+    const dirs = new Set(['/dev/disk/by-id']);
+    for (const vdevPath of paths) {
+      if (vdevPath && vdevPath.startsWith('/') && !vdevPath.startsWith('/dev/')) {
+        dirs.add(path.dirname(vdevPath));
+      }
+    }
+    return Array.from(dirs).map(dir => `-d "${dir}"`).join(' ');
+  }
+
+  /**
+   * Check if a zpool is imported
+   * @param {string} zpoolName - zpool name
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isZpoolImported(zpoolName) {
+    try {
+      await execPromise(`zpool list -H -o name "${zpoolName}"`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get parsed zpool status
+   * @param {string} zpoolName - zpool name
+   * @returns {Promise<Object|null>} Parsed status or null if the pool is not imported
+   * @private
+   */
+  async _getZpoolStatus(zpoolName) {
+    try {
+      const { stdout } = await execPromise(`zpool status -P "${zpoolName}"`);
+      return ZfsHelpers.parseStatus(stdout);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a ZFS pool, or import an existing zpool when format is not set
+   * @param {string} name - Pool name
+   * @param {string[]} devices - Data device paths (disks, partitions or files)
+   * @param {string} raidLevel - stripe, mirror, raidz1, raidz2, raidz3
+   * @param {Object} options - Options
+   * @param {boolean} options.format - Create a new zpool (true) or import an existing one
+   * @param {number} options.vdevWidth - Devices per top-level data vdev (e.g. 2 for striped mirrors)
+   * @param {string[]} options.special - Special (metadata) vdev devices
+   * @param {string[]} options.log - SLOG devices
+   * @param {string[]} options.cache - L2ARC devices
+   * @param {string} options.specialLayout - mirror or stripe (default mirror for 2+ devices)
+   * @param {string} options.logLayout - mirror or stripe (default mirror for 2+ devices)
+   * @param {number} options.ashift - Sector size exponent (default 12)
+   * @param {string} options.compression - Compression of the root dataset (default lz4)
+   * @param {string} options.zpoolName - Name of the existing zpool to import (default: name)
+   * @returns {Promise<Object>} Result with created pool
+   */
+  async createZfsPool(name, devices = [], raidLevel = 'mirror', options = {}) {
+    let zpoolName = name;
+    let zpoolCreated = false;
+    let zpoolImported = false;
+
+    try {
+      if (!name) throw new Error('Pool name is required');
+      PoolHelpers.validatePoolName(name);
+
+      if (options.config?.encrypted) {
+        throw new Error('LUKS encryption is not supported for ZFS pools');
+      }
+
+      if (!Array.isArray(devices)) {
+        throw new Error('Devices must be an array of device paths');
+      }
+
+      if (!(await this._isZfsAvailable())) {
+        throw new Error('ZFS is not available on this system');
+      }
+
+      const pools = await this._readPools();
+      if (pools.some(p => p.name === name)) {
+        throw new Error(`Pool with name "${name}" already exists`);
+      }
+      await PoolHelpers.assertNameNotInVpools(name);
+
+      const mountPoint = path.join(this.mountBasePath, name);
+      let vdevEntries = [];
+      let vdevWidth = null;
+
+      if (options.format === true) {
+        ZfsHelpers.validateZpoolName(name);
+
+        if (devices.length === 0) {
+          throw new Error('At least one data device is required');
+        }
+        vdevWidth = ZfsHelpers.validateRaidLevel(raidLevel, devices.length, options.vdevWidth);
+
+        const support = {};
+        for (const vdevClass of ['special', 'log', 'cache']) {
+          const classDevices = options[vdevClass] || [];
+          if (!Array.isArray(classDevices)) {
+            throw new Error(`${vdevClass} must be an array of device paths`);
+          }
+
+          let layout = options[`${vdevClass}Layout`] || (classDevices.length > 1 ? 'mirror' : 'stripe');
+          if (vdevClass === 'cache') layout = 'stripe';
+          if (!['mirror', 'stripe'].includes(layout)) {
+            throw new Error(`${vdevClass}Layout must be mirror or stripe`);
+          }
+          if (layout === 'mirror' && classDevices.length === 1) {
+            throw new Error(`A mirrored ${vdevClass} vdev requires at least 2 devices`);
+          }
+          support[vdevClass] = { devices: classDevices, layout };
+        }
+
+        const allDevices = [...devices, ...support.special.devices, ...support.log.devices, ...support.cache.devices];
+        if (new Set(allDevices).size !== allDevices.length) {
+          throw new Error('Each device can only be used once');
+        }
+
+        for (const device of allDevices) {
+          await fs.access(device).catch(() => {
+            throw new Error(`Device ${device} does not exist`);
+          });
+
+          const mountStatus = await this._isDeviceMounted(device);
+          if (mountStatus.isMounted) {
+            throw new Error(`Device ${device} is already mounted at ${mountStatus.mountPoint}`);
+          }
+        }
+
+        const ashift = options.ashift !== undefined ? parseInt(options.ashift, 10) : 12;
+        if (isNaN(ashift) || ashift < 9 || ashift > 16) {
+          throw new Error('ashift must be between 9 and 16');
+        }
+        const compression = options.compression || 'lz4';
+        if (!/^[a-z0-9-]+$/.test(compression)) {
+          throw new Error('Invalid compression algorithm');
+        }
+
+        // Reference disks by /dev/disk/by-id so the pool survives device renames
+        const resolve = async (classDevices, vdevClass) => {
+          const entries = [];
+          for (const device of classDevices) {
+            const id = await this._resolveZfsDeviceId(device);
+            entries.push({ id, vdevClass, path: this._getZfsDevicePath({ id }) });
+          }
+          return entries;
+        };
+        const dataEntries = await resolve(devices, 'data');
+        for (const vdevClass of ['special', 'log', 'cache']) {
+          const entries = await resolve(support[vdevClass].devices, vdevClass);
+          support[vdevClass].devices = entries.map(e => `"${e.path}"`);
+          vdevEntries.push(...entries);
+        }
+        vdevEntries = [...dataEntries, ...vdevEntries];
+
+        const vdevArgs = ZfsHelpers.buildVdevArgs(dataEntries.map(e => `"${e.path}"`), raidLevel, vdevWidth, support);
+        const createCommand = `zpool create -f -o ashift=${ashift} -o cachefile=none ` +
+          `-O compression=${compression} -O atime=off -O xattr=sa -O acltype=posixacl ` +
+          `-m "${mountPoint}" "${name}" ${vdevArgs.join(' ')}`;
+
+        console.log(`Creating ZFS pool: ${createCommand}`);
+        await execPromise(createCommand);
+        zpoolCreated = true;
+      } else {
+        // Import an existing zpool (e.g. when migrating a ZFS box to MOS)
+        zpoolName = options.zpoolName || name;
+        if (!/^[a-zA-Z][a-zA-Z0-9_.:-]*$/.test(zpoolName)) {
+          throw new Error('Invalid zpool name');
+        }
+        if (await this._isZpoolImported(zpoolName)) {
+          throw new Error(`zpool "${zpoolName}" is already imported`);
+        }
+
+        // -f: the pool was most likely last used by another system
+        await execPromise(`zpool import ${this._getZfsImportDirArgs(devices)} -f -N -o cachefile=none "${zpoolName}"`);
+        zpoolImported = true;
+
+        // MOS mounts every pool at /mnt/<name>
+        await execPromise(`zfs set mountpoint="${mountPoint}" "${zpoolName}"`);
+
+        const status = await this._getZpoolStatus(zpoolName);
+        if (!status || status.devices.length === 0) {
+          throw new Error(`Could not read the layout of zpool "${zpoolName}"`);
+        }
+
+        vdevEntries = status.devices.map(device => ({
+          id: device.path.startsWith('/dev/disk/by-id/') ? path.basename(device.path) : device.path,
+          vdevClass: device.class
+        }));
+
+        const dataVdevs = status.vdevs.filter(v => v.class === 'data');
+        const dataDeviceCount = status.devices.filter(d => d.class === 'data').length;
+        const layoutMatch = dataVdevs[0]?.name.match(/^(mirror|raidz[123]?)-\d+$/);
+        raidLevel = layoutMatch ? (layoutMatch[1] === 'raidz' ? 'raidz1' : layoutMatch[1]) : 'stripe';
+        vdevWidth = raidLevel === 'stripe' ? 1 : Math.round(dataDeviceCount / Math.max(dataVdevs.length, 1));
+      }
+
+      const automount = options.automount !== undefined ? options.automount : false;
+      if (automount) {
+        if (zpoolImported) {
+          await execPromise(`zfs mount -a`);
+        }
+        await this._setOwnership(mountPoint).catch(() => {});
+      } else {
+        await execPromise(`zpool export "${zpoolName}"`);
+      }
+
+      const newPool = {
+        id: Date.now().toString(),
+        name,
+        type: 'zfs',
+        automount,
+        comment: options.comment || "",
+        index: this._getNextPoolIndex(pools),
+        data_devices: vdevEntries.map((entry, i) => ({
+          slot: i + 1,
+          id: entry.id,
+          filesystem: 'zfs',
+          vdev_class: entry.vdevClass,
+          spindown: null
+        })),
+        parity_devices: [],
+        config: {
+          encrypted: false,
+          shared: options.config?.shared || false,
+          raid_level: raidLevel,
+          vdev_width: vdevWidth,
+          zpool_name: zpoolName,
+          usage_alert: { warning: 70, alert: 90 },
+          scrub: { enabled: false, schedule: "0 4 1 * *" },
+          ...(options.config || {})
+        }
+      };
+
+      pools.push(newPool);
+      await this._writePools(pools);
+      await this._syncZfsScrubJob(newPool);
+
+      return {
+        success: true,
+        message: zpoolImported
+          ? `Successfully imported ZFS pool "${zpoolName}" as "${name}"`
+          : `Successfully created ZFS pool "${name}" with ${raidLevel} configuration`,
+        pool: newPool
+      };
+    } catch (error) {
+      // Never leave a half configured zpool behind
+      if (zpoolCreated) {
+        await execPromise(`zpool destroy -f "${zpoolName}"`).catch(err => console.warn(`Cleanup failed: ${err.message}`));
+      } else if (zpoolImported) {
+        await execPromise(`zpool export -f "${zpoolName}"`).catch(err => console.warn(`Cleanup failed: ${err.message}`));
+      }
+      throw new Error(`Error creating ZFS pool: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mount a ZFS pool by importing the zpool
+   * @private
+   */
+  async _mountZfsPool(pool, options = {}) {
+    const zpoolName = this._getZpoolName(pool);
+    const mountPoint = path.join(this.mountBasePath, pool.name);
+
+    if (!(await this._isZpoolImported(zpoolName))) {
+      const vdevPaths = (pool.data_devices || []).map(d => this._getZfsDevicePath(d));
+      await execPromise(`zpool import ${this._getZfsImportDirArgs(vdevPaths)} -o cachefile=none "${zpoolName}"`);
+    } else if (!(await this._isMounted(mountPoint))) {
+      await execPromise(`zfs mount -a`);
+    }
+
+    if (!(await this._isMounted(mountPoint))) {
+      throw new Error(`zpool "${zpoolName}" is imported but ${mountPoint} is not mounted. Check the mountpoint property of the pool`);
+    }
+
+    // Pick up a scrub or resilver that continues after import
+    const status = await this._getZpoolStatus(zpoolName);
+    if (status?.scan?.state === 'running' && !this._zfsScanMonitors.has(pool.name)) {
+      this._startZfsScanMonitor(pool.name, zpoolName, status.scan.operation, false);
+    }
+
+    if (status && status.state !== 'ONLINE') {
+      sendNotification('ZFS', `ZFS pool ${pool.name} was mounted in state ${status.state}`, 'alert')
+        .catch(err => console.warn(`Failed to send ZFS state notification: ${err.message}`));
+    }
+
+    return {
+      success: true,
+      message: `Pool "${pool.name}" (ID: ${pool.id}) mounted successfully`,
+      pool: {
+        id: pool.id,
+        name: pool.name,
+        status: await this.getDeviceSpace(mountPoint, options.user)
+      }
+    };
+  }
+
+  /**
+   * Unmount a ZFS pool by exporting the zpool
+   * @private
+   */
+  async _unmountZfsPool(pool, force = false) {
+    const zpoolName = this._getZpoolName(pool);
+
+    if (await this._isZpoolImported(zpoolName)) {
+      try {
+        await execPromise(`zpool export ${force ? '-f ' : ''}"${zpoolName}"`);
+      } catch (error) {
+        throw new Error(`Failed to export zpool "${zpoolName}": ${error.message}`);
+      }
+    }
+
+    this._stopZfsScanMonitor(pool.name);
+
+    return {
+      success: true,
+      message: `Pool "${pool.name}" (ID: ${pool.id}) unmounted successfully`
+    };
+  }
+
+  /**
+   * Format a ZFS scan (scrub / resilver) for API output, same shape as the BTRFS scrub progress
+   * @private
+   */
+  _formatZfsScanProgress(scan, user = null) {
+    const processed = scan.issued !== null ? scan.issued : scan.scanned;
+    return {
+      status: scan.state,
+      percent: scan.percent,
+      processed: processed !== null ? this.formatBytes(processed, user) : null,
+      total: scan.total !== null ? this.formatBytes(scan.total, user) : null,
+      speed: scan.speed !== null ? this.formatSpeed(scan.speed, user) : null,
+      eta: scan.eta,
+      errors: scan.errors
+    };
+  }
+
+  /**
+   * Inject ZFS health, scrub and resilver status into a pool (API-only, not persisted)
+   * @private
+   */
+  async _injectZfsOperationStatus(pool, user = null) {
+    if (!pool.status) {
+      pool.status = {};
+    }
+
+    const zpoolName = this._getZpoolName(pool);
+    const status = await this._isZpoolImported(zpoolName) ? await this._getZpoolStatus(zpoolName) : null;
+
+    if (!status) {
+      pool.status.health = null;
+      pool.status.scrub_operation = false;
+      pool.status.scrub_progress = null;
+      pool.status.resilver_operation = false;
+      pool.status.resilver_progress = null;
+      return;
+    }
+
+    const scan = status.scan;
+    const active = scan && ['running', 'paused'].includes(scan.state);
+
+    pool.status.health = status.state;
+    pool.status.health_message = status.status;
+    pool.status.health_action = status.action;
+    pool.status.data_errors = status.errors;
+    pool.status.scrub_operation = !!(scan && scan.operation === 'scrub' && scan.state === 'running');
+    pool.status.scrub_progress = active && scan.operation === 'scrub' ? this._formatZfsScanProgress(scan, user) : null;
+    pool.status.resilver_operation = !!(scan && scan.operation === 'resilver' && scan.state === 'running');
+    pool.status.resilver_progress = active && scan.operation === 'resilver' ? this._formatZfsScanProgress(scan, user) : null;
+    pool.status.last_scan = scan && !active
+      ? { operation: scan.operation, state: scan.state, errors: scan.errors, repaired: scan.repaired }
+      : null;
+
+    for (const device of pool.data_devices || []) {
+      const vdev = ZfsHelpers.findStatusDevice(status.devices, this._getZfsDevicePath(device));
+      device.zfs = vdev
+        ? {
+          state: vdev.state,
+          vdev: vdev.vdev,
+          read_errors: vdev.read,
+          write_errors: vdev.write,
+          checksum_errors: vdev.cksum,
+          resilvering: vdev.resilvering
+        }
+        : { state: 'UNKNOWN', vdev: null, read_errors: 0, write_errors: 0, checksum_errors: 0, resilvering: false };
+    }
+  }
+
+  /**
+   * Initialize ZFS scrub/resilver monitor on API startup
+   * @private
+   */
+  async _initZfsScanMonitor() {
+    try {
+      const pools = await this._readPools();
+      for (const pool of pools.filter(p => p.type === 'zfs')) {
+        const zpoolName = this._getZpoolName(pool);
+        const status = await this._isZpoolImported(zpoolName) ? await this._getZpoolStatus(zpoolName) : null;
+        if (status?.scan?.state === 'running') {
+          console.log(`ZFS ${status.scan.operation} detected on startup for pool ${pool.name}`);
+          this._startZfsScanMonitor(pool.name, zpoolName, status.scan.operation, false);
+        }
+      }
+    } catch (error) {
+      console.warn(`ZFS scan monitor init failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start ZFS scrub/resilver monitor for a pool
+   * @param {string} poolName - Pool name
+   * @param {string} zpoolName - zpool name
+   * @param {string} operation - scrub or resilver
+   * @param {boolean} sendStartNotification - Whether to send start notification
+   * @private
+   */
+  _startZfsScanMonitor(poolName, zpoolName, operation, sendStartNotification = true) {
+    this._stopZfsScanMonitor(poolName);
+
+    if (sendStartNotification) {
+      sendNotification('ZFS', `ZFS ${operation} started for pool ${poolName}`, 'normal').catch(err => console.warn(`Failed to send ZFS ${operation} start notification: ${err.message}`));
+    }
+
+    const intervalId = setInterval(() => {
+      this._checkZfsScanCompletion(poolName);
+    }, 10000);
+
+    this._zfsScanMonitors.set(poolName, { zpoolName, operation, intervalId });
+    console.log(`ZFS ${operation} monitor started for pool ${poolName}`);
+  }
+
+  /**
+   * Stop ZFS scrub/resilver monitor for a pool
+   * @private
+   */
+  _stopZfsScanMonitor(poolName) {
+    const monitor = this._zfsScanMonitors.get(poolName);
+    if (monitor) {
+      clearInterval(monitor.intervalId);
+      this._zfsScanMonitors.delete(poolName);
+    }
+  }
+
+  /**
+   * Check if a ZFS scrub/resilver has completed
+   * @private
+   */
+  async _checkZfsScanCompletion(poolName) {
+    const monitor = this._zfsScanMonitors.get(poolName);
+    if (!monitor) return;
+
+    try {
+      const status = await this._getZpoolStatus(monitor.zpoolName);
+      if (!status) {
+        // Pool exported in the meantime
+        this._stopZfsScanMonitor(poolName);
+        return;
+      }
+
+      const scan = status.scan;
+      if (scan?.state === 'running') {
+        // A resilver can take over from a running scrub
+        monitor.operation = scan.operation;
+        return;
+      }
+      if (scan?.state === 'paused') {
+        this._stopZfsScanMonitor(poolName);
+        return;
+      }
+
+      const operation = scan?.operation || monitor.operation;
+      const errors = scan?.errors || 0;
+
+      if (scan?.state === 'canceled') {
+        console.log(`ZFS ${operation} canceled for pool ${poolName}`);
+      } else if (errors > 0 || status.state !== 'ONLINE') {
+        sendNotification('ZFS', `ZFS ${operation} completed for pool ${poolName} with ${errors} error(s) - pool state ${status.state}`, 'alert').catch(err => console.warn(`Failed to send ZFS ${operation} completion notification: ${err.message}`));
+      } else {
+        sendNotification('ZFS', `ZFS ${operation} completed successfully for pool ${poolName} - no errors found`, 'normal').catch(err => console.warn(`Failed to send ZFS ${operation} completion notification: ${err.message}`));
+      }
+
+      console.log(`ZFS ${operation} finished for pool ${poolName}${errors > 0 ? ` with ${errors} errors` : ''} (state ${status.state})`);
+      this._stopZfsScanMonitor(poolName);
+    } catch (error) {
+      console.warn(`ZFS scan completion check failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute ZFS scrub operation
+   * @param {string} poolId - Pool ID
+   * @param {string} operation - Operation: start, status, pause, resume, cancel
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>}
+   */
+  async executeZfsScrubOperation(poolId, operation, options = {}) {
+    const pool = await this.getPoolById(poolId);
+
+    if (pool.type !== 'zfs') {
+      throw new Error(`ZFS scrub is only supported for ZFS pools, not '${pool.type}'`);
+    }
+
+    const validOperations = ['start', 'status', 'pause', 'resume', 'cancel'];
+    if (!validOperations.includes(operation)) {
+      throw new Error(`Invalid operation. Supported operations: ${validOperations.join(', ')}`);
+    }
+
+    const zpoolName = this._getZpoolName(pool);
+    const status = await this._isZpoolImported(zpoolName) ? await this._getZpoolStatus(zpoolName) : null;
+    if (!status) {
+      throw new Error('ZFS pool is not mounted. Please mount the pool first.');
+    }
+
+    const scan = status.scan;
+    const scrubRunning = scan?.operation === 'scrub' && scan.state === 'running';
+    const scrubPaused = scan?.operation === 'scrub' && scan.state === 'paused';
+    const resilverRunning = scan?.operation === 'resilver' && scan.state === 'running';
+
+    if (operation === 'status') {
+      return {
+        success: true,
+        operation: 'status',
+        poolName: pool.name,
+        running: scrubRunning,
+        paused: scrubPaused,
+        resilvering: resilverRunning,
+        health: status.state,
+        progress: scan && ['running', 'paused'].includes(scan.state) ? this._formatZfsScanProgress(scan, options.user) : null,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    let command;
+    let description;
+
+    switch (operation) {
+      case 'start':
+        if (scrubRunning) {
+          throw new Error('A scrub operation is already running. Use "cancel" to stop it first.');
+        }
+        if (scrubPaused) {
+          throw new Error('A scrub operation is paused. Use "resume" to continue it or "cancel" to stop it.');
+        }
+        if (resilverRunning) {
+          throw new Error('A resilver is running. Wait for it to finish before starting a scrub.');
+        }
+        command = `zpool scrub "${zpoolName}"`;
+        description = 'ZFS scrub started';
+        break;
+      case 'pause':
+        if (!scrubRunning) {
+          throw new Error('No scrub operation is currently running');
+        }
+        command = `zpool scrub -p "${zpoolName}"`;
+        description = 'ZFS scrub paused';
+        break;
+      case 'resume':
+        if (!scrubPaused) {
+          throw new Error('No paused scrub operation to resume');
+        }
+        command = `zpool scrub "${zpoolName}"`;
+        description = 'ZFS scrub resumed';
+        break;
+      case 'cancel':
+        if (!scrubRunning && !scrubPaused) {
+          throw new Error('No scrub operation is currently running');
+        }
+        command = `zpool scrub -s "${zpoolName}"`;
+        description = 'ZFS scrub cancelled';
+        break;
+    }
+
+    try {
+      console.log(`Executing ZFS scrub operation: ${command}`);
+      // zpool scrub returns immediately, the scrub runs in the kernel
+      await execPromise(command);
+
+      if (operation === 'start' || operation === 'resume') {
+        this._startZfsScanMonitor(pool.name, zpoolName, 'scrub', operation === 'start');
+      } else {
+        this._stopZfsScanMonitor(pool.name);
+      }
+
+      if (operation !== 'start') {
+        sendNotification('ZFS', `${description} for pool ${pool.name}`, 'normal')
+          .catch(err => console.warn(`Failed to send ZFS scrub ${operation} notification: ${err.message}`));
+      }
+
+      return {
+        success: true,
+        message: description,
+        operation,
+        poolName: pool.name,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw new Error(`ZFS scrub operation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a ZFS vdev and track the resilver
+   * @private
+   */
+  async _replaceZfsDevice(pool, oldDevice, newDevice, options) {
+    const zpoolName = this._getZpoolName(pool);
+    const status = await this._isZpoolImported(zpoolName) ? await this._getZpoolStatus(zpoolName) : null;
+    if (!status) {
+      throw new Error('ZFS pool must be mounted to replace a device');
+    }
+
+    const pools = await this._readPools();
+    const storedPool = pools.find(p => p.id === pool.id);
+    const displayDevice = pool.data_devices.find(d => d.device === oldDevice || d.id === oldDevice);
+    const entry = storedPool.data_devices.find(d => d.id === displayDevice.id);
+
+    // Failed disks are addressed by GUID once their path is gone
+    const vdev = ZfsHelpers.findStatusDevice(status.devices, this._getZfsDevicePath(entry));
+    if (!vdev) {
+      throw new Error(`Device ${oldDevice} was not found in zpool "${zpoolName}"`);
+    }
+    const oldVdev = vdev.guid || vdev.path;
+
+    const newId = await this._resolveZfsDeviceId(newDevice);
+    const newPath = this._getZfsDevicePath({ id: newId });
+
+    try {
+      await execPromise(`zpool replace -f "${zpoolName}" "${oldVdev}" "${newPath}"`);
+    } catch (error) {
+      throw new Error(`zpool replace failed: ${error.message}`);
+    }
+
+    entry.id = newId;
+    await this._writePools(pools);
+    this._refreshUdevDeviceMap().catch(() => {});
+
+    // Cache devices are not resilvered
+    if (entry.vdev_class !== 'cache') {
+      this._startZfsScanMonitor(pool.name, zpoolName, 'resilver', true);
+    }
+
+    return {
+      success: true,
+      message: `Successfully started replacing ${oldDevice} with ${newDevice} in pool '${pool.name}'. Resilver is running.`,
+      pool: storedPool
+    };
+  }
+
+  /**
+   * Get available pool types based on system capabilities
+   * Returns static pool types and conditionally includes 'nonraid' based on:
+   * - md-nonraid kernel module availability
+   * - No existing nonraid pool
+   * and 'zfs' if the ZFS module and tools are available
+   * @returns {Promise<Array<string>>} - Array of available pool types
+   */
+  async getAvailablePoolTypes() {
+    // Start with static pool types
+    const poolTypes = ['single', 'multi', 'mergerfs'];
+
+    try {
+      // Check if md-nonraid module is available (without loading it)
+      let moduleAvailable = false;
+      try {
+        await execPromise('modinfo md-nonraid');
+        moduleAvailable = true;
+      } catch (error) {
+        // Module not available
+        moduleAvailable = false;
+      }
+
+      // If module is available, check if there's already a nonraid pool - disabled for now
+      const pools = await this._readPools();
+      const hasNonRaidPool = pools.some(pool => pool.type === 'nonraid');
+
+      // Only add nonraid if module is available AND no nonraid pool exists
+      if (moduleAvailable && !hasNonRaidPool) {
+        poolTypes.push('nonraid');
+      }
+    } catch (error) {
+      // If there's any error reading pools, just return the basic types
+      console.warn(`Warning: Could not check nonraid availability: ${error.message}`);
+    }
+
+    if (await this._isZfsAvailable()) {
+      poolTypes.push('zfs');
     }
 
     return poolTypes;
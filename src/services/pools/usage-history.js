@@ -0,0 +1,263 @@
+/**
+ * Helper functions for pool usage history (compact CSV time series and capacity forecast)
+ *
+ * One file per pool, one line per sample: <unix seconds>,<used bytes>,<free bytes>
+ */
+
+const DAY = 86400;
+const RAW_RETENTION = 7 * DAY; // full resolution
+const HOURLY_RETENTION = 2 * 365 * DAY; // one sample per hour, older samples are dropped
+
+const DURATION_UNITS = {
+  m: 60,
+  h: 3600,
+  d: DAY,
+  w: 7 * DAY,
+  y: 365 * DAY
+};
+
+const FORECAST_METHODS = ['auto', 'linear', 'seasonal'];
+
+class UsageHistory {
+  /**
+   * Parse the content of a history file
+   * @param {string} content - File content
+   * @returns {Array<{t: number, used: number, free: number}>} Samples, oldest first
+   */
+  static parse(content) {
+    const samples = [];
+
+    for (const line of String(content || '').split('\n')) {
+      const [t, used, free] = line.split(',').map(value => parseInt(value, 10));
+      if (Number.isFinite(t) && Number.isFinite(used) && Number.isFinite(free)) {
+        samples.push({ t, used, free });
+      }
+    }
+
+    return samples.sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Serialize samples to file content
+   * @param {Array} samples - Samples
+   * @returns {string}
+   */
+  static serialize(samples) {
+    return samples.map(s => `${s.t},${s.used},${s.free}\n`).join('');
+  }
+
+  /**
+   * Thin out old samples: full resolution for 7 days, then the last sample per hour for 2 years
+   * @param {Array} samples - Samples, oldest first
+   * @param {number} now - Unix seconds
+   * @returns {Array} Compacted samples
+   */
+  static compact(samples, now) {
+    const result = [];
+    const hourly = new Map();
+
+    for (const sample of samples) {
+      const age = now - sample.t;
+      if (age > HOURLY_RETENTION) continue;
+
+      if (age <= RAW_RETENTION) {
+        result.push(sample);
+      } else {
+        hourly.set(Math.floor(sample.t / 3600), sample);
+      }
+    }
+
+    return [...hourly.values(), ...result].sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Parse a duration like 15m, 24h, 7d, 4w, 1y or plain seconds
+   * @param {string|number} value - Duration
+   * @returns {number} Seconds
+   */
+  static parseDuration(value) {
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const seconds = parseInt(value, 10);
+      if (seconds > 0) return seconds;
+    }
+
+    const match = String(value || '').trim().match(/^(\d+)\s*([mhdwy])$/i);
+    if (!match || parseInt(match[1], 10) === 0) {
+      throw new Error(`Invalid duration: ${value}. Use e.g. 30m, 24h, 7d, 4w or 1y`);
+    }
+
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+  }
+
+  /**
+   * Default resolution for a range (raw up to a day, hourly up to a month, daily beyond)
+   * @param {number} range - Seconds
+   * @returns {number} Bucket size in seconds (0 = raw samples)
+   */
+  static getDefaultResolution(range) {
+    if (range <= DAY) return 0;
+    if (range <= 31 * DAY) return 3600;
+    return DAY;
+  }
+
+  /**
+   * Average samples into buckets
+   * @param {Array} samples - Samples, oldest first
+   * @param {number} from - Unix seconds
+   * @param {number} to - Unix seconds
+   * @param {number} resolution - Bucket size in seconds (0 = raw samples)
+   * @returns {Array<{t: number, used: number, free: number}>}
+   */
+  static aggregate(samples, from, to, resolution) {
+    const inRange = samples.filter(s => s.t >= from && s.t <= to);
+    if (!resolution) {
+      return inRange;
+    }
+
+    const buckets = new Map();
+    for (const sample of inRange) {
+      const key = Math.floor(sample.t / resolution) * resolution;
+      const bucket = buckets.get(key) || { t: key, used: 0, free: 0, count: 0 };
+      bucket.used += sample.used;
+      bucket.free += sample.free;
+      bucket.count++;
+      buckets.set(key, bucket);
+    }
+
+    return Array.from(buckets.values()).map(bucket => ({
+      t: bucket.t,
+      used: Math.round(bucket.used / bucket.count),
+      free: Math.round(bucket.free / bucket.count)
+    }));
+  }
+
+  /**
+   * Least squares fit of used bytes over time
+   * @returns {{slope: number, rSquared: number|null}} slope in bytes per second
+   * @private
+   */
+  static _linearFit(samples) {
+    const n = samples.length;
+    const t0 = samples[0].t;
+    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+
+    for (const s of samples) {
+      const x = s.t - t0;
+      sumX += x;
+      sumY += s.used;
+      sumXY += x * s.used;
+      sumXX += x * x;
+    }
+
+    const denominator = n * sumXX - sumX * sumX;
+    if (denominator === 0) {
+      return { slope: 0, rSquared: null };
+    }
+
+    const slope = (n * sumXY - sumX * sumY) / denominator;
+    const intercept = (sumY - slope * sumX) / n;
+    const meanY = sumY / n;
+    let ssTot = 0, ssRes = 0;
+    for (const s of samples) {
+      const predicted = intercept + slope * (s.t - t0);
+      ssTot += (s.used - meanY) ** 2;
+      ssRes += (s.used - predicted) ** 2;
+    }
+
+    return { slope, rSquared: ssTot > 0 ? 1 - ssRes / ssTot : null };
+  }
+
+  /**
+   * Find the sample closest to a point in time (within a tolerance)
+   * @private
+   */
+  static _sampleAt(samples, t, tolerance) {
+    let best = null;
+    for (const s of samples) {
+      const distance = Math.abs(s.t - t);
+      if (distance <= tolerance && (!best || distance < Math.abs(best.t - t))) {
+        best = s;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Forecast when a pool runs full
+   *
+   * linear:   least squares trend over the lookback window
+   * seasonal: average week-over-week growth, so weekly patterns (e.g. backups on the
+   *           weekend, cleanups on Monday) do not skew the trend - needs one week of data
+   * auto:     seasonal when two weeks of data are available, linear otherwise
+   *
+   * @param {Array} samples - Samples, oldest first
+   * @param {Object} options - { method, lookbackDays }
+   * @returns {Object} { method, lookback_days, growth_per_day, days_until_full, full_date, r_squared, reason }
+   */
+  static forecast(samples, options = {}) {
+    const method = options.method || 'auto';
+    if (!FORECAST_METHODS.includes(method)) {
+      throw new Error(`Invalid forecast method: ${method}. Supported: ${FORECAST_METHODS.join(', ')}`);
+    }
+
+    const result = {
+      method,
+      lookback_days: null,
+      growth_per_day: null,
+      days_until_full: null,
+      full_date: null,
+      r_squared: null,
+      reason: null
+    };
+
+    if (samples.length < 2) {
+      result.reason = 'Not enough samples';
+      return result;
+    }
+
+    const latest = samples[samples.length - 1];
+    const span = latest.t - samples[0].t;
+    const useSeasonal = method === 'seasonal' || (method === 'auto' && span >= 14 * DAY);
+    const lookbackDays = options.lookbackDays || (useSeasonal ? 28 : 14);
+    const window = samples.filter(s => s.t >= latest.t - lookbackDays * DAY);
+    result.method = useSeasonal ? 'seasonal' : 'linear';
+    result.lookback_days = lookbackDays;
+
+    let growthPerDay = null;
+    if (useSeasonal) {
+      // Longest whole number of weeks covered by the window
+      for (let weeks = Math.floor(lookbackDays / 7); weeks >= 1 && growthPerDay === null; weeks--) {
+        const past = this._sampleAt(window, latest.t - weeks * 7 * DAY, 6 * 3600);
+        if (past) {
+          growthPerDay = (latest.used - past.used) / (weeks * 7);
+        }
+      }
+      if (growthPerDay === null) {
+        result.reason = 'Seasonal forecast needs at least one week of history';
+        return result;
+      }
+    } else {
+      if (window.length < 2 || latest.t - window[0].t < DAY) {
+        result.reason = 'Forecast needs at least one day of history';
+        return result;
+      }
+      const fit = this._linearFit(window);
+      growthPerDay = fit.slope * DAY;
+      result.r_squared = fit.rSquared !== null ? Math.round(fit.rSquared * 1000) / 1000 : null;
+    }
+
+    result.growth_per_day = Math.round(growthPerDay);
+    if (growthPerDay <= 0) {
+      result.reason = 'Usage is not growing';
+      return result;
+    }
+
+    const days = latest.free / growthPerDay;
+    result.days_until_full = Math.round(days * 10) / 10;
+    result.full_date = new Date((latest.t + days * DAY) * 1000).toISOString();
+    return result;
+  }
+}
+
+module.exports = UsageHistory;
+module.exports.FORECAST_METHODS = FORECAST_METHODS;
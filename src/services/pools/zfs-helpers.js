@@ -0,0 +1,294 @@
+/**
+ * Helper functions for ZFS pools (zpool command building and output parsing)
+ */
+
+// Data vdev layouts and the minimum number of devices per top-level vdev
+const ZFS_RAID_LEVELS = {
+  stripe: 1,
+  mirror: 2,
+  raidz1: 2,
+  raidz2: 3,
+  raidz3: 4
+};
+
+// Support vdev classes as named in zpool create / zpool status
+const ZFS_VDEV_CLASSES = {
+  special: 'special',
+  log: 'log',
+  cache: 'cache'
+};
+
+// Group headers in the config section of zpool status
+const ZFS_STATUS_GROUPS = {
+  special: 'special',
+  logs: 'log',
+  cache: 'cache',
+  spares: 'spare',
+  dedup: 'dedup'
+};
+
+const ZFS_RESERVED_NAMES = ['mirror', 'raidz', 'draid', 'spare', 'log', 'logs', 'cache', 'special', 'dedup'];
+
+class ZfsHelpers {
+  /**
+   * Validate a name for use as zpool name (in addition to PoolHelpers.validatePoolName)
+   * @param {string} name - Pool name
+   */
+  static validateZpoolName(name) {
+    if (!/^[a-zA-Z]/.test(name)) {
+      throw new Error('ZFS pool names must begin with a letter');
+    }
+
+    const lower = name.toLowerCase();
+    if (ZFS_RESERVED_NAMES.some(reserved => lower.startsWith(reserved)) || /^c[0-9]/.test(lower)) {
+      throw new Error(`Pool name '${name}' is reserved by ZFS and cannot be used`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a data vdev layout
+   * @param {string} raidLevel - stripe, mirror, raidz1, raidz2, raidz3
+   * @param {number} deviceCount - Number of data devices
+   * @param {number|null} vdevWidth - Devices per top-level vdev (null = one vdev with all devices)
+   * @returns {number} Effective vdev width
+   */
+  static validateRaidLevel(raidLevel, deviceCount, vdevWidth = null) {
+    if (!Object.prototype.hasOwnProperty.call(ZFS_RAID_LEVELS, raidLevel)) {
+      throw new Error(`Unsupported RAID level: ${raidLevel}. Supported: ${Object.keys(ZFS_RAID_LEVELS).join(', ')}`);
+    }
+
+    if (raidLevel === 'stripe') {
+      return 1;
+    }
+
+    const width = vdevWidth ? parseInt(vdevWidth, 10) : deviceCount;
+    if (isNaN(width) || width < ZFS_RAID_LEVELS[raidLevel]) {
+      throw new Error(`${raidLevel} requires at least ${ZFS_RAID_LEVELS[raidLevel]} devices per vdev`);
+    }
+
+    if (deviceCount % width !== 0) {
+      throw new Error(`Number of data devices (${deviceCount}) must be a multiple of the vdev width (${width})`);
+    }
+
+    return width;
+  }
+
+  /**
+   * Build the vdev specification for zpool create / zpool add
+   * @param {string[]} dataDevices - Data device paths
+   * @param {string} raidLevel - Data layout
+   * @param {number} vdevWidth - Devices per top-level vdev
+   * @param {Object} support - { special: { devices, layout }, log: {...}, cache: {...} }
+   * @returns {string[]} Arguments
+   */
+  static buildVdevArgs(dataDevices, raidLevel, vdevWidth, support = {}) {
+    const args = [];
+
+    if (raidLevel === 'stripe') {
+      args.push(...dataDevices);
+    } else {
+      for (let i = 0; i < dataDevices.length; i += vdevWidth) {
+        args.push(raidLevel, ...dataDevices.slice(i, i + vdevWidth));
+      }
+    }
+
+    for (const vdevClass of Object.keys(ZFS_VDEV_CLASSES)) {
+      const group = support[vdevClass];
+      if (!group || !group.devices || group.devices.length === 0) continue;
+
+      args.push(ZFS_VDEV_CLASSES[vdevClass]);
+      // Cache devices can not be mirrored
+      if (vdevClass !== 'cache' && group.layout === 'mirror') {
+        args.push('mirror');
+      }
+      args.push(...group.devices);
+    }
+
+    return args;
+  }
+
+  /**
+   * Parse a size string as printed by zpool (e.g. 1.23G, 800M, 0B)
+   * @param {string} value - Size string
+   * @returns {number|null} Bytes
+   */
+  static parseSize(value) {
+    const match = String(value || '').match(/^([\d.]+)\s*([BKMGTPE]?)/i);
+    if (!match) return null;
+
+    const exponent = 'BKMGTPE'.indexOf((match[2] || 'B').toUpperCase());
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, Math.max(exponent, 0)));
+  }
+
+  /**
+   * Parse the scan section of zpool status
+   * @param {string} scanText - Text after "scan:" including continuation lines
+   * @returns {Object|null} { operation, state, percent, scanned, issued, total, speed, eta, repaired, errors }
+   */
+  static parseScan(scanText) {
+    if (!scanText || /none requested/.test(scanText)) {
+      return null;
+    }
+
+    const operation = /resilver/.test(scanText) ? 'resilver' : 'scrub';
+    let state = 'finished';
+    if (/in progress/.test(scanText)) state = 'running';
+    else if (/paused/.test(scanText)) state = 'paused';
+    else if (/canceled|cancelled/.test(scanText)) state = 'canceled';
+
+    const percentMatch = scanText.match(/([\d.]+)% done/);
+    const scannedMatch = scanText.match(/([\d.]+[BKMGTPE]?) scanned/);
+    const issuedMatch = scanText.match(/([\d.]+[BKMGTPE]?) issued/);
+    const totalMatch = scanText.match(/([\d.]+[BKMGTPE]?) total/);
+    const speedMatch = scanText.match(/issued at ([\d.]+[BKMGTPE]?)\/s/) || scanText.match(/scanned at ([\d.]+[BKMGTPE]?)\/s/);
+    const etaMatch = scanText.match(/([\d:]+|\d+ days? [\d:]+) to go/);
+    // "200M resilvered, 8.00% done" while running, "scrub repaired 0B in ..." when finished
+    const repairedMatch = scanText.match(/([\d.]+[BKMGTPE]?) (?:repaired|resilvered)/) ||
+      scanText.match(/(?:repaired|resilvered) ([\d.]+[BKMGTPE]?)/);
+    const errorsMatch = scanText.match(/with (\d+) errors?/);
+
+    return {
+      operation,
+      state,
+      percent: percentMatch ? parseFloat(percentMatch[1]) : (state === 'finished' ? 100 : 0),
+      scanned: scannedMatch ? ZfsHelpers.parseSize(scannedMatch[1]) : null,
+      issued: issuedMatch ? ZfsHelpers.parseSize(issuedMatch[1]) : null,
+      total: totalMatch ? ZfsHelpers.parseSize(totalMatch[1]) : null,
+      speed: speedMatch ? ZfsHelpers.parseSize(speedMatch[1]) : null,
+      eta: etaMatch ? etaMatch[1] : null,
+      repaired: repairedMatch ? ZfsHelpers.parseSize(repairedMatch[1]) : null,
+      errors: errorsMatch ? parseInt(errorsMatch[1], 10) : 0
+    };
+  }
+
+  /**
+   * Parse zpool status -P output of a single pool
+   * @param {string} output - zpool status -P <pool> output
+   * @returns {Object} { name, state, status, action, scan, devices, vdevs, errors }
+   */
+  static parseStatus(output) {
+    const result = {
+      name: null,
+      state: null,
+      status: null,
+      action: null,
+      scan: null,
+      vdevs: [],
+      devices: [],
+      errors: null
+    };
+
+    const lines = output.split('\n');
+    const sections = {};
+    let currentKey = null;
+    let configStart = -1;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const header = line.match(/^\s*(pool|state|status|action|see|scan|config|errors):\s?(.*)$/);
+
+      if (header && !line.startsWith('\t')) {
+        currentKey = header[1];
+        sections[currentKey] = header[2].trim();
+        if (currentKey === 'config') {
+          configStart = i + 1;
+        }
+        continue;
+      }
+
+      // Continuation lines of multi line sections (status, action, scan)
+      if (currentKey && currentKey !== 'config' && line.trim()) {
+        sections[currentKey] += ` ${line.trim()}`;
+      }
+    }
+
+    result.name = sections.pool || null;
+    result.state = sections.state || null;
+    result.status = sections.status || null;
+    result.action = sections.action || null;
+    result.errors = sections.errors || null;
+    result.scan = ZfsHelpers.parseScan(sections.scan);
+
+    if (configStart === -1) {
+      return result;
+    }
+
+    let vdevClass = 'data';
+    let currentVdev = null;
+
+    for (let i = configStart; i < lines.length; i++) {
+      const line = lines[i];
+      if (/^\s*errors:/.test(line)) break;
+      if (!line.trim() || /^\s*NAME\s+STATE/.test(line)) continue;
+
+      // Indentation below the config tab: 0 = pool / group header, 2 = top-level vdev, 4+ = leaf
+      const body = line.replace(/^\t/, '');
+      const indent = body.length - body.trimStart().length;
+      const parts = body.trim().split(/\s+/);
+      const [name, state, read, write, cksum] = parts;
+      const note = parts.slice(5).join(' ') || null;
+
+      if (indent === 0) {
+        if (ZFS_STATUS_GROUPS[name]) {
+          vdevClass = ZFS_STATUS_GROUPS[name];
+        } else {
+          vdevClass = 'data';
+        }
+        currentVdev = null;
+        continue;
+      }
+
+      const isLeaf = name.startsWith('/') || /^\d{6,}$/.test(name);
+      const counters = {
+        state: state || null,
+        read: read !== undefined ? parseInt(read, 10) || 0 : 0,
+        write: write !== undefined ? parseInt(write, 10) || 0 : 0,
+        cksum: cksum !== undefined ? parseInt(cksum, 10) || 0 : 0
+      };
+
+      if (!isLeaf) {
+        // mirror-0, raidz2-1, replacing-1, spare-0 ...
+        if (indent === 2) {
+          currentVdev = { name, class: vdevClass, ...counters };
+          result.vdevs.push(currentVdev);
+        }
+        continue;
+      }
+
+      // Missing devices are shown by GUID with "was /dev/..." note
+      const wasMatch = note ? note.match(/was (\/\S+)/) : null;
+
+      result.devices.push({
+        path: wasMatch ? wasMatch[1] : name,
+        guid: /^\d{6,}$/.test(name) ? name : null,
+        class: vdevClass,
+        vdev: indent === 2 ? null : (currentVdev ? currentVdev.name : null),
+        ...counters,
+        resilvering: note ? /resilvering/.test(note) : false,
+        note
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Find a pool config device in parsed zpool status devices.
+   * Whole disks are partitioned by ZFS, so by-id entries show up with a -partN suffix.
+   * @param {Array} statusDevices - Devices from parseStatus
+   * @param {string} devicePath - Configured path (by-id path or file)
+   * @returns {Object|null} Status device
+   */
+  static findStatusDevice(statusDevices, devicePath) {
+    if (!devicePath) return null;
+
+    return statusDevices.find(d => d.path === devicePath) ||
+      statusDevices.find(d => d.path.startsWith(`${devicePath}-part`)) ||
+      null;
+  }
+}
+
+module.exports = ZfsHelpers;
+module.exports.ZFS_RAID_LEVELS = ZFS_RAID_LEVELS;
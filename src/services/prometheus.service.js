@@ -0,0 +1,429 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { exec } = require('child_process');
+const util = require('util');
+const execPromise = util.promisify(exec);
+
+const SCRAPE_TOKEN_PATH = '/boot/config/api/metrics-token';
+
+/**
+ * Prometheus Service - Renders system, pool, disk, container and notification state
+ * in the Prometheus text format (or OpenMetrics) for GET /metrics
+ *
+ * Only cached or passive sources are used, so a scrape never wakes sleeping disks:
+ * disk temperatures come from the smartd state files, spin state from the
+ * standby-safe power status cache and container usage from the metrics recorder.
+ */
+class PrometheusService {
+  constructor() {
+    this._collecting = null;
+  }
+
+  // ============================================================
+  // SCRAPE TOKEN
+  // ============================================================
+
+  async _readScrapeToken() {
+    try {
+      const content = await fs.readFile(SCRAPE_TOKEN_PATH, 'utf8');
+      const data = JSON.parse(content);
+      return data && data.token ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a bearer token is the scrape token
+   * @param {string} token - Bearer token
+   * @returns {Promise<boolean>}
+   */
+  async isScrapeToken(token) {
+    const data = await this._readScrapeToken();
+    if (!token || !data) return false;
+
+    const expected = Buffer.from(data.token);
+    const given = Buffer.from(String(token));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * @returns {Promise<Object>} { configured, createdAt }
+   */
+  async getScrapeTokenStatus() {
+    const data = await this._readScrapeToken();
+    return {
+      configured: !!data,
+      createdAt: data ? data.createdAt : null
+    };
+  }
+
+  /**
+   * Create or rotate the scrape token. The token is only returned here.
+   * @returns {Promise<Object>} { token, createdAt }
+   */
+  async createScrapeToken() {
+    const data = {
+      token: crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(path.dirname(SCRAPE_TOKEN_PATH), { recursive: true });
+    await fs.writeFile(SCRAPE_TOKEN_PATH, JSON.stringify(data, null, 2), { mode: 0o600 });
+    return data;
+  }
+
+  /**
+   * Remove the scrape token (only admin tokens can scrape afterwards)
+   * @returns {Promise<boolean>} True if a token was removed
+   */
+  async deleteScrapeToken() {
+    try {
+      await fs.unlink(SCRAPE_TOKEN_PATH);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // FORMATTING
+  // ============================================================
+
+  _escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  }
+
+  /**
+   * Render metric families
+   * @param {Array} families - [{ name, type, help, samples: [{ labels, value }] }]
+   * @param {boolean} openMetrics - OpenMetrics instead of the Prometheus text format
+   * @returns {string}
+   */
+  render(families, openMetrics = false) {
+    const lines = [];
+
+    for (const family of families) {
+      if (family.samples.length === 0) continue;
+
+      // OpenMetrics names counters without the _total suffix in the metadata
+      const metaName = openMetrics && family.type === 'counter' ? family.name.replace(/_total$/, '') : family.name;
+      lines.push(`# HELP ${metaName} ${family.help}`);
+      lines.push(`# TYPE ${metaName} ${family.type}`);
+
+      for (const sample of family.samples) {
+        const labels = Object.entries(sample.labels || {})
+          .filter(([, value]) => value !== null && value !== undefined)
+          .map(([key, value]) => `${key}="${this._escapeLabel(value)}"`);
+        const labelText = labels.length > 0 ? `{${labels.join(',')}}` : '';
+        lines.push(`${family.name}${labelText} ${Number.isFinite(sample.value) ? sample.value : 'NaN'}`);
+      }
+    }
+
+    if (openMetrics) {
+      lines.push('# EOF');
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  // ============================================================
+  // COLLECTORS
+  // ============================================================
+
+  /**
+   * Collect all metrics. Concurrent scrapes share one collection.
+   * @param {boolean} openMetrics - Render as OpenMetrics
+   * @returns {Promise<string>}
+   */
+  async collect(openMetrics = false) {
+    if (!this._collecting) {
+      this._collecting = this._collectFamilies().finally(() => {
+        this._collecting = null;
+      });
+    }
+
+    return this.render(await this._collecting, openMetrics);
+  }
+
+  async _collectFamilies() {
+    const started = Date.now();
+    const collectors = {
+      system: () => this._collectSystem(),
+      pools: () => this._collectPools(),
+      disks: () => this._collectDisks(),
+      containers: () => this._collectContainers(),
+      notifications: () => this._collectNotifications()
+    };
+
+    const families = [];
+    const status = { name: 'mos_exporter_collector_success', type: 'gauge', help: 'Whether a collector succeeded', samples: [] };
+
+    for (const [name, collector] of Object.entries(collectors)) {
+      try {
+        families.push(...await collector());
+        status.samples.push({ labels: { collector: name }, value: 1 });
+      } catch (error) {
+        console.warn(`[Prometheus] Collector ${name} failed: ${error.message}`);
+        status.samples.push({ labels: { collector: name }, value: 0 });
+      }
+    }
+
+    families.push(status);
+    families.push({
+      name: 'mos_exporter_scrape_duration_seconds',
+      type: 'gauge',
+      help: 'Time spent collecting metrics',
+      samples: [{ value: (Date.now() - started) / 1000 }]
+    });
+
+    return families;
+  }
+
+  /**
+   * Load, memory, CPU and network
+   * @private
+   */
+  async _collectSystem() {
+    const metricsService = require('./metrics.service');
+    const [load1, load5, load15] = os.loadavg();
+    const memory = await metricsService._readMemory();
+    const network = await metricsService._readNetworkCounters();
+    const latest = metricsService.getLatest();
+    const values = latest ? latest.values : {};
+
+    const families = [
+      {
+        name: 'mos_load_average',
+        type: 'gauge',
+        help: 'System load average',
+        samples: [
+          { labels: { period: '1m' }, value: load1 },
+          { labels: { period: '5m' }, value: load5 },
+          { labels: { period: '15m' }, value: load15 }
+        ]
+      },
+      {
+        name: 'mos_cpu_count',
+        type: 'gauge',
+        help: 'Number of logical CPUs',
+        samples: [{ value: os.cpus().length }]
+      },
+      {
+        name: 'mos_cpu_usage_percent',
+        type: 'gauge',
+        help: 'CPU usage over the last recorder interval',
+        samples: values['cpu.load'] !== undefined ? [{ value: values['cpu.load'] }] : []
+      },
+      {
+        name: 'mos_cpu_temperature_celsius',
+        type: 'gauge',
+        help: 'CPU package temperature',
+        samples: values['cpu.temperature'] !== undefined ? [{ value: values['cpu.temperature'] }] : []
+      },
+      {
+        name: 'mos_uptime_seconds',
+        type: 'gauge',
+        help: 'System uptime',
+        samples: [{ value: Math.round(os.uptime()) }]
+      }
+    ];
+
+    if (memory) {
+      families.push(
+        { name: 'mos_memory_total_bytes', type: 'gauge', help: 'Total memory', samples: [{ value: memory.total }] },
+        { name: 'mos_memory_available_bytes', type: 'gauge', help: 'Available memory', samples: [{ value: memory.available }] },
+        { name: 'mos_memory_used_bytes', type: 'gauge', help: 'Used memory without caches', samples: [{ value: memory.used }] },
+        { name: 'mos_swap_total_bytes', type: 'gauge', help: 'Total swap', samples: [{ value: memory.swapTotal }] },
+        { name: 'mos_swap_used_bytes', type: 'gauge', help: 'Used swap', samples: [{ value: memory.swapUsed }] }
+      );
+    }
+
+    families.push(
+      {
+        name: 'mos_network_receive_bytes_total',
+        type: 'counter',
+        help: 'Bytes received per interface',
+        samples: Object.entries(network).map(([iface, c]) => ({ labels: { interface: iface }, value: c.rx }))
+      },
+      {
+        name: 'mos_network_transmit_bytes_total',
+        type: 'counter',
+        help: 'Bytes transmitted per interface',
+        samples: Object.entries(network).map(([iface, c]) => ({ labels: { interface: iface }, value: c.tx }))
+      }
+    );
+
+    return families;
+  }
+
+  /**
+   * Pool usage and running parity/scrub/balance/resilver operations
+   * listPools keeps standby disks asleep (power status is cached, space comes from the mount)
+   * @private
+   */
+  async _collectPools() {
+    const PoolsService = require('./pools.service');
+    const pools = await new PoolsService().listPools();
+
+    const mounted = { name: 'mos_pool_mounted', type: 'gauge', help: 'Whether the pool is mounted', samples: [] };
+    const size = { name: 'mos_pool_size_bytes', type: 'gauge', help: 'Pool size', samples: [] };
+    const used = { name: 'mos_pool_used_bytes', type: 'gauge', help: 'Used pool space', samples: [] };
+    const free = { name: 'mos_pool_free_bytes', type: 'gauge', help: 'Free pool space', samples: [] };
+    const running = { name: 'mos_pool_operation_running', type: 'gauge', help: 'Whether a pool operation (parity, scrub, balance, resilver) is running', samples: [] };
+    const progress = { name: 'mos_pool_operation_progress_percent', type: 'gauge', help: 'Progress of the running pool operation', samples: [] };
+
+    for (const pool of pools) {
+      const labels = { pool: pool.name, type: pool.type || null };
+      const status = pool.status || {};
+      const isMounted = status.mounted === true;
+
+      mounted.samples.push({ labels, value: isMounted ? 1 : 0 });
+      if (isMounted) {
+        size.samples.push({ labels, value: status.totalSpace });
+        used.samples.push({ labels, value: status.usedSpace });
+        free.samples.push({ labels, value: status.freeSpace });
+      }
+
+      for (const operation of ['parity', 'scrub', 'balance', 'resilver']) {
+        if (status[`${operation}_operation`] === undefined) continue;
+
+        const opLabels = { pool: pool.name, operation };
+        const active = !!status[`${operation}_operation`];
+        running.samples.push({ labels: opLabels, value: active ? 1 : 0 });
+
+        const opProgress = status[`${operation}_progress`];
+        if (active && opProgress && Number.isFinite(parseFloat(opProgress.percent))) {
+          progress.samples.push({ labels: opLabels, value: parseFloat(opProgress.percent) });
+        }
+      }
+    }
+
+    return [mounted, size, used, free, running, progress];
+  }
+
+  /**
+   * Disk temperature and SMART warning (smartd state files) and spin state (standby-safe cache)
+   * @private
+   */
+  async _collectDisks() {
+    const smartService = require('./smart.service');
+    const disksService = require('./disks.service');
+
+    const temperature = { name: 'mos_disk_temperature_celsius', type: 'gauge', help: 'Disk temperature from the last smartd check', samples: [] };
+    const warning = { name: 'mos_disk_smart_warning', type: 'gauge', help: 'Whether a monitored SMART attribute reports a problem', samples: [] };
+    const active = { name: 'mos_disk_active', type: 'gauge', help: 'Whether the disk is spinning (0 = standby)', samples: [] };
+
+    const disks = Array.from(smartService.serialDeviceMap.entries());
+    const powerStates = await Promise.all(disks.map(([, info]) =>
+      disksService._getLiveDiskPowerStatus(`/dev/${info.name}`).catch(() => null)
+    ));
+
+    disks.forEach(([serial, info], index) => {
+      const labels = { device: info.name, serial, model: info.model, type: info.diskType };
+
+      const state = smartService.diskState.get(serial);
+      if (state && Number.isFinite(state.temperatureCurrent)) {
+        temperature.samples.push({ labels, value: state.temperatureCurrent });
+      }
+
+      warning.samples.push({ labels, value: smartService.hasDiskWarning(serial) ? 1 : 0 });
+
+      const power = powerStates[index];
+      if (power && power.status) {
+        active.samples.push({ labels, value: power.status === 'standby' ? 0 : 1 });
+      }
+    });
+
+    return [temperature, warning, active];
+  }
+
+  /**
+   * Docker/LXC container and VM state plus usage from the metrics recorder
+   * @private
+   */
+  async _collectContainers() {
+    const metricsService = require('./metrics.service');
+
+    const running = { name: 'mos_container_running', type: 'gauge', help: 'Whether a Docker or LXC container is running', samples: [] };
+    const vmRunning = { name: 'mos_vm_running', type: 'gauge', help: 'Whether a VM is running', samples: [] };
+    const cpu = { name: 'mos_container_cpu_usage_percent', type: 'gauge', help: 'CPU usage of a container or VM over the last recorder interval', samples: [] };
+    const memory = { name: 'mos_container_memory_bytes', type: 'gauge', help: 'Memory used by a container or VM', samples: [] };
+
+    try {
+      const { stdout } = await execPromise('docker ps -a --format "{{.Names}}\\t{{.State}}" 2>/dev/null');
+      for (const line of stdout.trim().split('\n').filter(Boolean)) {
+        const [name, state] = line.split('\t');
+        running.samples.push({ labels: { type: 'docker', name }, value: state === 'running' ? 1 : 0 });
+      }
+    } catch (error) {
+      // Docker not running
+    }
+
+    try {
+      const { stdout } = await execPromise('lxc-ls --fancy --fancy-format NAME,STATE 2>/dev/null');
+      for (const line of stdout.trim().split('\n').slice(1).filter(Boolean)) {
+        const [name, state] = line.trim().split(/\s+/);
+        running.samples.push({ labels: { type: 'lxc', name }, value: state === 'RUNNING' ? 1 : 0 });
+      }
+    } catch (error) {
+      // LXC not available
+    }
+
+    try {
+      const [all, active] = await Promise.all([
+        execPromise('virsh list --all --name 2>/dev/null'),
+        execPromise('virsh list --name 2>/dev/null')
+      ]);
+      const runningVms = active.stdout.trim().split('\n').filter(Boolean);
+      for (const name of all.stdout.trim().split('\n').filter(Boolean)) {
+        vmRunning.samples.push({ labels: { name }, value: runningVms.includes(name) ? 1 : 0 });
+      }
+    } catch (error) {
+      // libvirt not running
+    }
+
+    const latest = metricsService.getLatest();
+    if (latest) {
+      for (const [key, group] of Object.entries(latest.cgroups)) {
+        const labels = { type: group.type, name: group.name };
+        memory.samples.push({ labels, value: group.memory });
+        if (latest.values[`${key}.cpu`] !== undefined) {
+          cpu.samples.push({ labels, value: latest.values[`${key}.cpu`] });
+        }
+      }
+    }
+
+    return [running, vmRunning, cpu, memory];
+  }
+
+  /**
+   * @private
+   */
+  async _collectNotifications() {
+    const notificationsService = require('./notifications.service');
+    const stats = await notificationsService.getNotificationStats();
+
+    return [
+      {
+        name: 'mos_notifications',
+        type: 'gauge',
+        help: 'Number of notifications',
+        samples: [
+          { labels: { state: 'unread' }, value: stats.unread },
+          { labels: { state: 'read' }, value: stats.read }
+        ]
+      },
+      {
+        name: 'mos_notifications_by_priority',
+        type: 'gauge',
+        help: 'Number of notifications per priority',
+        samples: Object.entries(stats.priorities).map(([priority, count]) => ({ labels: { priority }, value: count }))
+      }
+    ];
+  }
+}
+
+module.exports = new PrometheusService();
@@ -6,6 +6,8 @@ const execPromise = util.promisify(exec);
 const crypto = require('crypto');
 const dns = require('dns');
 const dnsLookup = util.promisify(dns.lookup);
+const RemoteHelpers = require('./remotes/remote-helpers');
+const { REMOTE_TYPES } = RemoteHelpers;
 
 // Timestamp-basierter ID-Generator
 const generateId = () => Date.now().toString();
@@ -14,6 +16,8 @@ class RemotesService {
   constructor() {
     this.remotesFile = '/boot/config/remotes.json';
     this.mountBasePath = '/mnt/remotes';
+    this.runtimeBasePath = '/run/remotes';
+    this.rcloneCacheDir = '/var/cache/rclone';
   }
 
   /**
@@ -114,8 +118,8 @@ class RemotesService {
    * @private
    */
   _validateRemoteData(data) {
-    // Basic required fields
-    const required = ['name', 'type', 'server', 'share'];
+    // Basic required fields (rclone remotes are addressed by backend and bucket/path, the server is only a label)
+    const required = data.type === 'rclone' ? ['name', 'type', 'share'] : ['name', 'type', 'server', 'share'];
 
     for (const field of required) {
       if (!data[field] || data[field].toString().trim() === '') {
@@ -123,12 +127,13 @@ class RemotesService {
       }
     }
 
-    if (!['smb', 'nfs'].includes(data.type)) {
-      throw new Error("Type must be 'smb' or 'nfs'");
+    if (!REMOTE_TYPES.includes(data.type)) {
+      throw new Error(`Type must be one of: ${REMOTE_TYPES.join(', ')}`);
     }
 
     // For NFS, username and password are optional (not used)
     // For SMB, username and password are optional (guest access if not provided)
+    this._validateTypeOptions(data);
 
     if (data.type === 'smb' && data.version && !['1.0', '2.0', '3.0'].includes(data.version)) {
       throw new Error("SMB version must be '1.0', '2.0', or '3.0'");
@@ -145,11 +150,294 @@ class RemotesService {
 
     // Validate server format (IP or hostname)
     const serverRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^[a-zA-Z0-9.-]+$/;
-    if (!serverRegex.test(data.server)) {
+    if (data.server && !serverRegex.test(data.server)) {
       throw new Error('Invalid server format');
     }
   }
 
+  /**
+   * Validate the options of the FUSE based remote types
+   * @param {Object} data - Remote data to validate
+   * @throws {Error} If validation fails
+   * @private
+   */
+  _validateTypeOptions(data) {
+    RemoteHelpers.validatePort(data.port);
+
+    if (data.type === 'sshfs') {
+      // Password or key authentication (identity_file or the default keys of root)
+      if (!data.username || data.username.toString().trim() === '') {
+        throw new Error("Field 'username' is required for SSHFS remotes");
+      }
+      RemoteHelpers.validateIdentityFile(data.identity_file);
+    }
+
+    if (data.type === 'webdav' && data.secure !== undefined && data.secure !== null && typeof data.secure !== 'boolean') {
+      throw new Error('Invalid secure flag: must be a boolean');
+    }
+
+    if (data.type === 'rclone') {
+      RemoteHelpers.validateRcloneConfig(data.backend, data.rclone_config);
+    }
+  }
+
+  /**
+   * Build the type specific fields of a remote
+   * @param {Object} data - Remote data
+   * @param {Object} current - Stored remote (keeps masked rclone secrets on update)
+   * @returns {Object} Fields
+   * @private
+   */
+  _buildTypeFields(data, current = {}) {
+    switch (data.type) {
+      case 'sshfs':
+        return {
+          port: data.port || 22,
+          identity_file: data.identity_file || null
+        };
+      case 'webdav':
+        return {
+          port: data.port || null,
+          secure: data.secure !== false
+        };
+      case 'rclone':
+        return {
+          backend: data.backend,
+          // Unchanged on update: the stored config is already encrypted
+          rclone_config: data.rclone_config === current.rclone_config
+            ? current.rclone_config
+            : this._encryptRcloneConfig(data.rclone_config || {}, current.rclone_config || {})
+        };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Encrypt the credential options of an rclone config section
+   * @param {Object} options - Plain options ('SECRET' keeps the stored value)
+   * @param {Object} stored - Stored (encrypted) options
+   * @returns {Object} Options with encrypted credentials
+   * @private
+   */
+  _encryptRcloneConfig(options, stored = {}) {
+    const result = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (!RemoteHelpers.isSensitiveRcloneOption(key)) {
+        result[key] = value;
+      } else if (value === 'SECRET' && stored[key] !== undefined) {
+        result[key] = stored[key];
+      } else {
+        result[key] = this._encryptPassword(String(value));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Decrypt the credential options of an rclone config section
+   * @param {Object} options - Stored options
+   * @returns {Object} Plain options
+   * @private
+   */
+  _decryptRcloneConfig(options = {}) {
+    const result = {};
+    for (const [key, value] of Object.entries(options || {})) {
+      result[key] = RemoteHelpers.isSensitiveRcloneOption(key) ? this._decryptPassword(value) : value;
+    }
+    return result;
+  }
+
+  /**
+   * Obscure the password options rclone expects obscured in its config file
+   * @param {Object} options - Plain options
+   * @returns {Promise<Object>} Options for the config file
+   * @private
+   */
+  async _obscureRcloneConfig(options = {}) {
+    const result = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (RemoteHelpers.isObscuredRcloneOption(key) && value !== '') {
+        const { stdout } = await this._execWithInput('rclone obscure -', `${value}\n`, { timeout: 5000 });
+        result[key] = stdout.trim();
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Mask the secrets of a remote for responses
+   * @param {Object} remote - Remote object
+   * @private
+   */
+  _maskSecrets(remote) {
+    remote.password = 'SECRET'; // Mask password in responses
+
+    if (remote.rclone_config) {
+      for (const key of Object.keys(remote.rclone_config)) {
+        if (RemoteHelpers.isSensitiveRcloneOption(key)) {
+          remote.rclone_config[key] = 'SECRET';
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the connection data of a stored remote with decrypted secrets
+   * @param {Object} remote - Stored remote
+   * @returns {Object} Connection data
+   * @private
+   */
+  _getConnectionData(remote) {
+    return {
+      ...remote,
+      password: remote.password ? this._decryptPassword(remote.password) : null,
+      rclone_config: remote.type === 'rclone' ? this._decryptRcloneConfig(remote.rclone_config) : undefined
+    };
+  }
+
+  /**
+   * Execute a command writing input to its stdin
+   * @param {string} command - Command
+   * @param {string} input - Input
+   * @param {Object} options - exec options
+   * @returns {Promise<{stdout: string, stderr: string}>}
+   * @private
+   */
+  _execWithInput(command, input, options = {}) {
+    return new Promise((resolve, reject) => {
+      const child = exec(command, options, (error, stdout, stderr) => {
+        if (error) {
+          error.stdout = stdout;
+          error.stderr = stderr;
+          return reject(error);
+        }
+        resolve({ stdout, stderr });
+      });
+      child.stdin.on('error', () => {}); // Command exited without reading its input
+      child.stdin.end(input);
+    });
+  }
+
+  /**
+   * Create the runtime directory of a remote (config and secrets of FUSE mounts)
+   * @param {string} key - Remote ID or test key
+   * @returns {Promise<string>} Directory path
+   * @private
+   */
+  async _prepareRuntimeDir(key) {
+    const runtimeDir = path.join(this.runtimeBasePath, key);
+    await fs.mkdir(runtimeDir, { recursive: true, mode: 0o700 });
+    return runtimeDir;
+  }
+
+  /**
+   * Write a file only readable by root
+   * @param {string} filePath - File path
+   * @param {string} content - Content
+   * @private
+   */
+  async _writeSecretFile(filePath, content) {
+    await fs.writeFile(filePath, content, { mode: 0o600 });
+    await fs.chmod(filePath, 0o600);
+  }
+
+  /**
+   * Remove the runtime directory of a remote
+   * Only files and empty directories are removed, a directory still used as mount point stays.
+   * @param {string} key - Remote ID or test key
+   * @private
+   */
+  async _removeRuntimeDir(key) {
+    const runtimeDir = path.join(this.runtimeBasePath, key);
+    try {
+      const entries = await fs.readdir(runtimeDir, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = path.join(runtimeDir, entry.name);
+        if (entry.isDirectory()) {
+          await fs.rmdir(entryPath).catch(() => {});
+        } else {
+          await fs.unlink(entryPath).catch(() => {});
+        }
+      }
+      await fs.rmdir(runtimeDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Warning: Could not remove runtime directory ${runtimeDir}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Build the mount command of a FUSE based remote
+   * @param {Object} data - Connection data with decrypted secrets
+   * @param {string} mountPath - Mount point
+   * @param {string} runtimeDir - Runtime directory for config, secrets and logs
+   * @returns {Promise<{command: string, input: string|null, logFile: string|null}>}
+   * @private
+   */
+  async _buildFuseMount(data, mountPath, runtimeDir) {
+    const quote = RemoteHelpers.shellQuote;
+
+    if (data.type === 'sshfs') {
+      const logFile = path.join(runtimeDir, 'sshfs.log');
+      const options = RemoteHelpers.buildSshfsOptions(data, { password: !!data.password });
+      const target = `${data.username}@${data.server}:${data.share}`;
+      // The ssh process keeps the inherited stderr open, log to a file so the command returns
+      return {
+        command: `sshfs ${quote(target)} "${mountPath}" -o ${quote(options)} >"${logFile}" 2>&1`,
+        input: data.password ? `${data.password}\n` : null,
+        logFile
+      };
+    }
+
+    if (data.type === 'webdav') {
+      const url = RemoteHelpers.buildWebdavUrl(data);
+      let secretsFile = null;
+      if (data.username) {
+        secretsFile = path.join(runtimeDir, 'davfs.secrets');
+        await this._writeSecretFile(secretsFile, RemoteHelpers.buildDavfsSecrets(url, data.username, data.password));
+      }
+      const confFile = path.join(runtimeDir, 'davfs.conf');
+      await this._writeSecretFile(confFile, RemoteHelpers.buildDavfsConfig(secretsFile));
+
+      let options = `conf=${confFile},file_mode=0664,dir_mode=0775`;
+      if (data.uid !== undefined && data.uid !== null) options += `,uid=${data.uid}`;
+      if (data.gid !== undefined && data.gid !== null) options += `,gid=${data.gid}`;
+
+      return { command: `mount -t davfs ${quote(url)} "${mountPath}" -o ${options}`, input: null, logFile: null };
+    }
+
+    if (data.type === 'rclone') {
+      const configFile = path.join(runtimeDir, 'rclone.conf');
+      const logFile = path.join(runtimeDir, 'rclone.log');
+      const options = await this._obscureRcloneConfig(data.rclone_config || {});
+      await this._writeSecretFile(configFile, RemoteHelpers.buildRcloneConfig(data.backend, options));
+
+      const args = [
+        `--config "${configFile}"`,
+        '--daemon',
+        '--daemon-wait 20s',
+        '--allow-other',
+        '--vfs-cache-mode writes',
+        `--cache-dir "${path.join(this.rcloneCacheDir, path.basename(runtimeDir))}"`,
+        `--log-file "${logFile}"`
+      ];
+      if (data.uid !== undefined && data.uid !== null) args.push(`--uid ${data.uid}`);
+      if (data.gid !== undefined && data.gid !== null) args.push(`--gid ${data.gid}`);
+
+      return {
+        command: `rclone mount ${quote(RemoteHelpers.buildRclonePath(data.share))} "${mountPath}" ${args.join(' ')}`,
+        input: null,
+        logFile
+      };
+    }
+
+    throw new Error(`Unsupported remote type: ${data.type}`);
+  }
+
   /**
    * Validate connection test data
    * @param {Object} data - Connection test data to validate
@@ -158,7 +446,7 @@ class RemotesService {
    */
   _validateConnectionData(data) {
     // Basic required fields for connection test
-    const required = ['type', 'server', 'share'];
+    const required = data.type === 'rclone' ? ['type', 'share'] : ['type', 'server', 'share'];
 
     for (const field of required) {
       if (!data[field] || data[field].toString().trim() === '') {
@@ -166,13 +454,15 @@ class RemotesService {
       }
     }
 
-    if (!['smb', 'nfs'].includes(data.type)) {
-      throw new Error("Type must be 'smb' or 'nfs'");
+    if (!REMOTE_TYPES.includes(data.type)) {
+      throw new Error(`Type must be one of: ${REMOTE_TYPES.join(', ')}`);
     }
 
+    this._validateTypeOptions(data);
+
     // Validate server format (IP or hostname)
     const serverRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^[a-zA-Z0-9.-]+$/;
-    if (!serverRegex.test(data.server)) {
+    if (data.server && !serverRegex.test(data.server)) {
       throw new Error('Invalid server format');
     }
   }
@@ -288,7 +578,7 @@ class RemotesService {
           remote.status = 'unmounted';
         }
 
-        remote.password = 'SECRET'; // Mask password in responses
+        this._maskSecrets(remote);
       }
 
       return remotes;
@@ -323,7 +613,7 @@ class RemotesService {
         remote.status = 'unmounted';
       }
 
-      remote.password = 'SECRET'; // Mask password in responses
+      this._maskSecrets(remote);
 
       return remote;
     } catch (error) {
@@ -359,7 +649,7 @@ class RemotesService {
         id: generateId(),
         name: data.name.trim(),
         type: data.type,
-        server: data.server.trim(),
+        server: (data.server || data.backend).trim(),
         share: data.type === 'nfs' && !data.share.trim().startsWith('/') ? `/${data.share.trim()}` : data.share.trim(),
         username: data.username && data.username.trim() ? data.username.trim() : null,
         password: data.password && data.password.trim() ? this._encryptPassword(data.password) : null,
@@ -367,7 +657,8 @@ class RemotesService {
         version: data.version || (data.type === 'smb' ? '3.0' : null),
         uid: data.uid !== undefined ? data.uid : null,
         gid: data.gid !== undefined ? data.gid : null,
-        auto_mount: data.auto_mount || false
+        auto_mount: data.auto_mount || false,
+        ...this._buildTypeFields(data)
       };
 
       remotes.push(remote);
@@ -421,6 +712,7 @@ class RemotesService {
       // Validate updated data
       const updatedRemote = { ...remote, ...updateData };
       this._validateRemoteData(updatedRemote);
+      const typeFields = this._buildTypeFields(updatedRemote, remote);
 
       // Check for duplicate names (excluding current remote)
       if (updateData.name && remotes.some(r => r.id !== id && r.name === updateData.name)) {
@@ -440,6 +732,12 @@ class RemotesService {
       if (updateData.gid !== undefined) remote.gid = updateData.gid;
       if (updateData.auto_mount !== undefined) remote.auto_mount = updateData.auto_mount;
 
+      // Type specific fields (drops the fields of a previous type)
+      for (const field of ['port', 'identity_file', 'secure', 'backend', 'rclone_config']) {
+        delete remote[field];
+      }
+      Object.assign(remote, typeFields);
+
       remotes[remoteIndex] = remote;
       await this._saveRemotes(remotes);
 
@@ -479,6 +777,7 @@ class RemotesService {
           console.warn(`Warning: Could not unmount remote ${remote.name} before deletion`);
         }
       }
+      await this._removeRuntimeDir(remote.id);
 
       // Remove from array
       remotes.splice(remoteIndex, 1);
@@ -523,37 +822,38 @@ class RemotesService {
       // Create mount point
       await this._createMountPoint(mountPath);
 
-      // Decrypt password (null-safe)
-      const password = remote.password ? this._decryptPassword(remote.password) : null;
-
-      // Test connection before mounting
-      const testResult = await this.connectiontest({
-        type: remote.type,
-        server: remote.server,
-        share: remote.share,
-        username: remote.username,
-        password: password,
-        domain: remote.domain
-      });
+      // Decrypt password and rclone credentials (null-safe)
+      const connection = this._getConnectionData(remote);
+      const password = connection.password;
+
+      // Test connection before mounting (the SSHFS test is a trial mount, the mount itself fails fast)
+      if (remote.type !== 'sshfs') {
+        const testResult = await this.connectiontest(connection);
 
-      if (!testResult.success) {
-        throw new Error(`Connection test failed: ${testResult.message}`);
+        if (!testResult.success) {
+          throw new Error(`Connection test failed: ${testResult.message}`);
+        }
       }
 
       // Resolve hostname to IP before mounting (mount.cifs kernel resolver
-      // does not support DNS search domains and may fail with bare hostnames)
+      // does not support DNS search domains and may fail with bare hostnames).
+      // FUSE remotes resolve themselves, WebDAV over TLS needs the hostname.
       let resolvedServer = remote.server;
-      try {
-        const resolved = await dnsLookup(remote.server);
-        resolvedServer = resolved.address;
-        if (resolvedServer !== remote.server) {
-          console.log(`Resolved ${remote.server} to ${resolvedServer}`);
+      if (!RemoteHelpers.isFuseType(remote.type)) {
+        try {
+          const resolved = await dnsLookup(remote.server);
+          resolvedServer = resolved.address;
+          if (resolvedServer !== remote.server) {
+            console.log(`Resolved ${remote.server} to ${resolvedServer}`);
+          }
+        } catch (dnsError) {
+          console.warn(`DNS lookup failed for ${remote.server}, using as-is: ${dnsError.message}`);
         }
-      } catch (dnsError) {
-        console.warn(`DNS lookup failed for ${remote.server}, using as-is: ${dnsError.message}`);
       }
 
       let mountCommand;
+      let mountInput = null;
+      let mountLog = null;
 
       if (remote.type === 'smb') {
         // Build SMB mount command
@@ -603,17 +903,29 @@ class RemotesService {
         // Normalize share path: ensure exactly one leading slash
         const nfsExportPath = share.startsWith('/') ? share : `/${share}`;
         mountCommand = `mount -t nfs ${server}:${nfsExportPath} "${mountPath}" -o ${options}`;
+      } else if (RemoteHelpers.isFuseType(remote.type)) {
+        // SSHFS, WebDAV (davfs2) and rclone: config and secrets in the runtime directory
+        const runtimeDir = await this._prepareRuntimeDir(remote.id);
+        ({ command: mountCommand, input: mountInput, logFile: mountLog } = await this._buildFuseMount(connection, mountPath, runtimeDir));
       } else {
         throw new Error(`Unsupported remote type: ${remote.type}`);
       }
 
       // Execute mount command with secure error handling
       try {
-        await execPromise(mountCommand, { timeout: 5000 });
+        if (mountInput !== null) {
+          await this._execWithInput(mountCommand, mountInput, { timeout: 30000 });
+        } else {
+          await execPromise(mountCommand, { timeout: RemoteHelpers.isFuseType(remote.type) ? 30000 : 5000 });
+        }
       } catch (mountError) {
         // Log actual error for diagnosis (stderr often contains the real reason)
-        const errMsg = (mountError.stderr || mountError.message || '').replace(/password=[^\s,]*/gi, 'password=***');
+        let errMsg = (mountError.stderr || mountError.message || '').replace(/password=[^\s,]*/gi, 'password=***');
+        if (mountLog) {
+          errMsg = await fs.readFile(mountLog, 'utf8').catch(() => errMsg);
+        }
         console.error(`Mount failed for //${remote.server}/${remote.share}: ${errMsg}`);
+        await this._removeRuntimeDir(remote.id);
         // Don't expose the mount command (which may contain password) in error message
         throw new Error(`Unable to mount ${remote.type.toUpperCase()} share //${remote.server}/${remote.share}`);
       }
@@ -700,6 +1012,7 @@ class RemotesService {
       } catch (umountError) {
         throw new Error(`Unable to unmount remote '${remote.name}'`);
       }
+      await this._removeRuntimeDir(remote.id);
 
       // Cleanup empty directories
       await this._cleanupMountPoint(remote.server, remote.share);
@@ -762,8 +1075,12 @@ class RemotesService {
       throw new Error('Server and type are required');
     }
 
+    if (!REMOTE_TYPES.includes(type)) {
+      throw new Error(`Type must be one of: ${REMOTE_TYPES.join(', ')}`);
+    }
+
     if (!['smb', 'nfs'].includes(type)) {
-      throw new Error("Type must be 'smb' or 'nfs'");
+      throw new Error(`Invalid type '${type}': share listing is only supported for SMB and NFS servers`);
     }
 
     if (type === 'smb') {
@@ -922,6 +1239,12 @@ class RemotesService {
             throw new Error(`Unable to connect to NFS server ${server}`);
           }
         }
+      } else if (data.type === 'sshfs') {
+        return await this._testSshfsConnection(data);
+      } else if (data.type === 'webdav') {
+        return await this._testWebdavConnection(data);
+      } else if (data.type === 'rclone') {
+        return await this._testRcloneConnection(data);
       } else {
         throw new Error(`Unsupported remote type: ${data.type}`);
       }
@@ -933,6 +1256,109 @@ class RemotesService {
       };
     }
   }
+
+  /**
+   * Test an SSHFS connection with a trial mount
+   * @param {Object} data - Connection data
+   * @returns {Promise<Object>} Test result
+   * @private
+   */
+  async _testSshfsConnection(data) {
+    const testKey = `test-${crypto.randomBytes(4).toString('hex')}`;
+    const runtimeDir = await this._prepareRuntimeDir(testKey);
+    const mountPath = path.join(runtimeDir, 'mnt');
+    const target = `${data.username}@${data.server}:${data.share}`;
+
+    try {
+      await fs.mkdir(mountPath);
+      const { command, input } = await this._buildFuseMount({ ...data, uid: null, gid: null }, mountPath, runtimeDir);
+      try {
+        await this._execWithInput(command, input || '', { timeout: 30000 });
+      } catch (error) {
+        throw new Error(`Unable to connect to SFTP ${target}`);
+      }
+      await execPromise(`umount "${mountPath}"`).catch(() => {});
+
+      return {
+        success: true,
+        message: `Successfully connected to SFTP ${target}`,
+        type: 'sshfs'
+      };
+    } finally {
+      await this._removeRuntimeDir(testKey);
+    }
+  }
+
+  /**
+   * Test a WebDAV connection with a PROPFIND request on the share
+   * @param {Object} data - Connection data
+   * @returns {Promise<Object>} Test result
+   * @private
+   */
+  async _testWebdavConnection(data) {
+    const url = RemoteHelpers.buildWebdavUrl(data);
+    // Credentials are passed on stdin (-K -) to keep them out of the process list
+    const credentials = data.username ? RemoteHelpers.buildCurlCredentials(data.username, data.password) : '';
+
+    let status;
+    try {
+      const { stdout } = await this._execWithInput(
+        `curl -sS -o /dev/null -w '%{http_code}' --max-time 10 -X PROPFIND -H 'Depth: 0' -K - ${RemoteHelpers.shellQuote(url)}`,
+        credentials,
+        { timeout: 15000 }
+      );
+      status = parseInt(stdout.trim(), 10);
+    } catch (error) {
+      throw new Error(`Unable to connect to WebDAV server ${url}`);
+    }
+
+    if (status === 401 || status === 403) {
+      throw new Error(`Authentication failed for WebDAV share ${url}`);
+    }
+    if (status !== 207 && status !== 200) {
+      throw new Error(`WebDAV share ${url} returned HTTP ${status}`);
+    }
+
+    return {
+      success: true,
+      message: `Successfully connected to WebDAV share ${url}`,
+      type: 'webdav'
+    };
+  }
+
+  /**
+   * Test an rclone remote by listing the directories of the bucket/path
+   * @param {Object} data - Connection data
+   * @returns {Promise<Object>} Test result
+   * @private
+   */
+  async _testRcloneConnection(data) {
+    const testKey = `test-${crypto.randomBytes(4).toString('hex')}`;
+    const runtimeDir = await this._prepareRuntimeDir(testKey);
+    const configFile = path.join(runtimeDir, 'rclone.conf');
+    const remotePath = RemoteHelpers.buildRclonePath(data.share);
+
+    try {
+      const options = await this._obscureRcloneConfig(data.rclone_config || {});
+      await this._writeSecretFile(configFile, RemoteHelpers.buildRcloneConfig(data.backend, options));
+      try {
+        await execPromise(
+          `rclone lsd ${RemoteHelpers.shellQuote(remotePath)} --config "${configFile}" --contimeout 5s --timeout 10s --retries 1 --low-level-retries 1`,
+          { timeout: 20000 }
+        );
+      } catch (error) {
+        throw new Error(`Unable to connect to rclone ${data.backend} remote ${data.share}`);
+      }
+
+      return {
+        success: true,
+        message: `Successfully connected to rclone ${data.backend} remote ${data.share}`,
+        type: 'rclone'
+      };
+    } finally {
+      await this._removeRuntimeDir(testKey);
+    }
+  }
 }
 
 module.exports = RemotesService;
@@ -0,0 +1,213 @@
+/**
+ * Helper functions for FUSE based remotes (SSHFS, WebDAV via davfs2, rclone)
+ *
+ * Secrets (davfs2 secrets, rclone config) are only written to a per-remote runtime directory
+ * with mode 0600 while the remote is mounted, remotes.json keeps them encrypted.
+ */
+
+const REMOTE_TYPES = ['smb', 'nfs', 'sshfs', 'webdav', 'rclone'];
+const FUSE_TYPES = ['sshfs', 'webdav', 'rclone'];
+
+const RCLONE_SECTION = 'remote';
+// Options holding credentials, encrypted in remotes.json and masked in responses
+const RCLONE_SENSITIVE_OPTION = /(secret|pass|token|credentials|(^|_)key($|_))/;
+// Options rclone expects obscured in its config file (see `rclone obscure`)
+const RCLONE_OBSCURED_OPTION = /(^|_)pass(word2?)?$/;
+
+class RemoteHelpers {
+  /**
+   * Quote a value for the shell
+   * @param {string} value - Value
+   * @returns {string}
+   */
+  static shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
+  /**
+   * Check if a remote type is mounted through FUSE
+   * @param {string} type - Remote type
+   * @returns {boolean}
+   */
+  static isFuseType(type) {
+    return FUSE_TYPES.includes(type);
+  }
+
+  /**
+   * Validate an optional port
+   * @param {number|null} port - Port
+   * @throws {Error} If the port is invalid
+   */
+  static validatePort(port) {
+    if (port === undefined || port === null) return;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error('Invalid port: must be an integer between 1 and 65535');
+    }
+  }
+
+  /**
+   * Validate an optional sshfs identity file
+   * @param {string|null} identityFile - Absolute path of the private key
+   * @throws {Error} If the path is invalid (separators of the -o list and shell metacharacters are rejected)
+   */
+  static validateIdentityFile(identityFile) {
+    if (!identityFile) return;
+    if (!/^\/[^,\s"'`$\\;&|<>(){}*?!#~]+$/.test(identityFile)) {
+      throw new Error('Invalid identity_file: must be an absolute path without commas, whitespace or shell metacharacters');
+    }
+  }
+
+  /**
+   * Validate the rclone backend and config section options
+   * @param {string} backend - rclone backend (s3, b2, webdav, ...)
+   * @param {Object} options - Section options without `type`
+   * @throws {Error} If validation fails
+   */
+  static validateRcloneConfig(backend, options) {
+    if (!backend || !/^[a-z0-9]+$/.test(backend)) {
+      throw new Error(`Invalid rclone backend: ${backend}`);
+    }
+
+    if (options === undefined || options === null) return;
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Invalid rclone_config: expected an object of section options');
+    }
+
+    for (const [key, value] of Object.entries(options)) {
+      if (!/^[a-z0-9_]+$/.test(key) || key === 'type') {
+        throw new Error(`Invalid rclone_config option '${key}'`);
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof value) || /[\r\n]/.test(String(value))) {
+        throw new Error(`Invalid rclone_config value for '${key}'`);
+      }
+    }
+  }
+
+  /**
+   * Check if an rclone option holds a credential
+   * @param {string} key - Option name
+   * @returns {boolean}
+   */
+  static isSensitiveRcloneOption(key) {
+    return RCLONE_SENSITIVE_OPTION.test(key);
+  }
+
+  /**
+   * Check if an rclone option must be obscured in the config file
+   * @param {string} key - Option name
+   * @returns {boolean}
+   */
+  static isObscuredRcloneOption(key) {
+    return RCLONE_OBSCURED_OPTION.test(key);
+  }
+
+  /**
+   * Build the rclone config file of a remote
+   * @param {string} backend - rclone backend
+   * @param {Object} options - Plain (decrypted, obscured where needed) section options
+   * @returns {string} Config file content
+   */
+  static buildRcloneConfig(backend, options = {}) {
+    const lines = [`[${RCLONE_SECTION}]`, `type = ${backend}`];
+    for (const [key, value] of Object.entries(options || {})) {
+      lines.push(`${key} = ${value}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build the rclone path of a remote (<section>:<bucket/path>)
+   * @param {string} share - Bucket or path on the backend
+   * @returns {string}
+   */
+  static buildRclonePath(share) {
+    return `${RCLONE_SECTION}:${share.replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Build the WebDAV URL of a remote
+   * @param {Object} remote - { server, share, port, secure }
+   * @returns {string}
+   */
+  static buildWebdavUrl(remote) {
+    const scheme = remote.secure === false ? 'http' : 'https';
+    const port = remote.port ? `:${remote.port}` : '';
+    const sharePath = remote.share
+      .replace(/^\/+/, '')
+      .split('/')
+      .map(segment => encodeURIComponent(segment))
+      .join('/');
+    return `${scheme}://${remote.server}${port}/${sharePath}`;
+  }
+
+  /**
+   * Build the davfs2 config file (-o conf=) of a remote
+   * @param {string|null} secretsFile - Secrets file, null for anonymous access
+   * @returns {string} Config file content
+   */
+  static buildDavfsConfig(secretsFile) {
+    const lines = ['ask_auth 0', 'use_locks 0'];
+    if (secretsFile) {
+      lines.push(`secrets ${secretsFile}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build the davfs2 secrets file (<url> <username> <password>)
+   * @param {string} url - WebDAV URL
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {string} Secrets file content
+   */
+  static buildDavfsSecrets(url, username, password) {
+    const escape = (value) => String(value || '').replace(/([\\"#\s])/g, '\\$1');
+    return `${escape(url)} ${escape(username)} ${escape(password)}\n`;
+  }
+
+  /**
+   * Build the curl config (-K -) with the credentials of a WebDAV request
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {string} Config content
+   */
+  static buildCurlCredentials(username, password) {
+    const escape = (value) => String(value || '').replace(/(["\\])/g, '\\$1');
+    return `user = "${escape(username)}:${escape(password)}"\n`;
+  }
+
+  /**
+   * Build the sshfs -o options
+   * @param {Object} remote - { port, identity_file, uid, gid }
+   * @param {Object} auth - { password: boolean } password read from stdin instead of a key
+   * @returns {string}
+   */
+  static buildSshfsOptions(remote, auth = {}) {
+    const options = [
+      'reconnect',
+      'ServerAliveInterval=15',
+      'ServerAliveCountMax=3',
+      'ConnectTimeout=15',
+      'StrictHostKeyChecking=accept-new',
+      'allow_other',
+      `port=${remote.port || 22}`
+    ];
+
+    if (auth.password) {
+      options.push('password_stdin', 'PubkeyAuthentication=no');
+    } else {
+      options.push('BatchMode=yes');
+      if (remote.identity_file) {
+        options.push(`IdentityFile=${remote.identity_file}`);
+      }
+    }
+
+    if (remote.uid !== undefined && remote.uid !== null) options.push(`uid=${remote.uid}`);
+    if (remote.gid !== undefined && remote.gid !== null) options.push(`gid=${remote.gid}`);
+
+    return options.join(',');
+  }
+}
+
+module.exports = RemoteHelpers;
+module.exports.REMOTE_TYPES = REMOTE_TYPES;
@@ -0,0 +1,980 @@
+const { spawn } = require('child_process');
+const { exec } = require('child_process');
+const util = require('util');
+const execPromise = util.promisify(exec);
+const fs = require('fs').promises;
+const path = require('path');
+const EventEmitter = require('events');
+const PoolsService = require('./pools.service');
+const cronService = require('./cron.service');
+const auditService = require('./audit.service');
+const { sendNotification } = require('./plugins.service');
+
+const API_SOCKET_PATH = '/run/mos-api.sock';
+const SCHEDULER_TOKEN_NAME = 'replication-scheduler';
+const TARGET_TYPES = ['local', 'ssh'];
+
+// Timestamp-basierter ID-Generator
+const generateId = () => Date.now().toString();
+
+/**
+ * Replication Service - BTRFS snapshot replication (btrfs send | btrfs receive)
+ *
+ * A job takes a read-only snapshot of a pool subvolume or LXC container rootfs and
+ * sends it to a directory on another BTRFS filesystem, either locally or over SSH.
+ * The last snapshot present on both sides is used as parent for incremental sends.
+ * Scheduled runs are cron jobs that call the API over the unix socket.
+ */
+class ReplicationService extends EventEmitter {
+  constructor() {
+    super();
+    this.jobsFile = '/boot/config/system/replication.json';
+    this.tokenFile = '/boot/config/api/replication-token';
+    this.runs = new Map(); // jobId -> current or last run
+    this.poolsService = new PoolsService();
+  }
+
+  // ============================================================
+  // PERSISTENCE
+  // ============================================================
+
+  async _loadJobs() {
+    try {
+      const data = await fs.readFile(this.jobsFile, 'utf8');
+      const jobs = data.trim() ? JSON.parse(data) : [];
+      return Array.isArray(jobs) ? jobs : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Error reading replication.json: ${error.message}`);
+    }
+  }
+
+  async _saveJobs(jobs) {
+    await fs.mkdir(path.dirname(this.jobsFile), { recursive: true });
+    await fs.writeFile(this.jobsFile, JSON.stringify(jobs, null, 2), 'utf8');
+  }
+
+  /**
+   * Re-read the jobs file and update a single job - runs finish long after they were loaded
+   * @param {string} jobId - Job ID
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<Object|null>} Updated job or null if it was deleted meanwhile
+   * @private
+   */
+  async _updateJob(jobId, updates) {
+    const jobs = await this._loadJobs();
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, updates);
+    await this._saveJobs(jobs);
+    return job;
+  }
+
+  // ============================================================
+  // VALIDATION
+  // ============================================================
+
+  /**
+   * Validate the source of a job
+   * @param {Object} source - { pool_id, subvolume } or { container }
+   * @returns {Promise<Object>} Normalized source
+   * @private
+   */
+  async _validateSource(source) {
+    if (!source || typeof source !== 'object') {
+      throw new Error('source is required');
+    }
+
+    if (source.container) {
+      const lxcService = require('./lxc.service');
+      if (!(await lxcService.containerExists(source.container))) {
+        throw new Error(`Container ${source.container} does not exist`);
+      }
+      if (!(await lxcService.isContainerBtrfs(source.container))) {
+        throw new Error(`Container ${source.container} does not use a BTRFS rootfs. Convert it to BTRFS first`);
+      }
+      return { container: source.container };
+    }
+
+    if (!source.pool_id) {
+      throw new Error('source requires either pool_id or container');
+    }
+
+    const pools = await this.poolsService._readPools();
+    const pool = pools.find(p => p.id === source.pool_id);
+    if (!pool) {
+      throw new Error(`Pool with ID "${source.pool_id}" not found`);
+    }
+    if (pool.type !== 'btrfs') {
+      throw new Error(`Replication is only supported for BTRFS pools, not '${pool.type}'`);
+    }
+
+    return {
+      pool_id: pool.id,
+      subvolume: this.poolsService._normalizeSubvolumePath(source.subvolume)
+    };
+  }
+
+  /**
+   * Validate the target of a job
+   * @param {Object} target - { type: 'local'|'ssh', path, host, port, user, identity_file }
+   * @returns {Object} Normalized target
+   * @private
+   */
+  _validateTarget(target) {
+    if (!target || typeof target !== 'object') {
+      throw new Error('target is required');
+    }
+
+    const type = target.type || 'local';
+    if (!TARGET_TYPES.includes(type)) {
+      throw new Error(`Invalid target type: ${type}. Supported: ${TARGET_TYPES.join(', ')}`);
+    }
+
+    if (!target.path || typeof target.path !== 'string' || !path.isAbsolute(target.path)) {
+      throw new Error('target.path must be an absolute path');
+    }
+    if (/["'`$\\]/.test(target.path) || target.path.split('/').includes('..')) {
+      throw new Error('target.path contains invalid characters');
+    }
+
+    const normalized = { type, path: path.normalize(target.path).replace(/\/$/, '') };
+    if (type === 'local') {
+      return normalized;
+    }
+
+    if (!target.host || !/^[A-Za-z0-9._:-]+$/.test(target.host)) {
+      throw new Error('target.host must be a valid hostname or IP address');
+    }
+    const port = target.port !== undefined ? parseInt(target.port, 10) : 22;
+    if (isNaN(port) || port < 1 || port > 65535) {
+      throw new Error('target.port must be between 1 and 65535');
+    }
+    const user = target.user || 'root';
+    if (!/^[a-z_][a-z0-9_-]*$/.test(user)) {
+      throw new Error('target.user is not a valid user name');
+    }
+    if (target.identity_file && (!path.isAbsolute(target.identity_file) || /["'`$\\]/.test(target.identity_file))) {
+      throw new Error('target.identity_file must be an absolute path');
+    }
+
+    return {
+      ...normalized,
+      host: target.host,
+      port,
+      user,
+      identity_file: target.identity_file || null
+    };
+  }
+
+  /**
+   * Validate a cron schedule the same way cron.service does (null = manual runs only)
+   * @private
+   */
+  _validateSchedule(schedule) {
+    if (schedule === null || schedule === undefined || schedule === '') {
+      return null;
+    }
+    cronService._validateCronJob({ name: 'replication', schedule, command: 'true' });
+    return schedule.trim();
+  }
+
+  _validateCount(value, field, min, defaultValue) {
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+    const number = parseInt(value, 10);
+    if (isNaN(number) || number < min) {
+      throw new Error(`${field} must be a number >= ${min}`);
+    }
+    return number;
+  }
+
+  // ============================================================
+  // SOURCE AND TARGET HELPERS
+  // ============================================================
+
+  /**
+   * Resolve a job source to a mounted BTRFS pool and subvolume
+   * @param {Object} source - Job source
+   * @returns {Promise<{pool: Object, mountPoint: string, subvolume: string}>}
+   * @private
+   */
+  async _resolveSource(source) {
+    let poolId = source.pool_id;
+    let subvolume = source.subvolume || '';
+
+    if (source.container) {
+      const lxcService = require('./lxc.service');
+      const lxcPath = await lxcService.getLxcPath();
+      const rootfsPath = await fs.realpath(path.join(lxcPath, source.container, 'rootfs'));
+      const pools = await this.poolsService._readPools();
+      const pool = pools.find(p =>
+        p.type === 'btrfs' && rootfsPath.startsWith(`${path.join(this.poolsService.mountBasePath, p.name)}/`)
+      );
+      if (!pool) {
+        throw new Error(`Rootfs of container ${source.container} is not located on a BTRFS pool`);
+      }
+      poolId = pool.id;
+      subvolume = path.relative(path.join(this.poolsService.mountBasePath, pool.name), rootfsPath);
+    }
+
+    const { pool, mountPoint } = await this.poolsService._getMountedBtrfsPool(poolId);
+    return { pool, mountPoint, subvolume: this.poolsService._normalizeSubvolumePath(subvolume) };
+  }
+
+  _shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
+  _getSshArgs(target) {
+    const args = [
+      '-o', 'BatchMode=yes',
+      '-o', 'ConnectTimeout=15',
+      '-o', 'StrictHostKeyChecking=accept-new',
+      '-p', String(target.port)
+    ];
+    if (target.identity_file) {
+      args.push('-i', target.identity_file);
+    }
+    args.push(`${target.user}@${target.host}`);
+    return args;
+  }
+
+  /**
+   * Run a shell command on the target (locally or over SSH)
+   * @private
+   */
+  async _execOnTarget(target, command) {
+    if (target.type === 'ssh') {
+      const sshArgs = this._getSshArgs(target).map(arg => this._shellQuote(arg)).join(' ');
+      return execPromise(`ssh ${sshArgs} ${this._shellQuote(command)}`);
+    }
+    return execPromise(command);
+  }
+
+  /**
+   * Prepare the target directory and make sure it is on BTRFS
+   * @private
+   */
+  async _prepareTarget(target) {
+    const quoted = this._shellQuote(target.path);
+    await this._execOnTarget(target, `mkdir -p ${quoted}`);
+
+    const { stdout } = await this._execOnTarget(target, `stat -f -c %T ${quoted}`);
+    if (stdout.trim() !== 'btrfs') {
+      throw new Error(`Target ${target.path} is not on a BTRFS filesystem (detected: ${stdout.trim()})`);
+    }
+  }
+
+  /**
+   * List the snapshots of a job that were received on the target
+   * @returns {Promise<string[]>} Snapshot names, newest first
+   * @private
+   */
+  async _listTargetSnapshots(job) {
+    const prefix = `${this._getSnapshotPrefix(job)}_`;
+    const { stdout } = await this._execOnTarget(job.target, `ls -1 ${this._shellQuote(job.target.path)}`);
+
+    return stdout.split('\n')
+      .map(line => line.trim())
+      .filter(name => name.startsWith(prefix))
+      .sort((a, b) => b.localeCompare(a));
+  }
+
+  _getSnapshotPrefix(job) {
+    return `repl-${job.id}`;
+  }
+
+  // ============================================================
+  // JOBS
+  // ============================================================
+
+  /**
+   * Get all replication jobs including their current or last run
+   * @param {Object} user - User object with byte_format preference
+   * @returns {Promise<Array>}
+   */
+  async getJobs(user) {
+    const jobs = await this._loadJobs();
+    return jobs.map(job => this._formatJob(job, user));
+  }
+
+  /**
+   * Get a single replication job
+   * @param {string} jobId - Job ID
+   * @param {Object} user - User object with byte_format preference
+   * @returns {Promise<Object>}
+   */
+  async getJob(jobId, user) {
+    const jobs = await this._loadJobs();
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) {
+      throw new Error(`Replication job "${jobId}" not found`);
+    }
+    return this._formatJob(job, user);
+  }
+
+  /**
+   * Create a replication job
+   * @param {Object} data - Job data
+   * @param {string} data.name - Unique job name
+   * @param {Object} data.source - { pool_id, subvolume } or { container }
+   * @param {Object} data.target - { type: 'local'|'ssh', path, host, port, user, identity_file }
+   * @param {string|null} data.schedule - Cron schedule (null = manual runs only)
+   * @param {boolean} data.enabled - Whether the schedule is active (default: true)
+   * @param {number} data.keep - Replication snapshots kept on each side (default: 3)
+   * @param {number} data.retries - Retries of a failed transfer (default: 2)
+   * @param {number} data.retry_delay - Seconds between retries, multiplied by the attempt (default: 60)
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(data = {}) {
+    if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+      throw new Error('name is required');
+    }
+
+    const jobs = await this._loadJobs();
+    if (jobs.some(j => j.name === data.name.trim())) {
+      throw new Error(`A replication job with the name "${data.name}" already exists`);
+    }
+
+    const job = {
+      id: generateId(),
+      name: data.name.trim(),
+      source: await this._validateSource(data.source),
+      target: this._validateTarget(data.target),
+      schedule: this._validateSchedule(data.schedule),
+      enabled: data.enabled !== false,
+      keep: this._validateCount(data.keep, 'keep', 1, 3),
+      retries: this._validateCount(data.retries, 'retries', 0, 2),
+      retry_delay: this._validateCount(data.retry_delay, 'retry_delay', 0, 60),
+      last_common_snapshot: null,
+      last_run: null,
+      cron_job_id: null,
+      created_at: new Date().toISOString()
+    };
+
+    job.cron_job_id = await this._syncCronJob(job);
+    jobs.push(job);
+    await this._saveJobs(jobs);
+
+    return this._formatJob(job);
+  }
+
+  /**
+   * Update a replication job
+   * Changing source or target resets the last common snapshot (next run is a full send).
+   * @param {string} jobId - Job ID
+   * @param {Object} updates - { name, source, target, schedule, enabled, keep, retries, retry_delay }
+   * @returns {Promise<Object>} Updated job
+   */
+  async updateJob(jobId, updates = {}) {
+    const jobs = await this._loadJobs();
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) {
+      throw new Error(`Replication job "${jobId}" not found`);
+    }
+    if (this._isRunning(jobId)) {
+      throw new Error('Replication job is currently running');
+    }
+
+    if (updates.name !== undefined) {
+      if (!updates.name || typeof updates.name !== 'string' || !updates.name.trim()) {
+        throw new Error('name is required');
+      }
+      if (jobs.some(j => j.id !== jobId && j.name === updates.name.trim())) {
+        throw new Error(`A replication job with the name "${updates.name}" already exists`);
+      }
+      job.name = updates.name.trim();
+    }
+    if (updates.source !== undefined) {
+      job.source = await this._validateSource(updates.source);
+      job.last_common_snapshot = null;
+    }
+    if (updates.target !== undefined) {
+      job.target = this._validateTarget(updates.target);
+      job.last_common_snapshot = null;
+    }
+    if (updates.schedule !== undefined) {
+      job.schedule = this._validateSchedule(updates.schedule);
+    }
+    if (updates.enabled !== undefined) {
+      if (typeof updates.enabled !== 'boolean') {
+        throw new Error('enabled must be a boolean value');
+      }
+      job.enabled = updates.enabled;
+    }
+    job.keep = this._validateCount(updates.keep, 'keep', 1, job.keep);
+    job.retries = this._validateCount(updates.retries, 'retries', 0, job.retries);
+    job.retry_delay = this._validateCount(updates.retry_delay, 'retry_delay', 0, job.retry_delay);
+
+    job.cron_job_id = await this._syncCronJob(job);
+    await this._saveJobs(jobs);
+
+    return this._formatJob(job);
+  }
+
+  /**
+   * Delete a replication job and its cron entry
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Options
+   * @param {boolean} options.deleteSnapshots - Also delete the replication snapshots on the source (default: false)
+   * @returns {Promise<Object>}
+   */
+  async deleteJob(jobId, options = {}) {
+    const jobs = await this._loadJobs();
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) {
+      throw new Error(`Replication job "${jobId}" not found`);
+    }
+    if (this._isRunning(jobId)) {
+      throw new Error('Replication job is currently running');
+    }
+
+    if (job.cron_job_id && await cronService.findCronJob(job.cron_job_id)) {
+      await cronService.deleteCronJob(job.cron_job_id);
+    }
+
+    let deletedSnapshots = 0;
+    if (options.deleteSnapshots === true) {
+      const { mountPoint, subvolume } = await this._resolveSource(job.source);
+      const snapshots = await this.poolsService._listBtrfsSnapshots(mountPoint, subvolume);
+      for (const snapshot of snapshots.filter(s => s.level === this._getSnapshotPrefix(job))) {
+        await execPromise(`btrfs subvolume delete "${snapshot.mountPath}"`);
+        deletedSnapshots++;
+      }
+    }
+
+    await this._saveJobs(jobs.filter(j => j.id !== jobId));
+    this.runs.delete(jobId);
+
+    return {
+      success: true,
+      message: `Replication job "${job.name}" deleted` +
+        (deletedSnapshots > 0 ? ` including ${deletedSnapshots} snapshot(s)` : ''),
+      deletedSnapshots
+    };
+  }
+
+  // ============================================================
+  // CRON INTEGRATION
+  // ============================================================
+
+  /**
+   * Make sure the scoped admin token used by cron exists and is stored in the token file
+   * @private
+   */
+  async _ensureSchedulerToken() {
+    const userService = require('./user.service');
+
+    let token = null;
+    try {
+      token = (await fs.readFile(this.tokenFile, 'utf8')).trim();
+    } catch (error) {
+      // Created below
+    }
+
+    const tokens = await userService.loadAdminTokens();
+    if (token && tokens.some(t => t.token === token && t.isActive)) {
+      return;
+    }
+
+    const stale = tokens.find(t => t.name === SCHEDULER_TOKEN_NAME);
+    if (stale) {
+      await userService.deleteAdminToken(stale.id);
+    }
+
+    const result = await userService.createAdminToken(
+      SCHEDULER_TOKEN_NAME,
+      'Used by cron to start scheduled replication jobs',
+      { scopes: [{ prefix: '/api/v1/replication/jobs', access: 'write' }] }
+    );
+    await fs.writeFile(this.tokenFile, result.data.token, { mode: 0o600 });
+  }
+
+  /**
+   * Create, update or remove the cron entry of a job
+   * @param {Object} job - Job
+   * @returns {Promise<string|null>} Cron job ID
+   * @private
+   */
+  async _syncCronJob(job) {
+    const existing = await cronService.findCronJob(job.cron_job_id || `replication_${job.id}`);
+
+    if (!job.schedule) {
+      if (existing) {
+        await cronService.deleteCronJob(existing.id);
+      }
+      return null;
+    }
+
+    await this._ensureSchedulerToken();
+    const command = `curl -s -X POST --unix-socket ${API_SOCKET_PATH} ` +
+      `-H "Authorization: Bearer $(cat ${this.tokenFile})" ` +
+      `http://localhost/api/v1/replication/jobs/${job.id}/run > /dev/null 2>&1`;
+
+    if (existing) {
+      await cronService.updateCronJob(existing.id, { schedule: job.schedule, command, enabled: job.enabled });
+      return existing.id;
+    }
+
+    const cronJob = await cronService.createCronJob({
+      name: `replication_${job.id}`,
+      schedule: job.schedule,
+      command,
+      enabled: job.enabled
+    });
+    return cronJob.id;
+  }
+
+  // ============================================================
+  // RUNS
+  // ============================================================
+
+  _isRunning(jobId) {
+    const run = this.runs.get(jobId);
+    return !!run && !run.completedAt;
+  }
+
+  /**
+   * Start a replication run (runs in background)
+   * @param {string} jobId - Job ID
+   * @param {Object} user - User that triggered the run
+   * @returns {Promise<Object>} Run
+   */
+  async startJob(jobId, user) {
+    const jobs = await this._loadJobs();
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) {
+      throw new Error(`Replication job "${jobId}" not found`);
+    }
+    if (this._isRunning(jobId)) {
+      throw new Error(`Replication job "${job.name}" is already running`);
+    }
+
+    const run = {
+      id: generateId(),
+      jobId: job.id,
+      jobName: job.name,
+      trigger: user && user.isAdminToken && user.name === SCHEDULER_TOKEN_NAME ? 'schedule' : 'manual',
+      status: 'preparing',
+      snapshot: null,
+      parent: null,
+      incremental: false,
+      attempt: 0,
+      maxAttempts: job.retries + 1,
+      bytesTransferred: 0,
+      speed: 0,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null,
+      _processes: [], // internal, not exposed via API
+      _cancelled: false,
+      _retryTimer: null,
+      _retryResolve: null,
+      _user: user || null,
+      _audited: false
+    };
+
+    this.runs.set(job.id, run);
+    this._emitUpdate(job.id);
+
+    this._executeRun(run, job).catch(async err => {
+      run.status = 'failed';
+      run.error = err.message;
+      run.completedAt = new Date().toISOString();
+      await this._updateJob(job.id, { last_run: this._getRunSummary(run) }).catch(() => {});
+      this._emitUpdate(job.id);
+
+      sendNotification('Replication', `Replication job ${job.name} failed: ${err.message}`, 'alert')
+        .catch(error => console.warn(`[Replication] Notification failed: ${error.message}`));
+    });
+
+    return this._formatRun(run, user);
+  }
+
+  /**
+   * Execute a run: snapshot, transfer with retries, prune
+   * @private
+   */
+  async _executeRun(run, job) {
+    const { pool, mountPoint, subvolume } = await this._resolveSource(job.source);
+    const snapshotDir = this.poolsService._getSnapshotDir(mountPoint, subvolume);
+    await this._prepareTarget(job.target);
+
+    // Incremental send needs the parent on both sides
+    if (job.last_common_snapshot) {
+      const parentPath = path.join(snapshotDir, job.last_common_snapshot);
+      const targetSnapshots = await this._listTargetSnapshots(job);
+      if (await this.poolsService._isBtrfsSubvolume(parentPath) && targetSnapshots.includes(job.last_common_snapshot)) {
+        run.parent = job.last_common_snapshot;
+        run.incremental = true;
+      } else {
+        console.warn(`[Replication] Last common snapshot of job ${job.name} is missing, sending full snapshot`);
+      }
+    }
+
+    const name = `${this._getSnapshotPrefix(job)}_${this.poolsService._formatSnapshotTimestamp()}`;
+    const snapshot = await this.poolsService._createBtrfsSnapshot(mountPoint, subvolume, name);
+    run.snapshot = name;
+
+    let lastError = null;
+    while (run.attempt < run.maxAttempts && !run._cancelled) {
+      run.attempt++;
+      run.status = 'running';
+      run.bytesTransferred = 0;
+      run.speed = 0;
+      this._emitUpdate(job.id);
+
+      try {
+        await this._transfer(run, job, snapshot.mountPath, run.parent ? path.join(snapshotDir, run.parent) : null);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        console.warn(`[Replication] Attempt ${run.attempt}/${run.maxAttempts} of job ${job.name} failed: ${error.message}`);
+        await this._removeTargetSnapshot(job.target, name);
+
+        if (run.attempt < run.maxAttempts && !run._cancelled) {
+          run.status = 'retrying';
+          run.error = error.message;
+          this._emitUpdate(job.id);
+          await new Promise(resolve => {
+            run._retryResolve = resolve;
+            run._retryTimer = setTimeout(resolve, job.retry_delay * run.attempt * 1000);
+          });
+          run._retryTimer = null;
+          run._retryResolve = null;
+        }
+      }
+    }
+
+    const previousStatus = job.last_run ? job.last_run.status : null;
+
+    if (run._cancelled || lastError) {
+      // The new snapshot was never received completely - keep the previous common snapshot
+      await execPromise(`btrfs subvolume delete "${snapshot.mountPath}"`).catch(() => {});
+      run.status = run._cancelled ? 'cancelled' : 'failed';
+      run.error = run._cancelled ? null : lastError.message;
+      run.completedAt = new Date().toISOString();
+      await this._updateJob(job.id, { last_run: this._getRunSummary(run) });
+      this._emitUpdate(job.id);
+
+      if (!run._cancelled) {
+        sendNotification(
+          'Replication',
+          `Replication job ${job.name} failed after ${run.attempt} attempt(s): ${lastError.message}`,
+          'alert'
+        ).catch(err => console.warn(`[Replication] Notification failed: ${err.message}`));
+      }
+      return;
+    }
+
+    run.status = 'pruning';
+    run.error = null;
+    this._emitUpdate(job.id);
+    job.last_common_snapshot = name;
+    await this._updateJob(job.id, { last_common_snapshot: name });
+    await this._pruneSnapshots(job, mountPoint, subvolume);
+
+    run.status = 'completed';
+    run.speed = 0;
+    run.completedAt = new Date().toISOString();
+    await this._updateJob(job.id, { last_run: this._getRunSummary(run) });
+    this._emitUpdate(job.id);
+
+    if (previousStatus === 'failed') {
+      sendNotification('Replication', `Replication job ${job.name} of pool ${pool.name} succeeded again`, 'normal')
+        .catch(err => console.warn(`[Replication] Notification failed: ${err.message}`));
+    }
+  }
+
+  /**
+   * Pipe btrfs send into btrfs receive and track transferred bytes
+   * @private
+   */
+  _transfer(run, job, snapshotPath, parentPath) {
+    return new Promise((resolve, reject) => {
+      const sendArgs = ['send'];
+      if (parentPath) {
+        sendArgs.push('-p', parentPath);
+      }
+      sendArgs.push(snapshotPath);
+
+      const sender = spawn('btrfs', sendArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const receiver = job.target.type === 'ssh'
+        ? spawn('ssh', [...this._getSshArgs(job.target), `btrfs receive ${this._shellQuote(job.target.path)}`], { stdio: ['pipe', 'ignore', 'pipe'] })
+        : spawn('btrfs', ['receive', job.target.path], { stdio: ['pipe', 'ignore', 'pipe'] });
+      run._processes = [sender, receiver];
+
+      const stderr = { send: '', receive: '' };
+      const exitCodes = {};
+      let spawnError = null;
+      let lastSample = { time: Date.now(), bytes: 0 };
+
+      const speedInterval = setInterval(() => {
+        const now = Date.now();
+        run.speed = Math.round((run.bytesTransferred - lastSample.bytes) / ((now - lastSample.time) / 1000));
+        lastSample = { time: now, bytes: run.bytesTransferred };
+      }, 1000);
+
+      sender.stdout.on('data', chunk => {
+        run.bytesTransferred += chunk.length;
+        // Don't emit on every chunk - WebSocket manager handles throttled broadcasts
+      });
+      sender.stdout.pipe(receiver.stdin);
+      receiver.stdin.on('error', () => {
+        // EPIPE when the receiver exits early - reported through its exit code
+      });
+
+      sender.stderr.on('data', data => { stderr.send = (stderr.send + data.toString()).slice(-1024); });
+      receiver.stderr.on('data', data => { stderr.receive = (stderr.receive + data.toString()).slice(-1024); });
+
+      const finish = () => {
+        if (!('send' in exitCodes) || !('receive' in exitCodes)) return;
+
+        clearInterval(speedInterval);
+        run._processes = [];
+
+        if (spawnError) {
+          reject(spawnError);
+        } else if (run._cancelled) {
+          reject(new Error('Replication cancelled'));
+        } else if (exitCodes.send !== 0) {
+          reject(new Error(`btrfs send exited with code ${exitCodes.send}: ${stderr.send.trim()}`));
+        } else if (exitCodes.receive !== 0) {
+          reject(new Error(`btrfs receive exited with code ${exitCodes.receive}: ${stderr.receive.trim()}`));
+        } else {
+          resolve();
+        }
+      };
+
+      sender.on('error', err => { spawnError = spawnError || err; });
+      receiver.on('error', err => { spawnError = spawnError || err; });
+      sender.on('close', code => {
+        exitCodes.send = code;
+        finish();
+      });
+      receiver.on('close', code => {
+        exitCodes.receive = code;
+        finish();
+      });
+    });
+  }
+
+  /**
+   * Remove a partially received snapshot from the target
+   * @private
+   */
+  async _removeTargetSnapshot(target, name) {
+    const snapshotPath = this._shellQuote(path.join(target.path, name));
+    try {
+      await this._execOnTarget(target, `if [ -d ${snapshotPath} ]; then btrfs subvolume delete ${snapshotPath}; fi`);
+    } catch (error) {
+      console.warn(`[Replication] Failed to remove incomplete snapshot ${name} on target: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keep the newest replication snapshots on source and target, never the last common one
+   * @private
+   */
+  async _pruneSnapshots(job, mountPoint, subvolume) {
+    const prefix = this._getSnapshotPrefix(job);
+
+    try {
+      const sourceSnapshots = (await this.poolsService._listBtrfsSnapshots(mountPoint, subvolume))
+        .filter(s => s.level === prefix);
+      for (const snapshot of sourceSnapshots.slice(job.keep)) {
+        if (snapshot.name === job.last_common_snapshot) continue;
+        await execPromise(`btrfs subvolume delete "${snapshot.mountPath}"`);
+      }
+    } catch (error) {
+      console.warn(`[Replication] Failed to prune source snapshots of job ${job.name}: ${error.message}`);
+    }
+
+    try {
+      const targetSnapshots = await this._listTargetSnapshots(job);
+      for (const name of targetSnapshots.slice(job.keep)) {
+        if (name === job.last_common_snapshot) continue;
+        await this._execOnTarget(job.target, `btrfs subvolume delete ${this._shellQuote(path.join(job.target.path, name))}`);
+      }
+    } catch (error) {
+      console.warn(`[Replication] Failed to prune target snapshots of job ${job.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a running replication
+   * @param {string} jobId - Job ID
+   * @param {Object} user - User object with byte_format preference
+   * @returns {Object} Run
+   */
+  cancelJob(jobId, user) {
+    const run = this.runs.get(jobId);
+    if (!run) {
+      throw new Error(`No run found for replication job "${jobId}"`);
+    }
+    if (run.completedAt) {
+      throw new Error(`Replication run is already ${run.status}`);
+    }
+
+    run._cancelled = true;
+    for (const proc of run._processes) {
+      proc.kill('SIGTERM');
+    }
+    if (run._retryTimer) {
+      clearTimeout(run._retryTimer);
+      run._retryResolve();
+    }
+
+    return this._formatRun(run, user);
+  }
+
+  /**
+   * Get current and recently finished runs
+   * @param {Object} user - User object with byte_format preference
+   * @returns {Array}
+   */
+  getRuns(user) {
+    return Array.from(this.runs.values())
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      .map(run => this._formatRun(run, user));
+  }
+
+  /**
+   * Get the current or last run of a job
+   * @param {string} jobId - Job ID
+   * @param {Object} user - User object with byte_format preference
+   * @returns {Object|null}
+   */
+  getRun(jobId, user) {
+    const run = this.runs.get(jobId);
+    return run ? this._formatRun(run, user) : null;
+  }
+
+  getRunningCount() {
+    let count = 0;
+    for (const run of this.runs.values()) {
+      if (!run.completedAt) count++;
+    }
+    return count;
+  }
+
+  // ============================================================
+  // INTERNAL HELPERS
+  // ============================================================
+
+  _getRunSummary(run) {
+    return {
+      status: run.status,
+      trigger: run.trigger,
+      snapshot: run.snapshot,
+      incremental: run.incremental,
+      attempts: run.attempt,
+      bytes: run.bytesTransferred,
+      started_at: run.startedAt,
+      finished_at: run.completedAt,
+      error: run.error
+    };
+  }
+
+  _formatJob(job, user = null) {
+    return {
+      ...job,
+      running: this._isRunning(job.id),
+      current_run: this.getRun(job.id, user)
+    };
+  }
+
+  /**
+   * Raw run data without internal fields
+   * @private
+   */
+  _serializeRun(run) {
+    return {
+      id: run.id,
+      jobId: run.jobId,
+      jobName: run.jobName,
+      trigger: run.trigger,
+      status: run.status,
+      snapshot: run.snapshot,
+      parent: run.parent,
+      incremental: run.incremental,
+      attempt: run.attempt,
+      maxAttempts: run.maxAttempts,
+      bytesTransferred: run.bytesTransferred,
+      speed: run.speed,
+      startedAt: run.startedAt,
+      completedAt: run.completedAt,
+      error: run.error
+    };
+  }
+
+  /**
+   * Format raw run data with human-readable fields for a specific user
+   */
+  formatRun(rawRun, user) {
+    const disksService = require('./disks.service');
+
+    return {
+      ...rawRun,
+      bytesTransferred_human: disksService.formatBytes(rawRun.bytesTransferred, user),
+      speed_human: disksService.formatSpeed(rawRun.speed, user)
+    };
+  }
+
+  _formatRun(run, user) {
+    return this.formatRun(this._serializeRun(run), user);
+  }
+
+  /**
+   * Write the audit record of a finished run
+   * @private
+   */
+  _recordAudit(run) {
+    auditService.record({
+      source: 'replication',
+      user: run._user,
+      action: 'run',
+      params: {
+        id: run.jobId,
+        name: run.jobName,
+        trigger: run.trigger,
+        snapshot: run.snapshot,
+        incremental: run.incremental,
+        attempts: run.attempt,
+        bytes: run.bytesTransferred,
+        status: run.status
+      },
+      success: run.status === 'completed',
+      error: run.error,
+      duration: new Date(run.completedAt).getTime() - new Date(run.startedAt).getTime()
+    });
+  }
+
+  /**
+   * Emit run update event for WebSocket
+   * @private
+   */
+  _emitUpdate(jobId) {
+    const run = this.runs.get(jobId);
+    if (run) {
+      if (!run._audited && run.completedAt) {
+        run._audited = true;
+        this._recordAudit(run);
+      }
+
+      // Emit raw run data - WebSocket manager formats per client
+      this.emit('replication-update', jobId, this._serializeRun(run));
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ReplicationService();
@@ -0,0 +1,288 @@
+const fs = require('fs').promises;
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * Session Service - Server-side tracking of issued login JWTs
+ *
+ * Every login JWT carries a token id (jti). A JWT is only accepted while its
+ * session exists, so revoking a session invalidates the token immediately.
+ * Last activity is kept in memory and written to disk at most every few minutes.
+ */
+class SessionService {
+  constructor() {
+    this.sessions = new Map(); // jti -> session
+    this.loaded = false;
+    this.activitySaveDelay = 5 * 60 * 1000; // 5 minutes
+    this._saveTimer = null;
+  }
+
+  // ============================================================
+  // PERSISTENCE
+  // ============================================================
+
+  async loadSessions() {
+    if (this.loaded) {
+      return this.sessions;
+    }
+
+    try {
+      const data = await fs.readFile(config.sessionsFilePath, 'utf8');
+      const sessions = data.trim() ? JSON.parse(data) : [];
+      if (Array.isArray(sessions)) {
+        for (const session of sessions) {
+          this.sessions.set(session.id, session);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading sessions:', error);
+      }
+    }
+
+    this.loaded = true;
+    this._pruneExpired();
+    return this.sessions;
+  }
+
+  async saveSessions() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+
+    try {
+      const sessions = Array.from(this.sessions.values());
+      await fs.writeFile(config.sessionsFilePath, JSON.stringify(sessions, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('Error saving sessions:', error);
+      throw new Error('Error saving session data');
+    }
+  }
+
+  /**
+   * Persist activity updates later - avoids a config write on every request
+   * @private
+   */
+  _scheduleSave() {
+    if (this._saveTimer) return;
+
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.saveSessions().catch(() => {});
+    }, this.activitySaveDelay);
+    this._saveTimer.unref();
+  }
+
+  /**
+   * Remove sessions whose JWT has expired
+   * @private
+   * @returns {boolean} True if sessions were removed
+   */
+  _pruneExpired() {
+    const now = Date.now();
+    let removed = false;
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt && new Date(session.expiresAt).getTime() <= now) {
+        this.sessions.delete(id);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /**
+   * Short device description from a User-Agent header
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} e.g. "Firefox on Linux"
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    let browser = null;
+    if (/Edg\//.test(userAgent)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(userAgent)) browser = 'Opera';
+    else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+    else if (/Chrome\/|CriOS\//.test(userAgent)) browser = 'Chrome';
+    else if (/Safari\//.test(userAgent)) browser = 'Safari';
+    else if (/curl\//i.test(userAgent)) browser = 'curl';
+
+    let os = null;
+    if (/Android/.test(userAgent)) os = 'Android';
+    else if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+    else if (/Windows/.test(userAgent)) os = 'Windows';
+    else if (/Mac OS X|Macintosh/.test(userAgent)) os = 'macOS';
+    else if (/Linux/.test(userAgent)) os = 'Linux';
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || userAgent.substring(0, 64);
+  }
+
+  _formatSession(session, currentSessionId = null) {
+    return {
+      ...session,
+      current: session.id === currentSessionId
+    };
+  }
+
+  // ============================================================
+  // SESSIONS
+  // ============================================================
+
+  /**
+   * Register the session of a freshly signed login JWT
+   * @param {Object} user - User the token was issued for
+   * @param {string} token - Signed JWT (must contain jti)
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object>} Session
+   */
+  async createSession(user, token, context = {}) {
+    await this.loadSessions();
+
+    const decoded = jwt.decode(token);
+    const now = new Date().toISOString();
+    const session = {
+      id: decoded.jti,
+      userId: user.id,
+      username: user.username,
+      device: this.describeDevice(context.userAgent),
+      userAgent: context.userAgent || null,
+      ip: context.ip || null,
+      createdAt: now,
+      lastActivity: now,
+      expiresAt: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null
+    };
+
+    this.sessions.set(session.id, session);
+    this._pruneExpired();
+    await this.saveSessions();
+
+    return session;
+  }
+
+  /**
+   * Validate a session and record activity
+   * @param {string} sessionId - JWT id (jti)
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object|null>} Session, or null if revoked, expired or unknown
+   */
+  async touchSession(sessionId, context = {}) {
+    if (!sessionId) {
+      return null;
+    }
+
+    await this.loadSessions();
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (session.expiresAt && new Date(session.expiresAt).getTime() <= Date.now()) {
+      this.sessions.delete(sessionId);
+      this._scheduleSave();
+      return null;
+    }
+
+    session.lastActivity = new Date().toISOString();
+    if (context.ip) {
+      session.ip = context.ip;
+    }
+    this._scheduleSave();
+
+    return session;
+  }
+
+  /**
+   * Check whether a cached JWT has been revoked in the meantime.
+   * Tokens that are no login JWTs (boot / admin tokens) are never revoked here.
+   * @param {string} token - Raw token
+   * @returns {boolean}
+   */
+  isTokenRevoked(token) {
+    const decoded = jwt.decode(token);
+    if (!decoded || !decoded.jti) {
+      return false;
+    }
+    return !this.sessions.has(decoded.jti);
+  }
+
+  /**
+   * List active sessions
+   * @param {Object} filters - { userId } - omit userId for all users
+   * @param {string} currentSessionId - Session of the requester (flagged as current)
+   * @returns {Promise<Array>} Sessions, most recent activity first
+   */
+  async listSessions({ userId = null } = {}, currentSessionId = null) {
+    await this.loadSessions();
+    if (this._pruneExpired()) {
+      this._scheduleSave();
+    }
+
+    return Array.from(this.sessions.values())
+      .filter(session => !userId || session.userId === userId)
+      .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+      .map(session => this._formatSession(session, currentSessionId));
+  }
+
+  /**
+   * Get a single session
+   * @param {string} sessionId - Session id
+   * @returns {Promise<Object|null>}
+   */
+  async getSession(sessionId) {
+    await this.loadSessions();
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - Session id
+   * @returns {Promise<Object>} Result
+   */
+  async revokeSession(sessionId) {
+    await this.loadSessions();
+
+    if (!this.sessions.has(sessionId)) {
+      throw new Error('Session not found');
+    }
+
+    this.sessions.delete(sessionId);
+    await this.saveSessions();
+
+    return {
+      success: true,
+      message: 'Session revoked successfully'
+    };
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @param {string} userId - User ID
+   * @param {string|null} exceptSessionId - Session to keep (e.g. the requester's own)
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeUserSessions(userId, exceptSessionId = null) {
+    await this.loadSessions();
+
+    let revoked = 0;
+    for (const [id, session] of this.sessions) {
+      if (session.userId === userId && id !== exceptSessionId) {
+        this.sessions.delete(id);
+        revoked++;
+      }
+    }
+
+    if (revoked > 0) {
+      await this.saveSessions();
+    }
+    return revoked;
+  }
+}
+
+module.exports = new SessionService();
@@ -1,14 +1,37 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
+const { exec, execFile, spawn } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
 const PoolsService = require('./pools.service');
+const userService = require('./user.service');
+const ldapService = require('./ldap.service');
+const { sendNotification } = require('./plugins.service');
+const QuotaHelpers = require('./shares/quota-helpers');
+const AclHelpers = require('./shares/acl-helpers');
+const VfsHelpers = require('./shares/vfs-helpers');
+const SessionHelpers = require('./shares/session-helpers');
+const SmbConfHelpers = require('./shares/smbconf-helpers');
+const cronService = require('./cron.service');
+
+const QUOTA_CHECK_INTERVAL = 10 * 60 * 1000;
+const QUOTA_ACCOUNTING_INTERVAL = 60 * 60 * 1000; // du walks the whole share, measure hourly
+const ACL_BATCH_SIZE = 200; // paths per setfacl call
+const RECYCLE_CLEANUP_JOB = 'shares_recycle_cleanup';
+const RECYCLE_CLEANUP_SCHEDULE = '30 3 * * *';
+const NFSD_CLIENTS_DIR = '/proc/fs/nfsd/clients';
 
 class SharesService {
   constructor() {
     this.sharesConfigPath = '/boot/config/shares.json';
     this.poolsConfigPath = '/boot/config/pools.json';
+    this.smbConfPath = '/etc/samba/smb.conf';
+    this._quotaState = new Map(); // shareId -> last notified level
+    this._quotaAccounting = new Map(); // shareId -> { used, measuredAt } (du measurements)
+    this._quotaMonitorInterval = null;
+    this._aclJobs = new Map(); // shareId -> ACL job
+    this._startQuotaMonitor();
   }
 
   /**
@@ -18,12 +41,38 @@ class SharesService {
   async _restartSmbd() {
     try {
       await execAsync('/etc/init.d/smbd restart');
-      return true;
     } catch (error) {
       console.error(`Error restarting SMB daemon: ${error.message}`);
       // Do not treat as critical error - Share was still created/deleted
       return false;
     }
+
+    try {
+      // The restart regenerated smb.conf without the API managed parameters
+      await this.syncSmbShareParameters();
+      return true;
+    } catch (error) {
+      console.error(`Error writing share parameters to smb.conf: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Write the share parameters the smb.conf generator does not know (read list, invalid users,
+   * vfs objects and options) into the share sections of smb.conf and let smbd reload it
+   * @returns {Promise<boolean>} True if smb.conf was changed
+   */
+  async syncSmbShareParameters() {
+    const shares = await this.getSmbShares();
+    const conf = await fs.readFile(this.smbConfPath, 'utf8');
+    const updated = SmbConfHelpers.applyShareParameters(conf, shares);
+    if (updated === conf) {
+      return false;
+    }
+
+    await fs.writeFile(this.smbConfPath, updated);
+    await execFileAsync('smbcontrol', ['smbd', 'reload-config']);
+    return true;
   }
 
   /**
@@ -139,6 +188,70 @@ class SharesService {
     }
   }
 
+  /**
+   * Get users and groups that can be used in valid_users / write_list and access rules of SMB shares
+   * Local groups are always listed, directory users and groups only when LDAP is enabled.
+   * @returns {Promise<Object>} { users, groups, ldap_enabled, ldap_error }
+   */
+  async getSmbPrincipals() {
+    const localUsers = await userService.getSmbUsers();
+    const users = localUsers.map(user => ({
+      name: user.username,
+      display_name: user.fullName || null,
+      source: 'local'
+    }));
+    const localGroups = await userService.getGroups();
+    let groups = localGroups.map(group => ({
+      name: `@${group.name}`,
+      members: group.members,
+      source: 'local'
+    }));
+    let ldapError = null;
+
+    const ldapEnabled = await ldapService.isEnabled();
+    if (ldapEnabled) {
+      try {
+        const [directoryUsers, directoryGroups] = await Promise.all([
+          ldapService.listUsers(),
+          ldapService.listGroups()
+        ]);
+
+        const known = new Set(users.map(u => u.name));
+        for (const user of directoryUsers) {
+          if (known.has(user.username)) {
+            // Already synced to a local SMB account
+            users.find(u => u.name === user.username).source = 'ldap';
+            continue;
+          }
+          users.push({ name: user.username, display_name: user.displayName, source: 'ldap' });
+        }
+
+        // Samba resolves @group entries through NSS, the members are listed for the UI
+        const localNames = new Set(groups.map(g => g.name));
+        groups = groups.concat(directoryGroups
+          .filter(group => !localNames.has(`@${group.name}`))
+          .map(group => ({
+            name: `@${group.name}`,
+            members: group.members,
+            source: 'ldap'
+          })));
+      } catch (error) {
+        // Local users are still usable while the directory is unreachable
+        ldapError = error.message;
+      }
+    }
+
+    users.sort((a, b) => a.name.localeCompare(b.name));
+    groups.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      users,
+      groups,
+      ldap_enabled: ldapEnabled,
+      ldap_error: ldapError
+    };
+  }
+
   /**
    * Get shares info/stats
    * @returns {Promise<Object>} Shares statistics
@@ -172,13 +285,39 @@ class SharesService {
         });
       }
 
+      // Current connections per share (SMB share connections, NFSv4 clients with open files below the share)
+      const [status, nfsClients] = await Promise.all([this._getSmbStatus(), this._getNfsClients()]);
+      const connections = [];
+      for (const item of Array.isArray(sharesConfig) ? sharesConfig : []) {
+        for (const share of item.smb || []) {
+          connections.push({
+            id: share.id,
+            name: share.name,
+            type: 'smb',
+            connections: status.tcons.filter(tcon => tcon.service === share.name).length,
+            open_files: status.openFiles.filter(file => SessionHelpers.isBelow(file.path, share.path)).length
+          });
+        }
+        for (const share of item.nfs || []) {
+          const clients = nfsClients.filter(c => c.openFiles.some(state => SessionHelpers.isBelow(state.path, share.path)));
+          connections.push({
+            id: share.id,
+            name: share.name,
+            type: 'nfs',
+            connections: clients.length,
+            open_files: clients.reduce((sum, c) => sum + c.openFiles.filter(state => SessionHelpers.isBelow(state.path, share.path)).length, 0)
+          });
+        }
+      }
+
       return {
         success: true,
         data: {
           total: totalShares,
           enabled: enabledShares,
           disabled: totalShares - enabledShares,
-          types: shareTypes
+          types: shareTypes,
+          connections
         },
         timestamp: new Date().toISOString()
       };
@@ -430,6 +569,7 @@ class SharesService {
    * @param {string} subPath - Sub-path within the pool OR absolute path if poolName is null
    * @param {Object} options - Share configuration options
    * @param {string} options.permissions - Directory permissions in octal format (default: '0775')
+   * @param {boolean} options.subvolume - Create the share directory as BTRFS subvolume (BTRFS pools only)
    * @returns {Promise<Object>} Created share configuration
    */
   async createSmbShare(shareName, poolName, subPath = '', options = {}) {
@@ -521,7 +661,11 @@ class SharesService {
         // Check if the share path already exists or should be created (default behavior)
         if (options.createDirectory !== false && (!poolConfig || poolConfig.type !== 'mergerfs' || !options.target_devices)) {
           try {
-            await fs.mkdir(sharePath, { recursive: true });
+            if (options.subvolume === true) {
+              await this._createShareSubvolume(poolConfig, subPath, sharePath);
+            } else {
+              await fs.mkdir(sharePath, { recursive: true });
+            }
 
             // Set ownership to 500:500 (user:group)
             try {
@@ -571,6 +715,19 @@ class SharesService {
 
       // Create SMB share configuration
       const smbConfig = this._createSmbShareConfig(shareName, sharePath, options);
+      if (options.access_rules) {
+        await this._applyAccessRules(smbConfig, options.access_rules);
+      }
+      const vfsChanges = {};
+      for (const key of ['recycle_bin', 'time_machine', 'shadow_copy']) {
+        if (options[key]) vfsChanges[key] = options[key];
+      }
+      if (Object.keys(vfsChanges).length > 0) {
+        await this._configureVfs(smbConfig, vfsChanges);
+      }
+      if (options.quota) {
+        await this._configureQuota(smbConfig, options.quota, sharesConfig);
+      }
 
       // Add smb key to first object if not present
       if (!sharesConfig[0].smb) {
@@ -582,9 +739,13 @@ class SharesService {
 
       // Save configuration
       await this._saveShares(sharesConfig);
+      if (smbConfig.recycle_bin) {
+        await this._syncRecycleCleanupJob(sharesConfig);
+      }
 
       // Restart SMB daemon
       const smbRestartSuccess = await this._restartSmbd();
+      const vfsWarning = smbRestartSuccess ? await this._checkSmbVfs(smbConfig) : null;
 
       // Build response object
       const result = {
@@ -600,6 +761,9 @@ class SharesService {
         smbRestarted: smbRestartSuccess,
         timestamp: new Date().toISOString()
       };
+      if (vfsWarning) {
+        result.warning = vfsWarning;
+      }
 
       // Add extended information for MergerFS pools
       if (poolConfig && poolConfig.type === 'mergerfs' && options.target_devices) {
@@ -772,6 +936,9 @@ class SharesService {
 
       // Create NFS share configuration
       const nfsConfig = this._createNfsShareConfig(shareName, sharePath, options);
+      if (options.quota) {
+        await this._configureQuota(nfsConfig, options.quota, sharesConfig);
+      }
 
       // Add nfs key to first object if not present
       if (!sharesConfig[0].nfs) {
@@ -952,11 +1119,21 @@ class SharesService {
         }
       }
 
+      // Remove the quota limit from the filesystem
+      if (deletedShare.quota) {
+        await this._removeQuota(deletedShare, deletedShare.quota);
+        this._quotaState.delete(deletedShareId);
+        this._quotaAccounting.delete(deletedShareId);
+      }
+
       // Remove share from array
       section[shareType].splice(shareIndex, 1);
 
       // Save updated configuration (keep structure intact, don't remove empty arrays)
       await this._saveShares(sharesConfig);
+      if (deletedShare.recycle_bin) {
+        await this._syncRecycleCleanupJob(sharesConfig);
+      }
 
       // Restart/Reload appropriate daemon based on share type
       let daemonReloadSuccess = false;
@@ -1077,18 +1254,58 @@ class SharesService {
       // Always remove target_devices from share config
       delete updatedShareConfig.target_devices;
 
+      // Access rules own the Samba lists, setting the lists directly drops the rules
+      if (updates.hasOwnProperty('access_rules')) {
+        if (shareType !== 'smb') {
+          throw new Error('Invalid access rules: only supported for SMB shares');
+        }
+        await this._applyAccessRules(updatedShareConfig, updates.access_rules);
+      } else if (['valid_users', 'write_list', 'read_list', 'invalid_users'].some(key => updates.hasOwnProperty(key))) {
+        delete updatedShareConfig.access_rules;
+      }
+
+      // VFS features are stored normalized, vfs_objects / vfs_options are always derived
+      const vfsKeys = ['recycle_bin', 'time_machine', 'shadow_copy'];
+      const vfsChanged = vfsKeys.some(key => updates.hasOwnProperty(key));
+      if (vfsChanged && shareType !== 'smb') {
+        throw new Error('Invalid option: recycle_bin, time_machine and shadow_copy are only supported for SMB shares');
+      }
+      if (shareType === 'smb' && (vfsChanged || updates.hasOwnProperty('vfs_objects') || updates.hasOwnProperty('vfs_options'))) {
+        const vfsChanges = {};
+        for (const key of vfsKeys) {
+          updatedShareConfig[key] = originalShare[key];
+          if (!updatedShareConfig[key]) delete updatedShareConfig[key];
+          if (updates.hasOwnProperty(key)) vfsChanges[key] = updates[key];
+        }
+        await this._configureVfs(updatedShareConfig, vfsChanges);
+      }
+
+      // Quota changes are applied to the filesystem, the stored quota is managed by _configureQuota
+      if (updates.hasOwnProperty('quota')) {
+        updatedShareConfig.quota = originalShare.quota;
+        if (!updatedShareConfig.quota) delete updatedShareConfig.quota;
+        await this._configureQuota(updatedShareConfig, updates.quota, sharesConfig);
+      }
+
       section[shareType][shareIndex] = updatedShareConfig;
 
       // Save updated configuration
       await this._saveShares(sharesConfig);
+      if (updates.hasOwnProperty('recycle_bin')) {
+        await this._syncRecycleCleanupJob(sharesConfig);
+      }
 
       // Restart/Reload appropriate daemon based on share type
       let daemonReloadSuccess = false;
       let daemonReloadMessage = '';
+      let vfsWarning = null;
 
       if (shareType === 'smb') {
         daemonReloadSuccess = await this._restartSmbd();
         daemonReloadMessage = daemonReloadSuccess ? ' and SMB restarted' : ' (SMB restart failed)';
+        if (daemonReloadSuccess) {
+          vfsWarning = await this._checkSmbVfs(updatedShareConfig);
+        }
       } else if (shareType === 'nfs') {
         daemonReloadSuccess = await this._restartNfsd();
         daemonReloadMessage = daemonReloadSuccess ? ' and NFS restarted' : ' (NFS restart failed)';
@@ -1104,6 +1321,7 @@ class SharesService {
           config: updatedShareConfig
         },
         daemonReloaded: daemonReloadSuccess,
+        ...(vfsWarning ? { warning: vfsWarning } : {}),
         timestamp: new Date().toISOString()
       };
 
@@ -1227,6 +1445,116 @@ class SharesService {
     }
   }
 
+  /**
+   * Create the directory of a share as BTRFS subvolume (snapshot and rollback capable)
+   * @param {Object|null} poolConfig - Pool configuration
+   * @param {string} subPath - Sub-path within the pool
+   * @param {string} sharePath - Full share path
+   */
+  async _createShareSubvolume(poolConfig, subPath, sharePath) {
+    if (!poolConfig || poolConfig.type !== 'btrfs') {
+      throw new Error('Subvolume shares are only supported on BTRFS pools');
+    }
+
+    const poolsService = new PoolsService();
+    if (await poolsService._isBtrfsSubvolume(sharePath)) {
+      return;
+    }
+
+    try {
+      await fs.access(sharePath);
+      throw new Error(`${sharePath} already exists as regular directory`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await poolsService.createSubvolume(poolConfig.id, subPath);
+  }
+
+  /**
+   * Resolve the BTRFS pool and subvolume of a share
+   * @param {string} shareId - ID of the share
+   * @returns {Promise<Object>} { share, shareType, pool, subvolume }
+   */
+  async _getShareSubvolume(shareId) {
+    const shareResult = await this.getShare(shareId);
+    const share = shareResult.data.config;
+
+    const poolName = share.path && share.path.startsWith('/mnt/') ? this._extractPoolNameFromPath(share.path) : null;
+    if (!poolName) {
+      throw new Error(`Share '${share.name}' is not located on a pool`);
+    }
+
+    const pool = await this._getPoolByName(poolName);
+    if (pool.type !== 'btrfs') {
+      throw new Error(`Snapshots are only supported for shares on BTRFS pools, not '${pool.type}'`);
+    }
+
+    return {
+      share,
+      shareType: shareResult.data.shareType,
+      pool,
+      subvolume: this._extractRelativePathFromShare(share.path, poolName)
+    };
+  }
+
+  /**
+   * List the snapshots of a share's subvolume
+   * @param {string} shareId - ID of the share
+   * @returns {Promise<Object>} Snapshots
+   */
+  async getShareSnapshots(shareId) {
+    try {
+      const { share, pool, subvolume } = await this._getShareSubvolume(shareId);
+      const poolsService = new PoolsService();
+      const snapshots = await poolsService.listSnapshots(pool.id, subvolume);
+
+      return {
+        success: true,
+        data: {
+          shareId,
+          shareName: share.name,
+          poolName: pool.name,
+          subvolume: poolsService._normalizeSubvolumePath(subvolume),
+          isSubvolume: await poolsService._isBtrfsSubvolume(share.path),
+          snapshots
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Error getting share snapshots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Roll a share back to a snapshot of its subvolume (e.g. after a ransomware attack).
+   * The share daemon is restarted so clients do not keep handles to the replaced subvolume.
+   * @param {string} shareId - ID of the share
+   * @param {string} snapshotName - Snapshot to restore
+   * @param {Object} options - Options
+   * @param {boolean} options.backup - Snapshot the current state before the rollback (default: true)
+   * @returns {Promise<Object>} Rollback result
+   */
+  async rollbackShare(shareId, snapshotName, options = {}) {
+    try {
+      const { share, shareType, pool, subvolume } = await this._getShareSubvolume(shareId);
+      const poolsService = new PoolsService();
+
+      const result = await poolsService.rollbackSubvolume(pool.id, subvolume, snapshotName, options);
+
+      const daemonRestarted = shareType === 'nfs' ? await this._restartNfsd() : await this._restartSmbd();
+
+      return {
+        ...result,
+        message: `Share '${share.name}' rolled back to snapshot '${snapshotName}'`,
+        daemonRestarted,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Error rolling back share: ${error.message}`);
+    }
+  }
+
   /**
    * Remove target devices from a share (remove path rule)
    * @param {string} shareId - ID of the share
@@ -1240,6 +1568,1164 @@ class SharesService {
     }
   }
 
+  /**
+   * Resolve pool, quota method and mount point of a share
+   * @param {Object} share - Share configuration
+   * @returns {Promise<Object>} { pool, method, mountPoint }
+   */
+  async _getQuotaTarget(share) {
+    const poolName = share.path && share.path.startsWith('/mnt/') ? this._extractPoolNameFromPath(share.path) : null;
+    let pool = null;
+    if (poolName) {
+      try {
+        pool = await this._getPoolByName(poolName);
+      } catch (error) {
+        // Not a configured pool (e.g. a mounted remote), accounting only
+      }
+    }
+
+    return {
+      pool,
+      method: QuotaHelpers.getMethod(pool ? pool.type : null),
+      mountPoint: pool ? `/mnt/${pool.name}` : null
+    };
+  }
+
+  /**
+   * Check if an XFS pool is mounted with project quotas
+   * @param {string} mountPoint - Pool mount point
+   * @returns {Promise<boolean>}
+   */
+  async _hasXfsProjectQuota(mountPoint) {
+    const { stdout } = await execAsync('cat /proc/mounts');
+    return stdout.split('\n').some(line => {
+      const parts = line.split(' ');
+      return parts[1] === mountPoint && /(^|,)(prjquota|pquota)(,|$)/.test(parts[3] || '');
+    });
+  }
+
+  /**
+   * Set, change or remove the quota of a share (mutates shareConfig.quota)
+   * XFS project quotas can only be enabled at mount time: if the pool is mounted without
+   * prjquota, project_quota is enabled in pools.json and the quota is applied by the
+   * quota monitor after the next mount.
+   * @param {Object} shareConfig - Share configuration
+   * @param {Object|null} quota - { limit, warning } or null to remove the quota
+   * @param {Array} sharesConfig - Current shares configuration (for XFS project ids)
+   */
+  async _configureQuota(shareConfig, quota, sharesConfig = []) {
+    const previous = shareConfig.quota || null;
+    const { pool, method, mountPoint } = await this._getQuotaTarget(shareConfig);
+
+    if (quota === null) {
+      if (previous) {
+        await this._removeQuota(shareConfig, previous);
+        delete shareConfig.quota;
+        this._quotaState.delete(shareConfig.id);
+        this._quotaAccounting.delete(shareConfig.id);
+      }
+      return;
+    }
+
+    const normalized = QuotaHelpers.normalize(quota);
+
+    if (method === 'btrfs-qgroup') {
+      const poolsService = new PoolsService();
+      if (!(await poolsService._isBtrfsSubvolume(shareConfig.path))) {
+        throw new Error(`Quotas on BTRFS pools require the share '${shareConfig.name}' to be a subvolume (create it with subvolume: true)`);
+      }
+      await execAsync(`btrfs quota enable "${mountPoint}"`);
+      await execAsync(`btrfs qgroup limit ${normalized.limit} "${shareConfig.path}"`);
+    } else if (method === 'xfs-project') {
+      if (previous && previous.project_id) {
+        normalized.project_id = previous.project_id;
+      }
+
+      if (await this._hasXfsProjectQuota(mountPoint)) {
+        await this._applyXfsProjectQuota(shareConfig, normalized, sharesConfig, mountPoint);
+      } else if (!pool.config || !pool.config.project_quota) {
+        const pools = await this._getPools();
+        const poolEntry = pools.find(p => p.id === pool.id);
+        if (!poolEntry.config) poolEntry.config = {};
+        poolEntry.config.project_quota = true;
+        await this._savePools(pools);
+      }
+    }
+
+    shareConfig.quota = normalized;
+    this._quotaState.delete(shareConfig.id);
+  }
+
+  /**
+   * Assign an XFS project to the share directory and set its hard limit
+   * @param {Object} shareConfig - Share configuration
+   * @param {Object} quota - Normalized quota (project_id is assigned if missing)
+   * @param {Array} sharesConfig - Current shares configuration
+   * @param {string} mountPoint - Pool mount point
+   */
+  async _applyXfsProjectQuota(shareConfig, quota, sharesConfig, mountPoint) {
+    if (!quota.project_id) {
+      const used = [];
+      sharesConfig.forEach(section => {
+        Object.keys(section).forEach(shareType => {
+          (Array.isArray(section[shareType]) ? section[shareType] : []).forEach(share => {
+            if (share.quota && share.quota.project_id) used.push(share.quota.project_id);
+          });
+        });
+      });
+      quota.project_id = QuotaHelpers.nextProjectId(used);
+    }
+
+    await execAsync(`xfs_quota -x -c 'project -s -p "${shareConfig.path}" ${quota.project_id}' "${mountPoint}"`);
+    await execAsync(`xfs_quota -x -c 'limit -p bhard=${quota.limit} ${quota.project_id}' "${mountPoint}"`);
+  }
+
+  /**
+   * Remove an applied quota from the filesystem
+   * @param {Object} shareConfig - Share configuration
+   * @param {Object} quota - Current quota
+   */
+  async _removeQuota(shareConfig, quota) {
+    const { method, mountPoint } = await this._getQuotaTarget(shareConfig);
+
+    try {
+      if (method === 'btrfs-qgroup') {
+        await execAsync(`btrfs qgroup limit none "${shareConfig.path}"`);
+      } else if (method === 'xfs-project' && quota.project_id) {
+        await execAsync(`xfs_quota -x -c 'limit -p bhard=0 ${quota.project_id}' "${mountPoint}"`);
+        await execAsync(`xfs_quota -x -c 'project -C -p "${shareConfig.path}" ${quota.project_id}' "${mountPoint}"`);
+      }
+    } catch (error) {
+      // The share directory may already be gone, the limit must not block the removal
+      console.warn(`Could not remove quota of share '${shareConfig.name}': ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the usage of a share against its quota
+   * Enforced quotas are read from the filesystem, accounting quotas use the last du
+   * measurement of the quota monitor unless measure is set.
+   * @param {Object} share - Share configuration with quota
+   * @param {Object} options - { measure: run du now for accounting quotas }
+   * @returns {Promise<Object>} { method, enforced, limit, used, percent, level, pending, measured_at }
+   */
+  async _getQuotaUsage(share, options = {}) {
+    const { method, mountPoint } = await this._getQuotaTarget(share);
+    const usage = {
+      method,
+      enforced: method !== 'accounting',
+      limit: share.quota.limit,
+      used: null,
+      percent: null,
+      level: 'normal',
+      pending: false,
+      measured_at: null
+    };
+
+    if (method === 'btrfs-qgroup') {
+      const { stdout } = await execAsync(`btrfs qgroup show --raw -re -f "${share.path}"`);
+      const qgroup = QuotaHelpers.parseBtrfsQgroup(stdout);
+      usage.used = qgroup ? qgroup.used : null;
+      usage.measured_at = new Date().toISOString();
+    } else if (method === 'xfs-project') {
+      if (!share.quota.project_id) {
+        usage.pending = true;
+      } else {
+        const { stdout } = await execAsync(`xfs_quota -x -c 'report -p -b -N' "${mountPoint}"`);
+        const project = QuotaHelpers.parseXfsProjectReport(stdout).get(share.quota.project_id);
+        usage.used = project ? project.used : null;
+        usage.measured_at = new Date().toISOString();
+      }
+    } else {
+      let measurement = this._quotaAccounting.get(share.id);
+      if (options.measure || !measurement) {
+        const { stdout } = await execAsync(`du -sb "${share.path}"`, { maxBuffer: 1024 * 1024 });
+        measurement = { used: parseInt(stdout.split(/\s+/)[0], 10), measuredAt: Date.now() };
+        this._quotaAccounting.set(share.id, measurement);
+      }
+      usage.used = measurement.used;
+      usage.measured_at = new Date(measurement.measuredAt).toISOString();
+    }
+
+    Object.assign(usage, QuotaHelpers.getLevel(usage.used, share.quota));
+    return usage;
+  }
+
+  /**
+   * Get quota and usage of a share
+   * @param {string} shareId - ID of the share
+   * @returns {Promise<Object>} Quota information
+   */
+  async getShareQuota(shareId) {
+    try {
+      const shareResult = await this.getShare(shareId);
+      const share = shareResult.data.config;
+
+      return {
+        success: true,
+        data: {
+          shareId,
+          shareName: share.name,
+          quota: share.quota || null,
+          usage: share.quota ? await this._getQuotaUsage(share, { measure: true }) : null
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Error getting share quota: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add quota_usage to shares with a quota (for listings, not persisted)
+   * Accounting quotas are not measured here, the last monitor measurement is used.
+   * @param {Array} shares - Share configurations
+   * @returns {Promise<Array>} Shares
+   */
+  async attachQuotaUsage(shares) {
+    for (const share of shares) {
+      if (!share.quota) continue;
+      try {
+        share.quota_usage = await this._getQuotaUsage(share);
+      } catch (error) {
+        share.quota_usage = { error: error.message };
+      }
+    }
+    return shares;
+  }
+
+  /**
+   * Start the share quota monitor (every 10 minutes, accounting quotas are measured hourly)
+   */
+  _startQuotaMonitor() {
+    this._quotaMonitorInterval = setInterval(() => {
+      this._checkShareQuotas().catch(err =>
+        console.warn(`Share quota check failed: ${err.message}`));
+    }, QUOTA_CHECK_INTERVAL);
+
+    // Don't keep the process alive just for this timer
+    if (this._quotaMonitorInterval.unref) {
+      this._quotaMonitorInterval.unref();
+    }
+  }
+
+  /**
+   * Check all share quotas: apply pending XFS project quotas and notify on level changes
+   * (warning, exceeded and back to normal). Shares on unmounted pools are skipped, accounting
+   * quotas are not measured while their pool is in standby.
+   */
+  async _checkShareQuotas() {
+    let sharesConfig;
+    try {
+      sharesConfig = await this.getShares();
+    } catch (error) {
+      return;
+    }
+
+    const poolsService = new PoolsService();
+    let changed = false;
+
+    for (const section of sharesConfig) {
+      for (const shareType of Object.keys(section)) {
+        if (!Array.isArray(section[shareType])) continue;
+
+        for (const share of section[shareType]) {
+          if (!share.quota) continue;
+
+          try {
+            const { pool, method, mountPoint } = await this._getQuotaTarget(share);
+            if (mountPoint && !(await poolsService._isMounted(mountPoint))) continue;
+
+            if (method === 'xfs-project' && !share.quota.project_id && await this._hasXfsProjectQuota(mountPoint)) {
+              await this._applyXfsProjectQuota(share, share.quota, sharesConfig, mountPoint);
+              changed = true;
+            }
+
+            const measurement = this._quotaAccounting.get(share.id);
+            const measure = method === 'accounting' &&
+              (!measurement || Date.now() - measurement.measuredAt >= QUOTA_ACCOUNTING_INTERVAL);
+
+            // du would spin up sleeping disks, keep the last measurement until the pool wakes up.
+            // _getPoolPowerStatus uses smartctl -n standby and does NOT wake disks.
+            if (measure && pool && await poolsService._getPoolPowerStatus(pool.id) === 'standby') continue;
+            const usage = await this._getQuotaUsage(share, { measure });
+
+            this._notifyQuotaLevel(share, usage);
+          } catch (error) {
+            console.warn(`Quota check failed for share '${share.name}': ${error.message}`);
+          }
+        }
+      }
+    }
+
+    if (changed) {
+      await this._saveShares(sharesConfig);
+    }
+  }
+
+  /**
+   * Notify when the quota level of a share changes
+   * @param {Object} share - Share configuration
+   * @param {Object} usage - Result of _getQuotaUsage
+   */
+  _notifyQuotaLevel(share, usage) {
+    if (usage.used === null) return;
+
+    const previous = this._quotaState.get(share.id) || 'normal';
+    this._quotaState.set(share.id, usage.level);
+    if (previous === usage.level || (usage.level === 'normal' && share.quota.warning === 0)) return;
+
+    const used = `${this._formatBytes(usage.used)} of ${this._formatBytes(usage.limit)} (${usage.percent}%)`;
+    let message;
+    let priority;
+    if (usage.level === 'exceeded') {
+      message = usage.enforced
+        ? `Share '${share.name}' reached its quota: ${used}, writes are refused`
+        : `Share '${share.name}' exceeds its quota: ${used}`;
+      priority = 'alert';
+    } else if (usage.level === 'warning') {
+      message = `Share '${share.name}' is approaching its quota: ${used}`;
+      priority = 'warning';
+    } else {
+      message = `Share '${share.name}' is below its quota warning again: ${used}`;
+      priority = 'normal';
+    }
+
+    sendNotification('Share', message, priority)
+      .catch(err => console.warn(`Failed to send share quota notification: ${err.message}`));
+  }
+
+  /**
+   * Format bytes for notifications
+   * @param {number} bytes - Bytes
+   * @returns {string}
+   */
+  _formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+  }
+
+  /**
+   * Validate access rules and derive the Samba lists of an SMB share from them
+   * @param {Object} shareConfig - SMB share configuration (modified in place)
+   * @param {Array|null} rules - Access rules, null removes them (the lists are kept)
+   */
+  async _applyAccessRules(shareConfig, rules) {
+    if (rules === null) {
+      delete shareConfig.access_rules;
+      return;
+    }
+
+    const principals = await this.getSmbPrincipals();
+    const normalized = AclHelpers.normalizeAccessRules(rules, {
+      users: principals.users.map(u => u.name),
+      groups: principals.groups.map(g => g.name.replace(/^@/, ''))
+    });
+
+    shareConfig.access_rules = normalized;
+    Object.assign(shareConfig, AclHelpers.toSmbLists(normalized));
+    if (normalized.some(rule => rule.access !== 'deny')) {
+      // Access is granted to the listed principals only, read_list / write_list set their access
+      shareConfig.guest_ok = false;
+    }
+  }
+
+  /**
+   * Apply the access rules of an SMB share as POSIX ACLs to all files and directories
+   * below the share path. Runs in the background, see getShareAclJob for the progress.
+   * @param {string} shareId - Share ID
+   * @returns {Promise<Object>} Job
+   */
+  async applyShareAcl(shareId) {
+    const share = (await this.getSmbShares()).find(s => s.id === shareId);
+    if (!share) {
+      throw new Error(`SMB share with ID '${shareId}' not found`);
+    }
+
+    const running = this._aclJobs.get(shareId);
+    if (running && ['preparing', 'running'].includes(running.status)) {
+      throw new Error(`ACL job for share '${share.name}' is already running`);
+    }
+
+    try {
+      const stats = await fs.stat(share.path);
+      if (!stats.isDirectory()) {
+        throw new Error(`Share path ${share.path} is not a directory`);
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Share path ${share.path} not found`);
+      }
+      throw error;
+    }
+
+    const rules = share.access_rules || [];
+    const job = {
+      shareId,
+      shareName: share.name,
+      path: share.path,
+      status: 'preparing',
+      rules,
+      processed: 0,
+      total: 0,
+      progress: 0,
+      errors: 0,
+      lastError: null,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      _process: null, // internal, not exposed via API
+      _cancelled: false
+    };
+    this._aclJobs.set(shareId, job);
+
+    this._runAclJob(job).catch(error => {
+      job.status = job._cancelled ? 'cancelled' : 'failed';
+      job.lastError = error.message;
+      job.completedAt = new Date().toISOString();
+    });
+
+    return this._sanitizeAclJob(job);
+  }
+
+  /**
+   * Walk the share path and run setfacl in batches (runs in background)
+   * @param {Object} job - ACL job
+   * @private
+   */
+  async _runAclJob(job) {
+    // Count entries first for the progress (-xdev: nested mounts are not touched)
+    const { stdout } = await execAsync(`find "${job.path}" -xdev -printf x | wc -c`, { maxBuffer: 1024 * 1024 });
+    job.total = parseInt(stdout.trim(), 10) || 0;
+    if (job._cancelled) throw new Error('Cancelled');
+    job.status = 'running';
+
+    const fileSpec = AclHelpers.buildAclSpec(job.rules, false);
+    const dirSpec = AclHelpers.buildAclSpec(job.rules, true);
+    const batches = { f: [], d: [] };
+
+    const applyBatch = async (type, paths) => {
+      // Batches queued before a cancel are dropped, a running setfacl call finishes
+      if (paths.length === 0 || job._cancelled) return;
+
+      const spec = type === 'd' ? dirSpec : fileSpec;
+      // Existing extended entries are replaced, no rules = plain permission bits only
+      const args = ['-b', ...(type === 'd' ? ['-k'] : []), ...(spec ? ['-m', spec] : []), '--', ...paths];
+      try {
+        await execFileAsync('setfacl', args, { maxBuffer: 10 * 1024 * 1024 });
+      } catch (error) {
+        // setfacl continues with the remaining paths, count the reported failures
+        const failed = String(error.stderr || '').split('\n').filter(line => line.trim()).length;
+        job.errors += failed || paths.length;
+        job.lastError = String(error.stderr || error.message).trim().split('\n').pop();
+      }
+      job.processed += paths.length;
+      job.progress = job.total > 0 ? Math.min(100, Math.round((job.processed / job.total) * 100)) : 100;
+    };
+
+    await new Promise((resolve, reject) => {
+      const find = spawn('find', [job.path, '-xdev', '-printf', '%y\\t%p\\0']);
+      job._process = find;
+      let buffer = '';
+      let queue = Promise.resolve();
+
+      find.stdout.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const entries = buffer.split('\0');
+        buffer = entries.pop();
+
+        for (const entry of entries) {
+          const tab = entry.indexOf('\t');
+          if (tab === -1) continue;
+          // Symlinks are skipped, setfacl would follow them
+          const type = entry.slice(0, tab) === 'd' ? 'd' : (entry.slice(0, tab) === 'f' ? 'f' : null);
+          if (!type) {
+            job.processed++;
+            continue;
+          }
+          batches[type].push(entry.slice(tab + 1));
+          if (batches[type].length >= ACL_BATCH_SIZE) {
+            // Pause the walk while the batch is applied
+            const paths = batches[type];
+            batches[type] = [];
+            find.stdout.pause();
+            queue = queue.then(() => applyBatch(type, paths)).then(() => find.stdout.resume());
+          }
+        }
+      });
+
+      find.on('error', reject);
+      find.on('close', (code) => {
+        job._process = null;
+        queue
+          .then(() => {
+            if (job._cancelled) throw new Error('Cancelled');
+            return applyBatch('f', batches.f);
+          })
+          .then(() => applyBatch('d', batches.d))
+          .then(() => {
+            if (job._cancelled) return reject(new Error('Cancelled'));
+            // find exits with 1 on unreadable directories, the walk itself completed
+            if (code !== 0 && code !== 1) return reject(new Error(`find exited with code ${code}`));
+            resolve();
+          })
+          .catch(reject);
+      });
+    });
+
+    job.status = 'completed';
+    job.progress = 100;
+    job.completedAt = new Date().toISOString();
+  }
+
+  /**
+   * Get the ACL job of a share
+   * @param {string} shareId - Share ID
+   * @returns {Object} Job
+   */
+  getShareAclJob(shareId) {
+    const job = this._aclJobs.get(shareId);
+    if (!job) {
+      throw new Error(`No ACL job found for share '${shareId}'`);
+    }
+    return this._sanitizeAclJob(job);
+  }
+
+  /**
+   * Cancel a running ACL job (already applied entries are kept)
+   * @param {string} shareId - Share ID
+   * @returns {Object} Job
+   */
+  cancelShareAclJob(shareId) {
+    const job = this._aclJobs.get(shareId);
+    if (!job) {
+      throw new Error(`No ACL job found for share '${shareId}'`);
+    }
+    if (!['preparing', 'running'].includes(job.status)) {
+      throw new Error(`ACL job for share '${shareId}' is not running`);
+    }
+
+    job._cancelled = true;
+    if (job._process) {
+      job._process.kill('SIGTERM');
+    }
+    return this._sanitizeAclJob(job);
+  }
+
+  /**
+   * Remove internal fields of an ACL job for API output
+   * @param {Object} job - ACL job
+   * @returns {Object}
+   * @private
+   */
+  _sanitizeAclJob(job) {
+    const { _process, _cancelled, ...data } = job;
+    return data;
+  }
+
+  /**
+   * Build the access report: effective SMB access of every known user on every share
+   * (local SMB users, directory users and group members) plus the host rules of NFS shares.
+   * @returns {Promise<Object>} { generatedAt, users, smb, nfs }
+   */
+  async getAccessReport() {
+    const [smbShares, nfsShares, principals] = await Promise.all([
+      this.getSmbShares(),
+      this.getNfsShares(),
+      this.getSmbPrincipals()
+    ]);
+
+    const usernames = new Set(principals.users.map(u => u.name));
+    for (const group of principals.groups) {
+      for (const member of group.members || []) usernames.add(member);
+    }
+    const users = Array.from(usernames).sort((a, b) => a.localeCompare(b)).map(name => ({
+      name,
+      groups: principals.groups
+        .filter(group => (group.members || []).includes(name))
+        .map(group => group.name.replace(/^@/, ''))
+    }));
+
+    const smb = smbShares.map(share => ({
+      id: share.id,
+      name: share.name,
+      path: share.path,
+      enabled: share.enabled !== false,
+      guest_ok: !!share.guest_ok,
+      read_only: !!share.read_only,
+      access: users.map(user => ({
+        user: user.name,
+        ...AclHelpers.resolveSmbAccess(share, user.name, user.groups)
+      }))
+    }));
+
+    const nfs = nfsShares.map(share => ({
+      id: share.id,
+      name: share.name,
+      path: share.path,
+      enabled: share.enabled !== false,
+      source: share.source,
+      access: share.read_only ? 'read' : 'write',
+      mapping: share.mapping
+    }));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      ldap_enabled: principals.ldap_enabled,
+      ldap_error: principals.ldap_error,
+      users,
+      smb,
+      nfs
+    };
+  }
+
+  /**
+   * Format the access report as CSV (one line per share and principal)
+   * @param {Object} report - Report from getAccessReport
+   * @returns {string} CSV
+   */
+  formatAccessReportCsv(report) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [['type', 'share', 'path', 'enabled', 'principal', 'access', 'via'].join(',')];
+
+    for (const share of report.smb) {
+      for (const entry of share.access) {
+        lines.push(['smb', share.name, share.path, share.enabled, entry.user, entry.access, entry.via].map(escape).join(','));
+      }
+    }
+    for (const share of report.nfs) {
+      lines.push(['nfs', share.name, share.path, share.enabled, share.source, share.access, share.mapping].map(escape).join(','));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Apply recycle bin, Time Machine and shadow copy options to an SMB share and derive
+   * the vfs objects and options written to smb.conf
+   * @param {Object} shareConfig - SMB share configuration (modified in place)
+   * @param {Object} changes - { recycle_bin, time_machine, shadow_copy }, null disables a feature
+   */
+  async _configureVfs(shareConfig, changes) {
+    const features = {
+      recycle_bin: VfsHelpers.normalizeRecycleBin,
+      time_machine: VfsHelpers.normalizeTimeMachine,
+      shadow_copy: VfsHelpers.normalizeShadowCopy
+    };
+
+    for (const [key, normalize] of Object.entries(features)) {
+      if (!changes.hasOwnProperty(key)) continue;
+      if (changes[key] === null) {
+        delete shareConfig[key];
+      } else {
+        shareConfig[key] = normalize(changes[key]);
+      }
+    }
+
+    let snapshotDir = null;
+    if (shareConfig.shadow_copy && shareConfig.shadow_copy.enabled) {
+      snapshotDir = await this._getShadowCopySnapshotDir(shareConfig);
+    }
+
+    const { vfs_objects, vfs_options } = VfsHelpers.buildVfsConfig(shareConfig, { snapshotDir });
+    if (vfs_objects.length > 0) {
+      shareConfig.vfs_objects = vfs_objects;
+      shareConfig.vfs_options = vfs_options;
+    } else {
+      delete shareConfig.vfs_objects;
+      delete shareConfig.vfs_options;
+    }
+  }
+
+  /**
+   * Check that smbd loaded the vfs objects of a share after a restart (written to smb.conf by
+   * syncSmbShareParameters, a share section missing in smb.conf leaves them inactive)
+   * @param {Object} shareConfig - SMB share configuration
+   * @returns {Promise<string|null>} Warning or null
+   */
+  async _checkSmbVfs(shareConfig) {
+    if (!shareConfig.vfs_objects || shareConfig.enabled === false) return null;
+
+    let loaded;
+    try {
+      const { stdout } = await execFileAsync('testparm', ['-s', `--section-name=${shareConfig.name}`, '--parameter-name=vfs objects']);
+      loaded = stdout;
+    } catch (error) {
+      // testparm missing or the section is not in smb.conf, nothing to compare
+      return null;
+    }
+
+    const missing = VfsHelpers.getMissingVfsObjects(shareConfig.vfs_objects, loaded);
+    if (missing.length === 0) return null;
+
+    const warning = `smb.conf of share '${shareConfig.name}' is missing the vfs objects ${missing.join(', ')}: ` +
+      'recycle bin, Time Machine and shadow copies are inactive';
+    console.warn(warning);
+    return warning;
+  }
+
+  /**
+   * Resolve the snapshot directory used for "Previous Versions" of a share
+   * @param {Object} shareConfig - SMB share configuration
+   * @returns {Promise<string>} Absolute snapshot directory
+   */
+  async _getShadowCopySnapshotDir(shareConfig) {
+    const poolName = shareConfig.path && shareConfig.path.startsWith('/mnt/') ? this._extractPoolNameFromPath(shareConfig.path) : null;
+    const pool = poolName ? await this._getPoolByName(poolName).catch(() => null) : null;
+    if (!pool || pool.type !== 'btrfs') {
+      throw new Error('Shadow copies require a share on a BTRFS pool');
+    }
+
+    const poolsService = new PoolsService();
+    const { mountPoint } = await poolsService._getMountedBtrfsPool(pool.id);
+    if (!(await poolsService._isBtrfsSubvolume(shareConfig.path))) {
+      throw new Error('Shadow copies require the share directory to be a BTRFS subvolume');
+    }
+
+    const subvolume = this._extractRelativePathFromShare(shareConfig.path, poolName);
+    return poolsService._getSnapshotDir(mountPoint, poolsService._normalizeSubvolumePath(subvolume));
+  }
+
+  /**
+   * Create, update or remove the cron job cleaning up the recycle bins
+   * @param {Array} sharesConfig - Shares configuration
+   */
+  async _syncRecycleCleanupJob(sharesConfig) {
+    const shares = (sharesConfig[0] && sharesConfig[0].smb ? sharesConfig[0].smb : [])
+      .filter(share => share.recycle_bin && share.recycle_bin.enabled && share.recycle_bin.retention_days > 0);
+
+    try {
+      const existing = await cronService.findCronJob(RECYCLE_CLEANUP_JOB);
+      if (shares.length === 0) {
+        if (existing) {
+          await cronService.deleteCronJob(existing.id, true);
+        }
+        return;
+      }
+
+      const script = VfsHelpers.buildRecycleCleanupScript(shares);
+      if (existing) {
+        await cronService.updateCronJob(existing.id, { script, enabled: true });
+      } else {
+        await cronService.createCronJob({
+          name: RECYCLE_CLEANUP_JOB,
+          schedule: RECYCLE_CLEANUP_SCHEDULE,
+          script,
+          enabled: true
+        });
+      }
+    } catch (error) {
+      // The share itself was saved, the cleanup is retried with the next change
+      console.warn(`Could not update recycle bin cleanup job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a path inside the recycle bin of an SMB share
+   * @param {string} shareId - Share ID
+   * @param {string} itemPath - Path relative to the recycle bin (<user>/<original path>)
+   * @returns {Promise<Object>} { share, recycleDir, fullPath }
+   */
+  async _resolveRecyclePath(shareId, itemPath = '') {
+    const share = (await this.getSmbShares()).find(s => s.id === shareId);
+    if (!share) {
+      throw new Error(`SMB share with ID '${shareId}' not found`);
+    }
+    if (!share.recycle_bin || !share.recycle_bin.enabled) {
+      throw new Error(`Recycle bin is not enabled for share '${share.name}'`);
+    }
+
+    const recycleDir = path.join(share.path, VfsHelpers.RECYCLE_DIR);
+    const fullPath = path.resolve(recycleDir, String(itemPath || '').replace(/^\/+/, ''));
+    if (fullPath !== recycleDir && !fullPath.startsWith(`${recycleDir}/`)) {
+      throw new Error('Invalid path: outside of the recycle bin');
+    }
+
+    return { share, recycleDir, fullPath };
+  }
+
+  /**
+   * List a directory of the recycle bin of an SMB share
+   * @param {string} shareId - Share ID
+   * @param {string} itemPath - Directory relative to the recycle bin (empty = per-user folders)
+   * @returns {Promise<Object>} Entries
+   */
+  async listRecycleBin(shareId, itemPath = '') {
+    const { share, recycleDir, fullPath } = await this._resolveRecyclePath(shareId, itemPath);
+
+    let dirents;
+    try {
+      dirents = await fs.readdir(fullPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' && fullPath === recycleDir) {
+        dirents = []; // Nothing deleted yet
+      } else if (error.code === 'ENOENT') {
+        throw new Error(`Path '${itemPath}' not found in the recycle bin`);
+      } else {
+        throw error;
+      }
+    }
+
+    const entries = [];
+    for (const dirent of dirents) {
+      const entryPath = path.join(fullPath, dirent.name);
+      const stats = await fs.lstat(entryPath).catch(() => null);
+      if (!stats) continue;
+
+      const relative = path.relative(recycleDir, entryPath);
+      entries.push({
+        name: dirent.name,
+        path: relative,
+        type: stats.isDirectory() ? 'directory' : 'file',
+        size: stats.isDirectory() ? null : stats.size,
+        // recycle:touch_mtime sets the mtime on deletion
+        deletedAt: stats.mtime.toISOString(),
+        // First segment is the user folder, the rest the original location
+        originalPath: relative.includes('/') ? relative.substring(relative.indexOf('/') + 1) : null
+      });
+    }
+    entries.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : (a.type === 'directory' ? -1 : 1)));
+
+    return {
+      shareId: share.id,
+      shareName: share.name,
+      path: path.relative(recycleDir, fullPath),
+      retention_days: share.recycle_bin.retention_days,
+      entries
+    };
+  }
+
+  /**
+   * Restore a file or directory from the recycle bin to its original location
+   * @param {string} shareId - Share ID
+   * @param {string} itemPath - Path relative to the recycle bin (<user>/<original path>)
+   * @param {Object} options - { overwrite }
+   * @returns {Promise<Object>} Result
+   */
+  async restoreFromRecycleBin(shareId, itemPath, options = {}) {
+    const { share, recycleDir, fullPath } = await this._resolveRecyclePath(shareId, itemPath);
+    const relative = path.relative(recycleDir, fullPath);
+    if (!relative.includes('/')) {
+      throw new Error('Invalid path: expected <user>/<path> of a deleted item');
+    }
+
+    try {
+      await fs.lstat(fullPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Path '${itemPath}' not found in the recycle bin`);
+      }
+      throw error;
+    }
+
+    const originalPath = relative.substring(relative.indexOf('/') + 1);
+    const target = path.join(share.path, originalPath);
+    const exists = await fs.lstat(target).then(() => true).catch(() => false);
+    if (exists && !options.overwrite) {
+      throw new Error(`'${originalPath}' already exists in the share`);
+    }
+    if (exists) {
+      await fs.rm(target, { recursive: true, force: true });
+    }
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.rename(fullPath, target);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      // MergerFS may place the recycle bin on another branch
+      await execAsync(`mv "${fullPath}" "${target}"`);
+    }
+
+    return {
+      success: true,
+      message: `'${originalPath}' restored to share '${share.name}'`,
+      data: { shareId: share.id, path: relative, restoredTo: target },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Permanently delete an item from the recycle bin or empty the whole recycle bin
+   * @param {string} shareId - Share ID
+   * @param {string|null} itemPath - Path relative to the recycle bin, empty = everything
+   * @returns {Promise<Object>} Result
+   */
+  async purgeRecycleBin(shareId, itemPath = null) {
+    const { share, recycleDir, fullPath } = await this._resolveRecyclePath(shareId, itemPath || '');
+
+    if (fullPath === recycleDir) {
+      const dirents = await fs.readdir(recycleDir).catch(() => []);
+      for (const name of dirents) {
+        await fs.rm(path.join(recycleDir, name), { recursive: true, force: true });
+      }
+    } else {
+      try {
+        await fs.lstat(fullPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`Path '${itemPath}' not found in the recycle bin`);
+        }
+        throw error;
+      }
+      await fs.rm(fullPath, { recursive: true, force: true });
+    }
+
+    return {
+      success: true,
+      message: fullPath === recycleDir
+        ? `Recycle bin of share '${share.name}' emptied`
+        : `'${path.relative(recycleDir, fullPath)}' deleted from the recycle bin`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Read the SMB status (sessions, share connections, open files)
+   * @returns {Promise<Object>} { sessions, tcons, openFiles, error }
+   */
+  async _getSmbStatus() {
+    try {
+      const { stdout } = await execAsync('smbstatus --json', { maxBuffer: 32 * 1024 * 1024 });
+      return { ...SessionHelpers.parseSmbStatus(stdout), error: null };
+    } catch (error) {
+      // smbstatus fails while smbd is stopped
+      return { sessions: [], tcons: [], openFiles: [], error: error.message };
+    }
+  }
+
+  /**
+   * Read the NFSv4 clients and their open states
+   * @returns {Promise<Array>} Clients
+   */
+  async _getNfsClients() {
+    let ids;
+    try {
+      ids = await fs.readdir(NFSD_CLIENTS_DIR);
+    } catch (error) {
+      return []; // nfsd not running or kernel without client info
+    }
+
+    const clients = [];
+    for (const id of ids) {
+      try {
+        const info = SessionHelpers.parseNfsClientInfo(await fs.readFile(path.join(NFSD_CLIENTS_DIR, id, 'info'), 'utf8'));
+        const states = SessionHelpers.parseNfsStates(
+          await fs.readFile(path.join(NFSD_CLIENTS_DIR, id, 'states'), 'utf8').catch(() => '')
+        );
+        clients.push({ id, ...info, openFiles: states.filter(s => s.type === 'open') });
+      } catch (error) {
+        // Client expired while reading
+      }
+    }
+    return clients;
+  }
+
+  /**
+   * Get all SMB sessions and NFS clients
+   * @returns {Promise<Object>} { smb, nfs, smb_error }
+   */
+  async getSessions() {
+    const [status, nfsClients] = await Promise.all([this._getSmbStatus(), this._getNfsClients()]);
+
+    const smb = status.sessions.map(session => ({
+      ...session,
+      shares: status.tcons
+        .filter(tcon => tcon.sessionId === session.id || (!tcon.sessionId && tcon.pid === session.pid))
+        .map(tcon => ({ service: tcon.service, connectedAt: tcon.connectedAt })),
+      openFiles: status.openFiles.filter(file => file.pid === session.pid).length
+    }));
+
+    const nfs = nfsClients.map(({ openFiles, ...client }) => ({
+      ...client,
+      openFiles: openFiles.length
+    }));
+
+    return {
+      smb,
+      nfs,
+      smb_error: status.error,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Disconnect an SMB session (ends the smbd process of the client connection)
+   * or expire an NFSv4 client (releases its opens and locks)
+   * @param {string} protocol - smb or nfs
+   * @param {string} sessionId - SMB session ID or NFS client ID
+   * @returns {Promise<Object>} Result
+   */
+  async disconnectSession(protocol, sessionId) {
+    if (protocol === 'smb') {
+      const status = await this._getSmbStatus();
+      const session = status.sessions.find(s => s.id === String(sessionId));
+      if (!session) {
+        throw new Error(`SMB session '${sessionId}' not found`);
+      }
+      // Only the pid reported by smbstatus is signalled, the client usually reconnects on next access
+      await execAsync(`kill -TERM ${parseInt(session.pid, 10)}`);
+
+      return {
+        success: true,
+        message: `SMB session of ${session.username || 'unknown'} from ${session.address || session.machine} disconnected`,
+        data: session,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    if (protocol === 'nfs') {
+      if (!/^\d+$/.test(String(sessionId))) {
+        throw new Error(`NFS client '${sessionId}' not found`);
+      }
+      const client = (await this._getNfsClients()).find(c => c.id === String(sessionId));
+      if (!client) {
+        throw new Error(`NFS client '${sessionId}' not found`);
+      }
+      await fs.writeFile(path.join(NFSD_CLIENTS_DIR, client.id, 'ctl'), 'expire\n');
+
+      return {
+        success: true,
+        message: `NFS client ${client.address} expired`,
+        data: { ...client, openFiles: client.openFiles.length },
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    throw new Error(`Invalid protocol: ${protocol}. Use smb or nfs`);
+  }
+
+  /**
+   * Get the open files of an SMB share with the user and client holding them
+   * @param {string} shareId - Share ID
+   * @returns {Promise<Object>} Open files
+   */
+  async getShareOpenFiles(shareId) {
+    const share = (await this.getSmbShares()).find(s => s.id === shareId);
+    if (!share) {
+      throw new Error(`SMB share with ID '${shareId}' not found`);
+    }
+
+    const status = await this._getSmbStatus();
+    const sessionsByPid = new Map(status.sessions.map(s => [s.pid, s]));
+    const openFiles = status.openFiles
+      .filter(file => SessionHelpers.isBelow(file.path, share.path))
+      .map(file => {
+        const session = sessionsByPid.get(file.pid);
+        return {
+          ...file,
+          relativePath: path.relative(share.path, file.path) || '.',
+          sessionId: session ? session.id : null,
+          username: session ? session.username : null,
+          address: session ? session.address : null
+        };
+      });
+
+    return {
+      shareId: share.id,
+      shareName: share.name,
+      path: share.path,
+      connections: status.tcons.filter(tcon => tcon.service === share.name).length,
+      openFiles,
+      smb_error: status.error,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Close an open file of an SMB share. Samba cannot close a single handle from the command line,
+   * the share connections of the holding clients are closed instead (their other handles on this
+   * share are closed as well, clients reconnect transparently).
+   * @param {string} shareId - Share ID
+   * @param {string} filePath - Absolute path or path relative to the share
+   * @returns {Promise<Object>} Result
+   */
+  async closeShareOpenFile(shareId, filePath) {
+    const { shareName, path: sharePath, openFiles } = await this.getShareOpenFiles(shareId);
+    const target = path.isAbsolute(filePath) ? path.normalize(filePath) : path.join(sharePath, filePath);
+
+    const handles = openFiles.filter(file => file.path === target);
+    if (handles.length === 0) {
+      throw new Error(`Open file '${filePath}' not found in share '${shareName}'`);
+    }
+
+    const pids = [...new Set(handles.map(file => file.pid))];
+    for (const pid of pids) {
+      await execAsync(`smbcontrol ${parseInt(pid, 10)} close-share "${shareName}"`);
+    }
+
+    return {
+      success: true,
+      message: `'${path.relative(sharePath, target)}' closed (${handles.length} handle(s), ${pids.length} client connection(s) to '${shareName}' closed)`,
+      data: {
+        shareId,
+        path: target,
+        closedHandles: handles.length,
+        clients: handles.map(file => ({ sessionId: file.sessionId, username: file.username, address: file.address }))
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the SMB and NFS clients holding files below a path (detail for the pool unmount checks)
+   * @param {string} basePath - Pool mount path
+   * @returns {Promise<Array>} [{ protocol, client, username, share, openFiles }]
+   */
+  async getClientsOnPath(basePath) {
+    const [status, nfsClients, smbShares] = await Promise.all([
+      this._getSmbStatus(),
+      this._getNfsClients(),
+      this.getSmbShares().catch(() => [])
+    ]);
+    const clients = [];
+
+    for (const session of status.sessions) {
+      // smbd changes into the share directory, a share connection alone can make umount fail
+      const shares = status.tcons
+        .filter(tcon => tcon.pid === session.pid)
+        .map(tcon => smbShares.find(s => s.name === tcon.service))
+        .filter(share => share && SessionHelpers.isBelow(share.path, basePath))
+        .map(share => share.name);
+      const files = status.openFiles.filter(file => file.pid === session.pid && SessionHelpers.isBelow(file.path, basePath));
+
+      if (shares.length > 0 || files.length > 0) {
+        clients.push({
+          protocol: 'smb',
+          sessionId: session.id,
+          client: session.address || session.machine,
+          username: session.username,
+          shares: [...new Set(shares)],
+          openFiles: files.map(file => file.path)
+        });
+      }
+    }
+
+    for (const client of nfsClients) {
+      const files = client.openFiles.filter(state => SessionHelpers.isBelow(state.path, basePath));
+      if (files.length > 0) {
+        clients.push({
+          protocol: 'nfs',
+          sessionId: client.id,
+          client: client.address,
+          username: null,
+          shares: [],
+          openFiles: files.map(state => state.path)
+        });
+      }
+    }
+
+    return clients;
+  }
+
   /**
    * Get pools configuration from /boot/config/pools.json
    * @returns {Promise<Array>} Pools configuration
@@ -0,0 +1,138 @@
+/**
+ * Helper functions for SMB share access rules (user/group access matrix, Samba lists and POSIX ACLs)
+ *
+ * An access rule: { type: 'user'|'group', name, access: 'read'|'write'|'deny' }
+ * Group entries use the plain group name, the Samba "@" prefix is added when building the lists.
+ *
+ * valid_users and write_list are written to smb.conf by the generator of the OS image,
+ * read_list and invalid_users by SharesService.syncSmbShareParameters (see smbconf-helpers).
+ */
+
+const RULE_TYPES = ['user', 'group'];
+const RULE_ACCESS = ['read', 'write', 'deny'];
+
+// POSIX ACL permissions per access level (X = execute for directories only)
+const ACL_PERMS = { write: 'rwX', read: 'r-X', deny: '---' };
+const DEFAULT_ACL_PERMS = { write: 'rwx', read: 'r-x', deny: '---' };
+
+class AclHelpers {
+  /**
+   * Validate and normalize share access rules
+   * @param {Array} rules - Access rules
+   * @param {Object} principals - { users: Array<string>, groups: Array<string> } known names (groups without @)
+   * @returns {Array} Normalized rules (one per principal, later rules win)
+   */
+  static normalizeAccessRules(rules, principals) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Invalid access rules: expected an array');
+    }
+
+    const byPrincipal = new Map();
+    for (const entry of rules) {
+      if (!entry || typeof entry !== 'object') {
+        throw new Error('Invalid access rule: expected an object');
+      }
+      if (!RULE_TYPES.includes(entry.type)) {
+        throw new Error(`Invalid access rule type: ${entry.type}. Allowed: ${RULE_TYPES.join(', ')}`);
+      }
+      if (!RULE_ACCESS.includes(entry.access)) {
+        throw new Error(`Invalid access rule access: ${entry.access}. Allowed: ${RULE_ACCESS.join(', ')}`);
+      }
+
+      const name = String(entry.name || '').replace(/^@/, '');
+      const known = entry.type === 'user' ? principals.users : principals.groups;
+      if (!known.includes(name)) {
+        throw new Error(`Invalid access rule: unknown ${entry.type} '${name}'`);
+      }
+
+      byPrincipal.set(`${entry.type}:${name}`, { type: entry.type, name, access: entry.access });
+    }
+
+    return Array.from(byPrincipal.values());
+  }
+
+  /**
+   * Build the Samba access lists of a share from its access rules
+   * @param {Array} rules - Normalized rules
+   * @returns {{valid_users: Array, write_list: Array, read_list: Array, invalid_users: Array}}
+   */
+  static toSmbLists(rules) {
+    const principal = (entry) => entry.type === 'group' ? `@${entry.name}` : entry.name;
+    const allowed = rules.filter(e => e.access !== 'deny');
+
+    return {
+      valid_users: allowed.map(principal),
+      write_list: rules.filter(e => e.access === 'write').map(principal),
+      read_list: rules.filter(e => e.access === 'read').map(principal),
+      invalid_users: rules.filter(e => e.access === 'deny').map(principal)
+    };
+  }
+
+  /**
+   * Build the setfacl -m specification
+   * @param {Array} rules - Normalized rules
+   * @param {boolean} directory - Add default ACL entries (inherited by new files)
+   * @returns {string|null} Specification or null without entries
+   */
+  static buildAclSpec(rules, directory) {
+    if (rules.length === 0) return null;
+
+    const entries = rules.map(e => `${e.type === 'group' ? 'g' : 'u'}:${e.name}:${ACL_PERMS[e.access]}`);
+    entries.push('m::rwx');
+
+    if (directory) {
+      for (const e of rules) {
+        entries.push(`d:${e.type === 'group' ? 'g' : 'u'}:${e.name}:${DEFAULT_ACL_PERMS[e.access]}`);
+      }
+      entries.push('d:m::rwx');
+    }
+
+    return entries.join(',');
+  }
+
+  /**
+   * Resolve the effective SMB access of a user on a share, the way Samba evaluates the lists
+   * (invalid users > valid users > write list > read list > read only)
+   * @param {Object} share - SMB share configuration
+   * @param {string} username - Username
+   * @param {Array<string>} userGroups - Groups of the user (without @)
+   * @returns {{access: string, via: string|null}} access: none, read, write or deny
+   */
+  static resolveSmbAccess(share, username, userGroups) {
+    const match = (list) => {
+      for (const entry of Array.isArray(list) ? list : []) {
+        if (entry === username) return username;
+        if (entry.startsWith('@') || entry.startsWith('+')) {
+          const group = entry.replace(/^[@+&]+/, '');
+          if (userGroups.includes(group)) return `@${group}`;
+        }
+      }
+      return null;
+    };
+
+    if (share.enabled === false) {
+      return { access: 'none', via: 'share disabled' };
+    }
+
+    const denied = match(share.invalid_users);
+    if (denied) return { access: 'deny', via: denied };
+
+    const valid = Array.isArray(share.valid_users) && share.valid_users.length > 0;
+    const validVia = valid ? match(share.valid_users) : null;
+    if (valid && !validVia) {
+      return share.guest_ok ? { access: 'read', via: 'guest' } : { access: 'none', via: null };
+    }
+
+    const writeVia = match(share.write_list);
+    if (writeVia) return { access: 'write', via: writeVia };
+
+    const readVia = match(share.read_list);
+    if (readVia) return { access: 'read', via: readVia };
+
+    const via = validVia || 'all users';
+    return { access: share.read_only ? 'read' : 'write', via };
+  }
+}
+
+module.exports = AclHelpers;
+module.exports.RULE_ACCESS = RULE_ACCESS;
@@ -0,0 +1,141 @@
+/**
+ * Helper functions for share quotas (validation and quota tool output parsing)
+ *
+ * Methods by pool type:
+ * - btrfs: qgroup limit on the share subvolume (enforced)
+ * - xfs: project quota on the share directory (enforced, pool mounted with prjquota)
+ * - everything else (mergerfs, nonraid, ext4, absolute paths): periodic du accounting (not enforced)
+ */
+
+const SIZE_UNITS = 'BKMGTPE';
+const DEFAULT_WARNING = 90; // percent of the limit
+const XFS_PROJECT_BASE = 10000; // project ids below are left for manual use
+
+class QuotaHelpers {
+  /**
+   * Parse a quota limit (bytes as number or size string like '500G', '1.5T')
+   * @param {string|number} value - Limit
+   * @returns {number} Bytes
+   */
+  static parseLimit(value) {
+    if (typeof value === 'number') {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Invalid quota limit: ${value}`);
+      }
+      return value;
+    }
+
+    const match = String(value || '').trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*([KMGTPE]?)I?B?$/);
+    if (!match) {
+      throw new Error(`Invalid quota limit: ${value}. Use bytes or formats like '500G', '2T'`);
+    }
+
+    const bytes = Math.floor(parseFloat(match[1]) * Math.pow(1024, SIZE_UNITS.indexOf(match[2] || 'B')));
+    if (bytes <= 0) {
+      throw new Error(`Invalid quota limit: ${value}`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Validate and normalize a quota configuration
+   * @param {Object} quota - { limit, warning }
+   * @returns {Object} { limit, warning }
+   */
+  static normalize(quota) {
+    if (!quota || typeof quota !== 'object' || Array.isArray(quota)) {
+      throw new Error('Invalid quota: expected an object with limit');
+    }
+
+    const limit = QuotaHelpers.parseLimit(quota.limit);
+    const warning = quota.warning === undefined ? DEFAULT_WARNING : Number(quota.warning);
+    if (!Number.isInteger(warning) || warning < 0 || warning > 100) {
+      throw new Error('Invalid quota warning: must be a percentage between 0 and 100 (0 = no notification)');
+    }
+
+    return { limit, warning };
+  }
+
+  /**
+   * Get the quota method for a pool type
+   * @param {string|null} poolType - Pool type or null for shares outside of pools
+   * @returns {string} btrfs-qgroup, xfs-project or accounting
+   */
+  static getMethod(poolType) {
+    if (poolType === 'btrfs') return 'btrfs-qgroup';
+    if (poolType === 'xfs') return 'xfs-project';
+    return 'accounting';
+  }
+
+  /**
+   * Parse the level 0 qgroup of `btrfs qgroup show --raw -re -f <path>`
+   * @param {string} output - Command output
+   * @returns {{qgroupid: string, used: number, limit: number|null}|null}
+   */
+  static parseBtrfsQgroup(output) {
+    for (const line of String(output || '').split('\n')) {
+      const fields = line.trim().split(/\s+/);
+      if (!/^0\/\d+$/.test(fields[0]) || fields.length < 4) continue;
+
+      const limit = parseInt(fields[3], 10);
+      return {
+        qgroupid: fields[0],
+        used: parseInt(fields[1], 10),
+        limit: Number.isFinite(limit) && limit > 0 ? limit : null
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Parse `xfs_quota -x -c 'report -p -b -N'` (block values in KiB)
+   * @param {string} output - Command output
+   * @returns {Map<number, {used: number, limit: number|null}>} Project id -> usage in bytes
+   */
+  static parseXfsProjectReport(output) {
+    const projects = new Map();
+
+    for (const line of String(output || '').split('\n')) {
+      const match = line.trim().match(/^#?(\d+)\s+(\d+)\s+(\d+)\s+(\d+)/);
+      if (!match) continue;
+
+      const hard = parseInt(match[4], 10) * 1024;
+      projects.set(parseInt(match[1], 10), {
+        used: parseInt(match[2], 10) * 1024,
+        limit: hard > 0 ? hard : null
+      });
+    }
+
+    return projects;
+  }
+
+  /**
+   * Next free XFS project id
+   * @param {Array<number>} used - Project ids in use
+   * @returns {number}
+   */
+  static nextProjectId(used) {
+    const ids = used.filter(Number.isInteger);
+    return ids.length > 0 ? Math.max(XFS_PROJECT_BASE, ...ids) + 1 : XFS_PROJECT_BASE + 1;
+  }
+
+  /**
+   * Classify usage against the quota
+   * @param {number|null} used - Used bytes
+   * @param {Object} quota - { limit, warning }
+   * @returns {{percent: number|null, level: string}} level: normal, warning or exceeded
+   */
+  static getLevel(used, quota) {
+    if (used === null || used === undefined) {
+      return { percent: null, level: 'normal' };
+    }
+
+    const percent = Math.round((used / quota.limit) * 1000) / 10;
+    if (percent >= 100) return { percent, level: 'exceeded' };
+    if (quota.warning > 0 && percent >= quota.warning) return { percent, level: 'warning' };
+    return { percent, level: 'normal' };
+  }
+}
+
+module.exports = QuotaHelpers;
+module.exports.DEFAULT_WARNING = DEFAULT_WARNING;
@@ -0,0 +1,142 @@
+/**
+ * Helper functions for share sessions and open files
+ *
+ * SMB: `smbstatus --json` (sessions, tcons = share connections, open_files), one smbd process per client connection.
+ * NFS: /proc/fs/nfsd/clients/<id>/info and states (NFSv4 clients only, NFSv3 is stateless).
+ */
+
+const path = require('path');
+
+class SessionHelpers {
+  /**
+   * Parse `smbstatus --json`
+   * @param {string|Object} output - JSON output
+   * @returns {{sessions: Array, tcons: Array, openFiles: Array}}
+   */
+  static parseSmbStatus(output) {
+    const data = typeof output === 'string' ? JSON.parse(output || '{}') : (output || {});
+    const pid = (entry) => (entry && entry.server_id ? String(entry.server_id.pid) : null);
+    const text = (value) => (value && typeof value === 'object' ? (value.text || value.degree || null) : (value || null));
+
+    const sessions = Object.values(data.sessions || {}).map(session => ({
+      id: String(session.session_id),
+      pid: pid(session),
+      username: session.username || null,
+      groupname: session.groupname || null,
+      uid: session.uid ?? null,
+      machine: session.remote_machine || null,
+      address: SessionHelpers.parseSmbAddress(session.hostname),
+      dialect: session.session_dialect || null,
+      encryption: text(session.encryption),
+      signing: text(session.signing),
+      connectedAt: session.creation_time || null
+    }));
+
+    const tcons = Object.values(data.tcons || {}).map(tcon => ({
+      id: String(tcon.tcon_id),
+      sessionId: tcon.session_id !== undefined ? String(tcon.session_id) : null,
+      pid: pid(tcon),
+      service: tcon.service,
+      machine: tcon.machine || null,
+      connectedAt: tcon.connected_at || null
+    }));
+
+    const openFiles = [];
+    for (const [key, file] of Object.entries(data.open_files || {})) {
+      const filePath = file.service_path && file.filename
+        ? path.join(file.service_path, file.filename)
+        : key;
+
+      for (const open of Object.values(file.opens || {})) {
+        openFiles.push({
+          path: filePath,
+          servicePath: file.service_path || null,
+          pid: pid(open),
+          uid: open.uid ?? null,
+          fileId: open.share_file_id !== undefined ? String(open.share_file_id) : null,
+          access: text(open.access_mask),
+          sharemode: text(open.sharemode),
+          oplock: text(open.oplock),
+          lease: text(open.lease),
+          openedAt: open.opened_at || null
+        });
+      }
+    }
+
+    return { sessions, tcons, openFiles };
+  }
+
+  /**
+   * Extract the IP of a smbstatus hostname ("ipv4:192.168.1.5:52314", "ipv6:fe80::1:445")
+   * @param {string} hostname - smbstatus hostname
+   * @returns {string|null}
+   */
+  static parseSmbAddress(hostname) {
+    if (!hostname) return null;
+    const match = String(hostname).match(/^ipv[46]:(.+):\d+$/);
+    return match ? match[1] : String(hostname);
+  }
+
+  /**
+   * Parse /proc/fs/nfsd/clients/<id>/info
+   * @param {string} content - File content
+   * @returns {Object} { clientId, address, status, name, minorVersion, lastRenew }
+   */
+  static parseNfsClientInfo(content) {
+    const fields = {};
+    for (const line of String(content || '').split('\n')) {
+      const index = line.indexOf(':');
+      if (index === -1) continue;
+      fields[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim().replace(/^"(.*)"$/, '$1');
+    }
+
+    const address = fields.address || null;
+    const renew = parseInt(fields['seconds from last renew'], 10);
+    return {
+      clientId: fields.clientid || null,
+      address: address ? address.replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1') : null,
+      status: fields.status || null,
+      name: fields.name || null,
+      minorVersion: fields['minor version'] !== undefined ? parseInt(fields['minor version'], 10) : null,
+      lastRenew: Number.isFinite(renew) ? renew : null
+    };
+  }
+
+  /**
+   * Parse /proc/fs/nfsd/clients/<id>/states (open, lock and delegation states)
+   * @param {string} content - File content
+   * @returns {Array<{type: string, access: string|null, path: string|null}>}
+   */
+  static parseNfsStates(content) {
+    const states = [];
+    for (const line of String(content || '').split('\n')) {
+      const body = line.match(/\{(.*)\}/);
+      if (!body) continue;
+
+      const type = body[1].match(/type:\s*([a-z]+)/);
+      const access = body[1].match(/access:\s*([rw-]+)/);
+      // The filename is only reported by newer kernels
+      const filename = body[1].match(/filename:\s*"((?:[^"\\]|\\.)*)"/);
+      states.push({
+        type: type ? type[1] : 'unknown',
+        access: access ? access[1] : null,
+        path: filename ? filename[1] : null
+      });
+    }
+    return states;
+  }
+
+  /**
+   * Check if a path is a share path or below it
+   * @param {string} filePath - Path
+   * @param {string} basePath - Share or pool path
+   * @returns {boolean}
+   */
+  static isBelow(filePath, basePath) {
+    if (!filePath || !basePath) return false;
+    const base = basePath.replace(/\/+$/, '');
+    return filePath === base || filePath.startsWith(`${base}/`);
+  }
+}
+
+module.exports = SessionHelpers;
@@ -0,0 +1,121 @@
+/**
+ * Helper functions for the SMB share parameters the API writes into smb.conf itself
+ *
+ * The generator of the OS image (run by /etc/init.d/smbd) builds the share sections from
+ * shares.json but does not know every parameter: read list, invalid users, vfs objects and
+ * the vfs module options are appended to the generated share sections after each smbd restart
+ * and at API start. The block starts with MARKER, so the next run replaces exactly these lines.
+ * Samba uses the last value of a parameter, the block wins over lines of the generator.
+ */
+
+// shares.json list -> smb.conf parameter
+const LIST_PARAMETERS = {
+  read_list: 'read list',
+  invalid_users: 'invalid users'
+};
+
+const MARKER = '# MOS API share parameters (replaced on every smbd restart)';
+const SECTION_PATTERN = /^\s*\[([^\]]+)\]\s*$/;
+
+class SmbConfHelpers {
+  /**
+   * Format a user / group list, entries with whitespace are quoted
+   * @param {Array<string>} list - Entries
+   * @returns {string} smb.conf list value
+   */
+  static formatList(list) {
+    return list.map(entry => /\s/.test(entry) ? `"${entry}"` : entry).join(' ');
+  }
+
+  /**
+   * Build the parameters the API writes into the section of a share
+   * @param {Object} share - SMB share configuration (vfs_objects / vfs_options from VfsHelpers.buildVfsConfig)
+   * @returns {Object} Parameter name -> value (empty lists are left out)
+   */
+  static buildShareParameters(share) {
+    const parameters = {};
+
+    for (const [key, name] of Object.entries(LIST_PARAMETERS)) {
+      if (Array.isArray(share[key]) && share[key].length > 0) {
+        parameters[name] = SmbConfHelpers.formatList(share[key]);
+      }
+    }
+
+    if (Array.isArray(share.vfs_objects) && share.vfs_objects.length > 0) {
+      parameters['vfs objects'] = share.vfs_objects.join(' ');
+      Object.assign(parameters, share.vfs_options || {});
+    }
+
+    for (const [name, value] of Object.entries(parameters)) {
+      if (/[\r\n]/.test(name) || /[\r\n]/.test(value)) {
+        throw new Error(`Invalid smb.conf value for '${name}' of share '${share.name}'`);
+      }
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Write the API managed parameters into the share sections of smb.conf
+   * @param {string} conf - smb.conf content
+   * @param {Array<Object>} shares - SMB share configurations
+   * @returns {string} Updated content (sections of other shares keep their lines)
+   */
+  static applyShareParameters(conf, shares) {
+    const parametersBySection = new Map(
+      shares.map(share => [share.name.toLowerCase(), SmbConfHelpers.buildShareParameters(share)])
+    );
+
+    const output = [];
+    let section = null;
+    let indent = '\t';
+    let managed = false;
+
+    const flush = () => {
+      const parameters = section && parametersBySection.get(section);
+      if (!parameters || Object.keys(parameters).length === 0) return;
+
+      // Keep blank lines between the sections after the appended parameters
+      const trailing = [];
+      while (output.length > 0 && output[output.length - 1].trim() === '') {
+        trailing.unshift(output.pop());
+      }
+      output.push(`${indent}${MARKER}`);
+      for (const [name, value] of Object.entries(parameters)) {
+        output.push(`${indent}${name} = ${value}`);
+      }
+      output.push(...trailing);
+    };
+
+    for (const line of conf.split('\n')) {
+      const header = line.match(SECTION_PATTERN);
+      if (header) {
+        flush();
+        section = header[1].trim().toLowerCase();
+        indent = '\t';
+        managed = false;
+        output.push(line);
+        continue;
+      }
+
+      if (section && parametersBySection.has(section)) {
+        // Drop the block of an earlier run, it runs up to the end of the section
+        if (line.trim() === MARKER) {
+          managed = true;
+          continue;
+        }
+        if (managed && line.trim() !== '') continue;
+
+        const parameter = line.match(/^(\s*)[^#;\s][^=]*=/);
+        if (parameter) indent = parameter[1];
+      }
+      output.push(line);
+    }
+    flush();
+
+    return output.join('\n');
+  }
+}
+
+module.exports = SmbConfHelpers;
+module.exports.MARKER = MARKER;
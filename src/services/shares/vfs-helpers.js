@@ -0,0 +1,189 @@
+/**
+ * Helper functions for SMB share VFS features (recycle bin, Time Machine, shadow copies)
+ *
+ * The share options are stored in shares.json next to the derived vfs_objects / vfs_options,
+ * SmbConfHelpers writes them into the share section of smb.conf as `vfs objects = <vfs_objects>`
+ * and one `<key> = <value>` line per vfs_options entry.
+ */
+
+const QuotaHelpers = require('./quota-helpers');
+
+const RECYCLE_DIR = '.recycle'; // excluded from SnapRAID (see pools.service)
+const DEFAULT_RECYCLE_RETENTION = 30; // days
+const SHADOW_COPY_FORMAT = '_%Y-%m-%d_%H-%M-%S'; // <level>_<timestamp>, see PoolsService._formatSnapshotTimestamp
+
+// Module order matters: catia and fruit before streams_xattr, shadow_copy2 and recycle last
+const VFS_ORDER = ['catia', 'fruit', 'streams_xattr', 'shadow_copy2', 'recycle'];
+
+class VfsHelpers {
+  /**
+   * Validate and normalize the recycle bin options
+   * @param {Object} options - { enabled, retention_days, exclude, exclude_dir, max_size }
+   * @returns {Object} Normalized options
+   */
+  static normalizeRecycleBin(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Invalid recycle_bin: expected an object');
+    }
+
+    const retention = options.retention_days === undefined ? DEFAULT_RECYCLE_RETENTION : Number(options.retention_days);
+    if (!Number.isInteger(retention) || retention < 0) {
+      throw new Error('Invalid recycle_bin retention_days: must be a positive number of days (0 = keep forever)');
+    }
+
+    const patterns = (value, field) => {
+      if (value === undefined || value === null) return [];
+      if (!Array.isArray(value) || value.some(p => typeof p !== 'string' || !p || /[|\n]/.test(p))) {
+        throw new Error(`Invalid recycle_bin ${field}: expected an array of patterns`);
+      }
+      return value;
+    };
+
+    return {
+      enabled: options.enabled !== false,
+      retention_days: retention,
+      exclude: patterns(options.exclude, 'exclude'),
+      exclude_dir: patterns(options.exclude_dir, 'exclude_dir'),
+      max_size: VfsHelpers._parseSize(options.max_size, 'recycle_bin')
+    };
+  }
+
+  /**
+   * Validate and normalize the Time Machine options
+   * @param {Object} options - { enabled, max_size }
+   * @returns {Object} Normalized options
+   */
+  static normalizeTimeMachine(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Invalid time_machine: expected an object');
+    }
+
+    return {
+      enabled: options.enabled !== false,
+      max_size: VfsHelpers._parseSize(options.max_size, 'time_machine')
+    };
+  }
+
+  /**
+   * Parse an optional size limit (bytes or size string like '500G')
+   * @param {string|number|null} value - Size
+   * @param {string} feature - Option name for error messages
+   * @returns {number|null} Bytes
+   * @private
+   */
+  static _parseSize(value, feature) {
+    if (value === undefined || value === null) return null;
+    try {
+      return QuotaHelpers.parseLimit(value);
+    } catch (error) {
+      throw new Error(`Invalid ${feature} max_size: ${value}. Use bytes or formats like '500G', '2T'`);
+    }
+  }
+
+  /**
+   * Validate and normalize the shadow copy options
+   * @param {Object} options - { enabled }
+   * @returns {Object} Normalized options
+   */
+  static normalizeShadowCopy(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Invalid shadow_copy: expected an object');
+    }
+
+    return { enabled: options.enabled !== false };
+  }
+
+  /**
+   * Build the vfs objects and options of a share
+   * @param {Object} share - SMB share configuration with normalized recycle_bin, time_machine, shadow_copy
+   * @param {Object} context - { snapshotDir } absolute snapshot directory of the share subvolume
+   * @returns {{vfs_objects: Array<string>, vfs_options: Object}}
+   */
+  static buildVfsConfig(share, context = {}) {
+    const objects = new Set();
+    const options = {};
+
+    if (share.time_machine && share.time_machine.enabled) {
+      ['catia', 'fruit', 'streams_xattr'].forEach(o => objects.add(o));
+      options['fruit:metadata'] = 'stream';
+      options['fruit:time machine'] = 'yes';
+      if (share.time_machine.max_size) {
+        options['fruit:time machine max size'] = `${Math.floor(share.time_machine.max_size / (1024 * 1024))}M`;
+      }
+      // Sparse bundles need durable handles and no kernel locks
+      options['durable handles'] = 'yes';
+      options['kernel oplocks'] = 'no';
+      options['kernel share modes'] = 'no';
+      options['posix locking'] = 'no';
+    }
+
+    if (share.shadow_copy && share.shadow_copy.enabled && context.snapshotDir) {
+      objects.add('shadow_copy2');
+      options['shadow:mountpoint'] = share.path;
+      options['shadow:snapdir'] = context.snapshotDir;
+      options['shadow:snapdirseverywhere'] = 'no';
+      options['shadow:crossmountpoints'] = 'no';
+      options['shadow:snapprefix'] = '^[A-Za-z0-9-]\\{1,\\}';
+      options['shadow:delimiter'] = '_';
+      options['shadow:format'] = SHADOW_COPY_FORMAT;
+      options['shadow:localtime'] = 'yes';
+      options['shadow:sort'] = 'desc';
+    }
+
+    if (share.recycle_bin && share.recycle_bin.enabled) {
+      objects.add('recycle');
+      options['recycle:repository'] = `${RECYCLE_DIR}/%U`;
+      options['recycle:keeptree'] = 'yes';
+      options['recycle:versions'] = 'yes';
+      // The deletion time is the mtime, the retention cleanup relies on it
+      options['recycle:touch_mtime'] = 'yes';
+      options['recycle:directory_mode'] = '0770';
+      options['recycle:exclude_dir'] = [RECYCLE_DIR, ...share.recycle_bin.exclude_dir].join('|');
+      if (share.recycle_bin.exclude.length > 0) {
+        options['recycle:exclude'] = share.recycle_bin.exclude.join('|');
+      }
+      if (share.recycle_bin.max_size) {
+        options['recycle:maxsize'] = String(share.recycle_bin.max_size);
+      }
+    }
+
+    return {
+      vfs_objects: VFS_ORDER.filter(o => objects.has(o)),
+      vfs_options: options
+    };
+  }
+
+  /**
+   * Compare the vfs objects of a share with the value smbd loaded
+   * @param {Array<string>} vfsObjects - vfs_objects of the share
+   * @param {string} loaded - `testparm -s --section-name=<share> --parameter-name="vfs objects"` output
+   * @returns {Array<string>} Modules missing in smb.conf
+   */
+  static getMissingVfsObjects(vfsObjects, loaded) {
+    const active = String(loaded || '').trim().split(/[\s,]+/).filter(Boolean);
+    return (vfsObjects || []).filter(o => !active.includes(o));
+  }
+
+  /**
+   * Build the cron script removing recycle bin entries older than the retention
+   * @param {Array} shares - SMB shares with an enabled recycle bin and retention_days > 0
+   * @returns {string} Script content
+   */
+  static buildRecycleCleanupScript(shares) {
+    const lines = ['#!/bin/bash', '# Generated by the shares service - recycle bin retention cleanup', ''];
+
+    for (const share of shares) {
+      const dir = `${share.path}/${RECYCLE_DIR}`.replace(/(["$`\\])/g, '\\$1');
+      lines.push(`# ${share.name}: ${share.recycle_bin.retention_days} days`);
+      lines.push(`if [ -d "${dir}" ]; then`);
+      lines.push(`  find "${dir}" -mindepth 2 ! -type d -mtime +${share.recycle_bin.retention_days} -delete`);
+      lines.push(`  find "${dir}" -mindepth 2 -type d -empty -delete`);
+      lines.push('fi');
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = VfsHelpers;
+module.exports.RECYCLE_DIR = RECYCLE_DIR;
@@ -6,12 +6,26 @@ const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 const net = require('net');
+const EventEmitter = require('events');
+const AttributeHistory = require('./smart/attribute-history');
+const UsageHistory = require('./pools/usage-history');
 
 const SMART_CONFIG_PATH = '/boot/config/system/smart.json';
 const SMART_CONFIG_DIR = '/boot/config/system';
 const SMARTD_STATE_DIR = '/var/lib/smartmontools';
 const SMARTD_CONF_PATH = '/etc/smartd.conf';
 const MOS_NOTIFY_SOCKET = '/var/run/mos-notify.sock';
+const ATTRIBUTE_HISTORY_DIR = '/var/mos/smart/attribute-history';
+const SELFTEST_HISTORY_PATH = '/boot/config/system/smart-selftests.json';
+const SELFTEST_HISTORY_LIMIT = 50;
+const SELFTEST_POLL_INTERVAL = 60 * 1000;
+const SELFTEST_SYNC_INTERVAL = 30 * 60 * 1000;
+const SELFTEST_MAX_TRACKING = 48 * 60 * 60 * 1000;
+
+// Self-test type -> smartd -s test letter
+const SELFTEST_TYPES = { short: 'S', long: 'L', conveyance: 'C', offline: 'O' };
+const NVME_SELFTEST_TYPES = ['short', 'long'];
+const SELFTEST_FREQUENCIES = ['daily', 'weekly', 'monthly'];
 
 const DEFAULT_TEMPERATURE_LIMITS = {
   hdd: { warning: 45, critical: 55 },
@@ -22,6 +36,14 @@ const DEFAULT_TEMPERATURE_LIMITS = {
 const DEFAULT_MONITORED_ATTRIBUTES = [5, 187, 198, 199];
 const DEFAULT_ATTRIBUTE_COOLDOWN = 150;
 
+// Growth of a counter within a window that indicates a degrading disk
+const DEFAULT_TREND_RULES = [
+  { attribute: 5, increase: 5, window: '7d', enabled: true },
+  { attribute: 197, increase: 5, window: '7d', enabled: true },
+  { attribute: 198, increase: 5, window: '7d', enabled: true },
+  { attribute: 199, increase: 100, window: '1d', enabled: true }
+];
+
 const ATTRIBUTE_NAMES = {
   1: 'Raw_Read_Error_Rate',
   2: 'Throughput_Performance',
@@ -56,8 +78,9 @@ const ATTRIBUTE_DISPLAY_NAMES = {
   199: 'UDMA CRC Errors'
 };
 
-class SmartService {
+class SmartService extends EventEmitter {
   constructor() {
+    super();
     this.config = null;
     this.diskState = new Map();
     this.serialDeviceMap = new Map();
@@ -70,6 +93,12 @@ class SmartService {
     this._rotationCache = new Map();
     this._initialized = false;
     this._lastStateChange = null;
+    this._selfTestHistory = null;
+    this._runningSelfTests = new Map();
+    this._selfTestPollTimer = null;
+    this._selfTestLastSync = new Map();
+    this._attributeHistoryCompacted = new Map();
+    this._trendAlerts = new Map();
   }
 
   // ============================================================
@@ -188,6 +217,9 @@ class SmartService {
       if (this.config.defaults.bootCheck === undefined) {
         this.config.defaults.bootCheck = true;
       }
+      if (!this.config.defaults.trendRules) {
+        this.config.defaults.trendRules = DEFAULT_TREND_RULES.map(rule => ({ ...rule }));
+      }
       if (!this.config.smartdOptions) this.config.smartdOptions = { quietMode: 'errorsonly' };
       if (!this.config.disks) this.config.disks = {};
       if (!this.config.orphaned) this.config.orphaned = [];
@@ -219,7 +251,8 @@ class SmartService {
           },
           monitoredAttributes: [...DEFAULT_MONITORED_ATTRIBUTES],
           attributeNotificationCooldown: DEFAULT_ATTRIBUTE_COOLDOWN,
-          bootCheck: true
+          bootCheck: true,
+          trendRules: DEFAULT_TREND_RULES.map(rule => ({ ...rule }))
         },
         smartdOptions: { quietMode: 'errorsonly' },
         disks: {},
@@ -267,6 +300,9 @@ class SmartService {
   async updateConfig(partial) {
     if (!this.config) await this._loadConfig();
     const { disks, orphaned, ...globalFields } = partial;
+    if (globalFields.defaults && globalFields.defaults.trendRules !== undefined) {
+      globalFields.defaults.trendRules = AttributeHistory.normalizeRules(globalFields.defaults.trendRules);
+    }
     this.config = this._deepMerge(this.config, globalFields);
     await this._saveConfig();
     await this._generateSmartdConf();
@@ -301,7 +337,21 @@ class SmartService {
       throw new Error(`Disk with serial ${serial} not found in configuration`);
     }
     const { lastSeen, model, diskType, acknowledged, ...updatable } = partial;
-    this.config.disks[serial] = this._deepMerge(this.config.disks[serial], updatable);
+    const updated = this._deepMerge(this.config.disks[serial], updatable);
+    if (updatable.selfTestSchedule !== undefined) {
+      const schedule = this._normalizeSelfTestSchedule(updated.selfTestSchedule, updated.diskType);
+      if (schedule) {
+        updated.selfTestSchedule = schedule;
+      } else {
+        delete updated.selfTestSchedule;
+      }
+    }
+    if (updatable.trendRules === null) {
+      delete updated.trendRules;
+    } else if (updatable.trendRules !== undefined) {
+      updated.trendRules = AttributeHistory.normalizeRules(updatable.trendRules);
+    }
+    this.config.disks[serial] = updated;
     this.config.disks[serial].lastSeen = new Date().toISOString();
     await this._saveConfig();
     await this._generateSmartdConf();
@@ -454,6 +504,7 @@ class SmartService {
     if (idx === -1) throw new Error(`Orphaned entry ${serial} not found`);
     this.config.orphaned.splice(idx, 1);
     await this._saveConfig();
+    await fs.unlink(this._getAttributeHistoryFile(serial)).catch(() => {});
     return { success: true, message: `Orphaned entry ${serial} removed` };
   }
 
@@ -464,8 +515,12 @@ class SmartService {
   async deleteAllOrphans() {
     if (!this.config) await this._loadConfig();
     const count = this.config.orphaned.length;
+    const serials = this.config.orphaned.map(o => o.serial);
     this.config.orphaned = [];
     await this._saveConfig();
+    for (const serial of serials) {
+      await fs.unlink(this._getAttributeHistoryFile(serial)).catch(() => {});
+    }
     return { success: true, message: `${count} orphaned entries removed`, count };
   }
 
@@ -888,6 +943,10 @@ class SmartService {
       this._lastStateChange = new Date().toISOString();
       this._processStateUpdate(serial, oldState, stateEntry);
       this.diskState.set(serial, stateEntry);
+      this._recordAttributeHistory(serial, stateEntry).catch(error => {
+        console.warn(`[SmartService] Failed to record attribute history for ${serial}: ${error.message}`);
+      });
+      this._syncScheduledSelfTests(serial).catch(() => {});
     } catch (error) {
       console.warn(`[SmartService] Error processing state file ${filename}: ${error.message}`);
     }
@@ -1086,9 +1145,7 @@ class SmartService {
       return response;
     }
 
-    // USB bridges need -d sat for SMART access
-    const dFlag = { usb: 'sat', sas: 'scsi' }[deviceInfo.tran] || '';
-    const dArg = dFlag ? `-d ${dFlag} ` : '';
+    const dArg = this._getSmartctlDeviceArg(deviceInfo.tran);
 
     // Try smartctl JSON mode
     try {
@@ -1328,6 +1385,719 @@ class SmartService {
     return { temperatureWarning: limits.warning, temperatureCritical: limits.critical };
   }
 
+  // ============================================================
+  // SELF-TESTS
+  // ============================================================
+
+  /**
+   * Start a SMART self-test on a disk. Sleeping disks are never woken here,
+   * the caller has to wake the disk explicitly first.
+   * @param {string} device - Device name or path (e.g. 'sda')
+   * @param {string} type - Test type (short, long, conveyance, offline)
+   * @param {Object} options - Options (sleeping)
+   * @returns {Object} Self-test status
+   */
+  async startSelfTest(device, type, options = {}) {
+    const { sleeping = false } = options;
+    if (!SELFTEST_TYPES[type]) {
+      throw new Error(`Invalid self-test type: ${type}. Use one of: ${Object.keys(SELFTEST_TYPES).join(', ')}`);
+    }
+
+    const deviceName = device.replace('/dev/', '');
+    const devicePath = `/dev/${deviceName}`;
+    const deviceInfo = await this._getDeviceInfo(deviceName);
+    if (!deviceInfo.serial) throw new Error(`Disk ${deviceName} not found`);
+
+    if (deviceInfo.diskType === 'nvme' && !NVME_SELFTEST_TYPES.includes(type)) {
+      throw new Error(`Invalid self-test type: ${type} is not supported by NVMe disks`);
+    }
+    if (sleeping) {
+      throw new Error(`Disk ${deviceName} is in standby, wake it up to start a self-test`);
+    }
+
+    const status = await this._readSelfTestStatus(devicePath, deviceInfo.tran);
+    if (status.sleeping) {
+      throw new Error(`Disk ${deviceName} is in standby, wake it up to start a self-test`);
+    }
+    if (status.running) {
+      throw new Error(`A self-test is already running on ${deviceName}`);
+    }
+
+    // Baseline the device log so the result of this test is detected as new
+    await this._recordSelfTestLog(deviceInfo.serial, status.log);
+
+    const dArg = this._getSmartctlDeviceArg(deviceInfo.tran);
+    const { stdout } = await execPromise(`smartctl -t ${type} ${dArg}${devicePath} 2>&1 || true`);
+    if (!/has begun/i.test(stdout)) {
+      const reason = stdout.trim().split('\n').filter(Boolean).pop() || 'unknown error';
+      throw new Error(`Failed to start ${type} self-test on ${deviceName}: ${reason}`);
+    }
+
+    this._runningSelfTests.set(deviceInfo.serial, {
+      type,
+      initiator: 'manual',
+      startedAt: new Date().toISOString(),
+      estimatedMinutes: status.pollingMinutes[type] ?? null,
+      remainingPercent: 100
+    });
+    this._scheduleSelfTestPoll();
+
+    return this._buildSelfTestStatus(deviceName, deviceInfo.serial, { sleeping: false, running: true });
+  }
+
+  /**
+   * Abort a running self-test
+   * @param {string} device - Device name or path
+   * @param {Object} options - Options (sleeping)
+   * @returns {Object} Self-test status
+   */
+  async abortSelfTest(device, options = {}) {
+    const { sleeping = false } = options;
+    const deviceName = device.replace('/dev/', '');
+    const deviceInfo = await this._getDeviceInfo(deviceName);
+    if (!deviceInfo.serial) throw new Error(`Disk ${deviceName} not found`);
+
+    // A disk running a self-test does not enter standby, so a sleeping disk has nothing to abort
+    if (sleeping) throw new Error(`No self-test running on ${deviceName}`);
+
+    const devicePath = `/dev/${deviceName}`;
+    const status = await this._readSelfTestStatus(devicePath, deviceInfo.tran);
+    if (status.sleeping || !status.running) throw new Error(`No self-test running on ${deviceName}`);
+
+    const dArg = this._getSmartctlDeviceArg(deviceInfo.tran);
+    await execPromise(`smartctl -X ${dArg}${devicePath} 2>&1 || true`);
+
+    // Let the poller record the aborted entry from the device log
+    if (!this._runningSelfTests.has(deviceInfo.serial)) {
+      this._runningSelfTests.set(deviceInfo.serial, {
+        type: status.runningType,
+        initiator: 'device',
+        startedAt: null,
+        estimatedMinutes: null,
+        remainingPercent: status.remainingPercent
+      });
+    }
+    this._runningSelfTests.get(deviceInfo.serial).abortRequested = true;
+    this._scheduleSelfTestPoll();
+
+    return this._buildSelfTestStatus(deviceName, deviceInfo.serial, { sleeping: false, running: true });
+  }
+
+  /**
+   * Get self-test progress for a disk. Uses smartctl -n standby, a sleeping disk is reported
+   * as sleeping and not woken.
+   * @param {string} device - Device name or path
+   * @param {Object} options - Options (sleeping)
+   * @returns {Object} Self-test status
+   */
+  async getSelfTestStatus(device, options = {}) {
+    const { sleeping = false } = options;
+    const deviceName = device.replace('/dev/', '');
+    const deviceInfo = await this._getDeviceInfo(deviceName);
+    if (!deviceInfo.serial) throw new Error(`Disk ${deviceName} not found`);
+
+    await this._loadSelfTestHistory();
+    if (sleeping) {
+      return this._buildSelfTestStatus(deviceName, deviceInfo.serial, { sleeping: true, running: false });
+    }
+
+    const status = await this._readSelfTestStatus(`/dev/${deviceName}`, deviceInfo.tran);
+    if (!status.sleeping) await this._updateTrackedSelfTest(deviceInfo.serial, status);
+
+    return this._buildSelfTestStatus(deviceName, deviceInfo.serial, status);
+  }
+
+  /**
+   * Get recorded self-test results for a disk, newest first
+   * @param {string} serial - Disk serial number
+   * @returns {Object} { serial, entries }
+   */
+  async getSelfTestHistory(serial) {
+    await this._loadSelfTestHistory();
+    const stored = this._selfTestHistory[serial];
+    return { serial, entries: stored ? stored.entries : [] };
+  }
+
+  /**
+   * Build the public self-test status object
+   * @param {string} deviceName - Device name
+   * @param {string} serial - Disk serial number
+   * @param {Object} status - Parsed live status (sleeping, running, runningType, remainingPercent, status)
+   * @returns {Object} Self-test status
+   * @private
+   */
+  _buildSelfTestStatus(deviceName, serial, status) {
+    const tracked = this._runningSelfTests.get(serial);
+    const stored = this._selfTestHistory ? this._selfTestHistory[serial] : null;
+    const running = !!status.running;
+    const remaining = running ? (status.remainingPercent ?? tracked?.remainingPercent ?? null) : null;
+
+    return {
+      device: `/dev/${deviceName}`,
+      deviceName,
+      serial,
+      sleeping: !!status.sleeping,
+      running,
+      type: running ? (status.runningType || tracked?.type || null) : null,
+      initiator: running && tracked ? tracked.initiator : null,
+      startedAt: running && tracked ? tracked.startedAt : null,
+      estimatedMinutes: running && tracked ? tracked.estimatedMinutes : null,
+      remainingPercent: remaining,
+      progress: remaining !== null ? 100 - remaining : null,
+      status: status.status || null,
+      lastResult: stored && stored.entries.length > 0 ? stored.entries[0] : null
+    };
+  }
+
+  /**
+   * Read self-test execution status and the device self-test log (never wakes the disk)
+   * @param {string} devicePath - Device path
+   * @param {string} tran - Transport reported by lsblk
+   * @returns {Object} { sleeping, running, runningType, remainingPercent, status, pollingMinutes, log }
+   * @private
+   */
+  async _readSelfTestStatus(devicePath, tran) {
+    const result = {
+      sleeping: false,
+      running: false,
+      runningType: null,
+      remainingPercent: null,
+      status: null,
+      pollingMinutes: {},
+      log: []
+    };
+
+    const dArg = this._getSmartctlDeviceArg(tran);
+    const { stdout } = await execPromise(
+      `smartctl -n standby -j -c -l selftest ${dArg}${devicePath} 2>&1 || true`
+    );
+
+    let data;
+    try {
+      data = JSON.parse(stdout);
+    } catch {
+      throw new Error(`Failed to read self-test status of ${devicePath}`);
+    }
+    if (data.smartctl && (data.smartctl.exit_status & 2)) {
+      result.sleeping = true;
+      return result;
+    }
+
+    // ATA: status byte, upper nibble 0xF = in progress, lower nibble = remaining tenths
+    const ataSelfTest = data.ata_smart_data && data.ata_smart_data.self_test;
+    if (ataSelfTest) {
+      const value = ataSelfTest.status ? ataSelfTest.status.value : 0;
+      result.running = (value >> 4) === 0x0f;
+      result.status = ataSelfTest.status ? ataSelfTest.status.string : null;
+      if (result.running) {
+        result.remainingPercent = ataSelfTest.status.remaining_percent ?? (value & 0x0f) * 10;
+      }
+      const polling = ataSelfTest.polling_minutes || {};
+      result.pollingMinutes = {
+        short: polling.short ?? null,
+        long: polling.extended ?? null,
+        conveyance: polling.conveyance ?? null
+      };
+    }
+
+    const ataTable = data.ata_smart_self_test_log && data.ata_smart_self_test_log.standard
+      ? data.ata_smart_self_test_log.standard.table || []
+      : [];
+    for (const row of ataTable) {
+      const code = row.status ? row.status.value >> 4 : 0;
+      const type = this._parseSelfTestType(row.type ? row.type.string : '');
+      if (code === 0x0f) {
+        if (result.running && !result.runningType) result.runningType = type;
+        continue;
+      }
+      result.log.push({
+        type,
+        result: code === 0 ? 'passed' : (code <= 2 ? 'aborted' : 'failed'),
+        status: row.status ? row.status.string : null,
+        lifetimeHours: row.lifetime_hours ?? null,
+        failingLba: row.lba ?? null
+      });
+    }
+
+    // NVMe: operation 0 = idle, 1 = short, 2 = extended
+    const nvmeLog = data.nvme_self_test_log;
+    if (nvmeLog) {
+      const operation = nvmeLog.current_self_test_operation ? nvmeLog.current_self_test_operation.value : 0;
+      result.running = operation !== 0;
+      result.status = nvmeLog.current_self_test_operation ? nvmeLog.current_self_test_operation.string : null;
+      if (result.running) {
+        result.runningType = operation === 2 ? 'long' : 'short';
+        const completion = nvmeLog.current_self_test_completion_percent;
+        result.remainingPercent = completion !== undefined ? 100 - completion : null;
+      }
+      for (const row of nvmeLog.table || []) {
+        const code = row.self_test_result ? row.self_test_result.value : 0x0f;
+        if (code === 0x0f) continue;
+        result.log.push({
+          type: row.self_test_code && row.self_test_code.value === 2 ? 'long' : 'short',
+          result: code === 0 ? 'passed' : (code <= 2 ? 'aborted' : 'failed'),
+          status: row.self_test_result.string || null,
+          lifetimeHours: row.power_on_hours ?? null,
+          failingLba: row.lba ?? null
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Map a smartctl self-test description to a test type
+   * @param {string} description - e.g. 'Short offline', 'Extended offline', 'Conveyance offline'
+   * @returns {string} Test type
+   * @private
+   */
+  _parseSelfTestType(description) {
+    if (/short/i.test(description)) return 'short';
+    if (/extended|long/i.test(description)) return 'long';
+    if (/conveyance/i.test(description)) return 'conveyance';
+    return 'offline';
+  }
+
+  /**
+   * Update the tracked test of a disk from a live status; records the result once the test finished
+   * @param {string} serial - Disk serial number
+   * @param {Object} status - Parsed live status
+   * @private
+   */
+  async _updateTrackedSelfTest(serial, status) {
+    const tracked = this._runningSelfTests.get(serial);
+    if (status.running) {
+      if (tracked) {
+        tracked.remainingPercent = status.remainingPercent;
+      } else {
+        // Started outside the API (smartd schedule or smartctl)
+        const diskConf = this.config ? this.config.disks[serial] : null;
+        this._runningSelfTests.set(serial, {
+          type: status.runningType,
+          initiator: this._getSelfTestInitiator(diskConf, status.runningType),
+          startedAt: null,
+          estimatedMinutes: status.pollingMinutes[status.runningType] ?? null,
+          remainingPercent: status.remainingPercent
+        });
+        this._scheduleSelfTestPoll();
+      }
+      return;
+    }
+
+    this._runningSelfTests.delete(serial);
+    await this._recordSelfTestLog(serial, status.log, tracked);
+  }
+
+  /**
+   * Guess who started a test that was not started through the API
+   * @param {Object|null} diskConf - Disk configuration
+   * @param {string} type - Test type
+   * @returns {string} 'scheduled' or 'device'
+   * @private
+   */
+  _getSelfTestInitiator(diskConf, type) {
+    const entry = diskConf && diskConf.selfTestSchedule ? diskConf.selfTestSchedule[type] : null;
+    return entry && entry.enabled ? 'scheduled' : 'device';
+  }
+
+  /**
+   * Schedule the next progress poll while self-tests are tracked
+   * @private
+   */
+  _scheduleSelfTestPoll() {
+    if (this._selfTestPollTimer || this._runningSelfTests.size === 0) return;
+    this._selfTestPollTimer = setTimeout(async () => {
+      this._selfTestPollTimer = null;
+      await this._pollSelfTests();
+      this._scheduleSelfTestPoll();
+    }, SELFTEST_POLL_INTERVAL);
+  }
+
+  /**
+   * Poll all tracked self-tests, uses smartctl -n standby so sleeping disks stay asleep
+   * @private
+   */
+  async _pollSelfTests() {
+    for (const [serial, tracked] of Array.from(this._runningSelfTests)) {
+      const deviceInfo = this.serialDeviceMap.get(serial);
+      if (!deviceInfo) {
+        this._runningSelfTests.delete(serial);
+        continue;
+      }
+      try {
+        const status = await this._readSelfTestStatus(`/dev/${deviceInfo.name}`, deviceInfo.tran);
+        if (status.sleeping) {
+          // A test that never reports back (disk went to standby) is dropped after a while
+          const startedAt = tracked.startedAt ? new Date(tracked.startedAt).getTime() : Date.now();
+          if (Date.now() - startedAt > SELFTEST_MAX_TRACKING) this._runningSelfTests.delete(serial);
+          continue;
+        }
+        await this._updateTrackedSelfTest(serial, status);
+      } catch (error) {
+        console.warn(`[SmartService] Self-test poll failed for ${deviceInfo.name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check the self-test log of a disk with a schedule after smartd updated its state file.
+   * smartd only writes the state of disks that are awake, so reading the log does not wake it.
+   * @param {string} serial - Disk serial number
+   * @private
+   */
+  async _syncScheduledSelfTests(serial) {
+    const diskConf = this.config ? this.config.disks[serial] : null;
+    if (!this._getSelfTestRegex(diskConf)) return;
+    if (this._runningSelfTests.has(serial)) return;
+
+    const lastSync = this._selfTestLastSync.get(serial) || 0;
+    if (Date.now() - lastSync < SELFTEST_SYNC_INTERVAL) return;
+    this._selfTestLastSync.set(serial, Date.now());
+
+    const deviceInfo = this.serialDeviceMap.get(serial);
+    if (!deviceInfo) return;
+    const status = await this._readSelfTestStatus(`/dev/${deviceInfo.name}`, deviceInfo.tran);
+    if (status.sleeping) return;
+    await this._updateTrackedSelfTest(serial, status);
+  }
+
+  /**
+   * Record new entries of a device self-test log into the history and notify about results.
+   * The first log seen for a disk is imported as baseline without notifications.
+   * @param {string} serial - Disk serial number
+   * @param {Array} log - Parsed device log, newest first
+   * @param {Object} tracked - Tracked test that just finished (optional)
+   * @private
+   */
+  async _recordSelfTestLog(serial, log, tracked = null) {
+    await this._loadSelfTestHistory();
+    const stored = this._selfTestHistory[serial] || { snapshot: null, entries: [] };
+    const keys = log.map(e => `${e.type}:${e.lifetimeHours}:${e.status}`);
+
+    const baseline = stored.snapshot === null;
+    const newCount = baseline ? log.length : this._countNewSelfTestEntries(keys, stored.snapshot);
+    if (!baseline && newCount === 0) return;
+
+    const diskConf = this.config ? this.config.disks[serial] : null;
+    const recordedAt = new Date().toISOString();
+    let trackedMatched = false;
+
+    const added = log.slice(0, newCount).map(entry => {
+      let initiator = null;
+      let startedAt = null;
+      if (!baseline) {
+        if (tracked && !trackedMatched && tracked.type === entry.type) {
+          trackedMatched = true;
+          initiator = tracked.initiator;
+          startedAt = tracked.startedAt;
+        } else {
+          initiator = this._getSelfTestInitiator(diskConf, entry.type);
+        }
+      }
+      return { ...entry, initiator, startedAt, recordedAt };
+    });
+
+    stored.snapshot = keys;
+    stored.entries = [...added, ...stored.entries].slice(0, SELFTEST_HISTORY_LIMIT);
+    this._selfTestHistory[serial] = stored;
+    await this._saveSelfTestHistory();
+
+    if (baseline) return;
+    for (const entry of added.slice().reverse()) {
+      this._notifySelfTestResult(serial, entry);
+    }
+  }
+
+  /**
+   * Count the entries at the start of the device log that are not in the last snapshot.
+   * The device log is a ring (newest first), so the snapshot reappears shifted by the new entries.
+   * @param {Array<string>} keys - Current log entry keys, newest first
+   * @param {Array<string>} snapshot - Keys of the last read log
+   * @returns {number} Number of new entries
+   * @private
+   */
+  _countNewSelfTestEntries(keys, snapshot) {
+    for (let n = 0; n < keys.length; n++) {
+      const overlap = Math.min(snapshot.length, keys.length - n);
+      if (overlap === 0) break;
+      if (keys.slice(n, n + overlap).every((key, i) => key === snapshot[i])) return n;
+    }
+    return keys.length;
+  }
+
+  /**
+   * Send a notification for a finished self-test
+   * @param {string} serial - Disk serial number
+   * @param {Object} entry - History entry
+   * @private
+   */
+  _notifySelfTestResult(serial, entry) {
+    const deviceInfo = this.serialDeviceMap.get(serial);
+    const devName = deviceInfo ? deviceInfo.name : serial;
+    const model = deviceInfo ? deviceInfo.model : serial;
+    const label = entry.type.charAt(0).toUpperCase() + entry.type.slice(1);
+
+    if (entry.result === 'passed') {
+      this._sendNotification(`SMART Disk: ${devName}`, `${model}: ${label} self-test completed without error`, 'normal');
+    } else if (entry.result === 'aborted') {
+      this._sendNotification(`SMART Disk: ${devName}`, `${model}: ${label} self-test aborted (${entry.status})`, 'warning');
+    } else {
+      const lba = entry.failingLba !== null ? `, first failing LBA ${entry.failingLba}` : '';
+      this._sendNotification(`SMART Disk: ${devName}`, `${model}: ${label} self-test failed: ${entry.status}${lba}`, 'alert');
+      this.emit('disk-failing', {
+        serial,
+        device: deviceInfo ? deviceInfo.name : null,
+        reason: `${label} self-test failed`
+      });
+    }
+  }
+
+  /**
+   * Load self-test history from disk (once)
+   * @private
+   */
+  async _loadSelfTestHistory() {
+    if (this._selfTestHistory) return;
+    try {
+      this._selfTestHistory = JSON.parse(await fs.readFile(SELFTEST_HISTORY_PATH, 'utf8'));
+    } catch {
+      this._selfTestHistory = {};
+    }
+  }
+
+  /**
+   * Persist self-test history
+   * @private
+   */
+  async _saveSelfTestHistory() {
+    try {
+      await fs.mkdir(SMART_CONFIG_DIR, { recursive: true });
+      await fs.writeFile(SELFTEST_HISTORY_PATH, JSON.stringify(this._selfTestHistory, null, 2), 'utf8');
+    } catch (error) {
+      console.error(`[SmartService] Failed to save self-test history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate and normalize a per-disk self-test schedule
+   * @param {Object|null} schedule - { [type]: { enabled, frequency, hour, dayOfWeek, dayOfMonth } | null }
+   * @param {string} diskType - Disk type (hdd, ssd, nvme)
+   * @returns {Object|null} Normalized schedule or null if empty
+   * @private
+   */
+  _normalizeSelfTestSchedule(schedule, diskType) {
+    if (schedule === null || schedule === undefined) return null;
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+      throw new Error('Invalid self-test schedule: expected an object keyed by test type');
+    }
+
+    const result = {};
+    for (const [type, entry] of Object.entries(schedule)) {
+      if (!SELFTEST_TYPES[type]) throw new Error(`Invalid self-test type: ${type}`);
+      if (entry === null) continue;
+      if (typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`Invalid self-test schedule for ${type}: expected an object`);
+      }
+      if (diskType === 'nvme' && !NVME_SELFTEST_TYPES.includes(type)) {
+        throw new Error(`Invalid self-test type: ${type} is not supported by NVMe disks`);
+      }
+
+      const frequency = entry.frequency || 'weekly';
+      if (!SELFTEST_FREQUENCIES.includes(frequency)) {
+        throw new Error(`Invalid self-test frequency: ${frequency}. Use one of: ${SELFTEST_FREQUENCIES.join(', ')}`);
+      }
+      const normalized = {
+        enabled: entry.enabled !== false,
+        frequency,
+        hour: this._parseScheduleValue(entry.hour, 2, 0, 23, 'hour')
+      };
+      if (frequency === 'weekly') {
+        normalized.dayOfWeek = this._parseScheduleValue(entry.dayOfWeek, 7, 1, 7, 'dayOfWeek');
+      } else if (frequency === 'monthly') {
+        normalized.dayOfMonth = this._parseScheduleValue(entry.dayOfMonth, 1, 1, 28, 'dayOfMonth');
+      }
+      result[type] = normalized;
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  /**
+   * Parse an integer schedule field within bounds
+   * @private
+   */
+  _parseScheduleValue(value, fallback, min, max, field) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw new Error(`Invalid self-test ${field}: ${value} (allowed ${min}-${max})`);
+    }
+    return n;
+  }
+
+  /**
+   * Build the smartd -s regex for the enabled self-test schedules of a disk
+   * (T/MM/DD/d/HH, d = day of week 1 = Monday)
+   * @param {Object} diskConf - Disk configuration
+   * @returns {string|null} e.g. '(S/../.././02|L/../01/./03)' or null without schedules
+   * @private
+   */
+  _getSelfTestRegex(diskConf) {
+    const schedule = diskConf && diskConf.selfTestSchedule;
+    if (!schedule) return null;
+
+    const parts = [];
+    for (const [type, entry] of Object.entries(schedule)) {
+      if (!entry || !entry.enabled || !SELFTEST_TYPES[type]) continue;
+      const month = '..';
+      const day = entry.frequency === 'monthly' ? String(entry.dayOfMonth).padStart(2, '0') : '..';
+      const weekday = entry.frequency === 'weekly' ? String(entry.dayOfWeek) : '.';
+      const hour = String(entry.hour).padStart(2, '0');
+      parts.push(`${SELFTEST_TYPES[type]}/${month}/${day}/${weekday}/${hour}`);
+    }
+    return parts.length > 0 ? `(${parts.join('|')})` : null;
+  }
+
+  // ============================================================
+  // ATTRIBUTE HISTORY
+  // ============================================================
+
+  /**
+   * Get the attribute history file of a disk
+   * @param {string} serial - Disk serial number
+   * @returns {string} File path
+   * @private
+   */
+  _getAttributeHistoryFile(serial) {
+    return path.join(ATTRIBUTE_HISTORY_DIR, `${serial.replace(/[^A-Za-z0-9._-]/g, '_')}.csv`);
+  }
+
+  /**
+   * Read the attribute samples of a disk
+   * @param {string} serial - Disk serial number
+   * @returns {Promise<Array>} Samples, oldest first
+   * @private
+   */
+  async _readAttributeHistory(serial) {
+    try {
+      return AttributeHistory.parse(await fs.readFile(this._getAttributeHistoryFile(serial), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Append a sample from a smartd state update and check the trend rules.
+   * Old samples are thinned out once per day (see AttributeHistory.compact).
+   * @param {string} serial - Disk serial number
+   * @param {Object} state - Parsed smartd state
+   * @private
+   */
+  async _recordAttributeHistory(serial, state) {
+    const now = Math.floor(Date.now() / 1000);
+    const file = this._getAttributeHistoryFile(serial);
+
+    await fs.mkdir(ATTRIBUTE_HISTORY_DIR, { recursive: true });
+    await fs.appendFile(file, AttributeHistory.serialize([AttributeHistory.fromState(state, now)]));
+
+    let samples = await this._readAttributeHistory(serial);
+    const day = Math.floor(now / 86400);
+    if (this._attributeHistoryCompacted.get(serial) !== day) {
+      samples = AttributeHistory.compact(samples, now);
+      await fs.writeFile(file, AttributeHistory.serialize(samples));
+      this._attributeHistoryCompacted.set(serial, day);
+    }
+
+    const diskConf = this.config ? this.config.disks[serial] : null;
+    if (diskConf) this._checkTrends(serial, diskConf, samples, now);
+  }
+
+  /**
+   * Get the effective trend rules for a disk (disk-specific override or global defaults)
+   * @param {Object|null} diskConf - Disk configuration
+   * @returns {Array} Trend rules
+   * @private
+   */
+  _getEffectiveTrendRules(diskConf) {
+    if (diskConf && diskConf.trendRules) return diskConf.trendRules;
+    if (this.config && this.config.defaults.trendRules) return this.config.defaults.trendRules;
+    return DEFAULT_TREND_RULES;
+  }
+
+  /**
+   * Send an alert when an attribute grows faster than a trend rule allows.
+   * Alerts once per rule until the growth within the window drops below the limit again.
+   * @param {string} serial - Disk serial number
+   * @param {Object} diskConf - Disk configuration
+   * @param {Array} samples - Attribute history, oldest first
+   * @param {number} now - Unix seconds
+   * @private
+   */
+  _checkTrends(serial, diskConf, samples, now) {
+    const deviceInfo = this.serialDeviceMap.get(serial);
+    const devName = deviceInfo ? deviceInfo.name : serial;
+    const model = deviceInfo ? deviceInfo.model : diskConf.model;
+
+    for (const trend of AttributeHistory.evaluateTrends(samples, this._getEffectiveTrendRules(diskConf), now)) {
+      const key = `${serial}:${trend.attribute}`;
+      if (!trend.exceeded) {
+        this._trendAlerts.delete(key);
+        continue;
+      }
+      if (this._trendAlerts.has(key)) continue;
+
+      this._trendAlerts.set(key, now);
+      const name = ATTRIBUTE_DISPLAY_NAMES[trend.attribute] || ATTRIBUTE_NAMES[trend.attribute] || `Attribute ${trend.attribute}`;
+      this._sendNotification(
+        `SMART Disk: ${devName}`,
+        `${model}: ${name} (${trend.attribute}) grew by ${trend.growth} within ${trend.window} ` +
+        `(${trend.from} to ${trend.to}, limit ${trend.increase}) - the disk may be failing, consider replacing it`,
+        'alert'
+      );
+      this.emit('disk-failing', {
+        serial,
+        device: deviceInfo ? deviceInfo.name : null,
+        reason: `${name} grew by ${trend.growth} within ${trend.window}`
+      });
+    }
+  }
+
+  /**
+   * Get the recorded attribute history of a disk with the current trend evaluation.
+   * Served from the history file, the disk is not accessed.
+   * @param {string} serial - Disk serial number
+   * @param {Object} options - { range, resolution, attributes }
+   * @returns {Object} { serial, from, to, resolution, series, trends }
+   */
+  async getAttributeHistory(serial, options = {}) {
+    const range = UsageHistory.parseDuration(options.range || '30d');
+    const resolution = options.resolution === 'raw'
+      ? 0
+      : (options.resolution ? UsageHistory.parseDuration(options.resolution) : AttributeHistory.getDefaultResolution(range));
+    const keys = AttributeHistory.parseKeys(options.attributes);
+
+    const now = Math.floor(Date.now() / 1000);
+    const samples = await this._readAttributeHistory(serial);
+    const diskConf = this.config ? this.config.disks[serial] : null;
+
+    const trends = AttributeHistory.evaluateTrends(samples, this._getEffectiveTrendRules(diskConf), now)
+      .map(trend => ({
+        ...trend,
+        name: ATTRIBUTE_DISPLAY_NAMES[trend.attribute] || ATTRIBUTE_NAMES[trend.attribute] || `Attribute ${trend.attribute}`
+      }));
+
+    return {
+      serial,
+      from: new Date((now - range) * 1000).toISOString(),
+      to: new Date(now * 1000).toISOString(),
+      resolution: resolution || 'raw',
+      series: AttributeHistory.aggregate(samples, now - range, now, resolution, keys),
+      trends
+    };
+  }
+
   // ============================================================
   // SMARTD.CONF GENERATION
   // ============================================================
@@ -1351,6 +2121,7 @@ class SmartService {
                          this.config.defaults.temperatureLimits.hdd;
         if (d.temperatureWarning !== defaults.warning || d.temperatureCritical !== defaults.critical) return true;
         if (d.monitoredAttributes) return true;
+        if (this._getSelfTestRegex(d)) return true;
         return false;
       });
 
@@ -1379,7 +2150,9 @@ class SmartService {
           const w = diskConf.temperatureWarning;
           const c = diskConf.temperatureCritical;
           const dType = { nvme: 'nvme', sata: 'sat', sas: 'scsi', usb: 'sat' }[deviceInfo.tran] || 'auto';
-          lines.push(`${devicePath} -d ${dType} -n standby,q -W 5,${w},${c} ${attrFlags}`);
+          const selfTests = this._getSelfTestRegex(diskConf);
+          const testFlags = selfTests ? ` -s ${selfTests}` : '';
+          lines.push(`${devicePath} -d ${dType} -n standby,q -W 5,${w},${c} ${attrFlags}${testFlags}`);
         }
       }
 
@@ -1498,7 +2271,7 @@ class SmartService {
    * @returns {Object} Status information
    */
   getStatus() {
-    const activeWarnings = { temperature: [], attributes: {} };
+    const activeWarnings = { temperature: [], attributes: {}, trends: {} };
 
     for (const [serial, isWarning] of this._tempWarnings) {
       if (isWarning) activeWarnings.temperature.push(serial);
@@ -1512,6 +2285,12 @@ class SmartService {
       };
     }
 
+    for (const key of this._trendAlerts.keys()) {
+      const [serial, attrId] = key.split(':');
+      if (!activeWarnings.trends[serial]) activeWarnings.trends[serial] = [];
+      activeWarnings.trends[serial].push(parseInt(attrId, 10));
+    }
+
     return {
       initialized: this._initialized,
       watcherActive: this._watcher !== null,
@@ -1544,6 +2323,32 @@ class SmartService {
     return null;
   }
 
+  /**
+   * Resolve a device identifier (device name or serial number) to the current device name
+   * @param {string} identifier - Device name or serial number
+   * @returns {string|null} Device name (e.g. 'sda') or null if the disk is not present
+   */
+  resolveToDeviceName(identifier) {
+    if (!identifier) return null;
+    const name = identifier.replace('/dev/', '');
+    for (const info of this.serialDeviceMap.values()) {
+      if (info.name === name) return name;
+    }
+    const info = this.serialDeviceMap.get(identifier);
+    return info ? info.name : null;
+  }
+
+  /**
+   * Get the smartctl device type argument for a transport (USB bridges need -d sat)
+   * @param {string} tran - Transport reported by lsblk
+   * @returns {string} Argument with trailing space, or empty string
+   * @private
+   */
+  _getSmartctlDeviceArg(tran) {
+    const dFlag = { usb: 'sat', sas: 'scsi' }[tran] || '';
+    return dFlag ? `-d ${dFlag} ` : '';
+  }
+
   /**
    * Check if a disk has a SMART warning by serial number (for external use, e.g. pools)
    * @param {string} serial - Disk serial number
@@ -0,0 +1,261 @@
+/**
+ * Helper functions for SMART attribute history (compact CSV time series and trend detection)
+ *
+ * One file per disk serial, one line per smartd state update:
+ * <unix seconds>,<5>,<187>,<197>,<198>,<199>,<9>,<temperature>
+ * Empty fields mean the attribute was not reported (e.g. NVMe disks).
+ */
+
+const UsageHistory = require('../pools/usage-history');
+
+const DAY = 86400;
+const RAW_RETENTION = 30 * DAY; // every state update
+const DAILY_RETENTION = 2 * 365 * DAY; // last sample per day, older samples are dropped
+
+// Recorded series in column order: key -> attribute id (null = not an attribute)
+const HISTORY_SERIES = [
+  { key: '5', attribute: 5, name: 'Reallocated Sectors', unit: 'count' },
+  { key: '187', attribute: 187, name: 'Reported Uncorrectable Errors', unit: 'count' },
+  { key: '197', attribute: 197, name: 'Current Pending Sectors', unit: 'count' },
+  { key: '198', attribute: 198, name: 'Offline Uncorrectable Sectors', unit: 'count' },
+  { key: '199', attribute: 199, name: 'UDMA CRC Errors', unit: 'count' },
+  { key: '9', attribute: 9, name: 'Power On Hours', unit: 'hours' },
+  { key: 'temperature', attribute: null, name: 'Temperature', unit: 'celsius' }
+];
+
+// Attributes a trend rule can watch (counters that only grow on a degrading disk)
+const TREND_ATTRIBUTES = [5, 187, 197, 198, 199];
+
+class AttributeHistory {
+  /**
+   * Parse the content of a history file
+   * @param {string} content - File content
+   * @returns {Array<{t: number, values: Object}>} Samples, oldest first
+   */
+  static parse(content) {
+    const samples = [];
+
+    for (const line of String(content || '').split('\n')) {
+      const fields = line.split(',');
+      if (fields.length !== HISTORY_SERIES.length + 1) continue;
+
+      const t = parseInt(fields[0], 10);
+      if (!Number.isFinite(t)) continue;
+
+      const values = {};
+      HISTORY_SERIES.forEach((series, i) => {
+        const value = fields[i + 1] === '' ? null : parseInt(fields[i + 1], 10);
+        values[series.key] = Number.isFinite(value) ? value : null;
+      });
+      samples.push({ t, values });
+    }
+
+    return samples.sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Serialize samples to file content
+   * @param {Array} samples - Samples
+   * @returns {string}
+   */
+  static serialize(samples) {
+    return samples.map(s => [
+      s.t,
+      ...HISTORY_SERIES.map(series => {
+        const value = s.values[series.key];
+        return value === null || value === undefined ? '' : value;
+      })
+    ].join(',') + '\n').join('');
+  }
+
+  /**
+   * Build a sample from a parsed smartd state
+   * @param {Object} state - Parsed state (attributes, temperatureCurrent)
+   * @param {number} now - Unix seconds
+   * @returns {{t: number, values: Object}}
+   */
+  static fromState(state, now) {
+    const values = {};
+    for (const series of HISTORY_SERIES) {
+      if (series.attribute === null) {
+        values[series.key] = state.temperatureCurrent ?? null;
+      } else {
+        const attr = state.attributes ? state.attributes[series.attribute] : null;
+        values[series.key] = attr && attr.rawValue !== null && attr.rawValue !== undefined ? attr.rawValue : null;
+      }
+    }
+    return { t: now, values };
+  }
+
+  /**
+   * Thin out old samples: every sample for 30 days, then the last sample per day for 2 years
+   * @param {Array} samples - Samples, oldest first
+   * @param {number} now - Unix seconds
+   * @returns {Array} Compacted samples
+   */
+  static compact(samples, now) {
+    const result = [];
+    const daily = new Map();
+
+    for (const sample of samples) {
+      const age = now - sample.t;
+      if (age > DAILY_RETENTION) continue;
+
+      if (age <= RAW_RETENTION) {
+        result.push(sample);
+      } else {
+        daily.set(Math.floor(sample.t / DAY), sample);
+      }
+    }
+
+    return [...daily.values(), ...result].sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Default resolution for a range (raw up to a week, hourly up to 60 days, daily beyond)
+   * @param {number} range - Seconds
+   * @returns {number} Bucket size in seconds (0 = raw samples)
+   */
+  static getDefaultResolution(range) {
+    if (range <= 7 * DAY) return 0;
+    if (range <= 60 * DAY) return 3600;
+    return DAY;
+  }
+
+  /**
+   * Aggregate samples into series. Counters keep the last value of a bucket,
+   * temperature keeps the highest value.
+   * @param {Array} samples - Samples, oldest first
+   * @param {number} from - Unix seconds
+   * @param {number} to - Unix seconds
+   * @param {number} resolution - Bucket size in seconds (0 = raw samples)
+   * @param {Array<string>} keys - Series keys to include
+   * @returns {Array<{key, attribute, name, unit, points: Array<{timestamp, value}>}>}
+   */
+  static aggregate(samples, from, to, resolution, keys) {
+    const inRange = samples.filter(s => s.t >= from && s.t <= to);
+    const selected = HISTORY_SERIES.filter(series => keys.includes(series.key));
+
+    return selected.map(series => {
+      const buckets = new Map();
+      for (const sample of inRange) {
+        const value = sample.values[series.key];
+        if (value === null || value === undefined) continue;
+
+        const key = resolution ? Math.floor(sample.t / resolution) * resolution : sample.t;
+        const previous = buckets.get(key);
+        buckets.set(key, series.attribute === null && previous !== undefined ? Math.max(previous, value) : value);
+      }
+
+      return {
+        key: series.key,
+        attribute: series.attribute,
+        name: series.name,
+        unit: series.unit,
+        points: Array.from(buckets.entries()).map(([t, value]) => ({
+          timestamp: new Date(t * 1000).toISOString(),
+          value
+        }))
+      };
+    });
+  }
+
+  /**
+   * Resolve requested series keys (comma separated attribute ids and/or 'temperature')
+   * @param {string|Array|undefined} value - Requested keys, all series when empty
+   * @returns {Array<string>} Series keys
+   */
+  static parseKeys(value) {
+    if (value === undefined || value === null || value === '') {
+      return HISTORY_SERIES.map(series => series.key);
+    }
+
+    const requested = (Array.isArray(value) ? value : String(value).split(','))
+      .map(key => String(key).trim())
+      .filter(Boolean);
+    for (const key of requested) {
+      if (!HISTORY_SERIES.some(series => series.key === key)) {
+        throw new Error(`Invalid attribute: ${key}. Recorded: ${HISTORY_SERIES.map(series => series.key).join(', ')}`);
+      }
+    }
+    return requested;
+  }
+
+  /**
+   * Validate and normalize trend rules
+   * @param {Array} rules - [{ attribute, increase, window, enabled }]
+   * @returns {Array} Normalized rules
+   */
+  static normalizeRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Invalid trend rules: expected an array');
+    }
+
+    return rules.map(rule => {
+      if (!rule || typeof rule !== 'object') {
+        throw new Error('Invalid trend rule: expected an object');
+      }
+      const attribute = parseInt(rule.attribute, 10);
+      if (!TREND_ATTRIBUTES.includes(attribute)) {
+        throw new Error(`Invalid trend rule attribute: ${rule.attribute}. Supported: ${TREND_ATTRIBUTES.join(', ')}`);
+      }
+      const increase = Number(rule.increase);
+      if (!Number.isInteger(increase) || increase < 0) {
+        throw new Error(`Invalid trend rule increase: ${rule.increase}`);
+      }
+      const window = UsageHistory.parseDuration(rule.window || '7d');
+      if (window > DAILY_RETENTION) {
+        throw new Error(`Invalid trend rule window: ${rule.window} exceeds the history retention`);
+      }
+
+      return {
+        attribute,
+        increase,
+        window: rule.window || '7d',
+        enabled: rule.enabled !== false
+      };
+    });
+  }
+
+  /**
+   * Evaluate trend rules against the history: growth of an attribute within the window,
+   * measured from the last sample before the window start (or the oldest sample in it)
+   * @param {Array} samples - Samples, oldest first (latest sample included)
+   * @param {Array} rules - Normalized rules
+   * @param {number} now - Unix seconds
+   * @returns {Array<{attribute, window, increase, growth, from, to, exceeded}>}
+   */
+  static evaluateTrends(samples, rules, now) {
+    return rules.filter(rule => rule.enabled).map(rule => {
+      const key = String(rule.attribute);
+      const start = now - UsageHistory.parseDuration(rule.window);
+      const withValue = samples.filter(s => s.values[key] !== null && s.values[key] !== undefined);
+
+      let base = null;
+      for (const sample of withValue) {
+        if (sample.t <= start) {
+          base = sample;
+        } else {
+          if (!base) base = sample;
+          break;
+        }
+      }
+      const latest = withValue.length > 0 ? withValue[withValue.length - 1] : null;
+      const growth = base && latest ? Math.max(0, latest.values[key] - base.values[key]) : null;
+
+      return {
+        attribute: rule.attribute,
+        window: rule.window,
+        increase: rule.increase,
+        growth,
+        from: base ? base.values[key] : null,
+        to: latest ? latest.values[key] : null,
+        exceeded: growth !== null && growth > rule.increase
+      };
+    });
+  }
+}
+
+module.exports = AttributeHistory;
+module.exports.HISTORY_SERIES = HISTORY_SERIES;
+module.exports.TREND_ATTRIBUTES = TREND_ATTRIBUTES;
@@ -1,6 +1,11 @@
 const pty = require('node-pty');
 const fs = require('fs').promises;
 const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const dockerService = require('./docker.service');
+
+const execFilePromise = util.promisify(execFile);
 
 class TerminalService {
   constructor() {
@@ -28,10 +33,66 @@ class TerminalService {
     };
   }
 
+  /**
+   * Build the command for a container shell session
+   * docker: `docker exec -it <container> <shell>` (shell from options or the container template)
+   * lxc: `lxc-attach -n <container> [-- <shell>]` (login shell of the container if no shell is given)
+   * @param {Object} options - Session options with type, container and optional shell
+   * @returns {Promise<Object>} { command, args, target }
+   */
+  async _resolveContainerCommand(options) {
+    const { type, container } = options;
+
+    if (!container || !/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(container)) {
+      throw new Error('Invalid container name');
+    }
+
+    if (type === 'docker') {
+      let running;
+      try {
+        const { stdout } = await execFilePromise('docker', ['inspect', '-f', '{{.State.Running}}', container]);
+        running = stdout.trim() === 'true';
+      } catch (error) {
+        throw new Error(`Docker container '${container}' not found`);
+      }
+      if (!running) {
+        throw new Error(`Docker container '${container}' is not running`);
+      }
+
+      const shell = options.shell
+        ? dockerService.normalizeShell(options.shell)
+        : await dockerService.getContainerShell(container);
+
+      return {
+        command: 'docker',
+        args: ['exec', '-it', '-e', 'TERM=xterm-256color', container, shell],
+        target: { type, container, shell }
+      };
+    }
+
+    let state;
+    try {
+      const { stdout } = await execFilePromise('lxc-info', ['-n', container, '-sH']);
+      state = stdout.trim();
+    } catch (error) {
+      throw new Error(`LXC container '${container}' not found`);
+    }
+    if (state !== 'RUNNING') {
+      throw new Error(`LXC container '${container}' is not running`);
+    }
+
+    const shell = options.shell ? dockerService.normalizeShell(options.shell) : null;
+    return {
+      command: 'lxc-attach',
+      args: shell ? ['-n', container, '--', shell] : ['-n', container],
+      target: { type, container, shell }
+    };
+  }
+
   /**
    * Create a new terminal session
    * @param {string} sessionId - Unique session ID
-   * @param {Object} options - Terminal options
+   * @param {Object} options - Terminal options (type 'docker' or 'lxc' with container opens a container shell)
    * @returns {Object} Session information
    */
   async createSession(sessionId, options = {}) {
@@ -56,6 +117,16 @@ class TerminalService {
 
       const config = { ...defaultOptions, ...options };
 
+      // Container shell sessions - command is built here, never taken from the client
+      if (config.type === 'docker' || config.type === 'lxc') {
+        Object.assign(config, await this._resolveContainerCommand(config));
+      } else {
+        if (config.type !== undefined && config.type !== 'shell' && config.type !== 'command') {
+          throw new Error(`Invalid session type: ${config.type}. Use shell, command, docker or lxc`);
+        }
+        config.target = null;
+      }
+
       // Convert pixel dimensions to rows/cols if provided
       if (options.width && options.height) {
         const size = this.pixelsToSize(options.width, options.height);
@@ -128,6 +199,8 @@ class TerminalService {
 
       return {
         sessionId,
+        type: this.getSessionType(config),
+        target: config.target || null,
         command: config.command || config.shell,
         args: config.args || [],
         readOnly: config.readOnly,
@@ -142,6 +215,18 @@ class TerminalService {
     }
   }
 
+  /**
+   * Get the type of a session from its options
+   * @param {Object} options - Session options
+   * @returns {string} shell, command, docker or lxc
+   */
+  getSessionType(options) {
+    if (options.target) {
+      return options.target.type;
+    }
+    return options.command ? 'command' : 'shell';
+  }
+
   /**
    * Get session
    * @param {string} sessionId - Session ID
@@ -257,6 +342,8 @@ class TerminalService {
     for (const [sessionId, session] of this.sessions.entries()) {
       sessions.push({
         sessionId,
+        type: this.getSessionType(session.options),
+        target: session.options.target || null,
         command: session.options.command || session.options.shell,
         args: session.options.args || [],
         readOnly: session.options.readOnly,
@@ -3,15 +3,52 @@ const path = require('path');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const net = require('net');
 const { exec, spawn } = require('child_process');
 const util = require('util');
 const { generateSecret, generateURI, verifySync } = require('otplib');
 const QRCode = require('qrcode');
 const config = require('../config');
+const sessionService = require('./session.service');
+const ldapService = require('./ldap.service');
 
 const execAsync = util.promisify(exec);
 const ENV_FILE = '/boot/config/api/env';
 
+// Route groups that can be granted to non-admin users via permission sets
+const PERMISSION_GROUPS = ['docker', 'vm', 'lxc', 'pools', 'shares', 'mos'];
+const PERMISSION_LEVELS = ['read', 'write'];
+// Endpoints outside of /api/v1 that admin tokens can be scoped to (Prometheus exporter)
+const ROOT_SCOPE_PREFIXES = ['/metrics'];
+
+// Local groups (Linux groups for SMB share permissions)
+const GROUP_NAME_PATTERN = /^[a-z_][a-z0-9_-]{0,31}$/;
+const GROUP_GID_BASE = 1500;
+
+const BUILTIN_PERMISSION_SETS = [
+  {
+    id: 'docker-operator',
+    name: 'Docker Operator',
+    description: 'Manage Docker containers and compose stacks',
+    permissions: { docker: 'write' },
+    builtin: true
+  },
+  {
+    id: 'vm-operator',
+    name: 'VM Operator',
+    description: 'Manage virtual machines',
+    permissions: { vm: 'write' },
+    builtin: true
+  },
+  {
+    id: 'read-only-monitor',
+    name: 'Read-only Monitor',
+    description: 'Read access to all route groups',
+    permissions: Object.fromEntries(PERMISSION_GROUPS.map(group => [group, 'read'])),
+    builtin: true
+  }
+];
+
 class UserService {
   constructor() {
     this.users = [];
@@ -20,6 +57,12 @@ class UserService {
     // Admin tokens caching
     this.adminTokens = [];
     this.adminTokensLastLoad = 0;
+    // Permission sets caching
+    this.permissionSets = [];
+    this.permissionSetsLastLoad = 0;
+    // Groups caching
+    this.groups = [];
+    this.groupsLastLoad = 0;
     this.systemConfigPath = '/boot/config/system';
     this.mfaPendingSetups = new Map();
     this.mfaBlacklistedTokens = new Set();
@@ -276,12 +319,39 @@ class UserService {
     return this._sanitizeUser(newUser);
   }
 
-  async authenticate(username, password) {
+  /**
+   * Sign a login JWT and register its session
+   * @param {Object} user - User object
+   * @param {Object} context - { ip, userAgent } of the login request
+   * @returns {Promise<string>} Signed JWT
+   */
+  async _issueToken(user, context = {}) {
+    const token = jwt.sign(
+      {
+        id: user.id,
+        username: user.username,
+        role: user.role
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: config.jwtExpiryString, jwtid: crypto.randomUUID() }
+    );
+
+    await sessionService.createSession(user, token, context);
+    return token;
+  }
+
+  async authenticate(username, password, context = {}) {
     const users = await this.loadUsers();
-    const user = users.find(u => u.username === username);
+    let user = users.find(u => u.username === username);
 
-    if (!user) {
-      throw new Error('Invalid username or password');
+    if (user && user.source !== 'ldap') {
+      // Local users always authenticate locally
+      const validPassword = await bcrypt.compare(password, user.password);
+      if (!validPassword) {
+        throw new Error('Invalid username or password');
+      }
+    } else {
+      user = await this._authenticateDirectoryUser(username, password, user);
     }
 
     // samba_only users cannot log in via API
@@ -289,11 +359,6 @@ class UserService {
       throw new Error('Invalid username or password');
     }
 
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      throw new Error('Invalid username or password');
-    }
-
     // If MFA is enabled, return mfa_token instead of real JWT
     if (user.mfa_enabled && user.mfa_secret) {
       const mfaToken = jwt.sign(
@@ -319,15 +384,7 @@ class UserService {
       };
     }
 
-    const token = jwt.sign(
-      {
-        id: user.id,
-        username: user.username,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: config.jwtExpiryString }
-    );
+    const token = await this._issueToken(user, context);
 
     return {
       user: this._sanitizeUser(user),
@@ -338,6 +395,138 @@ class UserService {
     };
   }
 
+  /**
+   * Authenticate a user against LDAP / Active Directory and sync the local copy.
+   * Falls back to the cached password hash while the directory is unreachable.
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {Object|null} cachedUser - Existing local user synced from the directory
+   * @returns {Promise<Object>} Local user
+   */
+  async _authenticateDirectoryUser(username, password, cachedUser = null) {
+    const settings = await ldapService.loadSettings();
+    if (!settings.enabled) {
+      throw new Error('Invalid username or password');
+    }
+
+    let directoryUser;
+    try {
+      directoryUser = await ldapService.authenticate(username, password);
+    } catch (error) {
+      if (error.code !== 'LDAP_UNAVAILABLE') {
+        console.error('LDAP authentication error:', error.message);
+        throw new Error('Invalid username or password');
+      }
+
+      // Offline login with the cached hash of the last successful directory login
+      const ttlMs = settings.cache_ttl_days * 24 * 60 * 60 * 1000;
+      const syncedAt = cachedUser?.ldap_synced_at ? new Date(cachedUser.ldap_synced_at).getTime() : 0;
+      if (settings.cache_offline_login && cachedUser && Date.now() - syncedAt <= ttlMs &&
+          await bcrypt.compare(password, cachedUser.password)) {
+        console.warn(`LDAP server unavailable, using cached credentials for '${username}'`);
+        return cachedUser;
+      }
+      console.error('LDAP authentication error:', error.message);
+      throw new Error('Invalid username or password');
+    }
+
+    // Unknown user, wrong password or no group mapped to a role
+    if (!directoryUser || !directoryUser.role) {
+      throw new Error('Invalid username or password');
+    }
+
+    return this._syncDirectoryUser(directoryUser, password, settings);
+  }
+
+  /**
+   * Create or update the local copy of a directory user after a successful bind
+   * @param {Object} directoryUser - User returned by ldapService.authenticate
+   * @param {string} password - Verified password
+   * @param {Object} settings - LDAP settings
+   * @returns {Promise<Object>} Local user
+   */
+  async _syncDirectoryUser(directoryUser, password, settings) {
+    const users = await this.loadUsers();
+    const index = users.findIndex(u => u.username === directoryUser.username);
+    const sambaUser = directoryUser.role === 'samba_only' || settings.sync_smb_users;
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const now = new Date().toISOString();
+
+    if (index === -1) {
+      if (!/^[a-zA-Z0-9_.-]+$/.test(directoryUser.username)) {
+        console.error(`LDAP user '${directoryUser.username}' has an unsupported username`);
+        throw new Error('Invalid username or password');
+      }
+
+      const newUser = {
+        id: Date.now().toString(),
+        username: directoryUser.username,
+        password: hashedPassword,
+        role: directoryUser.role,
+        language: 'en',
+        primary_color: '#607d8b',
+        darkmode: false,
+        samba_user: sambaUser,
+        byte_format: 'binary',
+        show_menu: true,
+        hide_inactive_menus: true,
+        group_menus: false,
+        source: 'ldap',
+        ldap_dn: directoryUser.dn,
+        ldap_groups: directoryUser.groups,
+        ldap_synced_at: now,
+        createdAt: now
+      };
+
+      try {
+        if (sambaUser) {
+          await this._createSmbUser(newUser.username, password);
+        } else {
+          await this._createLinuxUserOnly(newUser.username, password);
+        }
+      } catch (error) {
+        // Login still works, share access has to be fixed by an admin
+        console.error(`Failed to create system user for LDAP user '${newUser.username}': ${error.message}`);
+      }
+
+      users.push(newUser);
+      await this.saveUsers(users);
+      return newUser;
+    }
+
+    const user = users[index];
+    const passwordChanged = !(await bcrypt.compare(password, user.password));
+
+    if (user.role === 'admin' && directoryUser.role !== 'admin' &&
+        users.filter(u => u.role === 'admin').length === 1) {
+      console.warn(`LDAP user '${user.username}' is the last admin, keeping admin role`);
+    } else {
+      user.role = directoryUser.role;
+    }
+
+    // Keep the SMB password in sync with the directory password
+    if (sambaUser) {
+      try {
+        if (!user.samba_user) {
+          await this._createSmbUser(user.username, password);
+        } else if (passwordChanged) {
+          await this._changeSmbPassword(user.username, password);
+        }
+        user.samba_user = true;
+      } catch (error) {
+        console.error(`Failed to sync SMB password for LDAP user '${user.username}': ${error.message}`);
+      }
+    }
+
+    user.password = hashedPassword;
+    user.ldap_dn = directoryUser.dn;
+    user.ldap_groups = directoryUser.groups;
+    user.ldap_synced_at = now;
+    await this.saveUsers(users);
+
+    return user;
+  }
+
   async updateUser(id, updates, requestingUser = null) {
     const users = await this.loadUsers();
     const index = users.findIndex(u => u.id === id);
@@ -348,6 +537,13 @@ class UserService {
 
     const currentUser = users[index];
 
+    // Password and role of directory users are managed by LDAP
+    if (currentUser.source === 'ldap' && (updates.password ||
+        (updates.role && updates.role !== currentUser.role) ||
+        (updates.hasOwnProperty('samba_user') && updates.samba_user !== currentUser.samba_user))) {
+      throw new Error('Password, role and SMB access of LDAP users are managed by the directory');
+    }
+
     if (requestingUser) {
       // Check if user has admin privileges (admin role, boot token, or admin token)
       const isAdmin = requestingUser.role === 'admin' || requestingUser.isBootToken || requestingUser.isAdminToken;
@@ -377,6 +573,10 @@ class UserService {
       }
     }
 
+    if (updates.hasOwnProperty('permission_sets')) {
+      updates.permission_sets = await this._validatePermissionSetIds(updates.permission_sets);
+    }
+
     // Prevent removing the last admin
     if (updates.role && updates.role !== 'admin') {
       const adminCount = users.filter(u => u.role === 'admin').length;
@@ -476,6 +676,12 @@ class UserService {
     if (users[index].mfa_recovery_code === undefined) delete users[index].mfa_recovery_code;
     await this.saveUsers(users);
 
+    // A password change invalidates all other sessions of the user
+    if (plainPassword) {
+      const keepSessionId = requestingUser && requestingUser.id === id ? requestingUser.sessionId : null;
+      await sessionService.revokeUserSessions(id, keepSessionId);
+    }
+
     return this._sanitizeUser(users[index]);
   }
 
@@ -505,6 +711,7 @@ class UserService {
 
       // Delete Linux user (for all users)
       await this._deleteLinuxUser(user.username);
+      await this._removeUserFromGroups(user.username);
 
       // Copy updated system files after deletion
       await this._copySystemFiles();
@@ -521,6 +728,7 @@ class UserService {
 
     users.splice(index, 1);
     await this.saveUsers(users);
+    await sessionService.revokeUserSessions(id);
   }
 
   /**
@@ -646,13 +854,145 @@ class UserService {
   }
 
   // Admin Token Management
+
+  /**
+   * Normalize and validate admin token scopes
+   * A scope limits a token to a route prefix with read or write access,
+   * an empty list means unrestricted access. Prefixes are resolved below /api/v1
+   * except for the endpoints in ROOT_SCOPE_PREFIXES (e.g. /metrics).
+   * @param {Array<Object>} scopes - [{ prefix: '/api/v1/system', access: 'read'|'write' }]
+   * @returns {Array<Object>} Normalized scopes
+   */
+  _validateAdminTokenScopes(scopes) {
+    if (scopes === undefined || scopes === null) {
+      return [];
+    }
+    if (!Array.isArray(scopes)) {
+      throw new Error('scopes must be an array of { prefix, access } objects');
+    }
+
+    return scopes.map(scope => {
+      if (!scope || typeof scope.prefix !== 'string' || !scope.prefix.trim()) {
+        throw new Error('Each scope requires a route prefix');
+      }
+      const access = scope.access || 'read';
+      if (!PERMISSION_LEVELS.includes(access)) {
+        throw new Error(`Invalid scope access: ${access}. Allowed: ${PERMISSION_LEVELS.join(', ')}`);
+      }
+
+      let prefix = scope.prefix.trim().replace(/\/+$/, '');
+      if (!prefix.startsWith('/')) {
+        prefix = `/${prefix}`;
+      }
+      if (ROOT_SCOPE_PREFIXES.includes(prefix)) {
+        return { prefix, access };
+      }
+      if (!prefix.startsWith('/api/v1/')) {
+        prefix = `/api/v1${prefix}`;
+      }
+      if (!/^\/api\/v1\/[A-Za-z0-9._\-/]+$/.test(prefix)) {
+        throw new Error(`Invalid scope prefix: ${scope.prefix}`);
+      }
+
+      return { prefix, access };
+    });
+  }
+
   /**
-   * Create a new permanent admin token
+   * Validate an admin token IP allowlist (single addresses or CIDR ranges)
+   * @param {Array<string>} allowedIps - IPs / CIDRs
+   * @returns {Array<string>} Validated list
+   */
+  _validateAdminTokenIps(allowedIps) {
+    if (allowedIps === undefined || allowedIps === null) {
+      return [];
+    }
+    if (!Array.isArray(allowedIps)) {
+      throw new Error('allowedIps must be an array of IP addresses or CIDR ranges');
+    }
+
+    return allowedIps.map(entry => {
+      const value = String(entry).trim();
+      const [address, bits] = value.split('/');
+      const family = net.isIP(address);
+      if (!family) {
+        throw new Error(`Invalid IP address: ${value}`);
+      }
+      if (bits !== undefined) {
+        const prefixLength = Number(bits);
+        const maxBits = family === 4 ? 32 : 128;
+        if (!/^\d+$/.test(bits) || prefixLength > maxBits) {
+          throw new Error(`Invalid CIDR range: ${value}`);
+        }
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Validate an admin token expiry date
+   * @param {string|null} expiresAt - ISO date or null for no expiry
+   * @returns {string|null} ISO date or null
+   */
+  _validateAdminTokenExpiry(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+      return null;
+    }
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+      throw new Error('expiresAt must be a valid date');
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new Error('expiresAt must be in the future');
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Check if an IP matches an admin token allowlist
+   * @param {Array<string>} allowedIps - IPs / CIDRs
+   * @param {string|null} ip - Client IP
+   * @returns {boolean}
+   */
+  _isIpAllowed(allowedIps, ip) {
+    if (!Array.isArray(allowedIps) || allowedIps.length === 0) {
+      return true;
+    }
+    if (!ip) {
+      return false;
+    }
+
+    // Treat IPv4-mapped IPv6 addresses as IPv4
+    const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    const family = net.isIP(address);
+    if (!family) {
+      return false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const entry of allowedIps) {
+      const [base, bits] = entry.split('/');
+      const type = net.isIP(base) === 6 ? 'ipv6' : 'ipv4';
+      if (bits !== undefined) {
+        blockList.addSubnet(base, Number(bits), type);
+      } else {
+        blockList.addAddress(base, type);
+      }
+    }
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Create a new admin token
    * @param {string} name - Descriptive name for the token
    * @param {string} description - Optional description
+   * @param {Object} options - Optional restrictions
+   * @param {string} options.expiresAt - Expiry date (ISO), null for no expiry
+   * @param {Array<Object>} options.scopes - Route prefix scopes, empty for full access
+   * @param {Array<string>} options.allowedIps - Source IP allowlist, empty for any
    * @returns {Promise<Object>} Created token with full token value
    */
-  async createAdminToken(name, description = '') {
+  async createAdminToken(name, description = '', options = {}) {
     const tokens = await this.loadAdminTokens();
 
     // Check if name already exists
@@ -660,6 +1000,10 @@ class UserService {
       throw new Error('Token name already exists');
     }
 
+    const expiresAt = this._validateAdminTokenExpiry(options.expiresAt);
+    const scopes = this._validateAdminTokenScopes(options.scopes);
+    const allowedIps = this._validateAdminTokenIps(options.allowedIps);
+
     // Generate secure random token
     const token = crypto.randomBytes(32).toString('hex');
 
@@ -669,7 +1013,11 @@ class UserService {
       description,
       token,
       createdAt: new Date().toISOString(),
+      expiresAt,
+      scopes,
+      allowedIps,
       lastUsed: null,
+      lastUsedIp: null,
       isActive: true
     };
 
@@ -683,6 +1031,44 @@ class UserService {
     };
   }
 
+  /**
+   * Update restrictions of an admin token
+   * @param {string} id - Token ID
+   * @param {Object} updates - { description, expiresAt, scopes, allowedIps }
+   * @returns {Promise<Object>} Result with sanitized token
+   */
+  async updateAdminToken(id, updates = {}) {
+    const tokens = await this.loadAdminTokens();
+    const tokenIndex = tokens.findIndex(t => t.id === id);
+
+    if (tokenIndex === -1) {
+      throw new Error('Admin token not found');
+    }
+
+    const updated = { ...tokens[tokenIndex] };
+    if (updates.description !== undefined) {
+      updated.description = updates.description;
+    }
+    if (updates.expiresAt !== undefined) {
+      updated.expiresAt = this._validateAdminTokenExpiry(updates.expiresAt);
+    }
+    if (updates.scopes !== undefined) {
+      updated.scopes = this._validateAdminTokenScopes(updates.scopes);
+    }
+    if (updates.allowedIps !== undefined) {
+      updated.allowedIps = this._validateAdminTokenIps(updates.allowedIps);
+    }
+
+    tokens[tokenIndex] = updated;
+    await this.saveAdminTokens(tokens);
+
+    return {
+      success: true,
+      message: 'Admin token updated successfully',
+      data: this._sanitizeAdminToken(updated)
+    };
+  }
+
   /**
    * Get all admin tokens (sanitized)
    * @returns {Promise<Array>} List of sanitized tokens
@@ -693,11 +1079,13 @@ class UserService {
   }
 
   /**
-   * Validate admin token and update last used timestamp
+   * Validate admin token and record last used timestamp and IP
    * @param {string} token - Token to validate
-   * @returns {Promise<Object|null>} Token data if valid, null if invalid
+   * @param {Object} context - Request context
+   * @param {string} context.ip - Client IP (required when the token has an IP allowlist)
+   * @returns {Promise<Object|null>} Token data if valid, null if invalid, expired or not allowed from this IP
    */
-  async validateAdminToken(token) {
+  async validateAdminToken(token, context = {}) {
     const tokens = await this.loadAdminTokens();
     const tokenIndex = tokens.findIndex(t => t.token === token && t.isActive);
 
@@ -705,15 +1093,34 @@ class UserService {
       return null;
     }
 
-    // Update last used timestamp
-    tokens[tokenIndex].lastUsed = new Date().toISOString();
-    await this.saveAdminTokens(tokens);
+    const tokenData = tokens[tokenIndex];
+
+    if (tokenData.expiresAt && new Date(tokenData.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+
+    const ip = context.ip || null;
+    if (!this._isIpAllowed(tokenData.allowedIps, ip)) {
+      return null;
+    }
+
+    // Update last used timestamp and IP - throttled to avoid a config write on every request
+    const lastUsed = tokenData.lastUsed ? new Date(tokenData.lastUsed).getTime() : 0;
+    if (Date.now() - lastUsed > 60 * 1000 || (ip && tokenData.lastUsedIp !== ip)) {
+      tokens[tokenIndex] = {
+        ...tokenData,
+        lastUsed: new Date().toISOString(),
+        lastUsedIp: ip || tokenData.lastUsedIp || null
+      };
+      await this.saveAdminTokens(tokens);
+    }
 
     return {
-      id: tokens[tokenIndex].id,
-      name: tokens[tokenIndex].name,
+      id: tokenData.id,
+      name: tokenData.name,
       role: 'admin',
-      isAdminToken: true
+      isAdminToken: true,
+      scopes: tokenData.scopes || []
     };
   }
 
@@ -763,6 +1170,486 @@ class UserService {
     };
   }
 
+  // Permission Sets
+
+  async loadPermissionSets() {
+    const now = Date.now();
+    // Only reload if cache is expired
+    if (now - this.permissionSetsLastLoad > this.cacheTimeout) {
+      try {
+        const data = await fs.readFile(config.permissionSetsFilePath, 'utf8');
+        this.permissionSets = data.trim() ? JSON.parse(data) : [];
+        if (!Array.isArray(this.permissionSets)) {
+          this.permissionSets = [];
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error loading permission sets:', error);
+        }
+        this.permissionSets = [];
+      }
+      this.permissionSetsLastLoad = now;
+    }
+    return this.permissionSets;
+  }
+
+  async savePermissionSets(sets) {
+    try {
+      await fs.writeFile(config.permissionSetsFilePath, JSON.stringify(sets, null, 2));
+      this.permissionSets = sets;
+      this.permissionSetsLastLoad = Date.now();
+    } catch (error) {
+      console.error('Error saving permission sets:', error);
+      throw new Error('Error saving permission set data');
+    }
+  }
+
+  /**
+   * Validate a permissions map ({ group: 'read'|'write' })
+   * @param {Object} permissions - Permissions map
+   * @returns {Object} Normalized permissions
+   */
+  _validatePermissions(permissions) {
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+      throw new Error('Permissions must be an object mapping route groups to read or write');
+    }
+
+    const normalized = {};
+    for (const [group, level] of Object.entries(permissions)) {
+      if (!PERMISSION_GROUPS.includes(group)) {
+        throw new Error(`Invalid route group: ${group}. Allowed: ${PERMISSION_GROUPS.join(', ')}`);
+      }
+      if (!PERMISSION_LEVELS.includes(level)) {
+        throw new Error(`Invalid permission level for ${group}: ${level}. Allowed: ${PERMISSION_LEVELS.join(', ')}`);
+      }
+      normalized[group] = level;
+    }
+
+    if (Object.keys(normalized).length === 0) {
+      throw new Error('At least one route group permission is required');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate a list of permission set ids against known sets
+   * @param {Array<string>} setIds - Permission set ids
+   * @returns {Promise<Array<string>>} Deduplicated ids
+   */
+  async _validatePermissionSetIds(setIds) {
+    if (!Array.isArray(setIds)) {
+      throw new Error('permission_sets must be an array of permission set ids');
+    }
+
+    const sets = await this.getPermissionSets();
+    for (const setId of setIds) {
+      if (!sets.some(s => s.id === setId)) {
+        throw new Error(`Permission set not found: ${setId}`);
+      }
+    }
+
+    return [...new Set(setIds)];
+  }
+
+  /**
+   * Get all permission sets (built-in and custom)
+   * @returns {Promise<Array>} Permission sets
+   */
+  async getPermissionSets() {
+    const custom = await this.loadPermissionSets();
+    return [...BUILTIN_PERMISSION_SETS, ...custom.map(s => ({ ...s, builtin: false }))];
+  }
+
+  /**
+   * Get the available route groups and permission levels
+   * @returns {Object} Groups and levels
+   */
+  getPermissionGroups() {
+    return { groups: PERMISSION_GROUPS, levels: PERMISSION_LEVELS };
+  }
+
+  /**
+   * Create a custom permission set
+   * @param {Object} data - { name, description, permissions }
+   * @returns {Promise<Object>} Created permission set
+   */
+  async createPermissionSet({ name, description = '', permissions }) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw new Error('Permission set name is required');
+    }
+
+    const allSets = await this.getPermissionSets();
+    if (allSets.some(s => s.name.toLowerCase() === name.trim().toLowerCase())) {
+      throw new Error('Permission set name already exists');
+    }
+
+    const sets = [...await this.loadPermissionSets()];
+    const newSet = {
+      id: Date.now().toString(),
+      name: name.trim(),
+      description,
+      permissions: this._validatePermissions(permissions),
+      createdAt: new Date().toISOString()
+    };
+
+    sets.push(newSet);
+    await this.savePermissionSets(sets);
+
+    return { ...newSet, builtin: false };
+  }
+
+  /**
+   * Update a custom permission set
+   * @param {string} id - Permission set id
+   * @param {Object} updates - { name, description, permissions }
+   * @returns {Promise<Object>} Updated permission set
+   */
+  async updatePermissionSet(id, updates) {
+    if (BUILTIN_PERMISSION_SETS.some(s => s.id === id)) {
+      throw new Error('Built-in permission sets cannot be modified');
+    }
+
+    const sets = [...await this.loadPermissionSets()];
+    const index = sets.findIndex(s => s.id === id);
+    if (index === -1) {
+      throw new Error('Permission set not found');
+    }
+
+    const updated = { ...sets[index] };
+
+    if (updates.name !== undefined) {
+      if (typeof updates.name !== 'string' || !updates.name.trim()) {
+        throw new Error('Permission set name is required');
+      }
+      const allSets = await this.getPermissionSets();
+      if (allSets.some(s => s.id !== id && s.name.toLowerCase() === updates.name.trim().toLowerCase())) {
+        throw new Error('Permission set name already exists');
+      }
+      updated.name = updates.name.trim();
+    }
+    if (updates.description !== undefined) {
+      updated.description = updates.description;
+    }
+    if (updates.permissions !== undefined) {
+      updated.permissions = this._validatePermissions(updates.permissions);
+    }
+    updated.updatedAt = new Date().toISOString();
+
+    sets[index] = updated;
+    await this.savePermissionSets(sets);
+
+    return { ...updated, builtin: false };
+  }
+
+  /**
+   * Delete a custom permission set and remove it from all users
+   * @param {string} id - Permission set id
+   * @returns {Promise<Object>} Result
+   */
+  async deletePermissionSet(id) {
+    if (BUILTIN_PERMISSION_SETS.some(s => s.id === id)) {
+      throw new Error('Built-in permission sets cannot be deleted');
+    }
+
+    const sets = [...await this.loadPermissionSets()];
+    const index = sets.findIndex(s => s.id === id);
+    if (index === -1) {
+      throw new Error('Permission set not found');
+    }
+
+    sets.splice(index, 1);
+    await this.savePermissionSets(sets);
+
+    // Remove assignment from users
+    const users = await this.loadUsers();
+    let dirty = false;
+    for (const user of users) {
+      if (Array.isArray(user.permission_sets) && user.permission_sets.includes(id)) {
+        user.permission_sets = user.permission_sets.filter(setId => setId !== id);
+        dirty = true;
+      }
+    }
+    if (dirty) {
+      await this.saveUsers(users);
+    }
+
+    return {
+      success: true,
+      message: 'Permission set deleted successfully'
+    };
+  }
+
+  /**
+   * Assign permission sets to a user (replaces existing assignment)
+   * @param {string} userId - User ID
+   * @param {Array<string>} setIds - Permission set ids
+   * @returns {Promise<Object>} Sanitized user
+   */
+  async setUserPermissionSets(userId, setIds) {
+    const validIds = await this._validatePermissionSetIds(setIds);
+
+    const users = await this.loadUsers();
+    const index = users.findIndex(u => u.id === userId);
+    if (index === -1) {
+      throw new Error('User not found');
+    }
+
+    if (users[index].role !== 'user') {
+      throw new Error('Permission sets can only be assigned to users with role "user"');
+    }
+
+    users[index].permission_sets = validIds;
+    await this.saveUsers(users);
+
+    return this._sanitizeUser(users[index]);
+  }
+
+  /**
+   * Resolve the effective route group permissions of a user.
+   * Multiple sets are merged, write wins over read.
+   * @param {Object} user - User object (from users file)
+   * @returns {Promise<Object>} Permissions map ({ group: 'read'|'write' })
+   */
+  async getUserPermissions(user) {
+    if (!user || user.role !== 'user' || !Array.isArray(user.permission_sets) || user.permission_sets.length === 0) {
+      return {};
+    }
+
+    const sets = await this.getPermissionSets();
+    const permissions = {};
+    for (const setId of user.permission_sets) {
+      const set = sets.find(s => s.id === setId);
+      if (!set) continue;
+      for (const [group, level] of Object.entries(set.permissions || {})) {
+        if (permissions[group] !== 'write') {
+          permissions[group] = level;
+        }
+      }
+    }
+    return permissions;
+  }
+
+  // Local Group Management (Linux groups used in SMB share permissions and ACLs)
+
+  async loadGroups() {
+    const now = Date.now();
+    // Only reload if cache is expired
+    if (now - this.groupsLastLoad > this.cacheTimeout) {
+      try {
+        const data = await fs.readFile(config.groupsFilePath, 'utf8');
+        this.groups = data.trim() ? JSON.parse(data) : [];
+        if (!Array.isArray(this.groups)) {
+          this.groups = [];
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error loading groups:', error);
+        }
+        this.groups = [];
+      }
+      this.groupsLastLoad = now;
+    }
+    return this.groups;
+  }
+
+  async saveGroups(groups) {
+    try {
+      await fs.writeFile(config.groupsFilePath, JSON.stringify(groups, null, 2));
+      this.groups = groups;
+      this.groupsLastLoad = Date.now();
+    } catch (error) {
+      console.error('Error saving groups:', error);
+      throw new Error('Error saving group data');
+    }
+  }
+
+  /**
+   * Validate group members against the known users
+   * @param {Array<string>} members - Usernames
+   * @returns {Promise<Array<string>>} Deduplicated members
+   */
+  async _validateGroupMembers(members) {
+    if (!Array.isArray(members)) {
+      throw new Error('members must be an array of usernames');
+    }
+
+    const users = await this.loadUsers();
+    for (const member of members) {
+      if (!users.some(u => u.username === member)) {
+        throw new Error(`Invalid group member: unknown user '${member}'`);
+      }
+    }
+
+    return [...new Set(members)];
+  }
+
+  /**
+   * Get all local groups
+   * @returns {Promise<Array>} Groups
+   */
+  async getGroups() {
+    return [...await this.loadGroups()];
+  }
+
+  /**
+   * Create a local group (Linux group with a fixed gid)
+   * @param {Object} data - { name, description, members }
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup({ name, description = '', members = [] }) {
+    if (!name || typeof name !== 'string' || !GROUP_NAME_PATTERN.test(name)) {
+      throw new Error('Invalid group name: use lowercase letters, digits, underscore and hyphen (max 32 characters, starting with a letter or underscore)');
+    }
+
+    const groups = [...await this.loadGroups()];
+    if (groups.some(g => g.name === name)) {
+      throw new Error('Group name already exists');
+    }
+    if (await this._linuxGroupExists(name)) {
+      throw new Error(`Group name '${name}' is already used by a system group`);
+    }
+
+    const validMembers = await this._validateGroupMembers(members);
+    const usedGids = groups.map(g => g.gid);
+    const newGroup = {
+      id: Date.now().toString(),
+      name,
+      description,
+      gid: usedGids.length > 0 ? Math.max(GROUP_GID_BASE - 1, ...usedGids) + 1 : GROUP_GID_BASE,
+      members: validMembers,
+      createdAt: new Date().toISOString()
+    };
+
+    await this._syncLinuxGroup(newGroup);
+    groups.push(newGroup);
+    await this.saveGroups(groups);
+
+    return newGroup;
+  }
+
+  /**
+   * Update description and members of a local group
+   * @param {string} id - Group id
+   * @param {Object} updates - { description, members }
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateGroup(id, updates) {
+    const groups = [...await this.loadGroups()];
+    const index = groups.findIndex(g => g.id === id);
+    if (index === -1) {
+      throw new Error('Group not found');
+    }
+    if (updates.name !== undefined && updates.name !== groups[index].name) {
+      throw new Error('Group name cannot be changed, it is referenced by share permissions and ACLs');
+    }
+
+    const updated = { ...groups[index] };
+    if (updates.description !== undefined) {
+      updated.description = updates.description;
+    }
+    if (updates.members !== undefined) {
+      updated.members = await this._validateGroupMembers(updates.members);
+    }
+    updated.updatedAt = new Date().toISOString();
+
+    await this._syncLinuxGroup(updated);
+    groups[index] = updated;
+    await this.saveGroups(groups);
+
+    return updated;
+  }
+
+  /**
+   * Delete a local group
+   * @param {string} id - Group id
+   * @returns {Promise<Object>} Result
+   */
+  async deleteGroup(id) {
+    const groups = [...await this.loadGroups()];
+    const index = groups.findIndex(g => g.id === id);
+    if (index === -1) {
+      throw new Error('Group not found');
+    }
+
+    const group = groups[index];
+    try {
+      await execAsync(`groupdel "${group.name}"`);
+    } catch (error) {
+      console.warn(`Failed to delete Linux group ${group.name}: ${error.message}`);
+    }
+
+    groups.splice(index, 1);
+    await this.saveGroups(groups);
+
+    return {
+      success: true,
+      message: 'Group deleted successfully'
+    };
+  }
+
+  /**
+   * Remove a user from all local groups (on user deletion)
+   * @param {string} username - Username
+   */
+  async _removeUserFromGroups(username) {
+    const groups = [...await this.loadGroups()];
+    let dirty = false;
+    for (const group of groups) {
+      if (group.members.includes(username)) {
+        group.members = group.members.filter(m => m !== username);
+        dirty = true;
+      }
+    }
+    if (dirty) {
+      await this.saveGroups(groups);
+    }
+  }
+
+  /**
+   * Recreate the Linux groups from groups.json (called on startup, /etc/group is not persistent)
+   */
+  async syncSystemGroups() {
+    const groups = await this.loadGroups();
+    for (const group of groups) {
+      try {
+        await this._syncLinuxGroup(group);
+      } catch (error) {
+        console.warn(`Failed to sync Linux group ${group.name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check if a Linux group exists
+   * @param {string} name - Group name
+   * @returns {Promise<boolean>}
+   */
+  async _linuxGroupExists(name) {
+    try {
+      await execAsync(`getent group "${name}"`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create the Linux group if missing and set its member list
+   * @param {Object} group - Group
+   */
+  async _syncLinuxGroup(group) {
+    if (!(await this._linuxGroupExists(group.name))) {
+      await execAsync(`groupadd -g ${group.gid} "${group.name}"`);
+    }
+    // Members without a Linux account (e.g. not yet synced directory users) are skipped
+    const members = [];
+    for (const member of group.members) {
+      if (await this._userExists(member)) members.push(member);
+    }
+    await execAsync(`gpasswd -M "${members.join(',')}" "${group.name}"`);
+  }
+
   // SMB User Management Methods (moved from smb-user.service.js)
 
   /**
@@ -1182,9 +2069,10 @@ class UserService {
    * Verify MFA code during login (TOTP or recovery code)
    * @param {string} mfaToken - Short-lived MFA JWT token
    * @param {string} code - TOTP code or recovery code
+   * @param {Object} context - { ip, userAgent } of the login request
    * @returns {Promise<Object>} JWT token and user data
    */
-  async verifyMfa(mfaToken, code) {
+  async verifyMfa(mfaToken, code, context = {}) {
     // Check if token is blacklisted
     if (this.mfaBlacklistedTokens.has(mfaToken)) {
       throw new Error('Authentication failed. Please login again.');
@@ -1252,15 +2140,7 @@ class UserService {
       await this.saveUsers(users);
 
       const updatedUser = users[index];
-      const token = jwt.sign(
-        {
-          id: updatedUser.id,
-          username: updatedUser.username,
-          role: updatedUser.role
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: config.jwtExpiryString }
-      );
+      const token = await this._issueToken(updatedUser, context);
 
       return {
         user: this._sanitizeUser(updatedUser),
@@ -1274,15 +2154,7 @@ class UserService {
     }
 
     // Valid TOTP code - issue real JWT
-    const token = jwt.sign(
-      {
-        id: user.id,
-        username: user.username,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: config.jwtExpiryString }
-    );
+    const token = await this._issueToken(user, context);
 
     return {
       user: this._sanitizeUser(user),
@@ -6,6 +6,7 @@ const path = require('path');
 const net = require('net');
 const https = require('https');
 const os = require('os');
+const EventEmitter = require('events');
 const execPromise = util.promisify(exec);
 
 // Import mosService for VM settings
@@ -29,6 +30,9 @@ const VM_INDEX_PATH = '/etc/libvirt/mos/vms';
 const VM_ICONS_PATH = '/var/lib/os_icons';
 const VM_CUSTOM_ICONS_PATH = '/var/www/vm_custom';
 
+// Track active snapshot/backup/restore/clone operations per VM
+const activeOperations = new Map();
+
 // Icon name to pretty name mapping
 const VM_ICON_MAPPING = {
   'almalinux': 'AlmaLinux',
@@ -81,8 +85,10 @@ const VM_ICON_MAPPING = {
  * VM Service
  * Provides functionality to manage virtual machines using libvirt/qemu
  */
-class VmService {
+class VmService extends EventEmitter {
   constructor() {
+    super();
+
     // Detect host architecture (for KVM vs TCG domain type)
     this.HOST_ARCH = os.arch(); // 'arm64' or 'x64'
 
@@ -103,6 +109,9 @@ class VmService {
     // NVRAM storage path for UEFI VMs
     this.NVRAM_PATH = '/etc/libvirt/qemu/nvram';
 
+    // swtpm state path (one directory per VM UUID)
+    this.TPM_STATES_PATH = '/etc/libvirt/qemu/swtpm-localca/tpm-states';
+
     // Valid configuration options
     this.VALID_BIOS_TYPES = ['seabios', 'ovmf', 'ovmf-tpm'];
     this.VALID_DISK_BUSES = ['virtio', 'sata', 'usb', 'scsi', 'ide'];
@@ -110,6 +119,7 @@ class VmService {
     this.VALID_NETWORK_TYPES = ['bridge', 'macvtap', 'network'];
     this.VALID_NETWORK_MODELS = ['virtio', 'e1000', 'rtl8139'];
     this.VALID_GRAPHICS_TYPES = ['vnc', 'spice', 'none'];
+    this.VALID_SNAPSHOT_TYPES = ['internal', 'external'];
     // Standard QEMU VNC keymaps (not Linux console keymaps!)
     this.VALID_VNC_KEYMAPS = [
       'en-us', 'en-gb', 'de', 'de-ch', 'fr', 'fr-be', 'fr-ca', 'fr-ch',
@@ -1826,7 +1836,7 @@ class VmService {
 
       // Remove swtpm TPM state if removeNvram is true and VM had a UUID
       if (removeNvram && vmUuid) {
-        const tpmStatePath = `/etc/libvirt/qemu/swtpm-localca/tpm-states/${vmUuid}`;
+        const tpmStatePath = path.join(this.TPM_STATES_PATH, vmUuid);
         try {
           // Check if path exists before attempting removal
           await fs.access(tpmStatePath);
@@ -2594,6 +2604,1597 @@ class VmService {
     }
   }
 
+  // ============================================================
+  // Active Operations
+  // ============================================================
+
+  /**
+   * Get the active long-running operation of a VM
+   * @param {string} vmName - Name of the VM
+   * @returns {Object|null} Active operation info or null
+   */
+  getActiveOperation(vmName) {
+    const operation = activeOperations.get(vmName);
+    return operation ? this._formatOperation(vmName, operation) : null;
+  }
+
+  /**
+   * Get all active long-running VM operations
+   * @returns {Array} Array of active operations
+   */
+  getAllActiveOperations() {
+    const operations = [];
+    for (const [name, operation] of activeOperations) {
+      operations.push(this._formatOperation(name, operation));
+    }
+    return operations;
+  }
+
+  /**
+   * Throw if the VM already has an active operation
+   * @private
+   */
+  _assertNoActiveOperation(vmName) {
+    const operation = activeOperations.get(vmName);
+    if (operation) {
+      throw new Error(`${operation.type} operation already in progress for VM "${vmName}"`);
+    }
+  }
+
+  /**
+   * Check and register an operation in the same tick, before the preparation awaits anything.
+   * The reservation is not emitted; _startOperation takes it over, _releaseOperation drops it.
+   * @private
+   */
+  _reserveOperation(vmName, type) {
+    this._assertNoActiveOperation(vmName);
+    activeOperations.set(vmName, {
+      type,
+      status: 'preparing',
+      progress: null,
+      startedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Drop a reservation whose preparation failed (started operations are left alone)
+   * @private
+   */
+  _releaseOperation(vmName) {
+    const operation = activeOperations.get(vmName);
+    if (operation && operation.status === 'preparing') {
+      activeOperations.delete(vmName);
+    }
+  }
+
+  /**
+   * Register a new active operation (or take over its reservation) and emit the initial update
+   * @private
+   */
+  _startOperation(vmName, type, details = {}) {
+    let reserved = activeOperations.get(vmName);
+    if (!reserved || reserved.type !== type || reserved.status !== 'preparing') {
+      this._assertNoActiveOperation(vmName);
+      reserved = null;
+    }
+    const operation = {
+      type,
+      status: 'running',
+      progress: null,
+      startedAt: reserved ? reserved.startedAt : new Date().toISOString(),
+      ...details
+    };
+    activeOperations.set(vmName, operation);
+    this._emitOperationUpdate(vmName, operation);
+    return operation;
+  }
+
+  /**
+   * Update an active operation and emit the change
+   * @private
+   */
+  _updateOperation(vmName, updates) {
+    const operation = activeOperations.get(vmName);
+    if (!operation) return;
+    Object.assign(operation, updates);
+    this._emitOperationUpdate(vmName, operation);
+  }
+
+  /**
+   * Remove an active operation and emit its final state
+   * @private
+   */
+  _finishOperation(vmName, error = null) {
+    const operation = activeOperations.get(vmName);
+    if (!operation) return;
+    activeOperations.delete(vmName);
+    this._emitOperationUpdate(vmName, {
+      ...operation,
+      status: error ? 'failed' : 'completed',
+      progress: error ? operation.progress : 100,
+      completedAt: new Date().toISOString(),
+      error: error ? error.message : null
+    });
+  }
+
+  /**
+   * Strip internal fields (abort handles etc.) from an operation
+   * @private
+   */
+  _formatOperation(vmName, operation) {
+    const { abort, ...data } = operation;
+    return { vm: vmName, ...data };
+  }
+
+  /**
+   * Emit operation update event for the /vm WebSocket namespace
+   * @private
+   */
+  _emitOperationUpdate(vmName, operation) {
+    this.emit('operation-update', this._formatOperation(vmName, operation));
+  }
+
+  /**
+   * Poll `virsh domjobinfo` and report the job progress on the active operation
+   * @param {string} vmName - Name of the VM
+   * @returns {Function} Stop function
+   * @private
+   */
+  _startJobMonitor(vmName) {
+    const interval = setInterval(async () => {
+      try {
+        const { stdout } = await execPromise(`virsh domjobinfo "${vmName}"`);
+        const progress = this._parseJobProgress(stdout);
+        if (progress !== null) {
+          this._updateOperation(vmName, { progress });
+        }
+      } catch (e) {
+        // No job info available (job not started yet or already finished)
+      }
+    }, 2000);
+
+    return () => clearInterval(interval);
+  }
+
+  /**
+   * Parse progress percentage from `virsh domjobinfo` output
+   * Uses "Data processed/total" and falls back to "Memory processed/total"
+   * @param {string} output - domjobinfo output
+   * @returns {number|null} Progress in percent or null
+   * @private
+   */
+  _parseJobProgress(output) {
+    const multipliers = { B: 1, KIB: 1024, MIB: 1024 ** 2, GIB: 1024 ** 3, TIB: 1024 ** 4 };
+    const values = {};
+
+    for (const line of output.split('\n')) {
+      const match = line.match(/^(Data|Memory) (processed|total):\s+([\d.]+)\s*(B|KiB|MiB|GiB|TiB)/i);
+      if (match) {
+        values[`${match[1].toLowerCase()}_${match[2].toLowerCase()}`] =
+          parseFloat(match[3]) * (multipliers[match[4].toUpperCase()] || 1);
+      }
+    }
+
+    for (const key of ['data', 'memory']) {
+      const processed = values[`${key}_processed`];
+      const total = values[`${key}_total`];
+      if (total > 0 && processed !== undefined) {
+        return Math.min(99, Math.round((processed / total) * 100));
+      }
+    }
+
+    return null;
+  }
+
+  // ============================================================
+  // VM Snapshots
+  // ============================================================
+
+  /**
+   * Get a VM from the VM list or throw if it does not exist
+   * @private
+   */
+  async _getVmOrThrow(vmName) {
+    const vms = await this.listVms();
+    const vm = vms.find(v => v.name === vmName);
+    if (!vm) {
+      throw new Error(`VM "${vmName}" not found`);
+    }
+    return vm;
+  }
+
+  /**
+   * Validate a snapshot name
+   * @private
+   */
+  _validateSnapshotName(snapshotName) {
+    if (!snapshotName || !/^[a-zA-Z0-9_.-]+$/.test(snapshotName) || snapshotName.startsWith('.')) {
+      throw new Error('Invalid snapshot name. Only letters, numbers, dots, dashes and underscores are allowed');
+    }
+  }
+
+  /**
+   * Parse libvirt snapshot XML (virsh snapshot-dumpxml) into a simplified object
+   * @private
+   */
+  _parseSnapshotXml(xml) {
+    // Only look at the snapshot header, the embedded <domain> has its own name/description
+    const header = xml.split(/<domain[\s>]/)[0];
+
+    const creationTime = this._extractXmlValue(header, 'creationTime');
+    const memory = this._extractXmlAttr(header, 'memory', 'snapshot') || 'no';
+
+    const disks = [];
+    const diskRegex = /<disk\s+([^>]*?)(\/>|>([\s\S]*?)<\/disk>)/g;
+    let match;
+    while ((match = diskRegex.exec(header)) !== null) {
+      const attrs = match[1];
+      const nameMatch = attrs.match(/name=['"]([^'"]+)['"]/);
+      const snapshotMatch = attrs.match(/snapshot=['"]([^'"]+)['"]/);
+      const file = match[3] ? this._extractXmlAttr(match[3], 'source', 'file') : null;
+      if (nameMatch) {
+        disks.push({
+          target: nameMatch[1],
+          snapshot: snapshotMatch ? snapshotMatch[1] : 'internal',
+          file
+        });
+      }
+    }
+
+    const parentBlock = header.match(/<parent>([\s\S]*?)<\/parent>/);
+    const isExternal = memory === 'external' || disks.some(d => d.snapshot === 'external');
+
+    return {
+      name: this._extractXmlValue(header, 'name'),
+      description: this._extractXmlValue(header, 'description'),
+      state: this._extractXmlValue(header, 'state'),
+      parent: parentBlock ? this._extractXmlValue(parentBlock[1], 'name') : null,
+      created: creationTime ? new Date(parseInt(creationTime) * 1000).toISOString() : null,
+      type: isExternal ? 'external' : 'internal',
+      memory: memory !== 'no',
+      disks
+    };
+  }
+
+  /**
+   * List all snapshots of a virtual machine
+   * @param {string} vmName - Name of the VM
+   * @returns {Promise<Array>} List of snapshots (oldest first)
+   */
+  async listSnapshots(vmName) {
+    await this._getVmOrThrow(vmName);
+
+    try {
+      const { stdout } = await execPromise(`virsh snapshot-list "${vmName}" --name --topological`);
+      const names = stdout.trim().split('\n').map(n => n.trim()).filter(Boolean);
+
+      let currentName = null;
+      try {
+        const { stdout: currentStdout } = await execPromise(`virsh snapshot-current "${vmName}" --name 2>/dev/null`);
+        currentName = currentStdout.trim() || null;
+      } catch (e) {
+        // No current snapshot
+      }
+
+      const snapshots = [];
+      for (const name of names) {
+        try {
+          const { stdout: xml } = await execPromise(`virsh snapshot-dumpxml "${vmName}" "${name}"`);
+          const snapshot = this._parseSnapshotXml(xml);
+          snapshot.current = name === currentName;
+          snapshots.push(snapshot);
+        } catch (e) {
+          // Snapshot was deleted while listing
+        }
+      }
+
+      return snapshots;
+    } catch (error) {
+      throw new Error(`Failed to list snapshots of VM ${vmName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the domainsnapshot XML for virsh snapshot-create
+   * @private
+   */
+  _generateSnapshotXml({ name, description, memorySnapshot, memoryFile, disks }) {
+    let xml = '<domainsnapshot>\n';
+    xml += `  <name>${this._escapeXml(name)}</name>\n`;
+    if (description) {
+      xml += `  <description>${this._escapeXml(description)}</description>\n`;
+    }
+    if (memorySnapshot === 'external') {
+      xml += `  <memory snapshot='external' file='${this._escapeXml(memoryFile)}'/>\n`;
+    } else {
+      xml += `  <memory snapshot='${memorySnapshot}'/>\n`;
+    }
+    xml += '  <disks>\n';
+    for (const disk of disks) {
+      if (disk.snapshot === 'external') {
+        xml += `    <disk name='${disk.target}' snapshot='external'>\n`;
+        xml += `      <driver type='qcow2'/>\n`;
+        xml += `      <source file='${this._escapeXml(disk.file)}'/>\n`;
+        xml += '    </disk>\n';
+      } else {
+        xml += `    <disk name='${disk.target}' snapshot='${disk.snapshot}'/>\n`;
+      }
+    }
+    xml += '  </disks>\n';
+    xml += '</domainsnapshot>\n';
+    return xml;
+  }
+
+  /**
+   * Create a snapshot of a virtual machine
+   * Internal snapshots are stored inside the qcow2 images, external snapshots
+   * create new qcow2 overlay files next to the original disks.
+   * @param {string} vmName - Name of the VM
+   * @param {Object} options - Snapshot options
+   * @param {string} options.name - Snapshot name (default: timestamp based)
+   * @param {string} options.description - Optional description
+   * @param {string} options.type - 'internal' (default) or 'external'
+   * @param {boolean} options.memory - Save memory state of a running VM (default: true when running)
+   * @param {boolean} options.quiesce - Freeze guest filesystems via qemu-guest-agent (external disk-only)
+   * @returns {Promise<Object>} Result (snapshot runs in background)
+   */
+  async createSnapshot(vmName, options = {}) {
+    const { description = null, type = 'internal', quiesce = false } = options;
+    const vm = await this._getVmOrThrow(vmName);
+    this._reserveOperation(vmName, 'snapshot-create');
+
+    try {
+      if (!this.VALID_SNAPSHOT_TYPES.includes(type)) {
+        throw new Error(`Invalid snapshot type. Must be one of: ${this.VALID_SNAPSHOT_TYPES.join(', ')}`);
+      }
+
+      const date = new Date();
+      const snapshotName = options.name || `snap_${date.toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19)}`;
+      this._validateSnapshotName(snapshotName);
+
+      const existing = await this.listSnapshots(vmName);
+      if (existing.some(s => s.name === snapshotName)) {
+        throw new Error(`Snapshot ${snapshotName} already exists`);
+      }
+
+      const isRunning = vm.state === 'running';
+      if (!isRunning && options.memory === true) {
+        throw new Error('Memory state can only be saved for running VMs');
+      }
+      const includeMemory = isRunning && options.memory !== false;
+
+      const xml = await this.getVmXml(vmName);
+      const vmDisks = await this._parseDisksFromXml(xml);
+      const snapshotDisks = [];
+      const skippedDisks = [];
+
+      if (type === 'internal') {
+        const unsupported = vmDisks.filter(d => d.diskType !== 'file' || d.format !== 'qcow2');
+        if (unsupported.length > 0) {
+          throw new Error(`Internal snapshots require qcow2 disk images (unsupported: ${unsupported.map(d => d.target).join(', ')}). Use type "external" instead`);
+        }
+        if (isRunning && !includeMemory) {
+          throw new Error('Internal snapshots of running VMs always include the memory state. Use type "external" for disk-only snapshots');
+        }
+        for (const disk of vmDisks) {
+          snapshotDisks.push({ target: disk.target, snapshot: 'internal' });
+        }
+      } else {
+        for (const disk of vmDisks) {
+          if (disk.diskType !== 'file') {
+            // Block devices (passthrough disks) can't get a file overlay
+            snapshotDisks.push({ target: disk.target, snapshot: 'no' });
+            skippedDisks.push(disk.source);
+            continue;
+          }
+          const dir = path.dirname(disk.source);
+          const base = path.basename(disk.source, path.extname(disk.source));
+          snapshotDisks.push({
+            target: disk.target,
+            snapshot: 'external',
+            file: path.join(dir, `${base}.${snapshotName}.qcow2`)
+          });
+        }
+        if (!snapshotDisks.some(d => d.snapshot === 'external')) {
+          throw new Error('External snapshots require at least one file-based disk');
+        }
+      }
+
+      let memorySnapshot = 'no';
+      let memoryFile = null;
+      if (includeMemory) {
+        memorySnapshot = type;
+        if (type === 'external') {
+          const firstExternal = snapshotDisks.find(d => d.snapshot === 'external');
+          memoryFile = path.join(path.dirname(firstExternal.file), `${vmName}.${snapshotName}.mem`);
+        }
+      }
+
+      const snapshotXml = this._generateSnapshotXml({
+        name: snapshotName,
+        description,
+        memorySnapshot,
+        memoryFile,
+        disks: snapshotDisks
+      });
+
+      this._startOperation(vmName, 'snapshot-create', { snapshot: snapshotName });
+
+      // Run async
+      this._runCreateSnapshot(vmName, snapshotName, snapshotXml, {
+        diskOnly: type === 'external' && !includeMemory,
+        quiesce: quiesce && type === 'external' && !includeMemory,
+        includeMemory
+      });
+
+      return {
+        success: true,
+        message: `Snapshot creation started for VM ${vmName}`,
+        snapshot: snapshotName,
+        type,
+        memory: includeMemory,
+        disksSkipped: skippedDisks.length > 0 ? skippedDisks : undefined
+      };
+    } catch (error) {
+      this._releaseOperation(vmName);
+      throw error;
+    }
+  }
+
+  /**
+   * Internal: Run snapshot creation
+   * @private
+   */
+  async _runCreateSnapshot(vmName, snapshotName, snapshotXml, opts) {
+    const { diskOnly, quiesce, includeMemory } = opts;
+    const tempFile = `/tmp/vm-snapshot-${vmName}-${Date.now()}.xml`;
+    const stopMonitor = includeMemory ? this._startJobMonitor(vmName) : null;
+
+    try {
+      await fs.writeFile(tempFile, snapshotXml, 'utf8');
+
+      let command = `virsh snapshot-create "${vmName}" --xmlfile "${tempFile}" --atomic`;
+      if (diskOnly) command += ' --disk-only';
+      if (quiesce) command += ' --quiesce';
+      await execPromise(command);
+
+      this._finishOperation(vmName);
+      await this._sendNotification('VM Snapshot', `Snapshot ${snapshotName} of ${vmName} created`, 'normal');
+    } catch (error) {
+      this._finishOperation(vmName, error);
+      await this._sendNotification('VM Snapshot', `Snapshot ${snapshotName} of ${vmName} failed: ${error.message}`, 'alert');
+    } finally {
+      if (stopMonitor) stopMonitor();
+      await fs.unlink(tempFile).catch(() => {});
+    }
+  }
+
+  /**
+   * Revert a virtual machine to a snapshot
+   * @param {string} vmName - Name of the VM
+   * @param {string} snapshotName - Snapshot to revert to
+   * @param {Object} options - Revert options
+   * @param {string} options.start - 'running' or 'paused' to force the state after revert
+   * @param {boolean} options.force - Allow risky reverts (e.g. incompatible configuration)
+   * @returns {Promise<Object>} Result (revert runs in background)
+   */
+  async revertSnapshot(vmName, snapshotName, options = {}) {
+    const { start = null, force = false } = options;
+    this._validateSnapshotName(snapshotName);
+
+    if (start && !['running', 'paused'].includes(start)) {
+      throw new Error('Invalid start state. Must be "running" or "paused"');
+    }
+
+    const snapshots = await this.listSnapshots(vmName);
+    if (!snapshots.some(s => s.name === snapshotName)) {
+      throw new Error(`Snapshot ${snapshotName} not found`);
+    }
+    this._startOperation(vmName, 'snapshot-revert', { snapshot: snapshotName });
+
+    // Run async
+    this._runRevertSnapshot(vmName, snapshotName, start, force);
+
+    return {
+      success: true,
+      message: `Snapshot revert started for VM ${vmName} to ${snapshotName}`
+    };
+  }
+
+  /**
+   * Internal: Run snapshot revert
+   * @private
+   */
+  async _runRevertSnapshot(vmName, snapshotName, start, force) {
+    try {
+      let command = `virsh snapshot-revert "${vmName}" "${snapshotName}"`;
+      if (start) command += ` --${start}`;
+      if (force) command += ' --force';
+      await execPromise(command);
+
+      this._finishOperation(vmName);
+      await this._sendNotification('VM Snapshot', `VM ${vmName} reverted to snapshot ${snapshotName}`, 'normal');
+    } catch (error) {
+      this._finishOperation(vmName, error);
+      await this._sendNotification('VM Snapshot', `Revert of ${vmName} to ${snapshotName} failed: ${error.message}`, 'alert');
+    }
+  }
+
+  /**
+   * Delete a snapshot of a virtual machine
+   * Internal snapshots are removed from the qcow2 images, external snapshots are merged (block commit) by libvirt.
+   * @param {string} vmName - Name of the VM
+   * @param {string} snapshotName - Snapshot to delete
+   * @param {Object} options - Delete options
+   * @param {boolean} options.children - Also delete all child snapshots
+   * @returns {Promise<Object>} Result (deletion runs in background)
+   */
+  async deleteSnapshot(vmName, snapshotName, options = {}) {
+    const { children = false } = options;
+    this._validateSnapshotName(snapshotName);
+
+    const snapshots = await this.listSnapshots(vmName);
+    if (!snapshots.some(s => s.name === snapshotName)) {
+      throw new Error(`Snapshot ${snapshotName} not found`);
+    }
+    this._startOperation(vmName, 'snapshot-delete', { snapshot: snapshotName });
+
+    // Run async
+    this._runDeleteSnapshot(vmName, snapshotName, children);
+
+    return {
+      success: true,
+      message: `Snapshot deletion started for ${snapshotName} of VM ${vmName}`
+    };
+  }
+
+  /**
+   * Internal: Run snapshot deletion
+   * @private
+   */
+  async _runDeleteSnapshot(vmName, snapshotName, children) {
+    const stopMonitor = this._startJobMonitor(vmName);
+
+    try {
+      let command = `virsh snapshot-delete "${vmName}" "${snapshotName}"`;
+      if (children) command += ' --children';
+      await execPromise(command);
+
+      this._finishOperation(vmName);
+    } catch (error) {
+      this._finishOperation(vmName, error);
+      await this._sendNotification('VM Snapshot', `Deleting snapshot ${snapshotName} of ${vmName} failed: ${error.message}`, 'alert');
+    } finally {
+      stopMonitor();
+    }
+  }
+
+  // ============================================================
+  // VM Backups
+  // ============================================================
+
+  /**
+   * Get VM backup settings from vm.json
+   * @returns {Promise<Object>} Backup settings
+   */
+  async getBackupSettings() {
+    try {
+      const data = await fs.readFile('/boot/config/vm.json', 'utf8');
+      const settings = JSON.parse(data);
+      return {
+        backup_path: settings.backup_path || null,
+        backups_to_keep: settings.backups_to_keep || 3,
+        compression: settings.compression !== undefined ? settings.compression : 6,
+        threads: settings.threads || 0,
+        use_snapshot: settings.use_snapshot || false
+      };
+    } catch (error) {
+      return {
+        backup_path: null,
+        backups_to_keep: 3,
+        compression: 6,
+        threads: 0,
+        use_snapshot: false
+      };
+    }
+  }
+
+  /**
+   * Get the backing file of a disk image (set when external snapshots exist)
+   * @private
+   */
+  async _getBackingFile(diskPath) {
+    try {
+      const { stdout } = await execPromise(`qemu-img info -U --output=json "${diskPath}"`);
+      const info = JSON.parse(stdout);
+      return info['backing-filename'] || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Rewrite a domain XML for a new VM (name, UUID, disk paths, NVRAM path, MAC addresses)
+   * @param {string} xml - Source domain XML
+   * @param {Object} options - Rewrite options
+   * @param {string} options.name - New VM name
+   * @param {string} options.uuid - New UUID
+   * @param {Map} options.diskPaths - Map of old disk path -> new disk path
+   * @param {string} options.nvramPath - New NVRAM path (optional)
+   * @param {boolean} options.regenerateMacs - Generate new MAC addresses for all interfaces
+   * @returns {string} Rewritten XML
+   * @private
+   */
+  _rewriteDomainXml(xml, options) {
+    const { name, uuid, diskPaths = new Map(), nvramPath = null, regenerateMacs = true } = options;
+
+    let result = xml.replace(/<name>[^<]+<\/name>/, `<name>${name}</name>`);
+    result = result.replace(/<uuid>[^<]+<\/uuid>/, `<uuid>${uuid}</uuid>`);
+
+    for (const [oldPath, newPath] of diskPaths) {
+      result = result.split(`file='${oldPath}'`).join(`file='${newPath}'`);
+      result = result.split(`file="${oldPath}"`).join(`file="${newPath}"`);
+    }
+
+    if (nvramPath) {
+      result = result.replace(/(<nvram[^>]*>)[^<]+(<\/nvram>)/, `$1${nvramPath}$2`);
+    }
+
+    if (regenerateMacs) {
+      result = result.replace(/<mac address=['"][^'"]+['"]\s*\/>/g, () => `<mac address='${this._generateMacAddress()}'/>`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a backup of a virtual machine
+   * Exports the domain XML, NVRAM, TPM state and all file-based vdisks into a tar.xz archive.
+   * Running VMs are either suspended while copying or (use_snapshot) kept running
+   * on a temporary external disk-only snapshot that is merged back afterwards.
+   * @param {string} vmName - Name of the VM to backup
+   * @param {Object} options - Override options (backup_path, compression, threads, use_snapshot, backups_to_keep)
+   * @returns {Promise<Object>} Result of backup operation
+   */
+  async backupVm(vmName, options = {}) {
+    const vm = await this._getVmOrThrow(vmName);
+    this._reserveOperation(vmName, 'backup');
+
+    try {
+      // Get settings
+      const settings = await this.getBackupSettings();
+      const backupPath = options.backup_path || settings.backup_path;
+      const compression = options.compression !== undefined ? options.compression : settings.compression;
+      const threads = options.threads !== undefined ? options.threads : settings.threads;
+      const useSnapshot = options.use_snapshot !== undefined ? options.use_snapshot : settings.use_snapshot;
+      const backupsToKeep = options.backups_to_keep !== undefined ? options.backups_to_keep : settings.backups_to_keep;
+
+      if (!backupPath) {
+        throw new Error('Backup path not configured. Please set backup_path in VM settings.');
+      }
+
+      // Disks with a backing chain (external snapshots) can't be exported as a single image
+      const xml = await this.getVmXml(vmName);
+      const disks = await this._parseDisksFromXml(xml);
+      for (const disk of disks.filter(d => d.diskType === 'file')) {
+        if (await this._getBackingFile(disk.source)) {
+          throw new Error(`Disk ${disk.target} has external snapshots. Delete the snapshots before creating a backup`);
+        }
+      }
+
+      // Create backup directory if it doesn't exist
+      const vmBackupPath = path.join(backupPath, vmName);
+      await fs.mkdir(vmBackupPath, { recursive: true });
+
+      const wasRunning = vm.state === 'running';
+
+      // Generate backup filename
+      const date = new Date();
+      const dateStr = date.toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
+      const backupFilename = `${vmName}_${dateStr}.tar.xz`;
+      const backupFullPath = path.join(vmBackupPath, backupFilename);
+
+      // Calculate threads
+      const cpuCount = os.cpus().length;
+      const actualThreads = threads === 0 ? Math.max(1, Math.floor(cpuCount / 2)) : Math.min(threads, cpuCount);
+
+      // Set active operation
+      const abortController = { aborted: false };
+      this._startOperation(vmName, 'backup', {
+        backupFile: backupFilename,
+        useSnapshot: useSnapshot && wasRunning,
+        abort: () => { abortController.aborted = true; }
+      });
+
+      // Run backup async
+      this._runBackup(vmName, {
+        backupFullPath,
+        backupFilename,
+        vmBackupPath,
+        dateStr,
+        compression,
+        actualThreads,
+        useSnapshot: useSnapshot && wasRunning,
+        wasRunning,
+        backupsToKeep,
+        abortController
+      });
+
+      return {
+        success: true,
+        message: `Backup started for VM ${vmName}`,
+        backup_file: backupFilename,
+        use_snapshot: useSnapshot && wasRunning,
+        was_running: wasRunning,
+        disks_skipped: disks.filter(d => d.diskType !== 'file').map(d => d.source)
+      };
+    } catch (error) {
+      this._releaseOperation(vmName);
+      throw error;
+    }
+  }
+
+  /**
+   * Internal: Run the actual backup process
+   * @private
+   */
+  async _runBackup(vmName, opts) {
+    const {
+      backupFullPath,
+      backupFilename,
+      vmBackupPath,
+      dateStr,
+      compression,
+      actualThreads,
+      useSnapshot,
+      wasRunning,
+      backupsToKeep,
+      abortController
+    } = opts;
+
+    const stagingPath = path.join(vmBackupPath, `.staging_${dateStr}`);
+    let suspended = false;
+    let overlays = [];
+
+    // Resume the guest / merge the temporary overlays back (safe to call multiple times)
+    const release = async () => {
+      if (suspended) {
+        suspended = false;
+        await execPromise(`virsh resume "${vmName}"`).catch((e) => {
+          console.error(`Could not resume VM ${vmName} after backup: ${e.message}`);
+        });
+      }
+      if (overlays.length > 0) {
+        const pending = overlays;
+        overlays = [];
+        await this._commitBackupOverlays(vmName, pending);
+      }
+    };
+
+    try {
+      await this._sendNotification('VM Backup', `Starting backup of ${vmName}`, 'normal');
+
+      await fs.mkdir(path.join(stagingPath, 'disks'), { recursive: true });
+
+      // Persistent definition (dumped before any temporary overlay is created)
+      const { stdout: domainXml } = await execPromise(`virsh dumpxml "${vmName}" --inactive --security-info`);
+      await fs.writeFile(path.join(stagingPath, 'domain.xml'), domainXml, 'utf8');
+
+      const uuid = this._extractXmlValue(domainXml, 'uuid');
+      const manifest = {
+        vm: vmName,
+        uuid,
+        created: new Date().toISOString(),
+        disks: [],
+        disks_skipped: [],
+        nvram: null,
+        tpm: false,
+        icon: false,
+        index: null
+      };
+
+      // Link vdisks into the staging directory (tar dereferences the links)
+      const disks = await this._parseDisksFromXml(domainXml);
+      let totalBytes = 0;
+      for (const disk of disks) {
+        if (disk.diskType !== 'file') {
+          manifest.disks_skipped.push(disk.source);
+          continue;
+        }
+        const file = `disks/${disk.target}${path.extname(disk.source) || '.img'}`;
+        await fs.symlink(disk.source, path.join(stagingPath, file));
+        manifest.disks.push({ target: disk.target, source: disk.source, format: disk.format, file });
+        totalBytes += disk.actualSize || disk.size || 0;
+      }
+
+      // NVRAM (UEFI variables)
+      const nvramMatch = domainXml.match(/<nvram[^>]*>([^<]+)<\/nvram>/);
+      if (nvramMatch && fsSync.existsSync(nvramMatch[1])) {
+        await fs.mkdir(path.join(stagingPath, 'nvram'), { recursive: true });
+        const file = `nvram/${path.basename(nvramMatch[1])}`;
+        await fs.copyFile(nvramMatch[1], path.join(stagingPath, file));
+        manifest.nvram = { source: nvramMatch[1], file };
+      }
+
+      // swtpm state
+      const tpmStatePath = path.join(this.TPM_STATES_PATH, uuid || '');
+      if (uuid && fsSync.existsSync(tpmStatePath)) {
+        await execPromise(`cp -a "${tpmStatePath}" "${path.join(stagingPath, 'tpm')}"`);
+        manifest.tpm = true;
+      }
+
+      // Custom icon and index entry
+      const iconPath = `${VM_CUSTOM_ICONS_PATH}/${vmName}.png`;
+      if (fsSync.existsSync(iconPath)) {
+        await fs.copyFile(iconPath, path.join(stagingPath, 'icon.png'));
+        manifest.icon = true;
+      }
+      const indexEntry = (await this._readVmIndex()).find(e => e.name === vmName);
+      if (indexEntry) {
+        manifest.index = { icon: indexEntry.icon, description: indexEntry.description };
+      }
+
+      await fs.writeFile(path.join(stagingPath, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+
+      if (abortController.aborted) {
+        throw new Error('Backup aborted by user');
+      }
+
+      // Make the disk images consistent while copying
+      if (wasRunning && manifest.disks.length > 0) {
+        if (useSnapshot) {
+          overlays = await this._createBackupOverlays(vmName, disks, dateStr);
+        } else {
+          await execPromise(`virsh suspend "${vmName}"`);
+          suspended = true;
+        }
+      }
+
+      await this._createBackupArchive(vmName, stagingPath, backupFullPath, {
+        compression,
+        actualThreads,
+        totalBytes,
+        abortController
+      });
+
+      await release();
+
+      // Delete old backups
+      await this._cleanupOldBackups(vmBackupPath, vmName, backupsToKeep);
+
+      this._finishOperation(vmName);
+      await this._sendNotification('VM Backup', `Backup of ${vmName} completed: ${backupFilename}`, 'normal');
+    } catch (error) {
+      await release();
+
+      // Clean up incomplete archive
+      await fs.unlink(backupFullPath).catch(() => {});
+
+      this._finishOperation(vmName, error);
+      await this._sendNotification('VM Backup', `Backup of ${vmName} failed: ${error.message}`, 'alert');
+    } finally {
+      await fs.rm(stagingPath, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Create temporary external disk-only overlays so the base images can be copied while the VM keeps running
+   * @returns {Promise<Array>} Created overlays ({ target, file })
+   * @private
+   */
+  async _createBackupOverlays(vmName, disks, dateStr) {
+    const snapshotDisks = disks.map(disk => {
+      if (disk.diskType !== 'file') {
+        return { target: disk.target, snapshot: 'no' };
+      }
+      const dir = path.dirname(disk.source);
+      const base = path.basename(disk.source, path.extname(disk.source));
+      return { target: disk.target, snapshot: 'external', file: path.join(dir, `${base}.backup_${dateStr}.qcow2`) };
+    });
+
+    const snapshotXml = this._generateSnapshotXml({
+      name: `backup_${dateStr}`,
+      description: null,
+      memorySnapshot: 'no',
+      memoryFile: null,
+      disks: snapshotDisks
+    });
+
+    const tempFile = `/tmp/vm-backup-${vmName}-${Date.now()}.xml`;
+    await fs.writeFile(tempFile, snapshotXml, 'utf8');
+
+    try {
+      const command = `virsh snapshot-create "${vmName}" --xmlfile "${tempFile}" --disk-only --atomic --no-metadata`;
+      try {
+        // Freeze guest filesystems if the qemu-guest-agent is available
+        await execPromise(`${command} --quiesce`);
+      } catch (e) {
+        await execPromise(command);
+      }
+    } finally {
+      await fs.unlink(tempFile).catch(() => {});
+    }
+
+    return snapshotDisks.filter(d => d.snapshot === 'external').map(d => ({ target: d.target, file: d.file }));
+  }
+
+  /**
+   * Merge temporary backup overlays back into their base images and remove them
+   * @private
+   */
+  async _commitBackupOverlays(vmName, overlays) {
+    for (const overlay of overlays) {
+      try {
+        await execPromise(`virsh blockcommit "${vmName}" ${overlay.target} --active --pivot --wait`);
+        await fs.unlink(overlay.file).catch(() => {});
+      } catch (error) {
+        console.error(`Could not merge backup overlay ${overlay.file} of VM ${vmName}: ${error.message}`);
+        await this._sendNotification('VM Backup', `Could not merge temporary overlay ${overlay.file} of ${vmName}: ${error.message}`, 'alert');
+      }
+    }
+  }
+
+  /**
+   * Create the tar.xz archive of the staging directory with progress and abort support
+   * @private
+   */
+  _createBackupArchive(vmName, stagingPath, backupFullPath, opts) {
+    const { compression, actualThreads, totalBytes, abortController } = opts;
+
+    return new Promise((resolve, reject) => {
+      let resolved = false;
+      let bytesProcessed = 0;
+
+      // Use nice 10 to reset priority (API runs at -10, so child would inherit that)
+      // -h dereferences the vdisk links, --sparse keeps sparse raw images small
+      const tarProcess = spawn('nice', [
+        '-n', '10',
+        'tar',
+        '-chf', '-',
+        '--sparse',
+        '-C', stagingPath,
+        '.'
+      ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      const xzProcess = spawn('nice', [
+        '-n', '10',
+        'xz',
+        `-${compression}`,
+        `--threads=${actualThreads}`
+      ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+      const writeStream = fsSync.createWriteStream(backupFullPath);
+
+      // Handle EPIPE errors on pipes (happens when processes are killed)
+      tarProcess.stdout.on('error', (err) => {
+        if (err.code !== 'EPIPE') console.error('tar stdout error:', err.message);
+      });
+      xzProcess.stdin.on('error', (err) => {
+        if (err.code !== 'EPIPE') console.error('xz stdin error:', err.message);
+      });
+      xzProcess.stdout.on('error', (err) => {
+        if (err.code !== 'EPIPE') console.error('xz stdout error:', err.message);
+      });
+
+      tarProcess.stdout.on('data', (chunk) => { bytesProcessed += chunk.length; });
+      tarProcess.stdout.pipe(xzProcess.stdin);
+      xzProcess.stdout.pipe(writeStream);
+
+      let tarError = '';
+      let xzError = '';
+      tarProcess.stderr.on('data', (data) => { tarError += data.toString(); });
+      xzProcess.stderr.on('data', (data) => { xzError += data.toString(); });
+
+      // Report progress and check for abort periodically
+      const progressCheck = setInterval(() => {
+        if (abortController.aborted) {
+          cleanup(new Error('Backup aborted by user'));
+          return;
+        }
+        if (totalBytes > 0) {
+          this._updateOperation(vmName, { progress: Math.min(99, Math.round((bytesProcessed / totalBytes) * 100)) });
+        }
+      }, 2000);
+
+      const cleanup = (err) => {
+        if (resolved) return;
+        resolved = true;
+        clearInterval(progressCheck);
+
+        // Unpipe before killing to prevent EPIPE
+        try {
+          tarProcess.stdout.unpipe(xzProcess.stdin);
+          xzProcess.stdout.unpipe(writeStream);
+        } catch (e) { /* ignore */ }
+
+        tarProcess.kill('SIGKILL');
+        xzProcess.kill('SIGKILL');
+        writeStream.destroy();
+
+        reject(err);
+      };
+
+      const finish = () => {
+        if (resolved) return;
+        resolved = true;
+        clearInterval(progressCheck);
+        resolve();
+      };
+
+      writeStream.on('finish', finish);
+      writeStream.on('error', (err) => {
+        if (err.code !== 'EPIPE') cleanup(err);
+      });
+      tarProcess.on('error', (err) => {
+        if (err.code !== 'EPIPE') cleanup(err);
+      });
+      xzProcess.on('error', (err) => {
+        if (err.code !== 'EPIPE') cleanup(err);
+      });
+
+      tarProcess.on('close', (code) => {
+        if (!resolved && code !== 0 && !abortController.aborted) {
+          cleanup(new Error(`tar exited with code ${code}: ${tarError}`));
+        }
+      });
+      xzProcess.on('close', (code) => {
+        if (!resolved && code !== 0 && !abortController.aborted) {
+          cleanup(new Error(`xz exited with code ${code}: ${xzError}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Delete old backups to keep only the specified number
+   * @private
+   */
+  async _cleanupOldBackups(vmBackupPath, vmName, backupsToKeep) {
+    try {
+      const files = await fs.readdir(vmBackupPath);
+      const backupFiles = files
+        .filter(f => f.startsWith(`${vmName}_`) && f.endsWith('.tar.xz'))
+        .sort()
+        .reverse(); // Newest first
+
+      if (backupFiles.length > backupsToKeep) {
+        const filesToDelete = backupFiles.slice(backupsToKeep);
+        for (const file of filesToDelete) {
+          await fs.unlink(path.join(vmBackupPath, file));
+        }
+      }
+    } catch (error) {
+      console.warn(`Warning: Could not cleanup old backups: ${error.message}`);
+    }
+  }
+
+  /**
+   * Abort an active backup/restore operation
+   * @param {string} vmName - VM name
+   * @returns {Object} Result
+   */
+  async abortBackup(vmName) {
+    const operation = activeOperations.get(vmName);
+    if (!operation || !operation.abort) {
+      throw new Error(`No active backup or restore operation for VM ${vmName}`);
+    }
+
+    operation.abort();
+
+    return {
+      success: true,
+      message: `Abort signal sent for ${operation.type} of ${vmName}`
+    };
+  }
+
+  /**
+   * Read the backup files of one VM backup directory
+   * @private
+   */
+  async _readBackupDirectory(vmBackupPath, user) {
+    const backups = [];
+    const files = await fs.readdir(vmBackupPath);
+    for (const file of files) {
+      if (file.endsWith('.tar.xz')) {
+        const stats = await fs.stat(path.join(vmBackupPath, file));
+        backups.push({
+          filename: file,
+          size: stats.size,
+          size_human: this.formatBytes(stats.size, user),
+          created: stats.mtime.toISOString()
+        });
+      }
+    }
+    // Sort by creation date descending
+    return backups.sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
+
+  /**
+   * List available backups for a VM or all VMs
+   * @param {string} vmName - Optional VM name
+   * @param {Object} user - Optional user object for byte_format preference
+   * @returns {Promise<Array>} List of backups
+   */
+  async listBackups(vmName = null, user = null) {
+    const settings = await this.getBackupSettings();
+
+    if (vmName) {
+      if (!settings.backup_path) return [];
+      const vmBackupPath = path.join(settings.backup_path, vmName);
+      if (!fsSync.existsSync(vmBackupPath)) return [];
+      return this._readBackupDirectory(vmBackupPath, user);
+    }
+
+    // List all backups including orphaned ones (VMs that no longer exist)
+    const vms = await this.listVms();
+    const vmNames = new Set(vms.map(v => v.name));
+    const result = [];
+    const processedDirs = new Set();
+
+    if (settings.backup_path && fsSync.existsSync(settings.backup_path)) {
+      const dirs = await fs.readdir(settings.backup_path);
+      for (const dir of dirs) {
+        const vmBackupPath = path.join(settings.backup_path, dir);
+        const stat = await fs.stat(vmBackupPath);
+        if (!stat.isDirectory()) continue;
+
+        let backups = [];
+        try {
+          backups = await this._readBackupDirectory(vmBackupPath, user);
+        } catch (e) { /* ignore unreadable directories */ }
+
+        processedDirs.add(dir);
+        result.push({ vm: dir, orphan: !vmNames.has(dir), backups });
+      }
+    }
+
+    // Add VMs without backups
+    for (const name of vmNames) {
+      if (!processedDirs.has(name)) {
+        result.push({ vm: name, orphan: false, backups: [] });
+      }
+    }
+
+    return result.sort((a, b) => a.vm.localeCompare(b.vm));
+  }
+
+  /**
+   * Delete a specific backup
+   * @param {string} vmName - VM name
+   * @param {string} filename - Backup filename
+   * @returns {Promise<Object>} Result
+   */
+  async deleteBackup(vmName, filename) {
+    const settings = await this.getBackupSettings();
+    if (!settings.backup_path) {
+      throw new Error('Backup path not configured');
+    }
+
+    // Validate filename (prevent path traversal)
+    if (filename.includes('/') || filename.includes('..') || vmName.includes('/') || vmName.includes('..')) {
+      throw new Error('Invalid backup filename');
+    }
+
+    const backupPath = path.join(settings.backup_path, vmName, filename);
+    if (!fsSync.existsSync(backupPath)) {
+      throw new Error(`Backup file not found: ${filename}`);
+    }
+
+    await fs.unlink(backupPath);
+
+    // Remove VM backup directory if empty
+    const vmBackupDir = path.join(settings.backup_path, vmName);
+    try {
+      const remaining = await fs.readdir(vmBackupDir);
+      if (remaining.length === 0) {
+        await fs.rmdir(vmBackupDir);
+      }
+    } catch (e) { /* ignore */ }
+
+    return {
+      success: true,
+      message: `Backup ${filename} deleted successfully`
+    };
+  }
+
+  /**
+   * Restore a VM from backup
+   * Restoring under the original name replaces the existing VM and writes the disks back
+   * to their original paths. A new name creates a new VM (new UUID and MAC addresses)
+   * with its disks in vdisk_directory/<new name>.
+   * @param {string} sourceVm - Source VM name (for backup lookup)
+   * @param {string} newName - Name for the restored VM
+   * @param {string} backupFilename - Backup filename to restore
+   * @returns {Promise<Object>} Result
+   */
+  async restoreVm(sourceVm, newName, backupFilename) {
+    if (!newName || !/^[a-zA-Z0-9_-]+$/.test(newName)) {
+      throw new Error('Invalid VM name. Only letters, numbers, underscores and hyphens are allowed');
+    }
+    if (backupFilename.includes('/') || backupFilename.includes('..') || sourceVm.includes('/') || sourceVm.includes('..')) {
+      throw new Error('Invalid backup filename');
+    }
+
+    this._reserveOperation(newName, 'restore');
+
+    try {
+      const settings = await this.getBackupSettings();
+      if (!settings.backup_path) {
+        throw new Error('Backup path not configured');
+      }
+
+      const backupPath = path.join(settings.backup_path, sourceVm, backupFilename);
+      if (!fsSync.existsSync(backupPath)) {
+        throw new Error(`Backup file not found: ${backupFilename}`);
+      }
+
+      const vms = await this.listVms();
+      const target = vms.find(v => v.name === newName);
+      const targetExists = !!target;
+      const wasRunning = targetExists && target.state === 'running';
+
+      // Set active operation
+      const abortController = { aborted: false };
+      this._startOperation(newName, 'restore', {
+        backupFile: backupFilename,
+        abort: () => { abortController.aborted = true; }
+      });
+
+      // Run restore async
+      this._runRestore(newName, backupPath, backupFilename, targetExists, wasRunning, abortController);
+
+      return {
+        success: true,
+        message: `Restore started for VM ${newName} from ${backupFilename}`,
+        target_exists: targetExists,
+        was_running: wasRunning
+      };
+    } catch (error) {
+      this._releaseOperation(newName);
+      throw error;
+    }
+  }
+
+  /**
+   * Internal: Run the actual restore process
+   * @private
+   */
+  async _runRestore(newName, backupPath, backupFilename, targetExists, wasRunning, abortController) {
+    const stagingPath = path.join(path.dirname(backupPath), `.restore_${newName}_${Date.now()}`);
+
+    try {
+      await this._sendNotification('VM Restore', `Starting restore of ${newName} from ${backupFilename}`, 'normal');
+
+      // Extract backup (use nice for lower priority)
+      await fs.mkdir(stagingPath, { recursive: true });
+      await execPromise(`nice -n 10 tar -xf "${backupPath}" -C "${stagingPath}"`);
+
+      if (abortController.aborted) {
+        throw new Error('Restore aborted by user');
+      }
+      this._updateOperation(newName, { progress: 50 });
+
+      const manifest = JSON.parse(await fs.readFile(path.join(stagingPath, 'manifest.json'), 'utf8'));
+      const domainXml = await fs.readFile(path.join(stagingPath, 'domain.xml'), 'utf8');
+      const isSameVm = newName === manifest.vm;
+
+      // Determine target paths
+      const vdiskDirectory = await this._getVdiskDirectory();
+      if (!isSameVm && manifest.disks.length > 0 && !vdiskDirectory) {
+        throw new Error('vdisk_directory not configured. Please set vdisk_directory in VM settings.');
+      }
+
+      const diskPaths = new Map();
+      for (const disk of manifest.disks) {
+        const destination = isSameVm
+          ? disk.source
+          : path.join(vdiskDirectory, newName, path.basename(disk.source));
+        if (!isSameVm && fsSync.existsSync(destination)) {
+          throw new Error(`Disk ${destination} already exists`);
+        }
+        diskPaths.set(disk.source, destination);
+      }
+
+      // Remove existing VM definition (disks are overwritten below)
+      if (targetExists) {
+        if (wasRunning) {
+          await execPromise(`virsh destroy "${newName}"`).catch(() => {});
+        }
+        await execPromise(`virsh undefine "${newName}" --keep-nvram --snapshots-metadata`);
+      }
+
+      if (abortController.aborted) {
+        throw new Error('Restore aborted by user');
+      }
+
+      // Move vdisks into place
+      for (const disk of manifest.disks) {
+        const destination = diskPaths.get(disk.source);
+        const dir = path.dirname(destination);
+        await fs.mkdir(dir, { recursive: true });
+        await execPromise(`mv -f "${path.join(stagingPath, disk.file)}" "${destination}"`);
+        try {
+          await execPromise(`chown libvirt-qemu:libvirt-qemu "${destination}" "${dir}"`);
+        } catch (e) {
+          console.warn(`Could not set ownership for "${destination}": ${e.message}`);
+        }
+      }
+
+      // NVRAM and TPM state belong to the (new) UUID
+      const uuid = isSameVm ? manifest.uuid : this._generateUuid();
+      let nvramPath = null;
+      if (manifest.nvram) {
+        nvramPath = isSameVm ? manifest.nvram.source : `${this.NVRAM_PATH}/${uuid}_VARS.fd`;
+        await fs.mkdir(path.dirname(nvramPath), { recursive: true });
+        await fs.copyFile(path.join(stagingPath, manifest.nvram.file), nvramPath);
+      }
+      if (manifest.tpm && uuid) {
+        const tpmStatePath = path.join(this.TPM_STATES_PATH, uuid);
+        await fs.rm(tpmStatePath, { recursive: true, force: true });
+        await fs.mkdir(this.TPM_STATES_PATH, { recursive: true });
+        await execPromise(`cp -a "${path.join(stagingPath, 'tpm')}" "${tpmStatePath}"`);
+      }
+
+      // Re-define the domain
+      const xml = isSameVm
+        ? domainXml
+        : this._rewriteDomainXml(domainXml, { name: newName, uuid, diskPaths, nvramPath });
+      await this._saveVmXml(newName, xml);
+
+      // Restore index entry and custom icon
+      try {
+        await this.addVmToIndex(
+          newName,
+          manifest.index ? manifest.index.icon : null,
+          manifest.index ? manifest.index.description : null
+        );
+      } catch (indexError) {
+        console.warn(`Warning: Could not add VM to index: ${indexError.message}`);
+      }
+      if (manifest.icon) {
+        await fs.mkdir(VM_CUSTOM_ICONS_PATH, { recursive: true });
+        await fs.copyFile(path.join(stagingPath, 'icon.png'), `${VM_CUSTOM_ICONS_PATH}/${newName}.png`).catch(() => {});
+      }
+
+      // Start VM if it was running
+      if (wasRunning) {
+        await execPromise(`virsh start "${newName}"`);
+      }
+
+      this._finishOperation(newName);
+      await this._sendNotification('VM Restore', `VM ${newName} restored successfully from ${backupFilename}`, 'normal');
+    } catch (error) {
+      this._finishOperation(newName, error);
+      await this._sendNotification('VM Restore', `Restore of ${newName} failed: ${error.message}`, 'alert');
+    } finally {
+      await fs.rm(stagingPath, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // ============================================================
+  // VM Cloning
+  // ============================================================
+
+  /**
+   * Clone a stopped VM into a new domain
+   * The vdisks are copied (reflinked where the filesystem supports it) into
+   * vdisk_directory/<new name>; the new domain gets a fresh UUID and MAC addresses.
+   * @param {string} sourceName - Name of the VM to clone
+   * @param {string} newName - Name of the new VM
+   * @param {Object} options - Clone options
+   * @param {string} options.description - Description for the new VM (defaults to the source description)
+   * @param {string} options.icon - Icon for the new VM (defaults to the source icon)
+   * @param {boolean} options.start - Start the new VM after cloning
+   * @returns {Promise<Object>} Result of clone operation
+   */
+  async cloneVm(sourceName, newName, options = {}) {
+    const source = await this._getVmOrThrow(sourceName);
+
+    if (!newName || !/^[a-zA-Z0-9_-]+$/.test(newName)) {
+      throw new Error('Invalid VM name. Only letters, numbers, underscores and hyphens are allowed');
+    }
+
+    const vms = await this.listVms();
+    if (vms.some(vm => vm.name === newName)) {
+      throw new Error(`VM "${newName}" already exists`);
+    }
+    if (source.state !== 'stopped') {
+      throw new Error(`VM "${sourceName}" must be stopped before it can be cloned`);
+    }
+
+    this._assertNoActiveOperation(sourceName);
+    this._reserveOperation(newName, 'clone');
+
+    try {
+      const vdiskDirectory = await this._getVdiskDirectory();
+      if (!vdiskDirectory) {
+        throw new Error('vdisk_directory not configured. Please set vdisk_directory in VM settings.');
+      }
+
+      const { stdout: xml } = await execPromise(`virsh dumpxml "${sourceName}" --inactive --security-info`);
+      const disks = await this._parseDisksFromXml(xml);
+
+      const blockDisks = disks.filter(d => d.diskType !== 'file');
+      if (blockDisks.length > 0) {
+        throw new Error(`Block device disks can not be cloned: ${blockDisks.map(d => d.source).join(', ')}`);
+      }
+      for (const disk of disks) {
+        if (await this._getBackingFile(disk.source)) {
+          throw new Error(`Disk ${disk.target} has external snapshots. Delete the snapshots before cloning`);
+        }
+      }
+
+      // Plan the target paths (keep file names, fall back to the target device on duplicates)
+      const targetDir = path.join(vdiskDirectory, newName);
+      const usedNames = new Set();
+      const copies = disks.map(disk => {
+        let filename = path.basename(disk.source);
+        if (usedNames.has(filename)) {
+          filename = `${disk.target}${path.extname(disk.source)}`;
+        }
+        usedNames.add(filename);
+        return { target: disk.target, source: disk.source, destination: path.join(targetDir, filename), size: disk.actualSize || 0 };
+      });
+
+      for (const copy of copies) {
+        if (fsSync.existsSync(copy.destination)) {
+          throw new Error(`Disk ${copy.destination} already exists`);
+        }
+      }
+
+      const indexEntry = (await this._readVmIndex()).find(e => e.name === sourceName);
+      const icon = options.icon !== undefined ? options.icon : (indexEntry ? indexEntry.icon : null);
+      const description = options.description !== undefined ? options.description : (indexEntry ? indexEntry.description : null);
+
+      this._startOperation(newName, 'clone', { source: sourceName });
+
+      // Run clone async
+      this._runClone(sourceName, newName, {
+        xml,
+        copies,
+        targetDir,
+        icon,
+        description,
+        start: options.start === true
+      });
+
+      return {
+        success: true,
+        message: `Cloning VM ${sourceName} to ${newName} started`,
+        name: newName,
+        disks: copies.map(c => ({ target: c.target, source: c.destination }))
+      };
+    } catch (error) {
+      this._releaseOperation(newName);
+      throw error;
+    }
+  }
+
+  /**
+   * Internal: Run the actual clone process
+   * @private
+   */
+  async _runClone(sourceName, newName, opts) {
+    const { xml, copies, targetDir, icon, description, start } = opts;
+    const createdFiles = [];
+    let defined = false;
+
+    try {
+      await fs.mkdir(targetDir, { recursive: true });
+
+      // Copy vdisks with progress based on the allocated size of the copies
+      const totalBytes = copies.reduce((sum, c) => sum + c.size, 0);
+      let copiedBytes = 0;
+      for (const copy of copies) {
+        createdFiles.push(copy.destination);
+        await this._copyVdisk(copy.source, copy.destination, (bytes) => {
+          if (totalBytes > 0) {
+            this._updateOperation(newName, {
+              progress: Math.min(99, Math.round(((copiedBytes + bytes) / totalBytes) * 100)),
+              disk: copy.target
+            });
+          }
+        });
+        copiedBytes += copy.size;
+      }
+
+      try {
+        await execPromise(`chown -R libvirt-qemu:libvirt-qemu "${targetDir}"`);
+      } catch (e) {
+        console.warn(`Could not set ownership for "${targetDir}": ${e.message}`);
+      }
+
+      // NVRAM and TPM state belong to the new UUID
+      const sourceUuid = this._extractXmlValue(xml, 'uuid');
+      const uuid = this._generateUuid();
+      let nvramPath = null;
+      const nvramMatch = xml.match(/<nvram[^>]*>([^<]+)<\/nvram>/);
+      if (nvramMatch && fsSync.existsSync(nvramMatch[1])) {
+        nvramPath = `${this.NVRAM_PATH}/${uuid}_VARS.fd`;
+        await fs.copyFile(nvramMatch[1], nvramPath);
+        createdFiles.push(nvramPath);
+      }
+      const sourceTpmPath = sourceUuid ? path.join(this.TPM_STATES_PATH, sourceUuid) : null;
+      if (sourceTpmPath && fsSync.existsSync(sourceTpmPath)) {
+        await execPromise(`cp -a "${sourceTpmPath}" "${path.join(this.TPM_STATES_PATH, uuid)}"`);
+      }
+
+      const diskPaths = new Map(copies.map(c => [c.source, c.destination]));
+      const newXml = this._rewriteDomainXml(xml, { name: newName, uuid, diskPaths, nvramPath });
+      await this._saveVmXml(newName, newXml);
+      defined = true;
+
+      try {
+        await this.addVmToIndex(newName, icon, description);
+      } catch (indexError) {
+        console.warn(`Warning: Could not add VM to index: ${indexError.message}`);
+      }
+
+      // Copy custom icon
+      const sourceIcon = `${VM_CUSTOM_ICONS_PATH}/${sourceName}.png`;
+      if (fsSync.existsSync(sourceIcon)) {
+        await fs.copyFile(sourceIcon, `${VM_CUSTOM_ICONS_PATH}/${newName}.png`).catch(() => {});
+      }
+
+      if (start) {
+        await execPromise(`virsh start "${newName}"`);
+      }
+
+      this._finishOperation(newName);
+      await this._sendNotification('VM Clone', `VM ${sourceName} cloned to ${newName}`, 'normal');
+    } catch (error) {
+      // Remove partial copies (the domain itself is kept if it was already defined)
+      if (!defined) {
+        for (const file of createdFiles) {
+          await fs.unlink(file).catch(() => {});
+        }
+        await fs.rmdir(targetDir).catch(() => {});
+      }
+
+      this._finishOperation(newName, error);
+      await this._sendNotification('VM Clone', `Cloning ${sourceName} to ${newName} failed: ${error.message}`, 'alert');
+    }
+  }
+
+  /**
+   * Copy a vdisk, using a reflink when supported and keeping sparse regions
+   * @param {string} source - Source image
+   * @param {string} destination - Destination image
+   * @param {Function} onProgress - Called with the allocated bytes of the copy every 2 seconds
+   * @private
+   */
+  _copyVdisk(source, destination, onProgress) {
+    return new Promise((resolve, reject) => {
+      const cpProcess = spawn('nice', [
+        '-n', '10',
+        'cp', '--reflink=auto', '--sparse=always', source, destination
+      ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+      let stderr = '';
+      cpProcess.stderr.on('data', (data) => { stderr += data.toString(); });
+
+      const progressCheck = setInterval(async () => {
+        try {
+          const stats = await fs.stat(destination);
+          onProgress(stats.blocks * 512);
+        } catch (e) { /* not created yet */ }
+      }, 2000);
+
+      cpProcess.on('error', (err) => {
+        clearInterval(progressCheck);
+        reject(err);
+      });
+      cpProcess.on('close', (code) => {
+        clearInterval(progressCheck);
+        if (code !== 0) {
+          reject(new Error(`cp exited with code ${code}: ${stderr}`));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
   // ============================================================
   // VirtIO Driver Management
   // ============================================================
@@ -0,0 +1,87 @@
+jest.mock('../../middleware/auth.middleware', () => ({ hasPermission: jest.fn(() => true) }));
+jest.mock('../../services/audit.service', () => ({ record: jest.fn(), recordSocket: jest.fn() }));
+jest.mock('../../services/session.service', () => ({}));
+
+const { PassThrough } = require('stream');
+const DockerWebSocketManager = require('../docker.websocket');
+
+const createManager = (connected = ['socket-1']) => {
+  const emit = jest.fn();
+  const io = { sockets: new Map(connected.map(id => [id, {}])), to: jest.fn(() => ({ emit })) };
+  const dockerService = { openContainerLogStream: jest.fn() };
+  const dockerComposeService = { getStackContainerNames: jest.fn().mockResolvedValue(['web', 'db']) };
+  return { manager: new DockerWebSocketManager(io, dockerService, dockerComposeService), io, emit, dockerService };
+};
+
+const parser = { push: () => [], flush: () => [] };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('DockerWebSocketManager.executeContainerLogs', () => {
+  test('registers every stream as soon as it is open', async () => {
+    const { manager, dockerService } = createManager();
+    const web = new PassThrough();
+    let openDb;
+    dockerService.openContainerLogStream
+      .mockResolvedValueOnce({ stream: web, parser })
+      .mockReturnValueOnce(new Promise(resolve => { openDb = resolve; }));
+
+    const running = manager.executeContainerLogs('socket-1', 'logs-1', { stack: 'app' }, { tail: 100 }, { id: 'u1' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(manager.logStreams.get('socket-1').get('logs-1').streams.map(s => s.containerName)).toEqual(['web']);
+
+    // Disconnect while the second stream is still opening
+    manager.cleanupSocketLogStreams('socket-1');
+    const db = new PassThrough();
+    openDb({ stream: db, parser });
+    await running;
+
+    expect(web.destroyed).toBe(true);
+    expect(db.destroyed).toBe(true);
+    expect(manager.logStreams.size).toBe(0);
+  });
+
+  test('does not open streams for a socket that already disconnected', async () => {
+    const { manager, dockerService } = createManager([]);
+
+    await manager.executeContainerLogs('socket-1', 'logs-1', { name: 'web' }, { tail: 100 });
+
+    expect(dockerService.openContainerLogStream).not.toHaveBeenCalled();
+    expect(manager.logStreams.size).toBe(0);
+  });
+
+  test('closes the opened streams when another one fails', async () => {
+    const { manager, dockerService } = createManager();
+    const web = new PassThrough();
+    dockerService.openContainerLogStream
+      .mockResolvedValueOnce({ stream: web, parser })
+      .mockRejectedValueOnce(new Error('No such container: db'));
+
+    await manager.executeContainerLogs('socket-1', 'logs-1', { stack: 'app' }, { tail: 100 });
+
+    expect(web.destroyed).toBe(true);
+    expect(manager.logStreams.size).toBe(0);
+  });
+});
+
+describe('DockerWebSocketManager.stopContainerLogs', () => {
+  test('only stops streams of the subscribing user', async () => {
+    const { manager, dockerService, emit } = createManager();
+    const web = new PassThrough();
+    dockerService.openContainerLogStream.mockResolvedValue({ stream: web, parser });
+    await manager.executeContainerLogs('socket-1', 'logs-1', { name: 'web' }, { tail: 100 }, { id: 'u1' });
+
+    manager.stopContainerLogs('socket-1', 'logs-1', { id: 'u2' });
+    expect(web.destroyed).toBe(false);
+    expect(emit).toHaveBeenLastCalledWith('docker-update', expect.objectContaining({ status: 'error' }));
+
+    manager.stopContainerLogs('socket-1', 'logs-1', { id: 'u1' });
+    expect(web.destroyed).toBe(true);
+    expect(manager.logStreams.size).toBe(0);
+  });
+});
@@ -1,15 +1,18 @@
+const sessionService = require('../services/session.service');
+
 /**
  * Disks WebSocket Manager
  * Provides real-time disk I/O throughput and temperature monitoring
  *
  * Events:
- * - subscribe-disks: Subscribe to disk updates (all or specific devices)
+ * - subscribe-disks: Subscribe to disk updates (all or specific devices), replays recent history
  * - unsubscribe-disks: Unsubscribe from disk updates
  * - get-disks: One-time request for disk data
  *
  * Emits:
  * - disks-update: Throughput data (every 2s)
  * - disks-temperature-update: Temperature data (every 5-10s)
+ * - disks-history: Throughput history of the subscribed disks (once on subscribe)
  * - disks-subscription-confirmed: Subscription confirmed
  * - error: Error occurred
  */
@@ -37,10 +40,10 @@ class DisksWebSocketManager {
     // Subscribe to disk updates
     socket.on('subscribe-disks', async (data) => {
       try {
-        const { token, devices = [], includeTemperature = true } = data;
+        const { token, devices = [], includeTemperature = true, history = '15m', historyResolution = null } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -67,6 +70,11 @@ class DisksWebSocketManager {
           this.disksService.startDiskStatsSampling(this.throughputInterval);
         }
 
+        // Replay recent history so graphs are filled right away
+        if (history) {
+          this.sendDisksHistory(socket, history, historyResolution);
+        }
+
         // Send immediate update
         await this.sendDisksUpdate(socket, true);
 
@@ -106,7 +114,7 @@ class DisksWebSocketManager {
         const { token, devices = [], includeTemperature = false } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -253,11 +261,7 @@ class DisksWebSocketManager {
       console.log('[DisksWebSocket] Stopped temperature monitoring');
     }
 
-    // Stop background sampling if no clients
-    const room = this.io.adapter.rooms.get('disks');
-    if (!room || room.size === 0) {
-      this.disksService.stopDiskStatsSampling();
-    }
+    // Background sampling keeps running, it feeds the throughput history
   }
 
   /**
@@ -403,6 +407,42 @@ class DisksWebSocketManager {
     }
   }
 
+  /**
+   * Send throughput history of the subscribed disks to a specific socket
+   * @param {Object} socket - Socket
+   * @param {string} range - History range (e.g. 15m, 1h, 24h)
+   * @param {string|null} resolution - Bucket size or 'raw' (default depends on range)
+   */
+  sendDisksHistory(socket, range, resolution = null) {
+    try {
+      const subscription = this.clientSubscriptions.get(socket.id);
+      if (!subscription) return;
+
+      let devices = subscription.devices;
+      if (devices.length === 0) {
+        devices = this.disksService.getAllDisksThroughput().map(d => d.device);
+      }
+
+      const history = [];
+      for (const device of devices) {
+        try {
+          history.push(this.disksService.getDiskIoHistory(device, { range, resolution }, subscription.user));
+        } catch (error) {
+          // Invalid range/resolution applies to all devices
+          if (!error.message.startsWith('No I/O history')) throw error;
+        }
+      }
+
+      socket.emit('disks-history', {
+        history,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('Error sending disks history:', error.message);
+      socket.emit('error', { message: `Failed to send disk history: ${error.message}` });
+    }
+  }
+
   /**
    * Emit disk update after changes (called from other services)
    */
@@ -452,18 +492,18 @@ class DisksWebSocketManager {
    * Authenticate user with caching
    * Note: byte_format is always loaded fresh from database to reflect user preference changes
    */
-  async authenticateUser(token) {
+  async authenticateUser(token, socket = null) {
     if (!token) {
       return { success: false, message: 'Authentication token is required' };
     }
 
     const jwt = require('jsonwebtoken');
-    const { getBootToken } = require('../middleware/auth.middleware');
+    const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
     const userService = require('../services/user.service');
 
     // Check cache first for basic auth validation
     const cached = this.authCache.get(token);
-    if (cached && (Date.now() - cached.timestamp) < this.authCacheDuration) {
+    if (cached && (Date.now() - cached.timestamp) < this.authCacheDuration && !sessionService.isTokenRevoked(token)) {
       // For cached results, refresh byte_format from database for regular users
       if (cached.data.success && cached.data.user && !cached.data.user.isBootToken && cached.data.user.id !== 'boot') {
         try {
@@ -506,19 +546,34 @@ class DisksWebSocketManager {
       }
 
       // Check if it's an admin API token
-      const adminTokenData = await userService.validateAdminToken(token);
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
       if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/disks', 'read')) {
+          return { success: false, message: 'Token scope does not allow access to disk events' };
+        }
+
         const result = {
           success: true,
           user: adminTokenData
         };
-        this.authCache.set(token, { data: result, timestamp: Date.now() });
+        // Admin tokens are not cached so expiry and IP restrictions apply immediately
         return result;
       }
 
       // Regular JWT verification
       const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
       // Check if user still exists
       const users = await userService.loadUsers();
       const currentUser = users.find(u => u.id === decodedUser.id);
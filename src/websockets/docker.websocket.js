@@ -4,6 +4,9 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { hasPermission } = require('../middleware/auth.middleware');
+const auditService = require('../services/audit.service');
+const sessionService = require('../services/session.service');
 
 /**
  * Create temp Docker config with registry auth if tokens available
@@ -184,6 +187,8 @@ class DockerWebSocketManager extends EventEmitter {
     this.dockerComposeService = dockerComposeService;
     this.activeOperations = new Map(); // operationId -> { process, type, startTime, operation, params }
     this.statsStreams = new Map(); // socketId -> Map(operationId -> { process, containerName })
+    this.logStreams = new Map(); // socketId -> Map(operationId -> { streams, target })
+    this.auditedOperations = new Map(); // operationId -> { status, error } (final status for the audit log)
   }
 
   /**
@@ -194,19 +199,20 @@ class DockerWebSocketManager extends EventEmitter {
 
     // Start a Docker operation (pull, upgrade, create, etc.)
     socket.on('docker', async (data) => {
+      let auditContext = null;
       try {
         const { token, operation, params } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           this.sendUpdate(socket, null, 'error', { message: authResult.message });
           return;
         }
 
-        // Check if user is admin
-        if (authResult.user.role !== 'admin') {
-          this.sendUpdate(socket, null, 'error', { message: 'Admin role required for Docker operations' });
+        // Check docker write permission (admin or permission set)
+        if (!hasPermission(authResult.user, 'docker', 'write')) {
+          this.sendUpdate(socket, null, 'error', { message: 'Docker write permission required for Docker operations' });
           return;
         }
 
@@ -222,6 +228,9 @@ class DockerWebSocketManager extends EventEmitter {
         // Join operation room so client can receive updates even after reconnect
         socket.join(`operation-${operationId}`);
 
+        auditContext = { socket, user: authResult.user, operationId, operation, params, startTime: Date.now() };
+        this.auditedOperations.set(operationId, { status: null, error: null });
+
         // Execute the operation based on type
         switch (operation) {
           case 'upgrade':
@@ -260,9 +269,12 @@ class DockerWebSocketManager extends EventEmitter {
             });
         }
 
+        this._recordOperationAudit(auditContext);
+
       } catch (error) {
         console.error('Error in docker event:', error);
         this.sendUpdate(socket, null, 'error', { message: error.message });
+        this._recordOperationAudit(auditContext, error);
       }
     });
 
@@ -272,7 +284,7 @@ class DockerWebSocketManager extends EventEmitter {
         const { token } = data || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           this.sendUpdate(socket, null, 'error', { message: authResult.message });
           return;
@@ -312,20 +324,28 @@ class DockerWebSocketManager extends EventEmitter {
         const { token, operationId } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           this.sendUpdate(socket, operationId, 'error', { message: authResult.message });
           return;
         }
 
-        // Check if user is admin
-        if (authResult.user.role !== 'admin') {
-          this.sendUpdate(socket, operationId, 'error', { message: 'Admin role required' });
+        // Check docker write permission (admin or permission set)
+        if (!hasPermission(authResult.user, 'docker', 'write')) {
+          this.sendUpdate(socket, operationId, 'error', { message: 'Docker write permission required' });
           return;
         }
 
         await this.cancelOperation(operationId);
 
+        auditService.recordSocket(socket, {
+          user: authResult.user,
+          namespace: 'docker',
+          event: 'docker-cancel',
+          params: { operationId },
+          success: true
+        });
+
       } catch (error) {
         console.error('Error in docker-cancel:', error);
         this.sendUpdate(socket, null, 'error', { message: 'Failed to cancel operation' });
@@ -339,15 +359,15 @@ class DockerWebSocketManager extends EventEmitter {
         const { name } = params || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           this.sendUpdate(socket, null, 'error', { message: authResult.message });
           return;
         }
 
-        // Check if user is admin
-        if (authResult.user.role !== 'admin') {
-          this.sendUpdate(socket, null, 'error', { message: 'Admin role required for Docker operations' });
+        // Check docker read permission (admin or permission set)
+        if (!hasPermission(authResult.user, 'docker', 'read')) {
+          this.sendUpdate(socket, null, 'error', { message: 'Docker read permission required' });
           return;
         }
 
@@ -379,7 +399,7 @@ class DockerWebSocketManager extends EventEmitter {
         const { token, operationId } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           this.sendUpdate(socket, operationId, 'error', { message: authResult.message });
           return;
@@ -400,12 +420,91 @@ class DockerWebSocketManager extends EventEmitter {
       }
     });
 
+    // Subscribe to live container logs (single container or all containers of a compose stack)
+    socket.on('docker-logs-subscribe', async (data) => {
+      try {
+        const { token, params } = data;
+        const { name, stack, tail, since, timestamps } = params || {};
+
+        // Authenticate user
+        const authResult = await this.authenticateUser(token, socket);
+        if (!authResult.success) {
+          this.sendUpdate(socket, null, 'error', { message: authResult.message });
+          return;
+        }
+
+        // Check docker read permission (admin or permission set)
+        if (!hasPermission(authResult.user, 'docker', 'read')) {
+          this.sendUpdate(socket, null, 'error', { message: 'Docker read permission required' });
+          return;
+        }
+
+        if (!name && !stack) {
+          this.sendUpdate(socket, null, 'error', { message: 'Container name or stack is required for logs subscription' });
+          return;
+        }
+
+        console.log(`Client ${socket.id} subscribing to logs for ${stack ? `stack: ${stack}` : `container: ${name}`}`);
+
+        // Generate unique operation ID
+        const operationId = `logs-${stack || name}-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+
+        // Join operation room
+        socket.join(`operation-${operationId}`);
+
+        await this.executeContainerLogs(socket.id, operationId, { name, stack }, {
+          tail: tail !== undefined ? tail : 100,
+          since,
+          timestamps: !!timestamps
+        }, authResult.user);
+
+      } catch (error) {
+        console.error('Error in docker-logs-subscribe:', error);
+        this.sendUpdate(socket, null, 'error', { message: error.message });
+      }
+    });
+
+    // Unsubscribe from container logs stream
+    socket.on('docker-logs-unsubscribe', async (data) => {
+      try {
+        const { token, operationId } = data;
+
+        // Authenticate user
+        const authResult = await this.authenticateUser(token, socket);
+        if (!authResult.success) {
+          this.sendUpdate(socket, operationId, 'error', { message: authResult.message });
+          return;
+        }
+
+        // Check docker read permission (admin or permission set)
+        if (!hasPermission(authResult.user, 'docker', 'read')) {
+          this.sendUpdate(socket, operationId, 'error', { message: 'Docker read permission required' });
+          return;
+        }
+
+        if (!operationId) {
+          this.sendUpdate(socket, null, 'error', { message: 'Operation ID is required for logs unsubscribe' });
+          return;
+        }
+
+        console.log(`Client ${socket.id} unsubscribing from logs: ${operationId}`);
+
+        // Only streams of this socket and the subscribing user can be stopped
+        this.stopContainerLogs(socket.id, operationId, authResult.user);
+
+      } catch (error) {
+        console.error('Error in docker-logs-unsubscribe:', error);
+        this.sendUpdate(socket, null, 'error', { message: 'Failed to unsubscribe from logs' });
+      }
+    });
+
     // Handle disconnect - cleanup stats streams but DON'T kill operations
     socket.on('disconnect', () => {
       console.log(`Docker WebSocket client disconnected: ${socket.id}`);
 
-      // Stop all stats streams for this socket
+      // Stop all stats and logs streams for this socket
       this.cleanupSocketStatsStreams(socket.id);
+      this.cleanupSocketLogStreams(socket.id);
 
       // Don't cleanup operations - they continue running!
     });
@@ -415,6 +514,14 @@ class DockerWebSocketManager extends EventEmitter {
    * Send update to operation room (all connected clients for this operation)
    */
   sendUpdate(target, operationId, status, data = {}) {
+    // Remember the final status of audited operations
+    if (operationId && this.auditedOperations.has(operationId) && ['completed', 'error', 'cancelled'].includes(status)) {
+      this.auditedOperations.set(operationId, {
+        status,
+        error: status === 'completed' ? null : (data.message || null)
+      });
+    }
+
     const payload = {
       status,
       operationId,
@@ -433,6 +540,29 @@ class DockerWebSocketManager extends EventEmitter {
     }
   }
 
+  /**
+   * Write the audit record of a finished Docker operation
+   * @param {Object|null} context - { socket, user, operationId, operation, params, startTime }
+   * @param {Error|null} error - Error thrown by the operation handler
+   */
+  _recordOperationAudit(context, error = null) {
+    if (!context) return;
+
+    const tracked = this.auditedOperations.get(context.operationId) || {};
+    this.auditedOperations.delete(context.operationId);
+
+    const failed = !!error || tracked.status === 'error' || tracked.status === 'cancelled';
+    auditService.recordSocket(context.socket, {
+      user: context.user,
+      namespace: 'docker',
+      event: context.operation,
+      params: { operationId: context.operationId, ...context.params },
+      success: !failed,
+      error: error ? error.message : tracked.error,
+      startTime: context.startTime
+    });
+  }
+
   /**
    * Execute Docker upgrade operation with streaming output
    */
@@ -2085,17 +2215,197 @@ class DockerWebSocketManager extends EventEmitter {
     this.statsStreams.delete(socketId);
   }
 
+  /**
+   * Execute container logs stream(s) using Docker Socket API
+   * @param {string} socketId - Socket ID
+   * @param {string} operationId - Operation ID
+   * @param {Object} target - { name } for a single container or { stack } for all containers of a compose stack
+   * @param {Object} options - Log options (tail, since, timestamps)
+   * @param {Object} user - Subscribing user (only this user can unsubscribe)
+   */
+  async executeContainerLogs(socketId, operationId, target, options, user = null) {
+    const startTime = Date.now();
+    const streams = [];
+    const removeOperation = () => {
+      if (this.logStreams.has(socketId)) {
+        this.logStreams.get(socketId).delete(operationId);
+        if (this.logStreams.get(socketId).size === 0) {
+          this.logStreams.delete(socketId);
+        }
+      }
+    };
+    // False once the socket disconnected or the client unsubscribed
+    const isTracked = () => this.logStreams.get(socketId)?.get(operationId)?.streams === streams;
+
+    try {
+      const containerNames = target.stack
+        ? await this.dockerComposeService.getStackContainerNames(target.stack)
+        : [target.name];
+
+      if (containerNames.length === 0) {
+        this.sendUpdate(null, operationId, 'error', { message: `Stack '${target.stack}' has no containers` });
+        return;
+      }
+
+      if (!this.isSocketConnected(socketId)) {
+        return;
+      }
+
+      // Store the operation before opening the streams, so disconnect and unsubscribe
+      // can close every stream that is already open (follow streams never end on their own)
+      if (!this.logStreams.has(socketId)) {
+        this.logStreams.set(socketId, new Map());
+      }
+      this.logStreams.get(socketId).set(operationId, {
+        streams,
+        target: target.stack || target.name,
+        userId: user ? user.id : null,
+        startTime
+      });
+
+      this.sendUpdate(null, operationId, 'started', {
+        operation: 'container-logs',
+        name: target.name || null,
+        stack: target.stack || null,
+        containers: containerNames
+      });
+
+      for (const containerName of containerNames) {
+        const { stream, parser } = await this.dockerService.openContainerLogStream(containerName, options);
+        if (!isTracked()) {
+          // Stopped while this stream was opening
+          stream.destroy();
+          return;
+        }
+        streams.push({ stream, parser, containerName });
+      }
+
+      let openStreams = streams.length;
+
+      for (const { stream, parser, containerName } of streams) {
+        stream.on('data', (chunk) => {
+          const entries = parser.push(chunk);
+          if (entries.length > 0) {
+            this.sendUpdate(null, operationId, 'running', { container: containerName, entries });
+          }
+        });
+
+        stream.on('end', () => {
+          const entries = parser.flush();
+          if (entries.length > 0) {
+            this.sendUpdate(null, operationId, 'running', { container: containerName, entries });
+          }
+
+          // Completed once all containers stopped logging (e.g. containers stopped)
+          openStreams--;
+          if (openStreams === 0) {
+            removeOperation();
+            this.sendUpdate(null, operationId, 'completed', {
+              success: true,
+              message: `Logs stream ended for '${target.stack || target.name}'`,
+              duration: Date.now() - startTime
+            });
+          }
+        });
+
+        stream.on('error', (error) => {
+          this.sendUpdate(null, operationId, 'error', {
+            container: containerName,
+            message: `Logs stream error: ${error.message}`
+          });
+        });
+      }
+
+    } catch (error) {
+      // Close streams that were already opened for other stack containers
+      if (isTracked()) {
+        removeOperation();
+      }
+      for (const { stream } of streams) {
+        stream.destroy();
+      }
+      this.sendUpdate(null, operationId, 'error', {
+        message: `Failed to start logs stream: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Stop a container logs stream
+   */
+  stopContainerLogs(socketId, operationId, user = null) {
+    const socketStreams = this.logStreams.get(socketId);
+    const operation = socketStreams ? socketStreams.get(operationId) : null;
+
+    if (!operation) {
+      this.sendUpdate(null, operationId, 'error', {
+        message: 'Logs stream not found or already stopped'
+      });
+      return;
+    }
+
+    if (user && operation.userId && operation.userId !== user.id) {
+      this.sendUpdate(null, operationId, 'error', {
+        message: 'Logs stream belongs to another user'
+      });
+      return;
+    }
+
+    // Remove from tracking first so the end handlers don't report completion twice
+    socketStreams.delete(operationId);
+    if (socketStreams.size === 0) {
+      this.logStreams.delete(socketId);
+    }
+
+    for (const { stream } of operation.streams) {
+      stream.removeAllListeners('end');
+      stream.destroy();
+    }
+
+    this.sendUpdate(null, operationId, 'completed', {
+      success: true,
+      message: `Logs stream stopped for '${operation.target}'`
+    });
+
+    console.log(`Logs stream ${operationId} stopped for ${operation.target}`);
+  }
+
+  /**
+   * Check if a socket of the namespace is still connected
+   */
+  isSocketConnected(socketId) {
+    return this.io.sockets.has(socketId);
+  }
+
+  /**
+   * Cleanup all logs streams for a socket (on disconnect)
+   */
+  cleanupSocketLogStreams(socketId) {
+    if (!this.logStreams.has(socketId)) {
+      return;
+    }
+
+    for (const operation of this.logStreams.get(socketId).values()) {
+      for (const { stream } of operation.streams) {
+        stream.removeAllListeners('end');
+        stream.destroy();
+      }
+    }
+
+    this.logStreams.delete(socketId);
+  }
+
   /**
    * Authenticate user
    */
-  async authenticateUser(token) {
+  async authenticateUser(token, socket = null) {
     if (!token) {
       return { success: false, message: 'Authentication token is required' };
     }
 
     try {
       const jwt = require('jsonwebtoken');
-      const { getBootToken } = require('../middleware/auth.middleware');
+      const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
       const userService = require('../services/user.service');
 
       // Check if it's the boot token
@@ -2113,8 +2423,15 @@ class DockerWebSocketManager extends EventEmitter {
       }
 
       // Check if it's an admin API token
-      const adminTokenData = await userService.validateAdminToken(token);
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
       if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/docker', 'read')) {
+          return { success: false, message: 'Token scope does not allow access to Docker events' };
+        }
+
         return {
           success: true,
           user: adminTokenData
@@ -2124,6 +2441,14 @@ class DockerWebSocketManager extends EventEmitter {
       // Regular JWT verification
       const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
       // Check if user still exists
       const users = await userService.loadUsers();
       const currentUser = users.find(u => u.id === decodedUser.id);
@@ -2148,7 +2473,8 @@ class DockerWebSocketManager extends EventEmitter {
           id: currentUser.id,
           username: currentUser.username,
           role: currentUser.role,
-          byte_format: currentUser.byte_format
+          byte_format: currentUser.byte_format,
+          permissions: await userService.getUserPermissions(currentUser)
         }
       };
 
@@ -1,3 +1,5 @@
+const sessionService = require('../services/session.service');
+
 /**
  * File Operations WebSocket Manager
  * Provides real-time progress updates for copy/move operations
@@ -46,7 +48,7 @@ class FileOperationsWebSocketManager {
         const { token, operationId } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -101,7 +103,7 @@ class FileOperationsWebSocketManager {
         const { token } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -377,18 +379,18 @@ class FileOperationsWebSocketManager {
   /**
    * Authenticate user with caching
    */
-  async authenticateUser(token) {
+  async authenticateUser(token, socket = null) {
     if (!token) {
       return { success: false, message: 'Authentication token is required' };
     }
 
     const jwt = require('jsonwebtoken');
-    const { getBootToken } = require('../middleware/auth.middleware');
+    const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
     const userService = require('../services/user.service');
 
     // Check cache first
     const cached = this.authCache.get(token);
-    if (cached && (Date.now() - cached.timestamp) < this.authCacheDuration) {
+    if (cached && (Date.now() - cached.timestamp) < this.authCacheDuration && !sessionService.isTokenRevoked(token)) {
       // Refresh byte_format from database for regular users
       if (cached.data.success && cached.data.user && !cached.data.user.isBootToken && cached.data.user.id !== 'boot') {
         try {
@@ -429,19 +431,34 @@ class FileOperationsWebSocketManager {
       }
 
       // Check if it's an admin API token
-      const adminTokenData = await userService.validateAdminToken(token);
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
       if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/mos/fileoperations', 'read')) {
+          return { success: false, message: 'Token scope does not allow access to file operation events' };
+        }
+
         const result = {
           success: true,
           user: adminTokenData
         };
-        this.authCache.set(token, { data: result, timestamp: Date.now() });
+        // Admin tokens are not cached so expiry and IP restrictions apply immediately
         return result;
       }
 
       // Regular JWT verification
       const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
       // Check if user still exists
       const users = await userService.loadUsers();
       const currentUser = users.find(u => u.id === decodedUser.id);
@@ -1,3 +1,4 @@
+const sessionService = require('../services/session.service');
 
 class LxcWebSocketManager {
   constructor(io, lxcService) {
@@ -19,7 +20,7 @@ class LxcWebSocketManager {
         const { token, name } = data || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -71,7 +72,7 @@ class LxcWebSocketManager {
         const { token } = data || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -90,7 +91,7 @@ class LxcWebSocketManager {
         const { token } = data || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -117,20 +118,20 @@ class LxcWebSocketManager {
    * Authenticate user from JWT token
    * Supports: Boot token, Admin API token, Regular JWT
    */
-  async authenticateUser(token) {
+  async authenticateUser(token, socket = null) {
     if (!token) {
       return { success: false, message: 'Authentication token is required' };
     }
 
     // Check cache first
     const cached = this.authCache.get(token);
-    if (cached && Date.now() - cached.timestamp < this.authCacheDuration) {
+    if (cached && Date.now() - cached.timestamp < this.authCacheDuration && !sessionService.isTokenRevoked(token)) {
       return { success: true, user: cached.user };
     }
 
     try {
       const jwt = require('jsonwebtoken');
-      const { getBootToken } = require('../middleware/auth.middleware');
+      const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
       const userService = require('../services/user.service');
 
       // Check if it's the boot token
@@ -148,19 +149,34 @@ class LxcWebSocketManager {
       }
 
       // Check if it's an admin API token
-      const adminTokenData = await userService.validateAdminToken(token);
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
       if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/lxc', 'read')) {
+          return { success: false, message: 'Token scope does not allow access to LXC events' };
+        }
+
         const user = {
           ...adminTokenData,
           userId: adminTokenData.id
         };
-        this.authCache.set(token, { user, timestamp: Date.now() });
+        // Admin tokens are not cached so expiry and IP restrictions apply immediately
         return { success: true, user };
       }
 
       // Regular JWT verification
       const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
       // Check if user still exists
       const users = await userService.loadUsers();
       const currentUser = users.find(u => u.id === decodedUser.id);
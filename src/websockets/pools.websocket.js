@@ -1,9 +1,11 @@
+const sessionService = require('../services/session.service');
 
 class PoolWebSocketManager {
-  constructor(io, poolsService, disksService = null) {
+  constructor(io, poolsService, disksService = null, hotSpareService = null) {
     this.io = io;
     this.poolsService = poolsService;
     this.disksService = disksService;
+    this.hotSpareService = hotSpareService;
     this.activeSubscriptions = new Map();
     this.dataCache = new Map();
     this.cacheDuration = 8000; // 8 seconds cache
@@ -12,6 +14,13 @@ class PoolWebSocketManager {
 
     // Client preferences: Map<socketId, { includePerformance: boolean, user: Object }>
     this.clientPreferences = new Map();
+
+    // Forward hot spare rebuild progress to all pool subscribers
+    if (this.hotSpareService) {
+      this.hotSpareService.on('hotspare-update', (rebuild) => {
+        this.io.to('pools').emit('pools-hotspare-update', rebuild);
+      });
+    }
   }
 
   /**
@@ -26,7 +35,7 @@ class PoolWebSocketManager {
         const { interval = this.defaultInterval, token, filters = {}, includePerformance = false } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -56,6 +65,13 @@ class PoolWebSocketManager {
         // Send immediate update
         await this.sendPoolsUpdate(socket, false, filters);
 
+        // Send rebuilds that are pending or running
+        if (this.hotSpareService) {
+          for (const rebuild of this.hotSpareService.getActiveRebuilds()) {
+            socket.emit('pools-hotspare-update', rebuild);
+          }
+        }
+
         // Start monitoring
         this.startPoolsMonitoring(interval, filters);
 
@@ -98,7 +114,7 @@ class PoolWebSocketManager {
         const { token, filters = {} } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -580,14 +596,14 @@ class PoolWebSocketManager {
   /**
    * Authenticate user
    */
-  async authenticateUser(token) {
+  async authenticateUser(token, socket = null) {
     if (!token) {
       return { success: false, message: 'Authentication token is required' };
     }
 
     try {
       const jwt = require('jsonwebtoken');
-      const { getBootToken } = require('../middleware/auth.middleware');
+      const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
       const userService = require('../services/user.service');
 
       // Check if it's the boot token
@@ -605,8 +621,15 @@ class PoolWebSocketManager {
       }
 
       // Check if it's an admin API token
-      const adminTokenData = await userService.validateAdminToken(token);
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
       if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/pools', 'read')) {
+          return { success: false, message: 'Token scope does not allow access to pool events' };
+        }
+
         return {
           success: true,
           user: adminTokenData
@@ -616,6 +639,14 @@ class PoolWebSocketManager {
       // Regular JWT verification
       const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
       // Check if user still exists
       const users = await userService.loadUsers();
       const currentUser = users.find(u => u.id === decodedUser.id);
@@ -0,0 +1,341 @@
+const sessionService = require('../services/session.service');
+
+/**
+ * Replication WebSocket Manager
+ * Provides real-time progress updates for BTRFS replication runs
+ *
+ * Events:
+ * - subscribe-job: Subscribe to the runs of a specific replication job
+ * - subscribe-all: Subscribe to all replication runs
+ * - unsubscribe-job: Unsubscribe from a specific replication job
+ * - unsubscribe-all: Unsubscribe from all replication runs
+ *
+ * Emits:
+ * - replication-update: Run progress update (single run object)
+ * - replication-list: All current and recently finished runs (on subscribe-all)
+ * - replication-subscription-confirmed: Subscription confirmed
+ * - error: Error occurred
+ */
+
+class ReplicationWebSocketManager {
+  constructor(io, replicationService) {
+    this.io = io;
+    this.replicationService = replicationService;
+    this.broadcastInterval = 2000; // 2 seconds
+    this.authCache = new Map();
+    this.authCacheDuration = 5 * 60 * 1000; // 5 minutes
+
+    // Client subscriptions: Map<socketId, { user: Object, jobIds: Set<string>, subscribedAll: boolean }>
+    this.clientSubscriptions = new Map();
+
+    // Listen for run updates from the service
+    this.replicationService.on('replication-update', (jobId, rawRun) => {
+      this._handleRunUpdate(jobId, rawRun);
+    });
+
+    // Start periodic broadcast for progress updates
+    this._startBroadcastLoop();
+  }
+
+  /**
+   * Handle WebSocket connection for replication monitoring
+   */
+  handleConnection(socket) {
+    // Subscribe to a specific job by ID
+    socket.on('subscribe-job', async (data) => {
+      try {
+        const { token, jobId } = data || {};
+
+        const authResult = await this.authenticateUser(token, socket);
+        if (!authResult.success) {
+          socket.emit('error', { message: authResult.message });
+          return;
+        }
+
+        if (!jobId) {
+          socket.emit('error', { message: 'jobId is required' });
+          return;
+        }
+
+        const sub = this._getSubscription(socket, authResult.user);
+        sub.jobIds.add(jobId);
+
+        socket.join(`replication-job-${jobId}`);
+        console.log(`Client ${socket.id} subscribed to replication job: ${jobId}`);
+
+        // Send immediate current state of the job's run
+        const run = this.replicationService.getRun(jobId, authResult.user);
+        if (run) {
+          socket.emit('replication-update', run);
+        }
+
+        socket.emit('replication-subscription-confirmed', {
+          jobId,
+          interval: this.broadcastInterval
+        });
+      } catch (error) {
+        console.error('Error in subscribe-job:', error);
+        socket.emit('error', { message: 'Failed to subscribe to replication job' });
+      }
+    });
+
+    // Subscribe to all replication runs
+    socket.on('subscribe-all', async (data) => {
+      try {
+        const { token } = data || {};
+
+        const authResult = await this.authenticateUser(token, socket);
+        if (!authResult.success) {
+          socket.emit('error', { message: authResult.message });
+          return;
+        }
+
+        const sub = this._getSubscription(socket, authResult.user);
+        sub.subscribedAll = true;
+
+        socket.join('replication-all');
+        console.log(`Client ${socket.id} subscribed to all replication runs`);
+
+        socket.emit('replication-list', this.replicationService.getRuns(authResult.user));
+        socket.emit('replication-subscription-confirmed', {
+          all: true,
+          interval: this.broadcastInterval
+        });
+      } catch (error) {
+        console.error('Error in subscribe-all:', error);
+        socket.emit('error', { message: 'Failed to subscribe to replication runs' });
+      }
+    });
+
+    // Unsubscribe from a specific job
+    socket.on('unsubscribe-job', (data) => {
+      try {
+        const { jobId } = data || {};
+        if (!jobId) return;
+
+        socket.leave(`replication-job-${jobId}`);
+
+        const sub = this.clientSubscriptions.get(socket.id);
+        if (sub) {
+          sub.jobIds.delete(jobId);
+        }
+
+        socket.emit('replication-unsubscription-confirmed', { jobId });
+      } catch (error) {
+        console.error('Error in unsubscribe-job:', error);
+      }
+    });
+
+    // Unsubscribe from all replication runs
+    socket.on('unsubscribe-all', () => {
+      try {
+        socket.leave('replication-all');
+
+        const sub = this.clientSubscriptions.get(socket.id);
+        if (sub) {
+          sub.subscribedAll = false;
+        }
+
+        socket.emit('replication-unsubscription-confirmed', { all: true });
+      } catch (error) {
+        console.error('Error in unsubscribe-all:', error);
+      }
+    });
+
+    // Update user preferences (e.g., byte_format changed)
+    socket.on('update-preferences', (data) => {
+      const { byte_format } = data || {};
+
+      if (byte_format === 'binary' || byte_format === 'decimal') {
+        const sub = this.clientSubscriptions.get(socket.id);
+        if (sub && sub.user) {
+          sub.user.byte_format = byte_format;
+        }
+        socket.emit('preferences-updated', { byte_format });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`Replication WebSocket client disconnected: ${socket.id}`);
+      this.clientSubscriptions.delete(socket.id);
+      // Runs continue in the service regardless of WS disconnects
+    });
+  }
+
+  /**
+   * Get or create the subscription entry of a socket
+   * @private
+   */
+  _getSubscription(socket, user) {
+    socket.userId = user.id;
+    socket.userRole = user.role;
+    socket.user = user;
+
+    if (!this.clientSubscriptions.has(socket.id)) {
+      this.clientSubscriptions.set(socket.id, {
+        user,
+        jobIds: new Set(),
+        subscribedAll: false
+      });
+    }
+
+    const sub = this.clientSubscriptions.get(socket.id);
+    sub.user = user;
+    return sub;
+  }
+
+  /**
+   * Handle run update from the service
+   * State changes are emitted immediately, progress is sent by the broadcast loop
+   * @private
+   */
+  _handleRunUpdate(jobId, rawRun) {
+    if (rawRun.status !== 'running' || rawRun.bytesTransferred === 0) {
+      this._broadcastRun(jobId, rawRun);
+    }
+  }
+
+  /**
+   * Send a run to the job room and the all-runs room
+   * @private
+   */
+  _broadcastRun(jobId, rawRun) {
+    const jobRoom = this.io.adapter.rooms.get(`replication-job-${jobId}`);
+    const allRoom = this.io.adapter.rooms.get('replication-all');
+    const socketIds = new Set([...(jobRoom || []), ...(allRoom || [])]);
+
+    for (const socketId of socketIds) {
+      const socket = this.io.sockets.get(socketId);
+      if (!socket) continue;
+      const sub = this.clientSubscriptions.get(socketId);
+      socket.emit('replication-update', this.replicationService.formatRun(rawRun, sub?.user || null));
+    }
+  }
+
+  /**
+   * Start periodic broadcast loop for progress updates (every 2s)
+   * @private
+   */
+  _startBroadcastLoop() {
+    this.broadcastIntervalId = setInterval(() => {
+      if (this.clientSubscriptions.size === 0) return;
+
+      for (const [jobId, run] of this.replicationService.runs) {
+        if (run.status !== 'running') continue;
+        this._broadcastRun(jobId, this.replicationService._serializeRun(run));
+      }
+    }, this.broadcastInterval);
+  }
+
+  /**
+   * Get monitoring statistics
+   */
+  getMonitoringStats() {
+    const allRoom = this.io.adapter.rooms.get('replication-all');
+
+    return {
+      subscribedClients: this.clientSubscriptions.size,
+      allSubscribers: allRoom ? allRoom.size : 0,
+      runningJobs: this.replicationService.getRunningCount(),
+      broadcastInterval: this.broadcastInterval
+    };
+  }
+
+  /**
+   * Authenticate user with caching
+   */
+  async authenticateUser(token, socket = null) {
+    if (!token) {
+      return { success: false, message: 'Authentication token is required' };
+    }
+
+    const jwt = require('jsonwebtoken');
+    const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
+    const userService = require('../services/user.service');
+
+    // Check cache first
+    const cached = this.authCache.get(token);
+    if (cached && (Date.now() - cached.timestamp) < this.authCacheDuration && !sessionService.isTokenRevoked(token)) {
+      return cached.data;
+    }
+
+    try {
+      // Check if it's the boot token
+      const bootToken = await getBootToken();
+      if (bootToken && token === bootToken) {
+        const result = {
+          success: true,
+          user: {
+            id: 'boot',
+            username: 'boot',
+            role: 'admin',
+            isBootToken: true,
+            byte_format: 'binary'
+          }
+        };
+        this.authCache.set(token, { data: result, timestamp: Date.now() });
+        return result;
+      }
+
+      // Check if it's an admin API token
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/replication', 'read')) {
+          return { success: false, message: 'Token scope does not allow access to replication events' };
+        }
+        // Admin tokens are not cached so expiry and IP restrictions apply immediately
+        return { success: true, user: adminTokenData };
+      }
+
+      // Regular JWT verification
+      const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
+      const users = await userService.loadUsers();
+      const currentUser = users.find(u => u.id === decodedUser.id);
+
+      if (!currentUser) {
+        return { success: false, message: 'User no longer exists' };
+      }
+
+      // Replication jobs are managed by admins only
+      if (currentUser.role !== 'admin') {
+        return { success: false, message: 'Admin permission required' };
+      }
+
+      if (currentUser.role !== decodedUser.role) {
+        return { success: false, message: 'Token invalid due to role change. Please login again' };
+      }
+
+      const result = {
+        success: true,
+        user: {
+          id: currentUser.id,
+          username: currentUser.username,
+          role: currentUser.role,
+          byte_format: currentUser.byte_format || 'binary'
+        }
+      };
+
+      this.authCache.set(token, { data: result, timestamp: Date.now() });
+      return result;
+
+    } catch (authError) {
+      const errorResult = { success: false, message: 'Invalid authentication token' };
+      this.authCache.set(token, { data: errorResult, timestamp: Date.now() });
+      return errorResult;
+    }
+  }
+}
+
+module.exports = ReplicationWebSocketManager;
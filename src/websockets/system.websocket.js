@@ -1,4 +1,5 @@
 const mosService = require('../services/mos.service');
+const sessionService = require('../services/session.service');
 
 class SystemLoadWebSocketManager {
   constructor(io, systemService, poolsService = null, disksService = null) {
@@ -85,7 +86,7 @@ class SystemLoadWebSocketManager {
         const { token } = data || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -156,7 +157,7 @@ class SystemLoadWebSocketManager {
         const { token } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -1473,18 +1474,18 @@ class SystemLoadWebSocketManager {
    * Authenticate user with caching
    * Note: byte_format is always loaded fresh from database to reflect user preference changes
    */
-  async authenticateUser(token) {
+  async authenticateUser(token, socket = null) {
     if (!token) {
       return { success: false, message: 'Authentication token is required' };
     }
 
     const jwt = require('jsonwebtoken');
-    const { getBootToken } = require('../middleware/auth.middleware');
+    const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
     const userService = require('../services/user.service');
 
     // Check cache first for basic auth validation
     const cached = this.authCache.get(token);
-    if (cached && (Date.now() - cached.timestamp) < this.authCacheDuration) {
+    if (cached && (Date.now() - cached.timestamp) < this.authCacheDuration && !sessionService.isTokenRevoked(token)) {
       // For cached results, refresh byte_format from database for regular users
       if (cached.data.success && cached.data.user && !cached.data.user.isBootToken && cached.data.user.id !== 'boot') {
         try {
@@ -1531,25 +1532,35 @@ class SystemLoadWebSocketManager {
       }
 
       // Check if it's an admin API token
-      const adminTokenData = await userService.validateAdminToken(token);
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
       if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/system', 'read')) {
+          return { success: false, message: 'Token scope does not allow access to system events' };
+        }
+
         const result = {
           success: true,
           user: adminTokenData
         };
 
-        // Cache admin token authentication
-        this.authCache.set(token, {
-          data: result,
-          timestamp: Date.now()
-        });
-
+        // Admin tokens are not cached so expiry and IP restrictions apply immediately
         return result;
       }
 
       // Regular JWT verification
       const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
       // Check if user still exists
       const users = await userService.loadUsers();
       const currentUser = users.find(u => u.id === decodedUser.id);
@@ -1,3 +1,6 @@
+const auditService = require('../services/audit.service');
+const sessionService = require('../services/session.service');
+
 class TerminalWebSocketManager {
   constructor(io, terminalService) {
     this.io = io;
@@ -18,7 +21,7 @@ class TerminalWebSocketManager {
         const { sessionId, token } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -140,6 +143,8 @@ class TerminalWebSocketManager {
 
         socket.emit('session-joined', {
           sessionId,
+          type: this.terminalService.getSessionType(session.options),
+          target: session.options.target || null,
           command: session.options.command || session.options.shell,
           args: session.options.args || [],
           readOnly: session.options.readOnly,
@@ -158,11 +163,13 @@ class TerminalWebSocketManager {
 
     // Create a new terminal session
     socket.on('create-session', async (data) => {
+      const startTime = Date.now();
+      let auditUser = null;
       try {
         const { token, options = {} } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -174,6 +181,8 @@ class TerminalWebSocketManager {
           return;
         }
 
+        auditUser = authResult.user;
+
         // Generate unique session ID
         const sessionId = `terminal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -247,8 +256,28 @@ class TerminalWebSocketManager {
 
         console.log(`Client ${socket.id} created terminal session: ${sessionId}`);
 
+        auditService.recordSocket(socket, {
+          user: auditUser,
+          namespace: 'terminal',
+          event: 'create-session',
+          params: { sessionId, ...options },
+          success: true,
+          startTime
+        });
+
       } catch (error) {
         console.error(`Terminal create error: ${error.message}`);
+        if (auditUser) {
+          auditService.recordSocket(socket, {
+            user: auditUser,
+            namespace: 'terminal',
+            event: 'create-session',
+            params: data?.options,
+            success: false,
+            error: error.message,
+            startTime
+          });
+        }
         socket.emit('error', { message: `Failed to create terminal session: ${error.message}` });
       }
     });
@@ -305,7 +334,7 @@ class TerminalWebSocketManager {
         const { token } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -332,7 +361,7 @@ class TerminalWebSocketManager {
         const { sessionId, token } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -354,6 +383,14 @@ class TerminalWebSocketManager {
 
         socket.emit('session-kill-result', { sessionId, killed });
 
+        auditService.recordSocket(socket, {
+          user: authResult.user,
+          namespace: 'terminal',
+          event: 'kill-session',
+          params: { sessionId },
+          success: killed
+        });
+
       } catch (error) {
         console.error(`Terminal kill error: ${error.message}`);
         socket.emit('error', { message: 'Failed to kill terminal session' });
@@ -401,7 +438,7 @@ class TerminalWebSocketManager {
         const { token } = data;
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -483,14 +520,14 @@ class TerminalWebSocketManager {
   /**
    * Authenticate user
    */
-  async authenticateUser(token) {
+  async authenticateUser(token, socket = null) {
     if (!token) {
       return { success: false, message: 'Authentication token is required' };
     }
 
     try {
       const jwt = require('jsonwebtoken');
-      const { getBootToken } = require('../middleware/auth.middleware');
+      const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
       const userService = require('../services/user.service');
 
       // Check if it's the boot token
@@ -508,8 +545,15 @@ class TerminalWebSocketManager {
       }
 
       // Check if it's an admin API token
-      const adminTokenData = await userService.validateAdminToken(token);
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
       if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/terminal', 'write')) {
+          return { success: false, message: 'Token scope does not allow access to terminal sessions' };
+        }
+
         return {
           success: true,
           user: adminTokenData
@@ -519,6 +563,14 @@ class TerminalWebSocketManager {
       // Regular JWT verification
       const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
       // Check if user still exists
       const users = await userService.loadUsers();
       const currentUser = users.find(u => u.id === decodedUser.id);
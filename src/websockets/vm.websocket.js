@@ -1,3 +1,5 @@
+const { hasPermission } = require('../middleware/auth.middleware');
+const sessionService = require('../services/session.service');
 
 class VmWebSocketManager {
   constructor(io, vmService) {
@@ -7,6 +9,14 @@ class VmWebSocketManager {
     this.updateInterval = 2000; // 2 seconds (includes 1s CPU measurement internally)
     this.authCache = new Map();
     this.authCacheDuration = 5 * 60 * 1000; // 5 minutes
+
+    // Push snapshot, backup, restore and clone progress to subscribed clients
+    this.vmService.on('operation-update', (operation) => {
+      this.io.to('vm-operations').emit('vm-operation-update', {
+        ...operation,
+        timestamp: Date.now()
+      });
+    });
   }
 
   /**
@@ -19,7 +29,7 @@ class VmWebSocketManager {
         const { token, name } = data || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -71,7 +81,7 @@ class VmWebSocketManager {
         const { token } = data || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -90,7 +100,7 @@ class VmWebSocketManager {
         const { token } = data || {};
 
         // Authenticate user
-        const authResult = await this.authenticateUser(token);
+        const authResult = await this.authenticateUser(token, socket);
         if (!authResult.success) {
           socket.emit('error', { message: authResult.message });
           return;
@@ -107,6 +117,50 @@ class VmWebSocketManager {
       }
     });
 
+    // Subscribe to snapshot, backup, restore and clone progress (all VMs)
+    socket.on('subscribe-vm-operations', async (data) => {
+      try {
+        const { token } = data || {};
+
+        // Authenticate user
+        const authResult = await this.authenticateUser(token, socket);
+        if (!authResult.success) {
+          socket.emit('error', { message: authResult.message });
+          return;
+        }
+
+        if (!hasPermission(authResult.user, 'vm', 'read')) {
+          socket.emit('error', { message: 'VM read permission required for VM operations' });
+          return;
+        }
+
+        socket.join('vm-operations');
+        console.log(`Client ${socket.id} subscribed to VM operations`);
+
+        // Send currently running operations immediately
+        socket.emit('vm-operations-list', {
+          operations: this.vmService.getAllActiveOperations(),
+          timestamp: Date.now()
+        });
+
+        socket.emit('vm-operations-subscription-confirmed');
+      } catch (error) {
+        console.error('Error in subscribe-vm-operations:', error);
+        socket.emit('error', { message: 'Failed to subscribe to VM operations' });
+      }
+    });
+
+    // Unsubscribe from snapshot, backup, restore and clone progress
+    socket.on('unsubscribe-vm-operations', () => {
+      try {
+        socket.leave('vm-operations');
+        console.log(`Client ${socket.id} unsubscribed from VM operations`);
+        socket.emit('vm-operations-unsubscription-confirmed');
+      } catch (error) {
+        console.error('Error in unsubscribe-vm-operations:', error);
+      }
+    });
+
     // Handle disconnect
     socket.on('disconnect', () => {
       this.checkStopMonitoring();
@@ -117,20 +171,20 @@ class VmWebSocketManager {
    * Authenticate user from JWT token
    * Supports: Boot token, Admin API token, Regular JWT
    */
-  async authenticateUser(token) {
+  async authenticateUser(token, socket = null) {
     if (!token) {
       return { success: false, message: 'Authentication token is required' };
     }
 
     // Check cache first
     const cached = this.authCache.get(token);
-    if (cached && Date.now() - cached.timestamp < this.authCacheDuration) {
+    if (cached && Date.now() - cached.timestamp < this.authCacheDuration && !sessionService.isTokenRevoked(token)) {
       return { success: true, user: cached.user };
     }
 
     try {
       const jwt = require('jsonwebtoken');
-      const { getBootToken } = require('../middleware/auth.middleware');
+      const { getBootToken, getClientIp, isTokenScopeAllowed } = require('../middleware/auth.middleware');
       const userService = require('../services/user.service');
 
       // Check if it's the boot token
@@ -148,19 +202,34 @@ class VmWebSocketManager {
       }
 
       // Check if it's an admin API token
-      const adminTokenData = await userService.validateAdminToken(token);
+      const handshake = socket?.handshake || {};
+      const adminTokenData = await userService.validateAdminToken(token, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
       if (adminTokenData) {
+        if (!isTokenScopeAllowed(adminTokenData, '/api/v1/vm', 'read')) {
+          return { success: false, message: 'Token scope does not allow access to VM events' };
+        }
+
         const user = {
           ...adminTokenData,
           userId: adminTokenData.id
         };
-        this.authCache.set(token, { user, timestamp: Date.now() });
+        // Admin tokens are not cached so expiry and IP restrictions apply immediately
         return { success: true, user };
       }
 
       // Regular JWT verification
       const decodedUser = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject revoked or expired sessions
+      const session = await sessionService.touchSession(decodedUser.jti, {
+        ip: getClientIp(handshake.address, handshake.headers)
+      });
+      if (!session || session.userId !== decodedUser.id) {
+        return { success: false, message: 'Session has been revoked or expired. Please login again' };
+      }
+
       // Check if user still exists
       const users = await userService.loadUsers();
       const currentUser = users.find(u => u.id === decodedUser.id);
@@ -184,7 +253,8 @@ class VmWebSocketManager {
         userId: currentUser.id,
         username: currentUser.username,
         role: currentUser.role,
-        byte_format: currentUser.byte_format
+        byte_format: currentUser.byte_format,
+        permissions: await userService.getUserPermissions(currentUser)
       };
 
       // Cache the result